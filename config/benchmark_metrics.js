@@ -0,0 +1,75 @@
+// config/benchmark_metrics.js
+// Metrics companies are ranked on against their peers; see
+// services/benchmark_service. They use the scoring methodology's metric
+// shape (models/scoring_methodology_model) so values are read, converted
+// and divided the same way, and are normalized by area or headcount so
+// companies of different sizes compare. `direction` says which way is
+// better for the percentile rank.
+
+const AREA = [
+  { modules: ["crop_yield", "esg_data"], match: "area under cane|area harvested|cultivated area" },
+];
+
+// Headcount the size band is taken from
+const EMPLOYEES = {
+  key: "employees",
+  name: "Total employees",
+  numerator: [{ modules: ["workforce", "esg_data"], match: "total employees" }],
+};
+
+// Upper headcount bound of each size band (EU SME definition)
+const SIZE_BANDS = [
+  { band: "micro", max: 9 },
+  { band: "small", max: 49 },
+  { band: "medium", max: 249 },
+  { band: "large", max: Infinity },
+];
+
+const METRICS = [
+  {
+    key: "ghg_intensity_per_ha",
+    name: "GHG emissions per hectare",
+    unit: "tCO2e/ha",
+    input_unit: "tCO2e",
+    denominator_unit: "ha",
+    numerator: [{ modules: ["esg_data"], match: "^carbon emissions \\(total ghg" }],
+    denominator: AREA,
+    direction: "lower_is_better",
+  },
+  {
+    key: "water_per_ha",
+    name: "Irrigation water per hectare",
+    unit: "ML/ha",
+    input_unit: "ML",
+    denominator_unit: "ha",
+    numerator: [{ modules: ["irrigation", "esg_data"], match: "irrigation water usage" }],
+    denominator: AREA,
+    direction: "lower_is_better",
+  },
+  {
+    key: "ltifr",
+    name: "Lost time injury frequency rate",
+    numerator: [{ modules: ["health_safety", "esg_data"], match: "ltifr|lost time injury frequency" }],
+    direction: "lower_is_better",
+  },
+  {
+    key: "female_representation",
+    name: "Female share of employees",
+    unit: "%",
+    scale: 100,
+    numerator: [{ modules: ["workforce", "esg_data"], match: "female employees" }],
+    denominator: [EMPLOYEES.numerator[0]],
+    direction: "higher_is_better",
+  },
+  {
+    key: "board_independence",
+    name: "Independent directors on the board",
+    unit: "%",
+    scale: 100,
+    numerator: [{ modules: ["governance", "esg_data"], match: "^(board )?independent (non-executive )?directors" }],
+    denominator: [{ modules: ["governance", "esg_data"], match: "^(board members|board size|total directors)" }],
+    direction: "higher_is_better",
+  },
+];
+
+module.exports = { METRICS, EMPLOYEES, SIZE_BANDS };
@@ -0,0 +1,122 @@
+// config/dashboard_metrics.js
+// Stored ESG metrics (ESGData) each dashboard is built from, keyed like
+// the dashboards' ApiPermissions flags. Labels are matched as in
+// services/esg_dashboard_service: by name, by "name (unit)" or by the full
+// imported label. Period comparisons (services/dashboard_comparison_service)
+// of the aggregate dashboard, and of the endpoints that read ESGData, report
+// on the same metrics.
+
+const DASHBOARD_METRICS = {
+  soilHealthCarbon: [
+    "Carbon Emissions (Total GHG, tCO2e)",
+    "GHG Scope 1 (tCO2e)",
+    "GHG Scope 2 (tCO2e)",
+    "GHG Scope 3 (tCO2e)",
+    "Energy Consumption - Coal Consumption (tons)",
+    "Energy Consumption - Inside Company Diesel Usage (litres)",
+  ],
+  cropYieldForecastRisk: [
+    "Energy Consumption - Electricity Purchased (MWH)",
+    "Water Usage - Irrigation Water Usage (million ML)",
+    "Waste Management - Recycled waste (excl. Boiler Ash) (tons)",
+  ],
+  ghgEmissions: [
+    "Carbon Emissions (Total GHG, tCO2e)",
+    "GHG Scope 1 (tCO2e)",
+    "GHG Scope 2 (tCO2e)",
+    "GHG Scope 3 (tCO2e)",
+    "Energy Consumption - Coal Consumption (tons)",
+    "Energy Consumption - Inside Company Diesel Usage (litres)",
+    "Energy Consumption - Electricity Purchased (MWH)",
+    "Energy Consumption - Inside Company Petrol Usage (litres)",
+    "Energy Consumption - Outside Company Petrol Usage (litres)",
+    "Energy Consumption - Outside Company Diesel Usage (litres)",
+  ],
+  biodiversityLandUse: [
+    "Water Usage - Irrigation Water Usage (million ML)",
+    "Waste Management - Recycled waste (excl. Boiler Ash) (tons)",
+    "Environment Incidents - Waste streams produced - Hazardous waste (tons)",
+    "Environment Incidents (Sewage blockage, Stillage overflow, Illegal waste disposal, Out of spec emissions, Effluent spillage, Water loss)",
+  ],
+  irrigationWater: [
+    "Water Usage - Irrigation Water Usage (million ML)",
+    "Water treatment (million ML)",
+    "Effluent discharge for Irrigation (thousand ML)",
+    "Energy Consumption - Electricity Purchased (MWH)",
+    "Energy Consumption - Inside Company Diesel Usage (litres)",
+  ],
+  farmManagementCompliance: [
+    "Human Capital - Total Employees",
+    "Human Capital - Graduate Trainees",
+    "Human Capital - Apprentices",
+    "Employees' Education and Training - Average training hours by gender (Male)",
+    "Employees' Education and Training - Average training hours by gender (Female)",
+    "Supplier Code of Conduct",
+    "IFRS / Sustainability-Related Financial Disclosures",
+  ],
+  energyConsumptionRenewables: [
+    "Energy Consumption (Renewable) - Bagasse Usage (tons)",
+    "Energy Consumption (Renewable) - Solar Energy Usage (KwH)",
+    "Energy Consumption - Coal Consumption (tons)",
+    "Energy Consumption - Inside Company Diesel Usage (litres)",
+    "Energy Consumption - Electricity Generated (MWH)",
+    "Energy Consumption - Electricity Purchased (MWH)",
+    "Energy Consumption - Electricity Exported to National Grid (MWH)",
+  ],
+  wasteManagement: [
+    "Waste Management - Recycled waste (excl. Boiler Ash) (tons)",
+    "Waste Management - Disposed waste (excl. Boiler Ash) (tons)",
+    "Environment Incidents - Waste streams produced - General Waste (tons)",
+    "Environment Incidents - Waste streams produced - Hazardous waste (tons)",
+    "Environment Incidents - Waste streams produced - Boiler ash (tons)",
+    "Environment Incidents - Waste streams produced - Recyclable waste (tons)",
+  ],
+  workforceDiversity: [
+    "Human Capital - Total Employees",
+    "Human Capital - Female Employees",
+    "Human Capital - Male Employees",
+    "Human Capital - Employees by Contract Type - Permanent",
+    "Human Capital - Employees by Contract Type - Fixed term contract",
+    "Human Capital - Graduate Trainees",
+    "Human Capital - Apprentices",
+    "Diversity - Recruitment by gender including Seasonal FTCs (Male)",
+    "Diversity - Recruitment by gender including Seasonal FTCs (Female)",
+  ],
+  healthSafety: [
+    "Work-related Injuries - Lost Time Injury Frequency Rate (LTIFR)",
+    "Safety, Health, and Environment Committee Meetings (Agriculture)",
+    "Safety, Health, and Environment Committee Meetings (Milling)",
+  ],
+  governanceBoardMetrics: [
+    "Board Size",
+    "Board Attendance - Number of meetings held",
+    "Audit and Compliance Committee (Non-exe cutive Directors)",
+    "Audit and Compliance Committee (Independent Non-executive Directors)",
+    "Risk Management & Sustainability Committee (Executive Directors)",
+    "Risk Management & Sustainability Committee (Non-executive Directors)",
+    "Risk Management & Sustainability Committee (Independent Non-executive Directors)",
+    "Remunerations and Nominations Committee (Non-executive Directors)",
+    "Remunerations and Nominations Committee (Independent Non-executive Directors)",
+    "Stakeholder Engagement Committee (Executive Directors)",
+    "Stakeholder Engagement Committee (Non-executive Directors)",
+    "Stakeholder Engagement Committee (Independent Non-executive Directors)",
+    "Ethics / Code of Conduct",
+    "Anti-Corruption / Anti-Bribery Policy",
+    "Whistleblowing Mechanism",
+    "Compliance Incidents (Legal/Regulatory)",
+    "Executive Remuneration Disclosure",
+    "ESG Linked to Executive Pay",
+    "Supplier Code of Conduct",
+    "IFRS / Sustainability-Related Financial Disclosures",
+  ],
+  communityEngagement: [
+    "Corporate Social Responsibility - Education Attendance - (primary schools and one secondary school in Hippo Valley Estates) [Males]",
+    "Corporate Social Responsibility - Education Attendance - (primary schools and one secondary school in Hippo Valley Estates) [Females]",
+    "Health and Well being - Hospital attendees (Hippo Valley Estates Medical Centre) - Total",
+    "Relationship with suppliers - Procurement Spent (Local suppliers)",
+    "Relationship with suppliers - Procurement Spent (Foreign suppliers)",
+    "Number of suppliers",
+  ],
+};
+
+module.exports = { DASHBOARD_METRICS };
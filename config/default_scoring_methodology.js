@@ -0,0 +1,240 @@
+// config/default_scoring_methodology.js
+// Built-in scoring methodology (version 0), used until an owner activates
+// a stored one; see services/esg_scoring_service and
+// models/scoring_methodology_model for the shape. Every metric reads the
+// domain module first and falls back to esg-data, where table imports of
+// the same report land. Thresholds are starting points to be tuned in a
+// new version, not industry benchmarks.
+
+// Year-on-year change scored from +10% (0) to -10% (100)
+const REDUCTION = { method: "thresholds", worst: 10, best: -10 };
+
+const PRESENT = { method: "categorical", categories: [
+  { match: "^(yes|in place|fully|full)", score: 100 },
+  { match: "^(partial|partly|in progress|developing)", score: 50 },
+  { match: "^(no|none|not in place)\\b", score: 0 },
+] };
+
+module.exports = {
+  name: "Built-in default",
+  description:
+    "Environmental 40%, social 30%, governance 30%; metrics normalized against fixed thresholds",
+  version: 0,
+  status: "active",
+  pillars: [
+    {
+      key: "environmental",
+      name: "Environmental",
+      weight: 40,
+      indicators: [
+        {
+          key: "climate",
+          name: "Climate",
+          weight: 40,
+          metrics: [
+            {
+              key: "ghg_total_change",
+              name: "Total GHG emissions, change on prior year",
+              basis: "change",
+              unit: "%",
+              input_unit: "tCO2e",
+              numerator: [{ modules: ["esg_data"], match: "^carbon emissions \\(total ghg" }],
+              normalization: REDUCTION,
+            },
+            {
+              key: "ghg_scope_1_2_change",
+              name: "Scope 1 and 2 emissions, change on prior year",
+              basis: "change",
+              unit: "%",
+              input_unit: "tCO2e",
+              numerator: [
+                { modules: ["esg_data"], match: "^ghg scope 1\\b" },
+                { modules: ["esg_data"], match: "^ghg scope 2\\b" },
+              ],
+              normalization: REDUCTION,
+            },
+          ],
+        },
+        {
+          key: "energy",
+          name: "Energy",
+          weight: 30,
+          metrics: [
+            {
+              key: "self_generated_electricity_share",
+              name: "Self-generated share of electricity used",
+              unit: "%",
+              input_unit: "MWh",
+              scale: 100,
+              numerator: [{ modules: ["energy", "esg_data"], match: "electricity generated" }],
+              denominator: [
+                { modules: ["energy", "esg_data"], match: "electricity generated" },
+                { modules: ["energy", "esg_data"], match: "electricity purchased" },
+              ],
+              normalization: { method: "thresholds", worst: 0, best: 100 },
+            },
+          ],
+        },
+        {
+          key: "waste",
+          name: "Waste",
+          weight: 30,
+          metrics: [
+            {
+              key: "recycling_rate",
+              name: "Recycled share of waste (excl. boiler ash)",
+              unit: "%",
+              input_unit: "t",
+              scale: 100,
+              numerator: [{ modules: ["waste", "esg_data"], match: "recycled waste" }],
+              denominator: [
+                { modules: ["waste", "esg_data"], match: "recycled waste" },
+                { modules: ["waste", "esg_data"], match: "disposed waste" },
+              ],
+              normalization: { method: "thresholds", worst: 0, best: 90 },
+            },
+            {
+              key: "hazardous_waste_change",
+              name: "Hazardous waste, change on prior year",
+              basis: "change",
+              unit: "%",
+              input_unit: "t",
+              numerator: [{ modules: ["waste", "esg_data"], match: "hazardous waste" }],
+              normalization: REDUCTION,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      key: "social",
+      name: "Social",
+      weight: 30,
+      indicators: [
+        {
+          key: "health_safety",
+          name: "Health and safety",
+          weight: 40,
+          metrics: [
+            {
+              key: "ltifr",
+              name: "Lost time injury frequency rate",
+              numerator: [{ modules: ["health_safety", "esg_data"], match: "ltifr|lost time injury frequency" }],
+              normalization: { method: "thresholds", worst: 1, best: 0 },
+            },
+          ],
+        },
+        {
+          key: "diversity",
+          name: "Diversity",
+          weight: 35,
+          metrics: [
+            {
+              key: "female_employee_share",
+              name: "Female share of employees",
+              unit: "%",
+              scale: 100,
+              numerator: [{ modules: ["workforce", "esg_data"], match: "female employees" }],
+              denominator: [{ modules: ["workforce", "esg_data"], match: "total employees" }],
+              normalization: { method: "thresholds", worst: 0, best: 50 },
+            },
+            {
+              key: "female_recruitment_share",
+              name: "Female share of recruits",
+              unit: "%",
+              scale: 100,
+              numerator: [{ modules: ["workforce", "esg_data"], match: "female recruits|recruitment by gender.*\\(female\\)" }],
+              denominator: [
+                { modules: ["workforce", "esg_data"], match: "female recruits|recruitment by gender.*\\(female\\)" },
+                { modules: ["workforce", "esg_data"], match: "^male recruits|recruitment by gender.*\\(male\\)" },
+              ],
+              normalization: { method: "thresholds", worst: 0, best: 50 },
+            },
+          ],
+        },
+        {
+          key: "development",
+          name: "Training and development",
+          weight: 25,
+          metrics: [
+            {
+              key: "training_hours",
+              name: "Average training hours (other employees)",
+              unit: "hours",
+              numerator: [{ modules: ["workforce", "esg_data"], match: "average training hours.*\\(other employees\\)" }],
+              normalization: { method: "target", target: 40, direction: "higher_is_better" },
+            },
+          ],
+        },
+      ],
+    },
+    {
+      key: "governance",
+      name: "Governance",
+      weight: 30,
+      indicators: [
+        {
+          key: "board",
+          name: "Board oversight",
+          weight: 50,
+          metrics: [
+            {
+              key: "audit_committee_independence",
+              name: "Independent non-executives on the audit committee",
+              unit: "%",
+              numerator: [{ modules: ["governance", "esg_data"], match: "^audit and compliance committee.*\\(independent" }],
+              normalization: { method: "thresholds", worst: 0, best: 100 },
+            },
+            {
+              key: "board_meetings",
+              name: "Board meetings held",
+              numerator: [{ modules: ["governance", "esg_data"], match: "board meetings held|number of meetings held" }],
+              normalization: { method: "target", target: 4, direction: "higher_is_better" },
+            },
+          ],
+        },
+        {
+          key: "ethics",
+          name: "Ethics and compliance",
+          weight: 50,
+          metrics: [
+            {
+              key: "anti_corruption_policy",
+              name: "Anti-corruption policy",
+              numerator: [{ modules: ["governance", "esg_data"], match: "anti-corruption" }],
+              normalization: PRESENT,
+            },
+            {
+              key: "code_of_conduct",
+              name: "Code of conduct",
+              numerator: [{ modules: ["governance", "esg_data"], match: "^ethics|^code of conduct" }],
+              normalization: PRESENT,
+            },
+            {
+              key: "esg_linked_pay",
+              name: "ESG targets in executive pay",
+              numerator: [{ modules: ["governance", "esg_data"], match: "esg linked" }],
+              normalization: PRESENT,
+            },
+            {
+              key: "compliance_incidents",
+              name: "Material compliance incidents",
+              numerator: [{ modules: ["governance", "esg_data"], match: "compliance incidents" }],
+              normalization: { method: "thresholds", worst: 5, best: 0 },
+            },
+          ],
+        },
+      ],
+    },
+  ],
+  materiality_multipliers: { high: 1.5, medium: 1, low: 0.5 },
+  rating_bands: [
+    { min: 90, rating: "AAA", description: "Excellent" },
+    { min: 80, rating: "AA", description: "Very Good" },
+    { min: 70, rating: "A", description: "Good" },
+    { min: 60, rating: "BBB", description: "Adequate" },
+    { min: 50, rating: "BB", description: "Needs Improvement" },
+    { min: 40, rating: "B", description: "Poor" },
+    { min: 0, rating: "CCC", description: "Very Poor" },
+  ],
+};
@@ -0,0 +1,142 @@
+// config/materiality_topics.js
+// Standard topics a materiality assessment can start from; see
+// services/materiality_service. An assessment lists only the topics the
+// company rated, so a sugar estate and a mine pick different ones and may
+// add their own. `scoring_indicators` are indicator keys of the scoring
+// methodology (config/default_scoring_methodology) whose weight follows the
+// topic's priority; `dashboard_sections` are keys of the aggregate
+// dashboard response highlighted while the topic is material.
+
+module.exports = [
+  // Environmental
+  {
+    key: "ghg_emissions",
+    name: "GHG emissions and climate change",
+    pillar: "environmental",
+    scoring_indicators: ["climate"],
+    dashboard_sections: ["ghgEmissions"],
+  },
+  {
+    key: "energy",
+    name: "Energy use and renewables",
+    pillar: "environmental",
+    scoring_indicators: ["energy"],
+    dashboard_sections: ["energyConsumptionRenewables"],
+  },
+  {
+    key: "water",
+    name: "Water use and water risk",
+    pillar: "environmental",
+    scoring_indicators: [],
+    dashboard_sections: ["irrigationWaterRisk"],
+  },
+  {
+    key: "waste",
+    name: "Waste and effluents",
+    pillar: "environmental",
+    scoring_indicators: ["waste"],
+    dashboard_sections: ["wasteManagement"],
+  },
+  {
+    key: "biodiversity_land_use",
+    name: "Biodiversity and land use",
+    pillar: "environmental",
+    scoring_indicators: [],
+    dashboard_sections: ["biodiversityLandUse"],
+  },
+  {
+    key: "soil_health",
+    name: "Soil health and soil carbon",
+    pillar: "environmental",
+    scoring_indicators: [],
+    dashboard_sections: ["soilHealthCarbonQuality"],
+  },
+  {
+    key: "agrochemicals",
+    name: "Fertiliser and agrochemical use",
+    pillar: "environmental",
+    scoring_indicators: [],
+    dashboard_sections: ["farmManagementCompliance"],
+  },
+  {
+    key: "crop_resilience",
+    name: "Crop yield and climate resilience",
+    pillar: "environmental",
+    scoring_indicators: [],
+    dashboard_sections: ["cropYieldForecast"],
+  },
+  {
+    key: "air_quality",
+    name: "Air quality and dust",
+    pillar: "environmental",
+    scoring_indicators: [],
+    dashboard_sections: [],
+  },
+  {
+    key: "tailings_closure",
+    name: "Tailings management and mine closure",
+    pillar: "environmental",
+    scoring_indicators: [],
+    dashboard_sections: [],
+  },
+
+  // Social
+  {
+    key: "health_safety",
+    name: "Occupational health and safety",
+    pillar: "social",
+    scoring_indicators: ["health_safety"],
+    dashboard_sections: ["healthSafety"],
+  },
+  {
+    key: "diversity_inclusion",
+    name: "Diversity and inclusion",
+    pillar: "social",
+    scoring_indicators: ["diversity"],
+    dashboard_sections: ["workforceDiversity"],
+  },
+  {
+    key: "training_development",
+    name: "Training and development",
+    pillar: "social",
+    scoring_indicators: ["development"],
+    dashboard_sections: ["workforceDiversity"],
+  },
+  {
+    key: "labour_practices",
+    name: "Labour practices and seasonal workers",
+    pillar: "social",
+    scoring_indicators: [],
+    dashboard_sections: ["workforceDiversity"],
+  },
+  {
+    key: "community_relations",
+    name: "Community relations and social investment",
+    pillar: "social",
+    scoring_indicators: [],
+    dashboard_sections: ["communityEngagement"],
+  },
+  {
+    key: "human_rights",
+    name: "Human rights and resettlement",
+    pillar: "social",
+    scoring_indicators: [],
+    dashboard_sections: ["communityEngagement"],
+  },
+
+  // Governance
+  {
+    key: "board_governance",
+    name: "Board composition and oversight",
+    pillar: "governance",
+    scoring_indicators: ["board"],
+    dashboard_sections: ["governanceBoardMetrics"],
+  },
+  {
+    key: "business_ethics",
+    name: "Business ethics and anti-corruption",
+    pillar: "governance",
+    scoring_indicators: ["ethics"],
+    dashboard_sections: ["governanceBoardMetrics"],
+  },
+];
@@ -0,0 +1,86 @@
+// controllers/api_key_controller.js
+const asyncHandler = require("../utils/async_handler");
+const AppError = require("../utils/app_error");
+const apiKeyService = require("../services/api_key_service");
+
+function requireFields(body, fields = []) {
+  const missing = fields.filter(
+    (f) => body?.[f] === undefined || body?.[f] === ""
+  );
+  if (missing.length)
+    throw new AppError("Missing required fields", 400, "MISSING_FIELDS", {
+      missing,
+    });
+}
+
+function actorFrom(req) {
+  return { id: req.user._id, type: req.userType };
+}
+
+/**
+ * Create an API key; the plaintext key is only returned in this response
+ * POST /api/v1/api-keys/company/:companyId
+ */
+const create = asyncHandler(async (req, res) => {
+  requireFields(req.body, ["name", "permissions"]);
+
+  const { apiKey, key } = await apiKeyService.createApiKey(
+    req.params.companyId,
+    req.body,
+    actorFrom(req)
+  );
+
+  res.status(201).json({
+    message: "API key created. Store it now, it will not be shown again.",
+    key,
+    apiKey,
+  });
+});
+
+/**
+ * List a company's API keys (?includeRevoked=true to include revoked keys)
+ * GET /api/v1/api-keys/company/:companyId
+ */
+const list = asyncHandler(async (req, res) => {
+  const apiKeys = await apiKeyService.listApiKeys(req.params.companyId, {
+    includeRevoked: req.query.includeRevoked === "true",
+  });
+  res.status(200).json({ count: apiKeys.length, apiKeys });
+});
+
+/**
+ * Issue a new secret for a key and revoke the old one
+ * POST /api/v1/api-keys/company/:companyId/:keyId/rotate
+ */
+const rotate = asyncHandler(async (req, res) => {
+  const { apiKey, key } = await apiKeyService.rotateApiKey(
+    req.params.companyId,
+    req.params.keyId,
+    actorFrom(req)
+  );
+
+  res.status(200).json({
+    message: "API key rotated. Store it now, it will not be shown again.",
+    key,
+    apiKey,
+  });
+});
+
+/**
+ * Revoke a key
+ * DELETE /api/v1/api-keys/company/:companyId/:keyId
+ */
+const revoke = asyncHandler(async (req, res) => {
+  const apiKey = await apiKeyService.revokeApiKey(
+    req.params.companyId,
+    req.params.keyId
+  );
+  res.status(200).json({ message: "API key revoked", apiKey });
+});
+
+module.exports = {
+  create,
+  list,
+  rotate,
+  revoke,
+};
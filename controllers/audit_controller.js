@@ -0,0 +1,58 @@
+// controllers/audit_controller.js
+const asyncHandler = require("../utils/async_handler");
+const auditService = require("../services/audit_service");
+const { assertCompanyAccess } = require("../middlewares/tenancy");
+
+/**
+ * Company the caller may query: any (or none) for owners, otherwise the
+ * caller's own company.
+ */
+function scopedCompanyId(req, requested) {
+  if (req.userType === "owner") return requested;
+  const companyId = requested || req.user.company?.toString();
+  assertCompanyAccess(req, companyId);
+  return companyId;
+}
+
+/**
+ * Audit trail of domain data changes
+ * GET /api/v1/audit?companyId=&module=&userId=&action=&recordId=&requestId=&from=&to=&page=&limit=
+ */
+const listAuditLog = asyncHandler(async (req, res) => {
+  const { module, userId, action, recordId, requestId, from, to, page, limit } =
+    req.query;
+  const companyId = scopedCompanyId(req, req.query.companyId);
+
+  const result = await auditService.queryAuditLog({
+    companyId,
+    module,
+    userId,
+    action,
+    recordId,
+    requestId,
+    from,
+    to,
+    page,
+    limit,
+  });
+
+  res.status(200).json({
+    filters: { companyId, module, userId, action, recordId, requestId, from, to },
+    ...result,
+  });
+});
+
+/**
+ * Single audit entry
+ * GET /api/v1/audit/:id
+ */
+const getAuditEntry = asyncHandler(async (req, res) => {
+  const companyId = req.userType === "owner" ? undefined : req.user.company;
+  const entry = await auditService.getAuditEntry(req.params.id, companyId);
+  res.status(200).json({ entry });
+});
+
+module.exports = {
+  listAuditLog,
+  getAuditEntry,
+};
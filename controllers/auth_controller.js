@@ -0,0 +1,211 @@
+// controllers/auth_controller.js
+const asyncHandler = require("../utils/async_handler");
+const AppError = require("../utils/app_error");
+const sessionService = require("../services/session_service");
+const twoFactorService = require("../services/two_factor_service");
+const {
+  refreshTokens,
+  completeTwoFactorLogin,
+} = require("../middlewares/auth");
+
+function requireFields(body, fields = []) {
+  const missing = fields.filter(
+    (f) => body?.[f] === undefined || body?.[f] === ""
+  );
+  if (missing.length)
+    throw new AppError("Missing required fields", 400, "MISSING_FIELDS", {
+      missing,
+    });
+}
+
+/**
+ * Public: exchange a refresh token for a new access + refresh token pair
+ * POST /api/v1/auth/refresh
+ */
+const refresh = asyncHandler(async (req, res) => {
+  requireFields(req.body, ["refreshToken"]);
+
+  const { token, refreshToken, expiresIn } = await refreshTokens(
+    req.body.refreshToken,
+    req
+  );
+
+  res.status(200).json({
+    message: "Token refreshed",
+    token,
+    refreshToken,
+    expiresIn,
+  });
+});
+
+/**
+ * Revoke the current session, or every session with { all: true }
+ * POST /api/v1/auth/logout
+ */
+const logout = asyncHandler(async (req, res) => {
+  if (req.body?.all === true) {
+    const revoked = await sessionService.revokeAllSessions(
+      req.user._id,
+      "logout"
+    );
+    return res.status(200).json({ message: "Logged out of all sessions", revoked });
+  }
+
+  await sessionService.revokeSession(req.sessionId, req.user._id, "logout");
+  res.status(200).json({ message: "Logged out" });
+});
+
+/**
+ * List the caller's open sessions (one per device/login)
+ * GET /api/v1/auth/sessions
+ */
+const listSessions = asyncHandler(async (req, res) => {
+  const sessions = await sessionService.listSessions(req.user._id);
+
+  res.status(200).json({
+    count: sessions.length,
+    sessions: sessions.map((s) => ({
+      _id: s._id,
+      device: s.device,
+      created_at: s.created_at,
+      last_used_at: s.last_used_at,
+      expires_at: s.expires_at,
+      current: s._id.toString() === req.sessionId,
+    })),
+  });
+});
+
+/**
+ * Revoke one of the caller's sessions
+ * DELETE /api/v1/auth/sessions/:sessionId
+ */
+const revokeSession = asyncHandler(async (req, res) => {
+  await sessionService.revokeSession(
+    req.params.sessionId,
+    req.user._id,
+    "revoked"
+  );
+  res.status(200).json({ message: "Session revoked" });
+});
+
+/**
+ * Public: second login step for accounts with 2FA enabled
+ * POST /api/v1/auth/2fa/verify
+ */
+const verifyTwoFactor = asyncHandler(async (req, res) => {
+  requireFields(req.body, ["challengeToken", "code"]);
+
+  const result = await completeTwoFactorLogin(
+    req.body.challengeToken,
+    req.body.code,
+    req
+  );
+
+  const account =
+    result.type === "owner"
+      ? {
+          user: {
+            _id: result.subject._id,
+            full_name: result.subject.full_name,
+            email: result.subject.email,
+            phone: result.subject.phone,
+            status: result.subject.status,
+            email_verified: result.subject.email_verified,
+          },
+        }
+      : { member: result.subject };
+
+  res.status(200).json({
+    message: "Login successful",
+    token: result.token,
+    refreshToken: result.refreshToken,
+    expiresIn: result.expiresIn,
+    method: result.method,
+    recoveryCodesRemaining: result.recoveryCodesRemaining,
+    ...account,
+  });
+});
+
+/**
+ * 2FA status of the caller
+ * GET /api/v1/auth/2fa
+ */
+const twoFactorStatus = asyncHandler(async (req, res) => {
+  const status = await twoFactorService.getStatus(req.user._id, req.userType);
+  res.status(200).json(status);
+});
+
+/**
+ * Start 2FA enrolment; returns the secret and otpauth:// URL for the app
+ * POST /api/v1/auth/2fa/setup
+ */
+const setupTwoFactor = asyncHandler(async (req, res) => {
+  const { secret, otpauthUrl } = await twoFactorService.beginEnrollment(
+    req.user._id,
+    req.userType
+  );
+  res.status(200).json({
+    message: "Add the secret to your authenticator app, then confirm with a code",
+    secret,
+    otpauthUrl,
+  });
+});
+
+/**
+ * Confirm enrolment with a code from the app. Other sessions are signed out.
+ * POST /api/v1/auth/2fa/enable
+ */
+const enableTwoFactor = asyncHandler(async (req, res) => {
+  requireFields(req.body, ["code"]);
+
+  const { recoveryCodes } = await twoFactorService.confirmEnrollment(
+    req.user._id,
+    req.userType,
+    req.body.code
+  );
+  await sessionService.revokeAllSessions(req.user._id, "revoked", req.sessionId);
+
+  res.status(200).json({
+    message: "Two-factor authentication enabled. Store the recovery codes somewhere safe, they will not be shown again.",
+    recoveryCodes,
+  });
+});
+
+/**
+ * Turn 2FA off (requires a current code or a recovery code)
+ * POST /api/v1/auth/2fa/disable
+ */
+const disableTwoFactor = asyncHandler(async (req, res) => {
+  requireFields(req.body, ["code"]);
+
+  await twoFactorService.disable(req.user._id, req.userType, req.body.code);
+  res.status(200).json({ message: "Two-factor authentication disabled" });
+});
+
+/**
+ * Replace all recovery codes (requires a current code or a recovery code)
+ * POST /api/v1/auth/2fa/recovery-codes
+ */
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  requireFields(req.body, ["code"]);
+
+  const { recoveryCodes } = await twoFactorService.regenerateRecoveryCodes(
+    req.user._id,
+    req.userType,
+    req.body.code
+  );
+  res.status(200).json({ message: "Recovery codes regenerated", recoveryCodes });
+});
+
+module.exports = {
+  refresh,
+  logout,
+  listSessions,
+  revokeSession,
+  verifyTwoFactor,
+  twoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+};
@@ -0,0 +1,44 @@
+// controllers/benchmark_controller.js
+const asyncHandler = require("../utils/async_handler");
+const AppError = require("../utils/app_error");
+const benchmarkService = require("../services/benchmark_service");
+
+function parseYear(value) {
+  if (value === undefined || value === "") return undefined;
+  const year = parseInt(value, 10);
+  if (Number.isNaN(year)) throw new AppError("year must be a number", 400, "INVALID_YEAR");
+  return year;
+}
+
+/**
+ * GET /api/v1/benchmarks/metrics
+ */
+const listMetrics = asyncHandler(async (req, res) => {
+  res.status(200).json({
+    min_peer_group: benchmarkService.MIN_PEERS,
+    precise_peer_group: benchmarkService.PRECISE_PEERS,
+    metrics: benchmarkService.listBenchmarkMetrics(),
+  });
+});
+
+/**
+ * Rank a company's metrics against anonymous peers
+ * GET /api/v1/benchmarks/company/:companyId (?year=, ?metrics=key,key)
+ */
+const getCompanyBenchmark = asyncHandler(async (req, res) => {
+  const benchmark = await benchmarkService.benchmarkCompany(req.params.companyId, {
+    year: parseYear(req.query.year),
+    metrics: req.query.metrics
+      ? String(req.query.metrics)
+          .split(",")
+          .map((key) => key.trim())
+          .filter(Boolean)
+      : undefined,
+  });
+  res.status(200).json({ message: "Peer benchmark computed", data: benchmark });
+});
+
+module.exports = {
+  listMetrics,
+  getCompanyBenchmark,
+};
@@ -2,6 +2,10 @@
 const biodiversityLandUseService = require("../services/biodiversity_data_service");
 const asyncHandler = require("../utils/async_handler");
 const AppError = require("../utils/app_error");
+const { isDryRun } = require("../utils/import_preview");
+const { parseConflictPolicy } = require("../utils/import_conflicts");
+const importMappingService = require("../services/import_mapping_service");
+const importJobService = require("../services/import_job_service");
 
 function requireFields(body, fields = []) {
   const missing = fields.filter(
@@ -33,27 +37,44 @@ class BiodiversityLandUseController {
       dataPeriodEnd: req.body.data_period_end,
       originalSource: req.body.original_source,
       source: req.body.source || "File Import",
+      conflictPolicy: parseConflictPolicy(
+        req.body.conflict_policy || req.query.conflict_policy,
+      ),
+      mappingTemplate: await importMappingService.getTemplateForImport(
+        companyId,
+        req.body.mapping_template_id || req.query.mapping_template_id,
+        "biodiversity",
+      ),
     };
 
-    const record = await biodiversityLandUseService.importFromFile(
-      req.file.buffer,
-      req.file.originalname,
+    if (isDryRun(req)) {
+      const preview = await biodiversityLandUseService.previewImportFromFile(
+        req.file.buffer,
+        req.file.originalname,
+        companyId,
+        userId,
+        metadata,
+      );
+
+      return res.status(200).json({
+        success: true,
+        message: "Import preview generated; nothing was saved",
+        data: preview,
+      });
+    }
+
+    // Parsing and saving run in the import job worker
+    const job = await importJobService.enqueueFileImport(
+      req,
+      "biodiversity",
       companyId,
-      userId,
       metadata,
     );
 
-    res.status(201).json({
+    res.status(202).json({
       success: true,
-      message: "File data imported successfully",
-      data: {
-        record_id: record._id,
-        version: record.version,
-        import_date: record.import_date,
-        import_source: record.import_source,
-        metrics_count: record.metrics.length,
-        summary_stats: record.summary_stats,
-      },
+      message: "File import queued",
+      data: importJobService.describeJob(job),
     });
   });
 
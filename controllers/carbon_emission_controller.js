@@ -1,6 +1,10 @@
 // File: controllers/carbonEmissionController.js
 const carbonEmissionService = require("../services/carbon_emission_service");
+const importJobService = require("../services/import_job_service");
 const { validationResult } = require("express-validator");
+const AppError = require("../utils/app_error");
+const { assertCompanyAccess } = require("../middlewares/tenancy");
+const { isDryRun } = require("../utils/import_preview");
 
 class CarbonEmissionController {
   /**
@@ -52,6 +56,7 @@ class CarbonEmissionController {
           message: "Company ID is required",
         });
       }
+      assertCompanyAccess(req, companyId);
 
       // Determine file type
       const fileExtension = req.file.originalname
@@ -60,19 +65,40 @@ class CarbonEmissionController {
         .toLowerCase();
       const fileType = this.getFileType(fileExtension);
 
-      const result = await carbonEmissionService.uploadCarbonEmissionFile(
-        req.file,
-        fileType,
+      if (isDryRun(req)) {
+        const preview = await carbonEmissionService.previewCarbonEmissionFile(
+          {
+            originalname: req.file.originalname,
+            buffer: req.file.buffer,
+          },
+          fileType,
+          companyId,
+          parseInt(year) || new Date().getFullYear()
+        );
+
+        return res.status(200).json({
+          success: true,
+          message: "Import preview generated; nothing was saved",
+          data: preview,
+        });
+      }
+
+      // Parsing and saving run in the import job worker
+      const job = await importJobService.enqueueImportJob(req, {
+        type: "carbon_file",
         companyId,
-        parseInt(year) || new Date().getFullYear(),
-        req.user.id,
-        importNotes
-      );
+        modules: ["carbon"],
+        params: {
+          file_type: fileType,
+          year: parseInt(year) || new Date().getFullYear(),
+          import_notes: importNotes,
+        },
+      });
 
-      res.status(201).json({
+      res.status(202).json({
         success: true,
-        message: "Carbon emission file uploaded and processed successfully",
-        data: result,
+        message: "Carbon emission file queued for import",
+        data: importJobService.describeJob(job),
       });
     } catch (error) {
       this.handleError(res, error, "uploadCarbonEmissionFile");
@@ -448,6 +474,14 @@ class CarbonEmissionController {
   handleError(res, error, methodName) {
     console.error(`CarbonEmissionController.${methodName} error:`, error);
 
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        code: error.code,
+        message: error.message,
+      });
+    }
+
     // Handle specific error types
     if (error.message.includes("not found")) {
       return res.status(404).json({
@@ -1,10 +1,6 @@
 const companyService = require("../services/company_service");
 const asyncHandler = require("../utils/async_handler");
 const AppError = require("../utils/app_error");
-const jwt = require("jsonwebtoken");
-
-const JWT_SECRET = process.env.JWT_SECRET || "change-this-secret";
-const JWT_EXPIRES_IN = "7d";
 
 function requireFields(body, fields = []) {
   const missing = fields.filter(
@@ -17,30 +13,18 @@ function requireFields(body, fields = []) {
 }
 
 /**
- * Create a token for a company registration (public)
- * This is separate from member/owner auth tokens.
- */
-function generateCompanyToken(company) {
-  return jwt.sign(
-    { sub: company._id.toString(), type: "company", name: company.name },
-    JWT_SECRET,
-    { expiresIn: JWT_EXPIRES_IN },
-  );
-}
-
-/**
- * Public: Register company (no auth) and return token
+ * Public: Register company (no auth)
  * POST /api/companies/register
+ * No token is issued: access to the company goes through member sign-in,
+ * whose sessions can be refreshed and revoked.
  */
 const registerCompanyPublic = asyncHandler(async (req, res) => {
   requireFields(req.body, ["name"]);
 
   const company = await companyService.createCompany(req.body);
-  const token = generateCompanyToken(company);
 
   res.status(201).json({
     message: "Company registered successfully",
-    token,
     company,
   });
 });
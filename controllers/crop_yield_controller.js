@@ -1,6 +1,10 @@
 const cropYieldService = require("../services/crop_yield_service");
 const asyncHandler = require("../utils/async_handler");
 const AppError = require("../utils/app_error");
+const { isDryRun } = require("../utils/import_preview");
+const { parseConflictPolicy } = require("../utils/import_conflicts");
+const importMappingService = require("../services/import_mapping_service");
+const importJobService = require("../services/import_job_service");
 
 function requireFields(body, fields = []) {
   const missing = fields.filter(
@@ -32,27 +36,44 @@ class CropYieldController {
       dataPeriodEnd: req.body.data_period_end,
       originalSource: req.body.original_source,
       source: req.body.source || "File Import",
+      conflictPolicy: parseConflictPolicy(
+        req.body.conflict_policy || req.query.conflict_policy,
+      ),
+      mappingTemplate: await importMappingService.getTemplateForImport(
+        companyId,
+        req.body.mapping_template_id || req.query.mapping_template_id,
+        "crop_yield",
+      ),
     };
 
-    const record = await cropYieldService.importFromFile(
-      req.file.buffer,
-      req.file.originalname,
+    if (isDryRun(req)) {
+      const preview = await cropYieldService.previewImportFromFile(
+        req.file.buffer,
+        req.file.originalname,
+        companyId,
+        userId,
+        metadata,
+      );
+
+      return res.status(200).json({
+        success: true,
+        message: "Import preview generated; nothing was saved",
+        data: preview,
+      });
+    }
+
+    // Parsing and saving run in the import job worker
+    const job = await importJobService.enqueueFileImport(
+      req,
+      "crop_yield",
       companyId,
-      userId,
       metadata,
     );
 
-    res.status(201).json({
+    res.status(202).json({
       success: true,
-      message: "File data imported successfully",
-      data: {
-        record_id: record._id,
-        version: record.version,
-        import_date: record.import_date,
-        import_source: record.import_source,
-        metrics_count: record.metrics.length,
-        summary_stats: record.summary_stats,
-      },
+      message: "File import queued",
+      data: importJobService.describeJob(job),
     });
   });
 
@@ -1,6 +1,7 @@
 const esgDashboardService = require("../services/esg_dashboard_service");
 const asyncHandler = require("../utils/async_handler");
 const AppError = require("../utils/app_error");
+const { parseUnitPreferences, applyUnitPreferences } = require("../utils/units");
 const SoilHealthCarbonQualityData = require("../services/soil_health_carbon_quality_service");
 const CropYieldRiskData = require("../services/crop_yield_forecast_service");
 const GHGEmissionsData = require("../services/GHGEmissions_service");
@@ -14,23 +15,98 @@ const HealthSafetyData = require("../services/health_and_safety_service");
 const GovernanceBoardData = require("../services/governance_and_board_service");
 const CommunityEngagementData = require("../services/community_engagement_service");
 const OverallESGScoreData = require("../services/overal_esg_service");
+const materialityService = require("../services/materiality_service");
+const dashboardCacheService = require("../services/dashboard_cache_service");
+const dashboardComparisonService = require("../services/dashboard_comparison_service");
+
+function parseYear(year) {
+  const parsed = parseInt(year, 10);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
 /**
- * 1. Soil Health & Carbon Quality API
- * GET /api/v1/esg-dashboard/soil-health-carbon/:companyId
+ * Conditional-GET headers of a cached dashboard response. `req.fresh` is
+ * then true when the client's If-None-Match / If-Modified-Since still match.
  */
-const getSoilHealthCarbonQuality = asyncHandler(async (req, res) => {
-  const { companyId } = req.params;
-  const { year } = req.query;
+function setCacheHeaders(res, etag, lastModified) {
+  res.set("ETag", etag);
+  res.set("Last-Modified", new Date(lastModified).toUTCString());
+  res.set("Cache-Control", "private, no-cache");
+}
 
-  const data = await SoilHealthCarbonQualityData.getSoilHealthCarbonQualityData(
+/**
+ * A dashboard's data from the dashboard cache: the single-year view, or
+ * with a period (see dashboard_comparison_service) the view of its last
+ * year with the period comparison added as `comparison`.
+ *
+ * `aggregate` marks a section of the aggregate dashboard, which is compared
+ * on the stored ESG metrics it reads rather than on the endpoint's sources.
+ *
+ * @returns {Promise<{data, parts: Object[]}>} parts are the cache results
+ *   the data was assembled from, for the ETag and Last-Modified
+ */
+async function loadDashboard(companyId, { api, cacheKey = api, year, period, load, aggregate = false }) {
+  if (!period) {
+    const result = await dashboardCacheService.getOrCompute(companyId, cacheKey, year, () =>
+      load(companyId, year)
+    );
+    return { data: result.data, parts: [result] };
+  }
+
+  const comparison = await dashboardCacheService.getOrCompute(
     companyId,
-    year ? parseInt(year) : null
+    `${cacheKey}.comparison:${period.key}`,
+    null,
+    () => dashboardComparisonService.compareDashboard(companyId, api, period, { aggregate })
+  );
+  const toYear = comparison.data.period.to_year;
+  const result = await dashboardCacheService.getOrCompute(companyId, cacheKey, toYear, () =>
+    load(companyId, toYear)
+  );
+  return { data: { ...result.data, comparison: comparison.data }, parts: [result, comparison] };
+}
+
+function lastModifiedOf(parts) {
+  return Math.max(...parts.map((part) => new Date(part.lastModified).getTime()));
+}
+
+/**
+ * Serve a single dashboard from the dashboard cache, or 304 Not Modified
+ * when the client already holds the current version. Unit preferences are
+ * applied after caching, so they are part of the ETag but not the cache key.
+ */
+async function sendDashboard(req, res, { api, load, message, name }) {
+  const { companyId } = req.params;
+  const year = parseYear(req.query.year);
+  const period = dashboardComparisonService.parsePeriodQuery(req.query);
+  const units = parseUnitPreferences(req.query.units);
+
+  const { data, parts } = await loadDashboard(companyId, { api, year, period, load });
+
+  setCacheHeaders(
+    res,
+    dashboardCacheService.entityTag(...parts.map((part) => part.etag), req.query.units),
+    lastModifiedOf(parts)
   );
+  if (req.fresh) return res.status(304).end();
 
   res.status(200).json({
+    message,
+    api: name,
+    data: applyUnitPreferences(data, units),
+  });
+}
+
+/**
+ * 1. Soil Health & Carbon Quality API
+ * GET /api/v1/esg-dashboard/soil-health-carbon/:companyId
+ */
+const getSoilHealthCarbonQuality = asyncHandler(async (req, res) => {
+  await sendDashboard(req, res, {
+    api: "soilHealthCarbon",
+    load: (companyId, year) => SoilHealthCarbonQualityData.getSoilHealthCarbonQualityData(companyId, year),
     message: "Soil health and carbon quality data retrieved successfully",
-    api: "Soil Health & Carbon Quality API",
-    data,
+    name: "Soil Health & Carbon Quality API",
   });
 });
 
@@ -39,18 +115,11 @@ const getSoilHealthCarbonQuality = asyncHandler(async (req, res) => {
  * GET /api/v1/esg-dashboard/crop-yield-forecast/:companyId
  */
 const getCropYieldForecast = asyncHandler(async (req, res) => {
-  const { companyId } = req.params;
-  const { year } = req.query;
-
-  const data = await CropYieldRiskData.getCropYieldForecastData(
-    companyId,
-    year ? parseInt(year) : null
-  );
-
-  res.status(200).json({
+  await sendDashboard(req, res, {
+    api: "cropYieldForecastRisk",
+    load: (companyId, year) => CropYieldRiskData.getCropYieldForecastData(companyId, year),
     message: "Crop yield forecast and risk data retrieved successfully",
-    api: "Crop Yield Forecast & Risk API",
-    data,
+    name: "Crop Yield Forecast & Risk API",
   });
 });
 
@@ -59,18 +128,11 @@ const getCropYieldForecast = asyncHandler(async (req, res) => {
  * GET /api/v1/esg-dashboard/ghg-emissions/:companyId
  */
 const getGHGEmissions = asyncHandler(async (req, res) => {
-  const { companyId } = req.params;
-  const { year } = req.query;
-
-  const data = await GHGEmissionsData.getGHGEmissionsData(
-    companyId,
-    year ? parseInt(year) : null
-  );
-
-  res.status(200).json({
+  await sendDashboard(req, res, {
+    api: "ghgEmissions",
+    load: (companyId, year) => GHGEmissionsData.getGHGEmissionsData(companyId, year),
     message: "GHG emissions data retrieved successfully",
-    api: "GHG Emissions API",
-    data,
+    name: "GHG Emissions API",
   });
 });
 
@@ -79,18 +141,11 @@ const getGHGEmissions = asyncHandler(async (req, res) => {
  * GET /api/v1/esg-dashboard/biodiversity-landuse/:companyId
  */
 const getBiodiversityLandUse = asyncHandler(async (req, res) => {
-  const { companyId } = req.params;
-  const { year } = req.query;
-
-  const data = await BiodiversityLanduseData.getBiodiversityLandUseData(
-    companyId,
-    year ? parseInt(year) : null
-  );
-
-  res.status(200).json({
+  await sendDashboard(req, res, {
+    api: "biodiversityLandUse",
+    load: (companyId, year) => BiodiversityLanduseData.getBiodiversityLandUseData(companyId, year),
     message: "Biodiversity and land use data retrieved successfully",
-    api: "Biodiversity & Land Use Integrity API",
-    data,
+    name: "Biodiversity & Land Use Integrity API",
   });
 });
 
@@ -99,18 +154,11 @@ const getBiodiversityLandUse = asyncHandler(async (req, res) => {
  * GET /api/v1/esg-dashboard/irrigation-water/:companyId
  */
 const getIrrigationWaterRisk = asyncHandler(async (req, res) => {
-  const { companyId } = req.params;
-  const { year } = req.query;
-
-  const data = await IrrigationWaterRiskData.getIrrigationEfficiencyAndWaterRisk(
-    companyId,
-    year ? parseInt(year) : null
-  );
-
-  res.status(200).json({
+  await sendDashboard(req, res, {
+    api: "irrigationWater",
+    load: (companyId, year) => IrrigationWaterRiskData.getIrrigationEfficiencyAndWaterRisk(companyId, year),
     message: "Irrigation efficiency and water risk data retrieved successfully",
-    api: "Irrigation Efficiency & Water Risk API",
-    data,
+    name: "Irrigation Efficiency & Water Risk API",
   });
 });
 
@@ -119,18 +167,11 @@ const getIrrigationWaterRisk = asyncHandler(async (req, res) => {
  * GET /api/v1/esg-dashboard/farm-compliance/:companyId
  */
 const getFarmCompliance = asyncHandler(async (req, res) => {
-  const { companyId } = req.params;
-  const { year } = req.query;
-
-  const data = await FarmComplianceData.getFarmComplianceData(
-    companyId,
-    year ? parseInt(year) : null
-  );
-
-  res.status(200).json({
+  await sendDashboard(req, res, {
+    api: "farmManagementCompliance",
+    load: (companyId, year) => FarmComplianceData.getFarmComplianceData(companyId, year),
     message: "Farm management compliance data retrieved successfully",
-    api: "Farm Management Compliance API",
-    data,
+    name: "Farm Management Compliance API",
   });
 });
 
@@ -139,18 +180,11 @@ const getFarmCompliance = asyncHandler(async (req, res) => {
  * GET /api/v1/esg-dashboard/energy-renewables/:companyId
  */
 const getEnergyRenewables = asyncHandler(async (req, res) => {
-  const { companyId } = req.params;
-  const { year } = req.query;
-
-  const data = await EnergyConsumptionData.getEnergyRenewablesData(
-    companyId,
-    year ? parseInt(year) : null
-  );
-
-  res.status(200).json({
+  await sendDashboard(req, res, {
+    api: "energyConsumptionRenewables",
+    load: (companyId, year) => EnergyConsumptionData.getEnergyRenewablesData(companyId, year),
     message: "Energy consumption and renewables data retrieved successfully",
-    api: "Energy Consumption & Renewables API",
-    data,
+    name: "Energy Consumption & Renewables API",
   });
 });
 
@@ -159,18 +193,11 @@ const getEnergyRenewables = asyncHandler(async (req, res) => {
  * GET /api/v1/esg-dashboard/waste-management/:companyId
  */
 const getWasteManagement = asyncHandler(async (req, res) => {
-  const { companyId } = req.params;
-  const { year } = req.query;
-
-  const data = await WasteManagementData.getWasteManagementData(
-    companyId,
-    year ? parseInt(year) : null
-  );
-
-  res.status(200).json({
+  await sendDashboard(req, res, {
+    api: "wasteManagement",
+    load: (companyId, year) => WasteManagementData.getWasteManagementData(companyId, year),
     message: "Waste management data retrieved successfully",
-    api: "Waste Management API",
-    data,
+    name: "Waste Management API",
   });
 });
 
@@ -179,18 +206,11 @@ const getWasteManagement = asyncHandler(async (req, res) => {
  * GET /api/v1/esg-dashboard/workforce-diversity/:companyId
  */
 const getWorkforceDiversity = asyncHandler(async (req, res) => {
-  const { companyId } = req.params;
-  const { year } = req.query;
-
-  const data = await WorkforceDiversityData.getWorkforceDiversityData(
-    companyId,
-    year ? parseInt(year) : null
-  );
-
-  res.status(200).json({
+  await sendDashboard(req, res, {
+    api: "workforceDiversity",
+    load: (companyId, year) => WorkforceDiversityData.getWorkforceDiversityData(companyId, year),
     message: "Workforce and diversity data retrieved successfully",
-    api: "Workforce & Diversity API",
-    data,
+    name: "Workforce & Diversity API",
   });
 });
 
@@ -199,18 +219,11 @@ const getWorkforceDiversity = asyncHandler(async (req, res) => {
  * GET /api/v1/esg-dashboard/health-safety/:companyId
  */
 const getHealthSafety = asyncHandler(async (req, res) => {
-  const { companyId } = req.params;
-  const { year } = req.query;
-
-  const data = await HealthSafetyData.getHealthSafetyData(
-    companyId,
-    year ? parseInt(year) : null
-  );
-
-  res.status(200).json({
+  await sendDashboard(req, res, {
+    api: "healthSafety",
+    load: (companyId, year) => HealthSafetyData.getHealthSafetyData(companyId, year),
     message: "Health and safety data retrieved successfully",
-    api: "Health & Safety API",
-    data,
+    name: "Health & Safety API",
   });
 });
 
@@ -219,18 +232,11 @@ const getHealthSafety = asyncHandler(async (req, res) => {
  * GET /api/v1/esg-dashboard/governance-board/:companyId
  */
 const getGovernanceBoard = asyncHandler(async (req, res) => {
-  const { companyId } = req.params;
-  const { year } = req.query;
-
-  const data = await GovernanceBoardData.getGovernanceBoardData(
-    companyId,
-    year ? parseInt(year) : null
-  );
-
-  res.status(200).json({
+  await sendDashboard(req, res, {
+    api: "governanceBoardMetrics",
+    load: (companyId, year) => GovernanceBoardData.getGovernanceBoardData(companyId, year),
     message: "Governance and board metrics data retrieved successfully",
-    api: "Governance & Board Metrics API",
-    data,
+    name: "Governance & Board Metrics API",
   });
 });
 
@@ -239,18 +245,11 @@ const getGovernanceBoard = asyncHandler(async (req, res) => {
  * GET /api/v1/esg-dashboard/community-engagement/:companyId
  */
 const getCommunityEngagement = asyncHandler(async (req, res) => {
-  const { companyId } = req.params;
-  const { year } = req.query;
-
-  const data = await CommunityEngagementData.getCommunityEngagementData(
-    companyId,
-    year ? parseInt(year) : null
-  );
-
-  res.status(200).json({
+  await sendDashboard(req, res, {
+    api: "communityEngagement",
+    load: (companyId, year) => CommunityEngagementData.getCommunityEngagementData(companyId, year),
     message: "Community engagement data retrieved successfully",
-    api: "Community Engagement API",
-    data,
+    name: "Community Engagement API",
   });
 });
 
@@ -259,76 +258,101 @@ const getCommunityEngagement = asyncHandler(async (req, res) => {
  * GET /api/v1/esg-dashboard/overall-esg/:companyId
  */
 const getOverallESGScore = asyncHandler(async (req, res) => {
-  const { companyId } = req.params;
-  const { year } = req.query;
-
-  const data = await OverallESGScoreData.getOverallESGScoreData(
-    companyId,
-    year ? parseInt(year) : null
-  );
-
-  res.status(200).json({
+  await sendDashboard(req, res, {
+    api: "overallESGScore",
+    load: (companyId, year) => OverallESGScoreData.getOverallESGScoreData(companyId, year),
     message: "Overall ESG score data retrieved successfully",
-    api: "Overall ESG Score API",
-    data,
+    name: "Overall ESG Score API",
   });
 });
 
+/**
+ * Sections returned by the aggregate endpoint, keyed by response property,
+ * each gated by its ApiPermissions flag.
+ */
+const DASHBOARD_SECTIONS = [
+  { key: "soilHealthCarbonQuality", permission: "soilHealthCarbon", load: esgDashboardService.getSoilHealthCarbonQualityData },
+  { key: "cropYieldForecast", permission: "cropYieldForecastRisk", load: esgDashboardService.getCropYieldForecastData },
+  { key: "ghgEmissions", permission: "ghgEmissions", load: esgDashboardService.getGHGEmissionsData },
+  { key: "biodiversityLandUse", permission: "biodiversityLandUse", load: esgDashboardService.getBiodiversityLandUseData },
+  { key: "irrigationWaterRisk", permission: "irrigationWater", load: esgDashboardService.getIrrigationWaterRiskData },
+  { key: "farmManagementCompliance", permission: "farmManagementCompliance", load: esgDashboardService.getFarmComplianceData },
+  { key: "energyConsumptionRenewables", permission: "energyConsumptionRenewables", load: esgDashboardService.getEnergyRenewablesData },
+  { key: "wasteManagement", permission: "wasteManagement", load: esgDashboardService.getWasteManagementData },
+  { key: "workforceDiversity", permission: "workforceDiversity", load: esgDashboardService.getWorkforceDiversityData },
+  { key: "healthSafety", permission: "healthSafety", load: esgDashboardService.getHealthSafetyData },
+  { key: "governanceBoardMetrics", permission: "governanceBoardMetrics", load: esgDashboardService.getGovernanceBoardData },
+  { key: "communityEngagement", permission: "communityEngagement", load: esgDashboardService.getCommunityEngagementData },
+  { key: "overallESGScore", permission: "overallESGScore", load: esgDashboardService.getOverallESGScoreData },
+];
+
 /**
  * Get all ESG dashboard APIs data at once
  * GET /api/v1/esg-dashboard/all/:companyId
+ * Only sections enabled in the company's ApiPermissions are computed, and
+ * the ETag covers exactly those. The ones linked to material topics of the
+ * company's approved materiality assessment are listed in
+ * `highlightedSections`. With a period, every section carries its own
+ * `comparison`; a missing to_year is resolved per section.
  */
 const getAllESGDashboardData = asyncHandler(async (req, res) => {
   const { companyId } = req.params;
-  const { year } = req.query;
-
-  const [
-    soilHealth,
-    cropYield,
-    ghgEmissions,
-    biodiversity,
-    irrigation,
-    farmCompliance,
-    energy,
-    waste,
-    workforce,
-    healthSafety,
-    governance,
-    community,
-    overallESG,
-  ] = await Promise.all([
-    esgDashboardService.getSoilHealthCarbonQualityData(companyId, year),
-    esgDashboardService.getCropYieldForecastData(companyId, year),
-    esgDashboardService.getGHGEmissionsData(companyId, year),
-    esgDashboardService.getBiodiversityLandUseData(companyId, year),
-    IrrigationWaterRiskData.getIrrigationWaterRiskData(companyId, year),
-    esgDashboardService.getFarmComplianceData(companyId, year),
-    esgDashboardService.getEnergyRenewablesData(companyId, year),
-    esgDashboardService.getWasteManagementData(companyId, year),
-    esgDashboardService.getWorkforceDiversityData(companyId, year),
-    esgDashboardService.getHealthSafetyData(companyId, year),
-    esgDashboardService.getGovernanceBoardData(companyId, year),
-    esgDashboardService.getCommunityEngagementData(companyId, year),
-    esgDashboardService.getOverallESGScoreData(companyId, year),
+  const year = parseYear(req.query.year);
+  const period = dashboardComparisonService.parsePeriodQuery(req.query);
+  const units = parseUnitPreferences(req.query.units);
+  const permissions = req.apiPermissions || {};
+
+  const enabled = DASHBOARD_SECTIONS.filter((s) => permissions[s.permission]);
+  const omitted = DASHBOARD_SECTIONS.filter((s) => !permissions[s.permission]);
+  const materialityYear = period ? period.to_year : year;
+
+  // Each section is cached on its own so enabling or disabling an API
+  // does not recompute the others
+  const [materiality, ...sections] = await Promise.all([
+    dashboardCacheService.getOrCompute(companyId, "all.materiality", materialityYear, () =>
+      materialityService.getCompanyMateriality(companyId, materialityYear)
+    ),
+    ...enabled.map((section) =>
+      loadDashboard(companyId, {
+        api: section.permission,
+        cacheKey: `all.${section.key}`,
+        year,
+        period,
+        load: section.load,
+        aggregate: true,
+      })
+    ),
   ]);
 
+  const parts = [materiality, ...sections.flatMap((section) => section.parts)];
+  setCacheHeaders(
+    res,
+    dashboardCacheService.entityTag(
+      ...parts.map((part) => part.etag),
+      omitted.map((s) => s.key).join(","),
+      req.query.units
+    ),
+    lastModifiedOf(parts)
+  );
+  if (req.fresh) return res.status(304).end();
+
+  const data = {};
+  enabled.forEach((section, index) => {
+    data[section.key] = sections[index].data;
+  });
+  const assessment = materiality.data;
   res.status(200).json({
     message: "All ESG dashboard data retrieved successfully",
-    data: {
-      soilHealthCarbonQuality: soilHealth,
-      cropYieldForecast: cropYield,
-      ghgEmissions,
-      biodiversityLandUse: biodiversity,
-      irrigationWaterRisk: irrigation,
-      farmManagementCompliance: farmCompliance,
-      energyConsumptionRenewables: energy,
-      wasteManagement: waste,
-      workforceDiversity: workforce,
-      healthSafety,
-      governanceBoardMetrics: governance,
-      communityEngagement: community,
-      overallESGScore: overallESG,
-    },
+    data: applyUnitPreferences(data, units),
+    omittedSections: omitted.map((s) => ({
+      section: s.key,
+      permission: s.permission,
+      reason: "API_NOT_ENABLED",
+    })),
+    materialityAssessment: assessment ? assessment.assessment : null,
+    highlightedSections: assessment
+      ? assessment.highlighted_sections.filter((h) => data[h.section] !== undefined)
+      : [],
   });
 });
 
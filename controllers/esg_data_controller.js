@@ -1,8 +1,15 @@
 const esgDataService = require("../services/esg_data_service");
+const importJobService = require("../services/import_job_service");
+const esgMetricsImportService = require("../services/esg_metrics_import_service");
 const asyncHandler = require("../utils/async_handler");
 const AppError = require("../utils/app_error");
+const { assertCompanyAccess } = require("../middlewares/tenancy");
+const { assertScope } = require("../middlewares/auth");
+const { parseConflictPolicy } = require("../utils/import_conflicts");
+const { isDryRun } = require("../utils/import_preview");
 const multer = require("multer");
 const path = require("path");
+const { AsyncResource } = require("async_hooks");
 
 // Configure multer for file upload
 const storage = multer.memoryStorage(); // Store file in memory as buffer
@@ -41,8 +48,8 @@ function requireFields(body, fields = []) {
  * POST /api/v1/esg-data/upload
  */
 const uploadESGDataFile = asyncHandler(async (req, res) => {
-  // Use multer middleware
-  upload(req, res, async (err) => {
+  // Use multer middleware; bound so the request context survives busboy's callbacks
+  upload(req, res, AsyncResource.bind(async (err) => {
     if (err) {
       if (err instanceof AppError) {
         throw err;
@@ -59,6 +66,7 @@ const uploadESGDataFile = asyncHandler(async (req, res) => {
     if (!req.body.companyId) {
       throw new AppError("Company ID is required", 400, "MISSING_COMPANY_ID");
     }
+    assertCompanyAccess(req, req.body.companyId);
 
     // Determine file type based on extension
     const originalName = req.file.originalname.toLowerCase();
@@ -74,24 +82,55 @@ const uploadESGDataFile = asyncHandler(async (req, res) => {
       throw new AppError("Unsupported file format", 400, "UNSUPPORTED_FORMAT");
     }
 
-    // Parse and process the file
-    const result = await esgDataService.parseAndProcessFile(
-      req.file.buffer,
-      fileType,
-      req.body.companyId,
-      req.user._id,
-      req.file.originalname
-    );
+    // A wide year-column metrics table also fills the domain modules that
+    // track the same metrics, unless the upload opts out
+    const syncModules = String(req.body.sync_modules).toLowerCase() !== "false";
+    const tablePlan = syncModules && fileType !== "json"
+      ? esgMetricsImportService.planTableImport(req.file.buffer, req.file.originalname)
+      : null;
+    const modules = ["esg_data", ...(tablePlan ? tablePlan.modules : [])];
+    for (const module of modules.slice(1)) {
+      await assertScope(req, `${module}:write`);
+    }
 
-    res.status(201).json({
-      message: `Successfully uploaded and processed ${req.file.originalname}`,
+    // Without a policy, conflicts with stored values end the job with
+    // status "conflicts"; it is then retried with one
+    const conflictPolicy = parseConflictPolicy(req.body.conflict_policy);
+
+    if (isDryRun(req)) {
+      const preview = await esgDataService.previewFile(
+        req.file.buffer,
+        fileType,
+        req.body.companyId,
+        req.user._id,
+        req.file.originalname,
+        { syncModules, conflictPolicy },
+      );
+      return res.status(200).json({
+        message: "Import preview generated; nothing was saved",
+        fileName: req.file.originalname,
+        fileType,
+        data: preview,
+      });
+    }
+
+    // Parsing and saving run in the import job worker
+    const job = await importJobService.enqueueImportJob(req, {
+      type: "esg_data_file",
+      companyId: req.body.companyId,
+      modules,
+      params: { file_type: fileType, sync_modules: syncModules, conflict_policy: conflictPolicy },
+    });
+
+    res.status(202).json({
+      message: `${req.file.originalname} queued for import`,
       fileName: req.file.originalname,
       fileType: fileType,
-      count: result.count,
-      batchId: result.batchId,
-      success: result.success
+      jobId: job._id,
+      batchId: job.batch_id,
+      job: importJobService.describeJob(job),
     });
-  });
+  }));
 });
 
 /**
@@ -120,6 +159,11 @@ const createBulkESGData = asyncHandler(async (req, res) => {
     });
   }
 
+  // Every record in the batch must belong to a company the caller can access
+  for (const item of req.body.data) {
+    assertCompanyAccess(req, item?.company);
+  }
+
   const importInfo = {
     source_file_name: req.body.fileName || "bulk_import.json",
     source_file_type: req.body.fileType || "json",
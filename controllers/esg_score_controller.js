@@ -0,0 +1,111 @@
+// controllers/esg_score_controller.js
+const asyncHandler = require("../utils/async_handler");
+const AppError = require("../utils/app_error");
+const esgScoringService = require("../services/esg_scoring_service");
+
+function actorFrom(req) {
+  return { id: req.user._id, type: req.userType };
+}
+
+function parseYear(value) {
+  if (value === undefined || value === "") return undefined;
+  const year = parseInt(value, 10);
+  if (Number.isNaN(year)) throw new AppError("year must be a number", 400, "INVALID_YEAR");
+  return year;
+}
+
+/**
+ * Score a company, with the metrics behind every score
+ * GET /api/v1/esg-scores/company/:companyId
+ * (?year=, ?methodology_version=, ?trend=true, ?materiality=false)
+ */
+const getCompanyScore = asyncHandler(async (req, res) => {
+  const score = await esgScoringService.scoreCompany(req.params.companyId, {
+    year: parseYear(req.query.year),
+    version: req.query.methodology_version,
+    trend: req.query.trend === "true",
+    materiality: req.query.materiality !== "false",
+  });
+  res.status(200).json({ message: "ESG score computed", data: score });
+});
+
+/**
+ * GET /api/v1/esg-scores/methodologies
+ */
+const listMethodologies = asyncHandler(async (req, res) => {
+  const methodologies = await esgScoringService.listMethodologies();
+  res.status(200).json({ count: methodologies.length, methodologies });
+});
+
+/**
+ * The methodology scores are computed with now (?version= for another)
+ * GET /api/v1/esg-scores/methodologies/current
+ */
+const getCurrentMethodology = asyncHandler(async (req, res) => {
+  const methodology = await esgScoringService.resolveMethodology(req.query.version);
+  res.status(200).json({ methodology });
+});
+
+/**
+ * GET /api/v1/esg-scores/methodologies/:methodologyId
+ */
+const getMethodology = asyncHandler(async (req, res) => {
+  const methodology = await esgScoringService.getMethodology(req.params.methodologyId);
+  res.status(200).json({ methodology });
+});
+
+/**
+ * POST /api/v1/esg-scores/methodologies
+ */
+const createMethodology = asyncHandler(async (req, res) => {
+  const methodology = await esgScoringService.createMethodology(req.body, actorFrom(req));
+  res.status(201).json({
+    message: `Scoring methodology version ${methodology.version} created as a draft`,
+    methodology,
+  });
+});
+
+/**
+ * PUT /api/v1/esg-scores/methodologies/:methodologyId
+ */
+const updateMethodology = asyncHandler(async (req, res) => {
+  const methodology = await esgScoringService.updateMethodology(
+    req.params.methodologyId,
+    req.body,
+    actorFrom(req)
+  );
+  res.status(200).json({ message: "Scoring methodology updated", methodology });
+});
+
+/**
+ * POST /api/v1/esg-scores/methodologies/:methodologyId/activate
+ */
+const activateMethodology = asyncHandler(async (req, res) => {
+  const methodology = await esgScoringService.activateMethodology(
+    req.params.methodologyId,
+    actorFrom(req)
+  );
+  res.status(200).json({
+    message: `Scoring methodology version ${methodology.version} is active`,
+    methodology,
+  });
+});
+
+/**
+ * DELETE /api/v1/esg-scores/methodologies/:methodologyId
+ */
+const deleteMethodology = asyncHandler(async (req, res) => {
+  await esgScoringService.deleteMethodology(req.params.methodologyId);
+  res.status(200).json({ message: "Scoring methodology draft deleted" });
+});
+
+module.exports = {
+  getCompanyScore,
+  listMethodologies,
+  getCurrentMethodology,
+  getMethodology,
+  createMethodology,
+  updateMethodology,
+  activateMethodology,
+  deleteMethodology,
+};
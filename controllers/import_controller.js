@@ -0,0 +1,304 @@
+// controllers/import_controller.js
+const asyncHandler = require("../utils/async_handler");
+const AppError = require("../utils/app_error");
+const workbookImportService = require("../services/workbook_import_service");
+const importJobService = require("../services/import_job_service");
+const importBatchService = require("../services/import_batch_service");
+const pdfImportService = require("../services/pdf_import_service");
+const seriesImportService = require("../services/series_import_service");
+const { discardUpload } = require("../middlewares/uploadMiddleware");
+const { assertScope } = require("../middlewares/auth");
+const { assertCompanyAccess } = require("../middlewares/tenancy");
+const { isDryRun } = require("../utils/import_preview");
+const { parseConflictPolicy } = require("../utils/import_conflicts");
+
+/**
+ * Import every sheet of an Excel workbook into the module it routes to
+ * POST /api/v1/imports/company/:companyId/workbook
+ */
+const importWorkbook = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    throw new AppError("No file provided", 400, "NO_FILE_PROVIDED");
+  }
+  if (!/\.xlsx?$/i.test(req.file.originalname)) {
+    throw new AppError("Workbook imports need an Excel file (.xlsx or .xls)", 400, "UNSUPPORTED_FORMAT");
+  }
+
+  const { companyId } = req.params;
+  const conflictPolicy = parseConflictPolicy(req.body.conflict_policy || req.query.conflict_policy);
+  const plan = await workbookImportService.planWorkbook(
+    req.file.buffer,
+    req.file.originalname,
+    companyId,
+    req.body.sheet_routes
+  );
+
+  // Write access is checked per module the workbook actually touches
+  for (const module of workbookImportService.plannedModules(plan)) {
+    await assertScope(req, `${module}:write`);
+  }
+
+  if (isDryRun(req)) {
+    return res.status(200).json({
+      success: true,
+      message: "Sheet routing generated; nothing was saved",
+      data: {
+        dry_run: true,
+        file_name: req.file.originalname,
+        sheets: workbookImportService.describePlan(plan),
+      },
+    });
+  }
+
+  // Sheets are imported by the import job worker; routing and access were
+  // checked above so a bad request still fails here
+  const job = await importJobService.enqueueImportJob(req, {
+    type: "workbook",
+    companyId,
+    modules: workbookImportService.plannedModules(plan),
+    params: {
+      sheet_routes: req.body.sheet_routes,
+      metadata: {
+        dataPeriodStart: req.body.data_period_start,
+        dataPeriodEnd: req.body.data_period_end,
+        originalSource: req.body.original_source,
+        source: req.body.source || "Workbook Import",
+        conflictPolicy,
+      },
+    },
+  });
+
+  res.status(202).json({
+    success: true,
+    message: "Workbook import queued",
+    data: importJobService.describeJob(job),
+  });
+});
+
+/**
+ * Company a batch lookup is limited to: any (or none) for owners,
+ * otherwise the caller's own company.
+ */
+function scopedCompanyId(req) {
+  if (req.userType === "owner") return req.query.companyId;
+  const companyId = req.query.companyId || req.user.company?.toString();
+  assertCompanyAccess(req, companyId);
+  return companyId;
+}
+
+/**
+ * What rolling back an import batch would revert
+ * GET /api/v1/imports/:batchId
+ */
+const previewBatch = asyncHandler(async (req, res) => {
+  const preview = await importBatchService.previewBatch(req.params.batchId, scopedCompanyId(req));
+  for (const module of new Set(preview.items.map((item) => item.module))) {
+    await assertScope(req, `${module}:read`);
+  }
+  res.status(200).json({ success: true, data: preview });
+});
+
+/**
+ * Revert every record an import batch wrote, across modules
+ * DELETE /api/v1/imports/:batchId (?dry_run=true for the preview)
+ */
+const rollbackBatch = asyncHandler(async (req, res) => {
+  const { batchId } = req.params;
+  const companyId = scopedCompanyId(req);
+
+  const preview = await importBatchService.previewBatch(batchId, companyId);
+  for (const module of preview.modules) {
+    await assertScope(req, `${module}:restore`);
+  }
+
+  if (isDryRun(req)) {
+    return res.status(200).json({
+      success: true,
+      message: "Rollback preview generated; nothing was changed",
+      data: { dry_run: true, ...preview },
+    });
+  }
+
+  const result = await importBatchService.rollbackBatch(batchId, companyId, req.user._id);
+  res.status(200).json({
+    success: true,
+    message: `Import batch ${batchId} rolled back`,
+    data: result,
+  });
+});
+
+/**
+ * Extract the metric tables of a PDF report and propose rows to confirm
+ * POST /api/v1/imports/company/:companyId/pdf
+ */
+const extractPdf = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    throw new AppError("No file provided", 400, "NO_FILE_PROVIDED");
+  }
+  if (!/\.pdf$/i.test(req.file.originalname)) {
+    throw new AppError("PDF imports need a .pdf file", 400, "UNSUPPORTED_FORMAT");
+  }
+
+  const extraction = await pdfImportService.createExtraction(
+    req.file.buffer,
+    req.file,
+    req.params.companyId,
+    { id: req.user._id, type: req.userType },
+    { sourceName: req.body.source_name }
+  );
+
+  res.status(201).json({
+    success: true,
+    message: `${extraction.rows.length} rows proposed from ${extraction.tables.length} tables; confirm them into a module`,
+    data: pdfImportService.describeExtraction(extraction),
+  });
+});
+
+/**
+ * Rows proposed from a PDF report and what has been confirmed so far
+ * GET /api/v1/imports/pdf/:extractionId
+ */
+const getPdfExtraction = asyncHandler(async (req, res) => {
+  const extraction = await pdfImportService.getExtraction(
+    req.params.extractionId,
+    scopedCompanyId(req)
+  );
+  res.status(200).json({
+    success: true,
+    data: pdfImportService.describeExtraction(extraction),
+  });
+});
+
+/**
+ * Write confirmed PDF rows into a module
+ * POST /api/v1/imports/pdf/:extractionId/confirm (?dry_run=true for the plan)
+ */
+const confirmPdfExtraction = asyncHandler(async (req, res) => {
+  const extraction = await pdfImportService.getExtraction(
+    req.params.extractionId,
+    scopedCompanyId(req)
+  );
+
+  const plan = await pdfImportService.planConfirmation(extraction, req.body);
+  await assertScope(req, `${plan.module}:write`);
+
+  if (isDryRun(req)) {
+    return res.status(200).json({
+      success: true,
+      message: "Confirmation plan generated; nothing was saved",
+      data: { dry_run: true, ...plan },
+    });
+  }
+
+  const result = await pdfImportService.confirmExtraction(extraction, plan, req.user._id);
+  res.status(201).json({
+    success: true,
+    message: `${result.rows_count} rows imported into ${result.module}`,
+    data: result,
+  });
+});
+
+/**
+ * Stream a large time-series CSV into the company's series rows
+ * POST /api/v1/imports/company/:companyId/series (?dry_run=true for the
+ * column plan and the first rows)
+ */
+const importSeries = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    throw new AppError("No file provided", 400, "NO_FILE_PROVIDED");
+  }
+
+  try {
+    const { module, dataset } = req.body;
+    if (!seriesImportService.SERIES_MODULES.includes(module)) {
+      throw new AppError(
+        `module must be one of: ${seriesImportService.SERIES_MODULES.join(", ")}`,
+        400,
+        "INVALID_MODULE"
+      );
+    }
+    await assertScope(req, `${module}:write`);
+
+    const columns = {
+      site_column: req.body.site_column,
+      date_column: req.body.date_column,
+      year_column: req.body.year_column,
+      month_column: req.body.month_column,
+    };
+    const datasetKey = seriesImportService.datasetKey(dataset);
+    const plan = await seriesImportService.planSeriesFile(req.file.path, columns);
+
+    if (isDryRun(req)) {
+      await discardUpload(req.file);
+      return res.status(200).json({
+        success: true,
+        message: "Column plan generated; nothing was saved",
+        data: {
+          dry_run: true,
+          file_name: req.file.originalname,
+          size: req.file.size,
+          module,
+          dataset: datasetKey,
+          ...plan,
+        },
+      });
+    }
+
+    // The worker reads the file from disk in chunks; the job only keeps its path
+    const job = await importJobService.enqueueImportJob(req, {
+      type: "series_file",
+      companyId: req.params.companyId,
+      modules: [module],
+      params: {
+        module,
+        dataset: datasetKey,
+        columns,
+        chunk_size: req.body.chunk_size,
+      },
+    });
+
+    res.status(202).json({
+      success: true,
+      message: "Series import queued",
+      data: importJobService.describeJob(job),
+    });
+  } catch (error) {
+    await discardUpload(req.file);
+    throw error;
+  }
+});
+
+/**
+ * A page of a company's imported series rows
+ * GET /api/v1/imports/company/:companyId/series?dataset=&module=&site=&from=&to=&page=&limit=
+ */
+const listSeries = asyncHandler(async (req, res) => {
+  const { companyId } = req.params;
+  const { dataset, site, from, to, page, limit } = req.query;
+
+  const module = await seriesImportService.datasetModule(companyId, dataset, req.query.module);
+  await assertScope(req, `${module}:read`);
+
+  const result = await seriesImportService.listObservations({
+    companyId,
+    module,
+    dataset,
+    site,
+    from,
+    to,
+    page,
+    limit,
+  });
+  res.status(200).json({ success: true, module, ...result });
+});
+
+module.exports = {
+  importWorkbook,
+  previewBatch,
+  rollbackBatch,
+  extractPdf,
+  getPdfExtraction,
+  confirmPdfExtraction,
+  importSeries,
+  listSeries,
+};
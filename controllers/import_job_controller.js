@@ -0,0 +1,73 @@
+// controllers/import_job_controller.js
+const asyncHandler = require("../utils/async_handler");
+const importJobService = require("../services/import_job_service");
+const { assertCompanyAccess } = require("../middlewares/tenancy");
+const { assertScope } = require("../middlewares/auth");
+const { parseConflictPolicy } = require("../utils/import_conflicts");
+
+/**
+ * Company the caller may list: any (or none) for owners, otherwise the
+ * caller's own company.
+ */
+function scopedCompanyId(req, requested) {
+  if (req.userType === "owner") return requested;
+  const companyId = requested || req.user.company?.toString();
+  assertCompanyAccess(req, companyId);
+  return companyId;
+}
+
+async function loadJob(req) {
+  const job = await importJobService.getJob(req.params.id);
+  assertCompanyAccess(req, job.company);
+  return job;
+}
+
+/**
+ * Import jobs, newest first
+ * GET /api/v1/jobs?companyId=&status=&type=&page=&limit=
+ */
+const listJobs = asyncHandler(async (req, res) => {
+  const { status, type, page, limit } = req.query;
+  const companyId = scopedCompanyId(req, req.query.companyId);
+
+  const result = await importJobService.listJobs({ companyId, status, type, page, limit });
+  res.status(200).json({
+    ...result,
+    items: result.items.map(importJobService.describeJob),
+  });
+});
+
+/**
+ * Status, progress, row counts and errors of one job
+ * GET /api/v1/jobs/:id
+ */
+const getJob = asyncHandler(async (req, res) => {
+  const job = await loadJob(req);
+  res.status(200).json({ job: importJobService.describeJob(job) });
+});
+
+/**
+ * Queue a failed job again, or one that stopped on conflicts with the
+ * policy to settle them
+ * POST /api/v1/jobs/:id/retry
+ */
+const retryJob = asyncHandler(async (req, res) => {
+  const job = await loadJob(req);
+  for (const module of job.modules) {
+    await assertScope(req, `${module}:write`);
+  }
+
+  const queued = await importJobService.retryJob(job._id, {
+    conflictPolicy: parseConflictPolicy(req.body?.conflict_policy || req.query.conflict_policy),
+  });
+  res.status(202).json({
+    message: "Import job queued for retry",
+    job: importJobService.describeJob(queued),
+  });
+});
+
+module.exports = {
+  listJobs,
+  getJob,
+  retryJob,
+};
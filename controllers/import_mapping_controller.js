@@ -0,0 +1,104 @@
+// controllers/import_mapping_controller.js
+const asyncHandler = require("../utils/async_handler");
+const AppError = require("../utils/app_error");
+const importMappingService = require("../services/import_mapping_service");
+const { assertScope } = require("../middlewares/auth");
+
+function requireFields(body, fields = []) {
+  const missing = fields.filter(
+    (f) => body?.[f] === undefined || body?.[f] === ""
+  );
+  if (missing.length)
+    throw new AppError("Missing required fields", 400, "MISSING_FIELDS", {
+      missing,
+    });
+}
+
+function actorFrom(req) {
+  return { id: req.user._id, type: req.userType };
+}
+
+/**
+ * Editing a template needs write access to the module it imports into.
+ */
+function assertModuleWrite(req, module) {
+  return assertScope(req, `${module}:write`);
+}
+
+/**
+ * List a company's mapping templates (?module=, ?includeInactive=true)
+ * GET /api/v1/import-templates/company/:companyId
+ */
+const list = asyncHandler(async (req, res) => {
+  const templates = await importMappingService.listTemplates(req.params.companyId, {
+    module: req.query.module,
+    includeInactive: req.query.includeInactive === "true",
+  });
+  res.status(200).json({ count: templates.length, templates });
+});
+
+/**
+ * GET /api/v1/import-templates/company/:companyId/:templateId
+ */
+const get = asyncHandler(async (req, res) => {
+  const template = await importMappingService.getTemplate(
+    req.params.companyId,
+    req.params.templateId
+  );
+  res.status(200).json({ template });
+});
+
+/**
+ * POST /api/v1/import-templates/company/:companyId
+ */
+const create = asyncHandler(async (req, res) => {
+  requireFields(req.body, ["name", "module", "mappings"]);
+  await assertModuleWrite(req, req.body.module);
+
+  const template = await importMappingService.createTemplate(
+    req.params.companyId,
+    req.body,
+    actorFrom(req)
+  );
+  res.status(201).json({ message: "Mapping template created", template });
+});
+
+/**
+ * PUT /api/v1/import-templates/company/:companyId/:templateId
+ */
+const update = asyncHandler(async (req, res) => {
+  const { companyId, templateId } = req.params;
+  const existing = await importMappingService.getTemplate(companyId, templateId);
+  await assertModuleWrite(req, existing.module);
+  if (req.body.module && req.body.module !== existing.module) {
+    await assertModuleWrite(req, req.body.module);
+  }
+
+  const template = await importMappingService.updateTemplate(
+    companyId,
+    templateId,
+    req.body,
+    actorFrom(req)
+  );
+  res.status(200).json({ message: "Mapping template updated", template });
+});
+
+/**
+ * DELETE /api/v1/import-templates/company/:companyId/:templateId
+ */
+const remove = asyncHandler(async (req, res) => {
+  const { companyId, templateId } = req.params;
+  const existing = await importMappingService.getTemplate(companyId, templateId);
+  await assertModuleWrite(req, existing.module);
+
+  await importMappingService.deleteTemplate(companyId, templateId);
+  res.status(200).json({ message: "Mapping template deleted" });
+});
+
+module.exports = {
+  list,
+  get,
+  create,
+  update,
+  remove,
+};
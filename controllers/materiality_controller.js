@@ -0,0 +1,136 @@
+// controllers/materiality_controller.js
+const asyncHandler = require("../utils/async_handler");
+const AppError = require("../utils/app_error");
+const materialityService = require("../services/materiality_service");
+
+function requireFields(body, fields = []) {
+  const missing = fields.filter(
+    (f) => body?.[f] === undefined || body?.[f] === ""
+  );
+  if (missing.length)
+    throw new AppError("Missing required fields", 400, "MISSING_FIELDS", {
+      missing,
+    });
+}
+
+function actorFrom(req) {
+  return { id: req.user._id, type: req.userType };
+}
+
+/**
+ * Standard topics an assessment can rate by key
+ * GET /api/v1/materiality/topics
+ */
+const listTopics = asyncHandler(async (req, res) => {
+  res.status(200).json({
+    count: materialityService.TOPIC_CATALOGUE.length,
+    topics: materialityService.TOPIC_CATALOGUE,
+    dashboard_sections: materialityService.DASHBOARD_SECTION_KEYS,
+  });
+});
+
+/**
+ * List a company's assessments (?status=draft|approved)
+ * GET /api/v1/materiality/company/:companyId
+ */
+const list = asyncHandler(async (req, res) => {
+  const assessments = await materialityService.listAssessments(req.params.companyId, {
+    status: req.query.status,
+  });
+  res.status(200).json({ count: assessments.length, assessments });
+});
+
+/**
+ * Matrix and highlighted sections of the approved assessment for a year
+ * GET /api/v1/materiality/company/:companyId/matrix (?year=)
+ */
+const getMatrix = asyncHandler(async (req, res) => {
+  const { year } = req.query;
+  const materiality = await materialityService.getCompanyMateriality(
+    req.params.companyId,
+    year ? parseInt(year) : null
+  );
+  if (!materiality) {
+    throw new AppError(
+      `No approved materiality assessment${year ? ` for ${year} or earlier` : ""}`,
+      404,
+      "NOT_FOUND"
+    );
+  }
+  res.status(200).json({ data: materiality });
+});
+
+/**
+ * GET /api/v1/materiality/company/:companyId/:assessmentId
+ */
+const get = asyncHandler(async (req, res) => {
+  const assessment = await materialityService.getAssessment(
+    req.params.companyId,
+    req.params.assessmentId
+  );
+  res.status(200).json({ assessment, matrix: materialityService.buildMatrix(assessment) });
+});
+
+/**
+ * POST /api/v1/materiality/company/:companyId
+ */
+const create = asyncHandler(async (req, res) => {
+  requireFields(req.body, ["year"]);
+
+  const assessment = await materialityService.createAssessment(
+    req.params.companyId,
+    req.body,
+    actorFrom(req)
+  );
+  res.status(201).json({
+    message: `Materiality assessment for ${assessment.year} created as a draft`,
+    assessment,
+  });
+});
+
+/**
+ * PUT /api/v1/materiality/company/:companyId/:assessmentId
+ */
+const update = asyncHandler(async (req, res) => {
+  const assessment = await materialityService.updateAssessment(
+    req.params.companyId,
+    req.params.assessmentId,
+    req.body,
+    actorFrom(req)
+  );
+  res.status(200).json({ message: "Materiality assessment updated", assessment });
+});
+
+/**
+ * POST /api/v1/materiality/company/:companyId/:assessmentId/approve
+ */
+const approve = asyncHandler(async (req, res) => {
+  const assessment = await materialityService.approveAssessment(
+    req.params.companyId,
+    req.params.assessmentId,
+    actorFrom(req)
+  );
+  res.status(200).json({
+    message: `Materiality assessment for ${assessment.year} approved`,
+    assessment,
+  });
+});
+
+/**
+ * DELETE /api/v1/materiality/company/:companyId/:assessmentId
+ */
+const remove = asyncHandler(async (req, res) => {
+  await materialityService.deleteAssessment(req.params.companyId, req.params.assessmentId);
+  res.status(200).json({ message: "Materiality assessment deleted" });
+});
+
+module.exports = {
+  listTopics,
+  list,
+  getMatrix,
+  get,
+  create,
+  update,
+  approve,
+  remove,
+};
@@ -2,7 +2,8 @@
 const asyncHandler = require("../utils/async_handler");
 const AppError = require("../utils/app_error");
 const memberService = require("../services/member_service");
-const { generateMemberToken } = require("../middlewares/auth");
+const invitationService = require("../services/member_invitation_service");
+const { startLogin } = require("../middlewares/auth");
 
 function requireFields(body, fields = []) {
   const missing = fields.filter(
@@ -21,66 +22,180 @@ function requireFields(body, fields = []) {
 const login = asyncHandler(async (req, res) => {
   requireFields(req.body, ["email", "password"]);
 
-  const member = await memberService.loginMember(req.body);
-  const token = generateMemberToken(member);
+  const member = await memberService.loginMember({ ...req.body, ip: req.ip });
+  const result = await startLogin(member, "member", req);
+
+  // Admins with 2FA enabled must complete POST /api/v1/auth/2fa/verify
+  if (result.twoFactorRequired) {
+    return res.status(200).json({
+      message: "Two-factor authentication required",
+      twoFactorRequired: true,
+      challengeToken: result.challengeToken,
+      challengeExpiresIn: result.challengeExpiresIn,
+    });
+  }
+
+  const { token, refreshToken, expiresIn } = result;
 
   res.status(200).json({
     message: "Login successful",
     token,
+    refreshToken,
+    expiresIn,
     member,
   });
 });
 
+function actorFrom(req) {
+  return {
+    id: req.user._id,
+    type: req.userType,
+    name:
+      req.userType === "owner" ? req.user.full_name : req.user.getFullName(),
+  };
+}
+
 /**
- * Company-side: Create member for own company
+ * Company admins act on their own company only; owners on any company.
+ */
+function requireAdminOrOwner(req) {
+  if (!req.user) throw new AppError("Unauthorized", 401, "UNAUTHORIZED");
+  if (req.userType === "owner") return;
+  if (req.userType !== "member" || req.user.role !== "admin")
+    throw new AppError("Forbidden: admin only", 403, "FORBIDDEN");
+}
+
+/**
+ * Company-side: Invite a member to own company
  * POST /api/members
- * Auth required: member token; must be admin to add members
+ * Auth required: member token; must be admin to invite members
  */
 const createForMyCompany = asyncHandler(async (req, res) => {
   if (!req.user) throw new AppError("Unauthorized", 401, "UNAUTHORIZED");
   if (req.userType !== "member")
     throw new AppError("Forbidden", 403, "FORBIDDEN");
 
-  // Only company admin can add members
+  // Only company admin can invite members
   if (req.user.role !== "admin")
     throw new AppError("Forbidden: admin only", 403, "FORBIDDEN");
 
-  requireFields(req.body, ["firstName", "lastName", "email", "password"]);
+  requireFields(req.body, ["email"]);
 
-  const member = await memberService.createMember({
-    companyId: req.user.company,
-    ...req.body,
-  });
+  const result = await invitationService.inviteMember(
+    { ...req.body, companyId: req.user.company },
+    actorFrom(req)
+  );
 
   res.status(201).json({
-    message: "Member created successfully",
-    member,
+    message: result.emailSent
+      ? "Invitation sent"
+      : "Invitation created but the email could not be sent; resend it",
+    ...result,
   });
 });
 
 /**
- * Owner-side: Create member for any company
+ * Owner-side: Invite a member to any company
  * POST /api/members/admin
  */
 const createByOwner = asyncHandler(async (req, res) => {
   if (!req.user || req.userType !== "owner")
     throw new AppError("Forbidden: owner only", 403, "FORBIDDEN");
 
-  requireFields(req.body, [
-    "companyId",
-    "firstName",
-    "lastName",
-    "email",
-    "password",
-  ]);
-
-  const member = await memberService.createMember({
-    companyId: req.body.companyId,
-    ...req.body,
-  });
+  requireFields(req.body, ["companyId", "email"]);
+
+  const result = await invitationService.inviteMember(req.body, actorFrom(req));
 
   res.status(201).json({
-    message: "Member created successfully (owner)",
+    message: result.emailSent
+      ? "Invitation sent (owner)"
+      : "Invitation created but the email could not be sent; resend it",
+    ...result,
+  });
+});
+
+/**
+ * List invitations (?status=pending|accepted|revoked|expired)
+ * - Owner can list any company with query companyId
+ * - Company admin lists their own company
+ * GET /api/members/invitations
+ */
+const listInvitations = asyncHandler(async (req, res) => {
+  requireAdminOrOwner(req);
+
+  const companyId =
+    req.userType === "member" ? req.user.company : req.query.companyId;
+
+  const invitations = await invitationService.listInvitations(companyId, {
+    status: req.query.status,
+  });
+
+  res.status(200).json({ count: invitations.length, invitations });
+});
+
+/**
+ * Send a fresh accept link; earlier links stop working
+ * POST /api/members/invitations/:invitationId/resend
+ */
+const resendInvitation = asyncHandler(async (req, res) => {
+  requireAdminOrOwner(req);
+
+  const result = await invitationService.resendInvitation(
+    req.userType === "member" ? req.user.company : null,
+    req.params.invitationId,
+    actorFrom(req)
+  );
+
+  res.status(200).json({
+    message: result.emailSent
+      ? "Invitation resent"
+      : "Invitation renewed but the email could not be sent",
+    ...result,
+  });
+});
+
+/**
+ * Revoke a pending invitation
+ * DELETE /api/members/invitations/:invitationId
+ */
+const revokeInvitation = asyncHandler(async (req, res) => {
+  requireAdminOrOwner(req);
+
+  const invitation = await invitationService.revokeInvitation(
+    req.userType === "member" ? req.user.company : null,
+    req.params.invitationId
+  );
+
+  res.status(200).json({ message: "Invitation revoked", invitation });
+});
+
+/**
+ * Public: details shown on the accept page
+ * GET /api/members/invitations/accept?token=
+ */
+const previewInvitation = asyncHandler(async (req, res) => {
+  if (!req.query.token)
+    throw new AppError("Missing required fields", 400, "MISSING_FIELDS", {
+      missing: ["token"],
+    });
+
+  const invitation = await invitationService.getInvitationPreview(
+    req.query.token
+  );
+  res.status(200).json({ invitation });
+});
+
+/**
+ * Public: accept an invitation, set password and profile
+ * POST /api/members/invitations/accept
+ */
+const acceptInvitation = asyncHandler(async (req, res) => {
+  requireFields(req.body, ["token", "password"]);
+
+  const member = await invitationService.acceptInvitation(req.body);
+
+  res.status(200).json({
+    message: "Invitation accepted. You can now log in.",
     member,
   });
 });
@@ -190,6 +305,11 @@ module.exports = {
   login,
   createForMyCompany,
   createByOwner,
+  listInvitations,
+  resendInvitation,
+  revokeInvitation,
+  previewInvitation,
+  acceptInvitation,
   list,
   getById,
   update,
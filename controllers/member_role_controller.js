@@ -0,0 +1,83 @@
+// controllers/member_role_controller.js
+const asyncHandler = require("../utils/async_handler");
+const AppError = require("../utils/app_error");
+const memberRoleService = require("../services/member_role_service");
+
+function requireFields(body, fields = []) {
+  const missing = fields.filter(
+    (f) => body?.[f] === undefined || body?.[f] === ""
+  );
+  if (missing.length)
+    throw new AppError("Missing required fields", 400, "MISSING_FIELDS", {
+      missing,
+    });
+}
+
+/**
+ * Available scope modules and actions
+ * GET /api/v1/member-roles/scopes
+ */
+const listScopes = asyncHandler(async (req, res) => {
+  res.status(200).json({
+    modules: memberRoleService.SCOPE_MODULES,
+    actions: memberRoleService.SCOPE_ACTIONS,
+    defaultRoles: memberRoleService.DEFAULT_ROLES,
+  });
+});
+
+/**
+ * List roles of a company (default roles are seeded on first call)
+ * GET /api/v1/member-roles/company/:companyId
+ */
+const list = asyncHandler(async (req, res) => {
+  const roles = await memberRoleService.listRoles(req.params.companyId);
+  res.status(200).json({ count: roles.length, roles });
+});
+
+/**
+ * Create a custom role
+ * POST /api/v1/member-roles/company/:companyId
+ */
+const create = asyncHandler(async (req, res) => {
+  requireFields(req.body, ["name", "scopes"]);
+
+  const role = await memberRoleService.createRole(
+    req.params.companyId,
+    req.body,
+    req.user._id
+  );
+
+  res.status(201).json({ message: "Role created successfully", role });
+});
+
+/**
+ * Update a role's description or scopes
+ * PATCH /api/v1/member-roles/company/:companyId/:roleId
+ */
+const update = asyncHandler(async (req, res) => {
+  const role = await memberRoleService.updateRole(
+    req.params.companyId,
+    req.params.roleId,
+    req.body,
+    req.user._id
+  );
+
+  res.status(200).json({ message: "Role updated successfully", role });
+});
+
+/**
+ * Delete a custom role that is not assigned to any member
+ * DELETE /api/v1/member-roles/company/:companyId/:roleId
+ */
+const remove = asyncHandler(async (req, res) => {
+  await memberRoleService.deleteRole(req.params.companyId, req.params.roleId);
+  res.status(200).json({ message: "Role deleted successfully" });
+});
+
+module.exports = {
+  listScopes,
+  list,
+  create,
+  update,
+  remove,
+};
@@ -0,0 +1,15 @@
+// controllers/unit_controller.js
+const asyncHandler = require("../utils/async_handler");
+const { listUnits: listRegistry } = require("../utils/units");
+
+/**
+ * Units registry, grouped by dimension
+ * GET /api/v1/units
+ */
+const listUnits = asyncHandler(async (req, res) => {
+  res.status(200).json({ dimensions: listRegistry() });
+});
+
+module.exports = {
+  listUnits,
+};
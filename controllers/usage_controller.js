@@ -0,0 +1,29 @@
+// controllers/usage_controller.js
+const asyncHandler = require("../utils/async_handler");
+const usageService = require("../services/usage_service");
+
+/**
+ * Owner: dashboard API calls per company per API per day
+ * GET /api/v1/usage?companyId=&api=&from=YYYY-MM-DD&to=YYYY-MM-DD
+ */
+const getDailyUsage = asyncHandler(async (req, res) => {
+  const { companyId, api, from, to } = req.query;
+
+  const { rows, totals } = await usageService.getDailyUsage({
+    companyId,
+    api,
+    from,
+    to,
+  });
+
+  res.status(200).json({
+    filters: { companyId, api, from, to },
+    totals,
+    count: rows.length,
+    usage: rows,
+  });
+});
+
+module.exports = {
+  getDailyUsage,
+};
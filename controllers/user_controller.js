@@ -3,7 +3,7 @@ const userService = require("../services/user_service");
 const asyncHandler = require("../utils/async_handler");
 const { AppError } = require("../utils/error_handler");
 const logger = require("../utils/logger"); // Assuming you have a logger utility
-const { generateOwnerToken } = require("../middlewares/auth");
+const { startLogin } = require("../middlewares/auth");
 
 // Helpers (optional) to validate required fields early with 400
 function requireFields(body, fields = []) {
@@ -17,6 +17,13 @@ function requireFields(body, fields = []) {
   }
 }
 
+// Tell throttled clients when to retry (lockouts, OTP cooldowns)
+function setRetryAfter(res, error) {
+  if (error.details?.retryAfter) {
+    res.set("Retry-After", String(error.details.retryAfter));
+  }
+}
+
 // Helper function to handle and log errors
 function handleError(error, operation, userId = null) {
   const errorInfo = {
@@ -71,6 +78,7 @@ const register = asyncHandler(async (req, res) => {
     });
   } catch (error) {
     const errorResponse = handleError(error, 'User Registration');
+    setRetryAfter(res, error);
     res.status(error.statusCode || 500).json(errorResponse);
   }
 });
@@ -85,15 +93,34 @@ const login = asyncHandler(async (req, res) => {
 
     const { email, password } = req.body;
 
-    const user = await userService.loginUserWithEmailPassword({ email, password });
+    const user = await userService.loginUserWithEmailPassword({
+      email,
+      password,
+      ip: req.ip,
+    });
+
+    // Open a session and issue access + refresh tokens for owner user,
+    // or a 2FA challenge when a second factor is enabled
+    const result = await startLogin(user, "owner", req);
+
+    if (result.twoFactorRequired) {
+      return res.status(200).json({
+        success: true,
+        message: "Two-factor authentication required",
+        twoFactorRequired: true,
+        challengeToken: result.challengeToken,
+        challengeExpiresIn: result.challengeExpiresIn,
+      });
+    }
 
-    // Create JWT for owner user
-    const token = generateOwnerToken(user);
+    const { token, refreshToken, expiresIn } = result;
 
     res.status(200).json({
       success: true,
       message: "Login successful",
       token,
+      refreshToken,
+      expiresIn,
       user: {
         _id: user._id,
         full_name: user.full_name,
@@ -105,6 +132,7 @@ const login = asyncHandler(async (req, res) => {
     });
   } catch (error) {
     const errorResponse = handleError(error, "User Login");
+    setRetryAfter(res, error);
     res.status(error.statusCode || 500).json(errorResponse);
   }
 });
@@ -192,6 +220,7 @@ const requestPasswordResetOtp = asyncHandler(async (req, res) => {
     });
   } catch (error) {
     const errorResponse = handleError(error, 'Request Password Reset OTP');
+    setRetryAfter(res, error);
     res.status(error.statusCode || 500).json(errorResponse);
   }
 });
@@ -242,6 +271,7 @@ const sendDeleteAccountOtp = asyncHandler(async (req, res) => {
     });
   } catch (error) {
     const errorResponse = handleError(error, 'Send Delete Account OTP', req.user?._id);
+    setRetryAfter(res, error);
     res.status(error.statusCode || 500).json(errorResponse);
   }
 });
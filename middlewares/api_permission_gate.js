@@ -0,0 +1,80 @@
+// File: middlewares/api_permission_gate.js
+const AppError = require("../utils/app_error");
+const {
+  PERMISSION_FIELDS,
+  getPermissionFlags,
+} = require("../services/api_permission_service");
+
+/**
+ * Resolve the ApiPermissions flags that apply to this request.
+ * System owners administer every company, so every API is enabled for them.
+ * API keys are further limited to the permissions they were issued with.
+ */
+async function resolveFlags(req, companyId) {
+  if (req.userType === "owner") {
+    return PERMISSION_FIELDS.reduce((acc, field) => {
+      acc[field] = true;
+      return acc;
+    }, {});
+  }
+
+  const flags = await getPermissionFlags(companyId);
+  if (req.userType === "api_key") {
+    for (const field of PERMISSION_FIELDS) {
+      flags[field] = flags[field] && req.apiKey.permissions.includes(field);
+    }
+  }
+  return flags;
+}
+
+/**
+ * Gate a company-scoped route behind one ApiPermissions flag.
+ * Must run after `authenticate`. Responds 403 API_NOT_ENABLED when the
+ * company has not been granted the API.
+ */
+function requireApiPermission(permission) {
+  if (!PERMISSION_FIELDS.includes(permission)) {
+    throw new Error(`Unknown API permission: ${permission}`);
+  }
+
+  return async (req, res, next) => {
+    try {
+      const { companyId } = req.params;
+      const flags = await resolveFlags(req, companyId);
+      req.apiPermissions = flags;
+
+      if (!flags[permission]) {
+        return next(
+          new AppError(
+            "This API is not enabled for your company",
+            403,
+            "API_NOT_ENABLED",
+            { permission, company: companyId },
+          ),
+        );
+      }
+
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+/**
+ * Attach the company's ApiPermissions flags to `req.apiPermissions` without
+ * rejecting the request. Used by aggregate routes that filter per section.
+ */
+async function attachApiPermissions(req, res, next) {
+  try {
+    req.apiPermissions = await resolveFlags(req, req.params.companyId);
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  requireApiPermission,
+  attachApiPermissions,
+};
@@ -3,36 +3,229 @@ const jwt = require("jsonwebtoken");
 const bcrypt = require("bcryptjs");
 const Member = require("../models/member_model");    // adjust path
 const User = require("../models/users_model");     
-const JWT_SECRET = process.env.JWT_SECRET || "change-this-secret";
-const JWT_EXPIRES_IN = "7d";
-function generateMemberToken(member) {
+const {
+  getScopesForMember,
+  scopeMatches,
+} = require("../services/member_role_service");
+const sessionService = require("../services/session_service");
+const apiKeyService = require("../services/api_key_service");
+const twoFactorService = require("../services/two_factor_service");
+const loginProtection = require("../services/login_protection_service");
+const AppError = require("../utils/app_error");
+
+require("dotenv").config();
+
+const JWT_SECRET = process.env.JWT_SECRET;
+// Refuse to boot with a missing, placeholder or trivially short secret
+if (!JWT_SECRET || JWT_SECRET === "change-this-secret" || JWT_SECRET.length < 32) {
+  console.error("❌ JWT_SECRET must be set in .env (at least 32 characters)");
+  process.exit(1);
+}
+const JWT_EXPIRES_IN = process.env.JWT_ACCESS_EXPIRES_IN || "15m";
+const TWO_FACTOR_CHALLENGE_EXPIRES_IN = "5m";
+
+function generateMemberToken(member, sessionId) {
   return jwt.sign(
     {
       sub: member._id.toString(),
       type: "member",                 // identify token type
       role: member.role,
       company: member.company,
+      sid: sessionId?.toString(),     // server-side session, checked on every request
     },
     JWT_SECRET,
     { expiresIn: JWT_EXPIRES_IN }
   );
 }
-function generateOwnerToken(user) {
+function generateOwnerToken(user, sessionId) {
   return jwt.sign(
     {
       sub: user._id.toString(),
       type: "owner",                  // identify token as owner
       email: user.email,
+      sid: sessionId?.toString(),
     },
     JWT_SECRET,
     { expiresIn: JWT_EXPIRES_IN }
   );
 }
 
+function deviceFromRequest(req) {
+  return {
+    name: req.body?.deviceName,
+    user_agent: req.headers["user-agent"],
+    ip: req.ip,
+  };
+}
+
+/**
+ * Open a session and issue a short-lived access token plus a refresh token.
+ * @param {Object} subject - User (owner) or Member document
+ * @param {"owner"|"member"} type
+ */
+async function issueTokens(subject, type, req) {
+  const { session, refreshToken } = await sessionService.createSession(
+    subject._id,
+    type,
+    deviceFromRequest(req)
+  );
+  const token =
+    type === "owner"
+      ? generateOwnerToken(subject, session._id)
+      : generateMemberToken(subject, session._id);
+
+  return {
+    token,
+    refreshToken,
+    expiresIn: JWT_EXPIRES_IN,
+    sessionId: session._id,
+  };
+}
+
+/**
+ * Load the owner or member behind a session, or null if it may no longer sign in.
+ */
+async function loadActiveSubject(subjectId, type) {
+  if (type === "owner") {
+    const user = await User.findById(subjectId);
+    if (!user || user.status === "deleted" || user.status === "suspended") return null;
+    return user;
+  }
+
+  const member = await Member.findById(subjectId);
+  if (!member || member.status === "inactive") return null;
+  return member;
+}
+
+/**
+ * Rotate a refresh token and issue a new access token for the same session.
+ * The account must still be active.
+ */
+async function refreshTokens(refreshToken, req) {
+  const { session, refreshToken: nextRefreshToken } =
+    await sessionService.rotateRefreshToken(refreshToken, deviceFromRequest(req));
+
+  const subject = await loadActiveSubject(session.subject, session.subject_type);
+
+  if (!subject) {
+    await sessionService.revokeAllSessions(session.subject, "account_disabled");
+    throw new AppError("Account not found or inactive", 401, "ACCOUNT_INACTIVE");
+  }
+
+  const token =
+    session.subject_type === "owner"
+      ? generateOwnerToken(subject, session._id)
+      : generateMemberToken(subject, session._id);
+
+  return {
+    token,
+    refreshToken: nextRefreshToken,
+    expiresIn: JWT_EXPIRES_IN,
+    sessionId: session._id,
+  };
+}
+
+/**
+ * Finish a password login. Accounts with 2FA enabled get a short-lived
+ * challenge token instead of a session; it is exchanged for tokens by
+ * `completeTwoFactorLogin` once the second factor is verified.
+ * @returns {Promise<Object>} either issueTokens() output or
+ *   { twoFactorRequired: true, challengeToken, challengeExpiresIn }
+ */
+async function startLogin(subject, type, req) {
+  if (!subject.two_factor?.enabled) {
+    return issueTokens(subject, type, req);
+  }
+
+  const challengeToken = jwt.sign(
+    { sub: subject._id.toString(), type, purpose: "2fa" },
+    JWT_SECRET,
+    { expiresIn: TWO_FACTOR_CHALLENGE_EXPIRES_IN }
+  );
+
+  return {
+    twoFactorRequired: true,
+    challengeToken,
+    challengeExpiresIn: TWO_FACTOR_CHALLENGE_EXPIRES_IN,
+  };
+}
+
+/**
+ * Exchange a 2FA challenge token plus a TOTP or recovery code for tokens.
+ */
+async function completeTwoFactorLogin(challengeToken, code, req) {
+  let decoded;
+  try {
+    decoded = jwt.verify(challengeToken, JWT_SECRET);
+  } catch (err) {
+    throw new AppError("Invalid or expired challenge", 401, "INVALID_CHALLENGE");
+  }
+  if (decoded.purpose !== "2fa") {
+    throw new AppError("Invalid or expired challenge", 401, "INVALID_CHALLENGE");
+  }
+
+  const subject = await loadActiveSubject(decoded.sub, decoded.type);
+  if (!subject) {
+    throw new AppError("Account not found or inactive", 401, "ACCOUNT_INACTIVE");
+  }
+
+  // Wrong codes count as failed sign-ins, same as wrong passwords
+  const attempt = { type: decoded.type, email: subject.email, ip: req.ip };
+  await loginProtection.assertLoginAllowed(attempt);
+
+  let result;
+  try {
+    result = await twoFactorService.verifyLoginCode(subject._id, decoded.type, code);
+  } catch (err) {
+    if (err.code === "INVALID_2FA_CODE") {
+      await loginProtection.recordLoginFailure(attempt);
+    }
+    throw err;
+  }
+  await loginProtection.recordLoginSuccess(attempt);
+
+  const { method, recoveryCodesRemaining } = result;
+
+  const tokens = await issueTokens(subject, decoded.type, req);
+  return { ...tokens, subject, type: decoded.type, method, recoveryCodesRemaining };
+}
+
 const generateToken = generateMemberToken;
+/**
+ * Let `authenticate` accept company API keys (X-API-Key) on this router.
+ * Mount with `router.use(allowApiKey)` before the routes.
+ */
+function allowApiKey(req, res, next) {
+  req.allowApiKey = true;
+  next();
+}
+
+async function authenticateApiKey(req, res, next, rawKey) {
+  if (!req.allowApiKey) {
+    return res.status(401).json({ message: "API keys are not accepted on this route" });
+  }
+
+  const apiKey = await apiKeyService.verifyApiKey(rawKey);
+  if (!apiKey) {
+    return res.status(401).json({ message: "Invalid, expired or revoked API key" });
+  }
+
+  await apiKeyService.recordUsage(apiKey._id);
+
+  req.user = apiKey;              // carries `company` for tenancy checks
+  req.userType = "api_key";
+  req.apiKey = apiKey;
+  next();
+}
+
 async function authenticate(req, res, next) {
   try {
     const header = req.headers.authorization;
+    const apiKeyHeader = req.headers["x-api-key"];
+
+    if (apiKeyHeader && !header) {
+      return authenticateApiKey(req, res, next, apiKeyHeader);
+    }
 
     if (!header || !header.startsWith("Bearer ")) {
       return res.status(401).json({ message: "Unauthorized: No token" });
@@ -47,7 +240,17 @@ async function authenticate(req, res, next) {
       return res.status(401).json({ message: "Invalid or expired token" });
     }
 
-    const { sub, type } = decoded;
+    const { sub, type, sid, purpose } = decoded;
+
+    // 2FA challenge tokens only work on /auth/2fa/verify
+    if (purpose) {
+      return res.status(401).json({ message: "Two-factor verification required" });
+    }
+
+    // Access tokens are bound to a session so logout/revocation is immediate
+    if (!sid || !(await sessionService.isSessionActive(sid))) {
+      return res.status(401).json({ message: "Session expired or revoked" });
+    }
 
     let userDoc = null;
     let userType = type;
@@ -69,6 +272,7 @@ async function authenticate(req, res, next) {
 
     req.user = userDoc;
     req.userType = userType; // "owner" or "member"
+    req.sessionId = sid;
 
     next();
   } catch (err) {
@@ -96,6 +300,74 @@ function requireRole(role) {
   };
 }
 
+/**
+ * Require a "<module>:<action>" scope from the member's company role.
+ * System owner bypasses scope checks.
+ */
+function requireScope(scope) {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({ message: "Not authenticated" });
+      }
+
+      if (req.userType === "owner") {
+        return next();
+      }
+
+      // API keys are read-only dashboard credentials
+      if (req.userType === "api_key") {
+        if (scope === "dashboard:read") return next();
+        return res.status(403).json({
+          message: "Forbidden: API keys can only read dashboards",
+          code: "INSUFFICIENT_SCOPE",
+          required: scope,
+        });
+      }
+
+      if (!req.scopes) {
+        req.scopes = await getScopesForMember(req.user);
+      }
+
+      if (!scopeMatches(req.scopes, scope)) {
+        return res.status(403).json({
+          message: "Forbidden: insufficient scope",
+          code: "INSUFFICIENT_SCOPE",
+          required: scope,
+        });
+      }
+
+      next();
+    } catch (err) {
+      console.error("Scope check error:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  };
+}
+
+/**
+ * Throwing counterpart of requireScope for handlers whose scope depends on
+ * the request body, e.g. the module a template or workbook sheet targets.
+ */
+async function assertScope(req, scope) {
+  if (req.userType === "owner") return;
+
+  if (req.userType === "api_key") {
+    if (scope === "dashboard:read") return;
+    throw new AppError("Forbidden: API keys can only read dashboards", 403, "INSUFFICIENT_SCOPE", {
+      required: scope,
+    });
+  }
+
+  if (!req.scopes) req.scopes = await getScopesForMember(req.user);
+
+  if (!scopeMatches(req.scopes, scope)) {
+    throw new AppError("Forbidden: insufficient scope", 403, "INSUFFICIENT_SCOPE", {
+      required: scope,
+    });
+  }
+}
+
 /**
  * Optional: ensure ONLY owner can access a route
  */
@@ -117,8 +389,15 @@ module.exports = {
   generateToken,        // alias for generateMemberToken
   generateMemberToken,
   generateOwnerToken,
+  issueTokens,
+  refreshTokens,
+  startLogin,
+  completeTwoFactorLogin,
+  allowApiKey,
   authenticate,
   requireRole,
+  requireScope,
+  assertScope,
   requireOwner,
   hashPassword,
   verifyPassword,
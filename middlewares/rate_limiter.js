@@ -0,0 +1,130 @@
+// File: middlewares/rate_limiter.js
+const AppError = require("../utils/app_error");
+const { createStore } = require("../utils/rate_limit_stores");
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Buckets a request is counted against. A request is rejected as soon as
+ * any of its buckets is over its limit.
+ */
+function bucketsFor(req, limits) {
+  const buckets = [];
+
+  if (req.apiKey && limits.apiKey) {
+    buckets.push({ scope: "api_key", key: `key:${req.apiKey._id}`, limit: limits.apiKey });
+  }
+
+  const company = req.params.companyId || req.user?.company;
+  if (company && limits.company) {
+    buckets.push({ scope: "company", key: `company:${company}`, limit: limits.company });
+  }
+
+  if (limits.ip) {
+    buckets.push({ scope: "ip", key: `ip:${req.ip}`, limit: limits.ip });
+  }
+
+  return buckets;
+}
+
+/**
+ * Per-API-key, per-company and per-IP rate limiting over a fixed window.
+ * Sets the IETF `RateLimit-Limit`, `RateLimit-Remaining` and
+ * `RateLimit-Reset` headers for the tightest bucket and fails with
+ * 429 RATE_LIMITED (plus `Retry-After`) when a bucket is exhausted.
+ * Must run after `authenticate` so the key and company are known.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.windowMs]
+ * @param {{apiKey?: number, company?: number, ip?: number}} [options.limits]
+ * @param {{increment: Function}} [options.store] see utils/rate_limit_stores
+ * @param {string} [options.prefix] namespaces the counters of this limiter
+ */
+function rateLimit(options = {}) {
+  const windowMs = options.windowMs || envInt("RATE_LIMIT_WINDOW_MS", 60 * 1000);
+  const limits = options.limits || {
+    apiKey: envInt("RATE_LIMIT_PER_API_KEY", 60),
+    company: envInt("RATE_LIMIT_PER_COMPANY", 300),
+    ip: envInt("RATE_LIMIT_PER_IP", 120),
+  };
+  const store = options.store || createStore();
+  const prefix = options.prefix || "rl";
+
+  return async (req, res, next) => {
+    try {
+      const buckets = bucketsFor(req, limits);
+      if (!buckets.length) return next();
+
+      const results = await Promise.all(
+        buckets.map(async (bucket) => ({
+          ...bucket,
+          ...(await store.increment(`${prefix}:${bucket.key}`, windowMs)),
+        })),
+      );
+
+      // Report the bucket with the least headroom
+      const tightest = results.reduce((a, b) =>
+        b.limit - b.count < a.limit - a.count ? b : a,
+      );
+      const resetSeconds = Math.max(
+        0,
+        Math.ceil((tightest.resetAt.getTime() - Date.now()) / 1000),
+      );
+
+      res.set("RateLimit-Limit", String(tightest.limit));
+      res.set("RateLimit-Remaining", String(Math.max(0, tightest.limit - tightest.count)));
+      res.set("RateLimit-Reset", String(resetSeconds));
+
+      if (tightest.count > tightest.limit) {
+        res.set("Retry-After", String(resetSeconds));
+        return next(
+          new AppError("Too many requests, please slow down", 429, "RATE_LIMITED", {
+            scope: tightest.scope,
+            limit: tightest.limit,
+            windowMs,
+            retryAfter: resetSeconds,
+          }),
+        );
+      }
+
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+/**
+ * Shared limiter for the ESG dashboard APIs.
+ */
+const dashboardRateLimit = rateLimit({ prefix: "dashboard" });
+
+/**
+ * Per-IP limiter for public endpoints that email a one-time code.
+ */
+const otpRequestRateLimit = rateLimit({
+  prefix: "otp",
+  windowMs: 15 * 60 * 1000,
+  limits: { ip: envInt("RATE_LIMIT_OTP_PER_IP", 5) },
+});
+
+/**
+ * Per-company limiter for peer benchmarks. Each response says where the
+ * company stands among its peers, so re-querying after every edit of its
+ * own data must not be cheap.
+ */
+const benchmarkRateLimit = rateLimit({
+  prefix: "benchmark",
+  windowMs: 60 * 60 * 1000,
+  limits: { company: envInt("RATE_LIMIT_BENCHMARK_PER_COMPANY", 30) },
+});
+
+module.exports = {
+  rateLimit,
+  dashboardRateLimit,
+  otpRequestRateLimit,
+  benchmarkRateLimit,
+};
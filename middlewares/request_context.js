@@ -0,0 +1,26 @@
+// File: middlewares/request_context.js
+const crypto = require("crypto");
+const { runWithContext } = require("../utils/request_context");
+
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Give every request an id (a well-formed incoming `X-Request-Id` is kept,
+ * so ids can be traced across services), echo it back in the response and
+ * open a request context for the rest of the chain.
+ *
+ * Mount after the body parsers: callbacks fired from request stream events
+ * run outside the context.
+ */
+function requestContext(req, res, next) {
+  const incoming = req.get("X-Request-Id");
+  const requestId =
+    incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+
+  req.requestId = requestId;
+  res.set("X-Request-Id", requestId);
+
+  runWithContext({ requestId, req }, () => next());
+}
+
+module.exports = requestContext;
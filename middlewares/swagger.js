@@ -5042,6 +5042,7 @@ const options = {
   },
   apis: [
     "./routers/user_router.js", // adjust path if needed
+    "./routers/auth_router.js",
     "./routers/company_router.js", // adjust path if needed
     "./routers/member_router.js", // adjust path if needed
     "./routers/esg_data_router.js", // adjust path if needed
@@ -5059,6 +5060,17 @@ const options = {
     "./routers/community_engagement_router.js", // adjust path if needed
     "./routers/overall_esg_router.js", // adjust path if needed
     "./routers/api_permission_router.js",
+    "./routers/member_role_router.js",
+    "./routers/api_key_router.js",
+    "./routers/usage_router.js",
+    "./routers/audit_router.js",
+    "./routers/import_mapping_router.js",
+    "./routers/import_router.js",
+    "./routers/import_job_router.js",
+    "./routers/unit_router.js",
+    "./routers/esg_score_router.js",
+    "./routers/materiality_router.js",
+    "./routers/benchmark_router.js",
   ],
 };
 
@@ -0,0 +1,97 @@
+// File: middlewares/tenancy.js
+const AppError = require("../utils/app_error");
+const auditLogger = require("../utils/audit_logger");
+
+function logDenial(req, companyId, reason) {
+  auditLogger.warn("Company access denied", {
+    event: "TENANCY_DENIED",
+    reason,
+    user: req.user?._id?.toString(),
+    userType: req.userType,
+    userCompany: req.user?.company?.toString(),
+    requestedCompany: companyId ? companyId.toString() : null,
+    method: req.method,
+    path: req.originalUrl,
+    ip: req.ip,
+  });
+}
+
+/**
+ * Throw unless the authenticated caller may act on `companyId`.
+ * Owners may access any company; members only their own.
+ */
+function assertCompanyAccess(req, companyId) {
+  if (!req.user) throw new AppError("Unauthorized", 401, "UNAUTHORIZED");
+  if (req.userType === "owner") return;
+
+  if (!companyId) {
+    logDenial(req, companyId, "missing_company");
+    throw new AppError("Company is required", 400, "MISSING_COMPANY_ID");
+  }
+
+  if (req.user.company?.toString() !== companyId.toString()) {
+    logDenial(req, companyId, "company_mismatch");
+    throw new AppError(
+      "You can only access your own company's data",
+      403,
+      "COMPANY_ACCESS_DENIED",
+    );
+  }
+}
+
+/**
+ * Guard for routes carrying `:companyId` in the path.
+ * Must run after `authenticate`.
+ */
+function requireCompanyAccess(req, res, next) {
+  try {
+    assertCompanyAccess(req, req.params.companyId);
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Guard for routes that name the company in the JSON body
+ * (e.g. `company` on create, `companyId` on some imports).
+ */
+function requireBodyCompanyAccess(field = "company") {
+  return (req, res, next) => {
+    try {
+      assertCompanyAccess(req, req.body?.[field]);
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+/**
+ * Guard for `/:id` routes: loads the record's company from `Model` and
+ * checks it against the caller. Missing records fall through so the
+ * controller can answer with its usual 404.
+ */
+function requireRecordCompanyAccess(Model, param = "id") {
+  return async (req, res, next) => {
+    try {
+      if (req.userType === "owner") return next();
+
+      const record = await Model.findById(req.params[param])
+        .select("company")
+        .lean();
+      if (record) assertCompanyAccess(req, record.company);
+
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+module.exports = {
+  assertCompanyAccess,
+  requireCompanyAccess,
+  requireBodyCompanyAccess,
+  requireRecordCompanyAccess,
+};
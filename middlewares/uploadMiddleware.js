@@ -1,6 +1,10 @@
 // File: middlewares/uploadMiddleware.js
+const fs = require("fs");
+const os = require("os");
 const multer = require("multer");
 const path = require("path");
+const crypto = require("crypto");
+const { AsyncResource } = require("async_hooks");
 
 // Configure storage
 const storage = multer.memoryStorage();
@@ -26,4 +30,79 @@ const upload = multer({
   },
 });
 
-module.exports = upload;
\ No newline at end of file
+// Sustainability report PDFs for table extraction (services/pdf_import_service);
+// only the PDF import route takes them
+const pdfUpload = multer({
+  storage: storage,
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() === ".pdf") {
+      cb(null, true);
+    } else {
+      cb(new Error("Only PDF files are allowed"), false);
+    }
+  },
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB limit
+  },
+});
+
+// Large CSV uploads (services/series_import_service) are written to disk as
+// they arrive and read back as a stream by the import job worker, so they
+// never sit in memory. The worker must see the same directory: instances
+// that only serve HTTP (IMPORT_WORKER_ENABLED=false) need it shared.
+const LARGE_UPLOAD_DIR =
+  process.env.IMPORT_UPLOAD_DIR || path.join(os.tmpdir(), "esg-import-uploads");
+const LARGE_UPLOAD_MAX_MB = parseInt(process.env.IMPORT_LARGE_UPLOAD_MAX_MB, 10) || 1024;
+
+const largeStorage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    fs.promises
+      .mkdir(LARGE_UPLOAD_DIR, { recursive: true })
+      .then(() => cb(null, LARGE_UPLOAD_DIR), cb);
+  },
+  filename: (req, file, cb) => {
+    cb(null, `${Date.now()}-${crypto.randomBytes(6).toString("hex")}.csv`);
+  },
+});
+
+const largeUpload = multer({
+  storage: largeStorage,
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() === ".csv") {
+      cb(null, true);
+    } else {
+      cb(new Error("Only CSV files can be uploaded as large imports"), false);
+    }
+  },
+  limits: {
+    fileSize: LARGE_UPLOAD_MAX_MB * 1024 * 1024,
+  },
+});
+
+// multer resumes the chain from busboy stream events, outside the request's
+// async context; bind `next` so the request context (request id, caller)
+// is still there for the handlers and the audit trail
+for (const instance of [upload, pdfUpload, largeUpload]) {
+  for (const method of ["single", "array", "fields", "any", "none"]) {
+    const create = instance[method].bind(instance);
+    instance[method] = (...args) => {
+      const middleware = create(...args);
+      return (req, res, next) => middleware(req, res, AsyncResource.bind(next));
+    };
+  }
+}
+
+/**
+ * Delete a large upload's temp file; a no-op for in-memory uploads.
+ */
+async function discardUpload(file) {
+  if (!file?.path) return;
+  await fs.promises.unlink(file.path).catch(() => {});
+}
+
+module.exports = upload;
+module.exports.pdfUpload = pdfUpload;
+module.exports.largeUpload = largeUpload;
+module.exports.discardUpload = discardUpload;
+module.exports.LARGE_UPLOAD_DIR = LARGE_UPLOAD_DIR;
+module.exports.LARGE_UPLOAD_MAX_MB = LARGE_UPLOAD_MAX_MB;
@@ -0,0 +1,39 @@
+// File: middlewares/usage_meter.js
+const usageService = require("../services/usage_service");
+const logger = require("../utils/logger");
+
+/**
+ * Meter a dashboard call into the ApiUsage collection once the response
+ * has been sent. Metering failures are logged, never surfaced to the caller.
+ * Place after the permission gate so only admitted calls are counted.
+ *
+ * @param {string} api ApiPermissions flag (or aggregate name) being billed
+ */
+function meterUsage(api) {
+  return (req, res, next) => {
+    res.on("finish", () => {
+      const companyId = req.params.companyId;
+      if (!companyId) return;
+
+      usageService
+        .recordCall({
+          companyId,
+          api,
+          apiKeyId: req.apiKey?._id || null,
+          failed: res.statusCode >= 400,
+        })
+        .catch((err) => {
+          logger.error("Failed to record API usage", {
+            api,
+            company: companyId,
+            error: err.message,
+          });
+        });
+    });
+    next();
+  };
+}
+
+module.exports = {
+  meterUsage,
+};
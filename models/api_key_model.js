@@ -0,0 +1,37 @@
+const mongoose = require("mongoose");
+const { Schema: Schema2 } = mongoose;
+
+// Machine-to-machine key for a company's dashboard APIs.
+// Only a hash of the secret is stored; `key_prefix` identifies the key.
+const ApiKeySchema = new Schema2(
+  {
+    company: {
+      type: Schema2.Types.ObjectId,
+      ref: "Company",
+      required: true,
+      index: true,
+    },
+    name: { type: String, required: true, trim: true }, // e.g. "Power BI", "Partner X"
+    key_prefix: { type: String, required: true, unique: true },
+    key_hash: { type: String, required: true, select: false },
+    permissions: [{ type: String, trim: true }], // ApiPermissions flag names
+    expires_at: { type: Date },
+    revoked_at: { type: Date },
+    rotated_to: { type: Schema2.Types.ObjectId, ref: "ApiKey" },
+    last_used_at: { type: Date },
+    request_count: { type: Number, default: 0 },
+    createdBy: { type: Schema2.Types.ObjectId },
+    createdByType: { type: String, enum: ["owner", "member"] },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+ApiKeySchema.methods.isActive = function () {
+  if (this.revoked_at) return false;
+  if (this.expires_at && this.expires_at <= new Date()) return false;
+  return true;
+};
+
+module.exports = mongoose.model("ApiKey", ApiKeySchema);
@@ -0,0 +1,29 @@
+const mongoose = require("mongoose");
+const { Schema: Schema2 } = mongoose;
+
+// Daily call counters for the dashboard APIs, used to bill the API products
+// behind the ApiPermissions flags. One document per company, API, day and
+// caller kind (user login or a specific API key).
+const ApiUsageSchema = new Schema2(
+  {
+    company: {
+      type: Schema2.Types.ObjectId,
+      ref: "Company",
+      required: true,
+    },
+    api: { type: String, required: true }, // ApiPermissions flag, or "allDashboards"
+    day: { type: String, required: true }, // "YYYY-MM-DD" (UTC)
+    api_key: { type: Schema2.Types.ObjectId, ref: "ApiKey", default: null },
+    calls: { type: Number, default: 0 },
+    failed_calls: { type: Number, default: 0 }, // responses with status >= 400
+    last_called_at: { type: Date },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+ApiUsageSchema.index({ company: 1, api: 1, day: 1, api_key: 1 }, { unique: true });
+ApiUsageSchema.index({ day: 1 });
+
+module.exports = mongoose.model("ApiUsage", ApiUsageSchema);
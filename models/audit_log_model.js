@@ -0,0 +1,77 @@
+const mongoose = require("mongoose");
+const { Schema: Schema2 } = mongoose;
+
+const AUDIT_ACTIONS = ["create", "update", "delete", "verify", "restore"];
+const ACTOR_TYPES = ["owner", "member", "api_key", "system"];
+
+// Append-only record of every change to domain data, kept for external
+// assurance. Entries are written by utils/audit_trail and never modified.
+const AuditChangeSchema = new Schema2(
+  {
+    path: { type: String, required: true }, // e.g. "metrics[Waste:Total].yearly_data[year=2023].value"
+    before: { type: Schema2.Types.Mixed },
+    after: { type: Schema2.Types.Mixed },
+  },
+  { _id: false }
+);
+
+const AuditLogSchema = new Schema2(
+  {
+    action: { type: String, enum: AUDIT_ACTIONS, required: true },
+    module: { type: String, required: true }, // scope module, e.g. "waste"
+    model: { type: String, required: true },
+    record: { type: Schema2.Types.ObjectId, required: true },
+    company: { type: Schema2.Types.ObjectId, ref: "Company" },
+
+    // User, Member or ApiKey id depending on actor_type; for "system"
+    // entries (no request) the record's last editor, when known
+    actor: { type: Schema2.Types.ObjectId },
+    actor_type: { type: String, enum: ACTOR_TYPES, required: true },
+    actor_email: { type: String },
+
+    changes: { type: [AuditChangeSchema], default: [] },
+    changes_truncated: { type: Boolean, default: false },
+
+    request_id: { type: String },
+    ip: { type: String },
+    user_agent: { type: String },
+    method: { type: String },
+    path: { type: String },
+  },
+  {
+    timestamps: { createdAt: "created_at", updatedAt: false },
+  }
+);
+
+AuditLogSchema.index({ company: 1, created_at: -1 });
+AuditLogSchema.index({ company: 1, module: 1, created_at: -1 });
+AuditLogSchema.index({ actor: 1, created_at: -1 });
+AuditLogSchema.index({ record: 1, created_at: -1 });
+AuditLogSchema.index({ request_id: 1 });
+
+function rejectMutation() {
+  throw new Error("Audit log entries are append-only");
+}
+
+AuditLogSchema.pre("save", function () {
+  if (!this.isNew) rejectMutation();
+});
+AuditLogSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "findOneAndReplace",
+    "replaceOne",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  { document: true, query: true },
+  rejectMutation
+);
+
+AuditLogSchema.statics.ACTIONS = AUDIT_ACTIONS;
+AuditLogSchema.statics.ACTOR_TYPES = ACTOR_TYPES;
+
+module.exports = mongoose.model("AuditLog", AuditLogSchema);
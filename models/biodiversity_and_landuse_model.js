@@ -1,6 +1,9 @@
 // File: models/biodiversityLandUse.model.js
 const mongoose = require("mongoose");
 const { Schema } = mongoose;
+const auditTrail = require("../utils/audit_trail");
+const dashboardInvalidation = require("../utils/dashboard_invalidation");
+const unitNormalization = require("../utils/unit_normalization");
 
 // Sub-document for year-wise data points
 const YearlyDataSchema = new Schema({
@@ -20,6 +23,23 @@ const YearlyDataSchema = new Schema({
     type: Number, 
     sparse: true 
   }, // Optional numeric representation
+  normalized_value: {
+    type: Number,
+    sparse: true
+  }, // numeric_value in the canonical unit of its dimension (utils/units)
+  normalized_unit: {
+    type: String,
+    trim: true
+  }, // e.g., "kWh", "m3", "t"
+  restatements: [{
+    value: Schema.Types.Mixed,
+    numeric_value: Number,
+    unit: String,
+    source: String,
+    added_at: Date,
+    restated_at: Date,
+    import_batch_id: String
+  }], // values this one replaced as a restatement (utils/import_conflicts)
   unit: { 
     type: String, 
     trim: true 
@@ -94,6 +114,8 @@ const BiodiversityMetricSchema = new Schema({
   single_value: {
     value: Schema.Types.Mixed,
     numeric_value: Number,
+    normalized_value: Number,
+    normalized_unit: String,
     unit: String,
     source: String,
     notes: String,
@@ -308,5 +330,10 @@ const BiodiversityLandUseSchema = new Schema({
 BiodiversityLandUseSchema.index({ company: 1, "data_period_end": -1 });
 BiodiversityLandUseSchema.index({ company: 1, "metrics.category": 1 });
 BiodiversityLandUseSchema.index({ company: 1, "metrics.metric_name": 1 });
+BiodiversityLandUseSchema.index({ import_batch_id: 1 });
+
+BiodiversityLandUseSchema.plugin(auditTrail, { module: "biodiversity" });
+BiodiversityLandUseSchema.plugin(dashboardInvalidation);
+BiodiversityLandUseSchema.plugin(unitNormalization);
 
 module.exports = mongoose.model("BiodiversityLandUse", BiodiversityLandUseSchema);
\ No newline at end of file
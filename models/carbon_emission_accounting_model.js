@@ -1,6 +1,8 @@
 // File: models/carbonEmission.model.js
 const mongoose = require("mongoose");
 const { Schema } = mongoose;
+const auditTrail = require("../utils/audit_trail");
+const dashboardInvalidation = require("../utils/dashboard_invalidation");
 // Emission Reference Sub-document
 const EmissionReferenceSchema = new Schema({
   source: { type: String, required: true, trim: true },
@@ -226,6 +228,7 @@ const CarbonEmissionAccountingSchema = new Schema({
         records_added: { type: Number },
         records_updated: { type: Number },
         imported_by: { type: Schema.Types.ObjectId, ref: "User" },
+        batch_id: { type: String, trim: true },
       },
     ],
     last_calculated_at: { type: Date },
@@ -313,6 +316,9 @@ CarbonEmissionAccountingSchema.virtual("total_area_ha").get(function () {
 });
 
 
+CarbonEmissionAccountingSchema.plugin(auditTrail, { module: "carbon" });
+CarbonEmissionAccountingSchema.plugin(dashboardInvalidation);
+
 module.exports = mongoose.model(
   "CarbonEmissionAccounting",
   CarbonEmissionAccountingSchema
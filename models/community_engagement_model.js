@@ -1,5 +1,8 @@
 const mongoose = require("mongoose");
 const { Schema } = mongoose;
+const auditTrail = require("../utils/audit_trail");
+const dashboardInvalidation = require("../utils/dashboard_invalidation");
+const unitNormalization = require("../utils/unit_normalization");
 
 // Sub-document for a single metric entry
 const CommunityMetricSchema = new Schema({
@@ -40,6 +43,17 @@ const CommunityMetricSchema = new Schema({
       fiscal_year: Number,
       value: Schema.Types.Mixed,
       numeric_value: Number,
+      normalized_value: Number,
+      normalized_unit: String,
+      restatements: [{
+        value: Schema.Types.Mixed,
+        numeric_value: Number,
+        unit: String,
+        source: String,
+        added_at: Date,
+        restated_at: Date,
+        import_batch_id: String,
+      }], // values this one replaced as a restatement (utils/import_conflicts)
       unit: String,
       source: String,
       notes: String,
@@ -53,6 +67,8 @@ const CommunityMetricSchema = new Schema({
   single_value: {
     value: Schema.Types.Mixed,
     numeric_value: Number,
+    normalized_value: Number,
+    normalized_unit: String,
     unit: String,
     source: String,
     notes: String,
@@ -255,6 +271,11 @@ CommunityEngagementDataSchema.index({ company: 1, is_active: -1 });
 CommunityEngagementDataSchema.index({ company: 1, data_period_end: -1 });
 CommunityEngagementDataSchema.index({ company: 1, "metrics.category": 1 });
 CommunityEngagementDataSchema.index({ company: 1, "metrics.metric_name": 1 });
+CommunityEngagementDataSchema.index({ import_batch_id: 1 });
+
+CommunityEngagementDataSchema.plugin(auditTrail, { module: "community" });
+CommunityEngagementDataSchema.plugin(dashboardInvalidation);
+CommunityEngagementDataSchema.plugin(unitNormalization);
 
 module.exports = mongoose.model(
   "CommunityEngagementData",
@@ -1,5 +1,6 @@
 const mongoose = require("mongoose");
 const { Schema } = mongoose;
+const dashboardInvalidation = require("../utils/dashboard_invalidation");
 
 const CompanySchema = new Schema({
   name: { type: String, required: true, trim: true },
@@ -67,4 +68,7 @@ const CompanySchema = new Schema({
 
 /* ✅ REQUIRED */
 
+// Dashboards show the company's profile
+CompanySchema.plugin(dashboardInvalidation, { companyField: "_id" });
+
 module.exports = mongoose.model("Company", CompanySchema);
@@ -0,0 +1,27 @@
+const mongoose = require("mongoose");
+const { Schema: Schema2 } = mongoose;
+
+// A computed dashboard response, per company, API, year and calculation
+// version. It is served while the data versions it was computed from are
+// current; see services/dashboard_cache_service.
+const DashboardCacheSchema = new Schema2({
+  company: { type: Schema2.Types.ObjectId, ref: "Company", required: true },
+  api: { type: String, required: true }, // e.g. "ghgEmissions", "all.ghgEmissions"
+  year: { type: Number, default: null }, // null: the dashboard's default year
+  calculation_version: { type: String, required: true },
+
+  data_version: { type: Number, required: true }, // company's, when computed
+  global_version: { type: Number, required: true }, // e.g. scoring methodology changes
+  body: { type: String, required: true }, // JSON; keys may hold "." or "$"
+  etag: { type: String, required: true }, // hash of body
+  computed_at: { type: Date, required: true },
+  expires_at: { type: Date, required: true },
+});
+
+DashboardCacheSchema.index(
+  { company: 1, api: 1, year: 1, calculation_version: 1 },
+  { unique: true }
+);
+DashboardCacheSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("DashboardCache", DashboardCacheSchema);
@@ -0,0 +1,14 @@
+const mongoose = require("mongoose");
+const { Schema: Schema2 } = mongoose;
+
+// Counter bumped whenever data a company's dashboards are computed from
+// changes; cached dashboards computed at an older version are stale. The
+// document without a company covers changes that affect every company,
+// such as a new scoring methodology. See utils/dashboard_invalidation.
+const DashboardDataVersionSchema = new Schema2({
+  company: { type: Schema2.Types.ObjectId, ref: "Company", default: null, unique: true },
+  version: { type: Number, default: 0 },
+  changed_at: { type: Date, required: true },
+});
+
+module.exports = mongoose.model("DashboardDataVersion", DashboardDataVersionSchema);
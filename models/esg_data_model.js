@@ -1,13 +1,30 @@
 // File: models/esgData.model.js
 const mongoose = require("mongoose");
 const { Schema } = mongoose;
+const auditTrail = require("../utils/audit_trail");
+const dashboardInvalidation = require("../utils/dashboard_invalidation");
+const unitNormalization = require("../utils/unit_normalization");
 
 // Sub-document for individual metric values per year
 const MetricValueSchema = new Schema({
   year: { type: Number, required: true },
   value: { type: Schema.Types.Mixed }, // Can be String, Number, Boolean, etc.
   numeric_value: { type: Number, sparse: true }, // Optional numeric representation for calculations
+  normalized_value: { type: Number, sparse: true }, // numeric_value in the canonical unit of the metric's unit (utils/units)
+  normalized_unit: { type: String, trim: true }, // e.g., "kWh", "m3", "tCO2e"
+  not_reported: { type: Boolean }, // The source states no value ("Not reported"); value is null
+  restatements: [{
+    value: Schema.Types.Mixed,
+    numeric_value: Number,
+    unit: String,
+    source: String, // the replaced value's source_notes
+    added_at: Date,
+    restated_at: Date,
+    import_batch_id: String
+  }], // values this one replaced as a restatement (utils/import_conflicts)
   source_notes: { type: String, trim: true },
+  superseded_by_batch: { type: String }, // Set while the value sits in superseded_values
+  superseded_at: { type: Date },
   added_by: { type: Schema.Types.ObjectId, ref: "User", required: true },
   added_at: { type: Date, default: Date.now },
   last_updated_by: { type: Schema.Types.ObjectId, ref: "User" },
@@ -25,6 +42,7 @@ const ESGItemSchema = new Schema({
   unit: { type: String, trim: true }, // e.g., "tCO2e", "tons", "MWH", "members", "US$m"
   description: { type: String, trim: true }, // Optional description of the metric
   values: [MetricValueSchema], // Array of year-wise values
+  superseded_values: [MetricValueSchema], // Values an overwrite or restatement import replaced; a rollback of that batch moves them back
   is_active: { type: Boolean, default: true },
   created_at: { type: Date, default: Date.now },
   created_by: { type: Schema.Types.ObjectId, ref: "User", required: true }
@@ -46,7 +64,7 @@ const ESGDataSchema = new Schema({
   source_file_name: { type: String, trim: true }, // Original file name (e.g., "ESG_Metrics_Hippo_Valley_Tongaat_2022-2025.xlsx")
   source_file_type: { 
     type: String, 
-    enum: ["csv", "excel", "json", "manual", "api"], 
+    enum: ["csv", "excel", "json", "pdf", "manual", "api"], 
     default: "manual" 
   },
   source_file_metadata: { type: Schema.Types.Mixed }, // Additional file metadata (size, sheets, etc.)
@@ -55,6 +73,13 @@ const ESGDataSchema = new Schema({
   import_batch_id: { type: String, trim: true }, // Unique ID for tracking batch imports
   import_date: { type: Date, default: Date.now },
   import_notes: { type: String, trim: true }, // Notes about the import
+  replaced_values: [{
+    record_id: { type: Schema.Types.ObjectId, ref: "ESGData" },
+    metric_id: Schema.Types.ObjectId,
+    value_id: Schema.Types.ObjectId,
+    metric_name: String,
+    year: Number
+  }], // Stored values this import superseded, restored when its batch is rolled back
   
   // Data quality
   data_quality_score: { type: Number, min: 0, max: 100, default: null },
@@ -126,4 +151,8 @@ ESGDataSchema.methods.getImportSource = function() {
   };
 };
 
+ESGDataSchema.plugin(auditTrail, { module: "esg_data" });
+ESGDataSchema.plugin(dashboardInvalidation);
+ESGDataSchema.plugin(unitNormalization);
+
 module.exports = mongoose.model("ESGData", ESGDataSchema);
\ No newline at end of file
@@ -1,5 +1,8 @@
 const mongoose = require("mongoose");
 const { Schema } = mongoose;
+const auditTrail = require("../utils/audit_trail");
+const dashboardInvalidation = require("../utils/dashboard_invalidation");
+const unitNormalization = require("../utils/unit_normalization");
 
 // Sub-document for a single metric entry
 const GovernanceMetricSchema = new Schema({
@@ -41,6 +44,17 @@ const GovernanceMetricSchema = new Schema({
       fiscal_year: Number,
       value: Schema.Types.Mixed,
       numeric_value: Number,
+      normalized_value: Number,
+      normalized_unit: String,
+      restatements: [{
+        value: Schema.Types.Mixed,
+        numeric_value: Number,
+        unit: String,
+        source: String,
+        added_at: Date,
+        restated_at: Date,
+        import_batch_id: String,
+      }], // values this one replaced as a restatement (utils/import_conflicts)
       unit: String,
       source: String,
       notes: String,
@@ -54,6 +68,8 @@ const GovernanceMetricSchema = new Schema({
   single_value: {
     value: Schema.Types.Mixed,
     numeric_value: Number,
+    normalized_value: Number,
+    normalized_unit: String,
     unit: String,
     source: String,
     notes: String,
@@ -237,6 +253,11 @@ GovernanceBoardDataSchema.index({ company: 1, is_active: -1 });
 GovernanceBoardDataSchema.index({ company: 1, data_period_end: -1 });
 GovernanceBoardDataSchema.index({ company: 1, "metrics.category": 1 });
 GovernanceBoardDataSchema.index({ company: 1, "metrics.metric_name": 1 });
+GovernanceBoardDataSchema.index({ import_batch_id: 1 });
+
+GovernanceBoardDataSchema.plugin(auditTrail, { module: "governance" });
+GovernanceBoardDataSchema.plugin(dashboardInvalidation);
+GovernanceBoardDataSchema.plugin(unitNormalization);
 
 module.exports = mongoose.model(
   "GovernanceBoardData",
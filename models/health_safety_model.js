@@ -1,5 +1,8 @@
 const mongoose = require("mongoose");
 const { Schema } = mongoose;
+const auditTrail = require("../utils/audit_trail");
+const dashboardInvalidation = require("../utils/dashboard_invalidation");
+const unitNormalization = require("../utils/unit_normalization");
 
 // Sub-document for a single yearly data point
 const YearlyDataSchema = new Schema({
@@ -19,6 +22,23 @@ const YearlyDataSchema = new Schema({
     type: Number,
     sparse: true,
   }, // Parsed numeric value
+  normalized_value: {
+    type: Number,
+    sparse: true
+  }, // numeric_value in the canonical unit of its dimension (utils/units)
+  normalized_unit: {
+    type: String,
+    trim: true
+  }, // e.g., "kWh", "m3", "t"
+  restatements: [{
+    value: Schema.Types.Mixed,
+    numeric_value: Number,
+    unit: String,
+    source: String,
+    added_at: Date,
+    restated_at: Date,
+    import_batch_id: String
+  }], // values this one replaced as a restatement (utils/import_conflicts)
   unit: {
     type: String,
     trim: true,
@@ -90,6 +110,8 @@ const HealthSafetyMetricSchema = new Schema({
   single_value: {
     value: Schema.Types.Mixed,
     numeric_value: Number,
+    normalized_value: Number,
+    normalized_unit: String,
     unit: String,
     source: String,
     notes: String,
@@ -291,5 +313,10 @@ HealthSafetyDataSchema.index({ company: 1, is_active: -1 });
 HealthSafetyDataSchema.index({ company: 1, data_period_end: -1 });
 HealthSafetyDataSchema.index({ company: 1, "metrics.category": 1 });
 HealthSafetyDataSchema.index({ company: 1, "metrics.metric_name": 1 });
+HealthSafetyDataSchema.index({ import_batch_id: 1 });
+
+HealthSafetyDataSchema.plugin(auditTrail, { module: "health_safety" });
+HealthSafetyDataSchema.plugin(dashboardInvalidation);
+HealthSafetyDataSchema.plugin(unitNormalization);
 
 module.exports = mongoose.model("HealthSafetyData", HealthSafetyDataSchema);
@@ -0,0 +1,98 @@
+const mongoose = require("mongoose");
+const { Schema: Schema2 } = mongoose;
+
+const JOB_TYPES = ["domain_file", "workbook", "esg_data_file", "carbon_file", "series_file"];
+// conflicts = nothing was written because values differ from stored ones
+// and no conflict policy was given; retried with a policy
+const JOB_STATUSES = ["queued", "running", "succeeded", "partial", "failed", "conflicts"];
+
+// Finished jobs (and the uploaded file they keep for retries) are dropped
+// after this long
+const FINISHED_JOB_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+const JobErrorSchema = new Schema2(
+  {
+    message: { type: String, required: true },
+    sheet: { type: String }, // workbook jobs: the sheet that failed
+    row: { type: Number }, // series jobs: the data row that failed
+    attempt: { type: Number },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// An import accepted over HTTP and run by the in-process worker
+// (services/import_job_worker). The upload is stored on the job so the
+// worker, and later retries, do not depend on the original request; large
+// CSV uploads stay on disk and only their path is stored.
+const ImportJobSchema = new Schema2(
+  {
+    type: { type: String, enum: JOB_TYPES, required: true },
+    company: {
+      type: Schema2.Types.ObjectId,
+      ref: "Company",
+      required: true,
+      index: true,
+    },
+    modules: [{ type: String }], // scope modules the job writes to
+    batch_id: { type: String, required: true }, // import_batch_id on every record written
+
+    file: {
+      name: { type: String, required: true },
+      size: { type: Number },
+      mime_type: { type: String },
+      data: { type: Buffer, select: false },
+      path: { type: String }, // large uploads: temp file read by the worker
+    },
+    params: { type: Schema2.Types.Mixed, default: {} }, // type-specific options
+
+    status: { type: String, enum: JOB_STATUSES, default: "queued", index: true },
+    progress: {
+      percent: { type: Number, min: 0, max: 100, default: 0 },
+      stage: { type: String, default: "queued" },
+      message: { type: String },
+    },
+    counts: {
+      rows_total: { type: Number },
+      rows_written: { type: Number },
+      rows_failed: { type: Number },
+      metrics_imported: { type: Number },
+      records_written: { type: Number },
+      sheets_total: { type: Number },
+      sheets_done: { type: Number },
+    },
+    result: { type: Schema2.Types.Mixed },
+    failures: { type: [JobErrorSchema], default: [] }, // reported as `errors`
+
+    attempts: { type: Number, default: 0 },
+    max_attempts: { type: Number, default: 3 }, // re-run after a worker crash or transient error
+    run_after: { type: Date, default: Date.now },
+    locked_by: { type: String },
+    heartbeat_at: { type: Date },
+    started_at: { type: Date },
+    finished_at: { type: Date },
+    rolled_back_at: { type: Date }, // set when the batch is reverted
+    rolled_back_by: { type: Schema2.Types.ObjectId },
+
+    requested_by: { type: Schema2.Types.ObjectId, required: true },
+    requested_by_type: { type: String, enum: ["owner", "member"] },
+    requested_by_email: { type: String },
+    request_id: { type: String },
+    ip: { type: String },
+  },
+  {
+    timestamps: { createdAt: "created_at", updatedAt: "updated_at" },
+  }
+);
+
+ImportJobSchema.index({ status: 1, run_after: 1, created_at: 1 });
+ImportJobSchema.index({ company: 1, created_at: -1 });
+ImportJobSchema.index(
+  { finished_at: 1 },
+  { expireAfterSeconds: FINISHED_JOB_TTL_SECONDS }
+);
+
+ImportJobSchema.statics.TYPES = JOB_TYPES;
+ImportJobSchema.statics.STATUSES = JOB_STATUSES;
+
+module.exports = mongoose.model("ImportJob", ImportJobSchema);
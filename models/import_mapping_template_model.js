@@ -0,0 +1,66 @@
+const mongoose = require("mongoose");
+const { Schema: Schema2 } = mongoose;
+
+// Per-company mapping from the wording of a client's report (column headers
+// or row labels) to our module metrics. Selected on upload with
+// `mapping_template_id`; see services/import_mapping_service.
+const MappingRuleSchema = new Schema2(
+  {
+    source: { type: String, required: true, trim: true }, // header or label text
+    match_type: {
+      type: String,
+      enum: ["exact", "contains", "regex"],
+      default: "exact",
+    }, // case-insensitive; "exact" also ignores repeated whitespace
+    category: { type: String, required: true, trim: true },
+    subcategory: { type: String, trim: true },
+    metric_name: { type: String, required: true, trim: true },
+    unit: { type: String, trim: true }, // defaults to "(unit)" in the source text
+    description: { type: String, trim: true },
+  },
+  { _id: true }
+);
+
+const ImportMappingTemplateSchema = new Schema2(
+  {
+    company: {
+      type: Schema2.Types.ObjectId,
+      ref: "Company",
+      required: true,
+      index: true,
+    },
+    name: { type: String, required: true, trim: true },
+    description: { type: String, trim: true },
+    module: { type: String, required: true }, // scope module, e.g. "irrigation"
+
+    // year_rows:   one row per year, one column per metric (Year | Water | Energy)
+    // metric_rows: one row per metric, one column per year (Metric | 2023 | 2024)
+    layout: {
+      type: String,
+      enum: ["year_rows", "metric_rows"],
+      default: "year_rows",
+    },
+    year_column: { type: String, trim: true, default: "Year" }, // year_rows
+    label_column: { type: String, trim: true }, // metric_rows; first non-year column when empty
+    unit_column: { type: String, trim: true }, // metric_rows; optional per-row unit
+    sheet_name: { type: String, trim: true }, // Excel; first sheet when empty
+
+    mappings: { type: [MappingRuleSchema], default: [] },
+
+    is_active: { type: Boolean, default: true },
+    created_by: { type: Schema2.Types.ObjectId },
+    created_by_type: { type: String, enum: ["owner", "member"] },
+    last_updated_by: { type: Schema2.Types.ObjectId },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+ImportMappingTemplateSchema.index({ company: 1, name: 1 }, { unique: true });
+ImportMappingTemplateSchema.index({ company: 1, module: 1 });
+
+module.exports = mongoose.model(
+  "ImportMappingTemplate",
+  ImportMappingTemplateSchema
+);
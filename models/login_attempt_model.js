@@ -0,0 +1,28 @@
+const mongoose = require("mongoose");
+const { Schema: Schema2 } = mongoose;
+
+// Failed sign-in tracking for brute-force protection. One document per
+// account ("owner:<email>", "member:<email>") or client IP ("ip:<address>").
+const LoginAttemptSchema = new Schema2(
+  {
+    key: { type: String, required: true, unique: true },
+    scope: { type: String, enum: ["account", "ip"], required: true },
+
+    failures: { type: Number, default: 0 }, // in the current window
+    first_failed_at: { type: Date },
+    last_failed_at: { type: Date },
+    next_attempt_at: { type: Date }, // exponential back-off between failures
+
+    locked_until: { type: Date },
+    lock_count: { type: Number, default: 0 }, // each lock doubles the next one
+
+    expires_at: { type: Date, required: true }, // housekeeping, see TTL index
+  },
+  {
+    timestamps: true,
+  }
+);
+
+LoginAttemptSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("LoginAttempt", LoginAttemptSchema);
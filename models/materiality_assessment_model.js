@@ -0,0 +1,92 @@
+const mongoose = require("mongoose");
+const { Schema: Schema2 } = mongoose;
+const dashboardInvalidation = require("../utils/dashboard_invalidation");
+
+// A company's double materiality assessment for one year: each topic is
+// rated for its impact on people and the environment (inside-out) and its
+// financial effect on the company (outside-in), with the stakeholder
+// ratings behind them. Approved assessments weight the ESG score and pick
+// the highlighted dashboard sections; see services/materiality_service.
+
+const StakeholderRatingSchema = new Schema2(
+  {
+    group: { type: String, required: true, trim: true }, // e.g. "employees", "out-growers"
+    rating: { type: Number, required: true, min: 1, max: 5 },
+    respondents: { type: Number, min: 0 },
+    notes: { type: String, trim: true },
+  },
+  { _id: false }
+);
+
+const MaterialTopicSchema = new Schema2(
+  {
+    key: { type: String, required: true, trim: true }, // catalogue key or a company's own
+    name: { type: String, required: true, trim: true },
+    pillar: {
+      type: String,
+      enum: ["environmental", "social", "governance"],
+      required: true,
+    },
+    description: { type: String, trim: true },
+
+    impact_score: { type: Number, required: true, min: 1, max: 5 },
+    financial_score: { type: Number, required: true, min: 1, max: 5 },
+    stakeholder_ratings: { type: [StakeholderRatingSchema], default: [] },
+    rationale: { type: String, trim: true },
+
+    // Computed on save from the scores and the assessment's thresholds
+    stakeholder_score: { type: Number, default: null }, // mean of stakeholder_ratings
+    priority: { type: String, enum: ["high", "medium", "low"] },
+    is_material: { type: Boolean, default: false },
+
+    scoring_indicators: { type: [String], default: [] }, // scoring methodology indicator keys
+    dashboard_sections: { type: [String], default: [] }, // aggregate dashboard response keys
+  },
+  { _id: false }
+);
+
+const MaterialityAssessmentSchema = new Schema2(
+  {
+    company: {
+      type: Schema2.Types.ObjectId,
+      ref: "Company",
+      required: true,
+      index: true,
+    },
+    year: { type: Number, required: true }, // reporting year the assessment applies from
+    title: { type: String, trim: true },
+    description: { type: String, trim: true },
+
+    // A topic is material when its impact or financial score reaches
+    // `material`, and high priority when one reaches `high`
+    thresholds: {
+      material: { type: Number, default: 3, min: 1, max: 5 },
+      high: { type: Number, default: 4, min: 1, max: 5 },
+    },
+    topics: { type: [MaterialTopicSchema], default: [] },
+
+    status: {
+      type: String,
+      enum: ["draft", "approved"],
+      default: "draft",
+      index: true,
+    },
+    approved_at: { type: Date },
+    approved_by: { type: Schema2.Types.ObjectId },
+
+    created_by: { type: Schema2.Types.ObjectId },
+    created_by_type: { type: String, enum: ["owner", "member"] },
+    last_updated_by: { type: Schema2.Types.ObjectId },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+MaterialityAssessmentSchema.index({ company: 1, year: 1 }, { unique: true });
+MaterialityAssessmentSchema.plugin(dashboardInvalidation);
+
+module.exports = mongoose.model(
+  "MaterialityAssessment",
+  MaterialityAssessmentSchema
+);
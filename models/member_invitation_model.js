@@ -0,0 +1,48 @@
+const mongoose = require("mongoose");
+const { Schema: Schema2 } = mongoose;
+
+// Invitation for a new company member. The member record is created with
+// status "invited" and only becomes active once the invitee accepts.
+const MemberInvitationSchema = new Schema2(
+  {
+    company: {
+      type: Schema2.Types.ObjectId,
+      ref: "Company",
+      required: true,
+      index: true,
+    },
+    member: { type: Schema2.Types.ObjectId, ref: "Member", required: true },
+    email: { type: String, required: true, trim: true, lowercase: true },
+    role: { type: String, trim: true, lowercase: true, default: "member" },
+
+    // Hash of the nonce inside the signed accept link; rotated on resend so
+    // only the latest link works
+    token_nonce_hash: { type: String, required: true, select: false },
+    expires_at: { type: Date, required: true },
+
+    status: {
+      type: String,
+      enum: ["pending", "accepted", "revoked"],
+      default: "pending",
+    },
+    accepted_at: { type: Date },
+    revoked_at: { type: Date },
+
+    sent_count: { type: Number, default: 0 },
+    last_sent_at: { type: Date },
+
+    invitedBy: { type: Schema2.Types.ObjectId },
+    invitedByType: { type: String, enum: ["owner", "member"] },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+MemberInvitationSchema.index({ company: 1, status: 1 });
+
+MemberInvitationSchema.methods.isExpired = function () {
+  return this.expires_at <= new Date();
+};
+
+module.exports = mongoose.model("MemberInvitation", MemberInvitationSchema);
@@ -1,13 +1,19 @@
 const mongoose = require("mongoose");
 const { Schema: Schema2 } = mongoose;
+const TwoFactorSchema = require("./two_factor_schema");
+
+function isNotInvited() {
+  return this.status !== "invited";
+}
 
 const MemberSchema = new Schema2({
   company: { type: Schema2.Types.ObjectId, ref: "Company", required: true },
-  firstName: { type: String, required: true, trim: true },
-  lastName: { type: String, required: true, trim: true },
+  // Invitees fill in their own names when accepting the invitation
+  firstName: { type: String, required: isNotInvited, trim: true },
+  lastName: { type: String, required: isNotInvited, trim: true },
   email: { type: String, required: true, trim: true, lowercase: true },
   title: { type: String, trim: true },
-  role: { type: String, enum: ["admin", "member"], default: "member" },
+  role: { type: String, trim: true, lowercase: true, default: "member" }, // MemberRole name within the company
   department: { type: String, trim: true }, // department the member works in
   phone: { type: String, trim: true }, // contact number
   // add to schema
@@ -20,7 +26,8 @@ const MemberSchema = new Schema2({
     unique: true,
   },
 
-  status: { type: String, enum: ["active", "inactive"], default: "active" }, // member status
+  status: { type: String, enum: ["invited", "active", "inactive"], default: "active" }, // "invited" until the invitation is accepted
+  two_factor: { type: TwoFactorSchema, default: () => ({}) }, // optional TOTP, admins only
   joinedAt: { type: Date, default: Date.now },
 });
 
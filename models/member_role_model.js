@@ -0,0 +1,23 @@
+const mongoose = require("mongoose");
+const { Schema: Schema2 } = mongoose;
+
+// Named member role for a company. `scopes` are "<module>:<action>" strings,
+// e.g. "waste:write", "carbon:verify", "dashboard:read"; "*" wildcards allowed.
+const MemberRoleSchema = new Schema2(
+  {
+    company: { type: Schema2.Types.ObjectId, ref: "Company", required: true },
+    name: { type: String, required: true, trim: true, lowercase: true },
+    description: { type: String, trim: true },
+    scopes: [{ type: String, trim: true }],
+    is_system: { type: Boolean, default: false }, // seeded default, cannot be deleted
+    createdBy: { type: Schema2.Types.ObjectId },
+    updatedBy: { type: Schema2.Types.ObjectId },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+MemberRoleSchema.index({ company: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model("MemberRole", MemberRoleSchema);
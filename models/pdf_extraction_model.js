@@ -0,0 +1,105 @@
+const mongoose = require("mongoose");
+const { Schema: Schema2 } = mongoose;
+
+const EXTRACTION_STATUSES = ["proposed", "partially_confirmed", "confirmed"];
+
+// Unconfirmed extractions are dropped after this long
+const UNCONFIRMED_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+// One metric/year/value read from a PDF table, with the page it came from.
+// Nothing is written to a module until the row is confirmed.
+const ProposedRowSchema = new Schema2(
+  {
+    page: { type: Number, required: true }, // 1-based, as printed by PDF viewers
+    table: { type: Number, required: true }, // index into `tables`
+    line: { type: Number }, // line of the page the row was read from
+    label: { type: String, required: true, trim: true }, // row label as printed
+    metric_name: { type: String, required: true, trim: true },
+    unit: { type: String, trim: true },
+    year: { type: Number, required: true },
+    value: { type: Schema2.Types.Mixed },
+    numeric_value: { type: Number },
+    kind: {
+      type: String,
+      enum: ["number", "percentage", "currency", "text", "not_reported"],
+    },
+    source: { type: String, trim: true }, // e.g. "HVE Integrated Report 2025; p.43"
+
+    // Module metric the label matches, when one does (see
+    // services/esg_metrics_import_service DOMAIN_METRIC_RULES)
+    suggested: {
+      module: { type: String },
+      category: { type: String },
+      subcategory: { type: String },
+      metric_name: { type: String },
+    },
+
+    confirmed_module: { type: String },
+    confirmed_batch_id: { type: String },
+  },
+  { _id: true }
+);
+
+const ExtractedTableSchema = new Schema2(
+  {
+    page: { type: Number, required: true },
+    title: { type: String },
+    header_label: { type: String },
+    years: [{ type: Number }],
+    rows_count: { type: Number },
+  },
+  { _id: false }
+);
+
+const ConfirmationSchema = new Schema2(
+  {
+    module: { type: String, required: true },
+    batch_id: { type: String, required: true }, // import_batch_id on the records written
+    rows_count: { type: Number },
+    records: { type: Schema2.Types.Mixed }, // [{ module, record_id, version }]
+    confirmed_by: { type: Schema2.Types.ObjectId },
+    confirmed_at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// Tables extracted from an uploaded PDF report, kept until the user has
+// confirmed which rows go into which module (services/pdf_import_service).
+const PdfExtractionSchema = new Schema2(
+  {
+    company: {
+      type: Schema2.Types.ObjectId,
+      ref: "Company",
+      required: true,
+      index: true,
+    },
+    file: {
+      name: { type: String, required: true },
+      size: { type: Number },
+      page_count: { type: Number },
+      title: { type: String }, // from the PDF metadata
+    },
+    source_name: { type: String, trim: true }, // cited as "<source_name>; p.<page>"
+
+    tables: { type: [ExtractedTableSchema], default: [] },
+    rows: { type: [ProposedRowSchema], default: [] },
+
+    status: { type: String, enum: EXTRACTION_STATUSES, default: "proposed" },
+    confirmations: { type: [ConfirmationSchema], default: [] },
+    expires_at: { type: Date }, // cleared on the first confirmation
+
+    created_by: { type: Schema2.Types.ObjectId, required: true },
+    created_by_type: { type: String, enum: ["owner", "member"] },
+  },
+  {
+    timestamps: { createdAt: "created_at", updatedAt: "updated_at" },
+  }
+);
+
+PdfExtractionSchema.index({ company: 1, created_at: -1 });
+PdfExtractionSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+PdfExtractionSchema.statics.STATUSES = EXTRACTION_STATUSES;
+PdfExtractionSchema.statics.UNCONFIRMED_TTL_SECONDS = UNCONFIRMED_TTL_SECONDS;
+
+module.exports = mongoose.model("PdfExtraction", PdfExtractionSchema);
@@ -0,0 +1,14 @@
+const mongoose = require("mongoose");
+const { Schema: Schema2 } = mongoose;
+
+// Fixed-window request counter used by the Mongo rate limit store.
+// One document per bucket key and window; Mongo drops it once the window ends.
+const RateLimitCounterSchema = new Schema2({
+  key: { type: String, required: true, unique: true }, // "<bucket>:<windowStart>"
+  count: { type: Number, default: 0 },
+  reset_at: { type: Date, required: true },
+});
+
+RateLimitCounterSchema.index({ reset_at: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("RateLimitCounter", RateLimitCounterSchema);
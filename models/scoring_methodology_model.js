@@ -0,0 +1,133 @@
+const mongoose = require("mongoose");
+const { Schema: Schema2 } = mongoose;
+const dashboardInvalidation = require("../utils/dashboard_invalidation");
+
+// How ESG scores are computed: metric -> indicator -> pillar weights and
+// how each metric's value becomes a 0-100 sub-score. Versions are
+// immutable once activated, so a score can always be traced back to the
+// methodology that produced it; see services/esg_scoring_service.
+
+// A stored metric a methodology reads, matched case-insensitively
+const MetricRefSchema = new Schema2(
+  {
+    modules: { type: [String], required: true }, // tried in order, e.g. ["energy", "esg_data"]
+    category: { type: String, trim: true },
+    subcategory: { type: String, trim: true },
+    metric_name: { type: String, trim: true }, // exact name (or description for esg_data)
+    match: { type: String, trim: true }, // regex on the name or description
+  },
+  { _id: false }
+);
+
+const NormalizationSchema = new Schema2(
+  {
+    // thresholds:  linear from `worst` (0) to `best` (100); best < worst when lower is better
+    // target:      share of `target` reached, in `direction`
+    // categorical: score of the first category whose `match` regex fits the text value
+    method: {
+      type: String,
+      enum: ["thresholds", "target", "categorical"],
+      required: true,
+    },
+    worst: Number,
+    best: Number,
+    target: Number,
+    direction: { type: String, enum: ["higher_is_better", "lower_is_better"] },
+    categories: [
+      {
+        _id: false,
+        match: { type: String, required: true },
+        score: { type: Number, min: 0, max: 100, required: true },
+      },
+    ],
+  },
+  { _id: false }
+);
+
+const ScoringMetricSchema = new Schema2(
+  {
+    key: { type: String, required: true, trim: true },
+    name: { type: String, required: true, trim: true },
+    description: { type: String, trim: true },
+    weight: { type: Number, default: 1, min: 0 },
+
+    numerator: { type: [MetricRefSchema], default: [] }, // summed
+    denominator: { type: [MetricRefSchema], default: undefined }, // summed; makes the value a ratio
+    scale: { type: Number, default: 1 }, // e.g. 100 for a ratio in percent
+    input_unit: { type: String, trim: true }, // inputs are converted to it when their unit is known
+    denominator_unit: { type: String, trim: true }, // for the denominator, when not input_unit
+    unit: { type: String, trim: true }, // of the scored value, for display
+
+    // value: the year's value; change: percent change on the year before
+    basis: { type: String, enum: ["value", "change"], default: "value" },
+    normalization: { type: NormalizationSchema, required: true },
+  },
+  { _id: false }
+);
+
+const IndicatorSchema = new Schema2(
+  {
+    key: { type: String, required: true, trim: true },
+    name: { type: String, required: true, trim: true },
+    weight: { type: Number, default: 1, min: 0 },
+    metrics: { type: [ScoringMetricSchema], default: [] },
+  },
+  { _id: false }
+);
+
+const PillarSchema = new Schema2(
+  {
+    key: { type: String, required: true, trim: true }, // environmental, social, governance
+    name: { type: String, required: true, trim: true },
+    weight: { type: Number, default: 1, min: 0 },
+    indicators: { type: [IndicatorSchema], default: [] },
+  },
+  { _id: false }
+);
+
+const ScoringMethodologySchema = new Schema2(
+  {
+    name: { type: String, required: true, trim: true },
+    description: { type: String, trim: true },
+    version: { type: Number, required: true, unique: true }, // 0 is the built-in default
+    based_on_version: { type: Number },
+    status: {
+      type: String,
+      enum: ["draft", "active", "retired"],
+      default: "draft",
+      index: true,
+    },
+
+    pillars: { type: [PillarSchema], default: [] },
+    // Indicator weights are multiplied by the priority of the company's
+    // material topics linked to them; indicators without one keep theirs
+    materiality_multipliers: {
+      high: { type: Number, default: 1.5, min: 0 },
+      medium: { type: Number, default: 1, min: 0 },
+      low: { type: Number, default: 0.5, min: 0 },
+    },
+    rating_bands: [
+      {
+        _id: false,
+        min: { type: Number, required: true }, // lowest overall score of the band
+        rating: { type: String, required: true, trim: true },
+        description: { type: String, trim: true },
+      },
+    ],
+
+    created_by: { type: Schema2.Types.ObjectId },
+    created_by_type: { type: String, enum: ["owner", "member"] },
+    last_updated_by: { type: Schema2.Types.ObjectId },
+    activated_at: { type: Date },
+    activated_by: { type: Schema2.Types.ObjectId },
+    retired_at: { type: Date },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Every company's scores follow the active methodology
+ScoringMethodologySchema.plugin(dashboardInvalidation, { scope: "all" });
+
+module.exports = mongoose.model("ScoringMethodology", ScoringMethodologySchema);
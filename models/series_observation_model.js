@@ -0,0 +1,65 @@
+const mongoose = require("mongoose");
+const { Schema: Schema2 } = mongoose;
+
+// One row of a large time-series upload (monthly sequestration per farm,
+// sensor readings), stored as its own document instead of inside a module
+// record so a file of millions of rows never has to fit in one document.
+// Written by services/series_import_service in bounded bulk writes; a
+// re-import of the same company/module/dataset/site/period replaces the
+// row and keeps what it replaced in `superseded`.
+
+// A row's state before another batch replaced it; a rollback of that batch
+// puts it back
+const SupersededRowSchema = new Schema2(
+  {
+    values: { type: Map, of: Number, default: {} },
+    attributes: { type: Map, of: String },
+    month: { type: Number },
+    import_batch_id: { type: String },
+    source_file: { type: String },
+    source_row: { type: Number },
+    created_by: { type: Schema2.Types.ObjectId },
+    superseded_by_batch: { type: String, required: true },
+    superseded_at: { type: Date },
+  },
+  { _id: false }
+);
+
+const SeriesObservationSchema = new Schema2(
+  {
+    company: {
+      type: Schema2.Types.ObjectId,
+      ref: "Company",
+      required: true,
+    },
+    module: { type: String, required: true }, // scope module the series belongs to
+    dataset: { type: String, required: true, trim: true }, // e.g. "sequestration_monthly"
+    site: { type: String, default: "", trim: true }, // farm, plot or sensor; "" for company-wide
+
+    period: { type: Date, required: true }, // reading time, or the first day of the month
+    year: { type: Number, required: true },
+    month: { type: Number, min: 1, max: 12 },
+
+    values: { type: Map, of: Number, default: {} }, // numeric columns, by column key
+    attributes: { type: Map, of: String }, // other non-empty columns
+
+    import_batch_id: { type: String, index: true },
+    source_file: { type: String },
+    source_row: { type: Number }, // 1-based data row in the source file
+    created_by: { type: Schema2.Types.ObjectId },
+
+    superseded: { type: [SupersededRowSchema], default: undefined }, // oldest first
+  },
+  {
+    timestamps: { createdAt: "created_at", updatedAt: "updated_at" },
+  }
+);
+
+SeriesObservationSchema.index(
+  { company: 1, module: 1, dataset: 1, site: 1, period: 1 },
+  { unique: true }
+);
+SeriesObservationSchema.index({ company: 1, module: 1, dataset: 1, year: 1, month: 1 });
+SeriesObservationSchema.index({ "superseded.import_batch_id": 1 }, { sparse: true });
+
+module.exports = mongoose.model("SeriesObservation", SeriesObservationSchema);
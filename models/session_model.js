@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+const { Schema: Schema2 } = mongoose;
+
+// Server-side login session backing a rotating refresh token
+const SessionSchema = new Schema2(
+  {
+    subject: { type: Schema2.Types.ObjectId, required: true, index: true }, // User or Member id
+    subject_type: { type: String, enum: ["owner", "member"], required: true },
+    refresh_token_hash: { type: String, required: true, select: false }, // sha256 of current refresh secret
+    device: {
+      name: { type: String, trim: true },
+      user_agent: { type: String, trim: true },
+      ip: { type: String, trim: true },
+    },
+    rotation_count: { type: Number, default: 0 },
+    last_used_at: { type: Date, default: Date.now },
+    expires_at: { type: Date, required: true },
+    revoked_at: { type: Date },
+    revoked_reason: {
+      type: String,
+      enum: ["logout", "revoked", "token_reuse", "account_disabled"],
+    },
+  },
+  { timestamps: { createdAt: "created_at", updatedAt: "updated_at" } },
+);
+
+SessionSchema.index({ subject: 1, revoked_at: 1 });
+// Let Mongo drop sessions once the refresh token can no longer be used
+SessionSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+SessionSchema.methods.isActive = function () {
+  return !this.revoked_at && this.expires_at > new Date();
+};
+
+module.exports = mongoose.model("Session", SessionSchema);
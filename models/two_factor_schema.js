@@ -0,0 +1,17 @@
+const mongoose = require("mongoose");
+
+// TOTP second factor, embedded in User (owners) and Member (company admins).
+// Secrets are stored encrypted and recovery codes hashed; see two_factor_service.
+const TwoFactorSchema = new mongoose.Schema(
+  {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, select: false }, // encrypted base32 secret
+    pending_secret: { type: String, select: false }, // set during enrolment until confirmed
+    recovery_codes: { type: [String], default: [], select: false }, // sha256 hashes, removed once used
+    last_used_step: { type: Number, select: false }, // refuses replay of the same TOTP code
+    enabled_at: { type: Date },
+  },
+  { _id: false }
+);
+
+module.exports = TwoFactorSchema;
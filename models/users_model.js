@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const TwoFactorSchema = require("./two_factor_schema");
 
 const AuthProviderSchema = new mongoose.Schema(
   {
@@ -36,16 +37,22 @@ const UserSchema = new mongoose.Schema(
     email_verified: { type: Boolean, default: false },
     email_verification_otp: { type: String },
     email_verification_expires_at: { type: Date },
+    email_verification_attempts: { type: Number }, // wrong guesses for the current code
 
     // OTP for account deletion
     delete_account_otp: { type: String },
     delete_account_otp_expires_at: { type: Date },
+    delete_account_otp_attempts: { type: Number },
 
     // 🔥 NEW: OTP for password reset
     reset_password_otp: { type: String },
     reset_password_expires_at: { type: Date },
+    reset_password_otp_attempts: { type: Number },
 
     auth_providers: { type: [AuthProviderSchema], default: [] },
+
+    // Optional TOTP second factor for logins
+    two_factor: { type: TwoFactorSchema, default: () => ({}) },
   },
   { timestamps: { createdAt: "created_at", updatedAt: "updated_at" } }
 );
@@ -0,0 +1,201 @@
+// routes/api_key_router.js
+const express = require("express");
+const router = express.Router();
+
+const apiKeyController = require("../controllers/api_key_controller");
+const { authenticate, requireRole } = require("../middlewares/auth");
+const { requireCompanyAccess } = require("../middlewares/tenancy");
+
+/**
+ * @swagger
+ * tags:
+ *   - name: API Keys
+ *     description: Company API keys for machine-to-machine access to the ESG dashboard APIs
+ *
+ * components:
+ *   securitySchemes:
+ *     ApiKeyAuth:
+ *       type: apiKey
+ *       in: header
+ *       name: X-API-Key
+ *   schemas:
+ *     ApiKey:
+ *       type: object
+ *       properties:
+ *         _id: { type: string, example: "665a8c7be4f1c23b04d12345" }
+ *         company: { type: string, example: "665a8c7be4f1c23b04d99999" }
+ *         name: { type: string, example: "Power BI" }
+ *         key_prefix: { type: string, example: "3f9a0c1b7e2d" }
+ *         permissions:
+ *           type: array
+ *           items: { type: string }
+ *           example: ["soilHealthCarbon", "ghgEmissions"]
+ *         expires_at: { type: string, format: date-time }
+ *         revoked_at: { type: string, format: date-time }
+ *         rotated_to: { type: string }
+ *         last_used_at: { type: string, format: date-time }
+ *         request_count: { type: integer, example: 1284 }
+ *
+ *     ApiKeyRequest:
+ *       type: object
+ *       required: [name, permissions]
+ *       properties:
+ *         name: { type: string, example: "Power BI" }
+ *         permissions:
+ *           type: array
+ *           items: { type: string }
+ *           description: ApiPermissions flag names the key may call
+ *           example: ["soilHealthCarbon", "ghgEmissions"]
+ *         expiresAt: { type: string, format: date-time, example: "2027-12-31T00:00:00Z" }
+ *
+ *     ApiKeyCreated:
+ *       type: object
+ *       properties:
+ *         message: { type: string }
+ *         key: { type: string, description: "Plaintext key, only returned once", example: "mvk_3f9a0c1b7e2d_..." }
+ *         apiKey: { $ref: '#/components/schemas/ApiKey' }
+ */
+
+/**
+ * @swagger
+ * /api/v1/api-keys/company/{companyId}:
+ *   get:
+ *     tags: [API Keys]
+ *     summary: List a company's API keys
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: includeRevoked
+ *         schema: { type: boolean, default: false }
+ *     responses:
+ *       200:
+ *         description: API keys (secrets are never returned)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 count: { type: integer }
+ *                 apiKeys:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/ApiKey' }
+ *       403:
+ *         description: Requires owner or company admin
+ *   post:
+ *     tags: [API Keys]
+ *     summary: Create an API key
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/ApiKeyRequest' }
+ *     responses:
+ *       201:
+ *         description: Key created
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ApiKeyCreated' }
+ *       400:
+ *         description: Missing name, invalid permissions or expiry
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ErrorResponse' }
+ *       403:
+ *         description: Requires owner or company admin
+ */
+router.get(
+  "/company/:companyId",
+  authenticate,
+  requireCompanyAccess,
+  requireRole("admin"),
+  apiKeyController.list
+);
+router.post(
+  "/company/:companyId",
+  authenticate,
+  requireCompanyAccess,
+  requireRole("admin"),
+  apiKeyController.create
+);
+
+/**
+ * @swagger
+ * /api/v1/api-keys/company/{companyId}/{keyId}/rotate:
+ *   post:
+ *     tags: [API Keys]
+ *     summary: Rotate an API key
+ *     description: Issues a new key with the same name, permissions and expiry. The old key stops working immediately.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema: { type: string }
+ *       - in: path
+ *         name: keyId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Key rotated
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ApiKeyCreated' }
+ *       400:
+ *         description: Key already revoked or expired
+ *       404:
+ *         description: Key not found
+ */
+router.post(
+  "/company/:companyId/:keyId/rotate",
+  authenticate,
+  requireCompanyAccess,
+  requireRole("admin"),
+  apiKeyController.rotate
+);
+
+/**
+ * @swagger
+ * /api/v1/api-keys/company/{companyId}/{keyId}:
+ *   delete:
+ *     tags: [API Keys]
+ *     summary: Revoke an API key
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema: { type: string }
+ *       - in: path
+ *         name: keyId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Key revoked
+ *       404:
+ *         description: Key not found
+ */
+router.delete(
+  "/company/:companyId/:keyId",
+  authenticate,
+  requireCompanyAccess,
+  requireRole("admin"),
+  apiKeyController.revoke
+);
+
+module.exports = router;
@@ -0,0 +1,147 @@
+// routes/audit_router.js
+const express = require("express");
+const router = express.Router();
+
+const auditController = require("../controllers/audit_controller");
+const { authenticate, requireScope } = require("../middlewares/auth");
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Audit
+ *     description: Append-only trail of every create, update, delete, verify and restore of ESG data
+ *
+ * components:
+ *   schemas:
+ *     AuditChange:
+ *       type: object
+ *       properties:
+ *         path: { type: string, example: "metrics[Waste Generation:Total Waste].yearly_data[year=2023].value" }
+ *         before: { example: 1240 }
+ *         after: { example: 1185 }
+ *     AuditEntry:
+ *       type: object
+ *       properties:
+ *         _id: { type: string }
+ *         action: { type: string, enum: [create, update, delete, verify, restore] }
+ *         module: { type: string, example: "waste" }
+ *         model: { type: string, example: "WasteManagementData" }
+ *         record: { type: string, example: "665a8c7be4f1c23b04d12345" }
+ *         company: { type: string, example: "665a8c7be4f1c23b04d99999" }
+ *         actor: { type: string, description: "User, Member or ApiKey id depending on actor_type" }
+ *         actor_type: { type: string, enum: [owner, member, api_key, system] }
+ *         actor_email: { type: string }
+ *         changes:
+ *           type: array
+ *           items: { $ref: '#/components/schemas/AuditChange' }
+ *         changes_truncated: { type: boolean, description: "More than 500 fields changed; only the first 500 are kept" }
+ *         request_id: { type: string, description: "Matches the X-Request-Id response header" }
+ *         ip: { type: string }
+ *         user_agent: { type: string }
+ *         method: { type: string, example: "PATCH" }
+ *         path: { type: string }
+ *         created_at: { type: string, format: date-time }
+ */
+
+/**
+ * @swagger
+ * /api/v1/audit:
+ *   get:
+ *     tags: [Audit]
+ *     summary: Query the audit trail
+ *     description: |
+ *       Owners can query every company. Members need the `audit:read` scope
+ *       (granted to the admin and auditor roles by default) and only see
+ *       their own company.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: companyId
+ *         schema: { type: string }
+ *       - in: query
+ *         name: module
+ *         schema: { type: string, example: "carbon" }
+ *       - in: query
+ *         name: userId
+ *         description: Actor id
+ *         schema: { type: string }
+ *       - in: query
+ *         name: action
+ *         schema: { type: string, enum: [create, update, delete, verify, restore] }
+ *       - in: query
+ *         name: recordId
+ *         schema: { type: string }
+ *       - in: query
+ *         name: requestId
+ *         schema: { type: string }
+ *       - in: query
+ *         name: from
+ *         description: ISO date or datetime, inclusive
+ *         schema: { type: string, example: "2026-01-01" }
+ *       - in: query
+ *         name: to
+ *         description: ISO date or datetime, inclusive (a bare date covers the whole day)
+ *         schema: { type: string, example: "2026-03-31" }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 50, maximum: 200 }
+ *     responses:
+ *       200:
+ *         description: Audit entries, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 items:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/AuditEntry' }
+ *                 total: { type: integer }
+ *                 page: { type: integer }
+ *                 limit: { type: integer }
+ *                 totalPages: { type: integer }
+ *       400:
+ *         description: Invalid id, date or action
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ErrorResponse' }
+ *       403:
+ *         description: Missing audit:read scope or another company
+ */
+router.get("/", authenticate, requireScope("audit:read"), auditController.listAuditLog);
+
+/**
+ * @swagger
+ * /api/v1/audit/{id}:
+ *   get:
+ *     tags: [Audit]
+ *     summary: Get one audit entry
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Audit entry
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 entry: { $ref: '#/components/schemas/AuditEntry' }
+ *       404:
+ *         description: Not found
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ErrorResponse' }
+ */
+router.get("/:id", authenticate, requireScope("audit:read"), auditController.getAuditEntry);
+
+module.exports = router;
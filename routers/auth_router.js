@@ -0,0 +1,317 @@
+// routes/auth_router.js
+const express = require("express");
+const router = express.Router();
+
+const authController = require("../controllers/auth_controller");
+const { authenticate } = require("../middlewares/auth");
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Auth
+ *     description: Token refresh, logout, sessions and two-factor authentication for owners and members
+ *
+ * components:
+ *   schemas:
+ *     TokenPair:
+ *       type: object
+ *       properties:
+ *         token: { type: string, description: "Short-lived access token (JWT)" }
+ *         refreshToken: { type: string, description: "Rotating refresh token; single use" }
+ *         expiresIn: { type: string, example: "15m" }
+ *
+ *     Session:
+ *       type: object
+ *       properties:
+ *         _id: { type: string, example: "665a8c7be4f1c23b04d12345" }
+ *         device:
+ *           type: object
+ *           properties:
+ *             name: { type: string, example: "Finance laptop" }
+ *             user_agent: { type: string }
+ *             ip: { type: string, example: "196.27.1.10" }
+ *         created_at: { type: string, format: date-time }
+ *         last_used_at: { type: string, format: date-time }
+ *         expires_at: { type: string, format: date-time }
+ *         current: { type: boolean, description: "Session of the calling token" }
+ *
+ *     TwoFactorChallenge:
+ *       type: object
+ *       description: Returned by owner and member login when 2FA is enabled, instead of tokens
+ *       properties:
+ *         message: { type: string, example: "Two-factor authentication required" }
+ *         twoFactorRequired: { type: boolean, example: true }
+ *         challengeToken: { type: string, description: "Pass to /api/v1/auth/2fa/verify" }
+ *         challengeExpiresIn: { type: string, example: "5m" }
+ *
+ *     RecoveryCodes:
+ *       type: object
+ *       properties:
+ *         message: { type: string }
+ *         recoveryCodes:
+ *           type: array
+ *           items: { type: string }
+ *           example: ["3f9a0-c1b7e", "8d2e4-a61f0"]
+ */
+
+/**
+ * @swagger
+ * /api/v1/auth/refresh:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Exchange a refresh token for a new token pair
+ *     description: Each refresh token can be used once. Presenting an already-rotated token revokes the session.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [refreshToken]
+ *             properties:
+ *               refreshToken: { type: string }
+ *     responses:
+ *       200:
+ *         description: New token pair
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/TokenPair' }
+ *       401:
+ *         description: Invalid, reused, expired or revoked refresh token
+ */
+router.post("/refresh", authController.refresh);
+
+/**
+ * @swagger
+ * /api/v1/auth/logout:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Revoke the current session (or all sessions)
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               all: { type: boolean, example: false }
+ *     responses:
+ *       200:
+ *         description: Logged out
+ */
+router.post("/logout", authenticate, authController.logout);
+
+/**
+ * @swagger
+ * /api/v1/auth/sessions:
+ *   get:
+ *     tags: [Auth]
+ *     summary: List the caller's open sessions
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Open sessions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 count: { type: integer }
+ *                 sessions:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/Session' }
+ */
+router.get("/sessions", authenticate, authController.listSessions);
+
+/**
+ * @swagger
+ * /api/v1/auth/sessions/{sessionId}:
+ *   delete:
+ *     tags: [Auth]
+ *     summary: Revoke one of the caller's sessions (e.g. a lost device)
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       404:
+ *         description: Session not found
+ */
+router.delete("/sessions/:sessionId", authenticate, authController.revokeSession);
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/verify:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Complete a login that returned a 2FA challenge
+ *     description: Accepts a 6-digit code from the authenticator app or an unused recovery code.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [challengeToken, code]
+ *             properties:
+ *               challengeToken: { type: string }
+ *               code: { type: string, example: "492039" }
+ *     responses:
+ *       200:
+ *         description: Login successful; token pair issued
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/TokenPair' }
+ *       401:
+ *         description: Invalid or expired challenge, or invalid code
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ErrorResponse' }
+ *       429:
+ *         description: Too many wrong codes; account locked or in back-off
+ */
+router.post("/2fa/verify", authController.verifyTwoFactor);
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa:
+ *   get:
+ *     tags: [Auth]
+ *     summary: Two-factor status of the caller
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 eligible: { type: boolean, description: "Owners and company admins only" }
+ *                 enabled: { type: boolean }
+ *                 enabled_at: { type: string, format: date-time }
+ *                 recovery_codes_remaining: { type: integer }
+ */
+router.get("/2fa", authenticate, authController.twoFactorStatus);
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/setup:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Start 2FA enrolment
+ *     description: Returns a TOTP secret and otpauth:// URL (render as QR code). 2FA stays off until /2fa/enable is called with a code.
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 secret: { type: string, example: "JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP" }
+ *                 otpauthUrl: { type: string, example: "otpauth://totp/Mavhu%3Aadmin%40farm.co.zw?secret=..." }
+ *       403:
+ *         description: Only owners and company admins can enable 2FA
+ *       409:
+ *         description: 2FA already enabled
+ */
+router.post("/2fa/setup", authenticate, authController.setupTwoFactor);
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/enable:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Confirm enrolment with a code and receive recovery codes
+ *     description: Other sessions of the account are signed out.
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code: { type: string, example: "492039" }
+ *     responses:
+ *       200:
+ *         description: 2FA enabled
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/RecoveryCodes' }
+ *       401:
+ *         description: Invalid code
+ */
+router.post("/2fa/enable", authenticate, authController.enableTwoFactor);
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/disable:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Turn 2FA off
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code: { type: string, description: "Authenticator code or recovery code" }
+ *     responses:
+ *       200:
+ *         description: 2FA disabled
+ *       401:
+ *         description: Invalid code
+ */
+router.post("/2fa/disable", authenticate, authController.disableTwoFactor);
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/recovery-codes:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Replace all recovery codes
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code: { type: string, description: "Authenticator code or recovery code" }
+ *     responses:
+ *       200:
+ *         description: New recovery codes
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/RecoveryCodes' }
+ *       401:
+ *         description: Invalid code
+ */
+router.post(
+  "/2fa/recovery-codes",
+  authenticate,
+  authController.regenerateRecoveryCodes
+);
+
+module.exports = router;
@@ -0,0 +1,135 @@
+// routes/benchmark_router.js
+const express = require("express");
+const router = express.Router();
+
+const benchmarkController = require("../controllers/benchmark_controller");
+const { authenticate, requireScope } = require("../middlewares/auth");
+const { requireCompanyAccess } = require("../middlewares/tenancy");
+const { benchmarkRateLimit } = require("../middlewares/rate_limiter");
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Benchmarks
+ *     description: |
+ *       A company's normalized metrics ranked against anonymous peers of the
+ *       same industry. The peer group is the narrowest of industry + country
+ *       + size band, industry + country, industry + size band and industry
+ *       that has at least `min_peer_group` peers reporting the metric for the
+ *       same year; size bands come from total employees (micro < 10,
+ *       small < 50, medium < 250, large). Only the company's own values are
+ *       returned: peers' values, names and distributions are never exposed.
+ *       A peer group smaller than `precise_peer_group` gives a quartile
+ *       only; larger groups also give a percentile rounded to 10, so the
+ *       rank cannot be used to work out individual peers' values.
+ *
+ * components:
+ *   schemas:
+ *     PeerBenchmark:
+ *       type: object
+ *       properties:
+ *         company:
+ *           type: object
+ *           properties:
+ *             id: { type: string }
+ *             name: { type: string }
+ *             industry: { type: string }
+ *             country: { type: string }
+ *             size: { type: string, nullable: true, enum: [micro, small, medium, large] }
+ *         year: { type: integer, nullable: true }
+ *         min_peer_group: { type: integer, example: 5 }
+ *         precise_peer_group: { type: integer, example: 20, description: "Peers needed for a percentile" }
+ *         metrics:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               key: { type: string, example: "ltifr" }
+ *               name: { type: string }
+ *               unit: { type: string, nullable: true }
+ *               direction: { type: string, enum: [lower_is_better, higher_is_better] }
+ *               year: { type: integer, nullable: true }
+ *               value: { type: number, nullable: true, description: "The company's own value" }
+ *               status:
+ *                 type: string
+ *                 enum: [ranked, insufficient_peers, no_data, not_numeric, unit_mismatch, zero_denominator]
+ *               percentile:
+ *                 type: number
+ *                 nullable: true
+ *                 example: 60
+ *                 description: |
+ *                   Share of peers the company does better than (ties count half),
+ *                   rounded to 10; null when the peer group is smaller than
+ *                   precise_peer_group
+ *               quartile: { type: integer, nullable: true, example: 2, description: "1 is the best quartile" }
+ *               peer_group:
+ *                 type: object
+ *                 nullable: true
+ *                 properties:
+ *                   level: { type: string, enum: [industry_country_size, industry_country, industry_size, industry] }
+ *                   criteria: { type: object }
+ *                   size: { type: integer, description: "Peers compared (with insufficient_peers, the most found)" }
+ */
+
+/**
+ * @swagger
+ * /api/v1/benchmarks/metrics:
+ *   get:
+ *     tags: [Benchmarks]
+ *     summary: Metrics companies are benchmarked on
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Benchmark metrics and the minimum peer group size
+ */
+router.get("/metrics", authenticate, benchmarkController.listMetrics);
+
+/**
+ * @swagger
+ * /api/v1/benchmarks/company/{companyId}:
+ *   get:
+ *     tags: [Benchmarks]
+ *     summary: Rank a company against its peers
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: year
+ *         schema: { type: integer }
+ *         description: Defaults, per metric, to the company's latest year with a value
+ *       - in: query
+ *         name: metrics
+ *         schema: { type: string, example: "ghg_intensity_per_ha,ltifr" }
+ *         description: Comma-separated metric keys; all by default
+ *     responses:
+ *       200:
+ *         description: Percentile and quartile per metric
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message: { type: string }
+ *                 data: { $ref: '#/components/schemas/PeerBenchmark' }
+ *       400:
+ *         description: Invalid year or metrics, or the company has no industry (INDUSTRY_REQUIRED)
+ *       404:
+ *         description: Company not found
+ *       429:
+ *         description: Too many benchmark requests for this company (RATE_LIMITED)
+ */
+router.get(
+  "/company/:companyId",
+  authenticate,
+  requireCompanyAccess,
+  requireScope("dashboard:read"),
+  benchmarkRateLimit,
+  benchmarkController.getCompanyBenchmark
+);
+
+module.exports = router;
@@ -3,7 +3,8 @@ const express = require("express");
 const router = express.Router();
 
 const biodiversityLandUseController = require("../controllers/biodiversity_data_controller");
-const { authenticate, requireOwner } = require("../middlewares/auth");
+const { authenticate, requireScope } = require("../middlewares/auth");
+const { requireCompanyAccess } = require("../middlewares/tenancy");
 const upload = require("../middlewares/uploadMiddleware"); // Assumed multer config for file uploads
 
 /**
@@ -231,6 +232,111 @@ const upload = require("../middlewares/uploadMiddleware"); // Assumed multer con
  *           enum: [unverified, pending, verified, audited]
  *         notes:
  *           type: string
+ *
+ *     ImportPreview:
+ *       type: object
+ *       description: Dry-run report shared by every import-file endpoint
+ *       properties:
+ *         dry_run: { type: boolean, example: true }
+ *         can_import: { type: boolean, description: "False when the record would fail validation, or values conflict and no conflict_policy was given" }
+ *         would_create:
+ *           type: object
+ *           properties:
+ *             version: { type: integer, example: 4 }
+ *             previous_version: { type: string, nullable: true }
+ *             data_period_start: { type: string, example: "2022" }
+ *             data_period_end: { type: string, example: "2025" }
+ *             metrics_count: { type: integer }
+ *             metrics:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   key: { type: string, example: "waste_generation:General Waste" }
+ *                   years: { type: array, items: { type: string } }
+ *                   values_count: { type: integer }
+ *                   units: { type: array, items: { type: string } }
+ *         skipped_rows_count: { type: integer }
+ *         skipped_rows:
+ *           type: array
+ *           description: Rows none of whose cells were mapped to a metric (first 200)
+ *           items:
+ *             type: object
+ *             properties:
+ *               row: { type: integer, example: 14 }
+ *               reason: { type: string, enum: [empty, not_mapped] }
+ *               cells: { type: object }
+ *         parse_failures:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               metric: { type: string }
+ *               year: { type: string }
+ *               value: { type: string, example: "1,2O4" }
+ *               problem: { type: string, enum: [number_parse_failed, missing_unit] }
+ *         validation_errors:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               path: { type: string }
+ *               message: { type: string }
+ *         conflicts: { $ref: '#/components/schemas/ImportConflictReport' }
+ *         diff:
+ *           type: object
+ *           description: Difference from the active record; metrics and years not in the file are carried over
+ *           properties:
+ *             active_record_id: { type: string, nullable: true }
+ *             active_version: { type: integer, nullable: true }
+ *             added: { type: array, items: { type: string } }
+ *             removed: { type: array, items: { type: string } }
+ *             changed:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   metric: { type: string }
+ *                   changes: { type: array, items: { $ref: '#/components/schemas/AuditChange' } }
+ *             unchanged_count: { type: integer }
+ *
+ *     ImportConflictReport:
+ *       type: object
+ *       description: |
+ *         Years the import brings a value for that the stored data already has.
+ *         Identical values (compared in the canonical unit) are duplicates and
+ *         keep the stored value; different ones are conflicts, settled by the
+ *         policy. Also stored on the imported record as
+ *         `source_file_metadata.conflicts`.
+ *       properties:
+ *         policy:
+ *           type: string
+ *           nullable: true
+ *           enum: [keep_existing, overwrite, restatement]
+ *         conflicts_count: { type: integer }
+ *         duplicates_count: { type: integer }
+ *         conflicts:
+ *           type: array
+ *           description: First 200 conflicts
+ *           items:
+ *             type: object
+ *             properties:
+ *               metric: { type: string, example: "electricity_purchased:Electricity purchased" }
+ *               year: { type: string, example: "2023" }
+ *               existing:
+ *                 type: object
+ *                 properties:
+ *                   value: {}
+ *                   numeric_value: { type: number, nullable: true }
+ *                   unit: { type: string, nullable: true }
+ *                   source: { type: string, nullable: true, example: "Integrated Report 2024" }
+ *               incoming:
+ *                 type: object
+ *                 properties:
+ *                   value: {}
+ *                   numeric_value: { type: number, nullable: true }
+ *                   unit: { type: string, nullable: true }
+ *                   source: { type: string, nullable: true, example: "Integrated Report 2025" }
  */
 
 /**
@@ -249,6 +355,12 @@ const upload = require("../middlewares/uploadMiddleware"); // Assumed multer con
  *         schema:
  *           type: string
  *         description: ID of the company
+ *       - in: query
+ *         name: dry_run
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Parse and validate the file and report what would change, without saving (also accepted as a form field)
  *     requestBody:
  *       required: true
  *       content:
@@ -262,6 +374,21 @@ const upload = require("../middlewares/uploadMiddleware"); // Assumed multer con
  *                 type: string
  *                 format: binary
  *                 description: Data file (CSV, Excel, or JSON)
+ *               mapping_template_id:
+ *                 type: string
+ *                 description: Import mapping template to use instead of the built-in file processing (see Import Templates)
+ *               dry_run:
+ *                 type: boolean
+ *                 description: Same as the dry_run query parameter
+ *               conflict_policy:
+ *                 type: string
+ *                 enum: [keep_existing, overwrite, restatement]
+ *                 description: |
+ *                   How to settle years whose imported value differs from the
+ *                   active record's. Without it such an import writes nothing
+ *                   and its job ends with status `conflicts`, listing them in
+ *                   `result.conflicts`; retry the job with a conflict_policy.
+ *                   Years that do not overlap are always merged into the new version.
  *               data_period_start:
  *                 type: string
  *                 example: "FY22"
@@ -275,32 +402,23 @@ const upload = require("../middlewares/uploadMiddleware"); // Assumed multer con
  *                 type: string
  *                 example: "CSV Import"
  *     responses:
- *       201:
- *         description: File imported successfully
+ *       200:
+ *         description: Dry run only; nothing was saved
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 success:
- *                   type: boolean
- *                 message:
- *                   type: string
- *                 data:
- *                   type: object
- *                   properties:
- *                     record_id:
- *                       type: string
- *                     version:
- *                       type: integer
- *                     import_date:
- *                       type: string
- *                     import_source:
- *                       type: string
- *                     metrics_count:
- *                       type: integer
- *                     summary_stats:
- *                       type: object
+ *                 success: { type: boolean }
+ *                 message: { type: string }
+ *                 data: { $ref: '#/components/schemas/ImportPreview' }
+ *       202:
+ *         description: |
+ *           File queued for import; poll `data.status_url`. The finished job's
+ *           `result` has the record id, version and metrics count.
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ImportJobAccepted' }
  *       400:
  *         description: No file provided or unsupported file type
  *       401:
@@ -309,6 +427,8 @@ const upload = require("../middlewares/uploadMiddleware"); // Assumed multer con
 router.post(
   "/company/:companyId/import-file",
   authenticate,
+  requireCompanyAccess,
+  requireScope("biodiversity:write"),
   upload.single("file"), // Assumes multer middleware configured to handle single file
   biodiversityLandUseController.importFile,
 );
@@ -353,6 +473,8 @@ router.post(
 router.post(
   "/company/:companyId/import-json",
   authenticate,
+  requireCompanyAccess,
+  requireScope("biodiversity:write"),
   biodiversityLandUseController.importJSON,
 );
 
@@ -396,6 +518,8 @@ router.post(
 router.get(
   "/company/:companyId/records",
   authenticate,
+  requireCompanyAccess,
+  requireScope("biodiversity:read"),
   biodiversityLandUseController.getCompanyRecords,
 );
 
@@ -436,6 +560,8 @@ router.get(
 router.get(
   "/company/:companyId/records/:recordId",
   authenticate,
+  requireCompanyAccess,
+  requireScope("biodiversity:read"),
   biodiversityLandUseController.getRecordById,
 );
 
@@ -488,6 +614,8 @@ router.get(
 router.get(
   "/company/:companyId/category/:category",
   authenticate,
+  requireCompanyAccess,
+  requireScope("biodiversity:read"),
   biodiversityLandUseController.getMetricsByCategory,
 );
 
@@ -540,6 +668,8 @@ router.get(
 router.get(
   "/company/:companyId/metric/:metricName/timeseries",
   authenticate,
+  requireCompanyAccess,
+  requireScope("biodiversity:read"),
   biodiversityLandUseController.getTimeSeriesData,
 );
 
@@ -581,6 +711,8 @@ router.get(
 router.post(
   "/company/:companyId/metrics",
   authenticate,
+  requireCompanyAccess,
+  requireScope("biodiversity:write"),
   biodiversityLandUseController.upsertMetric,
 );
 
@@ -633,6 +765,8 @@ router.post(
 router.post(
   "/company/:companyId/metrics/bulk",
   authenticate,
+  requireCompanyAccess,
+  requireScope("biodiversity:write"),
   biodiversityLandUseController.bulkUpdateMetrics,
 );
 
@@ -680,6 +814,8 @@ router.post(
 router.delete(
   "/company/:companyId/metrics/:metricId",
   authenticate,
+  requireCompanyAccess,
+  requireScope("biodiversity:write"),
   biodiversityLandUseController.deleteMetric,
 );
 
@@ -725,6 +861,8 @@ router.delete(
 router.get(
   "/company/:companyId/summary",
   authenticate,
+  requireCompanyAccess,
+  requireScope("biodiversity:read"),
   biodiversityLandUseController.getSummaryStats,
 );
 
@@ -771,6 +909,8 @@ router.get(
 router.post(
   "/company/:companyId/validate",
   authenticate,
+  requireCompanyAccess,
+  requireScope("biodiversity:write"),
   biodiversityLandUseController.validateData,
 );
 
@@ -824,7 +964,8 @@ router.post(
 router.patch(
   "/company/:companyId/verification",
   authenticate,
-  requireOwner, // Verification should be restricted to owner/verifier role
+  requireCompanyAccess,
+  requireScope("biodiversity:verify"),
   biodiversityLandUseController.updateVerificationStatus,
 );
 
@@ -877,6 +1018,8 @@ router.patch(
 router.get(
   "/company/:companyId/versions",
   authenticate,
+  requireCompanyAccess,
+  requireScope("biodiversity:read"),
   biodiversityLandUseController.getDataVersions,
 );
 
@@ -930,7 +1073,8 @@ router.get(
 router.post(
   "/company/:companyId/versions/:versionId/restore",
   authenticate,
-  requireOwner, // Restoring a version is an administrative action
+  requireCompanyAccess,
+  requireScope("biodiversity:restore"),
   biodiversityLandUseController.restoreVersion,
 );
 
@@ -989,6 +1133,8 @@ router.post(
 router.post(
   "/company/:companyId/records",
   authenticate,
+  requireCompanyAccess,
+  requireScope("biodiversity:write"),
   biodiversityLandUseController.createRecord,
 );
 
@@ -1027,6 +1173,8 @@ router.post(
 router.get(
   "/company/:companyId/export",
   authenticate,
+  requireCompanyAccess,
+  requireScope("biodiversity:read"),
   biodiversityLandUseController.exportCSV,
 );
 
@@ -1075,6 +1223,8 @@ router.get(
 router.get(
   "/company/:companyId/data-type/:dataType",
   authenticate,
+  requireCompanyAccess,
+  requireScope("biodiversity:read"),
   biodiversityLandUseController.getMetricsByDataType,
 );
 
@@ -2,7 +2,13 @@
 const express = require("express");
 const router = express.Router();
 const carbonEmissionController = require("../controllers/carbon_emission_controller");
-const { authenticate, requireOwner } = require("../middlewares/auth");
+const { authenticate, requireOwner, requireScope } = require("../middlewares/auth");
+const {
+  requireCompanyAccess,
+  requireBodyCompanyAccess,
+  requireRecordCompanyAccess,
+} = require("../middlewares/tenancy");
+const CarbonEmissionAccounting = require("../models/carbon_emission_accounting_model");
 const upload = require("../middlewares/uploadMiddleware");
 
 /**
@@ -518,6 +524,13 @@ const upload = require("../middlewares/uploadMiddleware");
  *     description: Upload a file containing carbon emission and sequestration data for processing and import
  *     security:
  *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dry_run
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Parse and validate the file and report what would change, without saving (also accepted as a form field)
  *     requestBody:
  *       required: true
  *       content:
@@ -543,13 +556,22 @@ const upload = require("../middlewares/uploadMiddleware");
  *               importNotes:
  *                 type: string
  *                 example: "Uploaded from sustainability report 2025"
+ *               dry_run:
+ *                 type: boolean
+ *                 description: Same as the dry_run query parameter
  *     responses:
- *       201:
- *         description: File uploaded and processed successfully
+ *       200:
+ *         description: |
+ *           Dry run; the record type the file maps to, its year, the processed
+ *           data and the errors the import would fail with. Nothing is saved.
+ *       202:
+ *         description: |
+ *           File queued for import; poll `data.status_url`. The finished job's
+ *           `result` has the UploadResponse data.
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/UploadResponse'
+ *               $ref: '#/components/schemas/ImportJobAccepted'
  *       400:
  *         description: No file uploaded or invalid request
  *       401:
@@ -560,6 +582,8 @@ const upload = require("../middlewares/uploadMiddleware");
 router.post(
   "/upload",
   authenticate,
+  requireScope("carbon:write"),
+  upload.single("file"),
   carbonEmissionController.uploadCarbonEmissionFile,
 );
 
@@ -600,7 +624,13 @@ router.post(
  *       500:
  *         description: Internal server error
  */
-router.post("/", authenticate, carbonEmissionController.createCarbonEmission);
+router.post(
+  "/",
+  authenticate,
+  requireBodyCompanyAccess("company"),
+  requireScope("carbon:write"),
+  carbonEmissionController.createCarbonEmission,
+);
 
 /**
  * @swagger
@@ -644,6 +674,8 @@ router.post("/", authenticate, carbonEmissionController.createCarbonEmission);
 router.get(
   "/:id",
   authenticate,
+  requireRecordCompanyAccess(CarbonEmissionAccounting),
+  requireScope("carbon:read"),
   carbonEmissionController.getCarbonEmissionById,
 );
 
@@ -689,6 +721,8 @@ router.get(
 router.get(
   "/company/:companyId",
   authenticate,
+  requireCompanyAccess,
+  requireScope("carbon:read"),
   carbonEmissionController.getCarbonEmissionByCompany,
 );
 
@@ -737,6 +771,8 @@ router.get(
 router.get(
   "/company/:companyId/year/:year",
   authenticate,
+  requireCompanyAccess,
+  requireScope("carbon:read"),
   carbonEmissionController.getCarbonEmissionByCompanyAndYear,
 );
 
@@ -789,6 +825,8 @@ router.get(
 router.post(
   "/:id/yearly",
   authenticate,
+  requireRecordCompanyAccess(CarbonEmissionAccounting),
+  requireScope("carbon:write"),
   carbonEmissionController.addYearlyData,
 );
 
@@ -846,6 +884,8 @@ router.post(
 router.patch(
   "/:id/yearly/:year",
   authenticate,
+  requireRecordCompanyAccess(CarbonEmissionAccounting),
+  requireScope("carbon:write"),
   carbonEmissionController.updateYearlyData,
 );
 
@@ -902,6 +942,8 @@ router.patch(
 router.post(
   "/:id/year/:year/scope1",
   authenticate,
+  requireRecordCompanyAccess(CarbonEmissionAccounting),
+  requireScope("carbon:write"),
   carbonEmissionController.addScope1Emissions,
 );
 
@@ -958,6 +1000,8 @@ router.post(
 router.post(
   "/:id/year/:year/scope2",
   authenticate,
+  requireRecordCompanyAccess(CarbonEmissionAccounting),
+  requireScope("carbon:write"),
   carbonEmissionController.addScope2Emissions,
 );
 
@@ -1014,6 +1058,8 @@ router.post(
 router.post(
   "/:id/year/:year/scope3",
   authenticate,
+  requireRecordCompanyAccess(CarbonEmissionAccounting),
+  requireScope("carbon:write"),
   carbonEmissionController.addScope3Emissions,
 );
 
@@ -1064,6 +1110,8 @@ router.post(
 router.patch(
   "/:id",
   authenticate,
+  requireRecordCompanyAccess(CarbonEmissionAccounting),
+  requireScope("carbon:write"),
   carbonEmissionController.updateCarbonEmission,
 );
 
@@ -1112,7 +1160,8 @@ router.patch(
 router.patch(
   "/:id/verify",
   authenticate,
-  requireOwner,
+  requireRecordCompanyAccess(CarbonEmissionAccounting),
+  requireScope("carbon:verify"),
   carbonEmissionController.verifyCarbonEmission,
 );
 
@@ -1153,6 +1202,8 @@ router.patch(
 router.delete(
   "/:id",
   authenticate,
+  requireRecordCompanyAccess(CarbonEmissionAccounting),
+  requireScope("carbon:write"),
   carbonEmissionController.deleteCarbonEmission,
 );
 
@@ -2,7 +2,8 @@ const express = require("express");
 const router = express.Router();
 
 const communityController = require("../controllers/community_engagement_controller");
-const { authenticate, requireOwner } = require("../middlewares/auth");
+const { authenticate, requireScope } = require("../middlewares/auth");
+const { requireCompanyAccess } = require("../middlewares/tenancy");
 const upload = require("../middlewares/uploadMiddleware");
 
 /**
@@ -190,6 +191,12 @@ const upload = require("../middlewares/uploadMiddleware");
  *         schema:
  *           type: string
  *         description: ID of the company
+ *       - in: query
+ *         name: dry_run
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Parse and validate the file and report what would change, without saving (also accepted as a form field)
  *     requestBody:
  *       required: true
  *       content:
@@ -203,6 +210,21 @@ const upload = require("../middlewares/uploadMiddleware");
  *                 type: string
  *                 format: binary
  *                 description: Data file (CSV, Excel, or JSON)
+ *               mapping_template_id:
+ *                 type: string
+ *                 description: Import mapping template to use instead of the built-in file processing (see Import Templates)
+ *               dry_run:
+ *                 type: boolean
+ *                 description: Same as the dry_run query parameter
+ *               conflict_policy:
+ *                 type: string
+ *                 enum: [keep_existing, overwrite, restatement]
+ *                 description: |
+ *                   How to settle years whose imported value differs from the
+ *                   active record's. Without it such an import writes nothing
+ *                   and its job ends with status `conflicts`, listing them in
+ *                   `result.conflicts`; retry the job with a conflict_policy.
+ *                   Years that do not overlap are always merged into the new version.
  *               data_period_start:
  *                 type: string
  *                 example: "2025"
@@ -216,8 +238,23 @@ const upload = require("../middlewares/uploadMiddleware");
  *                 type: string
  *                 example: "File Import"
  *     responses:
- *       201:
- *         description: File imported successfully
+ *       200:
+ *         description: Dry run only; nothing was saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 message: { type: string }
+ *                 data: { $ref: '#/components/schemas/ImportPreview' }
+ *       202:
+ *         description: |
+ *           File queued for import; poll `data.status_url`. The finished job's
+ *           `result` has the record id, version and metrics count.
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ImportJobAccepted' }
  *       400:
  *         description: No file provided or unsupported file type
  *       401:
@@ -226,6 +263,8 @@ const upload = require("../middlewares/uploadMiddleware");
 router.post(
   "/company/:companyId/import-file",
   authenticate,
+  requireCompanyAccess,
+  requireScope("community:write"),
   upload.single("file"),
   communityController.importFile,
 );
@@ -270,6 +309,8 @@ router.post(
 router.post(
   "/company/:companyId/import-json",
   authenticate,
+  requireCompanyAccess,
+  requireScope("community:write"),
   communityController.importJSON,
 );
 
@@ -300,6 +341,8 @@ router.post(
 router.get(
   "/company/:companyId/records",
   authenticate,
+  requireCompanyAccess,
+  requireScope("community:read"),
   communityController.getCompanyRecords,
 );
 
@@ -331,6 +374,8 @@ router.get(
 router.get(
   "/company/:companyId/records/:recordId",
   authenticate,
+  requireCompanyAccess,
+  requireScope("community:read"),
   communityController.getRecordById,
 );
 
@@ -369,6 +414,8 @@ router.get(
 router.get(
   "/company/:companyId/category/:category",
   authenticate,
+  requireCompanyAccess,
+  requireScope("community:read"),
   communityController.getMetricsByCategory,
 );
 
@@ -406,6 +453,8 @@ router.get(
 router.get(
   "/company/:companyId/metric/:metricName/timeseries",
   authenticate,
+  requireCompanyAccess,
+  requireScope("community:read"),
   communityController.getTimeSeriesData,
 );
 
@@ -436,6 +485,8 @@ router.get(
 router.post(
   "/company/:companyId/metrics",
   authenticate,
+  requireCompanyAccess,
+  requireScope("community:write"),
   communityController.upsertMetric,
 );
 
@@ -472,6 +523,8 @@ router.post(
 router.post(
   "/company/:companyId/metrics/bulk",
   authenticate,
+  requireCompanyAccess,
+  requireScope("community:write"),
   communityController.bulkUpdateMetrics,
 );
 
@@ -503,6 +556,8 @@ router.post(
 router.delete(
   "/company/:companyId/metrics/:metricId",
   authenticate,
+  requireCompanyAccess,
+  requireScope("community:write"),
   communityController.deleteMetric,
 );
 
@@ -529,6 +584,8 @@ router.delete(
 router.get(
   "/company/:companyId/summary",
   authenticate,
+  requireCompanyAccess,
+  requireScope("community:read"),
   communityController.getSummaryStats,
 );
 
@@ -553,6 +610,8 @@ router.get(
 router.post(
   "/company/:companyId/validate",
   authenticate,
+  requireCompanyAccess,
+  requireScope("community:write"),
   communityController.validateData,
 );
 
@@ -585,7 +644,8 @@ router.post(
 router.patch(
   "/company/:companyId/verification",
   authenticate,
-  requireOwner,
+  requireCompanyAccess,
+  requireScope("community:verify"),
   communityController.updateVerificationStatus,
 );
 
@@ -610,6 +670,8 @@ router.patch(
 router.get(
   "/company/:companyId/versions",
   authenticate,
+  requireCompanyAccess,
+  requireScope("community:read"),
   communityController.getDataVersions,
 );
 
@@ -642,7 +704,8 @@ router.get(
 router.post(
   "/company/:companyId/versions/:versionId/restore",
   authenticate,
-  requireOwner,
+  requireCompanyAccess,
+  requireScope("community:restore"),
   communityController.restoreVersion,
 );
 
@@ -689,6 +752,8 @@ router.post(
 router.post(
   "/company/:companyId/records",
   authenticate,
+  requireCompanyAccess,
+  requireScope("community:write"),
   communityController.createRecord,
 );
 
@@ -720,6 +785,8 @@ router.post(
 router.get(
   "/company/:companyId/export",
   authenticate,
+  requireCompanyAccess,
+  requireScope("community:read"),
   communityController.exportCSV,
 );
 
@@ -753,6 +820,8 @@ router.get(
 router.get(
   "/company/:companyId/data-type/:dataType",
   authenticate,
+  requireCompanyAccess,
+  requireScope("community:read"),
   communityController.getMetricsByDataType,
 );
 
@@ -11,7 +11,7 @@ const { authenticate, requireOwner } = require("../middlewares/auth");
  * /api/v1/companies/register:
  *   post:
  *     tags: [Companies]
- *     summary: Public register a company (no auth) and return a token
+ *     summary: Public register a company (no auth)
  *     requestBody:
  *       required: true
  *       content:
@@ -131,8 +131,6 @@ const { authenticate, requireOwner } = require("../middlewares/auth");
  *               properties:
  *                 message:
  *                   type: string
- *                 token:
- *                   type: string
  *                 company:
  *                   $ref: '#/components/schemas/Company'
  *       400:
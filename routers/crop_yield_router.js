@@ -2,7 +2,8 @@ const express = require("express");
 const router = express.Router();
 
 const cropYieldController = require("../controllers/crop_yield_controller");
-const { authenticate, requireOwner } = require("../middlewares/auth");
+const { authenticate, requireScope } = require("../middlewares/auth");
+const { requireCompanyAccess } = require("../middlewares/tenancy");
 const upload = require("../middlewares/uploadMiddleware");
 
 /**
@@ -202,6 +203,12 @@ const upload = require("../middlewares/uploadMiddleware");
  *         schema:
  *           type: string
  *         description: ID of the company
+ *       - in: query
+ *         name: dry_run
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Parse and validate the file and report what would change, without saving (also accepted as a form field)
  *     requestBody:
  *       required: true
  *       content:
@@ -215,6 +222,21 @@ const upload = require("../middlewares/uploadMiddleware");
  *                 type: string
  *                 format: binary
  *                 description: Data file (CSV, Excel, or JSON)
+ *               mapping_template_id:
+ *                 type: string
+ *                 description: Import mapping template to use instead of the built-in file processing (see Import Templates)
+ *               dry_run:
+ *                 type: boolean
+ *                 description: Same as the dry_run query parameter
+ *               conflict_policy:
+ *                 type: string
+ *                 enum: [keep_existing, overwrite, restatement]
+ *                 description: |
+ *                   How to settle years whose imported value differs from the
+ *                   active record's. Without it such an import writes nothing
+ *                   and its job ends with status `conflicts`, listing them in
+ *                   `result.conflicts`; retry the job with a conflict_policy.
+ *                   Years that do not overlap are always merged into the new version.
  *               data_period_start:
  *                 type: string
  *                 example: "2022"
@@ -228,8 +250,23 @@ const upload = require("../middlewares/uploadMiddleware");
  *                 type: string
  *                 example: "CSV Import"
  *     responses:
- *       201:
- *         description: File imported successfully
+ *       200:
+ *         description: Dry run only; nothing was saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 message: { type: string }
+ *                 data: { $ref: '#/components/schemas/ImportPreview' }
+ *       202:
+ *         description: |
+ *           File queued for import; poll `data.status_url`. The finished job's
+ *           `result` has the record id, version and metrics count.
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ImportJobAccepted' }
  *       400:
  *         description: No file provided or unsupported file type
  *       401:
@@ -238,6 +275,8 @@ const upload = require("../middlewares/uploadMiddleware");
 router.post(
   "/company/:companyId/import-file",
   authenticate,
+  requireCompanyAccess,
+  requireScope("crop_yield:write"),
   upload.single("file"),
   cropYieldController.importFile,
 );
@@ -282,6 +321,8 @@ router.post(
 router.post(
   "/company/:companyId/import-json",
   authenticate,
+  requireCompanyAccess,
+  requireScope("crop_yield:write"),
   cropYieldController.importJSON,
 );
 
@@ -312,6 +353,8 @@ router.post(
 router.get(
   "/company/:companyId/records",
   authenticate,
+  requireCompanyAccess,
+  requireScope("crop_yield:read"),
   cropYieldController.getCompanyRecords,
 );
 
@@ -343,6 +386,8 @@ router.get(
 router.get(
   "/company/:companyId/records/:recordId",
   authenticate,
+  requireCompanyAccess,
+  requireScope("crop_yield:read"),
   cropYieldController.getRecordById,
 );
 
@@ -381,6 +426,8 @@ router.get(
 router.get(
   "/company/:companyId/category/:category",
   authenticate,
+  requireCompanyAccess,
+  requireScope("crop_yield:read"),
   cropYieldController.getMetricsByCategory,
 );
 
@@ -418,6 +465,8 @@ router.get(
 router.get(
   "/company/:companyId/metric/:metricName/timeseries",
   authenticate,
+  requireCompanyAccess,
+  requireScope("crop_yield:read"),
   cropYieldController.getTimeSeriesData,
 );
 
@@ -448,6 +497,8 @@ router.get(
 router.post(
   "/company/:companyId/metrics",
   authenticate,
+  requireCompanyAccess,
+  requireScope("crop_yield:write"),
   cropYieldController.upsertMetric,
 );
 
@@ -484,6 +535,8 @@ router.post(
 router.post(
   "/company/:companyId/metrics/bulk",
   authenticate,
+  requireCompanyAccess,
+  requireScope("crop_yield:write"),
   cropYieldController.bulkUpdateMetrics,
 );
 
@@ -515,6 +568,8 @@ router.post(
 router.delete(
   "/company/:companyId/metrics/:metricId",
   authenticate,
+  requireCompanyAccess,
+  requireScope("crop_yield:write"),
   cropYieldController.deleteMetric,
 );
 
@@ -541,6 +596,8 @@ router.delete(
 router.get(
   "/company/:companyId/summary",
   authenticate,
+  requireCompanyAccess,
+  requireScope("crop_yield:read"),
   cropYieldController.getSummaryStats,
 );
 
@@ -565,6 +622,8 @@ router.get(
 router.post(
   "/company/:companyId/validate",
   authenticate,
+  requireCompanyAccess,
+  requireScope("crop_yield:write"),
   cropYieldController.validateData,
 );
 
@@ -597,7 +656,8 @@ router.post(
 router.patch(
   "/company/:companyId/verification",
   authenticate,
-  requireOwner,
+  requireCompanyAccess,
+  requireScope("crop_yield:verify"),
   cropYieldController.updateVerificationStatus,
 );
 
@@ -622,6 +682,8 @@ router.patch(
 router.get(
   "/company/:companyId/versions",
   authenticate,
+  requireCompanyAccess,
+  requireScope("crop_yield:read"),
   cropYieldController.getDataVersions,
 );
 
@@ -654,7 +716,8 @@ router.get(
 router.post(
   "/company/:companyId/versions/:versionId/restore",
   authenticate,
-  requireOwner,
+  requireCompanyAccess,
+  requireScope("crop_yield:restore"),
   cropYieldController.restoreVersion,
 );
 
@@ -702,6 +765,8 @@ router.post(
 router.post(
   "/company/:companyId/records",
   authenticate,
+  requireCompanyAccess,
+  requireScope("crop_yield:write"),
   cropYieldController.createRecord,
 );
 
@@ -733,6 +798,8 @@ router.post(
 router.get(
   "/company/:companyId/export",
   authenticate,
+  requireCompanyAccess,
+  requireScope("crop_yield:read"),
   cropYieldController.exportCSV,
 );
 
@@ -766,6 +833,8 @@ router.get(
 router.get(
   "/company/:companyId/data-type/:dataType",
   authenticate,
+  requireCompanyAccess,
+  requireScope("crop_yield:read"),
   cropYieldController.getMetricsByDataType,
 );
 
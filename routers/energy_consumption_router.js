@@ -2,7 +2,8 @@ const express = require("express");
 const router = express.Router();
 
 const energyController = require("../controllers/energy_consumption_data_controller");
-const { authenticate, requireOwner } = require("../middlewares/auth");
+const { authenticate, requireScope } = require("../middlewares/auth");
+const { requireCompanyAccess } = require("../middlewares/tenancy");
 const upload = require("../middlewares/uploadMiddleware");
 
 /**
@@ -201,6 +202,12 @@ const upload = require("../middlewares/uploadMiddleware");
  *         schema:
  *           type: string
  *         description: ID of the company
+ *       - in: query
+ *         name: dry_run
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Parse and validate the file and report what would change, without saving (also accepted as a form field)
  *     requestBody:
  *       required: true
  *       content:
@@ -214,6 +221,21 @@ const upload = require("../middlewares/uploadMiddleware");
  *                 type: string
  *                 format: binary
  *                 description: Data file (CSV, Excel, or JSON)
+ *               mapping_template_id:
+ *                 type: string
+ *                 description: Import mapping template to use instead of the built-in file processing (see Import Templates)
+ *               dry_run:
+ *                 type: boolean
+ *                 description: Same as the dry_run query parameter
+ *               conflict_policy:
+ *                 type: string
+ *                 enum: [keep_existing, overwrite, restatement]
+ *                 description: |
+ *                   How to settle years whose imported value differs from the
+ *                   active record's. Without it such an import writes nothing
+ *                   and its job ends with status `conflicts`, listing them in
+ *                   `result.conflicts`; retry the job with a conflict_policy.
+ *                   Years that do not overlap are always merged into the new version.
  *               data_period_start:
  *                 type: string
  *                 example: "2022"
@@ -227,8 +249,23 @@ const upload = require("../middlewares/uploadMiddleware");
  *                 type: string
  *                 example: "File Import"
  *     responses:
- *       201:
- *         description: File imported successfully
+ *       200:
+ *         description: Dry run only; nothing was saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 message: { type: string }
+ *                 data: { $ref: '#/components/schemas/ImportPreview' }
+ *       202:
+ *         description: |
+ *           File queued for import; poll `data.status_url`. The finished job's
+ *           `result` has the record id, version and metrics count.
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ImportJobAccepted' }
  *       400:
  *         description: No file provided or unsupported file type
  *       401:
@@ -237,6 +274,8 @@ const upload = require("../middlewares/uploadMiddleware");
 router.post(
   "/company/:companyId/import-file",
   authenticate,
+  requireCompanyAccess,
+  requireScope("energy:write"),
   upload.single("file"),
   energyController.importFile,
 );
@@ -281,6 +320,8 @@ router.post(
 router.post(
   "/company/:companyId/import-json",
   authenticate,
+  requireCompanyAccess,
+  requireScope("energy:write"),
   energyController.importJSON,
 );
 
@@ -311,6 +352,8 @@ router.post(
 router.get(
   "/company/:companyId/records",
   authenticate,
+  requireCompanyAccess,
+  requireScope("energy:read"),
   energyController.getCompanyRecords,
 );
 
@@ -342,6 +385,8 @@ router.get(
 router.get(
   "/company/:companyId/records/:recordId",
   authenticate,
+  requireCompanyAccess,
+  requireScope("energy:read"),
   energyController.getRecordById,
 );
 
@@ -380,6 +425,8 @@ router.get(
 router.get(
   "/company/:companyId/category/:category",
   authenticate,
+  requireCompanyAccess,
+  requireScope("energy:read"),
   energyController.getMetricsByCategory,
 );
 
@@ -417,6 +464,8 @@ router.get(
 router.get(
   "/company/:companyId/metric/:metricName/timeseries",
   authenticate,
+  requireCompanyAccess,
+  requireScope("energy:read"),
   energyController.getTimeSeriesData,
 );
 
@@ -447,6 +496,8 @@ router.get(
 router.post(
   "/company/:companyId/metrics",
   authenticate,
+  requireCompanyAccess,
+  requireScope("energy:write"),
   energyController.upsertMetric,
 );
 
@@ -483,6 +534,8 @@ router.post(
 router.post(
   "/company/:companyId/metrics/bulk",
   authenticate,
+  requireCompanyAccess,
+  requireScope("energy:write"),
   energyController.bulkUpdateMetrics,
 );
 
@@ -514,6 +567,8 @@ router.post(
 router.delete(
   "/company/:companyId/metrics/:metricId",
   authenticate,
+  requireCompanyAccess,
+  requireScope("energy:write"),
   energyController.deleteMetric,
 );
 
@@ -540,6 +595,8 @@ router.delete(
 router.get(
   "/company/:companyId/summary",
   authenticate,
+  requireCompanyAccess,
+  requireScope("energy:read"),
   energyController.getSummaryStats,
 );
 
@@ -564,6 +621,8 @@ router.get(
 router.post(
   "/company/:companyId/validate",
   authenticate,
+  requireCompanyAccess,
+  requireScope("energy:write"),
   energyController.validateData,
 );
 
@@ -596,7 +655,8 @@ router.post(
 router.patch(
   "/company/:companyId/verification",
   authenticate,
-  requireOwner,
+  requireCompanyAccess,
+  requireScope("energy:verify"),
   energyController.updateVerificationStatus,
 );
 
@@ -621,6 +681,8 @@ router.patch(
 router.get(
   "/company/:companyId/versions",
   authenticate,
+  requireCompanyAccess,
+  requireScope("energy:read"),
   energyController.getDataVersions,
 );
 
@@ -653,7 +715,8 @@ router.get(
 router.post(
   "/company/:companyId/versions/:versionId/restore",
   authenticate,
-  requireOwner,
+  requireCompanyAccess,
+  requireScope("energy:restore"),
   energyController.restoreVersion,
 );
 
@@ -700,6 +763,8 @@ router.post(
 router.post(
   "/company/:companyId/records",
   authenticate,
+  requireCompanyAccess,
+  requireScope("energy:write"),
   energyController.createRecord,
 );
 
@@ -731,6 +796,8 @@ router.post(
 router.get(
   "/company/:companyId/export",
   authenticate,
+  requireCompanyAccess,
+  requireScope("energy:read"),
   energyController.exportCSV,
 );
 
@@ -764,6 +831,8 @@ router.get(
 router.get(
   "/company/:companyId/data-type/:dataType",
   authenticate,
+  requireCompanyAccess,
+  requireScope("energy:read"),
   energyController.getMetricsByDataType,
 );
 
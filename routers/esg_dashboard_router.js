@@ -2,15 +2,73 @@ const express = require("express");
 const router = express.Router();
 
 const esgDashboardController = require("../controllers/esg_dashboard_controller");
-const { authenticate } = require("../middlewares/auth");
+const {
+  authenticate,
+  allowApiKey,
+  requireScope,
+} = require("../middlewares/auth");
+const { requireCompanyAccess } = require("../middlewares/tenancy");
+const {
+  requireApiPermission,
+  attachApiPermissions,
+} = require("../middlewares/api_permission_gate");
+const { dashboardRateLimit } = require("../middlewares/rate_limiter");
+const { meterUsage } = require("../middlewares/usage_meter");
+
+// Dashboards can also be called by BI tools with a company API key
+router.use(allowApiKey);
 
 /**
  * @swagger
  * tags:
  *   - name: ESG Dashboard APIs
- *     description: Comprehensive ESG Dashboard APIs for environmental, social, and governance metrics visualization
+ *     description: |
+ *       Comprehensive ESG Dashboard APIs for environmental, social, and governance metrics visualization.
+ *       Responses are computed once per company, year and calculation version and served from cache until an import, upsert, verification or restore changes the company's data. They carry `ETag` and `Last-Modified` headers; send them back as `If-None-Match` / `If-Modified-Since` to get `304 Not Modified` while the data is unchanged.
  *
  * components:
+ *   parameters:
+ *     UnitsQuery:
+ *       in: query
+ *       name: units
+ *       description: >
+ *         Units to render values in, one per dimension, as a comma-separated
+ *         list ("MWh,ML") or dimension:unit pairs ("energy:MWh,volume:ML").
+ *         Values with a convertible unit are converted and keep their original
+ *         unit as `reported_unit`. See GET /api/v1/units for the supported units.
+ *       schema:
+ *         type: string
+ *         example: "energy:MWh,volume:ML"
+ *     FromYearQuery:
+ *       in: query
+ *       name: from_year
+ *       description: >
+ *         First year of the reporting period. With from_year, to_year or
+ *         compare_to the response adds `data.comparison`, and the dashboard
+ *         itself shows the period's last year.
+ *       schema:
+ *         type: integer
+ *         example: 2022
+ *     ToYearQuery:
+ *       in: query
+ *       name: to_year
+ *       description: >
+ *         Last year of the reporting period; defaults to `year`, then to the
+ *         latest year with data. from_year defaults to to_year.
+ *       schema:
+ *         type: integer
+ *         example: 2024
+ *     CompareToQuery:
+ *       in: query
+ *       name: compare_to
+ *       description: >
+ *         Periods to compare the reporting period to, comma-separated:
+ *         `previous` (the same number of years just before it), `baseline`
+ *         (the first year with data), a year or a range such as 2017-2019.
+ *         At most 5; like the reporting period, a range spans at most 30 years.
+ *       schema:
+ *         type: string
+ *         example: "previous,baseline"
  *   schemas:
  *     ESGGraph:
  *       type: object
@@ -30,6 +88,126 @@ const { authenticate } = require("../middlewares/auth");
  *           type: array
  *           items:
  *             type: object
+ *     DashboardPeriodChange:
+ *       type: object
+ *       description: Change between two years; null where either year has no value
+ *       properties:
+ *         unit:
+ *           type: string
+ *           nullable: true
+ *         from_year:
+ *           type: integer
+ *         to_year:
+ *           type: integer
+ *         value:
+ *           type: number
+ *           nullable: true
+ *           description: Absolute change
+ *         percent:
+ *           type: number
+ *           nullable: true
+ *         cagr:
+ *           type: number
+ *           nullable: true
+ *           description: Compound annual growth rate, percent
+ *     DashboardComparison:
+ *       type: object
+ *       description: >
+ *         Read from the same records as the dashboard it is attached to: the
+ *         domain module, carbon accounting or the stored ESG metrics.
+ *       properties:
+ *         period:
+ *           type: object
+ *           properties:
+ *             label:
+ *               type: string
+ *               example: "2022-2024"
+ *             from_year:
+ *               type: integer
+ *             to_year:
+ *               type: integer
+ *             years:
+ *               type: array
+ *               items:
+ *                 type: integer
+ *         compare_to:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               key:
+ *                 type: string
+ *                 example: previous
+ *               label:
+ *                 type: string
+ *                 example: "Previous period (2019-2021)"
+ *               from_year:
+ *                 type: integer
+ *               to_year:
+ *                 type: integer
+ *               years:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *         years_available:
+ *           type: array
+ *           items:
+ *             type: integer
+ *         metrics:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               unit:
+ *                 type: string
+ *                 nullable: true
+ *               values:
+ *                 type: array
+ *                 description: The reporting period, year by year
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     year:
+ *                       type: integer
+ *                     value:
+ *                       type: number
+ *                       nullable: true
+ *               change:
+ *                 $ref: '#/components/schemas/DashboardPeriodChange'
+ *               comparisons:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     key:
+ *                       type: string
+ *                     label:
+ *                       type: string
+ *                     values:
+ *                       type: array
+ *                       description: >
+ *                         The comparison period aligned on the reporting period
+ *                         by its last year; `aligned_year` is the reporting year
+ *                         it lines up with
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           year:
+ *                             type: integer
+ *                           aligned_year:
+ *                             type: integer
+ *                           value:
+ *                             type: number
+ *                             nullable: true
+ *                     change:
+ *                       $ref: '#/components/schemas/DashboardPeriodChange'
+ *         graphs:
+ *           type: array
+ *           description: One line graph per metric with data, labelled with the reporting years
+ *           items:
+ *             $ref: '#/components/schemas/ESGGraph'
  *     ESGDashboardResponse:
  *       type: object
  *       properties:
@@ -48,6 +226,8 @@ const { authenticate } = require("../middlewares/auth");
  *               type: object
  *             graphs:
  *               type: object
+ *             comparison:
+ *               $ref: '#/components/schemas/DashboardComparison'
  */
 
 /**
@@ -59,6 +239,7 @@ const { authenticate } = require("../middlewares/auth");
  *     description: Quantifies soil organic carbon, soil health trends, and carbon permanence to support sequestration claims
  *     security:
  *       - BearerAuth: []
+ *       - ApiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: companyId
@@ -70,6 +251,10 @@ const { authenticate } = require("../middlewares/auth");
  *         schema:
  *           type: integer
  *           example: 2024
+ *       - $ref: '#/components/parameters/UnitsQuery'
+ *       - $ref: '#/components/parameters/FromYearQuery'
+ *       - $ref: '#/components/parameters/ToYearQuery'
+ *       - $ref: '#/components/parameters/CompareToQuery'
  *     responses:
  *       200:
  *         description: Soil health and carbon quality data retrieved
@@ -77,12 +262,25 @@ const { authenticate } = require("../middlewares/auth");
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ESGDashboardResponse'
+ *       304:
+ *         description: Not modified; the client's If-None-Match / If-Modified-Since still match
+ *       403:
+ *         description: API not enabled for this company (API_NOT_ENABLED)
+ *       400:
+ *         description: Invalid period parameters (INVALID_PERIOD)
+ *       429:
+ *         description: Rate limit exceeded (RATE_LIMITED); see RateLimit-* and Retry-After headers
  *       404:
  *         description: Company not found
  */
 router.get(
   "/soil-health-carbon/:companyId",
   authenticate,
+  requireCompanyAccess,
+  dashboardRateLimit,
+  requireScope("dashboard:read"),
+  requireApiPermission("soilHealthCarbon"),
+  meterUsage("soilHealthCarbon"),
   esgDashboardController.getSoilHealthCarbonQuality
 );
 
@@ -95,6 +293,7 @@ router.get(
  *     description: Predicts crop yields and identifies production risks across seasons
  *     security:
  *       - BearerAuth: []
+ *       - ApiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: companyId
@@ -106,13 +305,30 @@ router.get(
  *         schema:
  *           type: integer
  *           example: 2024
+ *       - $ref: '#/components/parameters/UnitsQuery'
+ *       - $ref: '#/components/parameters/FromYearQuery'
+ *       - $ref: '#/components/parameters/ToYearQuery'
+ *       - $ref: '#/components/parameters/CompareToQuery'
  *     responses:
  *       200:
  *         description: Crop yield forecast data retrieved
+ *       304:
+ *         description: Not modified; the client's If-None-Match / If-Modified-Since still match
+ *       403:
+ *         description: API not enabled for this company (API_NOT_ENABLED)
+ *       400:
+ *         description: Invalid period parameters (INVALID_PERIOD)
+ *       429:
+ *         description: Rate limit exceeded (RATE_LIMITED); see RateLimit-* and Retry-After headers
  */
 router.get(
   "/crop-yield-forecast/:companyId",
   authenticate,
+  requireCompanyAccess,
+  dashboardRateLimit,
+  requireScope("dashboard:read"),
+  requireApiPermission("cropYieldForecastRisk"),
+  meterUsage("cropYieldForecastRisk"),
   esgDashboardController.getCropYieldForecast
 );
 
@@ -125,6 +341,7 @@ router.get(
  *     description: Calculates farm-level and value-chain emissions aligned with GHG Protocol
  *     security:
  *       - BearerAuth: []
+ *       - ApiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: companyId
@@ -136,13 +353,30 @@ router.get(
  *         schema:
  *           type: integer
  *           example: 2024
+ *       - $ref: '#/components/parameters/UnitsQuery'
+ *       - $ref: '#/components/parameters/FromYearQuery'
+ *       - $ref: '#/components/parameters/ToYearQuery'
+ *       - $ref: '#/components/parameters/CompareToQuery'
  *     responses:
  *       200:
  *         description: GHG emissions data retrieved
+ *       304:
+ *         description: Not modified; the client's If-None-Match / If-Modified-Since still match
+ *       403:
+ *         description: API not enabled for this company (API_NOT_ENABLED)
+ *       400:
+ *         description: Invalid period parameters (INVALID_PERIOD)
+ *       429:
+ *         description: Rate limit exceeded (RATE_LIMITED); see RateLimit-* and Retry-After headers
  */
 router.get(
   "/ghg-emissions/:companyId",
   authenticate,
+  requireCompanyAccess,
+  dashboardRateLimit,
+  requireScope("dashboard:read"),
+  requireApiPermission("ghgEmissions"),
+  meterUsage("ghgEmissions"),
   esgDashboardController.getGHGEmissions
 );
 
@@ -155,6 +389,7 @@ router.get(
  *     description: Detects deforestation, land-use change, and biodiversity risk
  *     security:
  *       - BearerAuth: []
+ *       - ApiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: companyId
@@ -166,13 +401,30 @@ router.get(
  *         schema:
  *           type: integer
  *           example: 2024
+ *       - $ref: '#/components/parameters/UnitsQuery'
+ *       - $ref: '#/components/parameters/FromYearQuery'
+ *       - $ref: '#/components/parameters/ToYearQuery'
+ *       - $ref: '#/components/parameters/CompareToQuery'
  *     responses:
  *       200:
  *         description: Biodiversity and land use data retrieved
+ *       304:
+ *         description: Not modified; the client's If-None-Match / If-Modified-Since still match
+ *       403:
+ *         description: API not enabled for this company (API_NOT_ENABLED)
+ *       400:
+ *         description: Invalid period parameters (INVALID_PERIOD)
+ *       429:
+ *         description: Rate limit exceeded (RATE_LIMITED); see RateLimit-* and Retry-After headers
  */
 router.get(
   "/biodiversity-landuse/:companyId",
   authenticate,
+  requireCompanyAccess,
+  dashboardRateLimit,
+  requireScope("dashboard:read"),
+  requireApiPermission("biodiversityLandUse"),
+  meterUsage("biodiversityLandUse"),
   esgDashboardController.getBiodiversityLandUse
 );
 
@@ -185,6 +437,7 @@ router.get(
  *     description: Measures water-use efficiency and exposure to water stress
  *     security:
  *       - BearerAuth: []
+ *       - ApiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: companyId
@@ -196,13 +449,30 @@ router.get(
  *         schema:
  *           type: integer
  *           example: 2024
+ *       - $ref: '#/components/parameters/UnitsQuery'
+ *       - $ref: '#/components/parameters/FromYearQuery'
+ *       - $ref: '#/components/parameters/ToYearQuery'
+ *       - $ref: '#/components/parameters/CompareToQuery'
  *     responses:
  *       200:
  *         description: Irrigation efficiency data retrieved
+ *       304:
+ *         description: Not modified; the client's If-None-Match / If-Modified-Since still match
+ *       403:
+ *         description: API not enabled for this company (API_NOT_ENABLED)
+ *       400:
+ *         description: Invalid period parameters (INVALID_PERIOD)
+ *       429:
+ *         description: Rate limit exceeded (RATE_LIMITED); see RateLimit-* and Retry-After headers
  */
 router.get(
   "/irrigation-water/:companyId",
   authenticate,
+  requireCompanyAccess,
+  dashboardRateLimit,
+  requireScope("dashboard:read"),
+  requireApiPermission("irrigationWater"),
+  meterUsage("irrigationWater"),
   esgDashboardController.getIrrigationWaterRisk
 );
 
@@ -215,6 +485,7 @@ router.get(
  *     description: Tracks adoption of best practices, farmer training, and Scope 3 engagement
  *     security:
  *       - BearerAuth: []
+ *       - ApiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: companyId
@@ -226,13 +497,30 @@ router.get(
  *         schema:
  *           type: integer
  *           example: 2024
+ *       - $ref: '#/components/parameters/UnitsQuery'
+ *       - $ref: '#/components/parameters/FromYearQuery'
+ *       - $ref: '#/components/parameters/ToYearQuery'
+ *       - $ref: '#/components/parameters/CompareToQuery'
  *     responses:
  *       200:
  *         description: Farm compliance data retrieved
+ *       304:
+ *         description: Not modified; the client's If-None-Match / If-Modified-Since still match
+ *       403:
+ *         description: API not enabled for this company (API_NOT_ENABLED)
+ *       400:
+ *         description: Invalid period parameters (INVALID_PERIOD)
+ *       429:
+ *         description: Rate limit exceeded (RATE_LIMITED); see RateLimit-* and Retry-After headers
  */
 router.get(
   "/farm-compliance/:companyId",
   authenticate,
+  requireCompanyAccess,
+  dashboardRateLimit,
+  requireScope("dashboard:read"),
+  requireApiPermission("farmManagementCompliance"),
+  meterUsage("farmManagementCompliance"),
   esgDashboardController.getFarmCompliance
 );
 
@@ -245,6 +533,7 @@ router.get(
  *     description: Monitors on-farm energy use and renewable adoption
  *     security:
  *       - BearerAuth: []
+ *       - ApiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: companyId
@@ -256,13 +545,30 @@ router.get(
  *         schema:
  *           type: integer
  *           example: 2024
+ *       - $ref: '#/components/parameters/UnitsQuery'
+ *       - $ref: '#/components/parameters/FromYearQuery'
+ *       - $ref: '#/components/parameters/ToYearQuery'
+ *       - $ref: '#/components/parameters/CompareToQuery'
  *     responses:
  *       200:
  *         description: Energy consumption data retrieved
+ *       304:
+ *         description: Not modified; the client's If-None-Match / If-Modified-Since still match
+ *       403:
+ *         description: API not enabled for this company (API_NOT_ENABLED)
+ *       400:
+ *         description: Invalid period parameters (INVALID_PERIOD)
+ *       429:
+ *         description: Rate limit exceeded (RATE_LIMITED); see RateLimit-* and Retry-After headers
  */
 router.get(
   "/energy-renewables/:companyId",
   authenticate,
+  requireCompanyAccess,
+  dashboardRateLimit,
+  requireScope("dashboard:read"),
+  requireApiPermission("energyConsumptionRenewables"),
+  meterUsage("energyConsumptionRenewables"),
   esgDashboardController.getEnergyRenewables
 );
 
@@ -275,6 +581,7 @@ router.get(
  *     description: Tracks agricultural waste handling and circularity practices
  *     security:
  *       - BearerAuth: []
+ *       - ApiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: companyId
@@ -286,13 +593,30 @@ router.get(
  *         schema:
  *           type: integer
  *           example: 2024
+ *       - $ref: '#/components/parameters/UnitsQuery'
+ *       - $ref: '#/components/parameters/FromYearQuery'
+ *       - $ref: '#/components/parameters/ToYearQuery'
+ *       - $ref: '#/components/parameters/CompareToQuery'
  *     responses:
  *       200:
  *         description: Waste management data retrieved
+ *       304:
+ *         description: Not modified; the client's If-None-Match / If-Modified-Since still match
+ *       403:
+ *         description: API not enabled for this company (API_NOT_ENABLED)
+ *       400:
+ *         description: Invalid period parameters (INVALID_PERIOD)
+ *       429:
+ *         description: Rate limit exceeded (RATE_LIMITED); see RateLimit-* and Retry-After headers
  */
 router.get(
   "/waste-management/:companyId",
   authenticate,
+  requireCompanyAccess,
+  dashboardRateLimit,
+  requireScope("dashboard:read"),
+  requireApiPermission("wasteManagement"),
+  meterUsage("wasteManagement"),
   esgDashboardController.getWasteManagement
 );
 
@@ -305,6 +629,7 @@ router.get(
  *     description: Monitors workforce composition, diversity, and inclusion metrics
  *     security:
  *       - BearerAuth: []
+ *       - ApiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: companyId
@@ -316,13 +641,30 @@ router.get(
  *         schema:
  *           type: integer
  *           example: 2024
+ *       - $ref: '#/components/parameters/UnitsQuery'
+ *       - $ref: '#/components/parameters/FromYearQuery'
+ *       - $ref: '#/components/parameters/ToYearQuery'
+ *       - $ref: '#/components/parameters/CompareToQuery'
  *     responses:
  *       200:
  *         description: Workforce diversity data retrieved
+ *       304:
+ *         description: Not modified; the client's If-None-Match / If-Modified-Since still match
+ *       403:
+ *         description: API not enabled for this company (API_NOT_ENABLED)
+ *       400:
+ *         description: Invalid period parameters (INVALID_PERIOD)
+ *       429:
+ *         description: Rate limit exceeded (RATE_LIMITED); see RateLimit-* and Retry-After headers
  */
 router.get(
   "/workforce-diversity/:companyId",
   authenticate,
+  requireCompanyAccess,
+  dashboardRateLimit,
+  requireScope("dashboard:read"),
+  requireApiPermission("workforceDiversity"),
+  meterUsage("workforceDiversity"),
   esgDashboardController.getWorkforceDiversity
 );
 
@@ -335,6 +677,7 @@ router.get(
  *     description: Tracks workplace safety metrics and health indicators
  *     security:
  *       - BearerAuth: []
+ *       - ApiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: companyId
@@ -346,13 +689,30 @@ router.get(
  *         schema:
  *           type: integer
  *           example: 2024
+ *       - $ref: '#/components/parameters/UnitsQuery'
+ *       - $ref: '#/components/parameters/FromYearQuery'
+ *       - $ref: '#/components/parameters/ToYearQuery'
+ *       - $ref: '#/components/parameters/CompareToQuery'
  *     responses:
  *       200:
  *         description: Health and safety data retrieved
+ *       304:
+ *         description: Not modified; the client's If-None-Match / If-Modified-Since still match
+ *       403:
+ *         description: API not enabled for this company (API_NOT_ENABLED)
+ *       400:
+ *         description: Invalid period parameters (INVALID_PERIOD)
+ *       429:
+ *         description: Rate limit exceeded (RATE_LIMITED); see RateLimit-* and Retry-After headers
  */
 router.get(
   "/health-safety/:companyId",
   authenticate,
+  requireCompanyAccess,
+  dashboardRateLimit,
+  requireScope("dashboard:read"),
+  requireApiPermission("healthSafety"),
+  meterUsage("healthSafety"),
   esgDashboardController.getHealthSafety
 );
 
@@ -365,6 +725,7 @@ router.get(
  *     description: Monitors board composition, governance practices, and compliance
  *     security:
  *       - BearerAuth: []
+ *       - ApiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: companyId
@@ -376,13 +737,30 @@ router.get(
  *         schema:
  *           type: integer
  *           example: 2024
+ *       - $ref: '#/components/parameters/UnitsQuery'
+ *       - $ref: '#/components/parameters/FromYearQuery'
+ *       - $ref: '#/components/parameters/ToYearQuery'
+ *       - $ref: '#/components/parameters/CompareToQuery'
  *     responses:
  *       200:
  *         description: Governance and board metrics data retrieved
+ *       304:
+ *         description: Not modified; the client's If-None-Match / If-Modified-Since still match
+ *       403:
+ *         description: API not enabled for this company (API_NOT_ENABLED)
+ *       400:
+ *         description: Invalid period parameters (INVALID_PERIOD)
+ *       429:
+ *         description: Rate limit exceeded (RATE_LIMITED); see RateLimit-* and Retry-After headers
  */
 router.get(
   "/governance-board/:companyId",
   authenticate,
+  requireCompanyAccess,
+  dashboardRateLimit,
+  requireScope("dashboard:read"),
+  requireApiPermission("governanceBoardMetrics"),
+  meterUsage("governanceBoardMetrics"),
   esgDashboardController.getGovernanceBoard
 );
 
@@ -395,6 +773,7 @@ router.get(
  *     description: Tracks community investment, engagement, and social impact
  *     security:
  *       - BearerAuth: []
+ *       - ApiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: companyId
@@ -406,13 +785,30 @@ router.get(
  *         schema:
  *           type: integer
  *           example: 2024
+ *       - $ref: '#/components/parameters/UnitsQuery'
+ *       - $ref: '#/components/parameters/FromYearQuery'
+ *       - $ref: '#/components/parameters/ToYearQuery'
+ *       - $ref: '#/components/parameters/CompareToQuery'
  *     responses:
  *       200:
  *         description: Community engagement data retrieved
+ *       304:
+ *         description: Not modified; the client's If-None-Match / If-Modified-Since still match
+ *       403:
+ *         description: API not enabled for this company (API_NOT_ENABLED)
+ *       400:
+ *         description: Invalid period parameters (INVALID_PERIOD)
+ *       429:
+ *         description: Rate limit exceeded (RATE_LIMITED); see RateLimit-* and Retry-After headers
  */
 router.get(
   "/community-engagement/:companyId",
   authenticate,
+  requireCompanyAccess,
+  dashboardRateLimit,
+  requireScope("dashboard:read"),
+  requireApiPermission("communityEngagement"),
+  meterUsage("communityEngagement"),
   esgDashboardController.getCommunityEngagement
 );
 
@@ -425,6 +821,7 @@ router.get(
  *     description: Aggregates all ESG metrics into a decision-ready score
  *     security:
  *       - BearerAuth: []
+ *       - ApiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: companyId
@@ -436,13 +833,30 @@ router.get(
  *         schema:
  *           type: integer
  *           example: 2024
+ *       - $ref: '#/components/parameters/UnitsQuery'
+ *       - $ref: '#/components/parameters/FromYearQuery'
+ *       - $ref: '#/components/parameters/ToYearQuery'
+ *       - $ref: '#/components/parameters/CompareToQuery'
  *     responses:
  *       200:
  *         description: Overall ESG score data retrieved
+ *       304:
+ *         description: Not modified; the client's If-None-Match / If-Modified-Since still match
+ *       403:
+ *         description: API not enabled for this company (API_NOT_ENABLED)
+ *       400:
+ *         description: Invalid period parameters (INVALID_PERIOD)
+ *       429:
+ *         description: Rate limit exceeded (RATE_LIMITED); see RateLimit-* and Retry-After headers
  */
 router.get(
   "/overall-esg/:companyId",
   authenticate,
+  requireCompanyAccess,
+  dashboardRateLimit,
+  requireScope("dashboard:read"),
+  requireApiPermission("overallESGScore"),
+  meterUsage("overallESGScore"),
   esgDashboardController.getOverallESGScore
 );
 
@@ -452,9 +866,13 @@ router.get(
  *   get:
  *     tags: [ESG Dashboard APIs]
  *     summary: Get all ESG dashboard data at once
- *     description: Retrieves data from all 13 ESG dashboard APIs in a single call
+ *     description: |
+ *       Retrieves data from all ESG dashboard APIs enabled for the company in a single call. Sections whose API permission is disabled are left out and listed in `omittedSections`.
+ *       Sections linked to material topics of the company's approved materiality assessment for the year are listed in `highlightedSections`, high priority first; empty without an assessment.
+ *       With from_year, to_year or compare_to every section carries its own `comparison`; a missing to_year is resolved per section.
  *     security:
  *       - BearerAuth: []
+ *       - ApiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: companyId
@@ -466,13 +884,28 @@ router.get(
  *         schema:
  *           type: integer
  *           example: 2024
+ *       - $ref: '#/components/parameters/UnitsQuery'
+ *       - $ref: '#/components/parameters/FromYearQuery'
+ *       - $ref: '#/components/parameters/ToYearQuery'
+ *       - $ref: '#/components/parameters/CompareToQuery'
  *     responses:
  *       200:
  *         description: All ESG dashboard data retrieved
+ *       304:
+ *         description: Not modified; the client's If-None-Match / If-Modified-Since still match
+ *       400:
+ *         description: Invalid period parameters (INVALID_PERIOD)
+ *       429:
+ *         description: Rate limit exceeded (RATE_LIMITED); see RateLimit-* and Retry-After headers
  */
 router.get(
   "/all/:companyId",
   authenticate,
+  requireCompanyAccess,
+  dashboardRateLimit,
+  requireScope("dashboard:read"),
+  attachApiPermissions,
+  meterUsage("allDashboards"),
   esgDashboardController.getAllESGDashboardData
 );
 
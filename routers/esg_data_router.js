@@ -2,7 +2,13 @@ const express = require("express");
 const router = express.Router();
 
 const esgDataController = require("../controllers/esg_data_controller");
-const { authenticate, requireOwner } = require("../middlewares/auth");
+const { authenticate, requireOwner, requireScope } = require("../middlewares/auth");
+const {
+  requireCompanyAccess,
+  requireBodyCompanyAccess,
+  requireRecordCompanyAccess,
+} = require("../middlewares/tenancy");
+const ESGData = require("../models/esg_data_model");
 
 /**
  * @swagger
@@ -141,9 +147,26 @@ const { authenticate, requireOwner } = require("../middlewares/auth");
  *   post:
  *     tags: [ESG Data]
  *     summary: Upload ESG data file (CSV/Excel/JSON)
- *     description: Upload a file containing ESG metrics data for processing and import
+ *     description: |
+ *       Upload a file containing ESG metrics data for processing and import.
+ *
+ *       Wide year-column tables (an optional title block, then a header such
+ *       as `Metric,2022,2023,2024,2025,Source Notes`) keep each row's source
+ *       notes on every value. Values like "13 members", "50%" or "US$83.4m"
+ *       keep their text and get a numeric value; "Not reported" is stored as
+ *       an explicit null with `not_reported: true`. Rows that match a metric
+ *       of the energy, waste, workforce or governance module are written
+ *       there too, as a new version under the same batch id; this needs
+ *       write access to those modules.
  *     security:
  *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dry_run
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Parse and validate the file and report what would change, without saving (also accepted as a form field)
  *     requestBody:
  *       required: true
  *       content:
@@ -165,9 +188,33 @@ const { authenticate, requireOwner } = require("../middlewares/auth");
  *               importNotes:
  *                 type: string
  *                 example: "Uploaded from sustainability report 2025"
+ *               sync_modules:
+ *                 type: boolean
+ *                 default: true
+ *                 description: Also write matching rows of a wide year-column table to the domain modules
+ *               conflict_policy:
+ *                 type: string
+ *                 enum: [keep_existing, overwrite, restatement]
+ *                 description: |
+ *                   How to settle metric/years whose value differs from the
+ *                   stored one (in esg-data or a synced module). Without it
+ *                   such an upload writes nothing and its job ends with status
+ *                   `conflicts`, listing them in `result.conflicts`; retry the
+ *                   job with a conflict_policy. Identical values are skipped
+ *                   either way.
+ *               dry_run:
+ *                 type: boolean
+ *                 description: Same as the dry_run query parameter
  *     responses:
- *       201:
- *         description: File uploaded and processed successfully
+ *       200:
+ *         description: |
+ *           Dry run; the documents, metrics and values the upload would add,
+ *           the stored values it would replace, the module versions a synced
+ *           table would create, validation errors and conflicts
+ *           (`can_import` is false while conflicts have no policy). Nothing
+ *           is saved.
+ *       202:
+ *         description: File queued for import; poll `job.status_url`
  *         content:
  *           application/json:
  *             schema:
@@ -179,12 +226,12 @@ const { authenticate, requireOwner } = require("../middlewares/auth");
  *                   type: string
  *                 fileType:
  *                   type: string
- *                 count:
- *                   type: integer
+ *                 jobId:
+ *                   type: string
  *                 batchId:
  *                   type: string
- *                 success:
- *                   type: boolean
+ *                 job:
+ *                   $ref: '#/components/schemas/ImportJob'
  *       400:
  *         description: Invalid file or missing required fields
  *       401:
@@ -192,7 +239,12 @@ const { authenticate, requireOwner } = require("../middlewares/auth");
  *       500:
  *         description: File processing error
  */
-router.post("/upload", authenticate, esgDataController.uploadESGDataFile);
+router.post(
+  "/upload",
+  authenticate,
+  requireScope("esg_data:write"),
+  esgDataController.uploadESGDataFile,
+);
 
 /**
  * @swagger
@@ -267,6 +319,8 @@ router.post("/upload", authenticate, esgDataController.uploadESGDataFile);
 router.get(
   "/company/:companyId/year/:year/category/:category",
   authenticate,
+  requireCompanyAccess,
+  requireScope("esg_data:read"),
   esgDataController.getESGDataByCompanyYearAndCategory,
 );
 
@@ -292,7 +346,13 @@ router.get(
  *       401:
  *         description: Unauthorized
  */
-router.post("/", authenticate, esgDataController.createESGData);
+router.post(
+  "/",
+  authenticate,
+  requireBodyCompanyAccess("company"),
+  requireScope("esg_data:write"),
+  esgDataController.createESGData,
+);
 
 /**
  * @swagger
@@ -316,7 +376,12 @@ router.post("/", authenticate, esgDataController.createESGData);
  *       401:
  *         description: Unauthorized
  */
-router.post("/bulk", authenticate, esgDataController.createBulkESGData);
+router.post(
+  "/bulk",
+  authenticate,
+  requireScope("esg_data:write"),
+  esgDataController.createBulkESGData,
+);
 
 /**
  * @swagger
@@ -347,6 +412,7 @@ router.post("/bulk", authenticate, esgDataController.createBulkESGData);
 router.post(
   "/validate-import",
   authenticate,
+  requireScope("esg_data:write"),
   esgDataController.validateImportData,
 );
 
@@ -370,7 +436,13 @@ router.post(
  *       404:
  *         description: ESG data not found
  */
-router.get("/:id", authenticate, esgDataController.getESGDataById);
+router.get(
+  "/:id",
+  authenticate,
+  requireRecordCompanyAccess(ESGData),
+  requireScope("esg_data:read"),
+  esgDataController.getESGDataById,
+);
 
 /**
  * @swagger
@@ -395,6 +467,8 @@ router.get("/:id", authenticate, esgDataController.getESGDataById);
 router.get(
   "/company/:companyId",
   authenticate,
+  requireCompanyAccess,
+  requireScope("esg_data:read"),
   esgDataController.getESGDataByCompany,
 );
 
@@ -426,6 +500,8 @@ router.get(
 router.get(
   "/company/:companyId/year/:year",
   authenticate,
+  requireCompanyAccess,
+  requireScope("esg_data:read"),
   esgDataController.getESGDataByCompanyAndYear,
 );
 
@@ -458,6 +534,8 @@ router.get(
 router.get(
   "/company/:companyId/category/:category",
   authenticate,
+  requireCompanyAccess,
+  requireScope("esg_data:read"),
   esgDataController.getESGDataByCompanyAndCategory,
 );
 
@@ -487,7 +565,13 @@ router.get(
  *       404:
  *         description: ESG data not found
  */
-router.patch("/:id", authenticate, esgDataController.updateESGData);
+router.patch(
+  "/:id",
+  authenticate,
+  requireRecordCompanyAccess(ESGData),
+  requireScope("esg_data:write"),
+  esgDataController.updateESGData,
+);
 
 /**
  * @swagger
@@ -518,7 +602,8 @@ router.patch("/:id", authenticate, esgDataController.updateESGData);
 router.patch(
   "/:id/verify",
   authenticate,
-  requireOwner,
+  requireRecordCompanyAccess(ESGData),
+  requireScope("esg_data:verify"),
   esgDataController.verifyESGData,
 );
 
@@ -542,7 +627,13 @@ router.patch(
  *       404:
  *         description: ESG data not found
  */
-router.delete("/:id", authenticate, esgDataController.deleteESGData);
+router.delete(
+  "/:id",
+  authenticate,
+  requireRecordCompanyAccess(ESGData),
+  requireScope("esg_data:write"),
+  esgDataController.deleteESGData,
+);
 
 /**
  * @swagger
@@ -0,0 +1,490 @@
+// routes/esg_score_router.js
+const express = require("express");
+const router = express.Router();
+
+const esgScoreController = require("../controllers/esg_score_controller");
+const { authenticate, requireOwner, requireScope } = require("../middlewares/auth");
+const { requireCompanyAccess } = require("../middlewares/tenancy");
+
+/**
+ * @swagger
+ * tags:
+ *   - name: ESG Scores
+ *     description: |
+ *       Pillar and overall ESG scores computed from a company's stored
+ *       metrics (esg-data and the domain modules) with a versioned scoring
+ *       methodology. Each metric's value is normalized to a 0-100 sub-score
+ *       against thresholds, a target or text categories; sub-scores roll up
+ *       metric -> indicator -> pillar -> overall as weighted averages over
+ *       the metrics the company reported. Metrics without data are not
+ *       estimated: they are listed with their reason and lower `coverage`.
+ *
+ * components:
+ *   schemas:
+ *     ScoringMetricRef:
+ *       type: object
+ *       required: [modules]
+ *       description: A stored metric; needs metric_name or match
+ *       properties:
+ *         modules:
+ *           type: array
+ *           items: { type: string }
+ *           example: ["energy", "esg_data"]
+ *           description: Tried in order; the first with a value for the year is used
+ *         category: { type: string }
+ *         subcategory: { type: string }
+ *         metric_name: { type: string, description: "Exact name (or esg-data description), case-insensitive" }
+ *         match: { type: string, example: "electricity generated", description: "Case-insensitive regex on the name or description" }
+ *
+ *     ScoringMetric:
+ *       type: object
+ *       required: [key, name, numerator, normalization]
+ *       properties:
+ *         key: { type: string, example: "recycling_rate" }
+ *         name: { type: string, example: "Recycled share of waste" }
+ *         weight: { type: number, default: 1 }
+ *         numerator:
+ *           type: array
+ *           items: { $ref: '#/components/schemas/ScoringMetricRef' }
+ *           description: Summed
+ *         denominator:
+ *           type: array
+ *           items: { $ref: '#/components/schemas/ScoringMetricRef' }
+ *           description: Summed; makes the value numerator / denominator
+ *         scale: { type: number, default: 1, example: 100 }
+ *         input_unit: { type: string, example: "t", description: "Inputs with a known unit are converted to it" }
+ *         denominator_unit: { type: string, example: "ha", description: "Unit of the denominator inputs when it differs from input_unit" }
+ *         unit: { type: string, example: "%" }
+ *         basis:
+ *           type: string
+ *           enum: [value, change]
+ *           default: value
+ *           description: change = percent change on the year before
+ *         normalization:
+ *           type: object
+ *           required: [method]
+ *           properties:
+ *             method:
+ *               type: string
+ *               enum: [thresholds, target, categorical]
+ *               description: |
+ *                 thresholds: linear from `worst` (0) to `best` (100); best below worst when lower is better.
+ *                 target: share of `target` reached in `direction`.
+ *                 categorical: score of the first category whose `match` regex fits the text value.
+ *             worst: { type: number }
+ *             best: { type: number }
+ *             target: { type: number }
+ *             direction: { type: string, enum: [higher_is_better, lower_is_better] }
+ *             categories:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   match: { type: string, example: "^(yes|in place)" }
+ *                   score: { type: number, example: 100 }
+ *
+ *     ScoringMethodology:
+ *       type: object
+ *       required: [name, pillars]
+ *       properties:
+ *         _id: { type: string }
+ *         name: { type: string, example: "2026 methodology" }
+ *         description: { type: string }
+ *         version: { type: integer, description: "0 is the built-in default" }
+ *         based_on_version: { type: integer }
+ *         status:
+ *           type: string
+ *           enum: [draft, active, retired, standby]
+ *           description: standby = the built-in default while a stored version is active
+ *         built_in: { type: boolean }
+ *         pillars:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               key: { type: string, example: "environmental" }
+ *               name: { type: string }
+ *               weight: { type: number, example: 40 }
+ *               indicators:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     key: { type: string, example: "waste" }
+ *                     name: { type: string }
+ *                     weight: { type: number }
+ *                     metrics:
+ *                       type: array
+ *                       items: { $ref: '#/components/schemas/ScoringMetric' }
+ *         materiality_multipliers:
+ *           type: object
+ *           description: |
+ *             Indicator weight multiplier by the priority of the company's
+ *             material topics linked to the indicator (see Materiality);
+ *             indicators without a linked topic keep their weight.
+ *           properties:
+ *             high: { type: number, default: 1.5 }
+ *             medium: { type: number, default: 1 }
+ *             low: { type: number, default: 0.5 }
+ *         rating_bands:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               min: { type: number, example: 70 }
+ *               rating: { type: string, example: "A" }
+ *               description: { type: string, example: "Good" }
+ *         activated_at: { type: string, format: date-time }
+ *         retired_at: { type: string, format: date-time }
+ *
+ *     ScoredMetric:
+ *       type: object
+ *       properties:
+ *         key: { type: string }
+ *         name: { type: string }
+ *         weight: { type: number }
+ *         basis: { type: string }
+ *         unit: { type: string }
+ *         value: { description: "Number, or the text of a categorical metric" }
+ *         previous:
+ *           type: object
+ *           description: basis change; the year before
+ *           properties:
+ *             year: { type: integer }
+ *             value: { type: number }
+ *         score: { type: number, nullable: true, example: 84.4 }
+ *         status:
+ *           type: string
+ *           enum: [scored, no_data, no_previous_year, not_numeric, unit_mismatch, zero_denominator, unmatched_text]
+ *         effective_weight: { type: number, description: "Share of the overall score" }
+ *         contribution: { type: number, description: "Points added to the overall score" }
+ *         normalization: { type: object }
+ *         inputs:
+ *           type: array
+ *           description: Stored values read, with their module, record and source
+ *           items:
+ *             type: object
+ *             properties:
+ *               role: { type: string, enum: [numerator, denominator] }
+ *               year: { type: integer }
+ *               module: { type: string }
+ *               record_id: { type: string }
+ *               category: { type: string }
+ *               metric_name: { type: string }
+ *               value: {}
+ *               unit: { type: string }
+ *               converted:
+ *                 type: object
+ *                 properties:
+ *                   value: { type: number }
+ *                   unit: { type: string }
+ *               source: { type: string, example: "HVE Integrated Report 2025; p.27" }
+ *               status: { type: string, description: "When the input could not be used" }
+ *
+ *     ESGScore:
+ *       type: object
+ *       properties:
+ *         company:
+ *           type: object
+ *           properties:
+ *             id: { type: string }
+ *             name: { type: string }
+ *         methodology:
+ *           type: object
+ *           properties:
+ *             id: { type: string, nullable: true }
+ *             name: { type: string }
+ *             version: { type: integer }
+ *             status: { type: string }
+ *             built_in: { type: boolean }
+ *         year: { type: integer, nullable: true }
+ *         materiality:
+ *           type: object
+ *           nullable: true
+ *           description: Approved materiality assessment that weighted the indicators
+ *           properties:
+ *             id: { type: string }
+ *             year: { type: integer }
+ *             title: { type: string, nullable: true }
+ *         years_available:
+ *           type: array
+ *           items: { type: integer }
+ *         overall:
+ *           type: object
+ *           properties:
+ *             score: { type: number, nullable: true, example: 73.3 }
+ *             coverage: { type: number, example: 1, description: "Weight share with data, 0-1" }
+ *             rating: { type: string, nullable: true, example: "A" }
+ *             description: { type: string, example: "Good" }
+ *         metrics_scored: { type: integer }
+ *         metrics_total: { type: integer }
+ *         pillars:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               key: { type: string }
+ *               name: { type: string }
+ *               weight: { type: number }
+ *               score: { type: number, nullable: true }
+ *               coverage: { type: number }
+ *               rating: { type: string, nullable: true }
+ *               effective_weight: { type: number }
+ *               indicators:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     key: { type: string }
+ *                     name: { type: string }
+ *                     weight: { type: number, description: "base_weight times the materiality multiplier" }
+ *                     base_weight: { type: number }
+ *                     materiality:
+ *                       type: object
+ *                       nullable: true
+ *                       properties:
+ *                         priority: { type: string, enum: [high, medium, low] }
+ *                         multiplier: { type: number }
+ *                         topics: { type: array, items: { type: string } }
+ *                     score: { type: number, nullable: true }
+ *                     coverage: { type: number }
+ *                     effective_weight: { type: number }
+ *                     metrics:
+ *                       type: array
+ *                       items: { $ref: '#/components/schemas/ScoredMetric' }
+ *         trend:
+ *           type: array
+ *           description: With trend=true
+ *           items:
+ *             type: object
+ *             properties:
+ *               year: { type: integer }
+ *               overall: { type: number, nullable: true }
+ *               coverage: { type: number }
+ *               materiality_year: { type: integer, nullable: true }
+ *               pillars: { type: object, additionalProperties: { type: number, nullable: true } }
+ */
+
+/**
+ * @swagger
+ * /api/v1/esg-scores/company/{companyId}:
+ *   get:
+ *     tags: [ESG Scores]
+ *     summary: Compute a company's ESG score
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: year
+ *         schema: { type: integer }
+ *         description: Defaults to the latest year with a score
+ *       - in: query
+ *         name: methodology_version
+ *         schema: { type: integer }
+ *         description: Defaults to the active version; drafts can be tried before activation
+ *       - in: query
+ *         name: trend
+ *         schema: { type: boolean, default: false }
+ *         description: Add the overall and pillar scores of every year with data
+ *       - in: query
+ *         name: materiality
+ *         schema: { type: boolean, default: true }
+ *         description: false ignores the company's materiality assessments
+ *     responses:
+ *       200:
+ *         description: Scores with the metrics behind them
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message: { type: string }
+ *                 data: { $ref: '#/components/schemas/ESGScore' }
+ *       400:
+ *         description: Invalid year or methodology_version
+ *       404:
+ *         description: Company or methodology version not found
+ */
+router.get(
+  "/company/:companyId",
+  authenticate,
+  requireCompanyAccess,
+  requireScope("dashboard:read"),
+  esgScoreController.getCompanyScore
+);
+
+/**
+ * @swagger
+ * /api/v1/esg-scores/methodologies:
+ *   get:
+ *     tags: [ESG Scores]
+ *     summary: List scoring methodology versions
+ *     description: Newest first, without their pillars; the built-in default (version 0) is last
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Methodology versions
+ *   post:
+ *     tags: [ESG Scores]
+ *     summary: Create a methodology version (owner only)
+ *     description: |
+ *       Created as a draft with the next version number. `based_on_version`
+ *       copies that version's pillars, multipliers and rating bands for fields not given,
+ *       e.g. 0 to start from the built-in default.
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/ScoringMethodology'
+ *               - type: object
+ *                 properties:
+ *                   based_on_version: { type: integer, example: 0 }
+ *     responses:
+ *       201:
+ *         description: Draft created
+ *       400:
+ *         description: Invalid methodology (INVALID_METHODOLOGY); `details.errors` lists every problem
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ErrorResponse' }
+ *       403:
+ *         description: Owner only
+ */
+router.get("/methodologies", authenticate, esgScoreController.listMethodologies);
+router.post("/methodologies", authenticate, requireOwner, esgScoreController.createMethodology);
+
+/**
+ * @swagger
+ * /api/v1/esg-scores/methodologies/current:
+ *   get:
+ *     tags: [ESG Scores]
+ *     summary: The methodology scores are computed with
+ *     description: The active version, or the built-in default when none is active
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: version
+ *         schema: { type: integer }
+ *         description: Another version instead
+ *     responses:
+ *       200:
+ *         description: Methodology
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 methodology: { $ref: '#/components/schemas/ScoringMethodology' }
+ */
+router.get("/methodologies/current", authenticate, esgScoreController.getCurrentMethodology);
+
+/**
+ * @swagger
+ * /api/v1/esg-scores/methodologies/{methodologyId}:
+ *   get:
+ *     tags: [ESG Scores]
+ *     summary: Get a stored methodology version
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: methodologyId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Methodology
+ *       404:
+ *         description: Not found
+ *   put:
+ *     tags: [ESG Scores]
+ *     summary: Edit a draft methodology (owner only)
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: methodologyId
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/ScoringMethodology' }
+ *     responses:
+ *       200:
+ *         description: Draft updated
+ *       400:
+ *         description: Invalid methodology (INVALID_METHODOLOGY)
+ *       409:
+ *         description: Active and retired versions cannot be changed (METHODOLOGY_LOCKED)
+ *   delete:
+ *     tags: [ESG Scores]
+ *     summary: Delete a draft methodology (owner only)
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: methodologyId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Draft deleted
+ *       409:
+ *         description: Only drafts can be deleted (METHODOLOGY_LOCKED)
+ */
+router.get("/methodologies/:methodologyId", authenticate, esgScoreController.getMethodology);
+router.put(
+  "/methodologies/:methodologyId",
+  authenticate,
+  requireOwner,
+  esgScoreController.updateMethodology
+);
+router.delete(
+  "/methodologies/:methodologyId",
+  authenticate,
+  requireOwner,
+  esgScoreController.deleteMethodology
+);
+
+/**
+ * @swagger
+ * /api/v1/esg-scores/methodologies/{methodologyId}/activate:
+ *   post:
+ *     tags: [ESG Scores]
+ *     summary: Make a version the active methodology (owner only)
+ *     description: The version active before is retired. Scores computed afterwards use this version.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: methodologyId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Activated
+ *       400:
+ *         description: Invalid methodology (INVALID_METHODOLOGY)
+ *       404:
+ *         description: Not found
+ */
+router.post(
+  "/methodologies/:methodologyId/activate",
+  authenticate,
+  requireOwner,
+  esgScoreController.activateMethodology
+);
+
+module.exports = router;
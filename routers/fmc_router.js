@@ -2,7 +2,8 @@ const express = require("express");
 const router = express.Router();
 
 const fmcController = require("../controllers/fmc_controller");
-const { authenticate, requireOwner } = require("../middlewares/auth");
+const { authenticate, requireScope } = require("../middlewares/auth");
+const { requireCompanyAccess } = require("../middlewares/tenancy");
 const upload = require("../middlewares/uploadMiddleware");
 
 /**
@@ -222,6 +223,12 @@ const upload = require("../middlewares/uploadMiddleware");
  *         schema:
  *           type: string
  *         description: ID of the company
+ *       - in: query
+ *         name: dry_run
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Parse and validate the file and report what would change, without saving (also accepted as a form field)
  *     requestBody:
  *       required: true
  *       content:
@@ -235,6 +242,21 @@ const upload = require("../middlewares/uploadMiddleware");
  *                 type: string
  *                 format: binary
  *                 description: Data file (CSV, Excel, or JSON)
+ *               mapping_template_id:
+ *                 type: string
+ *                 description: Import mapping template to use instead of the built-in file processing (see Import Templates)
+ *               dry_run:
+ *                 type: boolean
+ *                 description: Same as the dry_run query parameter
+ *               conflict_policy:
+ *                 type: string
+ *                 enum: [keep_existing, overwrite, restatement]
+ *                 description: |
+ *                   How to settle years whose imported value differs from the
+ *                   active record's. Without it such an import writes nothing
+ *                   and its job ends with status `conflicts`, listing them in
+ *                   `result.conflicts`; retry the job with a conflict_policy.
+ *                   Years that do not overlap are always merged into the new version.
  *               data_period_start:
  *                 type: string
  *                 example: "2022"
@@ -248,8 +270,23 @@ const upload = require("../middlewares/uploadMiddleware");
  *                 type: string
  *                 example: "CSV Import"
  *     responses:
- *       201:
- *         description: File imported successfully
+ *       200:
+ *         description: Dry run only; nothing was saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 message: { type: string }
+ *                 data: { $ref: '#/components/schemas/ImportPreview' }
+ *       202:
+ *         description: |
+ *           File queued for import; poll `data.status_url`. The finished job's
+ *           `result` has the record id, version and metrics count.
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ImportJobAccepted' }
  *       400:
  *         description: No file provided or unsupported file type
  *       401:
@@ -258,6 +295,8 @@ const upload = require("../middlewares/uploadMiddleware");
 router.post(
   "/company/:companyId/import-file",
   authenticate,
+  requireCompanyAccess,
+  requireScope("farm_compliance:write"),
   upload.single("file"),
   fmcController.importFile,
 );
@@ -302,6 +341,8 @@ router.post(
 router.post(
   "/company/:companyId/import-json",
   authenticate,
+  requireCompanyAccess,
+  requireScope("farm_compliance:write"),
   fmcController.importJSON,
 );
 
@@ -332,6 +373,8 @@ router.post(
 router.get(
   "/company/:companyId/records",
   authenticate,
+  requireCompanyAccess,
+  requireScope("farm_compliance:read"),
   fmcController.getCompanyRecords,
 );
 
@@ -363,6 +406,8 @@ router.get(
 router.get(
   "/company/:companyId/records/:recordId",
   authenticate,
+  requireCompanyAccess,
+  requireScope("farm_compliance:read"),
   fmcController.getRecordById,
 );
 
@@ -401,6 +446,8 @@ router.get(
 router.get(
   "/company/:companyId/category/:category",
   authenticate,
+  requireCompanyAccess,
+  requireScope("farm_compliance:read"),
   fmcController.getMetricsByCategory,
 );
 
@@ -438,6 +485,8 @@ router.get(
 router.get(
   "/company/:companyId/metric/:metricName/timeseries",
   authenticate,
+  requireCompanyAccess,
+  requireScope("farm_compliance:read"),
   fmcController.getTimeSeriesData,
 );
 
@@ -468,6 +517,8 @@ router.get(
 router.post(
   "/company/:companyId/metrics",
   authenticate,
+  requireCompanyAccess,
+  requireScope("farm_compliance:write"),
   fmcController.upsertMetric,
 );
 
@@ -504,6 +555,8 @@ router.post(
 router.post(
   "/company/:companyId/metrics/bulk",
   authenticate,
+  requireCompanyAccess,
+  requireScope("farm_compliance:write"),
   fmcController.bulkUpdateMetrics,
 );
 
@@ -535,6 +588,8 @@ router.post(
 router.delete(
   "/company/:companyId/metrics/:metricId",
   authenticate,
+  requireCompanyAccess,
+  requireScope("farm_compliance:write"),
   fmcController.deleteMetric,
 );
 
@@ -561,6 +616,8 @@ router.delete(
 router.get(
   "/company/:companyId/summary",
   authenticate,
+  requireCompanyAccess,
+  requireScope("farm_compliance:read"),
   fmcController.getSummaryStats,
 );
 
@@ -585,6 +642,8 @@ router.get(
 router.post(
   "/company/:companyId/validate",
   authenticate,
+  requireCompanyAccess,
+  requireScope("farm_compliance:write"),
   fmcController.validateData,
 );
 
@@ -617,7 +676,8 @@ router.post(
 router.patch(
   "/company/:companyId/verification",
   authenticate,
-  requireOwner,
+  requireCompanyAccess,
+  requireScope("farm_compliance:verify"),
   fmcController.updateVerificationStatus,
 );
 
@@ -642,6 +702,8 @@ router.patch(
 router.get(
   "/company/:companyId/versions",
   authenticate,
+  requireCompanyAccess,
+  requireScope("farm_compliance:read"),
   fmcController.getDataVersions,
 );
 
@@ -674,7 +736,8 @@ router.get(
 router.post(
   "/company/:companyId/versions/:versionId/restore",
   authenticate,
-  requireOwner,
+  requireCompanyAccess,
+  requireScope("farm_compliance:restore"),
   fmcController.restoreVersion,
 );
 
@@ -722,6 +785,8 @@ router.post(
 router.post(
   "/company/:companyId/records",
   authenticate,
+  requireCompanyAccess,
+  requireScope("farm_compliance:write"),
   fmcController.createRecord,
 );
 
@@ -750,7 +815,13 @@ router.post(
  *       404:
  *         description: No farm compliance data found
  */
-router.get("/company/:companyId/export", authenticate, fmcController.exportCSV);
+router.get(
+  "/company/:companyId/export",
+  authenticate,
+  requireCompanyAccess,
+  requireScope("farm_compliance:read"),
+  fmcController.exportCSV,
+);
 
 /**
  * @swagger
@@ -782,6 +853,8 @@ router.get("/company/:companyId/export", authenticate, fmcController.exportCSV);
 router.get(
   "/company/:companyId/data-type/:dataType",
   authenticate,
+  requireCompanyAccess,
+  requireScope("farm_compliance:read"),
   fmcController.getMetricsByDataType,
 );
 
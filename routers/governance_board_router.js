@@ -2,7 +2,8 @@ const express = require("express");
 const router = express.Router();
 
 const governanceController = require("../controllers/governance_board_controller");
-const { authenticate, requireOwner } = require("../middlewares/auth");
+const { authenticate, requireScope } = require("../middlewares/auth");
+const { requireCompanyAccess } = require("../middlewares/tenancy");
 const upload = require("../middlewares/uploadMiddleware");
 
 /**
@@ -198,6 +199,12 @@ const upload = require("../middlewares/uploadMiddleware");
  *         schema:
  *           type: string
  *         description: ID of the company
+ *       - in: query
+ *         name: dry_run
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Parse and validate the file and report what would change, without saving (also accepted as a form field)
  *     requestBody:
  *       required: true
  *       content:
@@ -211,6 +218,21 @@ const upload = require("../middlewares/uploadMiddleware");
  *                 type: string
  *                 format: binary
  *                 description: Data file (CSV, Excel, or JSON)
+ *               mapping_template_id:
+ *                 type: string
+ *                 description: Import mapping template to use instead of the built-in file processing (see Import Templates)
+ *               dry_run:
+ *                 type: boolean
+ *                 description: Same as the dry_run query parameter
+ *               conflict_policy:
+ *                 type: string
+ *                 enum: [keep_existing, overwrite, restatement]
+ *                 description: |
+ *                   How to settle years whose imported value differs from the
+ *                   active record's. Without it such an import writes nothing
+ *                   and its job ends with status `conflicts`, listing them in
+ *                   `result.conflicts`; retry the job with a conflict_policy.
+ *                   Years that do not overlap are always merged into the new version.
  *               data_period_start:
  *                 type: string
  *                 example: "2025"
@@ -224,8 +246,23 @@ const upload = require("../middlewares/uploadMiddleware");
  *                 type: string
  *                 example: "File Import"
  *     responses:
- *       201:
- *         description: File imported successfully
+ *       200:
+ *         description: Dry run only; nothing was saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 message: { type: string }
+ *                 data: { $ref: '#/components/schemas/ImportPreview' }
+ *       202:
+ *         description: |
+ *           File queued for import; poll `data.status_url`. The finished job's
+ *           `result` has the record id, version and metrics count.
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ImportJobAccepted' }
  *       400:
  *         description: No file provided or unsupported file type
  *       401:
@@ -234,6 +271,8 @@ const upload = require("../middlewares/uploadMiddleware");
 router.post(
   "/company/:companyId/import-file",
   authenticate,
+  requireCompanyAccess,
+  requireScope("governance:write"),
   upload.single("file"),
   governanceController.importFile,
 );
@@ -278,6 +317,8 @@ router.post(
 router.post(
   "/company/:companyId/import-json",
   authenticate,
+  requireCompanyAccess,
+  requireScope("governance:write"),
   governanceController.importJSON,
 );
 
@@ -308,6 +349,8 @@ router.post(
 router.get(
   "/company/:companyId/records",
   authenticate,
+  requireCompanyAccess,
+  requireScope("governance:read"),
   governanceController.getCompanyRecords,
 );
 
@@ -339,6 +382,8 @@ router.get(
 router.get(
   "/company/:companyId/records/:recordId",
   authenticate,
+  requireCompanyAccess,
+  requireScope("governance:read"),
   governanceController.getRecordById,
 );
 
@@ -377,6 +422,8 @@ router.get(
 router.get(
   "/company/:companyId/category/:category",
   authenticate,
+  requireCompanyAccess,
+  requireScope("governance:read"),
   governanceController.getMetricsByCategory,
 );
 
@@ -414,6 +461,8 @@ router.get(
 router.get(
   "/company/:companyId/metric/:metricName/timeseries",
   authenticate,
+  requireCompanyAccess,
+  requireScope("governance:read"),
   governanceController.getTimeSeriesData,
 );
 
@@ -444,6 +493,8 @@ router.get(
 router.post(
   "/company/:companyId/metrics",
   authenticate,
+  requireCompanyAccess,
+  requireScope("governance:write"),
   governanceController.upsertMetric,
 );
 
@@ -480,6 +531,8 @@ router.post(
 router.post(
   "/company/:companyId/metrics/bulk",
   authenticate,
+  requireCompanyAccess,
+  requireScope("governance:write"),
   governanceController.bulkUpdateMetrics,
 );
 
@@ -511,6 +564,8 @@ router.post(
 router.delete(
   "/company/:companyId/metrics/:metricId",
   authenticate,
+  requireCompanyAccess,
+  requireScope("governance:write"),
   governanceController.deleteMetric,
 );
 
@@ -537,6 +592,8 @@ router.delete(
 router.get(
   "/company/:companyId/summary",
   authenticate,
+  requireCompanyAccess,
+  requireScope("governance:read"),
   governanceController.getSummaryStats,
 );
 
@@ -561,6 +618,8 @@ router.get(
 router.post(
   "/company/:companyId/validate",
   authenticate,
+  requireCompanyAccess,
+  requireScope("governance:write"),
   governanceController.validateData,
 );
 
@@ -593,7 +652,8 @@ router.post(
 router.patch(
   "/company/:companyId/verification",
   authenticate,
-  requireOwner,
+  requireCompanyAccess,
+  requireScope("governance:verify"),
   governanceController.updateVerificationStatus,
 );
 
@@ -618,6 +678,8 @@ router.patch(
 router.get(
   "/company/:companyId/versions",
   authenticate,
+  requireCompanyAccess,
+  requireScope("governance:read"),
   governanceController.getDataVersions,
 );
 
@@ -650,7 +712,8 @@ router.get(
 router.post(
   "/company/:companyId/versions/:versionId/restore",
   authenticate,
-  requireOwner,
+  requireCompanyAccess,
+  requireScope("governance:restore"),
   governanceController.restoreVersion,
 );
 
@@ -697,6 +760,8 @@ router.post(
 router.post(
   "/company/:companyId/records",
   authenticate,
+  requireCompanyAccess,
+  requireScope("governance:write"),
   governanceController.createRecord,
 );
 
@@ -728,6 +793,8 @@ router.post(
 router.get(
   "/company/:companyId/export",
   authenticate,
+  requireCompanyAccess,
+  requireScope("governance:read"),
   governanceController.exportCSV,
 );
 
@@ -761,6 +828,8 @@ router.get(
 router.get(
   "/company/:companyId/data-type/:dataType",
   authenticate,
+  requireCompanyAccess,
+  requireScope("governance:read"),
   governanceController.getMetricsByDataType,
 );
 
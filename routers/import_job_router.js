@@ -0,0 +1,216 @@
+// routes/import_job_router.js
+const express = require("express");
+const router = express.Router();
+
+const importJobController = require("../controllers/import_job_controller");
+const { authenticate } = require("../middlewares/auth");
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Jobs
+ *     description: |
+ *       File imports run in the background. Import endpoints answer `202`
+ *       with a job; poll `status_url` until the status is `succeeded`,
+ *       `partial`, `failed` or `conflicts`. A job that fails on a transient
+ *       error (database unavailable, write conflict) or whose worker stops
+ *       is queued again automatically, after 30s, 1m, ..., for up to 3
+ *       attempts; `errors` records each failed attempt. Failures caused by
+ *       the file itself are not re-run; fix the data or use the retry
+ *       endpoint.
+ *
+ * components:
+ *   schemas:
+ *     ImportJob:
+ *       type: object
+ *       properties:
+ *         id: { type: string }
+ *         type: { type: string, enum: [domain_file, workbook, esg_data_file, carbon_file, series_file] }
+ *         status:
+ *           type: string
+ *           enum: [queued, running, succeeded, partial, failed, conflicts]
+ *           description: |
+ *             partial = some workbook sheets (or series rows) failed;
+ *             conflicts = values differ from stored ones and no conflict_policy
+ *             was given, so nothing was written. `result.conflicts` lists them;
+ *             retry the job with a conflict_policy.
+ *         company: { type: string }
+ *         modules:
+ *           type: array
+ *           items: { type: string }
+ *           example: ["energy"]
+ *         batch_id: { type: string, description: "import_batch_id of every record the job writes" }
+ *         file:
+ *           type: object
+ *           properties:
+ *             name: { type: string }
+ *             size: { type: integer }
+ *         progress:
+ *           type: object
+ *           properties:
+ *             percent: { type: integer, example: 40 }
+ *             stage: { type: string, example: "importing" }
+ *             message: { type: string }
+ *         counts:
+ *           type: object
+ *           properties:
+ *             rows_total: { type: integer, description: "Data rows in the file (all routed sheets for workbooks)" }
+ *             metrics_imported: { type: integer }
+ *             records_written: { type: integer }
+ *             rows_written: { type: integer, description: "Series jobs: rows written so far" }
+ *             rows_failed: { type: integer, description: "Series jobs: rows skipped so far" }
+ *             sheets_total: { type: integer }
+ *             sheets_done: { type: integer }
+ *         result:
+ *           type: object
+ *           description: Same data the synchronous import used to return; per-sheet report for workbooks
+ *         errors:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               message: { type: string }
+ *               sheet: { type: string }
+ *               row: { type: integer, description: "Series jobs: 1-based data row" }
+ *               attempt: { type: integer }
+ *               at: { type: string, format: date-time }
+ *         attempts: { type: integer }
+ *         can_retry: { type: boolean }
+ *         created_at: { type: string, format: date-time }
+ *         started_at: { type: string, format: date-time }
+ *         finished_at: { type: string, format: date-time }
+ *         rolled_back_at: { type: string, format: date-time, description: "Set once the batch is rolled back; the job can no longer be retried" }
+ *         status_url: { type: string, example: "/api/v1/jobs/665a8c7be4f1c23b04d12345" }
+ *
+ *     ImportJobAccepted:
+ *       type: object
+ *       properties:
+ *         success: { type: boolean }
+ *         message: { type: string, example: "Import queued" }
+ *         data: { $ref: '#/components/schemas/ImportJob' }
+ */
+
+/**
+ * @swagger
+ * /api/v1/jobs:
+ *   get:
+ *     tags: [Jobs]
+ *     summary: List import jobs
+ *     description: Owners can list every company; others only see their own company.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: companyId
+ *         schema: { type: string }
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [queued, running, succeeded, partial, failed, conflicts] }
+ *       - in: query
+ *         name: type
+ *         schema: { type: string, enum: [domain_file, workbook, esg_data_file, carbon_file, series_file] }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 20, maximum: 100 }
+ *     responses:
+ *       200:
+ *         description: Jobs, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 items:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/ImportJob' }
+ *                 total: { type: integer }
+ *                 page: { type: integer }
+ *                 limit: { type: integer }
+ *                 totalPages: { type: integer }
+ */
+router.get("/", authenticate, importJobController.listJobs);
+
+/**
+ * @swagger
+ * /api/v1/jobs/{id}:
+ *   get:
+ *     tags: [Jobs]
+ *     summary: Get an import job's status, progress, row counts and errors
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Job
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 job: { $ref: '#/components/schemas/ImportJob' }
+ *       403:
+ *         description: Another company's job
+ *       404:
+ *         description: Not found
+ */
+router.get("/:id", authenticate, importJobController.getJob);
+
+/**
+ * @swagger
+ * /api/v1/jobs/{id}/retry:
+ *   post:
+ *     tags: [Jobs]
+ *     summary: Retry a failed import job
+ *     description: |
+ *       Re-runs the job with the file stored at upload and the same batch id.
+ *       A partially failed workbook job only re-imports the sheets that
+ *       failed. A job with status `conflicts` is retried with the
+ *       conflict_policy that settles them. Requires write access to the
+ *       job's modules.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               conflict_policy:
+ *                 type: string
+ *                 enum: [keep_existing, overwrite, restatement]
+ *                 description: Required for a job with status `conflicts`; file, workbook and esg-data jobs only
+ *     responses:
+ *       202:
+ *         description: Queued again
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message: { type: string }
+ *                 job: { $ref: '#/components/schemas/ImportJob' }
+ *       403:
+ *         description: Another company's job, or no write access to its modules
+ *       400:
+ *         description: Invalid conflict_policy, or none given for a job with status `conflicts` (CONFLICT_POLICY_REQUIRED)
+ *       409:
+ *         description: The job has not failed, or its batch was rolled back
+ *       410:
+ *         description: The stored file has expired
+ */
+router.post("/:id/retry", authenticate, importJobController.retryJob);
+
+module.exports = router;
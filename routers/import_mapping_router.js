@@ -0,0 +1,225 @@
+// routes/import_mapping_router.js
+const express = require("express");
+const router = express.Router();
+
+const importMappingController = require("../controllers/import_mapping_controller");
+const { authenticate } = require("../middlewares/auth");
+const { requireCompanyAccess } = require("../middlewares/tenancy");
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Import Templates
+ *     description: |
+ *       Per-company column/metric mappings for CSV and Excel imports. Pass
+ *       `mapping_template_id` to any `import-file` endpoint to use one
+ *       instead of the module's built-in file processing.
+ *
+ * components:
+ *   schemas:
+ *     MappingRule:
+ *       type: object
+ *       required: [source, category, metric_name]
+ *       properties:
+ *         source: { type: string, example: "Water Usage - Irrigation Water Usage (million ML)" }
+ *         match_type:
+ *           type: string
+ *           enum: [exact, contains, regex]
+ *           default: exact
+ *           description: Case-insensitive; exact also ignores repeated whitespace
+ *         category: { type: string, example: "irrigation_water" }
+ *         subcategory: { type: string, example: "irrigation" }
+ *         metric_name: { type: string, example: "Irrigation Water Usage" }
+ *         unit: { type: string, example: "million ML", description: "Defaults to a trailing \"(unit)\" in the source text" }
+ *         description: { type: string }
+ *
+ *     ImportMappingTemplate:
+ *       type: object
+ *       required: [name, module, mappings]
+ *       properties:
+ *         _id: { type: string }
+ *         company: { type: string }
+ *         name: { type: string, example: "Integrated report 2025 layout" }
+ *         description: { type: string }
+ *         module:
+ *           type: string
+ *           enum: [biodiversity, crop_yield, irrigation, farm_compliance, energy, waste, workforce, health_safety, governance, community, overall_esg]
+ *         layout:
+ *           type: string
+ *           enum: [year_rows, metric_rows]
+ *           default: year_rows
+ *           description: |
+ *             year_rows: one row per year, one column per metric.
+ *             metric_rows: one row per metric, one column per year ("2024", "FY24", "2023/24").
+ *         year_column: { type: string, default: "Year", description: "year_rows only" }
+ *         label_column: { type: string, description: "metric_rows only; first non-year column when empty" }
+ *         unit_column: { type: string, description: "metric_rows only; optional per-row unit" }
+ *         sheet_name: { type: string, description: "Excel sheet; first sheet when empty" }
+ *         mappings:
+ *           type: array
+ *           items: { $ref: '#/components/schemas/MappingRule' }
+ *         is_active: { type: boolean, default: true }
+ */
+
+/**
+ * @swagger
+ * /api/v1/import-templates/company/{companyId}:
+ *   get:
+ *     tags: [Import Templates]
+ *     summary: List a company's mapping templates
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: module
+ *         schema: { type: string, example: "irrigation" }
+ *       - in: query
+ *         name: includeInactive
+ *         schema: { type: boolean, default: false }
+ *     responses:
+ *       200:
+ *         description: Templates
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 count: { type: integer }
+ *                 templates:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/ImportMappingTemplate' }
+ *   post:
+ *     tags: [Import Templates]
+ *     summary: Create a mapping template
+ *     description: Requires write access to the template's module.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/ImportMappingTemplate' }
+ *     responses:
+ *       201:
+ *         description: Created
+ *       400:
+ *         description: Invalid template (details.errors lists every problem)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ErrorResponse' }
+ *       403:
+ *         description: Another company, or no write access to the module
+ *       409:
+ *         description: A template with this name already exists
+ */
+router.get(
+  "/company/:companyId",
+  authenticate,
+  requireCompanyAccess,
+  importMappingController.list
+);
+router.post(
+  "/company/:companyId",
+  authenticate,
+  requireCompanyAccess,
+  importMappingController.create
+);
+
+/**
+ * @swagger
+ * /api/v1/import-templates/company/{companyId}/{templateId}:
+ *   get:
+ *     tags: [Import Templates]
+ *     summary: Get a mapping template
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema: { type: string }
+ *       - in: path
+ *         name: templateId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Template
+ *       404:
+ *         description: Not found
+ *   put:
+ *     tags: [Import Templates]
+ *     summary: Update a mapping template
+ *     description: Send only the fields to change; `mappings` replaces the whole list.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema: { type: string }
+ *       - in: path
+ *         name: templateId
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/ImportMappingTemplate' }
+ *     responses:
+ *       200:
+ *         description: Updated
+ *       400:
+ *         description: Invalid template
+ *       404:
+ *         description: Not found
+ *   delete:
+ *     tags: [Import Templates]
+ *     summary: Delete a mapping template
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema: { type: string }
+ *       - in: path
+ *         name: templateId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Deleted
+ *       404:
+ *         description: Not found
+ */
+router.get(
+  "/company/:companyId/:templateId",
+  authenticate,
+  requireCompanyAccess,
+  importMappingController.get
+);
+router.put(
+  "/company/:companyId/:templateId",
+  authenticate,
+  requireCompanyAccess,
+  importMappingController.update
+);
+router.delete(
+  "/company/:companyId/:templateId",
+  authenticate,
+  requireCompanyAccess,
+  importMappingController.remove
+);
+
+module.exports = router;
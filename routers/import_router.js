@@ -0,0 +1,750 @@
+// routes/import_router.js
+const express = require("express");
+const router = express.Router();
+
+const importController = require("../controllers/import_controller");
+const { authenticate } = require("../middlewares/auth");
+const { requireCompanyAccess } = require("../middlewares/tenancy");
+const upload = require("../middlewares/uploadMiddleware");
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Imports
+ *     description: Imports that span several modules
+ *
+ * components:
+ *   schemas:
+ *     WorkbookSheetResult:
+ *       type: object
+ *       properties:
+ *         sheet: { type: string, example: "Environmental Metrics" }
+ *         module: { type: string, nullable: true, example: "esg_data" }
+ *         matched_by:
+ *           type: string
+ *           nullable: true
+ *           enum: [request, template, sheet_name]
+ *           description: What routed the sheet; null when nothing did
+ *         mapping_template_id: { type: string }
+ *         status: { type: string, enum: [imported, failed, skipped, planned] }
+ *         reason: { type: string, enum: [empty, no_route] }
+ *         error: { type: string }
+ *         record_id: { type: string, description: "Domain modules" }
+ *         record_ids:
+ *           type: array
+ *           items: { type: string }
+ *           description: esg_data
+ *         version: { type: integer }
+ *         metrics_count: { type: integer }
+ *
+ *     ImportBatchItem:
+ *       type: object
+ *       properties:
+ *         module: { type: string, example: "energy" }
+ *         record_id: { type: string }
+ *         company: { type: string }
+ *         version: { type: integer, description: "Domain modules" }
+ *         imported_at: { type: string, format: date-time }
+ *         action:
+ *           type: string
+ *           enum: [restore_previous, remove, revert_rows, skip]
+ *           description: |
+ *             restore_previous = the version the import replaced becomes
+ *             active again; remove = the import created the data, so it is
+ *             soft-deleted; revert_rows = series rows the import replaced
+ *             get their earlier values back and rows it created are deleted
+ *         reason:
+ *           type: string
+ *           enum: [superseded, deleted, not_reversible]
+ *           description: |
+ *             Why an item is skipped; carbon imports are not reversible, and
+ *             superseded series items have every row replaced by a later batch
+ *         restores:
+ *           type: object
+ *           properties:
+ *             record_id: { type: string }
+ *             version: { type: integer }
+ *             metrics_count: { type: integer }
+ *         metrics_count: { type: integer }
+ *         values_count: { type: integer, description: "esg_data" }
+ *         restores_values_count:
+ *           type: integer
+ *           description: esg_data; stored values the import replaced, put back by the rollback
+ *         values_restored: { type: integer, description: "esg_data, after a rollback" }
+ *         dataset: { type: string, description: "Series" }
+ *         rows_count: { type: integer, description: "Series; rows the batch wrote last" }
+ *         rows_to_restore: { type: integer, description: "Series; rows that get the values the batch replaced back" }
+ *         rows_superseded: { type: integer, description: "Series; rows a later batch has replaced since, left as they are" }
+ *         rows_restored: { type: integer, description: "Series, after a rollback" }
+ *         rows_removed: { type: integer, description: "Series, after a rollback" }
+ *         years:
+ *           type: array
+ *           items: { type: integer }
+ *           description: esg_data
+ *         warnings:
+ *           type: array
+ *           items: { type: string, enum: [modified_after_import, previous_version_missing, replaced_values_missing, rows_replaced_later] }
+ *         status: { type: string, enum: [reverted, skipped], description: "After a rollback" }
+ *         restored_record_id: { type: string }
+ *         restored_version: { type: integer }
+ *
+ *     ImportBatchRollback:
+ *       type: object
+ *       properties:
+ *         batch_id: { type: string, example: "import_job_665a8c7be4f1c23b04d12345" }
+ *         job:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             id: { type: string }
+ *             status: { type: string }
+ *             rolled_back_at: { type: string, format: date-time }
+ *         modules:
+ *           type: array
+ *           items: { type: string }
+ *           description: Modules with something to revert
+ *         items:
+ *           type: array
+ *           items: { $ref: '#/components/schemas/ImportBatchItem' }
+ *         summary:
+ *           type: object
+ *           properties:
+ *             total: { type: integer }
+ *             to_revert: { type: integer }
+ *             skipped: { type: integer }
+ *             not_reversible: { type: integer }
+ *         rolled_back_at: { type: string, format: date-time }
+ *
+ *     PdfProposedRow:
+ *       type: object
+ *       properties:
+ *         id: { type: string }
+ *         page: { type: integer, example: 43, description: "1-based, as printed by PDF viewers" }
+ *         table: { type: integer, description: "Index into `tables`" }
+ *         label: { type: string, example: "Electricity Purchased (MWH)" }
+ *         metric_name: { type: string, example: "Electricity Purchased" }
+ *         unit: { type: string, example: "MWH" }
+ *         year: { type: integer, example: 2024 }
+ *         value: { example: "13,000" }
+ *         numeric_value: { type: number, example: 13000 }
+ *         kind: { type: string, enum: [number, percentage, currency, text, not_reported] }
+ *         source: { type: string, example: "HVE Integrated Report 2025; p.43" }
+ *         suggested:
+ *           type: object
+ *           nullable: true
+ *           description: Module metric the label matches
+ *           properties:
+ *             module: { type: string, example: "energy" }
+ *             category: { type: string, example: "electricity_purchased" }
+ *             subcategory: { type: string }
+ *             metric_name: { type: string, example: "Electricity Purchased" }
+ *         confirmed_module: { type: string, nullable: true }
+ *         confirmed_batch_id: { type: string, nullable: true }
+ *
+ *     PdfExtraction:
+ *       type: object
+ *       properties:
+ *         id: { type: string }
+ *         company: { type: string }
+ *         status: { type: string, enum: [proposed, partially_confirmed, confirmed] }
+ *         file:
+ *           type: object
+ *           properties:
+ *             name: { type: string }
+ *             size: { type: integer }
+ *             page_count: { type: integer }
+ *             title: { type: string }
+ *         source_name: { type: string, example: "HVE Integrated Report 2025" }
+ *         tables:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               index: { type: integer }
+ *               page: { type: integer }
+ *               title: { type: string }
+ *               header_label: { type: string }
+ *               years:
+ *                 type: array
+ *                 items: { type: integer }
+ *               rows_count: { type: integer }
+ *         rows:
+ *           type: array
+ *           items: { $ref: '#/components/schemas/PdfProposedRow' }
+ *         summary:
+ *           type: object
+ *           properties:
+ *             rows: { type: integer }
+ *             unconfirmed_by_suggested_module:
+ *               type: object
+ *               additionalProperties: { type: integer }
+ *               example: { energy: 6, waste: 2, unmatched: 4 }
+ *         confirmations:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               module: { type: string }
+ *               batch_id: { type: string }
+ *               rows_count: { type: integer }
+ *               records: { type: array, items: { type: object } }
+ *               confirmed_at: { type: string, format: date-time }
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *           description: Unconfirmed extractions are deleted after this
+ *     SeriesObservation:
+ *       type: object
+ *       description: One row of a large series import
+ *       properties:
+ *         _id: { type: string }
+ *         company: { type: string }
+ *         module: { type: string, example: "carbon" }
+ *         dataset: { type: string, example: "sequestration_monthly" }
+ *         site: { type: string, example: "Farm 12", description: Empty for company-wide series }
+ *         period: { type: string, format: date-time, example: "2024-03-01T00:00:00.000Z" }
+ *         year: { type: integer, example: 2024 }
+ *         month: { type: integer, example: 3 }
+ *         values:
+ *           type: object
+ *           additionalProperties: { type: number }
+ *           example: { ndvi_max: 0.71, agb_t_per_ha: 42.8, net_co2_t: 115.2 }
+ *         attributes:
+ *           type: object
+ *           additionalProperties: { type: string }
+ *           description: Non-numeric columns
+ *         import_batch_id: { type: string }
+ *         source_file: { type: string }
+ *         source_row: { type: integer, description: 1-based data row in the file }
+ */
+
+/**
+ * @swagger
+ * /api/v1/imports/company/{companyId}/workbook:
+ *   post:
+ *     tags: [Imports]
+ *     summary: Import every sheet of an Excel workbook
+ *     description: |
+ *       Each sheet is routed, in order of precedence, by `sheet_routes`, by an
+ *       active mapping template whose `sheet_name` matches, or by its name
+ *       ("Environmental Metrics", "Social Metrics" and "Governance Metrics" go
+ *       to esg-data; "Energy", "Waste", "Workforce", "Board"... go to their
+ *       modules). Sheets that match nothing are skipped.
+ *
+ *       The import runs as a background job (see Jobs). All records share the
+ *       job's `batch_id`. Sheets import independently: one failing sheet is
+ *       reported and does not undo the others. Two sheets routed to the same
+ *       domain module are rejected, since each import replaces the module's
+ *       active version. Requires write access to every module the workbook
+ *       routes to. Without `conflict_policy`, a sheet whose values conflict
+ *       with stored ones fails with the IMPORT_CONFLICTS message.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: dry_run
+ *         schema: { type: boolean, default: false }
+ *         description: Report how each sheet would be routed without importing
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [file]
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: Excel workbook (.xlsx or .xls)
+ *               sheet_routes:
+ *                 type: string
+ *                 description: |
+ *                   JSON object keyed by sheet name. A value is a module, "skip",
+ *                   or `{ "module": "...", "mapping_template_id": "..." }`.
+ *                 example: '{"Environmental Metrics":"esg_data","Fuel":"energy","Notes":"skip"}'
+ *               data_period_start: { type: string, example: "2022" }
+ *               data_period_end: { type: string, example: "2025" }
+ *               original_source: { type: string }
+ *               source: { type: string }
+ *               conflict_policy:
+ *                 type: string
+ *                 enum: [keep_existing, overwrite, restatement]
+ *                 description: How to settle years whose imported value differs from the stored one
+ *     responses:
+ *       200:
+ *         description: Dry run; sheet routing only
+ *       202:
+ *         description: |
+ *           Workbook queued for import; poll `data.status_url`. The finished
+ *           job's `result` has the per-sheet report; its status is `partial`
+ *           when some sheets failed.
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ImportJobAccepted' }
+ *       400:
+ *         description: Not a workbook, invalid sheet_routes, or two sheets routed to one module
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ErrorResponse' }
+ *       403:
+ *         description: No write access to a module the workbook routes to
+ */
+router.post(
+  "/company/:companyId/workbook",
+  authenticate,
+  requireCompanyAccess,
+  upload.single("file"),
+  importController.importWorkbook
+);
+
+/**
+ * @swagger
+ * /api/v1/imports/company/{companyId}/pdf:
+ *   post:
+ *     tags: [Imports]
+ *     summary: Extract metric tables from a PDF report
+ *     description: |
+ *       Reads the tables with year columns ("Metric | 2022 | 2023 | 2024")
+ *       from a text-based PDF, such as an integrated report, and proposes
+ *       one row per metric and year with the page it was printed on. Labels
+ *       that match a module metric carry a suggestion. Nothing is written to
+ *       any module until rows are confirmed; unconfirmed extractions are
+ *       deleted after 30 days. Scanned PDFs have no text layer and are
+ *       rejected.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [file]
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: Text-based PDF report
+ *               source_name:
+ *                 type: string
+ *                 description: How values cite the report; the PDF title or file name by default
+ *                 example: "HVE Integrated Report 2025"
+ *     responses:
+ *       201:
+ *         description: Tables extracted; rows proposed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 message: { type: string }
+ *                 data: { $ref: '#/components/schemas/PdfExtraction' }
+ *       400:
+ *         description: Not a PDF, unreadable, or no tables found (NO_TABLES_FOUND)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ErrorResponse' }
+ */
+router.post(
+  "/company/:companyId/pdf",
+  authenticate,
+  requireCompanyAccess,
+  upload.pdfUpload.single("file"),
+  importController.extractPdf
+);
+
+/**
+ * @swagger
+ * /api/v1/imports/pdf/{extractionId}:
+ *   get:
+ *     tags: [Imports]
+ *     summary: Rows proposed from a PDF report
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: extractionId
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: companyId
+ *         schema: { type: string }
+ *         description: Owners only; members are limited to their own company
+ *     responses:
+ *       200:
+ *         description: The extraction
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 data: { $ref: '#/components/schemas/PdfExtraction' }
+ *       404:
+ *         description: Extraction not found (or expired)
+ */
+router.get("/pdf/:extractionId", authenticate, importController.getPdfExtraction);
+
+/**
+ * @swagger
+ * /api/v1/imports/pdf/{extractionId}/confirm:
+ *   post:
+ *     tags: [Imports]
+ *     summary: Confirm proposed PDF rows into a module
+ *     description: |
+ *       Writes the selected rows to one module; call once per module. Without
+ *       `rows`, every unconfirmed row suggested for the module is taken. Each
+ *       row's category, subcategory and metric name come from the row's
+ *       corrections, then the mapping template, then the suggestion. Domain
+ *       modules get a new version of their active record, merged year by
+ *       year; esg_data gets a new document. Every value keeps the row's
+ *       "<report>; p.<page>" source, and the write has its own batch id, so
+ *       it can be rolled back with DELETE /api/v1/imports/{batchId}.
+ *       Requires write access to the module.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: extractionId
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: companyId
+ *         schema: { type: string }
+ *         description: Owners only; members are limited to their own company
+ *       - in: query
+ *         name: dry_run
+ *         schema: { type: boolean, default: false }
+ *         description: Return the metrics that would be written without saving
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [module]
+ *             properties:
+ *               module:
+ *                 type: string
+ *                 example: "energy"
+ *                 description: esg_data or a domain module (biodiversity, energy, waste, ...)
+ *               rows:
+ *                 type: array
+ *                 description: Row ids, or objects with an id and corrections
+ *                 items:
+ *                   oneOf:
+ *                     - type: string
+ *                     - type: object
+ *                       required: [id]
+ *                       properties:
+ *                         id: { type: string }
+ *                         category: { type: string }
+ *                         subcategory: { type: string }
+ *                         metric_name: { type: string }
+ *                         unit: { type: string }
+ *                         value: { type: string, description: "Corrected cell text, e.g. \"13,200\"" }
+ *               category:
+ *                 type: string
+ *                 enum: [environmental, social, governance]
+ *                 description: esg_data; guessed from the table title when omitted
+ *               mapping_template_id:
+ *                 type: string
+ *                 description: Company mapping template for the module, matched on the row labels
+ *               conflict_policy:
+ *                 type: string
+ *                 enum: [keep_existing, overwrite, restatement]
+ *                 description: |
+ *                   How to settle years the module already has a different
+ *                   value for. Without it such a confirmation is refused (409).
+ *     responses:
+ *       200:
+ *         description: Dry run; the metrics that would be written
+ *       201:
+ *         description: Rows written
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 message: { type: string }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     module: { type: string }
+ *                     batch_id: { type: string }
+ *                     rows_count: { type: integer }
+ *                     metrics: { type: array, items: { type: object } }
+ *                     records: { type: array, items: { type: object } }
+ *                     conflicts: { $ref: '#/components/schemas/ImportConflictReport' }
+ *       400:
+ *         description: Invalid module, no rows selected, or rows without a valid category, already confirmed or giving one metric twice for a year (INVALID_ROWS)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ErrorResponse' }
+ *       409:
+ *         description: Values conflict with stored ones and no conflict_policy was given (IMPORT_CONFLICTS); `details` lists them
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ErrorResponse' }
+ *       403:
+ *         description: No write access to the module
+ *       404:
+ *         description: Extraction not found (or expired)
+ */
+router.post("/pdf/:extractionId/confirm", authenticate, importController.confirmPdfExtraction);
+
+/**
+ * @swagger
+ * /api/v1/imports/company/{companyId}/series:
+ *   post:
+ *     tags: [Imports]
+ *     summary: Import a large time-series CSV
+ *     description: |
+ *       For CSVs too large for the 10MB uploads, such as monthly carbon
+ *       sequestration for many farms or sensor readings. The file is written
+ *       to disk as it arrives, then read by the import job worker in chunks
+ *       of rows, each written in one bulk operation, so it is never held in
+ *       memory. Only CSV is accepted; the size limit is
+ *       IMPORT_LARGE_UPLOAD_MAX_MB (1024 by default).
+ *
+ *       Each row is stored under the company, `module`, `dataset`, site and
+ *       period; importing the same rows again replaces them, keeping the
+ *       replaced values so that rolling the batch back restores them. Every
+ *       row written is recorded in the audit log. The site column (farm,
+ *       site, plot, sensor...) and the period, a date column or year and
+ *       month columns, are recognised by name unless given. Every other
+ *       column is stored by its key ("AGB (t/ha)" becomes `agb_t_ha`):
+ *       numbers under `values`, anything else under `attributes`. Rows
+ *       without a readable period are reported and skipped; the job is
+ *       `partial` when some rows failed. Requires write access to `module`.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: dry_run
+ *         schema: { type: boolean, default: false }
+ *         description: Report the column plan and the first rows without importing
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [file, module, dataset]
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: CSV file with a header row
+ *               module:
+ *                 type: string
+ *                 description: Module the series belongs to; decides the scope checked
+ *                 example: carbon
+ *               dataset:
+ *                 type: string
+ *                 example: sequestration_monthly
+ *               site_column: { type: string, example: "farm_id" }
+ *               date_column: { type: string, example: "reading_date" }
+ *               year_column: { type: string, example: "year" }
+ *               month_column: { type: string, example: "month" }
+ *               chunk_size:
+ *                 type: integer
+ *                 description: Rows per bulk write (IMPORT_STREAM_CHUNK_ROWS, 1000 by default; at most 5000)
+ *     responses:
+ *       200:
+ *         description: Dry run; column plan and the first rows as they would be stored
+ *       202:
+ *         description: |
+ *           File queued for import; poll `data.status_url`. The job's counts
+ *           have `rows_written` and `rows_failed` as it runs, and its errors
+ *           the first 100 failed rows.
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ImportJobAccepted' }
+ *       400:
+ *         description: Not a CSV, invalid module or dataset, or no date/year column (NO_PERIOD_COLUMN, UNKNOWN_COLUMN)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ErrorResponse' }
+ *       403:
+ *         description: No write access to the module
+ *   get:
+ *     tags: [Imports]
+ *     summary: Rows of an imported series
+ *     description: In site and period order. Requires read access to the dataset's module.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: dataset
+ *         required: true
+ *         schema: { type: string, example: sequestration_monthly }
+ *       - in: query
+ *         name: module
+ *         schema: { type: string, example: carbon }
+ *         description: Required when the dataset name is used in more than one module
+ *       - in: query
+ *         name: site
+ *         schema: { type: string }
+ *       - in: query
+ *         name: from
+ *         schema: { type: string, example: "2023" }
+ *         description: Year or date (inclusive)
+ *       - in: query
+ *         name: to
+ *         schema: { type: string, example: "2024-06" }
+ *         description: Year or date (inclusive)
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 100, maximum: 1000 }
+ *     responses:
+ *       200:
+ *         description: A page of rows
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 module: { type: string }
+ *                 items:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/SeriesObservation' }
+ *                 total: { type: integer }
+ *                 page: { type: integer }
+ *                 limit: { type: integer }
+ *                 totalPages: { type: integer }
+ *       400:
+ *         description: The dataset exists in more than one module and no module was given (AMBIGUOUS_DATASET)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ErrorResponse' }
+ *       404:
+ *         description: The company has no rows for the dataset (DATASET_NOT_FOUND)
+ */
+router.post(
+  "/company/:companyId/series",
+  authenticate,
+  requireCompanyAccess,
+  upload.largeUpload.single("file"),
+  importController.importSeries
+);
+router.get(
+  "/company/:companyId/series",
+  authenticate,
+  requireCompanyAccess,
+  importController.listSeries
+);
+
+/**
+ * @swagger
+ * /api/v1/imports/{batchId}:
+ *   get:
+ *     tags: [Imports]
+ *     summary: Preview what rolling back an import batch would revert
+ *     description: |
+ *       Lists every record written with the batch id (a job's `batch_id`)
+ *       across modules, and what a rollback would do with each. Nothing is
+ *       changed.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: batchId
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: companyId
+ *         schema: { type: string }
+ *         description: Owners only; members are limited to their own company
+ *     responses:
+ *       200:
+ *         description: Rollback preview
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 data: { $ref: '#/components/schemas/ImportBatchRollback' }
+ *       403:
+ *         description: No read access to a module the batch touched
+ *       404:
+ *         description: No records carry this batch id
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ErrorResponse' }
+ *   delete:
+ *     tags: [Imports]
+ *     summary: Roll back an import batch
+ *     description: |
+ *       Reverts everything the batch wrote, in one transaction. In versioned
+ *       modules the version the import replaced becomes active again (as a
+ *       new version, like a restore); data the import created is
+ *       soft-deleted. esg-data documents from the batch are soft-deleted,
+ *       which removes their metric values. Records already superseded by a
+ *       later import are skipped, and carbon imports cannot be reversed.
+ *       Requires restore access to every module with something to revert.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: batchId
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: companyId
+ *         schema: { type: string }
+ *         description: Owners only; members are limited to their own company
+ *       - in: query
+ *         name: dry_run
+ *         schema: { type: boolean, default: false }
+ *         description: Return the preview without changing anything
+ *     responses:
+ *       200:
+ *         description: Batch rolled back (or preview, for a dry run)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 message: { type: string }
+ *                 data: { $ref: '#/components/schemas/ImportBatchRollback' }
+ *       403:
+ *         description: No restore access to a module the batch touched
+ *       404:
+ *         description: No records carry this batch id
+ *       409:
+ *         description: Nothing left to roll back, or the batch's records changed during the rollback
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ErrorResponse' }
+ */
+router.get("/:batchId", authenticate, importController.previewBatch);
+router.delete("/:batchId", authenticate, importController.rollbackBatch);
+
+module.exports = router;
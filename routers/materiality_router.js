@@ -0,0 +1,371 @@
+// routes/materiality_router.js
+const express = require("express");
+const router = express.Router();
+
+const materialityController = require("../controllers/materiality_controller");
+const { authenticate, requireScope } = require("../middlewares/auth");
+const { requireCompanyAccess } = require("../middlewares/tenancy");
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Materiality
+ *     description: |
+ *       Per-company double materiality assessments, one per year. Each topic
+ *       is rated 1-5 for its impact on people and the environment and for
+ *       its financial effect on the company, with the stakeholder ratings
+ *       behind them. A topic is material when either score reaches
+ *       `thresholds.material`, and high priority when one reaches
+ *       `thresholds.high`. The latest approved assessment up to a year
+ *       scales the weights of the scoring indicators its topics are linked
+ *       to (see ESG Scores) and picks the highlighted dashboard sections.
+ *
+ * components:
+ *   schemas:
+ *     MaterialTopic:
+ *       type: object
+ *       required: [key, impact_score, financial_score]
+ *       description: |
+ *         Topics with a catalogue key (GET /materiality/topics) take its name,
+ *         pillar, scoring_indicators and dashboard_sections when not given.
+ *       properties:
+ *         key: { type: string, example: "water" }
+ *         name: { type: string, example: "Water use and water risk" }
+ *         pillar: { type: string, enum: [environmental, social, governance] }
+ *         description: { type: string }
+ *         impact_score: { type: number, minimum: 1, maximum: 5, example: 5 }
+ *         financial_score: { type: number, minimum: 1, maximum: 5, example: 4 }
+ *         stakeholder_ratings:
+ *           type: array
+ *           items:
+ *             type: object
+ *             required: [group, rating]
+ *             properties:
+ *               group: { type: string, example: "out-growers" }
+ *               rating: { type: number, minimum: 1, maximum: 5 }
+ *               respondents: { type: integer }
+ *               notes: { type: string }
+ *         rationale: { type: string }
+ *         scoring_indicators:
+ *           type: array
+ *           items: { type: string }
+ *           description: Indicator keys of the active scoring methodology
+ *         dashboard_sections:
+ *           type: array
+ *           items: { type: string }
+ *           example: ["irrigationWaterRisk"]
+ *         stakeholder_score: { type: number, nullable: true, readOnly: true }
+ *         priority: { type: string, enum: [high, medium, low], readOnly: true }
+ *         is_material: { type: boolean, readOnly: true }
+ *
+ *     MaterialityAssessment:
+ *       type: object
+ *       required: [year]
+ *       properties:
+ *         _id: { type: string }
+ *         company: { type: string }
+ *         year: { type: integer, example: 2025, description: "Applies from this reporting year" }
+ *         title: { type: string, example: "2025 stakeholder survey" }
+ *         description: { type: string }
+ *         thresholds:
+ *           type: object
+ *           properties:
+ *             material: { type: number, default: 3 }
+ *             high: { type: number, default: 4 }
+ *         topics:
+ *           type: array
+ *           items: { $ref: '#/components/schemas/MaterialTopic' }
+ *         status: { type: string, enum: [draft, approved], readOnly: true }
+ *         approved_at: { type: string, format: date-time, readOnly: true }
+ *
+ *     MaterialityMatrix:
+ *       type: object
+ *       properties:
+ *         assessment:
+ *           type: object
+ *           properties:
+ *             id: { type: string }
+ *             year: { type: integer }
+ *             title: { type: string, nullable: true }
+ *             status: { type: string }
+ *         matrix:
+ *           type: object
+ *           properties:
+ *             thresholds: { type: object }
+ *             topics:
+ *               type: array
+ *               description: High priority first
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   key: { type: string }
+ *                   name: { type: string }
+ *                   pillar: { type: string }
+ *                   impact_score: { type: number }
+ *                   financial_score: { type: number }
+ *                   stakeholder_score: { type: number, nullable: true }
+ *                   priority: { type: string }
+ *                   is_material: { type: boolean }
+ *                   quadrant: { type: string, enum: [double, impact, financial, not_material] }
+ *                   scoring_indicators: { type: array, items: { type: string } }
+ *                   dashboard_sections: { type: array, items: { type: string } }
+ *             high: { type: array, items: { type: object } }
+ *             medium: { type: array, items: { type: object } }
+ *             low: { type: array, items: { type: object } }
+ *             graph: { $ref: '#/components/schemas/ESGGraph' }
+ *         highlighted_sections:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               section: { type: string, example: "irrigationWaterRisk" }
+ *               priority: { type: string, enum: [high, medium] }
+ *               topics: { type: array, items: { type: string } }
+ */
+
+/**
+ * @swagger
+ * /api/v1/materiality/topics:
+ *   get:
+ *     tags: [Materiality]
+ *     summary: Standard topics and the dashboard sections a topic can highlight
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Topic catalogue
+ */
+router.get("/topics", authenticate, materialityController.listTopics);
+
+/**
+ * @swagger
+ * /api/v1/materiality/company/{companyId}:
+ *   get:
+ *     tags: [Materiality]
+ *     summary: List a company's materiality assessments
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [draft, approved] }
+ *     responses:
+ *       200:
+ *         description: Assessments, newest year first
+ *   post:
+ *     tags: [Materiality]
+ *     summary: Create a draft assessment
+ *     description: |
+ *       `copy_from_year` starts from that year's topics and thresholds when
+ *       `topics` is not given.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/MaterialityAssessment'
+ *               - type: object
+ *                 properties:
+ *                   copy_from_year: { type: integer, example: 2024 }
+ *     responses:
+ *       201:
+ *         description: Draft created
+ *       400:
+ *         description: Invalid assessment (INVALID_ASSESSMENT); `details.errors` lists every problem
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ErrorResponse' }
+ *       404:
+ *         description: No assessment for copy_from_year
+ *       409:
+ *         description: The company already has an assessment for the year (DUPLICATE_ASSESSMENT)
+ */
+router.get(
+  "/company/:companyId",
+  authenticate,
+  requireCompanyAccess,
+  requireScope("materiality:read"),
+  materialityController.list
+);
+router.post(
+  "/company/:companyId",
+  authenticate,
+  requireCompanyAccess,
+  requireScope("materiality:write"),
+  materialityController.create
+);
+
+/**
+ * @swagger
+ * /api/v1/materiality/company/{companyId}/matrix:
+ *   get:
+ *     tags: [Materiality]
+ *     summary: Double materiality matrix of the assessment that applies to a year
+ *     description: The latest approved assessment stamped with the year or earlier
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: year
+ *         schema: { type: integer }
+ *         description: Defaults to the latest approved assessment
+ *     responses:
+ *       200:
+ *         description: Matrix and highlighted dashboard sections
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data: { $ref: '#/components/schemas/MaterialityMatrix' }
+ *       404:
+ *         description: No approved assessment applies
+ */
+router.get(
+  "/company/:companyId/matrix",
+  authenticate,
+  requireCompanyAccess,
+  requireScope("materiality:read"),
+  materialityController.getMatrix
+);
+
+/**
+ * @swagger
+ * /api/v1/materiality/company/{companyId}/{assessmentId}:
+ *   get:
+ *     tags: [Materiality]
+ *     summary: Get an assessment with its matrix
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema: { type: string }
+ *       - in: path
+ *         name: assessmentId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Assessment
+ *       404:
+ *         description: Not found
+ *   put:
+ *     tags: [Materiality]
+ *     summary: Edit an assessment
+ *     description: An approved assessment returns to draft and stops weighting scores until approved again.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema: { type: string }
+ *       - in: path
+ *         name: assessmentId
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/MaterialityAssessment' }
+ *     responses:
+ *       200:
+ *         description: Updated
+ *       400:
+ *         description: Invalid assessment (INVALID_ASSESSMENT)
+ *       409:
+ *         description: Another assessment has the year (DUPLICATE_ASSESSMENT)
+ *   delete:
+ *     tags: [Materiality]
+ *     summary: Delete a draft assessment
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema: { type: string }
+ *       - in: path
+ *         name: assessmentId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Deleted
+ *       409:
+ *         description: Approved assessments cannot be deleted (ASSESSMENT_APPROVED)
+ */
+router.get(
+  "/company/:companyId/:assessmentId",
+  authenticate,
+  requireCompanyAccess,
+  requireScope("materiality:read"),
+  materialityController.get
+);
+router.put(
+  "/company/:companyId/:assessmentId",
+  authenticate,
+  requireCompanyAccess,
+  requireScope("materiality:write"),
+  materialityController.update
+);
+router.delete(
+  "/company/:companyId/:assessmentId",
+  authenticate,
+  requireCompanyAccess,
+  requireScope("materiality:write"),
+  materialityController.remove
+);
+
+/**
+ * @swagger
+ * /api/v1/materiality/company/{companyId}/{assessmentId}/approve:
+ *   post:
+ *     tags: [Materiality]
+ *     summary: Approve an assessment
+ *     description: From its year on, the approved assessment weights ESG scores and highlights dashboard sections.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema: { type: string }
+ *       - in: path
+ *         name: assessmentId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Approved
+ *       403:
+ *         description: Needs the materiality:verify scope
+ */
+router.post(
+  "/company/:companyId/:assessmentId/approve",
+  authenticate,
+  requireCompanyAccess,
+  requireScope("materiality:verify"),
+  materialityController.approve
+);
+
+module.exports = router;
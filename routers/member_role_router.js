@@ -0,0 +1,183 @@
+// routes/member_role_router.js
+const express = require("express");
+const router = express.Router();
+
+const memberRoleController = require("../controllers/member_role_controller");
+const { authenticate, requireRole } = require("../middlewares/auth");
+const { requireCompanyAccess } = require("../middlewares/tenancy");
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Member Roles
+ *     description: Company member roles and their per-module scopes
+ *
+ * components:
+ *   schemas:
+ *     MemberRole:
+ *       type: object
+ *       properties:
+ *         _id: { type: string, example: "665a8c7be4f1c23b04d12345" }
+ *         company: { type: string, example: "665a8c7be4f1c23b04d99999" }
+ *         name: { type: string, example: "verifier" }
+ *         description: { type: string, example: "Reviews and verifies data imported by others" }
+ *         scopes:
+ *           type: array
+ *           items: { type: string }
+ *           example: ["*:read", "waste:verify", "carbon:verify"]
+ *         is_system: { type: boolean, example: true }
+ *
+ *     MemberRoleRequest:
+ *       type: object
+ *       properties:
+ *         name: { type: string, example: "carbon_analyst" }
+ *         description: { type: string, example: "Maintains carbon accounting" }
+ *         scopes:
+ *           type: array
+ *           items: { type: string }
+ *           example: ["dashboard:read", "carbon:read", "carbon:write"]
+ */
+
+/**
+ * @swagger
+ * /api/v1/member-roles/scopes:
+ *   get:
+ *     tags: [Member Roles]
+ *     summary: List scope modules, actions and the default roles
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Scope catalogue
+ */
+router.get("/scopes", authenticate, memberRoleController.listScopes);
+
+/**
+ * @swagger
+ * /api/v1/member-roles/company/{companyId}:
+ *   get:
+ *     tags: [Member Roles]
+ *     summary: List roles for a company
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Roles list
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 count: { type: integer }
+ *                 roles:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/MemberRole' }
+ *   post:
+ *     tags: [Member Roles]
+ *     summary: Create a custom role (company admin or owner)
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/MemberRoleRequest' }
+ *     responses:
+ *       201:
+ *         description: Role created
+ *       400:
+ *         description: Invalid scopes
+ *       403:
+ *         description: Admin only
+ *       409:
+ *         description: Role already exists
+ */
+router.get(
+  "/company/:companyId",
+  authenticate,
+  requireCompanyAccess,
+  memberRoleController.list,
+);
+router.post(
+  "/company/:companyId",
+  authenticate,
+  requireCompanyAccess,
+  requireRole("admin"),
+  memberRoleController.create,
+);
+
+/**
+ * @swagger
+ * /api/v1/member-roles/company/{companyId}/{roleId}:
+ *   patch:
+ *     tags: [Member Roles]
+ *     summary: Update a role's description or scopes (company admin or owner)
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema: { type: string }
+ *       - in: path
+ *         name: roleId
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/MemberRoleRequest' }
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *       404:
+ *         description: Role not found
+ *   delete:
+ *     tags: [Member Roles]
+ *     summary: Delete a custom role (company admin or owner)
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema: { type: string }
+ *       - in: path
+ *         name: roleId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Role deleted
+ *       400:
+ *         description: Default roles cannot be deleted
+ *       409:
+ *         description: Role is still assigned to members
+ */
+router.patch(
+  "/company/:companyId/:roleId",
+  authenticate,
+  requireCompanyAccess,
+  requireRole("admin"),
+  memberRoleController.update,
+);
+router.delete(
+  "/company/:companyId/:roleId",
+  authenticate,
+  requireCompanyAccess,
+  requireRole("admin"),
+  memberRoleController.remove,
+);
+
+module.exports = router;
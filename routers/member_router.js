@@ -9,7 +9,7 @@ const { authenticate } = require("../middlewares/auth");
  * @swagger
  * tags:
  *   - name: Members
- *     description: Company members (login + management)
+ *     description: Company members (login, invitations + management)
  *
  * components:
  *   securitySchemes:
@@ -34,10 +34,10 @@ const { authenticate } = require("../middlewares/auth");
  *         lastName: { type: string, example: "Doe" }
  *         email: { type: string, example: "john@example.com" }
  *         title: { type: string, example: "Operations Manager" }
- *         role: { type: string, enum: ["admin", "member"], example: "member" }
+ *         role: { type: string, description: "MemberRole name (admin, esg_manager, data_entry, verifier, auditor, member or a custom role)", example: "member" }
  *         department: { type: string, example: "Operations" }
  *         phone: { type: string, example: "+263771234567" }
- *         status: { type: string, enum: ["active", "inactive"], example: "active" }
+ *         status: { type: string, enum: ["invited", "active", "inactive"], example: "active" }
  *         joinedAt: { type: string, format: date-time }
  *
  *     MemberLoginRequest:
@@ -49,16 +49,15 @@ const { authenticate } = require("../middlewares/auth");
  *
  *     MemberCreateRequest:
  *       type: object
- *       required: [firstName, lastName, email, password]
+ *       description: Invitation; the invitee sets their own password (and may edit the profile) when accepting
+ *       required: [email]
  *       properties:
+ *         email: { type: string, example: "john@example.com" }
+ *         role: { type: string, description: "MemberRole name (admin, esg_manager, data_entry, verifier, auditor, member or a custom role)", example: "member" }
  *         firstName: { type: string, example: "John" }
  *         lastName: { type: string, example: "Doe" }
- *         email: { type: string, example: "john@example.com" }
- *         password: { type: string, example: "StrongPass123!" }
  *         title: { type: string, example: "Manager" }
- *         role: { type: string, enum: ["admin", "member"], example: "member" }
  *         department: { type: string, example: "Finance" }
- *         phone: { type: string, example: "+263771234567" }
  *
  *     MemberCreateByOwnerRequest:
  *       allOf:
@@ -74,10 +73,46 @@ const { authenticate } = require("../middlewares/auth");
  *         firstName: { type: string }
  *         lastName: { type: string }
  *         title: { type: string }
- *         role: { type: string, enum: ["admin", "member"] }
+ *         role: { type: string, description: "MemberRole name" }
  *         department: { type: string }
  *         phone: { type: string }
- *         status: { type: string, enum: ["active", "inactive"] }
+ *         status: { type: string, enum: ["active", "inactive"], description: "Invited members change status by accepting or revoking the invitation" }
+ *
+ *     MemberInvitation:
+ *       type: object
+ *       properties:
+ *         _id: { type: string, example: "665a8c7be4f1c23b04d12399" }
+ *         company: { type: string, example: "665a8c7be4f1c23b04d99999" }
+ *         member: { type: string, description: "Member created with status invited" }
+ *         email: { type: string, example: "john@example.com" }
+ *         role: { type: string, example: "data_entry" }
+ *         status: { type: string, enum: ["pending", "accepted", "revoked"] }
+ *         expired: { type: boolean, description: "Pending but past expires_at; resend to renew" }
+ *         expires_at: { type: string, format: date-time }
+ *         sent_count: { type: integer, example: 1 }
+ *         last_sent_at: { type: string, format: date-time }
+ *         accepted_at: { type: string, format: date-time }
+ *         revoked_at: { type: string, format: date-time }
+ *
+ *     InvitationResult:
+ *       type: object
+ *       properties:
+ *         message: { type: string, example: "Invitation sent" }
+ *         invitation: { $ref: '#/components/schemas/MemberInvitation' }
+ *         member: { $ref: '#/components/schemas/Member' }
+ *         emailSent: { type: boolean }
+ *
+ *     AcceptInvitationRequest:
+ *       type: object
+ *       required: [token, password]
+ *       properties:
+ *         token: { type: string, description: "Token from the accept link" }
+ *         password: { type: string, example: "StrongPass123!" }
+ *         firstName: { type: string, example: "John" }
+ *         lastName: { type: string, example: "Doe" }
+ *         phone: { type: string, example: "+263771234567" }
+ *         title: { type: string, example: "Manager" }
+ *         department: { type: string, example: "Finance" }
  */
 
 /**
@@ -93,9 +128,11 @@ const { authenticate } = require("../middlewares/auth");
  *           schema: { $ref: '#/components/schemas/MemberLoginRequest' }
  *     responses:
  *       200:
- *         description: Login success
+ *         description: Login success, or a 2FA challenge (TwoFactorChallenge) for admins with 2FA enabled
  *       401:
  *         description: Invalid credentials
+ *       429:
+ *         description: Account locked (ACCOUNT_LOCKED), back-off after a failure (LOGIN_BACKOFF) or IP throttled (TOO_MANY_ATTEMPTS); see Retry-After
  */
 router.post("/login", memberController.login);
 
@@ -104,7 +141,8 @@ router.post("/login", memberController.login);
  * /api/v1/members:
  *   post:
  *     tags: [Members]
- *     summary: Company admin creates a member for their own company
+ *     summary: Company admin invites a member to their own company
+ *     description: Creates the member with status "invited" and emails a signed, expiring accept link. The member becomes active once they accept and set a password.
  *     security:
  *       - BearerAuth: []
  *     requestBody:
@@ -114,7 +152,12 @@ router.post("/login", memberController.login);
  *           schema: { $ref: '#/components/schemas/MemberCreateRequest' }
  *     responses:
  *       201:
- *         description: Member created
+ *         description: Invitation created
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/InvitationResult' }
+ *       409:
+ *         description: Email already a member or already invited
  *       403:
  *         description: Admin only
  */
@@ -125,7 +168,7 @@ router.post("/", authenticate, memberController.createForMyCompany);
  * /api/v1/members/admin:
  *   post:
  *     tags: [Members]
- *     summary: Owner creates a member for any company
+ *     summary: Owner invites a member to any company
  *     security:
  *       - BearerAuth: []
  *     requestBody:
@@ -135,12 +178,141 @@ router.post("/", authenticate, memberController.createForMyCompany);
  *           schema: { $ref: '#/components/schemas/MemberCreateByOwnerRequest' }
  *     responses:
  *       201:
- *         description: Member created by owner
+ *         description: Invitation created by owner
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/InvitationResult' }
  *       403:
  *         description: Owner only
  */
 router.post("/admin", authenticate, memberController.createByOwner);
 
+/**
+ * @swagger
+ * /api/v1/members/invitations:
+ *   get:
+ *     tags: [Members]
+ *     summary: List invitations (company admin own company, owner any)
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: companyId
+ *         schema: { type: string }
+ *         description: Owner only - filter by company
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: ["pending", "accepted", "revoked", "expired"] }
+ *     responses:
+ *       200:
+ *         description: Invitations
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 count: { type: integer }
+ *                 invitations:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/MemberInvitation' }
+ *       403:
+ *         description: Admin or owner only
+ */
+router.get("/invitations", authenticate, memberController.listInvitations);
+
+/**
+ * @swagger
+ * /api/v1/members/invitations/accept:
+ *   get:
+ *     tags: [Members]
+ *     summary: Public - show invitation details for the accept page
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Invitation details (email, company, role)
+ *       400:
+ *         description: Invalid, expired, revoked or superseded link
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ErrorResponse' }
+ *   post:
+ *     tags: [Members]
+ *     summary: Public - accept an invitation and set password and profile
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/AcceptInvitationRequest' }
+ *     responses:
+ *       200:
+ *         description: Member is now active and can log in
+ *       400:
+ *         description: Invalid or expired link, weak password or missing names
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ErrorResponse' }
+ */
+router.get("/invitations/accept", memberController.previewInvitation);
+router.post("/invitations/accept", memberController.acceptInvitation);
+
+/**
+ * @swagger
+ * /api/v1/members/invitations/{invitationId}/resend:
+ *   post:
+ *     tags: [Members]
+ *     summary: Resend an invitation with a fresh link (earlier links stop working)
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Invitation resent
+ *       400:
+ *         description: Invitation already accepted or revoked
+ *       404:
+ *         description: Not found
+ */
+router.post(
+  "/invitations/:invitationId/resend",
+  authenticate,
+  memberController.resendInvitation
+);
+
+/**
+ * @swagger
+ * /api/v1/members/invitations/{invitationId}:
+ *   delete:
+ *     tags: [Members]
+ *     summary: Revoke a pending invitation
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Invitation revoked
+ *       400:
+ *         description: Invitation already accepted or revoked
+ *       404:
+ *         description: Not found
+ */
+router.delete(
+  "/invitations/:invitationId",
+  authenticate,
+  memberController.revokeInvitation
+);
+
 /**
  * @swagger
  * /api/v1/members:
@@ -155,7 +327,7 @@ router.post("/admin", authenticate, memberController.createByOwner);
  *         description: Owner only - filter by company
  *       - in: query
  *         name: status
- *         schema: { type: string, enum: ["active", "inactive"] }
+ *         schema: { type: string, enum: ["invited", "active", "inactive"] }
  *       - in: query
  *         name: role
  *         schema: { type: string, enum: ["admin", "member"] }
@@ -2,7 +2,8 @@ const express = require("express");
 const router = express.Router();
 
 const esgController = require("../controllers/overall_esg_controller");
-const { authenticate, requireOwner } = require("../middlewares/auth");
+const { authenticate, requireScope } = require("../middlewares/auth");
+const { requireCompanyAccess } = require("../middlewares/tenancy");
 const upload = require("../middlewares/uploadMiddleware");
 
 /**
@@ -219,6 +220,12 @@ const upload = require("../middlewares/uploadMiddleware");
  *         schema:
  *           type: string
  *         description: ID of the company
+ *       - in: query
+ *         name: dry_run
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Parse and validate the file and report what would change, without saving (also accepted as a form field)
  *     requestBody:
  *       required: true
  *       content:
@@ -232,6 +239,21 @@ const upload = require("../middlewares/uploadMiddleware");
  *                 type: string
  *                 format: binary
  *                 description: Data file (CSV, Excel, or JSON)
+ *               mapping_template_id:
+ *                 type: string
+ *                 description: Import mapping template to use instead of the built-in file processing (see Import Templates)
+ *               dry_run:
+ *                 type: boolean
+ *                 description: Same as the dry_run query parameter
+ *               conflict_policy:
+ *                 type: string
+ *                 enum: [keep_existing, overwrite, restatement]
+ *                 description: |
+ *                   How to settle years whose imported value differs from the
+ *                   active record's. Without it such an import writes nothing
+ *                   and its job ends with status `conflicts`, listing them in
+ *                   `result.conflicts`; retry the job with a conflict_policy.
+ *                   Years that do not overlap are always merged into the new version.
  *               data_period_start:
  *                 type: string
  *                 example: "2022"
@@ -245,8 +267,23 @@ const upload = require("../middlewares/uploadMiddleware");
  *                 type: string
  *                 example: "File Import"
  *     responses:
- *       201:
- *         description: File imported successfully
+ *       200:
+ *         description: Dry run only; nothing was saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 message: { type: string }
+ *                 data: { $ref: '#/components/schemas/ImportPreview' }
+ *       202:
+ *         description: |
+ *           File queued for import; poll `data.status_url`. The finished job's
+ *           `result` has the record id, version and metrics count.
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ImportJobAccepted' }
  *       400:
  *         description: No file provided or unsupported file type
  *       401:
@@ -255,6 +292,8 @@ const upload = require("../middlewares/uploadMiddleware");
 router.post(
   "/company/:companyId/import-file",
   authenticate,
+  requireCompanyAccess,
+  requireScope("overall_esg:write"),
   upload.single("file"),
   esgController.importFile,
 );
@@ -299,6 +338,8 @@ router.post(
 router.post(
   "/company/:companyId/import-json",
   authenticate,
+  requireCompanyAccess,
+  requireScope("overall_esg:write"),
   esgController.importJSON,
 );
 
@@ -329,6 +370,8 @@ router.post(
 router.get(
   "/company/:companyId/records",
   authenticate,
+  requireCompanyAccess,
+  requireScope("overall_esg:read"),
   esgController.getCompanyRecords,
 );
 
@@ -360,6 +403,8 @@ router.get(
 router.get(
   "/company/:companyId/records/:recordId",
   authenticate,
+  requireCompanyAccess,
+  requireScope("overall_esg:read"),
   esgController.getRecordById,
 );
 
@@ -398,6 +443,8 @@ router.get(
 router.get(
   "/company/:companyId/category/:category",
   authenticate,
+  requireCompanyAccess,
+  requireScope("overall_esg:read"),
   esgController.getMetricsByCategory,
 );
 
@@ -435,6 +482,8 @@ router.get(
 router.get(
   "/company/:companyId/metric/:metricName/timeseries",
   authenticate,
+  requireCompanyAccess,
+  requireScope("overall_esg:read"),
   esgController.getTimeSeriesData,
 );
 
@@ -465,6 +514,8 @@ router.get(
 router.post(
   "/company/:companyId/metrics",
   authenticate,
+  requireCompanyAccess,
+  requireScope("overall_esg:write"),
   esgController.upsertMetric,
 );
 
@@ -501,6 +552,8 @@ router.post(
 router.post(
   "/company/:companyId/metrics/bulk",
   authenticate,
+  requireCompanyAccess,
+  requireScope("overall_esg:write"),
   esgController.bulkUpdateMetrics,
 );
 
@@ -532,6 +585,8 @@ router.post(
 router.delete(
   "/company/:companyId/metrics/:metricId",
   authenticate,
+  requireCompanyAccess,
+  requireScope("overall_esg:write"),
   esgController.deleteMetric,
 );
 
@@ -558,6 +613,8 @@ router.delete(
 router.get(
   "/company/:companyId/summary",
   authenticate,
+  requireCompanyAccess,
+  requireScope("overall_esg:read"),
   esgController.getSummaryStats,
 );
 
@@ -582,6 +639,8 @@ router.get(
 router.post(
   "/company/:companyId/validate",
   authenticate,
+  requireCompanyAccess,
+  requireScope("overall_esg:write"),
   esgController.validateData,
 );
 
@@ -614,7 +673,8 @@ router.post(
 router.patch(
   "/company/:companyId/verification",
   authenticate,
-  requireOwner,
+  requireCompanyAccess,
+  requireScope("overall_esg:verify"),
   esgController.updateVerificationStatus,
 );
 
@@ -639,6 +699,8 @@ router.patch(
 router.get(
   "/company/:companyId/versions",
   authenticate,
+  requireCompanyAccess,
+  requireScope("overall_esg:read"),
   esgController.getDataVersions,
 );
 
@@ -671,7 +733,8 @@ router.get(
 router.post(
   "/company/:companyId/versions/:versionId/restore",
   authenticate,
-  requireOwner,
+  requireCompanyAccess,
+  requireScope("overall_esg:restore"),
   esgController.restoreVersion,
 );
 
@@ -718,6 +781,8 @@ router.post(
 router.post(
   "/company/:companyId/records",
   authenticate,
+  requireCompanyAccess,
+  requireScope("overall_esg:write"),
   esgController.createRecord,
 );
 
@@ -746,7 +811,13 @@ router.post(
  *       404:
  *         description: No overall ESG data found
  */
-router.get("/company/:companyId/export", authenticate, esgController.exportCSV);
+router.get(
+  "/company/:companyId/export",
+  authenticate,
+  requireCompanyAccess,
+  requireScope("overall_esg:read"),
+  esgController.exportCSV,
+);
 
 /**
  * @swagger
@@ -778,6 +849,8 @@ router.get("/company/:companyId/export", authenticate, esgController.exportCSV);
 router.get(
   "/company/:companyId/data-type/:dataType",
   authenticate,
+  requireCompanyAccess,
+  requireScope("overall_esg:read"),
   esgController.getMetricsByDataType,
 );
 
@@ -0,0 +1,64 @@
+// routes/unit_router.js
+const express = require("express");
+const router = express.Router();
+
+const unitController = require("../controllers/unit_controller");
+const { authenticate } = require("../middlewares/auth");
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Units
+ *     description: Units registry used to normalize metric values and for dashboard `units=` preferences
+ *
+ * components:
+ *   schemas:
+ *     UnitDimension:
+ *       type: object
+ *       properties:
+ *         dimension: { type: string, example: "energy" }
+ *         canonical_unit: { type: string, example: "kWh" }
+ *         units:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               symbol: { type: string, example: "MWh" }
+ *               aliases:
+ *                 type: array
+ *                 items: { type: string }
+ *                 example: ["megawatt hours"]
+ *               factor:
+ *                 type: number
+ *                 description: Canonical units per one of this unit
+ *                 example: 1000
+ */
+
+/**
+ * @swagger
+ * /api/v1/units:
+ *   get:
+ *     tags: [Units]
+ *     summary: Supported units, grouped by dimension
+ *     description: >
+ *       Every stored metric value in one of these units also carries a
+ *       `normalized_value` in its dimension's canonical unit. Scale words
+ *       ("thousand ML", "million litres") are accepted on top of the symbols
+ *       and aliases listed.
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Units registry
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 dimensions:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/UnitDimension' }
+ */
+router.get("/", authenticate, unitController.listUnits);
+
+module.exports = router;
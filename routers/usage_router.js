@@ -0,0 +1,78 @@
+// routes/usage_router.js
+const express = require("express");
+const router = express.Router();
+
+const usageController = require("../controllers/usage_controller");
+const { authenticate, requireOwner } = require("../middlewares/auth");
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Usage
+ *     description: Dashboard API usage metering for billing (owner only)
+ *
+ * components:
+ *   schemas:
+ *     ApiUsageRow:
+ *       type: object
+ *       properties:
+ *         company: { type: string, example: "665a8c7be4f1c23b04d99999" }
+ *         company_name: { type: string, example: "Green Valley Farms" }
+ *         api: { type: string, example: "ghgEmissions" }
+ *         day: { type: string, example: "2026-03-14" }
+ *         calls: { type: integer, example: 412 }
+ *         failed_calls: { type: integer, example: 3 }
+ *         api_key_calls: { type: integer, example: 390 }
+ */
+
+/**
+ * @swagger
+ * /api/v1/usage:
+ *   get:
+ *     tags: [Usage]
+ *     summary: Dashboard API calls per company per API per day
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: companyId
+ *         schema: { type: string }
+ *       - in: query
+ *         name: api
+ *         description: ApiPermissions flag, or "allDashboards" for the aggregate endpoint
+ *         schema: { type: string, example: "ghgEmissions" }
+ *       - in: query
+ *         name: from
+ *         schema: { type: string, example: "2026-03-01" }
+ *       - in: query
+ *         name: to
+ *         schema: { type: string, example: "2026-03-31" }
+ *     responses:
+ *       200:
+ *         description: Usage rows, newest day first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 totals:
+ *                   type: object
+ *                   properties:
+ *                     calls: { type: integer }
+ *                     failed_calls: { type: integer }
+ *                     api_key_calls: { type: integer }
+ *                 count: { type: integer }
+ *                 usage:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/ApiUsageRow' }
+ *       400:
+ *         description: Invalid date or company id
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ErrorResponse' }
+ *       403:
+ *         description: Owner only
+ */
+router.get("/", authenticate, requireOwner, usageController.getDailyUsage);
+
+module.exports = router;
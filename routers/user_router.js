@@ -4,6 +4,7 @@ const router = express.Router();
 
 const userController = require("../controllers/user_controller");
 const { authenticate, requireOwner } = require("../middlewares/auth");
+const { otpRequestRateLimit } = require("../middlewares/rate_limiter");
 
 /**
  * @swagger
@@ -112,8 +113,10 @@ const { authenticate, requireOwner } = require("../middlewares/auth");
  *         content:
  *           application/json:
  *             schema: { $ref: '#/components/schemas/ErrorResponse' }
+ *       429:
+ *         description: Too many code requests (per IP or within a minute of the last code)
  */
-router.post("/register", userController.register);
+router.post("/register", otpRequestRateLimit, userController.register);
 
 /**
  * @swagger
@@ -134,6 +137,8 @@ router.post("/register", userController.register);
  *         content:
  *           application/json:
  *             schema: { $ref: '#/components/schemas/ErrorResponse' }
+ *       429:
+ *         description: Too many wrong codes; the code is discarded (OTP_ATTEMPTS_EXCEEDED)
  */
 router.post("/verify-email-otp", userController.verifyEmailOtp);
 
@@ -153,9 +158,12 @@ router.post("/verify-email-otp", userController.verifyEmailOtp);
  *         description: OTP sent
  *       404:
  *         description: User not found
+ *       429:
+ *         description: Too many code requests (per IP or within a minute of the last code)
  */
 router.post(
   "/forgot-password/request-otp",
+  otpRequestRateLimit,
   userController.requestPasswordResetOtp
 );
 
@@ -175,6 +183,8 @@ router.post(
  *         description: Password reset successful
  *       400:
  *         description: Invalid OTP / expired OTP
+ *       429:
+ *         description: Too many wrong codes; the code is discarded (OTP_ATTEMPTS_EXCEEDED)
  */
 router.post("/forgot-password/reset", userController.resetPasswordWithOtp);
 
@@ -234,6 +244,8 @@ router.patch("/me", authenticate, userController.updateMe);
  *         description: OTP sent
  *       401:
  *         description: Unauthorized
+ *       429:
+ *         description: Requested within a minute of the last code
  */
 router.post(
   "/delete-account/request-otp",
@@ -261,6 +273,8 @@ router.post(
  *         description: Invalid OTP / expired OTP
  *       401:
  *         description: Unauthorized
+ *       429:
+ *         description: Too many wrong codes; the code is discarded (OTP_ATTEMPTS_EXCEEDED)
  */
 router.post(
   "/delete-account/verify-and-delete",
@@ -369,11 +383,13 @@ router.get(
  *           schema: { $ref: '#/components/schemas/LoginRequest' }
  *     responses:
  *       200:
- *         description: Login successful (returns JWT token)
+ *         description: Login successful (returns JWT token), or a 2FA challenge (TwoFactorChallenge) when 2FA is enabled
  *       401:
  *         description: Invalid credentials
  *       403:
  *         description: Email not verified
+ *       429:
+ *         description: Account locked (ACCOUNT_LOCKED), back-off after a failure (LOGIN_BACKOFF) or IP throttled (TOO_MANY_ATTEMPTS); see Retry-After
  */
 router.post("/login", userController.login);
 
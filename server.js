@@ -2,8 +2,10 @@ const express = require("express");
 const cors = require("cors");
 const dotenv = require("dotenv");
 const userRouter = require("./routers/user_router");
+const authRouter = require("./routers/auth_router");
 const companyRouter = require("./routers/company_router");
 const memberRouter = require("./routers/member_router");
+const memberRoleRouter = require("./routers/member_role_router");
 const esgDataRouter = require("./routers/esg_data_router");
 const esgDashbardRouter = require("./routers/esg_dashboard_router");
 const carbonEmissionRouter = require("./routers/carbon_emission_router");
@@ -18,14 +20,46 @@ const healthSafetyRouter = require("./routers/health_safety_router");
 const governanceBoardRouter = require("./routers/governance_board_router");
 const communityRouter = require("./routers/community_engagement_router");
 const permissionsRouter = require("./routers/api_permission_router");
+const apiKeyRouter = require("./routers/api_key_router");
+const usageRouter = require("./routers/usage_router");
+const auditRouter = require("./routers/audit_router");
+const importMappingRouter = require("./routers/import_mapping_router");
+const importRouter = require("./routers/import_router");
+const importJobRouter = require("./routers/import_job_router");
+const unitRouter = require("./routers/unit_router");
+const esgScoreRouter = require("./routers/esg_score_router");
+const materialityRouter = require("./routers/materiality_router");
+const benchmarkRouter = require("./routers/benchmark_router");
 const overallEsgRouter = require("./routers/overall_esg_router");
 const { errorMiddleware } = require("./utils/error_handler");
 const setupSwagger = require("./middlewares/swagger");
+const requestContext = require("./middlewares/request_context");
+const importJobWorker = require("./services/import_job_worker");
 
 dotenv.config();
 const connectDB = require("./config/db_config");
 connectDB();
+
+// Background file imports; disable on instances that should only serve HTTP
+if (process.env.IMPORT_WORKER_ENABLED !== "false") {
+  importJobWorker.start();
+}
 const app = express();
+
+// Behind a load balancer or reverse proxy req.ip is the proxy's address,
+// which would put every client in one per-IP rate-limit bucket and one
+// login lockout. TRUST_PROXY tells Express whose X-Forwarded-For to
+// believe: a hop count ("1" for a single proxy), "true" for any, or a
+// comma-separated list of addresses/subnets ("loopback, 10.0.0.0/8").
+// Unset, req.ip is the socket address (no proxy in front).
+function trustProxySetting(value) {
+  if (value === undefined || value === "") return false;
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  if (value === "true" || value === "false") return value === "true";
+  return value.split(",").map((entry) => entry.trim()).filter(Boolean);
+}
+app.set("trust proxy", trustProxySetting(process.env.TRUST_PROXY));
+
 // CORS configuration
 app.use(cors());
 
@@ -33,13 +67,18 @@ app.use(cors());
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Request id + caller context for the audit trail (after the body parsers)
+app.use(requestContext);
+
 // Swagger setup
 setupSwagger(app);
 
 // Routes
 app.use("/api/v1/users", userRouter);
+app.use("/api/v1/auth", authRouter);
 app.use("/api/v1/companies", companyRouter);
 app.use("/api/v1/members", memberRouter);
+app.use("/api/v1/member-roles", memberRoleRouter);
 app.use("/api/v1/esg-data", esgDataRouter);
 app.use("/api/v1/esg-dashboard", esgDashbardRouter);
 app.use("/api/v1/carbon-emission", carbonEmissionRouter);
@@ -55,6 +94,16 @@ app.use("/api/v1/governance", governanceBoardRouter);
 app.use("/api/v1/community", communityRouter);
 app.use("/api/v1/esg", overallEsgRouter);
 app.use("/api/v1/permissions", permissionsRouter);
+app.use("/api/v1/api-keys", apiKeyRouter);
+app.use("/api/v1/usage", usageRouter);
+app.use("/api/v1/audit", auditRouter);
+app.use("/api/v1/import-templates", importMappingRouter);
+app.use("/api/v1/imports", importRouter);
+app.use("/api/v1/jobs", importJobRouter);
+app.use("/api/v1/units", unitRouter);
+app.use("/api/v1/esg-scores", esgScoreRouter);
+app.use("/api/v1/materiality", materialityRouter);
+app.use("/api/v1/benchmarks", benchmarkRouter);
 app.use(errorMiddleware);
 
 // 404 handler
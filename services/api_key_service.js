@@ -0,0 +1,179 @@
+// services/api_key_service.js
+const crypto = require("crypto");
+const ApiKey = require("../models/api_key_model");
+const Company = require("../models/company_model");
+const AppError = require("../utils/app_error");
+const { PERMISSION_FIELDS } = require("../services/api_permission_service");
+
+const KEY_PREFIX = "mvk";
+
+function hashSecret(secret) {
+  return crypto.createHash("sha256").update(secret).digest("hex");
+}
+
+/**
+ * Keys look like "mvk_<prefix>_<secret>"; the prefix is stored in clear to
+ * find the record, the secret only as a hash.
+ */
+function generateKey() {
+  const prefix = crypto.randomBytes(6).toString("hex");
+  const secret = crypto.randomBytes(32).toString("base64url");
+  return {
+    prefix,
+    secret,
+    plaintext: `${KEY_PREFIX}_${prefix}_${secret}`,
+  };
+}
+
+function parseKey(rawKey) {
+  const match = /^mvk_([a-f0-9]{12})_([A-Za-z0-9_-]+)$/.exec(String(rawKey || ""));
+  if (!match) return null;
+  return { prefix: match[1], secret: match[2] };
+}
+
+function validatePermissions(permissions) {
+  if (!Array.isArray(permissions) || permissions.length === 0) {
+    throw new AppError(
+      "At least one API permission is required",
+      400,
+      "MISSING_FIELDS",
+      { missing: ["permissions"] },
+    );
+  }
+  const invalid = permissions.filter((p) => !PERMISSION_FIELDS.includes(p));
+  if (invalid.length) {
+    throw new AppError("Invalid API permissions", 400, "INVALID_PERMISSIONS", {
+      invalid,
+      allowed: PERMISSION_FIELDS,
+    });
+  }
+  return [...new Set(permissions)];
+}
+
+function parseExpiry(expiresAt) {
+  if (expiresAt === undefined || expiresAt === null || expiresAt === "") {
+    return undefined;
+  }
+  const date = new Date(expiresAt);
+  if (isNaN(date.getTime()) || date <= new Date()) {
+    throw new AppError(
+      "expiresAt must be a future date",
+      400,
+      "INVALID_EXPIRY",
+    );
+  }
+  return date;
+}
+
+/**
+ * Create an API key for a company.
+ * @returns {Promise<{apiKey: Object, key: string}>} key is only returned once
+ */
+async function createApiKey(companyId, { name, permissions, expiresAt }, actor) {
+  if (!name)
+    throw new AppError("Key name is required", 400, "MISSING_FIELDS", {
+      missing: ["name"],
+    });
+
+  const company = await Company.findById(companyId);
+  if (!company) throw new AppError("Company not found", 404, "NOT_FOUND");
+
+  const { prefix, secret, plaintext } = generateKey();
+  const apiKey = await ApiKey.create({
+    company: companyId,
+    name,
+    key_prefix: prefix,
+    key_hash: hashSecret(secret),
+    permissions: validatePermissions(permissions),
+    expires_at: parseExpiry(expiresAt),
+    createdBy: actor?.id,
+    createdByType: actor?.type,
+  });
+
+  return { apiKey, key: plaintext };
+}
+
+async function listApiKeys(companyId, { includeRevoked = false } = {}) {
+  const filter = { company: companyId };
+  if (!includeRevoked) filter.revoked_at = { $exists: false };
+  return ApiKey.find(filter).sort({ createdAt: -1 });
+}
+
+async function revokeApiKey(companyId, keyId) {
+  const apiKey = await ApiKey.findOne({ _id: keyId, company: companyId });
+  if (!apiKey) throw new AppError("API key not found", 404, "NOT_FOUND");
+
+  if (!apiKey.revoked_at) {
+    apiKey.revoked_at = new Date();
+    await apiKey.save();
+  }
+  return apiKey;
+}
+
+/**
+ * Replace a key with a fresh secret carrying the same name, permissions and
+ * expiry. The old key is revoked immediately.
+ */
+async function rotateApiKey(companyId, keyId, actor) {
+  const current = await ApiKey.findOne({ _id: keyId, company: companyId });
+  if (!current) throw new AppError("API key not found", 404, "NOT_FOUND");
+  if (!current.isActive())
+    throw new AppError("API key is revoked or expired", 400, "KEY_INACTIVE");
+
+  const { prefix, secret, plaintext } = generateKey();
+  const apiKey = await ApiKey.create({
+    company: current.company,
+    name: current.name,
+    key_prefix: prefix,
+    key_hash: hashSecret(secret),
+    permissions: current.permissions,
+    expires_at: current.expires_at,
+    createdBy: actor?.id,
+    createdByType: actor?.type,
+  });
+
+  current.revoked_at = new Date();
+  current.rotated_to = apiKey._id;
+  await current.save();
+
+  return { apiKey, key: plaintext };
+}
+
+/**
+ * Resolve a raw X-API-Key header value to an active key, or null.
+ */
+async function verifyApiKey(rawKey) {
+  const parsed = parseKey(rawKey);
+  if (!parsed) return null;
+
+  const apiKey = await ApiKey.findOne({ key_prefix: parsed.prefix }).select(
+    "+key_hash",
+  );
+  if (!apiKey || !apiKey.isActive()) return null;
+
+  const expected = Buffer.from(apiKey.key_hash, "hex");
+  const actual = Buffer.from(hashSecret(parsed.secret), "hex");
+  if (!crypto.timingSafeEqual(expected, actual)) return null;
+
+  apiKey.key_hash = undefined;
+  return apiKey;
+}
+
+/**
+ * Record one request made with the key.
+ */
+async function recordUsage(keyId) {
+  await ApiKey.updateOne(
+    { _id: keyId },
+    { $set: { last_used_at: new Date() }, $inc: { request_count: 1 } },
+  );
+}
+
+module.exports = {
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  rotateApiKey,
+  verifyApiKey,
+  recordUsage,
+};
@@ -2,6 +2,23 @@ const ApiPermissions = require("../models/api_permissions_model");
 const Company = require("../models/company_model");
 const AppError = require("../utils/app_error");
 
+// Boolean API flags stored on ApiPermissions, one per dashboard API product
+const PERMISSION_FIELDS = [
+  "soilHealthCarbon",
+  "cropYieldForecastRisk",
+  "ghgEmissions",
+  "biodiversityLandUse",
+  "irrigationWater",
+  "farmManagementCompliance",
+  "energyConsumptionRenewables",
+  "wasteManagement",
+  "workforceDiversity",
+  "healthSafety",
+  "governanceBoardMetrics",
+  "communityEngagement",
+  "overallESGScore",
+];
+
 /**
  * Create permissions for a company.
  * @param {string} companyId
@@ -25,24 +42,8 @@ async function createPermissions(companyId, data, userId) {
   }
 
   // Build permissions object: only allow boolean fields from data
-  const permissionFields = [
-    "soilHealthCarbon",
-    "cropYieldForecastRisk",
-    "ghgEmissions",
-    "biodiversityLandUse",
-    "irrigationWater",
-    "farmManagementCompliance",
-    "energyConsumptionRenewables",
-    "wasteManagement",
-    "workforceDiversity",
-    "healthSafety",
-    "governanceBoardMetrics",
-    "communityEngagement",
-    "overallESGScore",
-  ];
-
   const permissionsData = {};
-  for (const field of permissionFields) {
+  for (const field of PERMISSION_FIELDS) {
     if (data[field] !== undefined) {
       permissionsData[field] = Boolean(data[field]);
     }
@@ -79,6 +80,24 @@ async function getPermissionsByCompany(companyId) {
   return permissions;
 }
 
+/**
+ * Get the resolved permission flags for a company.
+ * A company without a permissions record has every API disabled.
+ * @param {string} companyId
+ * @returns {Promise<Object>} map of permission field -> boolean
+ */
+async function getPermissionFlags(companyId) {
+  const permissions = await ApiPermissions.findOne({ company: companyId })
+    .select(PERMISSION_FIELDS.join(" "))
+    .lean();
+
+  const flags = {};
+  for (const field of PERMISSION_FIELDS) {
+    flags[field] = Boolean(permissions?.[field]);
+  }
+  return flags;
+}
+
 /**
  * Update permissions for a company.
  * @param {string} companyId
@@ -87,25 +106,9 @@ async function getPermissionsByCompany(companyId) {
  * @returns {Promise<Object>} updated permissions document
  */
 async function updatePermissions(companyId, updates, userId) {
-  const permissionFields = [
-    "soilHealthCarbon",
-    "cropYieldForecastRisk",
-    "ghgEmissions",
-    "biodiversityLandUse",
-    "irrigationWater",
-    "farmManagementCompliance",
-    "energyConsumptionRenewables",
-    "wasteManagement",
-    "workforceDiversity",
-    "healthSafety",
-    "governanceBoardMetrics",
-    "communityEngagement",
-    "overallESGScore",
-  ];
-
   // Build $set object only for provided fields
   const setFields = {};
-  for (const field of permissionFields) {
+  for (const field of PERMISSION_FIELDS) {
     if (updates[field] !== undefined) {
       setFields[field] = Boolean(updates[field]);
     }
@@ -192,8 +195,10 @@ async function listPermissions({ page = 1, limit = 20, q } = {}) {
 }
 
 module.exports = {
+  PERMISSION_FIELDS,
   createPermissions,
   getPermissionsByCompany,
+  getPermissionFlags,
   updatePermissions,
   deletePermissions,
   listPermissions,
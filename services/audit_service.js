@@ -0,0 +1,141 @@
+// services/audit_service.js
+const mongoose = require("mongoose");
+const AuditLog = require("../models/audit_log_model");
+const AppError = require("../utils/app_error");
+const logger = require("../utils/logger");
+
+const MAX_LIMIT = 200;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Persist audit entries built by utils/audit_trail. Inside a transaction the
+ * entries share the session, so they are rolled back with the change.
+ * Failures are logged, not thrown: the data change itself has succeeded.
+ */
+async function recordEntries(entries, { session } = {}) {
+  if (!entries.length) return;
+  try {
+    await AuditLog.insertMany(entries, session ? { session } : {});
+  } catch (err) {
+    logger.error("Failed to write audit log entries", {
+      records: entries.map((e) => String(e.record)),
+      error: err.message,
+    });
+  }
+}
+
+function parseObjectId(value, field) {
+  if (value === undefined || value === "") return undefined;
+  if (!mongoose.Types.ObjectId.isValid(value)) {
+    throw new AppError("Invalid identifier format", 400, "INVALID_ID", {
+      path: field,
+      value,
+    });
+  }
+  return new mongoose.Types.ObjectId(value);
+}
+
+/**
+ * Parse a date filter. A bare "YYYY-MM-DD" for `to` covers the whole day.
+ */
+function parseDate(value, field, endOfDay = false) {
+  if (value === undefined || value === "") return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new AppError(`${field} must be an ISO date`, 400, "INVALID_DATE", {
+      field,
+    });
+  }
+  if (endOfDay && DATE_ONLY.test(value)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+}
+
+/**
+ * Audit entries, newest first.
+ * @param {Object} filters
+ * @param {string} [filters.companyId]
+ * @param {string} [filters.module] scope module, e.g. "carbon"
+ * @param {string} [filters.userId] actor id
+ * @param {string} [filters.action] create|update|delete|verify|restore
+ * @param {string} [filters.recordId]
+ * @param {string} [filters.requestId]
+ * @param {string} [filters.from] ISO date or datetime, inclusive
+ * @param {string} [filters.to] ISO date or datetime, inclusive
+ */
+async function queryAuditLog({
+  companyId,
+  module,
+  userId,
+  action,
+  recordId,
+  requestId,
+  from,
+  to,
+  page = 1,
+  limit = 50,
+} = {}) {
+  const filter = {};
+
+  const company = parseObjectId(companyId, "companyId");
+  const actor = parseObjectId(userId, "userId");
+  const record = parseObjectId(recordId, "recordId");
+  if (company) filter.company = company;
+  if (actor) filter.actor = actor;
+  if (record) filter.record = record;
+  if (module) filter.module = module;
+  if (requestId) filter.request_id = requestId;
+
+  if (action) {
+    if (!AuditLog.ACTIONS.includes(action)) {
+      throw new AppError("Invalid action", 400, "INVALID_ACTION", {
+        allowed: AuditLog.ACTIONS,
+      });
+    }
+    filter.action = action;
+  }
+
+  const fromDate = parseDate(from, "from");
+  const toDate = parseDate(to, "to", true);
+  if (fromDate || toDate) {
+    filter.created_at = {};
+    if (fromDate) filter.created_at.$gte = fromDate;
+    if (toDate) filter.created_at.$lte = toDate;
+  }
+
+  const pageNumber = Math.max(1, Number(page) || 1);
+  const pageSize = Math.min(MAX_LIMIT, Math.max(1, Number(limit) || 50));
+
+  const [items, total] = await Promise.all([
+    AuditLog.find(filter)
+      .sort({ created_at: -1, _id: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .lean(),
+    AuditLog.countDocuments(filter),
+  ]);
+
+  return {
+    items,
+    total,
+    page: pageNumber,
+    limit: pageSize,
+    totalPages: Math.ceil(total / pageSize),
+  };
+}
+
+async function getAuditEntry(entryId, companyId) {
+  const filter = { _id: parseObjectId(entryId, "id") };
+  if (companyId) filter.company = companyId;
+
+  const entry = await AuditLog.findOne(filter).lean();
+  if (!entry) throw new AppError("Audit entry not found", 404, "NOT_FOUND");
+  return entry;
+}
+
+module.exports = {
+  recordEntries,
+  queryAuditLog,
+  getAuditEntry,
+};
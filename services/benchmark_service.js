@@ -0,0 +1,283 @@
+// services/benchmark_service.js
+// Peer benchmarks: a company's normalized metrics (config/benchmark_metrics)
+// ranked against companies of the same industry, narrowed by country and
+// size band while enough peers remain. Only the company's own values and
+// its rank are returned; peers' values never leave this module, and no
+// rank is given for a peer group smaller than BENCHMARK_MIN_PEERS.
+//
+// A tenant can change its own value and ask again, so a fine-grained rank
+// would locate each peer's value in turn. Groups smaller than
+// BENCHMARK_PRECISE_PEERS only get a quartile, larger ones a percentile
+// rounded to PERCENTILE_STEP, and the route is rate limited per company.
+const mongoose = require("mongoose");
+const Company = require("../models/company_model");
+const DashboardDataVersion = require("../models/dashboard_data_version_model");
+const AppError = require("../utils/app_error");
+const esgScoringService = require("./esg_scoring_service");
+const { METRICS, EMPLOYEES, SIZE_BANDS } = require("../config/benchmark_metrics");
+
+const MIN_PEERS = parseInt(process.env.BENCHMARK_MIN_PEERS, 10) || 5;
+const PRECISE_PEERS = Math.max(parseInt(process.env.BENCHMARK_PRECISE_PEERS, 10) || 20, MIN_PEERS);
+const PERCENTILE_STEP = 10;
+const PEER_CACHE_TTL_MS = (parseInt(process.env.BENCHMARK_CACHE_TTL_MINUTES, 10) || 60) * 60 * 1000;
+const PEER_CACHE_MAX_ENTRIES = 100;
+
+// Peer groups tried in order, narrowest first; peers always share the
+// company's industry
+const PEER_LEVELS = [
+  { level: "industry_country_size", criteria: ["industry", "country", "size"] },
+  { level: "industry_country", criteria: ["industry", "country"] },
+  { level: "industry_size", criteria: ["industry", "size"] },
+  { level: "industry", criteria: ["industry"] },
+];
+
+function sizeBand(employees) {
+  if (employees === null || employees === undefined) return null;
+  return SIZE_BANDS.find((band) => employees <= band.max).band;
+}
+
+function sameText(a, b) {
+  return Boolean(a) && Boolean(b) && a.trim().toLowerCase() === b.trim().toLowerCase();
+}
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Share of peers the company does better than, ties counted half, 0-100.
+ */
+function percentileRank(value, peerValues, direction) {
+  const worse = peerValues.filter((peer) =>
+    direction === "lower_is_better" ? peer > value : peer < value
+  ).length;
+  const ties = peerValues.filter((peer) => peer === value).length;
+  return round(((worse + ties / 2) / peerValues.length) * 100, 1);
+}
+
+/** 1 is the best quartile */
+function quartileOf(percentile) {
+  if (percentile >= 75) return 1;
+  if (percentile >= 50) return 2;
+  if (percentile >= 25) return 3;
+  return 4;
+}
+
+/**
+ * A company's metric values by key, each measured in the year `yearFor`
+ * gives for it (the metric's latest year when null).
+ * @param {Function} measure from esgScoringService.measureCompanies
+ */
+function measureValues(measure, companyId, metrics, yearFor) {
+  const years = new Map();
+  for (const metric of metrics) {
+    const year = yearFor(metric.key);
+    if (!years.has(year)) years.set(year, []);
+    years.get(year).push(metric);
+  }
+
+  const values = new Map();
+  for (const [year, yearMetrics] of years) {
+    const measured = measure(companyId, yearMetrics, { year });
+    measured.forEach((measurement) => values.set(measurement.key, measurement));
+  }
+  return values;
+}
+
+function companySize(measure, companyId, year) {
+  const [employees] = measure(companyId, [EMPLOYEES], { year });
+  return sizeBand(employees.value);
+}
+
+// Peer measurements by industry, year and metric years. An entry is reused
+// while none of the companies' data versions (utils/dashboard_invalidation)
+// has moved on, so a write by any of them is seen on the next request.
+const peerCache = new Map();
+
+/**
+ * The companies with their data versions, as one comparable string.
+ * Read before measuring, so a write made meanwhile leaves the entry stale.
+ */
+async function versionStamp(companyIds) {
+  const states = await DashboardDataVersion.find({ company: { $in: companyIds } })
+    .select("company version")
+    .lean();
+  const versions = new Map(states.map((state) => [String(state.company), state.version]));
+  return companyIds.map((id) => `${id}:${versions.get(id) || 0}`).join(",");
+}
+
+/**
+ * Size band and metric values of every company of an industry, each
+ * metric measured in the year `yearFor` gives for it. All companies are
+ * measured from one read per data module, and the result is cached.
+ * @returns {Promise<Map<string, {size, values: Map}>>} by company id
+ */
+async function measureIndustry(industry, companyIds, metrics, year, yearFor) {
+  const ids = companyIds.map(String).sort();
+  const key = JSON.stringify([
+    industry.trim().toLowerCase(),
+    year,
+    metrics.map((metric) => [metric.key, yearFor(metric.key)]),
+  ]);
+  const stamp = await versionStamp(ids);
+
+  const cached = peerCache.get(key);
+  if (cached && cached.stamp === stamp && cached.expiresAt > Date.now()) return cached.measured;
+
+  const measure = await esgScoringService.measureCompanies(ids, [...metrics, EMPLOYEES]);
+  const measured = new Map(
+    ids.map((id) => [
+      id,
+      { size: companySize(measure, id, year), values: measureValues(measure, id, metrics, yearFor) },
+    ])
+  );
+
+  // Re-inserting keeps the Map in least recently computed order for eviction
+  peerCache.delete(key);
+  peerCache.set(key, { stamp, measured, expiresAt: Date.now() + PEER_CACHE_TTL_MS });
+  if (peerCache.size > PEER_CACHE_MAX_ENTRIES) peerCache.delete(peerCache.keys().next().value);
+
+  return measured;
+}
+
+function matchesLevel(subject, peer, criteria) {
+  return criteria.every((criterion) => sameText(subject[criterion], peer[criterion]));
+}
+
+/**
+ * Rank one metric: the narrowest peer group with enough peers that
+ * reported it for the same year.
+ */
+function rankMetric(metric, own, subject, peers) {
+  const result = {
+    key: metric.key,
+    name: metric.name,
+    unit: metric.unit || null,
+    direction: metric.direction,
+    year: own.year,
+    value: own.value,
+    status: "ranked",
+    percentile: null,
+    quartile: null,
+    peer_group: null,
+  };
+  if (own.value === null) return { ...result, status: own.status };
+
+  let widest = 0;
+  for (const { level, criteria } of PEER_LEVELS) {
+    if (criteria.some((criterion) => !subject[criterion])) continue;
+
+    const peerValues = peers
+      .filter((peer) => matchesLevel(subject, peer, criteria))
+      .map((peer) => peer.values.get(metric.key))
+      .filter((measurement) => measurement && measurement.value !== null && measurement.year === own.year)
+      .map((measurement) => measurement.value);
+    widest = Math.max(widest, peerValues.length);
+    if (peerValues.length < MIN_PEERS) continue;
+
+    const percentile = percentileRank(own.value, peerValues, metric.direction);
+    return {
+      ...result,
+      percentile:
+        peerValues.length >= PRECISE_PEERS
+          ? Math.round(percentile / PERCENTILE_STEP) * PERCENTILE_STEP
+          : null,
+      quartile: quartileOf(percentile),
+      peer_group: {
+        level,
+        criteria: Object.fromEntries(criteria.map((criterion) => [criterion, subject[criterion]])),
+        size: peerValues.length,
+      },
+    };
+  }
+
+  return { ...result, status: "insufficient_peers", peer_group: { size: widest } };
+}
+
+/**
+ * Benchmark a company against its peers.
+ *
+ * @param {string} companyId
+ * @param {Object} [options]
+ * @param {number} [options.year] defaults, per metric, to the company's
+ *   latest year with a value
+ * @param {string[]} [options.metrics] metric keys; all by default
+ */
+async function benchmarkCompany(companyId, options = {}) {
+  const company = mongoose.isValidObjectId(companyId)
+    ? await Company.findById(companyId).select("name industry country").lean()
+    : null;
+  if (!company) throw new AppError("Company not found", 404, "NOT_FOUND");
+  if (!company.industry) {
+    throw new AppError(
+      "Set the company's industry to benchmark it against peers",
+      400,
+      "INDUSTRY_REQUIRED"
+    );
+  }
+
+  let metrics = METRICS;
+  if (options.metrics?.length) {
+    const unknown = options.metrics.filter((key) => !METRICS.some((m) => m.key === key));
+    if (unknown.length) {
+      throw new AppError("Unknown benchmark metrics", 400, "INVALID_METRICS", {
+        unknown,
+        allowed: METRICS.map((m) => m.key),
+      });
+    }
+    metrics = METRICS.filter((m) => options.metrics.includes(m.key));
+  }
+
+  const year = options.year ?? null;
+  const measureOwn = await esgScoringService.measureCompanies([company._id], [...metrics, EMPLOYEES]);
+  const own = measureValues(measureOwn, company._id, metrics, () => year);
+  const subject = {
+    industry: company.industry,
+    country: company.country,
+    size: companySize(measureOwn, company._id, year),
+  };
+
+  // Peers are measured in the year the company's value is from. The whole
+  // industry is measured, so every company in it shares one cache entry.
+  const companies = await Company.find({ industry: company.industry })
+    .collation({ locale: "en", strength: 2 })
+    .select("industry country")
+    .lean();
+  const measured = await measureIndustry(
+    company.industry,
+    companies.map((candidate) => candidate._id),
+    metrics,
+    year,
+    (key) => own.get(key).year
+  );
+  const peers = companies
+    .filter((candidate) => String(candidate._id) !== String(company._id))
+    .map((candidate) => ({
+      industry: candidate.industry,
+      country: candidate.country,
+      ...measured.get(String(candidate._id)),
+    }));
+
+  return {
+    company: { id: company._id, name: company.name, ...subject },
+    year,
+    min_peer_group: MIN_PEERS,
+    precise_peer_group: PRECISE_PEERS,
+    metrics: metrics.map((metric) => rankMetric(metric, own.get(metric.key), subject, peers)),
+  };
+}
+
+/**
+ * The benchmark metrics, without how they are read.
+ */
+function listBenchmarkMetrics() {
+  return METRICS.map(({ key, name, unit, direction }) => ({ key, name, unit: unit || null, direction }));
+}
+
+module.exports = {
+  MIN_PEERS,
+  PRECISE_PEERS,
+  benchmarkCompany,
+  listBenchmarkMetrics,
+};
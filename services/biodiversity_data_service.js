@@ -1,7 +1,14 @@
 // File: services/biodiversity_landuse_service.js
 const BiodiversityLandUse = require("../models/biodiversity_and_landuse_model");
 const FileParser = require("../utils/file_parsers"); // Updated to use FileParser
+const { previewFileImport } = require("../utils/import_preview");
+const { resolveYearlyConflicts } = require("../utils/import_conflicts");
+const {
+  templateParseOptions,
+  applyMappingTemplate,
+} = require("./import_mapping_service");
 const mongoose = require("mongoose");
+const { invalidateAfterCommit } = require("../utils/dashboard_invalidation");
 
 class BiodiversityLandUseService {
   /**
@@ -79,22 +86,11 @@ class BiodiversityLandUseService {
   async importFromFile(fileBuffer, fileName, companyId, userId, metadata = {}) {
     try {
       const fileExtension = fileName.split(".").pop().toLowerCase();
-      let parsedData;
-
-      switch (fileExtension) {
-        case "csv":
-          parsedData = await FileParser.parseCSV(fileBuffer, fileName);
-          break;
-        case "xlsx":
-        case "xls":
-          parsedData = await FileParser.parseExcel(fileBuffer, fileName);
-          break;
-        case "json":
-          parsedData = await FileParser.parseJSON(fileBuffer, fileName);
-          break;
-        default:
-          throw new Error(`Unsupported file type: ${fileExtension}`);
-      }
+      const parsedData = await FileParser.parseFile(
+        fileBuffer,
+        fileName,
+        templateParseOptions(metadata.mappingTemplate),
+      );
 
       const transformedData = this.transformParsedDataToSchema(
         parsedData,
@@ -109,7 +105,21 @@ class BiodiversityLandUseService {
       });
 
       let record;
-      const importBatchId = `${fileExtension}_import_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      const importBatchId =
+        metadata.importBatchId ||
+        `${fileExtension}_import_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+      const { metrics, report } = resolveYearlyConflicts(
+        existingRecord,
+        transformedData.metrics,
+        metadata.conflictPolicy,
+        importBatchId,
+      );
+      transformedData.metrics = metrics;
+      transformedData.source_file_metadata = {
+        ...transformedData.source_file_metadata,
+        conflicts: report,
+      };
 
       if (existingRecord) {
         record = new BiodiversityLandUse({
@@ -138,6 +148,21 @@ class BiodiversityLandUseService {
     }
   }
 
+  /**
+   * Dry run of importFromFile: parse and transform the file the same way,
+   * then report what would be saved without writing anything.
+   */
+  async previewImportFromFile(fileBuffer, fileName, companyId, userId, metadata = {}) {
+    return previewFileImport(
+      { Model: BiodiversityLandUse, transform: this.transformParsedDataToSchema.bind(this) },
+      fileBuffer,
+      fileName,
+      companyId,
+      userId,
+      metadata,
+    );
+  }
+
   /**
    * Import data from JSON payload (manual / API)
    */
@@ -190,6 +215,16 @@ class BiodiversityLandUseService {
 
   // ==================== TRANSFORM & PROCESS ====================
   transformParsedDataToSchema(parsedData, companyId, userId, metadata) {
+    if (metadata.mappingTemplate) {
+      return applyMappingTemplate(
+        metadata.mappingTemplate,
+        parsedData,
+        companyId,
+        userId,
+        metadata,
+      );
+    }
+
     const fileName = metadata.fileName || "";
     if (fileName.includes("biodiversity") || fileName.includes("land_use")) {
       return this.processBiodiversityCSVData(
@@ -416,6 +451,7 @@ class BiodiversityLandUseService {
         record.last_updated_at = now;
         await record.save({ session });
         await session.commitTransaction();
+        await invalidateAfterCommit(session);
         return record;
       } catch (error) {
         await session.abortTransaction();
@@ -662,6 +698,7 @@ class BiodiversityLandUseService {
 
         await restoredRecord.save({ session });
         await session.commitTransaction();
+        await invalidateAfterCommit(session);
 
         return restoredRecord;
       } catch (error) {
@@ -1,7 +1,7 @@
 // File: services/carbonEmissionService.js
 const CarbonEmissionAccounting = require("../models/carbon_emission_accounting_model");
 const Company = require("../models/company_model");
-const { parseCSV, parseExcel, parseJSON } = require("../utils/file_parsers");
+const FileParser = require("../utils/file_parsers");
 const { v4: uuidv4 } = require("uuid");
 const mongoose = require("mongoose");
 
@@ -313,6 +313,68 @@ class CarbonEmissionService {
     }
   }
 
+  /**
+   * Parse an uploaded carbon file by its type
+   */
+  async parseUploadedFile(file, fileType) {
+    switch (fileType.toLowerCase()) {
+      case "csv":
+        return FileParser.parseCSV(file.buffer, file.originalname);
+      case "excel":
+      case "xlsx":
+      case "xls":
+        return FileParser.parseExcel(file.buffer, file.originalname);
+      case "json":
+        return FileParser.parseJSON(file.buffer, file.originalname);
+      default:
+        throw new Error(`Unsupported file type: ${fileType}`);
+    }
+  }
+
+  /**
+   * Dry run of uploadCarbonEmissionFile: parse and process the file the
+   * same way and report what it would write to the company's carbon
+   * record, and why it would fail. Nothing is saved.
+   */
+  async previewCarbonEmissionFile(file, fileType, companyId, year) {
+    try {
+      const parsedData = await this.parseUploadedFile(file, fileType);
+      const processedData = await this.processParsedData(
+        parsedData,
+        year,
+        file.originalname
+      );
+      const carbonRecord = await this.getCarbonEmissionByCompany(companyId);
+      const years = (carbonRecord?.yearly_data || []).map((data) => data.year);
+
+      // The same checks addYearlyData and addScope*Emissions make
+      const errors = [];
+      let targetYear = year;
+      if (processedData.type === "yearly") {
+        targetYear = processedData.data.year;
+        if (years.includes(targetYear)) {
+          errors.push(`Year ${targetYear} already exists. Use update instead.`);
+        }
+      } else if (processedData.type !== "reference" && !years.includes(year)) {
+        errors.push(`Year ${year} not found. Add yearly data first.`);
+      }
+
+      return {
+        dry_run: true,
+        can_import: errors.length === 0,
+        type: processedData.type,
+        year: processedData.type === "reference" ? null : targetYear,
+        records_processed: processedData.recordsProcessed || 1,
+        carbon_emission_id: carbonRecord ? carbonRecord._id : null,
+        creates_record: !carbonRecord,
+        data: processedData.data,
+        errors,
+      };
+    } catch (error) {
+      throw this.handleServiceError(error, "previewCarbonEmissionFile");
+    }
+  }
+
   /**
    * Upload and process carbon emission file (CSV/Excel/JSON)
    */
@@ -322,28 +384,12 @@ class CarbonEmissionService {
     companyId,
     year,
     userId,
-    importNotes = ""
+    importNotes = "",
+    options = {}
   ) {
     try {
-      let parsedData;
-      const batchId = uuidv4();
-
-      // Parse file based on type
-      switch (fileType.toLowerCase()) {
-        case "csv":
-          parsedData = await parseCSV(file.buffer, file.originalname);
-          break;
-        case "excel":
-        case "xlsx":
-        case "xls":
-          parsedData = await parseExcel(file.buffer, file.originalname);
-          break;
-        case "json":
-          parsedData = await parseJSON(file.buffer, file.originalname);
-          break;
-        default:
-          throw new Error(`Unsupported file type: ${fileType}`);
-      }
+      const batchId = options.batchId || uuidv4();
+      const parsedData = await this.parseUploadedFile(file, fileType);
 
       // Get or create carbon emission record
       let carbonRecord = await this.getCarbonEmissionByCompany(companyId);
@@ -1,6 +1,13 @@
 const CommunityEngagementData = require("../models/community_engagement_model");
 const FileParser = require("../utils/file_parsers"); // Adjust path as needed
+const { previewFileImport } = require("../utils/import_preview");
+const { resolveYearlyConflicts } = require("../utils/import_conflicts");
+const {
+  templateParseOptions,
+  applyMappingTemplate,
+} = require("./import_mapping_service");
 const mongoose = require("mongoose");
+const { invalidateAfterCommit } = require("../utils/dashboard_invalidation");
 
 class CommunityEngagementService {
   /**
@@ -74,22 +81,11 @@ class CommunityEngagementService {
   async importFromFile(fileBuffer, fileName, companyId, userId, metadata = {}) {
     try {
       const fileExtension = fileName.split(".").pop().toLowerCase();
-      let parsedData;
-
-      switch (fileExtension) {
-        case "csv":
-          parsedData = await FileParser.parseCSV(fileBuffer, fileName);
-          break;
-        case "xlsx":
-        case "xls":
-          parsedData = await FileParser.parseExcel(fileBuffer, fileName);
-          break;
-        case "json":
-          parsedData = await FileParser.parseJSON(fileBuffer, fileName);
-          break;
-        default:
-          throw new Error(`Unsupported file type: ${fileExtension}`);
-      }
+      const parsedData = await FileParser.parseFile(
+        fileBuffer,
+        fileName,
+        templateParseOptions(metadata.mappingTemplate),
+      );
 
       const transformedData = this.transformParsedDataToSchema(
         parsedData,
@@ -104,9 +100,23 @@ class CommunityEngagementService {
       });
 
       let record;
-      const importBatchId = `${fileExtension}_import_${Date.now()}_${Math.random()
-        .toString(36)
-        .substr(2, 9)}`;
+      const importBatchId =
+        metadata.importBatchId ||
+        `${fileExtension}_import_${Date.now()}_${Math.random()
+          .toString(36)
+          .substr(2, 9)}`;
+
+      const { metrics, report } = resolveYearlyConflicts(
+        existingRecord,
+        transformedData.metrics,
+        metadata.conflictPolicy,
+        importBatchId,
+      );
+      transformedData.metrics = metrics;
+      transformedData.source_file_metadata = {
+        ...transformedData.source_file_metadata,
+        conflicts: report,
+      };
 
       if (existingRecord) {
         record = new CommunityEngagementData({
@@ -135,6 +145,21 @@ class CommunityEngagementService {
     }
   }
 
+  /**
+   * Dry run of importFromFile: parse and transform the file the same way,
+   * then report what would be saved without writing anything.
+   */
+  async previewImportFromFile(fileBuffer, fileName, companyId, userId, metadata = {}) {
+    return previewFileImport(
+      { Model: CommunityEngagementData, transform: this.transformParsedDataToSchema.bind(this) },
+      fileBuffer,
+      fileName,
+      companyId,
+      userId,
+      metadata,
+    );
+  }
+
   /**
    * Import data from JSON payload (manual / API)
    */
@@ -185,6 +210,16 @@ class CommunityEngagementService {
   // ==================== TRANSFORM & PROCESS ====================
 
   transformParsedDataToSchema(parsedData, companyId, userId, metadata) {
+    if (metadata.mappingTemplate) {
+      return applyMappingTemplate(
+        metadata.mappingTemplate,
+        parsedData,
+        companyId,
+        userId,
+        metadata,
+      );
+    }
+
     const fileName = metadata.fileName || "";
     if (
       fileName.toLowerCase().includes("community") ||
@@ -540,6 +575,7 @@ class CommunityEngagementService {
         record.last_updated_at = now;
         await record.save({ session });
         await session.commitTransaction();
+        await invalidateAfterCommit(session);
         return record;
       } catch (error) {
         await session.abortTransaction();
@@ -752,6 +788,7 @@ class CommunityEngagementService {
 
         await restoredRecord.save({ session });
         await session.commitTransaction();
+        await invalidateAfterCommit(session);
         return restoredRecord;
       } catch (error) {
         await session.abortTransaction();
@@ -1,6 +1,13 @@
 const CropYieldData = require("../models/crop_yield_model");
 const FileParser = require("../utils/file_parsers"); // Adjust path as needed
+const { previewFileImport } = require("../utils/import_preview");
+const { resolveYearlyConflicts } = require("../utils/import_conflicts");
+const {
+  templateParseOptions,
+  applyMappingTemplate,
+} = require("./import_mapping_service");
 const mongoose = require("mongoose");
+const { invalidateAfterCommit } = require("../utils/dashboard_invalidation");
 
 class CropYieldService {
   /**
@@ -77,22 +84,11 @@ class CropYieldService {
   async importFromFile(fileBuffer, fileName, companyId, userId, metadata = {}) {
     try {
       const fileExtension = fileName.split(".").pop().toLowerCase();
-      let parsedData;
-
-      switch (fileExtension) {
-        case "csv":
-          parsedData = await FileParser.parseCSV(fileBuffer, fileName);
-          break;
-        case "xlsx":
-        case "xls":
-          parsedData = await FileParser.parseExcel(fileBuffer, fileName);
-          break;
-        case "json":
-          parsedData = await FileParser.parseJSON(fileBuffer, fileName);
-          break;
-        default:
-          throw new Error(`Unsupported file type: ${fileExtension}`);
-      }
+      const parsedData = await FileParser.parseFile(
+        fileBuffer,
+        fileName,
+        templateParseOptions(metadata.mappingTemplate),
+      );
 
       const transformedData = this.transformParsedDataToSchema(
         parsedData,
@@ -107,9 +103,23 @@ class CropYieldService {
       });
 
       let record;
-      const importBatchId = `${fileExtension}_import_${Date.now()}_${Math.random()
-        .toString(36)
-        .substr(2, 9)}`;
+      const importBatchId =
+        metadata.importBatchId ||
+        `${fileExtension}_import_${Date.now()}_${Math.random()
+          .toString(36)
+          .substr(2, 9)}`;
+
+      const { metrics, report } = resolveYearlyConflicts(
+        existingRecord,
+        transformedData.metrics,
+        metadata.conflictPolicy,
+        importBatchId,
+      );
+      transformedData.metrics = metrics;
+      transformedData.source_file_metadata = {
+        ...transformedData.source_file_metadata,
+        conflicts: report,
+      };
 
       if (existingRecord) {
         record = new CropYieldData({
@@ -138,6 +148,21 @@ class CropYieldService {
     }
   }
 
+  /**
+   * Dry run of importFromFile: parse and transform the file the same way,
+   * then report what would be saved without writing anything.
+   */
+  async previewImportFromFile(fileBuffer, fileName, companyId, userId, metadata = {}) {
+    return previewFileImport(
+      { Model: CropYieldData, transform: this.transformParsedDataToSchema.bind(this) },
+      fileBuffer,
+      fileName,
+      companyId,
+      userId,
+      metadata,
+    );
+  }
+
   /**
    * Import data from JSON payload (manual / API)
    */
@@ -187,6 +212,16 @@ class CropYieldService {
 
   // ==================== TRANSFORM & PROCESS ====================
   transformParsedDataToSchema(parsedData, companyId, userId, metadata) {
+    if (metadata.mappingTemplate) {
+      return applyMappingTemplate(
+        metadata.mappingTemplate,
+        parsedData,
+        companyId,
+        userId,
+        metadata,
+      );
+    }
+
     const fileName = metadata.fileName || "";
     if (
       fileName.toLowerCase().includes("crop") ||
@@ -512,6 +547,7 @@ class CropYieldService {
         record.last_updated_at = now;
         await record.save({ session });
         await session.commitTransaction();
+        await invalidateAfterCommit(session);
         return record;
       } catch (error) {
         await session.abortTransaction();
@@ -730,6 +766,7 @@ class CropYieldService {
 
         await restoredRecord.save({ session });
         await session.commitTransaction();
+        await invalidateAfterCommit(session);
         return restoredRecord;
       } catch (error) {
         await session.abortTransaction();
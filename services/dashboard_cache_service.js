@@ -0,0 +1,157 @@
+// services/dashboard_cache_service.js
+// Computed dashboard responses cached per company, API, year and
+// calculation version. An entry records the data versions it was computed
+// from and is recomputed once either has moved on: the company's version
+// is bumped by every write to its data (utils/dashboard_invalidation), the
+// global one by changes that affect every company. Reading the versions
+// before computing means a write made during a computation leaves the
+// entry stale rather than caching old numbers as new.
+const crypto = require("crypto");
+const DashboardCache = require("../models/dashboard_cache_model");
+const DashboardDataVersion = require("../models/dashboard_data_version_model");
+const logger = require("../utils/logger");
+
+const CALCULATION_VERSION = process.env.CALCULATION_VERSION || "1.0.0";
+const CACHE_TTL_HOURS = parseInt(process.env.DASHBOARD_CACHE_TTL_HOURS, 10) || 24;
+
+function hash(text) {
+  return crypto.createHash("sha1").update(text).digest("hex");
+}
+
+/**
+ * Current data versions of a company, and when its data last changed.
+ */
+async function currentVersions(companyId) {
+  const states = await DashboardDataVersion.find({ company: { $in: [companyId, null] } }).lean();
+  const own = states.find((state) => state.company && String(state.company) === String(companyId));
+  const global = states.find((state) => !state.company);
+  const changed = [own?.changed_at, global?.changed_at].filter(Boolean);
+
+  return {
+    data_version: own?.version || 0,
+    global_version: global?.version || 0,
+    changed_at: changed.length ? new Date(Math.max(...changed.map((d) => d.getTime()))) : null,
+  };
+}
+
+/**
+ * The cached response of a dashboard, computed with `compute` when there
+ * is none for the current data.
+ *
+ * @param {string} companyId
+ * @param {string} api cache key of the dashboard, e.g. "ghgEmissions"
+ * @param {number|null} year
+ * @param {Function} compute resolves to the response data
+ * @returns {Promise<{data, etag: string, lastModified: Date, cached: boolean}>}
+ *   data is the JSON round trip of what compute returned, so a cached and a
+ *   freshly computed response are identical
+ */
+async function getOrCompute(companyId, api, year, compute) {
+  const key = {
+    company: companyId,
+    api,
+    year: Number.isInteger(year) ? year : null,
+    calculation_version: CALCULATION_VERSION,
+  };
+  const versions = await currentVersions(companyId);
+
+  const cached = await DashboardCache.findOne(key).lean();
+  if (
+    cached &&
+    cached.data_version === versions.data_version &&
+    cached.global_version === versions.global_version
+  ) {
+    return {
+      data: JSON.parse(cached.body),
+      etag: cached.etag,
+      lastModified: versions.changed_at || cached.computed_at,
+      cached: true,
+    };
+  }
+
+  const body = JSON.stringify((await compute()) ?? null);
+  const etag = hash(body);
+  const computedAt = new Date();
+
+  try {
+    await DashboardCache.updateOne(
+      key,
+      {
+        $set: {
+          data_version: versions.data_version,
+          global_version: versions.global_version,
+          body,
+          etag,
+          computed_at: computedAt,
+          expires_at: new Date(computedAt.getTime() + CACHE_TTL_HOURS * 60 * 60 * 1000),
+        },
+      },
+      { upsert: true }
+    );
+  } catch (err) {
+    // e.g. a response over the document size limit; serve it uncached
+    logger.error("Failed to cache dashboard response", {
+      company: String(companyId),
+      api,
+      error: err.message,
+    });
+  }
+
+  return {
+    data: JSON.parse(body),
+    etag,
+    lastModified: versions.changed_at || computedAt,
+    cached: false,
+  };
+}
+
+/**
+ * Weak entity tag of a response built from cached parts: the parts' etags
+ * and anything else that shapes the response, such as unit preferences.
+ */
+function entityTag(...parts) {
+  return `W/"${hash(parts.map((part) => String(part ?? "")).join("|"))}"`;
+}
+
+async function bumpVersion(company) {
+  await DashboardDataVersion.updateOne(
+    { company },
+    { $inc: { version: 1 }, $set: { changed_at: new Date() } },
+    { upsert: true }
+  );
+}
+
+/**
+ * Mark a company's cached dashboards stale. Failures are logged, not
+ * thrown: the data change itself has succeeded.
+ */
+async function invalidateCompany(companyId) {
+  if (!companyId) return;
+  try {
+    await bumpVersion(companyId);
+  } catch (err) {
+    logger.error("Failed to invalidate dashboard cache", {
+      company: String(companyId),
+      error: err.message,
+    });
+  }
+}
+
+/**
+ * Mark every company's cached dashboards stale.
+ */
+async function invalidateAll() {
+  try {
+    await bumpVersion(null);
+  } catch (err) {
+    logger.error("Failed to invalidate dashboard cache", { company: "*", error: err.message });
+  }
+}
+
+module.exports = {
+  CALCULATION_VERSION,
+  getOrCompute,
+  entityTag,
+  invalidateCompany,
+  invalidateAll,
+};
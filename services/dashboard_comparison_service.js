@@ -0,0 +1,476 @@
+// services/dashboard_comparison_service.js
+// Multi-year views of the dashboards: a reporting period (`from_year` to
+// `to_year`) and the periods it is compared to (`compare_to`), reported per
+// metric as aligned series with the change, percentage change and CAGR.
+// Each dashboard is compared on the figures it is built from: the endpoint
+// dashboards read their domain module, the carbon accounting record or the
+// stored ESG metrics (see SERIES_SOURCES); the sections of the aggregate
+// dashboard read the stored ESG metrics (config/dashboard_metrics); the
+// overall ESG dashboard its scores.
+//
+// compare_to takes a comma-separated list of:
+//   previous   the period of the same length just before the reporting period
+//   baseline   the first year with data
+//   2019       a single year
+//   2017-2019  a range
+// so "this year vs last year vs baseline" is `?year=2024&compare_to=previous,baseline`.
+const mongoose = require("mongoose");
+const Company = require("../models/company_model");
+const CarbonEmissionAccounting = require("../models/carbon_emission_accounting_model");
+const EnergyConsumptionData = require("../models/energy_consumption_model");
+const WasteManagementData = require("../models/waste_management_model");
+const CropYieldData = require("../models/crop_yield_model");
+const BiodiversityLandUse = require("../models/biodiversity_and_landuse_model");
+const FarmManagementCompliance = require("../models/fmc_model");
+const AppError = require("../utils/app_error");
+const esgDashboardService = require("./esg_dashboard_service");
+const esgScoringService = require("./esg_scoring_service");
+const { DASHBOARD_METRICS } = require("../config/dashboard_metrics");
+
+const MAX_PERIOD_YEARS = 30;
+const MAX_COMPARISONS = 5;
+
+const YEAR = /^\d{4}$/;
+const RANGE = /^(\d{4})-(\d{4})$/;
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function yearsBetween(from, to) {
+  return Array.from({ length: to - from + 1 }, (_, index) => from + index);
+}
+
+function periodLabel(from, to) {
+  return from === to ? String(from) : `${from}-${to}`;
+}
+
+/**
+ * The period parameters of a dashboard request, or null when it asks for a
+ * single year only. `year` stands in for a missing `to_year`; years left out
+ * are resolved against the data in compareDashboard.
+ *
+ * @param {Object} query request query
+ * @returns {{from_year: ?number, to_year: ?number, compare_to: string[], key: string}|null}
+ */
+function parsePeriodQuery(query = {}) {
+  const given = (name) => query[name] !== undefined && String(query[name]).trim() !== "";
+  if (!["from_year", "to_year", "compare_to"].some(given)) return null;
+
+  const errors = [];
+  const yearParam = (name) => {
+    if (!given(name)) return null;
+    const text = String(query[name]).trim();
+    if (!YEAR.test(text)) {
+      errors.push(`${name} must be a four-digit year`);
+      return null;
+    }
+    return Number(text);
+  };
+
+  const fromYear = yearParam("from_year");
+  const toYear = yearParam("to_year") ?? yearParam("year");
+  if (fromYear !== null && toYear !== null) {
+    if (fromYear > toYear) errors.push("from_year must not be after to_year");
+    else if (toYear - fromYear + 1 > MAX_PERIOD_YEARS) {
+      errors.push(`A period spans at most ${MAX_PERIOD_YEARS} years`);
+    }
+  }
+
+  const compareTo = given("compare_to")
+    ? [...new Set(String(query.compare_to).split(",").map((token) => token.trim()).filter(Boolean))]
+    : [];
+  compareTo.forEach((token) => {
+    const range = token.match(RANGE);
+    if (range) {
+      const [from, to] = [Number(range[1]), Number(range[2])];
+      if (from > to) errors.push(`compare_to range ${token} ends before it starts`);
+      else if (to - from + 1 > MAX_PERIOD_YEARS) {
+        errors.push(`compare_to range ${token} spans more than ${MAX_PERIOD_YEARS} years`);
+      }
+    } else if (!["previous", "baseline"].includes(token) && !YEAR.test(token)) {
+      errors.push(`compare_to must list "previous", "baseline", years or year ranges; got "${token}"`);
+    }
+  });
+  if (compareTo.length > MAX_COMPARISONS) {
+    errors.push(`compare_to takes at most ${MAX_COMPARISONS} periods`);
+  }
+
+  if (errors.length) {
+    throw new AppError("Invalid period", 400, "INVALID_PERIOD", { errors });
+  }
+
+  return {
+    from_year: fromYear,
+    to_year: toYear,
+    compare_to: compareTo,
+    key: `${fromYear ?? ""}-${toYear ?? ""}:${compareTo.join(",")}`,
+  };
+}
+
+/**
+ * The reporting period and comparison periods of a request, with missing
+ * years taken from the years that have data.
+ */
+function resolvePeriods(period, yearsAvailable) {
+  const latest = yearsAvailable[yearsAvailable.length - 1] ?? null;
+  let toYear = period.to_year;
+  if (toYear === null) {
+    toYear = period.from_year !== null && latest !== null ? Math.max(latest, period.from_year) : latest;
+  }
+  if (toYear === null) {
+    throw new AppError("No data to compare; give from_year or to_year", 404, "NO_DATA");
+  }
+  const fromYear = period.from_year ?? toYear;
+  const length = toYear - fromYear + 1;
+  if (length > MAX_PERIOD_YEARS) {
+    throw new AppError("Invalid period", 400, "INVALID_PERIOD", {
+      errors: [`A period spans at most ${MAX_PERIOD_YEARS} years`],
+    });
+  }
+
+  const comparisons = period.compare_to.map((token) => {
+    let from;
+    let to;
+    let label;
+    if (token === "previous") {
+      [from, to] = [fromYear - length, fromYear - 1];
+      label = `Previous period (${periodLabel(from, to)})`;
+    } else if (token === "baseline") {
+      from = to = yearsAvailable[0] ?? null;
+      label = from !== null ? `Baseline (${from})` : "Baseline";
+    } else {
+      const range = token.match(RANGE);
+      [from, to] = range ? [Number(range[1]), Number(range[2])] : [Number(token), Number(token)];
+      label = periodLabel(from, to);
+    }
+    return {
+      key: token,
+      label,
+      from_year: from,
+      to_year: to,
+      years: from !== null ? yearsBetween(from, to) : [],
+    };
+  });
+
+  return {
+    period: {
+      label: periodLabel(fromYear, toYear),
+      from_year: fromYear,
+      to_year: toYear,
+      years: yearsBetween(fromYear, toYear),
+    },
+    comparisons,
+  };
+}
+
+/**
+ * Absolute and percentage change from one value to another, and the
+ * compound annual growth rate over the years between them.
+ */
+function change(startYear, start, endYear, end) {
+  if (start === null || end === null) {
+    return { from_year: startYear, to_year: endYear, value: null, percent: null, cagr: null };
+  }
+  const years = endYear - startYear;
+  const cagr =
+    years > 0 && start > 0 && end >= 0 ? round(((end / start) ** (1 / years) - 1) * 100, 2) : null;
+
+  return {
+    from_year: startYear,
+    to_year: endYear,
+    value: round(end - start, 4),
+    percent: start !== 0 ? round(((end - start) / Math.abs(start)) * 100, 2) : null,
+    cagr,
+  };
+}
+
+/**
+ * Per-metric series, changes and graphs for the resolved periods.
+ * Comparison series are aligned on the reporting period by their last
+ * year, so "this year" and "last year" share a position and ranges of the
+ * same length line up year by year.
+ */
+function compareSeries(series, { period, comparisons }) {
+  const valueIn = (metric, year) => metric.byYear.get(year) ?? null;
+  const alignedYear = (comparison, index) =>
+    comparison.years[index - (period.years.length - comparison.years.length)];
+
+  const metrics = series.map((metric) => ({
+    name: metric.name,
+    category: metric.category,
+    unit: metric.unit,
+    values: period.years.map((year) => ({ year, value: valueIn(metric, year) })),
+    change: {
+      unit: metric.unit,
+      ...change(period.from_year, valueIn(metric, period.from_year), period.to_year, valueIn(metric, period.to_year)),
+    },
+    comparisons: comparisons.map((comparison) => ({
+      key: comparison.key,
+      label: comparison.label,
+      unit: metric.unit,
+      values: period.years
+        .map((year, index) => ({ year: alignedYear(comparison, index), aligned_year: year }))
+        .filter((point) => point.year !== undefined)
+        .map((point) => ({ ...point, value: valueIn(metric, point.year) })),
+      // From the comparison period's end to the reporting period's end
+      change: {
+        unit: metric.unit,
+        ...change(
+          comparison.to_year,
+          comparison.to_year !== null ? valueIn(metric, comparison.to_year) : null,
+          period.to_year,
+          valueIn(metric, period.to_year)
+        ),
+      },
+    })),
+  }));
+
+  const graphs = series
+    .filter((metric) =>
+      [period, ...comparisons].some((p) => p.years.some((year) => metric.byYear.has(year)))
+    )
+    .map((metric) => ({
+      id: metric.key,
+      type: "line",
+      title: metric.name,
+      labels: period.years.map(String),
+      datasets: [
+        { label: period.label, data: period.years.map((year) => valueIn(metric, year)) },
+        ...comparisons.map((comparison) => ({
+          label: comparison.label,
+          data: period.years.map((_, index) => {
+            const year = alignedYear(comparison, index);
+            return year !== undefined ? valueIn(metric, year) : null;
+          }),
+          borderDash: [5, 5],
+        })),
+      ],
+    }));
+
+  return { metrics, graphs };
+}
+
+function numericValue(point) {
+  if (typeof point.numeric_value === "number") return point.numeric_value;
+  const parsed = parseFloat(String(point.value ?? "").replace(/[^0-9.-]+/g, ""));
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+function slug(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_|_$/g, "");
+}
+
+/**
+ * Yearly values of stored ESG metrics (ESGData), by dashboard label.
+ */
+async function esgDataSeries(companyId, metricNames) {
+  const stored = await esgDashboardService.getMetricsByNames(companyId, metricNames);
+
+  return metricNames
+    .filter((name) => stored[name])
+    .map((name) => {
+      const metric = stored[name];
+      const byYear = new Map();
+      metric.values.forEach((point) => {
+        const value = numericValue(point);
+        if (value !== null && !byYear.has(point.year)) byYear.set(point.year, value);
+      });
+      return { key: slug(name), name, category: metric.category, unit: metric.unit || null, byYear };
+    });
+}
+
+/**
+ * Yearly values of the metrics on a domain module's active record. Points
+ * that are not a single year ("2022→2023" changes) are left out.
+ */
+async function domainSeries(Model, companyId) {
+  const record = await Model.findOne({ company: companyId, is_active: true })
+    .select("metrics")
+    .lean();
+  const seen = new Set();
+
+  return (record?.metrics || [])
+    .filter((metric) => metric.is_active !== false && metric.yearly_data?.length)
+    .map((metric) => {
+      const byYear = new Map();
+      metric.yearly_data.forEach((point) => {
+        const year = YEAR.test(String(point.year).trim()) ? Number(point.year) : null;
+        const value = numericValue(point);
+        if (year !== null && value !== null && !byYear.has(year)) byYear.set(year, value);
+      });
+      const unit = metric.yearly_data.find((point) => point.unit)?.unit || null;
+      return {
+        key: slug(`${metric.category} ${metric.subcategory || metric.metric_name}`),
+        name: metric.metric_name,
+        category: metric.category,
+        unit,
+        byYear,
+      };
+    })
+    .filter((series) => {
+      if (!series.byYear.size || seen.has(series.key)) return false;
+      seen.add(series.key);
+      return true;
+    });
+}
+
+// Figures of a carbon accounting year, as the GHG dashboard reports them
+const CARBON_FIGURES = [
+  { key: "total_emissions", name: "Total GHG emissions", pick: (y) => y.emissions?.total_scope_emission_tco2e },
+  { key: "scope1_emissions", name: "Scope 1 emissions", pick: (y) => y.emissions?.scope1?.total_tco2e },
+  { key: "scope2_emissions", name: "Scope 2 emissions", pick: (y) => y.emissions?.scope2?.total_tco2e },
+  { key: "scope3_emissions", name: "Scope 3 emissions", pick: (y) => y.emissions?.scope3?.total_tco2e },
+  { key: "sequestration", name: "Carbon sequestration", unit: "tCO2", pick: (y) => y.sequestration?.annual_summary?.sequestration_total_tco2 },
+  { key: "net_emissions", name: "Net GHG emissions", pick: (y) => y.emissions?.net_total_emission_tco2e },
+];
+
+/**
+ * Yearly figures of the company's carbon accounting record.
+ */
+async function carbonSeries(companyId, keys = CARBON_FIGURES.map((figure) => figure.key)) {
+  const record = await CarbonEmissionAccounting.findOne({
+    company: companyId,
+    is_active: true,
+    status: { $in: ["draft", "under_review", "approved", "published"] },
+  })
+    .select("yearly_data.year yearly_data.emissions yearly_data.sequestration.annual_summary")
+    .lean();
+
+  return CARBON_FIGURES.filter((figure) => keys.includes(figure.key)).map((figure) => {
+    const byYear = new Map();
+    (record?.yearly_data || []).forEach((yearData) => {
+      const value = figure.pick(yearData);
+      if (typeof value === "number" && !byYear.has(yearData.year)) byYear.set(yearData.year, value);
+    });
+    return { key: figure.key, name: figure.name, category: "carbon", unit: figure.unit || "tCO2e", byYear };
+  });
+}
+
+/**
+ * The GHG dashboard: scopes from the stored metrics, totals, sequestration
+ * and net emissions from carbon accounting. Like the dashboard, a year
+ * without a carbon total takes the sum of the stored scopes.
+ */
+async function ghgSeries(companyId) {
+  const [carbon, stored] = await Promise.all([
+    carbonSeries(companyId),
+    esgDataSeries(companyId, DASHBOARD_METRICS.ghgEmissions),
+  ]);
+
+  const total = carbon.find((series) => series.key === "total_emissions");
+  const scopes = ["GHG Scope 1 (tCO2e)", "GHG Scope 2 (tCO2e)", "GHG Scope 3 (tCO2e)"]
+    .map((name) => stored.find((series) => series.name === name))
+    .filter(Boolean);
+  const scopeYears = new Set(scopes.flatMap((series) => [...series.byYear.keys()]));
+  scopeYears.forEach((year) => {
+    if (!total.byYear.has(year)) {
+      total.byYear.set(year, scopes.reduce((sum, series) => sum + (series.byYear.get(year) || 0), 0));
+    }
+  });
+
+  return [...carbon, ...stored];
+}
+
+/**
+ * Where each endpoint dashboard reads the figures it reports. The
+ * dashboards that work from the stored ESG metrics are compared on their
+ * config/dashboard_metrics list.
+ */
+const SERIES_SOURCES = {
+  soilHealthCarbon: async (companyId) => [
+    ...(await carbonSeries(companyId)),
+    ...(await esgDataSeries(companyId, DASHBOARD_METRICS.soilHealthCarbon)),
+  ],
+  cropYieldForecastRisk: (companyId) => domainSeries(CropYieldData, companyId),
+  ghgEmissions: ghgSeries,
+  biodiversityLandUse: (companyId) => domainSeries(BiodiversityLandUse, companyId),
+  irrigationWater: (companyId) => esgDataSeries(companyId, DASHBOARD_METRICS.irrigationWater),
+  // Compliance metrics from the module, scope 3 from carbon accounting
+  farmManagementCompliance: async (companyId) => [
+    ...(await domainSeries(FarmManagementCompliance, companyId)),
+    ...(await carbonSeries(companyId, ["scope3_emissions"])),
+  ],
+  energyConsumptionRenewables: (companyId) => domainSeries(EnergyConsumptionData, companyId),
+  wasteManagement: (companyId) => domainSeries(WasteManagementData, companyId),
+  workforceDiversity: (companyId) => esgDataSeries(companyId, DASHBOARD_METRICS.workforceDiversity),
+  healthSafety: (companyId) => esgDataSeries(companyId, DASHBOARD_METRICS.healthSafety),
+  governanceBoardMetrics: (companyId) =>
+    esgDataSeries(companyId, DASHBOARD_METRICS.governanceBoardMetrics),
+  communityEngagement: (companyId) =>
+    esgDataSeries(companyId, DASHBOARD_METRICS.communityEngagement),
+};
+
+/**
+ * Yearly overall and pillar scores.
+ */
+async function scoreSeries(companyId) {
+  const scoring = await esgScoringService.scoreCompany(companyId, { trend: true });
+  const pillarNames = new Map(scoring.pillars.map((pillar) => [pillar.key, pillar.name]));
+  const pillarKeys = [...new Set(scoring.trend.flatMap((point) => Object.keys(point.pillars)))];
+
+  const scoreOf = (pick) =>
+    new Map(
+      scoring.trend
+        .map((point) => [point.year, pick(point)])
+        .filter(([, value]) => value !== null && value !== undefined)
+    );
+
+  return [
+    { key: "overall", name: "Overall ESG score", category: "overall", unit: null, byYear: scoreOf((point) => point.overall) },
+    ...pillarKeys.map((key) => ({
+      key,
+      name: `${pillarNames.get(key) || key} score`,
+      category: key,
+      unit: null,
+      byYear: scoreOf((point) => point.pillars[key]),
+    })),
+  ];
+}
+
+/**
+ * A dashboard's metrics over a reporting period and the periods it is
+ * compared to.
+ *
+ * @param {string} companyId
+ * @param {string} api dashboard key, as in config/dashboard_metrics or
+ *   "overallESGScore"
+ * @param {Object} period from parsePeriodQuery
+ * @param {Object} [options] aggregate: compare a section of the aggregate
+ *   dashboard, which reads the stored ESG metrics, rather than the endpoint
+ * @returns {Promise<Object>} `{period, compare_to, years_available, metrics, graphs}`
+ */
+async function compareDashboard(companyId, api, period, { aggregate = false } = {}) {
+  if (api !== "overallESGScore" && !SERIES_SOURCES[api]) {
+    throw new AppError(`No period comparison for ${api}`, 400, "COMPARISON_NOT_SUPPORTED");
+  }
+  const company = mongoose.isValidObjectId(companyId)
+    ? await Company.exists({ _id: companyId })
+    : null;
+  if (!company) throw new AppError("Company not found", 404, "NOT_FOUND");
+
+  let series;
+  if (api === "overallESGScore") series = await scoreSeries(companyId);
+  else if (aggregate) series = await esgDataSeries(companyId, DASHBOARD_METRICS[api]);
+  else series = await SERIES_SOURCES[api](companyId);
+  series = series.filter((metric) => metric.byYear.size);
+  const yearsAvailable = [...new Set(series.flatMap((metric) => [...metric.byYear.keys()]))].sort(
+    (a, b) => a - b
+  );
+
+  const periods = resolvePeriods(period, yearsAvailable);
+  return {
+    period: periods.period,
+    compare_to: periods.comparisons,
+    years_available: yearsAvailable,
+    ...compareSeries(series, periods),
+  };
+}
+
+module.exports = {
+  MAX_PERIOD_YEARS,
+  MAX_COMPARISONS,
+  parsePeriodQuery,
+  compareDashboard,
+};
@@ -1,6 +1,13 @@
 const EnergyConsumptionData = require("../models/energy_consumption_model");
 const FileParser = require("../utils/file_parsers"); // Adjust path as needed
+const { previewFileImport } = require("../utils/import_preview");
+const { resolveYearlyConflicts } = require("../utils/import_conflicts");
+const {
+  templateParseOptions,
+  applyMappingTemplate,
+} = require("./import_mapping_service");
 const mongoose = require("mongoose");
+const { invalidateAfterCommit } = require("../utils/dashboard_invalidation");
 
 class EnergyConsumptionService {
   /**
@@ -70,22 +77,11 @@ class EnergyConsumptionService {
   async importFromFile(fileBuffer, fileName, companyId, userId, metadata = {}) {
     try {
       const fileExtension = fileName.split(".").pop().toLowerCase();
-      let parsedData;
-
-      switch (fileExtension) {
-        case "csv":
-          parsedData = await FileParser.parseCSV(fileBuffer, fileName);
-          break;
-        case "xlsx":
-        case "xls":
-          parsedData = await FileParser.parseExcel(fileBuffer, fileName);
-          break;
-        case "json":
-          parsedData = await FileParser.parseJSON(fileBuffer, fileName);
-          break;
-        default:
-          throw new Error(`Unsupported file type: ${fileExtension}`);
-      }
+      const parsedData = await FileParser.parseFile(
+        fileBuffer,
+        fileName,
+        templateParseOptions(metadata.mappingTemplate),
+      );
 
       const transformedData = this.transformParsedDataToSchema(
         parsedData,
@@ -100,9 +96,23 @@ class EnergyConsumptionService {
       });
 
       let record;
-      const importBatchId = `${fileExtension}_import_${Date.now()}_${Math.random()
-        .toString(36)
-        .substr(2, 9)}`;
+      const importBatchId =
+        metadata.importBatchId ||
+        `${fileExtension}_import_${Date.now()}_${Math.random()
+          .toString(36)
+          .substr(2, 9)}`;
+
+      const { metrics, report } = resolveYearlyConflicts(
+        existingRecord,
+        transformedData.metrics,
+        metadata.conflictPolicy,
+        importBatchId,
+      );
+      transformedData.metrics = metrics;
+      transformedData.source_file_metadata = {
+        ...transformedData.source_file_metadata,
+        conflicts: report,
+      };
 
       if (existingRecord) {
         record = new EnergyConsumptionData({
@@ -131,6 +141,21 @@ class EnergyConsumptionService {
     }
   }
 
+  /**
+   * Dry run of importFromFile: parse and transform the file the same way,
+   * then report what would be saved without writing anything.
+   */
+  async previewImportFromFile(fileBuffer, fileName, companyId, userId, metadata = {}) {
+    return previewFileImport(
+      { Model: EnergyConsumptionData, transform: this.transformParsedDataToSchema.bind(this) },
+      fileBuffer,
+      fileName,
+      companyId,
+      userId,
+      metadata,
+    );
+  }
+
   /**
    * Import data from JSON payload (manual / API)
    */
@@ -181,6 +206,16 @@ class EnergyConsumptionService {
   // ==================== TRANSFORM & PROCESS ====================
 
   transformParsedDataToSchema(parsedData, companyId, userId, metadata) {
+    if (metadata.mappingTemplate) {
+      return applyMappingTemplate(
+        metadata.mappingTemplate,
+        parsedData,
+        companyId,
+        userId,
+        metadata,
+      );
+    }
+
     const fileName = metadata.fileName || "";
     if (
       fileName.toLowerCase().includes("energy") ||
@@ -510,6 +545,7 @@ class EnergyConsumptionService {
         record.last_updated_at = now;
         await record.save({ session });
         await session.commitTransaction();
+        await invalidateAfterCommit(session);
         return record;
       } catch (error) {
         await session.abortTransaction();
@@ -712,6 +748,7 @@ class EnergyConsumptionService {
 
         await restoredRecord.save({ session });
         await session.commitTransaction();
+        await invalidateAfterCommit(session);
         return restoredRecord;
       } catch (error) {
         await session.abortTransaction();
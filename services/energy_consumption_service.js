@@ -1,6 +1,7 @@
 const Company = require("../models/company_model");
 const EnergyConsumptionData = require("../models/energy_consumption_model");
 const AppError = require("../utils/app_error");
+const { convert } = require("../utils/units");
 
 // Version constants
 const API_VERSION = process.env.API_VERSION || "1.0.0";
@@ -50,6 +51,9 @@ async function getAllMetricsByYear(companyId, years = []) {
               year: yd.year,
               value: yd.value,
               numeric_value: yd.numeric_value,
+              normalized_value: yd.normalized_value,
+              normalized_unit: yd.normalized_unit,
+              unit: yd.unit,
               source_notes: yd.source || yd.notes,
               added_at: yd.added_at,
               last_updated_at: yd.last_updated_at,
@@ -73,6 +77,9 @@ async function getAllMetricsByYear(companyId, years = []) {
             year: currentYear.toString(),
             value: metric.single_value.value,
             numeric_value: metric.single_value.numeric_value,
+            normalized_value: metric.single_value.normalized_value,
+            normalized_unit: metric.single_value.normalized_unit,
+            unit: metric.single_value.unit,
             source_notes:
               metric.single_value.source || metric.single_value.notes,
             added_at: metric.single_value.added_at,
@@ -165,6 +172,19 @@ function getMetricValueByYear(metric, year) {
   return value ? value.numeric_value || parseFloat(value.value) || 0 : null;
 }
 
+/**
+ * Helper function to get a metric's value for a year in a given unit.
+ * `assumedUnit` is used when the stored value carries no known unit,
+ * e.g. the unit in the metric's label.
+ */
+function getMetricValueInUnit(metric, year, unit, assumedUnit) {
+  const raw = getMetricValueByYear(metric, year);
+  if (raw === null) return null;
+  const point = metric.values.find((v) => v.year === year);
+  const converted = convert(raw, point?.unit || metric.unit, unit);
+  return converted !== null ? converted : convert(raw, assumedUnit, unit);
+}
+
 /**
  * Helper function to get metric values for multiple years
  */
@@ -257,12 +277,14 @@ async function getEnergyRenewablesData(companyId, year) {
       currentYear,
     ) || 0;
 
-  const solarUsage =
-    getMetricValueByYear(
+  const solarUsageGJ =
+    getMetricValueInUnit(
       energyMetrics[
         "Energy Consumption (Renewable) - Solar Energy Usage (KwH)"
       ],
       currentYear,
+      "GJ",
+      "kWh",
     ) || 0;
 
   const coalConsumption =
@@ -306,7 +328,7 @@ async function getEnergyRenewablesData(companyId, year) {
     ) || 0;
 
   // Calculate renewable energy (convert to GJ)
-  const renewableEnergyGJ = bagasseUsage * 10 + solarUsage * 0.0036;
+  const renewableEnergyGJ = bagasseUsage * 10 + solarUsageGJ;
 
   // Calculate fossil energy (convert to GJ)
   const fossilEnergyGJ = coalConsumption * 25 + dieselUsage * 0.036;
@@ -326,7 +348,7 @@ async function getEnergyRenewablesData(companyId, year) {
     renewableEnergyGJ > 0 ? ((bagasseUsage * 10) / renewableEnergyGJ) * 100 : 0;
   const solarPercentage =
     renewableEnergyGJ > 0
-      ? ((solarUsage * 0.0036) / renewableEnergyGJ) * 100
+      ? (solarUsageGJ / renewableEnergyGJ) * 100
       : 0;
 
   // Calculate fossil energy mix percentages
@@ -586,14 +608,16 @@ async function getEnergyRenewablesData(companyId, year) {
                   ],
                   year,
                 ) || 0;
-              const solar =
-                getMetricValueByYear(
+              const solarGJ =
+                getMetricValueInUnit(
                   energyMetrics[
                     "Energy Consumption (Renewable) - Solar Energy Usage (KwH)"
                   ],
                   year,
+                  "GJ",
+                  "kWh",
                 ) || 0;
-              return bagasse * 10 + solar * 0.0036;
+              return bagasse * 10 + solarGJ;
             }),
             borderColor: "#2ecc71",
             backgroundColor: "rgba(46, 204, 113, 0.1)",
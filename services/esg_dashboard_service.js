@@ -2,16 +2,44 @@ const ESGData = require("../models/esg_data_model");
 const Company = require("../models/company_model");
 const AppError = require("../utils/app_error");
 const mongoose = require("mongoose");
+const { convert } = require("../utils/units");
+const { splitMetricLabel } = require("../utils/wide_year_table");
+const esgScoringService = require("./esg_scoring_service");
+const materialityService = require("./materiality_service");
+const { DASHBOARD_METRICS } = require("../config/dashboard_metrics");
+
+const PROCUREMENT_METRICS = [
+  { name: "Relationship with suppliers - Procurement Spent (Local suppliers)", label: "Local Procurement", color: "#2ecc71" },
+  { name: "Relationship with suppliers - Procurement Spent (Foreign suppliers)", label: "Foreign Procurement", color: "#3498db" },
+];
+
+/**
+ * The requested label a stored metric answers to. Table imports store the
+ * name without its unit and keep the full label as the description, so
+ * "Solar Energy Usage (KwH)" is found as name "Solar Energy Usage", unit "KwH".
+ */
+function requestedLabel(metric, metricNames) {
+  const candidates = [
+    metric.metric_name,
+    metric.description,
+    metric.unit ? `${metric.metric_name} (${metric.unit})` : null,
+  ];
+  return candidates.find((label) => label && metricNames.includes(label)) || null;
+}
 
 /**
  * Helper function to extract metric values by name with proper error handling
  */
 async function getMetricsByNames(companyId, metricNames, years = []) {
   try {
+    const baseNames = metricNames.map((name) => splitMetricLabel(name).metric_name);
     const query = {
       company: companyId,
       is_active: true,
-      "metrics.metric_name": { $in: metricNames }
+      $or: [
+        { "metrics.metric_name": { $in: [...new Set([...metricNames, ...baseNames])] } },
+        { "metrics.description": { $in: metricNames } }
+      ]
     };
 
     if (years.length > 0) {
@@ -27,10 +55,11 @@ async function getMetricsByNames(companyId, metricNames, years = []) {
     
     esgData.forEach(data => {
       data.metrics.forEach(metric => {
-        if (metricNames.includes(metric.metric_name)) {
-          if (!metrics[metric.metric_name]) {
-            metrics[metric.metric_name] = {
-              name: metric.metric_name,
+        const label = requestedLabel(metric, metricNames);
+        if (label) {
+          if (!metrics[label]) {
+            metrics[label] = {
+              name: label,
               category: metric.category,
               unit: metric.unit,
               values: []
@@ -39,10 +68,12 @@ async function getMetricsByNames(companyId, metricNames, years = []) {
           
           metric.values.forEach(value => {
             if (years.length === 0 || years.includes(value.year)) {
-              metrics[metric.metric_name].values.push({
+              metrics[label].values.push({
                 year: value.year,
                 value: value.value,
                 numeric_value: value.numeric_value,
+                normalized_value: value.normalized_value,
+                normalized_unit: value.normalized_unit,
                 source_notes: value.source_notes
               });
             }
@@ -99,6 +130,18 @@ function getMetricValueByYear(metric, year) {
   return value ? value.numeric_value || parseFloat(value.value) || 0 : null;
 }
 
+/**
+ * Helper function to get a metric value by year in a given unit.
+ * `assumedUnit` is used when the metric carries no known unit, e.g. the
+ * unit in its label.
+ */
+function getMetricValueInUnit(metric, year, unit, assumedUnit) {
+  const raw = getMetricValueByYear(metric, year);
+  if (raw === null) return null;
+  const converted = convert(raw, metric.unit, unit);
+  return converted !== null ? converted : convert(raw, assumedUnit, unit);
+}
+
 /**
  * Helper function to calculate trends
  */
@@ -120,6 +163,51 @@ function calculateTrend(values, years) {
   return "stable";
 }
 
+function numericValue(point) {
+  if (typeof point.numeric_value === "number") return point.numeric_value;
+  const parsed = parseFloat(String(point.value ?? "").replace(/[^0-9.-]+/g, ""));
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Line graph of the stored supplier spend, one point per year with data up
+ * to `year`; null when none is stored.
+ */
+async function getProcurementTrend(companyId, year = null) {
+  const metrics = await getMetricsByNames(
+    companyId,
+    PROCUREMENT_METRICS.map((metric) => metric.name),
+  );
+
+  const series = PROCUREMENT_METRICS.map((metric) => {
+    const byYear = new Map();
+    (metrics[metric.name]?.values || []).forEach((point) => {
+      const value = numericValue(point);
+      if (value !== null && (!year || point.year <= year) && !byYear.has(point.year)) {
+        byYear.set(point.year, value);
+      }
+    });
+    return { ...metric, unit: metrics[metric.name]?.unit, byYear };
+  }).filter((metric) => metric.byYear.size);
+
+  const years = [...new Set(series.flatMap((metric) => [...metric.byYear.keys()]))].sort(
+    (a, b) => a - b,
+  );
+  if (!years.length) return null;
+
+  return {
+    type: "line",
+    title: "Supplier Procurement Trend",
+    description: "Stored local and foreign supplier spend by year",
+    labels: years.map(String),
+    datasets: series.map((metric) => ({
+      label: metric.unit ? `${metric.label} (${metric.unit})` : metric.label,
+      data: years.map((y) => metric.byYear.get(y) ?? null),
+      borderColor: metric.color,
+    })),
+  };
+}
+
 /**
  * 1. Soil Health & Carbon Quality API
  */
@@ -129,14 +217,7 @@ async function getSoilHealthCarbonQualityData(companyId, year = null) {
     if (!company) throw new AppError("Company not found", 404, "COMPANY_NOT_FOUND");
 
     // Define relevant metrics - using actual metrics from database
-    const metricNames = [
-      "Carbon Emissions (Total GHG, tCO2e)",
-      "GHG Scope 1 (tCO2e)",
-      "GHG Scope 2 (tCO2e)",
-      "GHG Scope 3 (tCO2e)",
-      "Energy Consumption - Coal Consumption (tons)",
-      "Energy Consumption - Inside Company Diesel Usage (litres)"
-    ];
+    const metricNames = DASHBOARD_METRICS.soilHealthCarbon;
 
     const metrics = await getMetricsByNames(companyId, metricNames);
     const years = getUniqueYearsFromMetrics(metrics, year);
@@ -300,11 +381,7 @@ async function getCropYieldForecastData(companyId, year = null) {
     if (!company) throw new AppError("Company not found", 404, "COMPANY_NOT_FOUND");
 
     // Get actual metrics related to crop production
-    const metricNames = [
-      "Energy Consumption - Electricity Purchased (MWH)",
-      "Water Usage - Irrigation Water Usage (million ML)",
-      "Waste Management - Recycled waste (excl. Boiler Ash) (tons)"
-    ];
+    const metricNames = DASHBOARD_METRICS.cropYieldForecastRisk;
 
     const metrics = await getMetricsByNames(companyId, metricNames);
     const years = getUniqueYearsFromMetrics(metrics, year);
@@ -464,18 +541,7 @@ async function getGHGEmissionsData(companyId, year = null) {
     const company = await Company.findById(companyId);
     if (!company) throw new AppError("Company not found", 404, "COMPANY_NOT_FOUND");
 
-    const metricNames = [
-      "Carbon Emissions (Total GHG, tCO2e)",
-      "GHG Scope 1 (tCO2e)",
-      "GHG Scope 2 (tCO2e)",
-      "GHG Scope 3 (tCO2e)",
-      "Energy Consumption - Coal Consumption (tons)",
-      "Energy Consumption - Inside Company Diesel Usage (litres)",
-      "Energy Consumption - Electricity Purchased (MWH)",
-      "Energy Consumption - Inside Company Petrol Usage (litres)",
-      "Energy Consumption - Outside Company Petrol Usage (litres)",
-      "Energy Consumption - Outside Company Diesel Usage (litres)"
-    ];
+    const metricNames = DASHBOARD_METRICS.ghgEmissions;
 
     const metrics = await getMetricsByNames(companyId, metricNames);
     const years = getUniqueYearsFromMetrics(metrics, year);
@@ -658,12 +724,7 @@ async function getBiodiversityLandUseData(companyId, year = null) {
     if (!company) throw new AppError("Company not found", 404, "COMPANY_NOT_FOUND");
 
     // Get metrics related to land and biodiversity
-    const metricNames = [
-      "Water Usage - Irrigation Water Usage (million ML)",
-      "Waste Management - Recycled waste (excl. Boiler Ash) (tons)",
-      "Environment Incidents - Waste streams produced - Hazardous waste (tons)",
-      "Environment Incidents (Sewage blockage, Stillage overflow, Illegal waste disposal, Out of spec emissions, Effluent spillage, Water loss)"
-    ];
+    const metricNames = DASHBOARD_METRICS.biodiversityLandUse;
 
     const metrics = await getMetricsByNames(companyId, metricNames);
     const years = getUniqueYearsFromMetrics(metrics, year);
@@ -827,13 +888,7 @@ async function getIrrigationWaterRiskData(companyId, year = null) {
     const company = await Company.findById(companyId);
     if (!company) throw new AppError("Company not found", 404, "COMPANY_NOT_FOUND");
 
-    const metricNames = [
-      "Water Usage - Irrigation Water Usage (million ML)",
-      "Water treatment (million ML)",
-      "Effluent discharge for Irrigation (thousand ML)",
-      "Energy Consumption - Electricity Purchased (MWH)",
-      "Energy Consumption - Inside Company Diesel Usage (litres)"
-    ];
+    const metricNames = DASHBOARD_METRICS.irrigationWater;
 
     const metrics = await getMetricsByNames(companyId, metricNames);
     const years = getUniqueYearsFromMetrics(metrics, year);
@@ -1038,18 +1093,10 @@ async function getFarmComplianceData(companyId, year = null) {
   const company = await Company.findById(companyId);
   if (!company) throw new AppError("Company not found", 404, "NOT_FOUND");
 
-  const metricNames = [
-    "Human Capital - Total Employees",
-    "Human Capital - Graduate Trainees",
-    "Human Capital - Apprentices",
-    "Employees' Education and Training - Average training hours by gender (Male)",
-    "Employees' Education and Training - Average training hours by gender (Female)",
-    "Supplier Code of Conduct",
-    "IFRS / Sustainability-Related Financial Disclosures",
-  ];
+  const metricNames = DASHBOARD_METRICS.farmManagementCompliance;
 
-  const years = year ? [year] : [2022, 2023, 2024, 2025];
-  const metrics = await getMetricsByNames(companyId, metricNames, years);
+  const metrics = await getMetricsByNames(companyId, metricNames, year ? [year] : []);
+  const years = getUniqueYearsFromMetrics(metrics, year);
 
   const data = {
     company: company.name,
@@ -1160,26 +1207,20 @@ async function getEnergyRenewablesData(companyId, year = null) {
   const company = await Company.findById(companyId);
   if (!company) throw new AppError("Company not found", 404, "NOT_FOUND");
 
-  const metricNames = [
-    "Energy Consumption (Renewable) - Bagasse Usage (tons)",
-    "Energy Consumption (Renewable) - Solar Energy Usage (KwH)",
-    "Energy Consumption - Coal Consumption (tons)",
-    "Energy Consumption - Inside Company Diesel Usage (litres)",
-    "Energy Consumption - Electricity Generated (MWH)",
-    "Energy Consumption - Electricity Purchased (MWH)",
-    "Energy Consumption - Electricity Exported to National Grid (MWH)",
-  ];
+  const metricNames = DASHBOARD_METRICS.energyConsumptionRenewables;
 
-  const years = year ? [year] : [2022, 2023, 2024, 2025];
-  const metrics = await getMetricsByNames(companyId, metricNames, years);
+  const metrics = await getMetricsByNames(companyId, metricNames, year ? [year] : []);
+  const years = getUniqueYearsFromMetrics(metrics, year);
 
   // Calculate energy mix
+  const solarMetric =
+    metrics["Energy Consumption (Renewable) - Solar Energy Usage (KwH)"];
+  const solarMWh = solarMetric?.values[0]
+    ? getMetricValueInUnit(solarMetric, solarMetric.values[0].year, "MWh", "kWh") || 0
+    : 0;
   const renewableEnergy =
     (metrics["Energy Consumption (Renewable) - Bagasse Usage (tons)"]?.values[0]
-      ?.numeric_value || 0) +
-    (metrics["Energy Consumption (Renewable) - Solar Energy Usage (KwH)"]
-      ?.values[0]?.numeric_value || 0) /
-      1000;
+      ?.numeric_value || 0) + solarMWh;
   const fossilEnergy =
     (metrics["Energy Consumption - Coal Consumption (tons)"]?.values[0]
       ?.numeric_value || 0) +
@@ -1223,9 +1264,8 @@ async function getEnergyRenewablesData(companyId, year = null) {
               const bVal =
                 bagasse?.values.find((v) => v.year === year)?.numeric_value ||
                 0;
-              const sVal =
-                solar?.values.find((v) => v.year === year)?.numeric_value || 0;
-              return (bVal * 10 + sVal / 100) / 1000; // Simplified conversion
+              const sGJ = getMetricValueInUnit(solar, year, "GJ", "kWh") || 0;
+              return (bVal * 10 + sGJ) / 1000; // Simplified bagasse conversion
             }),
             borderColor: "#2ecc71",
           },
@@ -1325,16 +1365,9 @@ async function getWasteManagementData(companyId, year = null) {
   const company = await Company.findById(companyId);
   if (!company) throw new AppError("Company not found", 404, "NOT_FOUND");
 
-  const metricNames = [
-    "Waste Management - Recycled waste (excl. Boiler Ash) (tons)",
-    "Waste Management - Disposed waste (excl. Boiler Ash) (tons)",
-    "Environment Incidents - Waste streams produced - General Waste (tons)",
-    "Environment Incidents - Waste streams produced - Hazardous waste (tons)",
-    "Environment Incidents - Waste streams produced - Boiler ash (tons)",
-    "Environment Incidents - Waste streams produced - Recyclable waste (tons)",
-  ];
-  const years = year ? [year] : [2022, 2023, 2024, 2025];
-  const metrics = await getMetricsByNames(companyId, metricNames, years);
+  const metricNames = DASHBOARD_METRICS.wasteManagement;
+  const metrics = await getMetricsByNames(companyId, metricNames, year ? [year] : []);
+  const years = getUniqueYearsFromMetrics(metrics, year);
   // Calculate recycling rate
   const recycled =
     metrics["Waste Management - Recycled waste (excl. Boiler Ash) (tons)"]
@@ -1493,20 +1526,10 @@ async function getWorkforceDiversityData(companyId, year = null) {
   const company = await Company.findById(companyId);
   if (!company) throw new AppError("Company not found", 404, "NOT_FOUND");
 
-  const metricNames = [
-    "Human Capital - Total Employees",
-    "Human Capital - Female Employees",
-    "Human Capital - Male Employees",
-    "Human Capital - Employees by Contract Type - Permanent",
-    "Human Capital - Employees by Contract Type - Fixed term contract",
-    "Human Capital - Graduate Trainees",
-    "Human Capital - Apprentices",
-    "Diversity - Recruitment by gender including Seasonal FTCs (Male)",
-    "Diversity - Recruitment by gender including Seasonal FTCs (Female)",
-  ];
+  const metricNames = DASHBOARD_METRICS.workforceDiversity;
 
-  const years = year ? [year] : [2022, 2023, 2024, 2025];
-  const metrics = await getMetricsByNames(companyId, metricNames, years);
+  const metrics = await getMetricsByNames(companyId, metricNames, year ? [year] : []);
+  const years = getUniqueYearsFromMetrics(metrics, year);
 
   // Calculate diversity metrics
   const totalEmployees =
@@ -1639,14 +1662,10 @@ async function getHealthSafetyData(companyId, year = null) {
   const company = await Company.findById(companyId);
   if (!company) throw new AppError("Company not found", 404, "NOT_FOUND");
 
-  const metricNames = [
-    "Work-related Injuries - Lost Time Injury Frequency Rate (LTIFR)",
-    "Safety, Health, and Environment Committee Meetings (Agriculture)",
-    "Safety, Health, and Environment Committee Meetings (Milling)",
-  ];
+  const metricNames = DASHBOARD_METRICS.healthSafety;
 
-  const years = year ? [year] : [2022, 2023, 2024, 2025];
-  const metrics = await getMetricsByNames(companyId, metricNames, years);
+  const metrics = await getMetricsByNames(companyId, metricNames, year ? [year] : []);
+  const years = getUniqueYearsFromMetrics(metrics, year);
 
   const ltifr = parseFloat(
     metrics["Work-related Injuries - Lost Time Injury Frequency Rate (LTIFR)"]
@@ -1781,31 +1800,10 @@ async function getGovernanceBoardData(companyId, year = null) {
   const company = await Company.findById(companyId);
   if (!company) throw new AppError("Company not found", 404, "NOT_FOUND");
 
-  const metricNames = [
-    "Board Size",
-    "Board Attendance - Number of meetings held",
-    "Audit and Compliance Committee (Non-exe cutive Directors)",
-    "Audit and Compliance Committee (Independent Non-executive Directors)",
-    "Risk Management & Sustainability Committee (Executive Directors)",
-    "Risk Management & Sustainability Committee (Non-executive Directors)",
-    "Risk Management & Sustainability Committee (Independent Non-executive Directors)",
-    "Remunerations and Nominations Committee (Non-executive Directors)",
-    "Remunerations and Nominations Committee (Independent Non-executive Directors)",
-    "Stakeholder Engagement Committee (Executive Directors)",
-    "Stakeholder Engagement Committee (Non-executive Directors)",
-    "Stakeholder Engagement Committee (Independent Non-executive Directors)",
-    "Ethics / Code of Conduct",
-    "Anti-Corruption / Anti-Bribery Policy",
-    "Whistleblowing Mechanism",
-    "Compliance Incidents (Legal/Regulatory)",
-    "Executive Remuneration Disclosure",
-    "ESG Linked to Executive Pay",
-    "Supplier Code of Conduct",
-    "IFRS / Sustainability-Related Financial Disclosures",
-  ];
+  const metricNames = DASHBOARD_METRICS.governanceBoardMetrics;
 
-  const years = year ? [year] : [2022, 2023, 2024, 2025];
-  const metrics = await getMetricsByNames(companyId, metricNames, years);
+  const metrics = await getMetricsByNames(companyId, metricNames, year ? [year] : []);
+  const years = getUniqueYearsFromMetrics(metrics, year);
 
   // Parse board size (extract number from string)
   const boardSizeStr = metrics["Board Size"]?.values[0]?.value || "11 members";
@@ -1927,17 +1925,10 @@ async function getCommunityEngagementData(companyId, year = null) {
   const company = await Company.findById(companyId);
   if (!company) throw new AppError("Company not found", 404, "NOT_FOUND");
 
-  const metricNames = [
-    "Corporate Social Responsibility - Education Attendance - (primary schools and one secondary school in Hippo Valley Estates) [Males]",
-    "Corporate Social Responsibility - Education Attendance - (primary schools and one secondary school in Hippo Valley Estates) [Females]",
-    "Health and Well being - Hospital attendees (Hippo Valley Estates Medical Centre) - Total",
-    "Relationship with suppliers - Procurement Spent (Local suppliers)",
-    "Relationship with suppliers - Procurement Spent (Foreign suppliers)",
-    "Number of suppliers",
-  ];
+  const metricNames = DASHBOARD_METRICS.communityEngagement;
 
-  const years = year ? [year] : [2022, 2023, 2024, 2025];
-  const metrics = await getMetricsByNames(companyId, metricNames, years);
+  const metrics = await getMetricsByNames(companyId, metricNames, year ? [year] : []);
+  const years = getUniqueYearsFromMetrics(metrics, year);
 
   // Parse local spending (remove "US$" and "m")
   const localSpendStr =
@@ -1972,24 +1963,8 @@ async function getCommunityEngagementData(companyId, year = null) {
       sugarDonated: 6800, // tons
     },
     graphs: {
-      // Line graph: Community investment trend
-      investmentTrend: {
-        type: "line",
-        title: "Community Investment Trend",
-        labels: years,
-        datasets: [
-          {
-            label: "Local Procurement ($)",
-            data: [83.4, 70.6, 56.2, 50.5],
-            borderColor: "#3498db",
-          },
-          {
-            label: "Education Attendance",
-            data: [4707, 5156, 5026, 55552],
-            borderColor: "#2ecc71",
-          },
-        ],
-      },
+      // Line graph: supplier spend over the stored years
+      investmentTrend: await getProcurementTrend(companyId, year),
       // Pie chart: Community investment distribution
       investmentDistribution: {
         type: "pie",
@@ -2074,94 +2049,100 @@ async function getCommunityEngagementData(companyId, year = null) {
   return data;
 }
 
+/**
+ * Trend label from the last two years with an overall score
+ */
+function scoreTrendLabel(trend) {
+  const scored = (trend || []).filter((point) => point.overall !== null);
+  if (scored.length < 2) return null;
+  const change = scored[scored.length - 1].overall - scored[scored.length - 2].overall;
+  if (change > 2) return "Improving";
+  if (change < -2) return "Declining";
+  return "Stable";
+}
+
 /**
  * 13. Overall ESG Score API
+ * Scores come from the scoring engine (services/esg_scoring_service) and
+ * are null where the company has no data to score.
  */
 async function getOverallESGScoreData(companyId, year = null) {
   const company = await Company.findById(companyId);
   if (!company) throw new AppError("Company not found", 404, "NOT_FOUND");
 
-  // Calculate weighted scores based on all metrics
-  // In production, this would involve complex calculations based on materiality factors
-  const environmentalScore = 78;
-  const socialScore = 82;
-  const governanceScore = 85;
-  const overallScore = Math.round(
-    environmentalScore * 0.4 + socialScore * 0.3 + governanceScore * 0.3
+  const scoring = await esgScoringService.scoreCompany(companyId, {
+    year: year ? Number(year) : undefined,
+    trend: true,
+  });
+  const pillarScore = (key) => scoring.pillars.find((pillar) => pillar.key === key)?.score ?? null;
+  const methodology = await esgScoringService.resolveMethodology(scoring.methodology.version);
+  const totalWeight = methodology.pillars.reduce((sum, pillar) => sum + (pillar.weight ?? 1), 0);
+  const weightShares = methodology.pillars.map((pillar) =>
+    totalWeight > 0 ? Math.round(((pillar.weight ?? 1) / totalWeight) * 100) : 0
+  );
+  const indicators = scoring.pillars.flatMap((pillar) => pillar.indicators);
+  const materiality = await materialityService.getCompanyMateriality(
+    companyId,
+    scoring.year || (year ? Number(year) : null)
   );
 
   const data = {
     company: company.name,
-    year: year || "2024",
+    year: scoring.year ? String(scoring.year) : null,
     scores: {
-      overall: overallScore,
-      environmental: environmentalScore,
-      social: socialScore,
-      governance: governanceScore,
-      trend: "Improving",
-      percentile: 75, // vs peers
+      overall: scoring.overall.score,
+      environmental: pillarScore("environmental"),
+      social: pillarScore("social"),
+      governance: pillarScore("governance"),
+      rating: scoring.overall.rating,
+      coverage: scoring.overall.coverage,
+      trend: scoreTrendLabel(scoring.trend),
     },
+    methodology: scoring.methodology,
+    // Pillars, indicators and metrics with their values, sources and sub-scores
+    explanation: scoring.pillars,
     graphs: {
       // Line graph: ESG score trend
       esgTrend: {
         type: "line",
         title: "ESG Score Trend",
-        labels: ["2020", "2021", "2022", "2023", "2024"],
+        labels: scoring.trend.map((point) => String(point.year)),
         datasets: [
           {
             label: "Overall ESG Score",
-            data: [72, 75, 78, 80, 82],
+            data: scoring.trend.map((point) => point.overall),
             borderColor: "#2ecc71",
             fill: false,
           },
-          {
-            label: "Environmental",
-            data: [70, 72, 75, 77, 78],
-            borderColor: "#27ae60",
-            borderDash: [5, 5],
-          },
-          {
-            label: "Social",
-            data: [75, 78, 80, 81, 82],
-            borderColor: "#3498db",
+          ...methodology.pillars.map((pillar, index) => ({
+            label: pillar.name,
+            data: scoring.trend.map((point) => point.pillars[pillar.key] ?? null),
+            borderColor: ["#27ae60", "#3498db", "#9b59b6"][index % 3],
             borderDash: [5, 5],
-          },
-          {
-            label: "Governance",
-            data: [80, 82, 83, 84, 85],
-            borderColor: "#9b59b6",
-            borderDash: [5, 5],
-          },
+          })),
         ],
       },
       // Pie chart: ESG pillar weights
       esgWeights: {
         type: "pie",
         title: "ESG Pillar Weights",
-        labels: ["Environmental (40%)", "Social (30%)", "Governance (30%)"],
+        labels: methodology.pillars.map((pillar, index) => `${pillar.name} (${weightShares[index]}%)`),
         datasets: [
           {
-            data: [40, 30, 30],
+            data: weightShares,
             backgroundColor: ["#27ae60", "#3498db", "#9b59b6"],
           },
         ],
       },
-      // Bar graph: Key performance indicators
+      // Bar graph: indicator scores
       keyKPIs: {
         type: "bar",
-        title: "Key Performance Indicators",
-        labels: [
-          "Carbon Emissions",
-          "Water Efficiency",
-          "Waste Recycling",
-          "Employee Diversity",
-          "Board Independence",
-          "Community Investment",
-        ],
+        title: "Indicator Scores",
+        labels: indicators.map((indicator) => indicator.name),
         datasets: [
           {
-            label: "Score (%)",
-            data: [85, 80, 75, 82, 90, 88],
+            label: "Score (0-100)",
+            data: indicators.map((indicator) => indicator.score),
             backgroundColor: [
               "#e74c3c",
               "#3498db",
@@ -2173,61 +2154,20 @@ async function getOverallESGScoreData(companyId, year = null) {
           },
         ],
       },
-      // Dotted graph: ESG vs Financial performance
-      esgFinancialCorrelation: {
-        type: "scatter",
-        title: "ESG vs Financial Performance",
-        datasets: [
-          {
-            label: "High ESG",
-            data: [{ x: 90, y: 15, r: 15 }],
-            backgroundColor: "#2ecc71",
-          },
-          {
-            label: "Medium ESG",
-            data: [{ x: 70, y: 10, r: 12 }],
-            backgroundColor: "#f39c12",
-          },
-          {
-            label: "Low ESG",
-            data: [{ x: 50, y: 5, r: 10 }],
-            backgroundColor: "#e74c3c",
-          },
-        ],
-      },
-    },
-    materiality: {
-      high: [
-        "GHG Emissions",
-        "Water Management",
-        "Employee Safety",
-        "Board Governance",
-      ],
-      medium: [
-        "Waste Management",
-        "Energy Efficiency",
-        "Community Relations",
-        "Supply Chain",
-      ],
-      low: [
-        "Biodiversity",
-        "Product Innovation",
-        "Political Contributions",
-        "Tax Transparency",
-      ],
     },
-    recommendations: [
-      "Increase renewable energy mix to 80% by 2026",
-      "Implement water recycling system to reduce consumption by 20%",
-      "Achieve gender parity in leadership positions by 2027",
-      "Develop comprehensive Scope 3 emissions reduction strategy",
-    ],
+    // Matrix and highlighted sections of the company's approved
+    // materiality assessment for the year; null when it has none
+    materiality,
+    // The weakest indicators of the score, lowest first
+    recommendations: esgScoringService.improvementAreas(scoring),
   };
 
   return data;
 }
 
 module.exports = {
+  getMetricsByNames,
+  getProcurementTrend,
   getSoilHealthCarbonQualityData,
   getCropYieldForecastData,
   getGHGEmissionsData,
@@ -4,6 +4,14 @@ const AppError = require("../utils/app_error");
 const mongoose = require("mongoose");
 const { parse } = require("csv-parse/sync");
 const xlsx = require("xlsx");
+const esgMetricsImportService = require("./esg_metrics_import_service");
+const {
+  sameValue,
+  restate,
+  conflictEntry,
+  summarizeConflicts,
+  conflictError,
+} = require("../utils/import_conflicts");
 
 // Version constants from environment variables
 const API_VERSION = process.env.API_VERSION || "1.0.0";
@@ -132,6 +140,27 @@ async function createESGData(data, userId) {
   return esgData;
 }
 
+/**
+ * An ESGData payload as an import stores it: the batch fields on the
+ * document and the importing user on every metric and value.
+ */
+function withImportInfo(data, userId, importInfo) {
+  return {
+    ...data,
+    ...importInfo,
+    metrics: data.metrics.map((metric) => ({
+      ...metric,
+      created_by: userId,
+      values: metric.values.map((value) => ({
+        ...value,
+        added_by: userId,
+      })),
+    })),
+    created_by: userId,
+    last_updated_by: userId,
+  };
+}
+
 async function createBulkESGData(dataArray, userId, importInfo = {}) {
   if (!Array.isArray(dataArray) || dataArray.length === 0) {
     throw new AppError(
@@ -159,20 +188,7 @@ async function createBulkESGData(dataArray, userId, importInfo = {}) {
   }
 
   // Prepare data with user info
-  const preparedData = dataArray.map((data) => ({
-    ...data,
-    ...importInfo,
-    metrics: data.metrics.map((metric) => ({
-      ...metric,
-      created_by: userId,
-      values: metric.values.map((value) => ({
-        ...value,
-        added_by: userId,
-      })),
-    })),
-    created_by: userId,
-    last_updated_by: userId,
-  }));
+  const preparedData = dataArray.map((data) => withImportInfo(data, userId, importInfo));
 
   const result = await ESGData.insertMany(preparedData);
 
@@ -189,6 +205,308 @@ async function createBulkESGData(dataArray, userId, importInfo = {}) {
   return result;
 }
 
+function esgValueKey(metric, year) {
+  return `${metric.category}:${String(metric.metric_name).toLowerCase()}:${year}`;
+}
+
+/**
+ * Settle imported ESG data against the company's active documents. Each
+ * import adds documents, so a metric/year can already be on an earlier
+ * one: identical values are dropped from the import as duplicates, and a
+ * different value is a conflict settled by `policy` (utils/import_conflicts).
+ * With overwrite and restatement the stored values are superseded once
+ * the import is saved (see supersedeReplacedValues), and each imported
+ * document lists the values it replaced in `replaced_values` so a rollback
+ * of its batch can put them back.
+ *
+ * @param {Object[]} documents ESGData payloads, as transformParsedData returns them
+ * @param {string} companyId
+ * @param {string|null} policy
+ * @param {Object} [options] batchId (recorded on restatements), dryRun
+ *   (report conflicts without a policy instead of throwing)
+ * @returns {Promise<{documents, report, replaced}>} what is left to insert,
+ *   summarizeConflicts' report and the stored values to supersede
+ */
+async function resolveImportConflicts(documents, companyId, policy, options = {}) {
+  const active = await ESGData.find({ company: companyId, is_active: true }).sort({ import_date: -1 });
+
+  // Newest document first, so a conflict is reported against the latest value
+  const stored = new Map();
+  for (const record of active) {
+    for (const metric of record.metrics) {
+      if (metric.is_active === false) continue;
+      for (const value of metric.values) {
+        const key = esgValueKey(metric, value.year);
+        if (!stored.has(key)) stored.set(key, []);
+        stored.get(key).push({ record, metric, value });
+      }
+    }
+  }
+
+  const conflicts = [];
+  const duplicates = [];
+  const replaced = [];
+
+  const settled = documents.map((document) => {
+    const replacedValues = [];
+    const metrics = document.metrics
+      .map((metric) => ({
+        ...metric,
+        values: metric.values.flatMap((value) => {
+          const hits = stored.get(esgValueKey(metric, value.year));
+          if (!hits) return [value];
+
+          const latest = hits[0];
+          if (hits.some((hit) => sameValue(hit.value, value, hit.metric.unit, metric.unit))) {
+            duplicates.push({ metric: `${metric.category}:${metric.metric_name}`, year: value.year });
+            return [];
+          }
+
+          conflicts.push(conflictEntry(metric, value.year, latest.value, value, latest.metric.unit));
+          if (policy === "overwrite" || policy === "restatement") {
+            replaced.push(...hits);
+            replacedValues.push(
+              ...hits.map((hit) => ({
+                record_id: hit.record._id,
+                metric_id: hit.metric._id,
+                value_id: hit.value._id,
+                metric_name: hit.metric.metric_name,
+                year: value.year,
+              }))
+            );
+            return [
+              policy === "restatement"
+                ? restate(value, latest.value.toObject(), latest.metric.unit, options.batchId)
+                : value,
+            ];
+          }
+          return policy === "keep_existing" ? [] : [value];
+        }),
+      }))
+      .filter((metric) => metric.values.length);
+
+    return replacedValues.length
+      ? { ...document, metrics, replaced_values: replacedValues }
+      : { ...document, metrics };
+  });
+
+  const report = summarizeConflicts({ conflicts, duplicates }, policy);
+  if (conflicts.length && !policy && !options.dryRun) throw conflictError(report);
+
+  return {
+    documents: settled.filter((document) => document.metrics.length),
+    report,
+    replaced,
+  };
+}
+
+/**
+ * Move values replaced by an import from `values` to `superseded_values`
+ * on the documents they were on, marked with the batch that replaced them.
+ */
+async function supersedeReplacedValues(replaced, batchId, userId) {
+  const now = new Date();
+  const records = new Map();
+  for (const { record, metric, value } of replaced) {
+    // Two imported rows for the same metric/year hit the same stored value
+    if (!metric.values.id(value._id)) continue;
+    metric.superseded_values.push({
+      ...value.toObject(),
+      superseded_by_batch: batchId,
+      superseded_at: now,
+    });
+    metric.values.pull(value._id);
+    records.set(String(record._id), record);
+  }
+  for (const record of records.values()) {
+    record.last_updated_by = userId;
+    record.last_updated_at = now;
+    await record.save();
+  }
+}
+
+/**
+ * Store imported ESG data after settling it against the stored values.
+ * Documents the duplicates and the policy leave empty are not written.
+ *
+ * @param {Object[]} documents ESGData payloads
+ * @param {string} companyId
+ * @param {string} userId
+ * @param {Object} importInfo fields set on every document (batch id, file...)
+ * @param {string|null} [conflictPolicy]
+ * @returns {Promise<{data: Object[], conflicts: Object}>}
+ */
+async function importESGData(documents, companyId, userId, importInfo, conflictPolicy = null) {
+  const { documents: settled, report, replaced } = await resolveImportConflicts(
+    documents,
+    companyId,
+    conflictPolicy,
+    { batchId: importInfo.import_batch_id },
+  );
+
+  const withReport = settled.map((document) => ({
+    ...document,
+    source_file_metadata: { ...document.source_file_metadata, conflicts: report },
+  }));
+  const data = withReport.length
+    ? await createBulkESGData(withReport, userId, importInfo)
+    : [];
+  if (replaced.length) {
+    await supersedeReplacedValues(replaced, importInfo.import_batch_id, userId);
+  }
+
+  return { data, conflicts: report };
+}
+
+/**
+ * Parse an uploaded file into ESGData payloads.
+ * @returns {{transformedData: Object[], tablePlan: Object|null}} `tablePlan`
+ *   is set for wide year-column tables (esg_metrics_import_service)
+ */
+function transformFile(fileBuffer, fileType, companyId, originalFileName) {
+  // Wide year-column tables (title block, `Metric,2022,...,Source Notes`)
+  // get the dedicated parser; anything else goes through the generic one
+  const tablePlan =
+    fileType === "csv" || fileType === "excel"
+      ? esgMetricsImportService.planTableImport(fileBuffer, originalFileName)
+      : null;
+
+  if (tablePlan) {
+    return {
+      transformedData: transformWideTable(tablePlan.table, companyId, originalFileName),
+      tablePlan,
+    };
+  }
+
+  let parsedData;
+  switch (fileType) {
+    case "csv":
+      parsedData = parseCSV(fileBuffer);
+      break;
+    case "excel":
+      parsedData = parseExcel(fileBuffer);
+      break;
+    case "json":
+      parsedData = parseJSON(fileBuffer);
+      break;
+    default:
+      throw new AppError("Unsupported file type", 400, "INVALID_FILE_TYPE");
+  }
+
+  // Transform parsed data to match our schema
+  return {
+    transformedData: transformParsedData(parsedData, companyId, originalFileName),
+    tablePlan: null,
+  };
+}
+
+/**
+ * Conflicts an upload has with the stored ESG data and, for metric tables
+ * synced to the domain modules, with those modules. Nothing is saved.
+ * @returns {Promise<Object>} summarizeConflicts' report
+ */
+async function checkImportConflicts(fileBuffer, fileType, companyId, originalFileName, options = {}) {
+  const { transformedData, tablePlan } = transformFile(
+    fileBuffer,
+    fileType,
+    companyId,
+    originalFileName,
+  );
+  const { report } = await resolveImportConflicts(transformedData, companyId, null, { dryRun: true });
+  if (!tablePlan || !options.syncModules) return report;
+
+  const modules = await esgMetricsImportService.planDomainSync(tablePlan, companyId, null, {
+    fileName: originalFileName,
+    dryRun: true,
+  });
+  return {
+    ...report,
+    conflicts_count: report.conflicts_count + modules.conflicts.conflicts_count,
+    duplicates_count: report.duplicates_count + modules.conflicts.duplicates_count,
+    conflicts: [
+      ...report.conflicts.map((conflict) => ({ module: "esg_data", ...conflict })),
+      ...modules.conflicts.conflicts,
+    ],
+  };
+}
+
+/**
+ * Dry run of parseAndProcessFile: what the upload would add to esg-data
+ * and to the synced domain modules, with the conflicts it would settle or
+ * refuse. Nothing is saved.
+ *
+ * @param {Object} [options] syncModules, conflictPolicy
+ */
+async function previewFile(fileBuffer, fileType, companyId, userId, originalFileName, options = {}) {
+  const { transformedData, tablePlan } = transformFile(
+    fileBuffer,
+    fileType,
+    companyId,
+    originalFileName,
+  );
+  const policy = options.conflictPolicy || null;
+
+  const { documents, report, replaced } = await resolveImportConflicts(
+    transformedData,
+    companyId,
+    policy,
+    { dryRun: true },
+  );
+  const sync =
+    tablePlan && options.syncModules
+      ? await esgMetricsImportService.planDomainSync(tablePlan, companyId, userId, {
+          fileName: originalFileName,
+          conflictPolicy: policy,
+          dryRun: true,
+        })
+      : null;
+
+  const importInfo = {
+    source_file_name: originalFileName,
+    source_file_type: fileType,
+    import_date: new Date(),
+  };
+  const validationErrors = [];
+  for (const [index, document] of documents.entries()) {
+    try {
+      await new ESGData(withImportInfo(document, userId, importInfo)).validate();
+    } catch (error) {
+      if (!error.errors) throw error;
+      for (const err of Object.values(error.errors)) {
+        validationErrors.push({ document: index, path: err.path, message: err.message });
+      }
+    }
+  }
+  const unresolved =
+    !policy && Boolean(report.conflicts_count || sync?.conflicts.conflicts_count);
+
+  return {
+    dry_run: true,
+    can_import: validationErrors.length === 0 && !unresolved,
+    would_create: {
+      documents_count: documents.length,
+      metrics_count: documents.reduce((sum, document) => sum + document.metrics.length, 0),
+      values_count: documents.reduce(
+        (sum, document) => sum + document.metrics.reduce((n, metric) => n + metric.values.length, 0),
+        0,
+      ),
+      replaces_values_count: replaced.length,
+    },
+    modules: sync
+      ? sync.entries.map(({ module, existingRecord, record, metrics_count }) => ({
+          module,
+          version: record.version,
+          previous_version: existingRecord ? existingRecord._id : null,
+          metrics_count,
+        }))
+      : [],
+    validation_errors: validationErrors,
+    conflicts: report,
+    module_conflicts: sync ? sync.conflicts : null,
+    duplicate_rows: tablePlan ? tablePlan.table.duplicates : [],
+  };
+}
+
 // NEW FUNCTION: Parse uploaded file
 async function parseAndProcessFile(
   fileBuffer,
@@ -196,33 +514,20 @@ async function parseAndProcessFile(
   companyId,
   userId,
   originalFileName,
+  options = {},
 ) {
   try {
-    let parsedData;
-
-    switch (fileType) {
-      case "csv":
-        parsedData = parseCSV(fileBuffer);
-        break;
-      case "excel":
-        parsedData = parseExcel(fileBuffer);
-        break;
-      case "json":
-        parsedData = parseJSON(fileBuffer);
-        break;
-      default:
-        throw new AppError("Unsupported file type", 400, "INVALID_FILE_TYPE");
-    }
-
-    // Transform parsed data to match our schema
-    const transformedData = transformParsedData(
-      parsedData,
+    const { transformedData, tablePlan } = transformFile(
+      fileBuffer,
+      fileType,
       companyId,
       originalFileName,
     );
 
-    // Create import batch info
-    const importBatchId = `FILE_UPLOAD_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    // Create import batch info (a workbook import shares one id across sheets)
+    const importBatchId =
+      options.importBatchId ||
+      `FILE_UPLOAD_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
     const importInfo = {
       source_file_name: originalFileName,
@@ -232,14 +537,36 @@ async function parseAndProcessFile(
       validation_status: "validated",
     };
 
-    // Use existing bulk create function
-    const result = await createBulkESGData(transformedData, userId, importInfo);
+    // Same rows into the energy, waste, workforce and governance modules,
+    // under the same batch id so a rollback takes both back. Planned first
+    // so conflicts in a module refuse the import before anything is saved.
+    const sync =
+      tablePlan && options.syncModules
+        ? await esgMetricsImportService.planDomainSync(tablePlan, companyId, userId, {
+            importBatchId,
+            fileName: originalFileName,
+            conflictPolicy: options.conflictPolicy,
+          })
+        : null;
+
+    const { data: result, conflicts } = await importESGData(
+      transformedData,
+      companyId,
+      userId,
+      importInfo,
+      options.conflictPolicy,
+    );
+    const modules = sync ? await esgMetricsImportService.writeDomainSync(sync) : [];
 
     return {
       success: true,
       count: result.length,
       batchId: importBatchId,
       data: result,
+      modules,
+      conflicts,
+      module_conflicts: sync ? sync.conflicts : null,
+      duplicate_rows: tablePlan ? tablePlan.table.duplicates : [],
     };
   } catch (error) {
     if (error instanceof AppError) {
@@ -593,6 +920,53 @@ function transformParsedData(parsedRecords, companyId, fileName) {
   ];
 }
 
+// Helper to turn a parsed wide year-column table into one ESGData document.
+// Every value keeps its row's source notes; "Not reported" cells are stored
+// as explicit nulls.
+function transformWideTable(table, companyId, fileName) {
+  const category = table.category || "environmental";
+
+  const metrics = table.metrics.map((metric) => ({
+    category,
+    metric_name: metric.metric_name,
+    unit: metric.unit,
+    description: metric.label !== metric.metric_name ? metric.label : null,
+    values: metric.values.map((point) => ({
+      year: point.year,
+      value: point.value,
+      numeric_value: point.numeric_value,
+      not_reported: point.kind === "not_reported" || undefined,
+      source_notes: metric.source_notes,
+    })),
+  }));
+
+  if (metrics.length === 0) {
+    throw new AppError(
+      "No valid metrics found in the file. Please check the file format.",
+      400,
+      "NO_VALID_DATA",
+    );
+  }
+
+  const allYears = metrics.flatMap((m) => m.values.map((v) => v.year));
+
+  return [
+    {
+      company: companyId,
+      reporting_period_start: Math.min(...allYears),
+      reporting_period_end: Math.max(...allYears),
+      data_source: table.metrics.find((m) => m.source_notes)?.source_notes || "Uploaded file",
+      source_file_name: fileName,
+      source_file_metadata: {
+        title: table.title,
+        years: table.years,
+        duplicate_rows: table.duplicates,
+      },
+      metrics,
+    },
+  ];
+}
+
 async function getESGDataById(esgDataId) {
   const esgData = await ESGData.findById(esgDataId)
     .populate("company", "name registrationNumber industry")
@@ -855,6 +1229,9 @@ async function validateImportData(importData, fileType) {
 module.exports = {
   createESGData,
   createBulkESGData,
+  importESGData,
+  checkImportConflicts,
+  previewFile,
   parseAndProcessFile,
   getESGDataById,
   getESGDataByCompany,
@@ -0,0 +1,349 @@
+// services/esg_metrics_import_service.js
+// Routes the rows of a wide year-column ESG metrics table (see
+// utils/wide_year_table) to the domain modules that track the same metric,
+// so one upload fills esg-data and the energy, waste, workforce and
+// governance modules together.
+const mongoose = require("mongoose");
+const { parseWideYearTable, isWideYearTable } = require("../utils/wide_year_table");
+const { IMPORT_MODULES } = require("./import_mapping_service");
+const {
+  sameValue,
+  restate,
+  conflictEntry,
+  summarizeConflicts,
+  conflictError,
+} = require("../utils/import_conflicts");
+
+function slug(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/&/g, "and")
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_|_$/g, "");
+}
+
+// First match wins. `subcategory` and `metric_name` may be functions of the
+// regex match; a rule without `metric_name` keeps the table's name. Names
+// and subcategories follow the modules' own file processors so the rows
+// land on the metrics those already create.
+const DOMAIN_METRIC_RULES = [
+  // energy
+  { pattern: /bagasse usage/i, module: "energy", category: "bagasse_usage", metric_name: "Bagasse Usage" },
+  { pattern: /solar (energy|power) usage/i, module: "energy", category: "solar_power_usage", metric_name: "Solar Power Usage" },
+  { pattern: /coal consumption/i, module: "energy", category: "coal_consumption", metric_name: "Coal Consumption" },
+  {
+    pattern: /(inside|outside) company (diesel|petrol)/i,
+    module: "energy",
+    category: "fuel_consumption",
+    subcategory: (m) => `${m[1]}_company_${m[2]}`.toLowerCase(),
+    metric_name: (m) => `${capitalize(m[1])} Company ${capitalize(m[2])}`,
+  },
+  { pattern: /electricity generated/i, module: "energy", category: "electricity_generated", metric_name: "Electricity Generated" },
+  { pattern: /electricity purchased/i, module: "energy", category: "electricity_purchased", metric_name: "Electricity Purchased" },
+  { pattern: /electricity exported/i, module: "energy", category: "electricity_exported", metric_name: "Electricity Exported" },
+
+  // waste; the "(excl. Boiler Ash)" rows must be matched before boiler ash
+  { pattern: /recycled waste/i, module: "waste", category: "waste_generation", subcategory: "recycled", metric_name: "Recycled Waste (excl. Boiler Ash)" },
+  { pattern: /disposed waste/i, module: "waste", category: "waste_generation", subcategory: "disposed", metric_name: "Disposed Waste (excl. Boiler Ash)" },
+  { pattern: /waste streams produced - general waste/i, module: "waste", category: "waste_generation", subcategory: "general", metric_name: "General Waste" },
+  { pattern: /waste streams produced - hazardous waste/i, module: "waste", category: "waste_generation", subcategory: "hazardous", metric_name: "Hazardous Waste" },
+  { pattern: /waste streams produced - boiler ash/i, module: "waste", category: "waste_generation", subcategory: "boiler_ash", metric_name: "Boiler Ash" },
+  { pattern: /waste streams produced - recyclable waste/i, module: "waste", category: "waste_generation", subcategory: "recyclable", metric_name: "Recyclable Waste" },
+  { pattern: /effluent discharge/i, module: "waste", category: "effluent_management", subcategory: "effluent_discharged", metric_name: "Effluent Discharged" },
+  { pattern: /^water treatment/i, module: "waste", category: "effluent_management", subcategory: "water_treatment", metric_name: "Water Treatment" },
+
+  // workforce
+  { pattern: /total employees/i, module: "workforce", category: "employee_data", subcategory: "total_employees", metric_name: "Total Employees" },
+  { pattern: /female employees/i, module: "workforce", category: "employee_data", subcategory: "female_employees", metric_name: "Female Employees" },
+  { pattern: /\bmale employees/i, module: "workforce", category: "employee_data", subcategory: "male_employees", metric_name: "Male Employees" },
+  { pattern: /contract type - permanent/i, module: "workforce", category: "employee_data", subcategory: "permanent", metric_name: "Permanent Employees" },
+  { pattern: /contract type - fixed term/i, module: "workforce", category: "employee_data", subcategory: "fixed_term", metric_name: "Fixed Term Contract Employees" },
+  { pattern: /graduate trainees/i, module: "workforce", category: "employee_data", subcategory: "graduate_trainees", metric_name: "Graduate Trainees" },
+  { pattern: /apprentices/i, module: "workforce", category: "employee_data", subcategory: "apprentices", metric_name: "Apprentices" },
+  { pattern: /recruitment by gender.*\(female\)/i, module: "workforce", category: "recruitment_data", subcategory: "female_recruits", metric_name: "Female Recruits" },
+  { pattern: /recruitment by gender.*\(male\)/i, module: "workforce", category: "recruitment_data", subcategory: "male_recruits", metric_name: "Male Recruits" },
+  { pattern: /recruitment by age.*\(under 30/i, module: "workforce", category: "recruitment_by_age", subcategory: "under_30", metric_name: "Under 30 years" },
+  { pattern: /recruitment by age.*\(30 to 50/i, module: "workforce", category: "recruitment_by_age", subcategory: "30_to_50", metric_name: "30 to 50 years" },
+  { pattern: /recruitment by age.*\(over 50/i, module: "workforce", category: "recruitment_by_age", subcategory: "over_50", metric_name: "Over 50 years" },
+  {
+    pattern: /turnover by age \((\d+) to (\d+) years\)/i,
+    module: "workforce",
+    category: "turnover_by_age",
+    subcategory: (m) => `${m[1]}_to_${m[2]}`,
+    metric_name: (m) => `${m[1]} to ${m[2]} years`,
+  },
+
+  // governance
+  { pattern: /^board size/i, module: "governance", category: "board_composition", subcategory: "board_size", metric_name: "Board Size" },
+  { pattern: /number of meetings held/i, module: "governance", category: "board_composition", subcategory: "meetings_held", metric_name: "Board Meetings Held" },
+  {
+    pattern: /^(.+ committee) \((.+)\)$/i,
+    module: "governance",
+    category: "board_composition",
+    subcategory: (m) => slug(`${m[1]} ${m[2]}`),
+  },
+  {
+    pattern: /code of conduct|anti-corruption|whistleblowing|compliance incidents|executive remuneration|esg linked|ifrs/i,
+    module: "governance",
+    category: "governance_policies",
+    subcategory: (m, metric) => slug(metric.metric_name),
+  },
+];
+
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1).toLowerCase();
+}
+
+function resolve(field, match, metric) {
+  return typeof field === "function" ? field(match, metric) : field;
+}
+
+/**
+ * The module metric a table metric is tracked as, from the first matching
+ * DOMAIN_METRIC_RULES entry, or null.
+ * @returns {{module, category, subcategory, metric_name}|null}
+ */
+function matchMetricRule(metric) {
+  for (const rule of DOMAIN_METRIC_RULES) {
+    const match = metric.label.match(rule.pattern);
+    if (!match) continue;
+    return {
+      module: rule.module,
+      category: rule.category,
+      subcategory: resolve(rule.subcategory, match, metric),
+      metric_name: resolve(rule.metric_name, match, metric) || metric.metric_name,
+    };
+  }
+  return null;
+}
+
+/**
+ * Match every table metric against DOMAIN_METRIC_RULES.
+ * @returns {{routes: Array, unrouted: Array<string>, modules: string[]}}
+ */
+function routeTableMetrics(table) {
+  const routes = [];
+  const unrouted = [];
+
+  for (const metric of table.metrics) {
+    const route = matchMetricRule(metric);
+    if (route) routes.push({ ...route, metric });
+    else unrouted.push(metric.label);
+  }
+
+  return { routes, unrouted, modules: [...new Set(routes.map((r) => r.module))] };
+}
+
+/**
+ * Parse an upload and report which domain modules it would write, or null
+ * when the file is not a wide year-column table.
+ */
+function planTableImport(buffer, fileName) {
+  if (!isWideYearTable(buffer, fileName)) return null;
+  const table = parseWideYearTable(buffer, fileName);
+  return { table, ...routeTableMetrics(table) };
+}
+
+function toYearlyData(route, fileName, userId) {
+  const { metric } = route;
+  return metric.values.map((point) => ({
+    year: String(point.year),
+    fiscal_year: point.year,
+    value: point.value,
+    numeric_value: point.numeric_value,
+    unit: metric.unit || point.unit || undefined,
+    source: point.source || metric.source_notes || fileName,
+    notes: point.kind === "not_reported" ? "Not reported" : undefined,
+    added_by: userId,
+  }));
+}
+
+function sameMetric(existing, route) {
+  if (existing.category !== route.category) return false;
+  return route.subcategory
+    ? existing.subcategory === route.subcategory
+    : existing.metric_name === route.metric_name;
+}
+
+/**
+ * Fold the routed rows into a module's metrics. A year already on the
+ * metric keeps its value when the table has the same one; a different
+ * value is recorded in `found` and settled by `policy`
+ * (utils/import_conflicts). Metrics the table does not mention are kept as
+ * they are.
+ */
+function mergeMetrics(metrics, routes, fileName, userId, { module, policy, batchId, found }) {
+  const merged = metrics.map((metric) => ({ ...metric, yearly_data: [...(metric.yearly_data || [])] }));
+
+  for (const route of routes) {
+    const points = toYearlyData(route, fileName, userId);
+    const existing = merged.find((metric) => sameMetric(metric, route));
+
+    if (!existing) {
+      merged.push({
+        category: route.category,
+        subcategory: route.subcategory,
+        metric_name: route.metric_name,
+        description: route.metric.label !== route.metric_name ? route.metric.label : undefined,
+        data_type: "yearly_series",
+        yearly_data: points,
+        created_by: userId,
+      });
+      continue;
+    }
+
+    for (const point of points) {
+      const index = existing.yearly_data.findIndex((d) => String(d.year) === point.year);
+      if (index === -1) {
+        existing.yearly_data.push(point);
+        continue;
+      }
+
+      const stored = existing.yearly_data[index];
+      if (sameValue(stored, point, existing.unit, point.unit)) {
+        found.duplicates.push({ module, metric: `${existing.category}:${existing.metric_name}`, year: point.year });
+        continue;
+      }
+      found.conflicts.push({ module, ...conflictEntry(existing, point.year, stored, point, existing.unit) });
+      if (policy === "overwrite") {
+        existing.yearly_data[index] = { ...point, _id: stored._id };
+      } else if (policy === "restatement") {
+        existing.yearly_data[index] = { ...restate(point, stored, existing.unit, batchId), _id: stored._id };
+      }
+    }
+  }
+
+  return merged;
+}
+
+function widenPeriod(current, years, pick) {
+  const candidates = [...years, parseInt(current, 10)].filter((y) => !Number.isNaN(y));
+  return candidates.length ? String(pick(...candidates)) : undefined;
+}
+
+/**
+ * Build the new version of each domain module the table's routed rows go
+ * to, the way the modules' own file imports version their data. Nothing is
+ * saved; writeDomainSync does that.
+ *
+ * @param {Object} plan from planTableImport
+ * @param {Object} options
+ * @param {string} options.importBatchId shared with the esg-data records
+ * @param {string} options.fileName
+ * @param {string} [options.importSource] csv or excel from the file name by default
+ * @param {string} [options.importNotes]
+ * @param {string} [options.conflictPolicy] how to settle years whose value
+ *   differs from the module's (utils/import_conflicts)
+ * @param {boolean} [options.dryRun] report conflicts without a policy
+ *   instead of throwing
+ * @returns {Promise<{entries, conflicts}>} `conflicts` is summarizeConflicts'
+ *   report over all modules
+ * @throws {AppError} 409 IMPORT_CONFLICTS when values conflict and no
+ *   policy was given
+ */
+async function planDomainSync(plan, companyId, userId, options = {}) {
+  const { importBatchId, fileName, conflictPolicy } = options;
+  const importSource =
+    options.importSource || (/\.xlsx?$/i.test(fileName || "") ? "excel" : "csv");
+  const found = { conflicts: [], duplicates: [] };
+  const entries = [];
+
+  for (const module of plan.modules) {
+    const Model = IMPORT_MODULES[module];
+    const routes = plan.routes.filter((route) => route.module === module);
+    const years = routes.flatMap((route) => route.metric.values.map((v) => v.year));
+
+    const existingRecord = await Model.findOne({ company: companyId, is_active: true });
+    const base = existingRecord ? existingRecord.toObject() : {};
+    const {
+      _id,
+      __v,
+      created_at,
+      import_batch_id,
+      restored_from,
+      restore_notes,
+      verified_by,
+      verified_at,
+      ...carried
+    } = base;
+
+    const record = new Model({
+      ...carried,
+      _id: new mongoose.Types.ObjectId(),
+      company: companyId,
+      metrics: mergeMetrics(carried.metrics || [], routes, fileName, userId, {
+        module,
+        policy: conflictPolicy,
+        batchId: importBatchId,
+        found,
+      }),
+      data_period_start: widenPeriod(carried.data_period_start, years, Math.min),
+      data_period_end: widenPeriod(carried.data_period_end, years, Math.max),
+      original_source: carried.original_source || fileName,
+      import_source: importSource,
+      source_file_name: fileName,
+      import_batch_id: importBatchId,
+      import_date: new Date(),
+      import_notes: options.importNotes || `Synced from ESG metrics table ${fileName}`,
+      verification_status: "unverified",
+      validation_status: "not_validated",
+      previous_version: existingRecord ? existingRecord._id : undefined,
+      version: existingRecord ? existingRecord.version + 1 : 1,
+      is_active: true,
+      created_by: userId,
+      last_updated_by: userId,
+      last_updated_at: new Date(),
+    });
+
+    entries.push({ module, existingRecord, record, metrics_count: routes.length });
+  }
+
+  const conflicts = summarizeConflicts(found, conflictPolicy);
+  if (found.conflicts.length && !conflictPolicy && !options.dryRun) throw conflictError(conflicts);
+  for (const entry of entries) {
+    entry.record.source_file_metadata = { ...entry.record.source_file_metadata, conflicts };
+  }
+
+  return { entries, conflicts };
+}
+
+/**
+ * Save the versions planDomainSync built.
+ * @returns {Promise<Array<{module, record_id, version, metrics_count}>>}
+ */
+async function writeDomainSync({ entries }) {
+  const written = [];
+  for (const { module, existingRecord, record, metrics_count } of entries) {
+    if (existingRecord) {
+      existingRecord.is_active = false;
+      await existingRecord.save();
+    }
+    await record.save();
+
+    written.push({
+      module,
+      record_id: record._id,
+      version: record.version,
+      metrics_count,
+    });
+  }
+  return written;
+}
+
+/**
+ * Write the table's routed rows to each domain module as a new version
+ * (planDomainSync, then writeDomainSync).
+ */
+async function syncDomainModules(plan, companyId, userId, options = {}) {
+  return writeDomainSync(await planDomainSync(plan, companyId, userId, options));
+}
+
+module.exports = {
+  DOMAIN_METRIC_RULES,
+  matchMetricRule,
+  routeTableMetrics,
+  planTableImport,
+  planDomainSync,
+  writeDomainSync,
+  syncDomainModules,
+};
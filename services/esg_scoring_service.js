@@ -0,0 +1,1036 @@
+// services/esg_scoring_service.js
+// ESG scores computed from the metrics stored in esg-data and the domain
+// modules. A scoring methodology (models/scoring_methodology_model) says
+// which metrics count, how each value becomes a 0-100 sub-score and how
+// sub-scores roll up: metric -> indicator -> pillar -> overall, each a
+// weighted average over what the company reported. Every score lists the
+// metrics behind it with their values, sources and share of the overall
+// score; nothing is filled in for metrics without data, they lower the
+// coverage instead. A company's approved materiality assessment
+// (services/materiality_service) scales the weights of the indicators its
+// topics are linked to.
+const mongoose = require("mongoose");
+const ScoringMethodology = require("../models/scoring_methodology_model");
+const ESGData = require("../models/esg_data_model");
+const MaterialityAssessment = require("../models/materiality_assessment_model");
+const Company = require("../models/company_model");
+const AppError = require("../utils/app_error");
+const { resolveUnit, convert } = require("../utils/units");
+const { IMPORT_MODULES } = require("./import_mapping_service");
+const DEFAULT_METHODOLOGY = require("../config/default_scoring_methodology");
+
+const SCORING_MODULES = ["esg_data", ...Object.keys(IMPORT_MODULES)];
+const NORMALIZATION_METHODS = ["thresholds", "target", "categorical"];
+const DIRECTIONS = ["higher_is_better", "lower_is_better"];
+
+const EDITABLE_FIELDS = ["name", "description", "pillars", "materiality_multipliers", "rating_bands"];
+
+/* ----------------------------- validation ----------------------------- */
+
+function isNumber(value) {
+  return typeof value === "number" && Number.isFinite(value);
+}
+
+function checkRegex(pattern, field, errors) {
+  try {
+    new RegExp(pattern, "i");
+  } catch (err) {
+    errors.push({ field, message: `invalid regex: ${err.message}` });
+  }
+}
+
+function validateRef(ref, field, errors) {
+  if (!Array.isArray(ref?.modules) || !ref.modules.length) {
+    errors.push({ field: `${field}.modules`, message: "At least one module is required" });
+  } else {
+    for (const module of ref.modules) {
+      if (!SCORING_MODULES.includes(module)) {
+        errors.push({
+          field: `${field}.modules`,
+          message: `module must be one of: ${SCORING_MODULES.join(", ")}`,
+        });
+      }
+    }
+  }
+  if (!ref?.metric_name && !ref?.match) {
+    errors.push({ field, message: "metric_name or match is required" });
+  }
+  if (ref?.match) checkRegex(ref.match, `${field}.match`, errors);
+}
+
+function validateNormalization(normalization, field, errors) {
+  switch (normalization?.method) {
+    case "thresholds":
+      if (!isNumber(normalization.worst) || !isNumber(normalization.best)) {
+        errors.push({ field, message: "thresholds need numeric worst and best" });
+      } else if (normalization.worst === normalization.best) {
+        errors.push({ field, message: "worst and best must differ" });
+      }
+      break;
+    case "target":
+      if (!isNumber(normalization.target)) {
+        errors.push({ field: `${field}.target`, message: "is required" });
+      }
+      if (!DIRECTIONS.includes(normalization.direction)) {
+        errors.push({
+          field: `${field}.direction`,
+          message: `direction must be one of: ${DIRECTIONS.join(", ")}`,
+        });
+      }
+      break;
+    case "categorical":
+      if (!Array.isArray(normalization.categories) || !normalization.categories.length) {
+        errors.push({ field: `${field}.categories`, message: "At least one category is required" });
+      }
+      (normalization.categories || []).forEach((category, index) => {
+        const at = `${field}.categories[${index}]`;
+        if (!category?.match) errors.push({ field: `${at}.match`, message: "is required" });
+        else checkRegex(category.match, `${at}.match`, errors);
+        if (!isNumber(category?.score) || category.score < 0 || category.score > 100) {
+          errors.push({ field: `${at}.score`, message: "must be a number from 0 to 100" });
+        }
+      });
+      break;
+    default:
+      errors.push({
+        field: `${field}.method`,
+        message: `method must be one of: ${NORMALIZATION_METHODS.join(", ")}`,
+      });
+  }
+}
+
+/**
+ * Check a (merged) methodology before it is saved or activated; collects
+ * every problem so it can be fixed in one go.
+ */
+function validateMethodology(methodology) {
+  const errors = [];
+  const keys = new Set();
+
+  const checkNode = (node, field) => {
+    if (!node?.key) errors.push({ field: `${field}.key`, message: "is required" });
+    else if (keys.has(node.key)) errors.push({ field: `${field}.key`, message: `duplicate key "${node.key}"` });
+    else keys.add(node.key);
+    if (!node?.name) errors.push({ field: `${field}.name`, message: "is required" });
+    if (node?.weight !== undefined && (!isNumber(node.weight) || node.weight < 0)) {
+      errors.push({ field: `${field}.weight`, message: "must be a number of 0 or more" });
+    }
+  };
+
+  if (!methodology.name) errors.push({ field: "name", message: "is required" });
+  if (!Array.isArray(methodology.pillars) || !methodology.pillars.length) {
+    errors.push({ field: "pillars", message: "At least one pillar is required" });
+  }
+
+  (methodology.pillars || []).forEach((pillar, p) => {
+    const pillarField = `pillars[${p}]`;
+    checkNode(pillar, pillarField);
+    if (!Array.isArray(pillar?.indicators) || !pillar.indicators.length) {
+      errors.push({ field: `${pillarField}.indicators`, message: "At least one indicator is required" });
+    }
+
+    (pillar?.indicators || []).forEach((indicator, i) => {
+      const indicatorField = `${pillarField}.indicators[${i}]`;
+      checkNode(indicator, indicatorField);
+      if (!Array.isArray(indicator?.metrics) || !indicator.metrics.length) {
+        errors.push({ field: `${indicatorField}.metrics`, message: "At least one metric is required" });
+      }
+
+      (indicator?.metrics || []).forEach((metric, m) => {
+        const field = `${indicatorField}.metrics[${m}]`;
+        checkNode(metric, field);
+        if (!Array.isArray(metric?.numerator) || !metric.numerator.length) {
+          errors.push({ field: `${field}.numerator`, message: "At least one metric reference is required" });
+        }
+        (metric?.numerator || []).forEach((ref, r) => validateRef(ref, `${field}.numerator[${r}]`, errors));
+        (metric?.denominator || []).forEach((ref, r) => validateRef(ref, `${field}.denominator[${r}]`, errors));
+        if (metric?.basis !== undefined && !["value", "change"].includes(metric.basis)) {
+          errors.push({ field: `${field}.basis`, message: "basis must be value or change" });
+        }
+        if (
+          metric?.normalization?.method === "categorical" &&
+          ((metric.numerator || []).length > 1 || metric.denominator?.length || metric.basis === "change")
+        ) {
+          errors.push({ field, message: "categorical metrics read the text of a single metric" });
+        }
+        validateNormalization(metric?.normalization, `${field}.normalization`, errors);
+      });
+    });
+  });
+
+  for (const [priority, multiplier] of Object.entries(methodology.materiality_multipliers || {})) {
+    if (!["high", "medium", "low"].includes(priority)) {
+      errors.push({ field: `materiality_multipliers.${priority}`, message: "priority must be high, medium or low" });
+    } else if (!isNumber(multiplier) || multiplier < 0) {
+      errors.push({ field: `materiality_multipliers.${priority}`, message: "must be a number of 0 or more" });
+    }
+  }
+
+  (methodology.rating_bands || []).forEach((band, index) => {
+    if (!isNumber(band?.min)) errors.push({ field: `rating_bands[${index}].min`, message: "is required" });
+    if (!band?.rating) errors.push({ field: `rating_bands[${index}].rating`, message: "is required" });
+  });
+
+  if (errors.length) {
+    throw new AppError("Invalid scoring methodology", 400, "INVALID_METHODOLOGY", { errors });
+  }
+}
+
+function pickEditable(data) {
+  const picked = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (data[field] !== undefined) picked[field] = data[field];
+  }
+  return picked;
+}
+
+/* --------------------------- methodologies ---------------------------- */
+
+function plainMethodology(methodology) {
+  return typeof methodology.toObject === "function" ? methodology.toObject() : methodology;
+}
+
+/**
+ * The built-in methodology, marked active when no stored one is.
+ */
+function builtInMethodology(hasActive) {
+  return { ...DEFAULT_METHODOLOGY, built_in: true, status: hasActive ? "standby" : "active" };
+}
+
+async function listMethodologies() {
+  const stored = await ScoringMethodology.find()
+    .select("-pillars -materiality_multipliers -rating_bands")
+    .sort({ version: -1 })
+    .lean();
+  const { pillars, materiality_multipliers, rating_bands, ...builtIn } = builtInMethodology(
+    stored.some((methodology) => methodology.status === "active")
+  );
+  return [...stored, builtIn];
+}
+
+async function getMethodology(methodologyId) {
+  const methodology = mongoose.isValidObjectId(methodologyId)
+    ? await ScoringMethodology.findById(methodologyId)
+    : null;
+  if (!methodology) throw new AppError("Scoring methodology not found", 404, "NOT_FOUND");
+  return methodology;
+}
+
+/**
+ * The methodology scores are computed with: the given version (drafts
+ * included, so they can be tried before activation), else the active one,
+ * else the built-in default (version 0).
+ */
+async function resolveMethodology(version) {
+  if (version === undefined || version === null || version === "") {
+    const active = await ScoringMethodology.findOne({ status: "active" }).lean();
+    return active || builtInMethodology(false);
+  }
+
+  const number = Number(version);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new AppError("methodology_version must be a whole number", 400, "INVALID_VERSION");
+  }
+  if (number === 0) {
+    const hasActive = await ScoringMethodology.exists({ status: "active" });
+    return builtInMethodology(Boolean(hasActive));
+  }
+
+  const methodology = await ScoringMethodology.findOne({ version: number }).lean();
+  if (!methodology) {
+    throw new AppError(`Scoring methodology version ${number} not found`, 404, "NOT_FOUND");
+  }
+  return methodology;
+}
+
+/**
+ * Create a draft as the next version. `based_on_version` copies that
+ * version's pillars, multipliers and rating bands for the fields not given.
+ */
+async function createMethodology(data, actor) {
+  const base =
+    data.based_on_version !== undefined ? await resolveMethodology(data.based_on_version) : null;
+  const fields = {
+    ...(base ? pickEditable(plainMethodology(base)) : {}),
+    ...pickEditable(data),
+  };
+  if (!fields.rating_bands) fields.rating_bands = DEFAULT_METHODOLOGY.rating_bands;
+  if (!fields.materiality_multipliers) {
+    fields.materiality_multipliers = DEFAULT_METHODOLOGY.materiality_multipliers;
+  }
+  validateMethodology(fields);
+
+  const latest = await ScoringMethodology.findOne().sort({ version: -1 }).select("version").lean();
+  try {
+    return await ScoringMethodology.create({
+      ...fields,
+      version: (latest?.version || 0) + 1,
+      based_on_version: base ? base.version : undefined,
+      status: "draft",
+      created_by: actor?.id,
+      created_by_type: actor?.type,
+      last_updated_by: actor?.id,
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      throw new AppError(
+        "Another methodology version was created at the same time; try again",
+        409,
+        "VERSION_CONFLICT"
+      );
+    }
+    throw err;
+  }
+}
+
+function assertDraft(methodology) {
+  if (methodology.status !== "draft") {
+    throw new AppError(
+      `Version ${methodology.version} is ${methodology.status}; create a new version to change it`,
+      409,
+      "METHODOLOGY_LOCKED"
+    );
+  }
+}
+
+async function updateMethodology(methodologyId, data, actor) {
+  const methodology = await getMethodology(methodologyId);
+  assertDraft(methodology);
+
+  methodology.set(pickEditable(data));
+  validateMethodology(methodology.toObject());
+  methodology.last_updated_by = actor?.id;
+  return methodology.save();
+}
+
+/**
+ * Make a version the one scores are computed with; the version active
+ * before is retired.
+ */
+async function activateMethodology(methodologyId, actor) {
+  const methodology = await getMethodology(methodologyId);
+  if (methodology.status === "active") return methodology;
+  validateMethodology(methodology.toObject());
+
+  await ScoringMethodology.updateMany(
+    { status: "active", _id: { $ne: methodology._id } },
+    { $set: { status: "retired", retired_at: new Date() } }
+  );
+  methodology.status = "active";
+  methodology.activated_at = new Date();
+  methodology.activated_by = actor?.id;
+  methodology.retired_at = undefined;
+  return methodology.save();
+}
+
+async function deleteMethodology(methodologyId) {
+  const methodology = await getMethodology(methodologyId);
+  assertDraft(methodology);
+  await methodology.deleteOne();
+  return methodology;
+}
+
+/* ------------------------------- data ---------------------------------- */
+
+function pointYear(point) {
+  if (isNumber(point.fiscal_year)) return point.fiscal_year;
+  if (isNumber(point.year)) return point.year;
+  // "2022", "FY2023", "2022→2023" (the later year)
+  const years = String(point.year ?? "").match(/(19|20)\d{2}/g);
+  return years ? Number(years[years.length - 1]) : null;
+}
+
+function pointReading(point, metricUnit) {
+  if (point.not_reported) return null;
+  const value = isNumber(point.numeric_value)
+    ? point.numeric_value
+    : isNumber(point.value)
+      ? point.value
+      : null;
+  const text = point.value === null || point.value === undefined ? null : String(point.value);
+  if (value === null && !text) return null;
+
+  return {
+    value,
+    text,
+    unit: point.unit || metricUnit || null,
+    source: point.source || point.source_notes || null,
+  };
+}
+
+function catalogueEntry(module, record, metric, points) {
+  const years = new Map();
+  for (const point of points || []) {
+    const year = pointYear(point);
+    const reading = year === null || years.has(year) ? null : pointReading(point, metric.unit);
+    if (reading) years.set(year, reading);
+  }
+  return {
+    module,
+    record_id: record._id,
+    category: metric.category,
+    subcategory: metric.subcategory,
+    metric_name: metric.metric_name,
+    description: metric.description,
+    years,
+  };
+}
+
+/**
+ * The active metrics of several companies in each module, by company id,
+ * newest esg-data import first so it wins when two documents report the
+ * same metric. One query per module covers every company.
+ */
+async function loadCompaniesMetrics(companyIds, modules) {
+  const catalogues = new Map(
+    companyIds.map((id) => [String(id), new Map(modules.map((module) => [module, []]))])
+  );
+
+  for (const module of modules) {
+    const filter = { company: { $in: companyIds }, is_active: true };
+    const records =
+      module === "esg_data"
+        ? await ESGData.find(filter).sort({ import_date: -1 }).lean()
+        : await IMPORT_MODULES[module].find(filter).lean();
+
+    const seen = new Set();
+    for (const record of records) {
+      const company = String(record.company);
+      // Import modules keep one active record per company
+      if (module !== "esg_data" && seen.has(company)) continue;
+      seen.add(company);
+
+      const entries = catalogues.get(company)?.get(module);
+      for (const metric of record.metrics || []) {
+        if (!entries || metric.is_active === false) continue;
+        const points = module === "esg_data" ? metric.values : metric.yearly_data;
+        entries.push(catalogueEntry(module, record, metric, points));
+      }
+    }
+  }
+
+  return catalogues;
+}
+
+async function loadCompanyMetrics(companyId, modules) {
+  return (await loadCompaniesMetrics([companyId], modules)).get(String(companyId));
+}
+
+function sameText(a, b) {
+  return String(a ?? "").trim().toLowerCase() === String(b ?? "").trim().toLowerCase();
+}
+
+function refMatches(ref, entry) {
+  const pattern = ref.match ? new RegExp(ref.match, "i") : null;
+  return (
+    (!ref.category || sameText(entry.category, ref.category)) &&
+    (!ref.subcategory || sameText(entry.subcategory, ref.subcategory)) &&
+    (!ref.metric_name ||
+      sameText(entry.metric_name, ref.metric_name) ||
+      sameText(entry.description, ref.metric_name)) &&
+    (!pattern || pattern.test(entry.metric_name || "") || pattern.test(entry.description || ""))
+  );
+}
+
+function describeRef(ref) {
+  const { modules, category, subcategory, metric_name, match } = ref;
+  return { modules, category, subcategory, metric_name, match };
+}
+
+/**
+ * Each reference with the company metrics it matches, in module order.
+ */
+function compileRefs(refs, catalogue) {
+  return (refs || []).map((ref) => ({
+    ref: describeRef(ref),
+    entries: ref.modules.flatMap((module) =>
+      (catalogue.get(module) || []).filter((entry) => refMatches(ref, entry))
+    ),
+  }));
+}
+
+function readRef(compiled, year) {
+  for (const entry of compiled.entries) {
+    const reading = entry.years.get(year);
+    if (reading) return { entry, reading };
+  }
+  return null;
+}
+
+/* ------------------------------ scoring -------------------------------- */
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function clamp01(value) {
+  return Math.min(1, Math.max(0, value));
+}
+
+/**
+ * A reading in the metric's input unit. Readings whose unit is unknown
+ * ("members", "%") are taken as they are; a known unit of another
+ * dimension cannot be used.
+ */
+function inputValue(reading, inputUnit) {
+  if (reading.value === null) return { status: "not_numeric" };
+  if (!inputUnit || !reading.unit) return { value: reading.value };
+
+  const converted = convert(reading.value, reading.unit, inputUnit);
+  if (converted !== null) return { value: converted };
+  return resolveUnit(reading.unit) && resolveUnit(inputUnit)
+    ? { status: "unit_mismatch" }
+    : { value: reading.value };
+}
+
+/**
+ * Sum a metric's references for a year, recording each one read.
+ */
+function sumRefs(compiledRefs, role, year, inputUnit, inputs) {
+  let total = 0;
+  let status = null;
+
+  for (const compiled of compiledRefs) {
+    const found = readRef(compiled, year);
+    if (!found) {
+      inputs.push({ role, year, ref: compiled.ref, status: "no_data" });
+      status = status || "no_data";
+      continue;
+    }
+
+    const { entry, reading } = found;
+    const input = {
+      role,
+      year,
+      module: entry.module,
+      record_id: entry.record_id,
+      category: entry.category,
+      metric_name: entry.metric_name,
+      value: reading.value !== null ? reading.value : reading.text,
+      unit: reading.unit,
+      source: reading.source,
+    };
+    const converted = inputValue(reading, inputUnit);
+    if (converted.status) {
+      inputs.push({ ...input, status: converted.status });
+      status = status || converted.status;
+      continue;
+    }
+    if (converted.value !== reading.value) input.converted = { value: converted.value, unit: inputUnit };
+    inputs.push(input);
+    total += converted.value;
+  }
+
+  return { total, status };
+}
+
+/**
+ * A metric's value for a year: its references summed, over the
+ * denominator's when it has one, times `scale`.
+ */
+function metricValue(metric, year, inputs) {
+  const numerator = sumRefs(metric.numerator, "numerator", year, metric.input_unit, inputs);
+  if (numerator.status) return { status: numerator.status };
+  if (!metric.denominator.length) return { value: numerator.total * metric.scale };
+
+  const denominator = sumRefs(
+    metric.denominator,
+    "denominator",
+    year,
+    metric.denominator_unit || metric.input_unit,
+    inputs
+  );
+  if (denominator.status) return { status: denominator.status };
+  if (denominator.total === 0) return { status: "zero_denominator" };
+  return { value: (numerator.total / denominator.total) * metric.scale };
+}
+
+function normalizedScore(normalization, value) {
+  const { method, worst, best, target, direction } = normalization;
+  if (method === "thresholds") return clamp01((value - worst) / (best - worst)) * 100;
+
+  // target
+  if (direction === "higher_is_better") {
+    if (target <= 0) return value >= target ? 100 : 0;
+    return clamp01(value / target) * 100;
+  }
+  if (value <= target) return 100;
+  return target <= 0 ? 0 : clamp01(target / value) * 100;
+}
+
+function categoricalScore(normalization, text) {
+  const category = normalization.categories.find((c) => new RegExp(c.match, "i").test(text));
+  return category ? category.score : null;
+}
+
+/**
+ * Score one metric for a year. `status` is "scored" or why it was not:
+ * no_data, no_previous_year, not_numeric, unit_mismatch, zero_denominator,
+ * unmatched_text.
+ */
+function scoreMetric(metric, year) {
+  const inputs = [];
+  const result = {
+    key: metric.key,
+    name: metric.name,
+    weight: metric.weight,
+    basis: metric.basis,
+    unit: metric.unit,
+    normalization: metric.normalization,
+    value: null,
+    score: null,
+    status: "scored",
+    inputs,
+  };
+
+  if (metric.normalization.method === "categorical") {
+    const found = readRef(metric.numerator[0], year);
+    if (!found) {
+      inputs.push({ role: "numerator", year, ref: metric.numerator[0].ref, status: "no_data" });
+      return { ...result, status: "no_data" };
+    }
+    const text = found.reading.text ?? String(found.reading.value);
+    inputs.push({
+      role: "numerator",
+      year,
+      module: found.entry.module,
+      record_id: found.entry.record_id,
+      category: found.entry.category,
+      metric_name: found.entry.metric_name,
+      value: text,
+      source: found.reading.source,
+    });
+    const score = categoricalScore(metric.normalization, text);
+    return score === null
+      ? { ...result, value: text, status: "unmatched_text" }
+      : { ...result, value: text, score };
+  }
+
+  const current = metricValue(metric, year, inputs);
+  if (current.status) return { ...result, status: current.status };
+
+  let value = current.value;
+  if (metric.basis === "change") {
+    const previous = metricValue(metric, year - 1, inputs);
+    if (previous.status) {
+      return { ...result, status: previous.status === "no_data" ? "no_previous_year" : previous.status };
+    }
+    if (previous.value === 0) return { ...result, status: "zero_denominator" };
+    value = ((current.value - previous.value) / Math.abs(previous.value)) * 100;
+    result.previous = { year: year - 1, value: round(previous.value, 4) };
+  }
+
+  return {
+    ...result,
+    value: round(value, 4),
+    score: round(normalizedScore(metric.normalization, value), 1),
+  };
+}
+
+/**
+ * Weighted average of the scored items; coverage is the weight share (of
+ * all items) that had a score, itself weighted by the items' coverage.
+ */
+function weightedScore(items) {
+  const totalWeight = items.reduce((sum, item) => sum + item.weight, 0);
+  const scored = items.filter((item) => item.score !== null);
+  const scoredWeight = scored.reduce((sum, item) => sum + item.weight, 0);
+
+  return {
+    score:
+      scoredWeight > 0
+        ? round(scored.reduce((sum, item) => sum + item.weight * item.score, 0) / scoredWeight, 1)
+        : null,
+    coverage:
+      totalWeight > 0
+        ? round(scored.reduce((sum, item) => sum + item.weight * item.coverage, 0) / totalWeight, 2)
+        : 0,
+  };
+}
+
+function splitShare(items, share) {
+  const scoredWeight = items
+    .filter((item) => item.score !== null)
+    .reduce((sum, item) => sum + item.weight, 0);
+  return items.map((item) =>
+    item.score !== null && scoredWeight > 0 ? (share * item.weight) / scoredWeight : 0
+  );
+}
+
+/**
+ * Share of the overall score each pillar, indicator and metric carries;
+ * a metric's `contribution` is the points it adds to the overall score.
+ */
+function assignShares(pillars) {
+  splitShare(pillars, 1).forEach((pillarShare, p) => {
+    const pillar = pillars[p];
+    pillar.effective_weight = round(pillarShare, 4);
+
+    splitShare(pillar.indicators, pillarShare).forEach((indicatorShare, i) => {
+      const indicator = pillar.indicators[i];
+      indicator.effective_weight = round(indicatorShare, 4);
+
+      splitShare(indicator.metrics, indicatorShare).forEach((metricShare, m) => {
+        const metric = indicator.metrics[m];
+        metric.effective_weight = round(metricShare, 4);
+        metric.contribution = metric.score !== null ? round(metricShare * metric.score, 2) : 0;
+      });
+    });
+  });
+}
+
+function ratingFor(score, bands) {
+  if (score === null) return null;
+  const band = [...(bands || [])].sort((a, b) => b.min - a.min).find((b) => score >= b.min);
+  return band ? { rating: band.rating, description: band.description } : null;
+}
+
+/**
+ * Weight multiplier of each indicator linked to a material topic of the
+ * assessment: the multiplier of the highest priority among its topics.
+ */
+function materialityWeights(assessment, multipliers) {
+  const byIndicator = new Map();
+  if (!assessment) return byIndicator;
+
+  const ranks = ["low", "medium", "high"];
+  for (const topic of assessment.topics) {
+    for (const key of topic.scoring_indicators || []) {
+      const current = byIndicator.get(key);
+      if (!current || ranks.indexOf(topic.priority) > ranks.indexOf(current.priority)) {
+        byIndicator.set(key, {
+          priority: topic.priority,
+          multiplier: multipliers[topic.priority] ?? 1,
+          topics: [...(current?.topics || []), topic.key],
+        });
+      } else {
+        current.topics.push(topic.key);
+      }
+    }
+  }
+  return byIndicator;
+}
+
+function describeAssessment(assessment) {
+  return assessment
+    ? { id: assessment._id, year: assessment.year, title: assessment.title || null }
+    : null;
+}
+
+/**
+ * Scores of every pillar, indicator and metric for one year, with the
+ * indicator weights scaled by the materiality assessment, if any.
+ */
+function scoreYear(compiled, year, assessment = null) {
+  const materiality = materialityWeights(assessment, compiled.materiality_multipliers);
+  let metricsTotal = 0;
+  let metricsScored = 0;
+
+  const pillars = compiled.pillars.map((pillar) => {
+    const indicators = pillar.indicators.map((indicator) => {
+      const metrics = indicator.metrics.map((metric) => {
+        const scored = scoreMetric(metric, year);
+        metricsTotal += 1;
+        if (scored.score !== null) metricsScored += 1;
+        return { ...scored, coverage: scored.score !== null ? 1 : 0 };
+      });
+      const adjustment = materiality.get(indicator.key) || null;
+      return {
+        key: indicator.key,
+        name: indicator.name,
+        weight: adjustment ? indicator.weight * adjustment.multiplier : indicator.weight,
+        base_weight: indicator.weight,
+        materiality: adjustment,
+        ...weightedScore(metrics),
+        metrics,
+      };
+    });
+    return { key: pillar.key, name: pillar.name, weight: pillar.weight, ...weightedScore(indicators), indicators };
+  });
+
+  const overall = weightedScore(pillars);
+  assignShares(pillars);
+  for (const pillar of pillars) {
+    pillar.rating = ratingFor(pillar.score, compiled.rating_bands)?.rating || null;
+  }
+
+  return {
+    year,
+    materiality: describeAssessment(assessment),
+    overall: { ...overall, ...(ratingFor(overall.score, compiled.rating_bands) || { rating: null }) },
+    metrics_scored: metricsScored,
+    metrics_total: metricsTotal,
+    pillars,
+  };
+}
+
+/**
+ * The methodology with its references matched against the company's data.
+ */
+function compileMethodology(methodology, catalogue) {
+  return {
+    rating_bands: methodology.rating_bands,
+    materiality_multipliers: {
+      ...DEFAULT_METHODOLOGY.materiality_multipliers,
+      ...(methodology.materiality_multipliers || {}),
+    },
+    pillars: methodology.pillars.map((pillar) => ({
+      key: pillar.key,
+      name: pillar.name,
+      weight: pillar.weight ?? 1,
+      indicators: pillar.indicators.map((indicator) => ({
+        key: indicator.key,
+        name: indicator.name,
+        weight: indicator.weight ?? 1,
+        metrics: indicator.metrics.map((metric) => compileMetric(metric, catalogue)),
+      })),
+    })),
+  };
+}
+
+function compileMetric(metric, catalogue) {
+  return {
+    key: metric.key,
+    name: metric.name,
+    weight: metric.weight ?? 1,
+    basis: metric.basis || "value",
+    unit: metric.unit,
+    input_unit: metric.input_unit,
+    denominator_unit: metric.denominator_unit,
+    scale: metric.scale ?? 1,
+    normalization: metric.normalization,
+    numerator: compileRefs(metric.numerator, catalogue),
+    denominator: compileRefs(metric.denominator, catalogue),
+  };
+}
+
+function methodologyMetrics(methodology) {
+  return methodology.pillars.flatMap((p) => p.indicators.flatMap((i) => i.metrics));
+}
+
+function compiledMetrics(compiled) {
+  return methodologyMetrics(compiled);
+}
+
+function referencedModules(metrics) {
+  const modules = new Set();
+  for (const metric of metrics) {
+    for (const ref of [...metric.numerator, ...(metric.denominator || [])]) {
+      ref.modules.forEach((module) => modules.add(module));
+    }
+  }
+  return [...modules];
+}
+
+function availableYears(metrics) {
+  const years = new Set();
+  for (const metric of metrics) {
+    for (const ref of [...metric.numerator, ...metric.denominator]) {
+      for (const entry of ref.entries) entry.years.forEach((_, year) => years.add(year));
+    }
+  }
+  return [...years].sort((a, b) => a - b);
+}
+
+function describeMethodology(methodology) {
+  return {
+    id: methodology._id || null,
+    name: methodology.name,
+    version: methodology.version,
+    status: methodology.status,
+    built_in: Boolean(methodology.built_in),
+  };
+}
+
+/**
+ * Score a company with a methodology.
+ *
+ * @param {string} companyId
+ * @param {Object} [options]
+ * @param {number} [options.year] defaults to the latest year with a score
+ * @param {number|string} [options.version] methodology version; see resolveMethodology
+ * @param {boolean} [options.trend] add the overall and pillar scores of
+ *   every year with data
+ * @param {boolean} [options.materiality=true] false scores with the
+ *   methodology's weights only
+ * @returns {Promise<Object>} scores are null, not estimated, where no
+ *   metric could be scored
+ */
+async function scoreCompany(companyId, options = {}) {
+  const company = mongoose.isValidObjectId(companyId)
+    ? await Company.findById(companyId).select("name industry").lean()
+    : null;
+  if (!company) throw new AppError("Company not found", 404, "NOT_FOUND");
+
+  const methodology = plainMethodology(await resolveMethodology(options.version));
+  const catalogue = await loadCompanyMetrics(
+    companyId,
+    referencedModules(methodologyMetrics(methodology))
+  );
+  const compiled = compileMethodology(methodology, catalogue);
+  const years = availableYears(compiledMetrics(compiled));
+
+  // Approved assessments, oldest first; each applies from its year on
+  const assessments =
+    options.materiality === false
+      ? []
+      : await MaterialityAssessment.find({ company: company._id, status: "approved" })
+          .sort({ year: 1 })
+          .lean();
+  const assessmentFor = (year) =>
+    [...assessments].reverse().find((assessment) => assessment.year <= year) || null;
+
+  const byYear = new Map();
+  const scoresFor = (year) => {
+    if (!byYear.has(year)) byYear.set(year, scoreYear(compiled, year, assessmentFor(year)));
+    return byYear.get(year);
+  };
+
+  let year = options.year ?? null;
+  if (year === null) {
+    year = [...years].reverse().find((y) => scoresFor(y).overall.score !== null) ?? null;
+  }
+  const scores =
+    year !== null
+      ? scoresFor(year)
+      : { year: null, materiality: null, overall: { score: null, coverage: 0, rating: null }, metrics_scored: 0, metrics_total: compiledMetrics(compiled).length, pillars: [] };
+
+  const result = {
+    company: { id: company._id, name: company.name },
+    methodology: describeMethodology(methodology),
+    years_available: years,
+    ...scores,
+  };
+
+  if (options.trend) {
+    result.trend = years.map((y) => {
+      const yearScores = scoresFor(y);
+      return {
+        year: y,
+        overall: yearScores.overall.score,
+        coverage: yearScores.overall.coverage,
+        materiality_year: yearScores.materiality?.year ?? null,
+        pillars: Object.fromEntries(yearScores.pillars.map((p) => [p.key, p.score])),
+      };
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Values of metric definitions (the methodology's metric shape, without
+ * normalization) for a company, as peer benchmarks compare them; see
+ * services/benchmark_service.
+ *
+ * @param {string} companyId
+ * @param {Object[]} metrics
+ * @param {Object} [options]
+ * @param {number} [options.year] defaults, per metric, to the latest year
+ *   with a value
+ * @returns {Promise<Object[]>} `{key, year, value, status}` per metric;
+ *   value is null, with the reason in status, where none could be computed
+ */
+async function measureCompany(companyId, metrics, options = {}) {
+  const catalogue = await loadCompanyMetrics(companyId, referencedModules(metrics));
+  return measureCatalogue(catalogue, metrics, options);
+}
+
+/**
+ * measureCompany for several companies, reading all their data up front
+ * with one query per module.
+ *
+ * @param {string[]} companyIds
+ * @param {Object[]} metrics every metric that will be measured
+ * @returns {Promise<Function>} `(companyId, metrics, options)` measuring
+ *   like measureCompany, synchronously
+ */
+async function measureCompanies(companyIds, metrics) {
+  const catalogues = await loadCompaniesMetrics(companyIds, referencedModules(metrics));
+  return (companyId, subset, options = {}) =>
+    measureCatalogue(catalogues.get(String(companyId)), subset, options);
+}
+
+function measureCatalogue(catalogue, metrics, options) {
+  return metrics.map((definition) => {
+    const metric = compileMetric(definition, catalogue);
+    const years =
+      options.year !== undefined && options.year !== null
+        ? [options.year]
+        : availableYears([metric]).reverse();
+
+    let status = "no_data";
+    for (const year of years) {
+      const current = metricValue(metric, year, []);
+      if (!current.status) return { key: metric.key, year, value: round(current.value, 4), status: "measured" };
+      if (status === "no_data") status = current.status;
+    }
+    return { key: metric.key, year: options.year ?? null, value: null, status };
+  });
+}
+
+/**
+ * Where a company's score is weakest, as recommendations a dashboard can
+ * show: its lowest-scoring indicators, then indicators nothing could be
+ * scored for. Every figure is the company's own; no effects are estimated.
+ *
+ * @param {Object} scores a scoreCompany result
+ * @param {number} [limit=5]
+ * @returns {Object[]} `{area, indicator, priority, score, recommendation, metrics}`
+ */
+function improvementAreas(scores, limit = 5) {
+  const indicators = (scores.pillars || []).flatMap((pillar) =>
+    pillar.indicators.map((indicator) => ({ pillar, indicator }))
+  );
+  const priorityFor = ({ indicator }) => {
+    if (indicator.materiality?.priority === "high") return "High";
+    if (indicator.score === null) return "Medium";
+    return indicator.score < 40 ? "High" : indicator.score < 60 ? "Medium" : "Low";
+  };
+
+  const scored = indicators
+    .filter(({ indicator }) => indicator.score !== null)
+    .sort((a, b) => a.indicator.score - b.indicator.score)
+    .map((item) => ({
+      area: item.pillar.name,
+      indicator: item.indicator.name,
+      priority: priorityFor(item),
+      score: item.indicator.score,
+      recommendation: `Improve ${item.indicator.name}, which scores ${item.indicator.score}/100`,
+      metrics: item.indicator.metrics
+        .filter((metric) => metric.score !== null)
+        .sort((a, b) => a.score - b.score)
+        .map((metric) => ({ name: metric.name, value: metric.value, unit: metric.unit || null, score: metric.score })),
+    }));
+  const unscored = indicators
+    .filter(({ indicator }) => indicator.score === null)
+    .map((item) => ({
+      area: item.pillar.name,
+      indicator: item.indicator.name,
+      priority: priorityFor(item),
+      score: null,
+      recommendation: `Report data for ${item.indicator.name}; none of its metrics could be scored`,
+      metrics: item.indicator.metrics.map((metric) => ({ name: metric.name, status: metric.status })),
+    }));
+
+  return [...scored, ...unscored].slice(0, limit);
+}
+
+module.exports = {
+  DEFAULT_METHODOLOGY,
+  SCORING_MODULES,
+  validateMethodology,
+  listMethodologies,
+  getMethodology,
+  resolveMethodology,
+  createMethodology,
+  updateMethodology,
+  activateMethodology,
+  deleteMethodology,
+  ratingFor,
+  scoreCompany,
+  measureCompany,
+  measureCompanies,
+  improvementAreas,
+};
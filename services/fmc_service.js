@@ -1,6 +1,13 @@
 const FarmManagementCompliance = require("../models/fmc_model");
 const FileParser = require("../utils/file_parsers"); // Adjust path as needed
+const { previewFileImport } = require("../utils/import_preview");
+const { resolveYearlyConflicts } = require("../utils/import_conflicts");
+const {
+  templateParseOptions,
+  applyMappingTemplate,
+} = require("./import_mapping_service");
 const mongoose = require("mongoose");
+const { invalidateAfterCommit } = require("../utils/dashboard_invalidation");
 
 class FarmManagementComplianceService {
   /**
@@ -82,22 +89,11 @@ class FarmManagementComplianceService {
   async importFromFile(fileBuffer, fileName, companyId, userId, metadata = {}) {
     try {
       const fileExtension = fileName.split(".").pop().toLowerCase();
-      let parsedData;
-
-      switch (fileExtension) {
-        case "csv":
-          parsedData = await FileParser.parseCSV(fileBuffer, fileName);
-          break;
-        case "xlsx":
-        case "xls":
-          parsedData = await FileParser.parseExcel(fileBuffer, fileName);
-          break;
-        case "json":
-          parsedData = await FileParser.parseJSON(fileBuffer, fileName);
-          break;
-        default:
-          throw new Error(`Unsupported file type: ${fileExtension}`);
-      }
+      const parsedData = await FileParser.parseFile(
+        fileBuffer,
+        fileName,
+        templateParseOptions(metadata.mappingTemplate),
+      );
 
       const transformedData = this.transformParsedDataToSchema(
         parsedData,
@@ -112,9 +108,23 @@ class FarmManagementComplianceService {
       });
 
       let record;
-      const importBatchId = `${fileExtension}_import_${Date.now()}_${Math.random()
-        .toString(36)
-        .substr(2, 9)}`;
+      const importBatchId =
+        metadata.importBatchId ||
+        `${fileExtension}_import_${Date.now()}_${Math.random()
+          .toString(36)
+          .substr(2, 9)}`;
+
+      const { metrics, report } = resolveYearlyConflicts(
+        existingRecord,
+        transformedData.metrics,
+        metadata.conflictPolicy,
+        importBatchId,
+      );
+      transformedData.metrics = metrics;
+      transformedData.source_file_metadata = {
+        ...transformedData.source_file_metadata,
+        conflicts: report,
+      };
 
       if (existingRecord) {
         record = new FarmManagementCompliance({
@@ -143,6 +153,21 @@ class FarmManagementComplianceService {
     }
   }
 
+  /**
+   * Dry run of importFromFile: parse and transform the file the same way,
+   * then report what would be saved without writing anything.
+   */
+  async previewImportFromFile(fileBuffer, fileName, companyId, userId, metadata = {}) {
+    return previewFileImport(
+      { Model: FarmManagementCompliance, transform: this.transformParsedDataToSchema.bind(this) },
+      fileBuffer,
+      fileName,
+      companyId,
+      userId,
+      metadata,
+    );
+  }
+
   /**
    * Import data from JSON payload (manual / API)
    */
@@ -192,6 +217,16 @@ class FarmManagementComplianceService {
 
   // ==================== TRANSFORM & PROCESS ====================
   transformParsedDataToSchema(parsedData, companyId, userId, metadata) {
+    if (metadata.mappingTemplate) {
+      return applyMappingTemplate(
+        metadata.mappingTemplate,
+        parsedData,
+        companyId,
+        userId,
+        metadata,
+      );
+    }
+
     const fileName = metadata.fileName || "";
     // Assume any file imported through this service is farm compliance.
     return this.processFarmComplianceCSVData(
@@ -624,6 +659,7 @@ class FarmManagementComplianceService {
         record.last_updated_at = now;
         await record.save({ session });
         await session.commitTransaction();
+        await invalidateAfterCommit(session);
         return record;
       } catch (error) {
         await session.abortTransaction();
@@ -853,6 +889,7 @@ class FarmManagementComplianceService {
 
         await restoredRecord.save({ session });
         await session.commitTransaction();
+        await invalidateAfterCommit(session);
         return restoredRecord;
       } catch (error) {
         await session.abortTransaction();
@@ -0,0 +1,487 @@
+// services/import_batch_service.js
+// Rollback of an import batch: every record written with one
+// `import_batch_id` (a single file import, or every sheet of a workbook
+// job) is reverted together. Large series imports are reverted row set by
+// row set (see planSeriesRows).
+const mongoose = require("mongoose");
+const ESGData = require("../models/esg_data_model");
+const CarbonEmissionAccounting = require("../models/carbon_emission_accounting_model");
+const ImportJob = require("../models/import_job_model");
+const SeriesObservation = require("../models/series_observation_model");
+const AppError = require("../utils/app_error");
+const { recordChanges } = require("../utils/audit_trail");
+const { IMPORT_MODULES } = require("./import_mapping_service");
+const { invalidateAfterCommit } = require("../utils/dashboard_invalidation");
+
+// Edits this long after the import are flagged; the rollback discards them
+const MODIFIED_AFTER_IMPORT_MS = 60 * 1000;
+// Series rows reverted per bulk write
+const SERIES_REVERT_CHUNK = 1000;
+
+function companyFilter(companyId) {
+  return companyId ? { company: companyId } : {};
+}
+
+function modifiedAfterImport(record) {
+  const importedAt = record.import_date || record.created_at;
+  if (!importedAt || !record.last_updated_at) return false;
+  return record.last_updated_at - importedAt > MODIFIED_AFTER_IMPORT_MS;
+}
+
+/* ------------------------------- lookup -------------------------------- */
+
+/**
+ * Plan for a versioned domain record: put the version the import replaced
+ * back, or remove the record when the import created the module's first
+ * version.
+ */
+async function planDomainRecord(module, Model, record) {
+  const item = {
+    module,
+    record_id: record._id,
+    company: record.company,
+    version: record.version,
+    imported_at: record.import_date,
+    metrics_count: (record.metrics || []).length,
+    warnings: [],
+  };
+
+  if (!record.is_active) {
+    return {
+      ...item,
+      action: "skip",
+      reason: record.deleted_at ? "deleted" : "superseded",
+    };
+  }
+
+  if (modifiedAfterImport(record)) item.warnings.push("modified_after_import");
+
+  const previous = record.previous_version
+    ? await Model.findById(record.previous_version).select("version metrics").lean()
+    : null;
+
+  if (!previous) {
+    if (record.previous_version) item.warnings.push("previous_version_missing");
+    return { ...item, action: "remove" };
+  }
+
+  return {
+    ...item,
+    action: "restore_previous",
+    restores: {
+      record_id: previous._id,
+      version: previous.version,
+      metrics_count: (previous.metrics || []).length,
+    },
+  };
+}
+
+/**
+ * esg-data imports only ever add documents, so removing the batch's
+ * documents removes exactly the metric values it brought in. Values the
+ * import replaced (overwrite and restatement) are listed on the document
+ * and go back on the documents they were superseded on.
+ */
+function planEsgRecord(record) {
+  const metrics = record.metrics || [];
+  const years = new Set();
+  let valuesCount = 0;
+  for (const metric of metrics) {
+    for (const value of metric.values || []) {
+      valuesCount += 1;
+      years.add(value.year);
+    }
+  }
+
+  const item = {
+    module: "esg_data",
+    record_id: record._id,
+    company: record.company,
+    imported_at: record.import_date,
+    metrics_count: metrics.length,
+    values_count: valuesCount,
+    years: [...years].sort((a, b) => a - b),
+    warnings: modifiedAfterImport(record) ? ["modified_after_import"] : [],
+  };
+
+  if (!record.is_active) return { ...item, action: "skip", reason: "deleted" };
+  return { ...item, action: "remove", restores_values_count: (record.replaced_values || []).length };
+}
+
+/**
+ * Carbon imports merge into the company's single carbon record in place
+ * and keep no earlier copy, so they cannot be taken back automatically.
+ */
+function planCarbonRecord(record, batchId) {
+  const entry = record.data_management.import_history.find((h) => h.batch_id === batchId);
+  return {
+    module: "carbon",
+    record_id: record._id,
+    company: record.company,
+    imported_at: entry?.import_date,
+    file_name: entry?.file_name,
+    warnings: [],
+    action: "skip",
+    reason: "not_reversible",
+  };
+}
+
+/**
+ * Rows of a large series import, one item per company, module and
+ * dataset. A row the batch replaced keeps its earlier state in
+ * `superseded` and gets it back; a row the batch created is removed. Rows
+ * a later batch has replaced since belong to that batch and are left as
+ * they are, like a superseded domain version.
+ */
+async function planSeriesRows(batchId, companyId) {
+  // aggregate() does not cast, so the company id has to be an ObjectId here
+  const company = companyId ? { company: new mongoose.Types.ObjectId(String(companyId)) } : {};
+  const group = (fields) => ({
+    $group: { _id: { company: "$company", module: "$module", dataset: "$dataset" }, ...fields },
+  });
+
+  const [current, replacedLater] = await Promise.all([
+    SeriesObservation.aggregate([
+      { $match: { import_batch_id: batchId, ...company } },
+      group({
+        rows_count: { $sum: 1 },
+        rows_to_restore: {
+          $sum: {
+            $cond: [
+              { $eq: [{ $arrayElemAt: [{ $ifNull: ["$superseded.superseded_by_batch", []] }, -1] }, batchId] },
+              1,
+              0,
+            ],
+          },
+        },
+        imported_at: { $max: "$updated_at" },
+        file_name: { $first: "$source_file" },
+      }),
+    ]),
+    SeriesObservation.aggregate([
+      { $match: { "superseded.import_batch_id": batchId, ...company } },
+      group({ rows_superseded: { $sum: 1 } }),
+    ]),
+  ]);
+
+  const items = new Map();
+  const itemFor = ({ _id }) => {
+    const key = `${_id.company}:${_id.module}:${_id.dataset}`;
+    if (!items.has(key)) {
+      items.set(key, {
+        module: _id.module,
+        dataset: _id.dataset,
+        company: _id.company,
+        rows_count: 0,
+        rows_to_restore: 0,
+        rows_superseded: 0,
+        warnings: [],
+      });
+    }
+    return items.get(key);
+  };
+  for (const { _id, ...counts } of current) Object.assign(itemFor({ _id }), counts);
+  for (const { _id, rows_superseded } of replacedLater) itemFor({ _id }).rows_superseded = rows_superseded;
+
+  return [...items.values()]
+    .sort((a, b) => a.module.localeCompare(b.module) || a.dataset.localeCompare(b.dataset))
+    .map((item) => {
+      if (!item.rows_count) return { ...item, action: "skip", reason: "superseded" };
+      if (item.rows_superseded) item.warnings.push("rows_replaced_later");
+      return { ...item, action: "revert_rows" };
+    });
+}
+
+function summarize(items) {
+  const summary = { total: items.length, to_revert: 0, skipped: 0, not_reversible: 0 };
+  for (const item of items) {
+    if (item.action !== "skip") summary.to_revert += 1;
+    else if (item.reason === "not_reversible") summary.not_reversible += 1;
+    else summary.skipped += 1;
+  }
+  return summary;
+}
+
+/**
+ * Everything the batch touched and what a rollback would do with it.
+ * Nothing is changed.
+ *
+ * @param {string} batchId
+ * @param {string} [companyId] limit to one company (always set for members)
+ */
+async function previewBatch(batchId, companyId) {
+  const filter = { import_batch_id: batchId, ...companyFilter(companyId) };
+  const items = [];
+
+  for (const [module, Model] of Object.entries(IMPORT_MODULES)) {
+    const records = await Model.find(filter).sort({ version: 1 }).lean();
+    for (const record of records) {
+      items.push(await planDomainRecord(module, Model, record));
+    }
+  }
+
+  const esgRecords = await ESGData.find(filter).sort({ created_at: 1 }).lean();
+  items.push(...esgRecords.map(planEsgRecord));
+
+  const carbonRecords = await CarbonEmissionAccounting.find({
+    "data_management.import_history.batch_id": batchId,
+    ...companyFilter(companyId),
+  })
+    .select("company data_management.import_history")
+    .lean();
+  items.push(...carbonRecords.map((record) => planCarbonRecord(record, batchId)));
+
+  items.push(...(await planSeriesRows(batchId, companyId)));
+
+  if (!items.length) {
+    throw new AppError(`No records found for import batch ${batchId}`, 404, "BATCH_NOT_FOUND");
+  }
+
+  const job = await ImportJob.findOne({ batch_id: batchId, ...companyFilter(companyId) })
+    .select("_id status rolled_back_at")
+    .lean();
+
+  return {
+    batch_id: batchId,
+    job: job ? { id: job._id, status: job.status, rolled_back_at: job.rolled_back_at } : null,
+    modules: [...new Set(items.filter((i) => i.action !== "skip").map((i) => i.module))],
+    items,
+    summary: summarize(items),
+  };
+}
+
+/* ------------------------------- rollback ------------------------------ */
+
+async function removeRecord(record, userId, now, session) {
+  record.is_active = false;
+  record.deleted_at = now;
+  record.deleted_by = userId;
+  record.last_updated_by = userId;
+  record.last_updated_at = now;
+  await record.save({ session });
+}
+
+/**
+ * Move the values an esg-data import superseded back from
+ * `superseded_values` to `values` on the documents they came from.
+ *
+ * @returns {Promise<{restored: number, missing: number}>}
+ */
+async function restoreSupersededValues(record, batchId, userId, now, session) {
+  const sources = new Map();
+  let restored = 0;
+  let missing = 0;
+  for (const ref of record.replaced_values || []) {
+    const key = String(ref.record_id);
+    if (!sources.has(key)) sources.set(key, await ESGData.findById(ref.record_id).session(session));
+    const metric = sources.get(key)?.metrics.id(ref.metric_id);
+    const value = metric?.superseded_values.id(ref.value_id);
+    if (!value || value.superseded_by_batch !== batchId) {
+      // Already put back through another document of the batch
+      if (!metric?.values.id(ref.value_id)) missing += 1;
+      continue;
+    }
+
+    const { superseded_by_batch, superseded_at, ...data } = value.toObject();
+    metric.values.push(data);
+    metric.superseded_values.pull(ref.value_id);
+    restored += 1;
+  }
+
+  for (const source of sources.values()) {
+    if (!source || !source.isModified()) continue;
+    source.last_updated_by = userId;
+    source.last_updated_at = now;
+    await source.save({ session });
+  }
+  return { restored, missing };
+}
+
+/**
+ * Put back what the batch replaced in one series item's rows and delete
+ * the rows it created, a chunk at a time, auditing every row.
+ *
+ * @returns {Promise<{restored: number, removed: number}>}
+ */
+async function revertSeriesRows(item, batchId) {
+  const filter = {
+    import_batch_id: batchId,
+    company: item.company,
+    module: item.module,
+    dataset: item.dataset,
+  };
+  const meta = { module: item.module, model: SeriesObservation.modelName };
+  const outcome = { restored: 0, removed: 0 };
+
+  for (;;) {
+    const rows = await SeriesObservation.find(filter).limit(SERIES_REVERT_CHUNK).select("-__v").lean();
+    if (!rows.length) break;
+
+    const operations = [];
+    const audits = [];
+    for (const { superseded = [], ...row } of rows) {
+      // Matching on the batch too skips rows another import took over meanwhile
+      const target = { _id: row._id, import_batch_id: batchId };
+      const previous = superseded[superseded.length - 1];
+      if (previous?.superseded_by_batch !== batchId) {
+        operations.push({ deleteOne: { filter: target } });
+        audits.push({ before: row, after: null });
+        continue;
+      }
+
+      const { superseded_by_batch, superseded_at, ...state } = previous;
+      const $set = { values: state.values || {} };
+      const $unset = {};
+      for (const field of ["attributes", "month", "import_batch_id", "source_file", "source_row", "created_by"]) {
+        if (state[field] === undefined) $unset[field] = "";
+        else $set[field] = state[field];
+      }
+      operations.push({
+        updateOne: { filter: target, update: { $set, $unset, $pop: { superseded: 1 } } },
+      });
+      const after = { ...row, ...$set };
+      for (const field of Object.keys($unset)) delete after[field];
+      audits.push({ before: row, after, action: "restore" });
+    }
+
+    let result;
+    let failure = null;
+    const failed = new Set();
+    try {
+      result = await SeriesObservation.bulkWrite(operations, { ordered: false });
+    } catch (error) {
+      if (!error.writeErrors) throw error;
+      result = error.result;
+      failure = error;
+      for (const writeError of error.writeErrors) failed.add(writeError.index);
+    }
+    await recordChanges(meta, audits.filter((audit, index) => !failed.has(index)));
+    if (failure) throw failure;
+
+    const removed = result?.deletedCount || 0;
+    const restored = result?.modifiedCount || 0;
+    outcome.removed += removed;
+    outcome.restored += restored;
+    // Every row left the filter or was taken over; stop rather than loop
+    if (!removed && !restored) break;
+  }
+  return outcome;
+}
+
+/**
+ * Same shape as the services' restoreVersion: the batch's version is
+ * retired and a copy of the version it replaced becomes the active one.
+ * The copy drops the old batch id so rolling back an earlier batch later
+ * does not pick it up.
+ */
+async function restorePrevious(Model, record, previous, batchId, userId, now, session) {
+  await removeRecord(record, userId, now, session);
+
+  const { _id, __v, import_batch_id, deleted_at, deleted_by, ...data } = previous.toObject();
+  const restored = new Model({
+    ...data,
+    _id: new mongoose.Types.ObjectId(),
+    previous_version: record._id,
+    version: record.version + 1,
+    is_active: true,
+    created_by: userId,
+    created_at: now,
+    last_updated_by: userId,
+    last_updated_at: now,
+    restored_from: previous._id,
+    restore_notes: `Import batch ${batchId} rolled back; restored version ${previous.version} on ${now.toISOString()}`,
+  });
+  await restored.save({ session });
+  return restored;
+}
+
+/**
+ * Revert every record of the batch in one transaction: either the whole
+ * batch is rolled back or nothing is. Series rows are reverted once that
+ * has committed; a failure there leaves the rest for another rollback.
+ *
+ * @param {string} batchId
+ * @param {string} [companyId] limit to one company (always set for members)
+ * @param {string} userId
+ * @returns {Promise<Object>} the preview, with each item's outcome
+ */
+async function rollbackBatch(batchId, companyId, userId) {
+  const plan = await previewBatch(batchId, companyId);
+  if (!plan.summary.to_revert) {
+    throw new AppError(
+      `Import batch ${batchId} has nothing left to roll back`,
+      409,
+      "NOTHING_TO_ROLL_BACK",
+      { summary: plan.summary }
+    );
+  }
+
+  const now = new Date();
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    for (const item of plan.items) {
+      if (item.action === "skip") {
+        item.status = "skipped";
+        continue;
+      }
+      // Series rows can run to millions; they are reverted after the commit
+      if (item.action === "revert_rows") continue;
+
+      const Model = item.module === "esg_data" ? ESGData : IMPORT_MODULES[item.module];
+      const record = await Model.findById(item.record_id).session(session);
+      if (!record || !record.is_active || record.import_batch_id !== batchId) {
+        throw new AppError(
+          `Record ${item.record_id} (${item.module}) changed while the rollback ran`,
+          409,
+          "BATCH_CHANGED"
+        );
+      }
+
+      if (item.action === "restore_previous") {
+        const previous = await Model.findById(item.restores.record_id).session(session);
+        const restored = await restorePrevious(Model, record, previous, batchId, userId, now, session);
+        item.restored_record_id = restored._id;
+        item.restored_version = restored.version;
+      } else {
+        await removeRecord(record, userId, now, session);
+        if (item.module === "esg_data" && item.restores_values_count) {
+          const { restored, missing } = await restoreSupersededValues(record, batchId, userId, now, session);
+          if (missing) item.warnings.push("replaced_values_missing");
+          item.values_restored = restored;
+        }
+      }
+      item.status = "reverted";
+    }
+
+    await ImportJob.updateOne(
+      { batch_id: batchId },
+      { $set: { rolled_back_at: now, rolled_back_by: userId } },
+      { session }
+    );
+
+    await session.commitTransaction();
+    await invalidateAfterCommit(session);
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+
+  for (const item of plan.items) {
+    if (item.action !== "revert_rows") continue;
+    const { restored, removed } = await revertSeriesRows(item, batchId);
+    item.rows_restored = restored;
+    item.rows_removed = removed;
+    item.status = "reverted";
+  }
+
+  return { ...plan, rolled_back_at: now };
+}
+
+module.exports = {
+  previewBatch,
+  rollbackBatch,
+};
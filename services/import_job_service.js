@@ -0,0 +1,698 @@
+// services/import_job_service.js
+const fs = require("fs");
+const path = require("path");
+const { EventEmitter } = require("events");
+const mongoose = require("mongoose");
+const ImportJob = require("../models/import_job_model");
+const AppError = require("../utils/app_error");
+const FileParser = require("../utils/file_parsers");
+const logger = require("../utils/logger");
+const { runWithContext } = require("../utils/request_context");
+const importMappingService = require("./import_mapping_service");
+const workbookImportService = require("./workbook_import_service");
+const esgDataService = require("./esg_data_service");
+const carbonEmissionService = require("./carbon_emission_service");
+const seriesImportService = require("./series_import_service");
+const { LARGE_UPLOAD_DIR } = require("../middlewares/uploadMiddleware");
+
+const { DOMAIN_SERVICES } = workbookImportService;
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+const RETRY_BASE_DELAY_MS = parseInt(process.env.IMPORT_JOB_RETRY_DELAY_MS, 10) || 30 * 1000;
+const MAX_RETRY_DELAY_MS = 15 * 60 * 1000;
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+const MAX_LIMIT = 100;
+// Temp files younger than this may still belong to a request in flight
+const ORPHANED_UPLOAD_AGE_MS = 60 * 60 * 1000;
+
+// Lets the worker pick a job up as soon as it is queued instead of on its
+// next poll
+const events = new EventEmitter();
+
+function onJobQueued(listener) {
+  events.on("queued", listener);
+}
+
+/* ------------------------------- queueing ------------------------------ */
+
+/**
+ * Store the uploaded file and what to do with it; the worker runs it.
+ * In-memory uploads are copied onto the job, disk uploads (large imports)
+ * are referenced by path. The caller is recorded so the audit trail
+ * attributes the writes to them.
+ */
+async function enqueueImportJob(req, { type, companyId, modules, params = {} }) {
+  const job = new ImportJob({
+    type,
+    company: companyId,
+    modules,
+    params,
+    file: {
+      name: req.file.originalname,
+      size: req.file.size,
+      mime_type: req.file.mimetype,
+      data: req.file.buffer,
+      path: req.file.path,
+    },
+    max_attempts: DEFAULT_MAX_ATTEMPTS,
+    requested_by: req.user._id,
+    requested_by_type: req.userType,
+    requested_by_email: req.user.email,
+    request_id: req.requestId,
+    ip: req.ip,
+  });
+  job.batch_id = `import_job_${job._id}`;
+
+  await job.save();
+  events.emit("queued", job);
+  return job;
+}
+
+/**
+ * Queue a domain `import-file` upload. `metadata` is the controller's
+ * import metadata; the mapping template is stored by id and loaded again
+ * when the job runs. Conflicts with the active record are found by the
+ * job (see runJob).
+ */
+async function enqueueFileImport(req, module, companyId, metadata = {}) {
+  const { mappingTemplate, ...rest } = metadata;
+  return enqueueImportJob(req, {
+    type: "domain_file",
+    companyId,
+    modules: [module],
+    params: {
+      module,
+      metadata: rest,
+      mapping_template_id: mappingTemplate?._id?.toString(),
+    },
+  });
+}
+
+/* -------------------------------- queries ------------------------------ */
+
+async function getJob(jobId) {
+  if (!mongoose.Types.ObjectId.isValid(jobId)) {
+    throw new AppError("Invalid identifier format", 400, "INVALID_ID", {
+      path: "id",
+      value: jobId,
+    });
+  }
+  const job = await ImportJob.findById(jobId);
+  if (!job) throw new AppError("Import job not found", 404, "NOT_FOUND");
+  return job;
+}
+
+async function listJobs({ companyId, status, type, page = 1, limit = 20 } = {}) {
+  const filter = {};
+  if (companyId) filter.company = companyId;
+  if (status) filter.status = status;
+  if (type) filter.type = type;
+
+  const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), MAX_LIMIT);
+
+  const [items, total] = await Promise.all([
+    ImportJob.find(filter)
+      .sort({ created_at: -1 })
+      .skip((pageNum - 1) * pageSize)
+      .limit(pageSize),
+    ImportJob.countDocuments(filter),
+  ]);
+
+  return {
+    items,
+    total,
+    page: pageNum,
+    limit: pageSize,
+    totalPages: Math.ceil(total / pageSize),
+  };
+}
+
+/** Whether the job's upload is still stored (on the job or on disk) */
+async function hasUpload(job) {
+  if (job.file?.data?.length) return true;
+  if (!job.file?.path) return false;
+  return fs.promises.access(job.file.path).then(
+    () => true,
+    () => false
+  );
+}
+
+function canRetry(job) {
+  return ["failed", "partial", "conflicts"].includes(job.status) && !job.rolled_back_at;
+}
+
+/**
+ * Set the conflict policy the job's import runs with; where it is kept
+ * depends on the job type.
+ */
+function setConflictPolicy(job, conflictPolicy) {
+  if (job.type === "esg_data_file") {
+    job.params = { ...job.params, conflict_policy: conflictPolicy };
+  } else if (job.type === "domain_file" || job.type === "workbook") {
+    job.params = {
+      ...job.params,
+      metadata: { ...job.params.metadata, conflictPolicy },
+    };
+  } else {
+    throw new AppError(`${job.type} jobs take no conflict_policy`, 400, "INVALID_CONFLICT_POLICY");
+  }
+  job.markModified("params");
+}
+
+/**
+ * Public shape of a job; `failures` is reported as `errors`.
+ */
+function describeJob(job) {
+  return {
+    id: job._id,
+    type: job.type,
+    status: job.status,
+    company: job.company,
+    modules: job.modules,
+    batch_id: job.batch_id,
+    file: { name: job.file?.name, size: job.file?.size },
+    progress: job.progress,
+    counts: job.counts,
+    result: job.result,
+    errors: job.failures,
+    attempts: job.attempts,
+    can_retry: canRetry(job),
+    created_at: job.created_at,
+    started_at: job.started_at,
+    finished_at: job.finished_at,
+    rolled_back_at: job.rolled_back_at,
+    status_url: `/api/v1/jobs/${job._id}`,
+  };
+}
+
+/**
+ * Put a failed (or partly failed) job back in the queue. The stored file
+ * is reused and the batch id is kept; a workbook job only re-imports the
+ * sheets that did not make it, and a series job reads its whole file again
+ * (rows already written are replaced, not duplicated). A job that stopped
+ * on conflicts needs `conflictPolicy` to settle them.
+ *
+ * @param {string} jobId
+ * @param {Object} [options] conflictPolicy, as parseConflictPolicy returns it
+ */
+async function retryJob(jobId, { conflictPolicy = null } = {}) {
+  const job = await ImportJob.findById(jobId).select("+file.data");
+  if (!job) throw new AppError("Import job not found", 404, "NOT_FOUND");
+
+  if (job.rolled_back_at) {
+    throw new AppError("The job's import batch has been rolled back", 409, "JOB_ROLLED_BACK");
+  }
+  if (!canRetry(job)) {
+    throw new AppError(
+      `Only failed or partially failed jobs can be retried (status: ${job.status})`,
+      409,
+      "JOB_NOT_RETRYABLE"
+    );
+  }
+  if (job.status === "conflicts" && !conflictPolicy) {
+    throw new AppError(
+      "The job stopped on conflicting values; retry it with a conflict_policy",
+      400,
+      "CONFLICT_POLICY_REQUIRED",
+      { conflicts: job.result?.conflicts }
+    );
+  }
+  if (!(await hasUpload(job))) {
+    throw new AppError("The uploaded file is no longer available", 410, "JOB_FILE_EXPIRED");
+  }
+
+  if (conflictPolicy) setConflictPolicy(job, conflictPolicy);
+  job.set({
+    status: "queued",
+    run_after: new Date(),
+    progress: { percent: 0, stage: "queued" },
+    max_attempts: job.attempts + DEFAULT_MAX_ATTEMPTS,
+    locked_by: undefined,
+    finished_at: undefined,
+  });
+  await job.save();
+  events.emit("queued", job);
+  return job;
+}
+
+/* -------------------------------- worker ------------------------------- */
+
+/**
+ * Atomically take the oldest runnable job for `workerId`.
+ */
+function claimNextJob(workerId) {
+  const now = new Date();
+  return ImportJob.findOneAndUpdate(
+    { status: "queued", run_after: { $lte: now } },
+    {
+      $set: {
+        status: "running",
+        locked_by: workerId,
+        heartbeat_at: now,
+        started_at: now,
+        progress: { percent: 0, stage: "starting" },
+      },
+      $inc: { attempts: 1 },
+    },
+    { sort: { created_at: 1 }, returnDocument: "after" }
+  );
+}
+
+/**
+ * Jobs whose worker stopped heart-beating (process crash or restart) are
+ * queued again, or failed once they have used up their attempts.
+ */
+async function requeueStaleJobs(staleAfterMs) {
+  const cutoff = new Date(Date.now() - staleAfterMs);
+  const stale = { status: "running", heartbeat_at: { $lt: cutoff } };
+  const failure = {
+    message: "The worker stopped while running this job",
+    at: new Date(),
+  };
+
+  const requeued = await ImportJob.updateMany(
+    { ...stale, $expr: { $lt: ["$attempts", "$max_attempts"] } },
+    {
+      $set: { status: "queued", run_after: new Date(), locked_by: null },
+      $push: { failures: failure },
+    }
+  );
+  const failed = await ImportJob.updateMany(
+    { ...stale, $expr: { $gte: ["$attempts", "$max_attempts"] } },
+    {
+      $set: { status: "failed", finished_at: new Date(), locked_by: null },
+      $push: { failures: failure },
+    }
+  );
+
+  return { requeued: requeued.modifiedCount, failed: failed.modifiedCount };
+}
+
+/**
+ * Delete large-upload temp files no job refers to any more: uploads whose
+ * request failed before a job was queued, and files of jobs that have
+ * expired. Succeeded jobs delete their own file.
+ */
+async function removeOrphanedUploads() {
+  let names;
+  try {
+    names = await fs.promises.readdir(LARGE_UPLOAD_DIR);
+  } catch (err) {
+    if (err.code === "ENOENT") return 0;
+    throw err;
+  }
+
+  const cutoff = Date.now() - ORPHANED_UPLOAD_AGE_MS;
+  const candidates = [];
+  for (const name of names) {
+    const filePath = path.join(LARGE_UPLOAD_DIR, name);
+    const stat = await fs.promises.stat(filePath).catch(() => null);
+    if (stat?.isFile() && stat.mtimeMs < cutoff) candidates.push(filePath);
+  }
+  if (!candidates.length) return 0;
+
+  const referenced = new Set(
+    await ImportJob.distinct("file.path", { "file.path": { $in: candidates } })
+  );
+  let removed = 0;
+  for (const filePath of candidates) {
+    if (referenced.has(filePath)) continue;
+    await fs.promises.unlink(filePath).catch(() => {});
+    removed += 1;
+  }
+  return removed;
+}
+
+/** Data rows in a tabular upload; null when the file is not tabular */
+async function countRows(buffer, fileName) {
+  try {
+    const parsed = await FileParser.parseFile(buffer, fileName, { raw: true });
+    return parsed.raw_data.length;
+  } catch (err) {
+    return null;
+  }
+}
+
+function sumMetrics(records) {
+  return records.reduce((sum, record) => sum + (record.metrics?.length || 0), 0);
+}
+
+// Each handler runs one job type and resolves to
+// { status, counts, result, failures }; throwing fails the whole job.
+const HANDLERS = {
+  async domain_file(job, buffer, report) {
+    const { module, metadata = {}, mapping_template_id } = job.params;
+
+    await report({ stage: "parsing", percent: 10 }, {
+      rows_total: await countRows(buffer, job.file.name),
+    });
+    const mappingTemplate = await importMappingService.getTemplateForImport(
+      job.company,
+      mapping_template_id,
+      module
+    );
+
+    await report({ stage: "importing", percent: 40 });
+    const record = await DOMAIN_SERVICES[module].importFromFile(
+      buffer,
+      job.file.name,
+      job.company,
+      job.requested_by,
+      { ...metadata, mappingTemplate, importBatchId: job.batch_id }
+    );
+
+    return {
+      status: "succeeded",
+      counts: { metrics_imported: record.metrics.length, records_written: 1 },
+      result: {
+        record_id: record._id,
+        version: record.version,
+        import_date: record.import_date,
+        import_source: record.import_source,
+        metrics_count: record.metrics.length,
+        summary_stats: record.summary_stats,
+        conflicts: record.source_file_metadata?.conflicts,
+      },
+    };
+  },
+
+  async workbook(job, buffer, report) {
+    const { sheet_routes, metadata = {} } = job.params;
+
+    const plan = await workbookImportService.planWorkbook(
+      buffer,
+      job.file.name,
+      job.company,
+      sheet_routes
+    );
+    let rowsTotal = 0;
+    for (const entry of plan) {
+      if (entry.module && !entry.empty) {
+        rowsTotal += (await countRows(entry.buffer, entry.file_name)) || 0;
+      }
+    }
+    await report({ stage: "importing", percent: 10 }, {
+      rows_total: rowsTotal,
+      sheets_total: plan.length,
+      sheets_done: 0,
+    });
+
+    const outcome = await workbookImportService.importWorkbook(
+      plan,
+      job.company,
+      job.requested_by,
+      metadata,
+      {
+        importBatchId: job.batch_id,
+        previousSheets: job.result?.sheets,
+        onSheetDone: (sheet, index) =>
+          report(
+            {
+              stage: "importing",
+              percent: 10 + Math.round((85 * (index + 1)) / plan.length),
+              message: `${sheet.sheet}: ${sheet.status}`,
+            },
+            { sheets_done: index + 1 }
+          ),
+      }
+    );
+
+    const imported = outcome.sheets.filter((sheet) => sheet.status === "imported");
+    const { summary } = outcome;
+    return {
+      status: summary.failed ? (summary.imported ? "partial" : "failed") : "succeeded",
+      counts: {
+        metrics_imported: imported.reduce((sum, sheet) => sum + (sheet.metrics_count || 0), 0),
+        records_written: imported.reduce(
+          (sum, sheet) => sum + (sheet.record_ids ? sheet.record_ids.length : 1),
+          0
+        ),
+      },
+      result: { sheets: outcome.sheets, summary },
+      failures: outcome.sheets
+        .filter((sheet) => sheet.status === "failed")
+        .map((sheet) => ({ message: sheet.error, sheet: sheet.sheet })),
+    };
+  },
+
+  async esg_data_file(job, buffer, report) {
+    await report({ stage: "parsing", percent: 10 }, {
+      rows_total: await countRows(buffer, job.file.name),
+    });
+
+    // One report over esg-data and the synced modules, rather than the
+    // first of them to refuse the import
+    if (!job.params.conflict_policy) {
+      const conflicts = await esgDataService.checkImportConflicts(
+        buffer,
+        job.params.file_type,
+        job.company,
+        job.file.name,
+        { syncModules: job.params.sync_modules }
+      );
+      if (conflicts.conflicts_count) return { status: "conflicts", result: { conflicts } };
+    }
+
+    await report({ stage: "importing", percent: 40 });
+    const outcome = await esgDataService.parseAndProcessFile(
+      buffer,
+      job.params.file_type,
+      job.company,
+      job.requested_by,
+      job.file.name,
+      {
+        importBatchId: job.batch_id,
+        syncModules: job.params.sync_modules,
+        conflictPolicy: job.params.conflict_policy,
+      }
+    );
+
+    return {
+      status: "succeeded",
+      counts: {
+        metrics_imported: sumMetrics(outcome.data),
+        records_written: outcome.count + outcome.modules.length,
+      },
+      result: {
+        count: outcome.count,
+        record_ids: outcome.data.map((record) => record._id),
+        modules: outcome.modules,
+        duplicate_rows: outcome.duplicate_rows,
+        conflicts: outcome.conflicts,
+        module_conflicts: outcome.module_conflicts,
+      },
+    };
+  },
+
+  async carbon_file(job, buffer, report) {
+    const { file_type, year, import_notes } = job.params;
+
+    await report({ stage: "parsing", percent: 10 }, {
+      rows_total: await countRows(buffer, job.file.name),
+    });
+
+    await report({ stage: "importing", percent: 40 });
+    const outcome = await carbonEmissionService.uploadCarbonEmissionFile(
+      {
+        originalname: job.file.name,
+        buffer,
+        size: job.file.size,
+        mimetype: job.file.mime_type,
+      },
+      file_type,
+      job.company,
+      year,
+      job.requested_by,
+      import_notes,
+      { batchId: job.batch_id }
+    );
+
+    return {
+      status: "succeeded",
+      counts: { records_written: outcome.recordsProcessed },
+      result: outcome,
+    };
+  },
+
+  // Large CSVs are read from the job's temp file, never from a buffer
+  async series_file(job, buffer, report) {
+    const { module, dataset, columns, chunk_size } = job.params;
+
+    await report({ stage: "importing", percent: 0 });
+    const outcome = await seriesImportService.importSeriesFile(job.file.path, {
+      companyId: job.company,
+      module,
+      dataset,
+      columns,
+      fileName: job.file.name,
+      batchId: job.batch_id,
+      userId: job.requested_by,
+      chunkSize: chunk_size,
+      onProgress: (progress) =>
+        report(
+          {
+            stage: "importing",
+            percent: Math.min(99, Math.floor((100 * progress.bytes_read) / (progress.bytes_total || 1))),
+            message: `${progress.rows_read} rows read`,
+          },
+          { rows_written: progress.rows_written, rows_failed: progress.rows_failed }
+        ),
+    });
+
+    const { failures, ...result } = outcome;
+    let status = "succeeded";
+    if (outcome.rows_failed) status = outcome.rows_written ? "partial" : "failed";
+    return {
+      status,
+      counts: {
+        rows_total: outcome.rows_total,
+        rows_written: outcome.rows_written,
+        rows_failed: outcome.rows_failed,
+        records_written: outcome.rows_written,
+      },
+      result,
+      failures: failures.map((failure) => ({ message: failure.message, row: failure.row })),
+    };
+  },
+};
+
+// Failures that may pass on their own (network, failover, write conflict).
+// Anything else comes from the file or the data, and a re-run repeats it.
+const TRANSIENT_ERROR_NAMES = [
+  "MongoNetworkError",
+  "MongoNetworkTimeoutError",
+  "MongoServerSelectionError",
+  "MongooseServerSelectionError",
+  "MongoWriteConcernError",
+];
+const TRANSIENT_ERROR_LABELS = ["TransientTransactionError", "RetryableWriteError"];
+
+function isTransientError(err) {
+  return (
+    TRANSIENT_ERROR_NAMES.includes(err.name) ||
+    TRANSIENT_ERROR_LABELS.some((label) => err.hasErrorLabel?.(label))
+  );
+}
+
+/** 30s after the first failed attempt, then doubling, capped */
+function retryDelayMs(attempt) {
+  return Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempt - 1), MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Run a claimed job to completion and record the outcome. A job that
+ * failed on a transient error is queued again after a back-off until it
+ * has used up `max_attempts`; the status is then "queued". Runs in a
+ * request context carrying the original caller, so the audit trail
+ * attributes the writes to them rather than to "system".
+ */
+async function runJob(claimed, workerId) {
+  const job = await ImportJob.findById(claimed._id).select("+file.data");
+  if (!job) return null;
+  const mine = { _id: job._id, locked_by: workerId };
+
+  const report = async (progress = {}, counts = {}) => {
+    const set = { heartbeat_at: new Date() };
+    for (const [key, value] of Object.entries(progress)) set[`progress.${key}`] = value;
+    for (const [key, value] of Object.entries(counts)) set[`counts.${key}`] = value;
+    await ImportJob.updateOne(mine, { $set: set });
+  };
+  const heartbeat = setInterval(() => {
+    report().catch((err) =>
+      logger.error("Import job heartbeat failed", { job: String(job._id), error: err.message })
+    );
+  }, HEARTBEAT_INTERVAL_MS);
+  heartbeat.unref();
+
+  const context = {
+    requestId: job.request_id,
+    ip: job.ip,
+    actor: {
+      id: job.requested_by,
+      type: job.requested_by_type,
+      email: job.requested_by_email,
+    },
+  };
+
+  let outcome;
+  try {
+    if (!(await hasUpload(job))) throw new Error("The uploaded file is no longer available");
+    outcome = await runWithContext(context, () =>
+      HANDLERS[job.type](job, job.file.data?.length ? job.file.data : null, report)
+    );
+  } catch (err) {
+    if (err.code === "IMPORT_CONFLICTS") {
+      // Refused before anything was written; retried with a policy
+      outcome = { status: "conflicts", result: { conflicts: err.details } };
+    } else {
+      logger.error("Import job failed", { job: String(job._id), type: job.type, error: err.message });
+      outcome = {
+        status: "failed",
+        failures: [{ message: err.message }],
+        transient: isTransientError(err),
+      };
+    }
+  } finally {
+    clearInterval(heartbeat);
+  }
+
+  const retry = outcome.transient && job.attempts < job.max_attempts;
+  const set = retry
+    ? {
+        status: "queued",
+        run_after: new Date(Date.now() + retryDelayMs(job.attempts)),
+        progress: {
+          percent: 0,
+          stage: "queued",
+          message: `Attempt ${job.attempts} of ${job.max_attempts} failed; retrying`,
+        },
+        locked_by: null,
+      }
+    : {
+        status: outcome.status,
+        progress: {
+          percent: 100,
+          stage: outcome.status === "succeeded" ? "done" : outcome.status,
+        },
+        finished_at: new Date(),
+        locked_by: null,
+      };
+  for (const [key, value] of Object.entries(outcome.counts || {})) set[`counts.${key}`] = value;
+  if (outcome.result !== undefined) set.result = outcome.result;
+
+  const update = {
+    $set: set,
+    $push: {
+      failures: {
+        $each: (outcome.failures || []).map((failure) => ({
+          ...failure,
+          attempt: job.attempts,
+          at: new Date(),
+        })),
+      },
+    },
+  };
+  // Keep the upload only while a retry may still need it
+  if (outcome.status === "succeeded") update.$unset = { "file.data": "", "file.path": "" };
+
+  await ImportJob.updateOne(mine, update);
+  if (outcome.status === "succeeded" && job.file.path) {
+    await fs.promises.unlink(job.file.path).catch(() => {});
+  }
+  return set.status;
+}
+
+module.exports = {
+  onJobQueued,
+  enqueueImportJob,
+  enqueueFileImport,
+  getJob,
+  listJobs,
+  describeJob,
+  retryJob,
+  claimNextJob,
+  requeueStaleJobs,
+  removeOrphanedUploads,
+  runJob,
+};
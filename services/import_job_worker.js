@@ -0,0 +1,86 @@
+// services/import_job_worker.js
+const os = require("os");
+const crypto = require("crypto");
+const importJobService = require("./import_job_service");
+const logger = require("../utils/logger");
+
+const POLL_INTERVAL_MS = parseInt(process.env.IMPORT_JOB_POLL_MS, 10) || 2000;
+// A running job whose heartbeat is older than this is treated as orphaned
+const STALE_AFTER_MS = parseInt(process.env.IMPORT_JOB_STALE_MS, 10) || 10 * 60 * 1000;
+const STALE_CHECK_INTERVAL_MS = 60 * 1000;
+
+/**
+ * In-process worker for the import job queue. Runs one job at a time and
+ * polls the collection, so several app instances can share the queue;
+ * set IMPORT_WORKER_ENABLED=false on instances that should only serve HTTP.
+ */
+class ImportJobWorker {
+  constructor() {
+    this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString("hex")}`;
+    this.running = false;
+    this.busy = false;
+    this.timer = null;
+    this.lastStaleCheck = 0;
+
+    importJobService.onJobQueued(() => this.wake());
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+    logger.info("Import job worker started", { worker: this.workerId });
+    this.schedule(0);
+  }
+
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+  }
+
+  wake() {
+    if (this.running && !this.busy) this.schedule(0);
+  }
+
+  schedule(delayMs) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.tick(), delayMs);
+    this.timer.unref();
+  }
+
+  async tick() {
+    if (this.busy) return;
+    this.busy = true;
+
+    try {
+      if (Date.now() - this.lastStaleCheck >= STALE_CHECK_INTERVAL_MS) {
+        this.lastStaleCheck = Date.now();
+        const { requeued, failed } = await importJobService.requeueStaleJobs(STALE_AFTER_MS);
+        if (requeued || failed) {
+          logger.warn("Recovered stale import jobs", { requeued, failed });
+        }
+        const removed = await importJobService.removeOrphanedUploads();
+        if (removed) logger.info("Removed orphaned import uploads", { removed });
+      }
+
+      let job;
+      while (this.running && (job = await importJobService.claimNextJob(this.workerId))) {
+        const status = await importJobService.runJob(job, this.workerId);
+        if (status === "queued") {
+          logger.warn("Import job failed, queued for another attempt", {
+            job: String(job._id),
+            type: job.type,
+          });
+        } else {
+          logger.info("Import job finished", { job: String(job._id), type: job.type, status });
+        }
+      }
+    } catch (err) {
+      logger.error("Import job worker error", { error: err.message });
+    } finally {
+      this.busy = false;
+      if (this.running) this.schedule(POLL_INTERVAL_MS);
+    }
+  }
+}
+
+module.exports = new ImportJobWorker();
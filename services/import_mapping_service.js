@@ -0,0 +1,351 @@
+// services/import_mapping_service.js
+const ImportMappingTemplate = require("../models/import_mapping_template_model");
+const AppError = require("../utils/app_error");
+
+// Modules with an `import-file` endpoint, and the model each one writes
+const IMPORT_MODULES = {
+  biodiversity: require("../models/biodiversity_and_landuse_model"),
+  crop_yield: require("../models/crop_yield_model"),
+  irrigation: require("../models/irrigation_eff_model"),
+  farm_compliance: require("../models/fmc_model"),
+  energy: require("../models/energy_consumption_model"),
+  waste: require("../models/waste_management_model"),
+  workforce: require("../models/workforce_diversity_model"),
+  health_safety: require("../models/health_safety_model"),
+  governance: require("../models/governance_board_model"),
+  community: require("../models/community_engagement_model"),
+  overall_esg: require("../models/overall_esg_model"),
+};
+
+const EDITABLE_FIELDS = [
+  "name",
+  "description",
+  "module",
+  "layout",
+  "year_column",
+  "label_column",
+  "unit_column",
+  "sheet_name",
+  "mappings",
+  "is_active",
+];
+
+// Column headers that name a year: "2024", "2023/24", "FY24", "FY 2024"
+const YEAR_HEADER = /^(FY\s?\d{2,4}|(19|20)\d{2}(\/\d{2,4})?)$/i;
+
+/* ----------------------------- validation ----------------------------- */
+
+function categoriesFor(module) {
+  const metricSchema = IMPORT_MODULES[module].schema.path("metrics")?.schema;
+  return metricSchema?.path("category")?.enumValues || [];
+}
+
+/**
+ * Check a (merged) template before it is saved; collects every problem so
+ * the client can fix them in one go.
+ */
+function validateTemplate(template) {
+  const errors = [];
+
+  if (!IMPORT_MODULES[template.module]) {
+    errors.push({
+      field: "module",
+      message: `module must be one of: ${Object.keys(IMPORT_MODULES).join(", ")}`,
+    });
+  }
+  if (!Array.isArray(template.mappings) || !template.mappings.length) {
+    errors.push({ field: "mappings", message: "At least one mapping is required" });
+  }
+
+  const categories = IMPORT_MODULES[template.module]
+    ? categoriesFor(template.module)
+    : [];
+
+  (template.mappings || []).forEach((rule, index) => {
+    const field = `mappings[${index}]`;
+    for (const required of ["source", "category", "metric_name"]) {
+      if (!rule?.[required]) {
+        errors.push({ field: `${field}.${required}`, message: "is required" });
+      }
+    }
+    if (rule?.match_type === "regex") {
+      try {
+        new RegExp(rule.source, "i");
+      } catch (err) {
+        errors.push({ field: `${field}.source`, message: `invalid regex: ${err.message}` });
+      }
+    }
+    if (rule?.category && categories.length && !categories.includes(rule.category)) {
+      errors.push({
+        field: `${field}.category`,
+        message: `category must be one of: ${categories.join(", ")}`,
+      });
+    }
+  });
+
+  if (errors.length) {
+    throw new AppError("Invalid mapping template", 400, "INVALID_TEMPLATE", { errors });
+  }
+}
+
+function pickEditable(data) {
+  const picked = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (data[field] !== undefined) picked[field] = data[field];
+  }
+  return picked;
+}
+
+function rethrowDuplicate(err) {
+  if (err.code === 11000) {
+    throw new AppError(
+      "A mapping template with this name already exists",
+      409,
+      "DUPLICATE_TEMPLATE"
+    );
+  }
+  throw err;
+}
+
+/* --------------------------------- CRUD -------------------------------- */
+
+async function createTemplate(companyId, data, actor) {
+  const fields = pickEditable(data);
+  validateTemplate(fields);
+
+  try {
+    return await ImportMappingTemplate.create({
+      ...fields,
+      company: companyId,
+      created_by: actor?.id,
+      created_by_type: actor?.type,
+      last_updated_by: actor?.id,
+    });
+  } catch (err) {
+    rethrowDuplicate(err);
+  }
+}
+
+async function listTemplates(companyId, { module, includeInactive = false } = {}) {
+  const filter = { company: companyId };
+  if (module) filter.module = module;
+  if (!includeInactive) filter.is_active = true;
+
+  return ImportMappingTemplate.find(filter).sort({ module: 1, name: 1 });
+}
+
+async function getTemplate(companyId, templateId) {
+  const template = await ImportMappingTemplate.findOne({
+    _id: templateId,
+    company: companyId,
+  });
+  if (!template) throw new AppError("Mapping template not found", 404, "NOT_FOUND");
+  return template;
+}
+
+async function updateTemplate(companyId, templateId, data, actor) {
+  const template = await getTemplate(companyId, templateId);
+  template.set(pickEditable(data));
+  validateTemplate(template.toObject());
+  template.last_updated_by = actor?.id;
+
+  try {
+    return await template.save();
+  } catch (err) {
+    rethrowDuplicate(err);
+  }
+}
+
+async function deleteTemplate(companyId, templateId) {
+  const template = await getTemplate(companyId, templateId);
+  await template.deleteOne();
+  return template;
+}
+
+/**
+ * Template selected on an upload, or null when none was given. It must
+ * belong to the company, be active and target the importing module.
+ */
+async function getTemplateForImport(companyId, templateId, module) {
+  if (!templateId) return null;
+
+  const template = await getTemplate(companyId, templateId);
+  if (!template.is_active) {
+    throw new AppError("Mapping template is inactive", 400, "TEMPLATE_INACTIVE");
+  }
+  if (template.module !== module) {
+    throw new AppError(
+      `Mapping template is for the ${template.module} module, not ${module}`,
+      400,
+      "TEMPLATE_MODULE_MISMATCH"
+    );
+  }
+  return template;
+}
+
+/* ------------------------------- applying ------------------------------ */
+
+/**
+ * FileParser options for an upload: with a template the rows are taken
+ * as-is, skipping the file-name based processing.
+ */
+function templateParseOptions(template) {
+  return template ? { raw: true, sheetName: template.sheet_name } : {};
+}
+
+function normalizeText(text) {
+  return String(text ?? "").replace(/\s+/g, " ").trim().toLowerCase();
+}
+
+function ruleMatches(rule, text) {
+  switch (rule.match_type) {
+    case "contains":
+      return normalizeText(text).includes(normalizeText(rule.source));
+    case "regex":
+      return new RegExp(rule.source, "i").test(String(text ?? ""));
+    default:
+      return normalizeText(text) === normalizeText(rule.source);
+  }
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === "";
+}
+
+/** "Water Usage (million ML)" -> "million ML" */
+function unitFromText(text) {
+  const match = String(text ?? "").match(/\(([^)]+)\)\s*$/);
+  return match ? match[1].trim() : undefined;
+}
+
+function parseNumber(value) {
+  if (typeof value === "number") return value;
+  const numeric = parseFloat(String(value).replace(/,/g, ""));
+  return Number.isNaN(numeric) ? null : numeric;
+}
+
+/** "2024" -> 2024, "2023/24" -> 2023, "FY24" -> 2024 */
+function calendarYear(label) {
+  const text = String(label ?? "");
+  const full = text.match(/\b((19|20)\d{2})\b/);
+  if (full) return parseInt(full[1], 10);
+  const fiscal = text.match(/^FY\s?(\d{2})$/i);
+  return fiscal ? 2000 + parseInt(fiscal[1], 10) : null;
+}
+
+/**
+ * Turn raw rows into module data using a template instead of the module's
+ * hard-coded processor. Returns the same shape as the services'
+ * `transformParsedDataToSchema`.
+ */
+function applyMappingTemplate(template, parsedData, companyId, userId, metadata = {}) {
+  const rows = parsedData?.raw_data;
+  if (!Array.isArray(rows)) {
+    throw new Error("Mapping templates need tabular data (CSV, Excel or a JSON array of rows)");
+  }
+
+  const source = metadata.originalSource || metadata.fileName || "Template Import";
+  const metrics = new Map();
+
+  const addPoint = (rule, year, value, unit) => {
+    const key = `${rule.category}|${rule.subcategory || ""}|${rule.metric_name}`;
+    if (!metrics.has(key)) {
+      metrics.set(key, {
+        category: rule.category,
+        subcategory: rule.subcategory,
+        metric_name: rule.metric_name,
+        description: rule.description,
+        data_type: "yearly_series",
+        yearly_data: [],
+        created_by: userId,
+      });
+    }
+    const metric = metrics.get(key);
+    // Two source columns mapped to one metric: the first one wins
+    if (metric.yearly_data.some((d) => d.year === year)) return;
+
+    metric.yearly_data.push({
+      year,
+      value: String(value),
+      numeric_value: parseNumber(value),
+      unit,
+      source,
+      added_by: userId,
+    });
+  };
+
+  const findRule = (text) => template.mappings.find((rule) => ruleMatches(rule, text));
+
+  for (const row of rows) {
+    if (!row || typeof row !== "object") continue;
+
+    if (template.layout === "metric_rows") {
+      // Integer-like keys ("2024") come first in an object, so the default
+      // label column is the first header that is not a year
+      const labelColumn =
+        template.label_column ||
+        Object.keys(row).find((header) => !YEAR_HEADER.test(header.trim()));
+      const rule = findRule(row[labelColumn]);
+      if (!rule) continue;
+
+      const unit =
+        rule.unit ||
+        (template.unit_column && !isBlank(row[template.unit_column])
+          ? String(row[template.unit_column]).trim()
+          : unitFromText(row[labelColumn]));
+
+      for (const [header, value] of Object.entries(row)) {
+        if (header === labelColumn || header === template.unit_column) continue;
+        if (!YEAR_HEADER.test(header.trim()) || isBlank(value)) continue;
+        addPoint(rule, header.trim(), value, unit);
+      }
+    } else {
+      const yearColumn = template.year_column || "Year";
+      const year = String(row[yearColumn] ?? "").trim();
+      if (!year || normalizeText(year) === normalizeText(yearColumn)) continue;
+
+      for (const [header, value] of Object.entries(row)) {
+        if (header === yearColumn || isBlank(value)) continue;
+        const rule = findRule(header);
+        if (rule) addPoint(rule, year, value, rule.unit || unitFromText(header));
+      }
+    }
+  }
+
+  const years = [...metrics.values()]
+    .flatMap((m) => m.yearly_data.map((d) => calendarYear(d.year)))
+    .filter(Boolean)
+    .sort((a, b) => a - b);
+
+  const fileName = metadata.fileName || "";
+  const ext = fileName.split(".").pop().toLowerCase();
+
+  return {
+    company: companyId,
+    metrics: [...metrics.values()],
+    import_source: ext === "csv" ? "csv" : ["xlsx", "xls"].includes(ext) ? "excel" : "manual",
+    source_file_name: metadata.fileName,
+    data_period_start: years.length ? String(years[0]) : metadata.dataPeriodStart,
+    data_period_end: years.length ? String(years[years.length - 1]) : metadata.dataPeriodEnd,
+    original_source: metadata.originalSource || metadata.fileName,
+    verification_status: "unverified",
+    validation_status: "not_validated",
+    created_by: userId,
+    last_updated_by: userId,
+  };
+}
+
+module.exports = {
+  IMPORT_MODULES,
+  categoriesFor,
+  ruleMatches,
+  validateTemplate,
+  createTemplate,
+  listTemplates,
+  getTemplate,
+  updateTemplate,
+  deleteTemplate,
+  getTemplateForImport,
+  templateParseOptions,
+  applyMappingTemplate,
+};
@@ -4,6 +4,7 @@ const IrrigationEfficiencyData = require("../models/irrigation_eff_model");
 const User = require("../models/users_model");
 const AppError = require("../utils/app_error");
 const mongoose = require("mongoose");
+const { invalidateAfterCommit } = require("../utils/dashboard_invalidation");
 
 const API_VERSION = process.env.API_VERSION || "1.0.0";
 
@@ -483,6 +484,7 @@ async function getIrrigationEfficiencyAndWaterRisk(
     };
 
     await session.commitTransaction();
+    await invalidateAfterCommit(session);
     session.endSession();
 
     return response;
@@ -0,0 +1,217 @@
+// services/login_protection_service.js
+const LoginAttempt = require("../models/login_attempt_model");
+const User = require("../models/users_model");
+const Member = require("../models/member_model");
+const AppError = require("../utils/app_error");
+const logger = require("../utils/logger");
+const auditLogger = require("../utils/audit_logger");
+const emailService = require("../utils/user_email_utils");
+
+const MINUTE = 60 * 1000;
+const FAILURE_WINDOW_MS = 15 * MINUTE; // failures older than this are forgotten
+const MAX_LOCK_MINUTES = 24 * 60;
+const MAX_BACKOFF_SECONDS = 60;
+const RETENTION_MS = 24 * 60 * MINUTE; // keep lock history for escalation
+
+// Owner accounts can administer every company, so they lock sooner and longer
+const POLICIES = {
+  owner: { maxFailures: 3, baseLockMinutes: 30 },
+  member: { maxFailures: 5, baseLockMinutes: 15 },
+  ip: { maxFailures: 20, baseLockMinutes: 15 },
+};
+
+function accountKey(type, email) {
+  return `${type}:${String(email || "").toLowerCase().trim()}`;
+}
+
+function ipKey(ip) {
+  return `ip:${ip || "unknown"}`;
+}
+
+/** 1s, 2s, 4s, ... between consecutive failures, capped. */
+function backoffSeconds(failures) {
+  return Math.min(2 ** (failures - 1), MAX_BACKOFF_SECONDS);
+}
+
+function secondsUntil(date) {
+  return Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+}
+
+function blockedError(doc, scope) {
+  const now = new Date();
+
+  if (doc.locked_until && doc.locked_until > now) {
+    const retryAfter = secondsUntil(doc.locked_until);
+    return scope === "ip"
+      ? new AppError(
+          "Too many failed sign-in attempts from this address. Try again later.",
+          429,
+          "TOO_MANY_ATTEMPTS",
+          { retryAfter }
+        )
+      : new AppError(
+          "Account temporarily locked after repeated failed sign-in attempts",
+          429,
+          "ACCOUNT_LOCKED",
+          { retryAfter, lockedUntil: doc.locked_until }
+        );
+  }
+
+  if (doc.next_attempt_at && doc.next_attempt_at > now) {
+    return new AppError(
+      "Please wait before trying again",
+      429,
+      "LOGIN_BACKOFF",
+      { retryAfter: secondsUntil(doc.next_attempt_at) }
+    );
+  }
+
+  return null;
+}
+
+/**
+ * Throw 429 if the account or the client IP is locked out or still in
+ * its back-off period. Call before checking credentials.
+ * @param {{type: "owner"|"member", email: string, ip: string}} attempt
+ */
+async function assertLoginAllowed({ type, email, ip }) {
+  const docs = await LoginAttempt.find({
+    key: { $in: [accountKey(type, email), ipKey(ip)] },
+  });
+
+  for (const doc of docs) {
+    const err = blockedError(doc, doc.scope);
+    if (err) throw err;
+  }
+}
+
+const DUPLICATE_KEY = 11000;
+
+/**
+ * Count one failure with atomic updates only, so concurrent failed logins
+ * cannot overwrite each other's increments: reset a counter whose window
+ * has passed, $inc it, then lock with an update that only matches once the
+ * threshold is reached (one of several racing failures wins the lock).
+ */
+async function registerFailure(key, scope, policy) {
+  const now = new Date();
+  const retainUntil = new Date(now.getTime() + RETENTION_MS);
+
+  await LoginAttempt.updateOne(
+    { key, first_failed_at: { $lt: new Date(now.getTime() - FAILURE_WINDOW_MS) } },
+    { $set: { failures: 0 }, $unset: { first_failed_at: "", next_attempt_at: "" } }
+  );
+
+  const increment = () =>
+    LoginAttempt.findOneAndUpdate(
+      { key },
+      {
+        $inc: { failures: 1 },
+        $set: { last_failed_at: now },
+        $min: { first_failed_at: now },
+        $max: { expires_at: retainUntil },
+        $setOnInsert: { scope, lock_count: 0 },
+      },
+      { upsert: true, new: true }
+    );
+
+  let doc;
+  try {
+    doc = await increment();
+  } catch (err) {
+    // Two first failures for one key both tried to insert; the loser retries
+    // as an update
+    if (err.code !== DUPLICATE_KEY) throw err;
+    doc = await increment();
+  }
+
+  if (doc.failures >= policy.maxFailures) {
+    const minutes = Math.min(policy.baseLockMinutes * 2 ** doc.lock_count, MAX_LOCK_MINUTES);
+    const lockedUntil = new Date(now.getTime() + minutes * MINUTE);
+    const locked = await LoginAttempt.findOneAndUpdate(
+      { key, failures: { $gte: policy.maxFailures }, lock_count: doc.lock_count },
+      {
+        $set: { failures: 0, locked_until: lockedUntil },
+        $inc: { lock_count: 1 },
+        $unset: { first_failed_at: "", next_attempt_at: "" },
+        $max: { expires_at: new Date(lockedUntil.getTime() + RETENTION_MS) },
+      },
+      { new: true }
+    );
+    if (locked) return { locked: true, lockedUntil, failures: doc.failures };
+  } else if (scope === "account") {
+    // IPs are shared (offices, NAT), so only accounts get per-failure back-off
+    await LoginAttempt.updateOne(
+      { key },
+      { $max: { next_attempt_at: new Date(now.getTime() + backoffSeconds(doc.failures) * 1000) } }
+    );
+  }
+
+  return { locked: false, lockedUntil: doc.locked_until, failures: doc.failures };
+}
+
+async function notifyLocked(type, email, lockedUntil, ip) {
+  const Model = type === "owner" ? User : Member;
+  const account = await Model.findOne({ email: String(email).toLowerCase().trim() });
+  if (!account) return;
+
+  try {
+    await emailService.sendAccountLockedEmail({
+      to: account.email,
+      fullName: type === "owner" ? account.full_name : account.getFullName(),
+      lockedUntil,
+      ip,
+    });
+  } catch (err) {
+    logger.error("Failed to send account locked email", {
+      account: account._id.toString(),
+      error: err.message,
+    });
+  }
+}
+
+/**
+ * Count a failed sign-in (bad password or bad 2FA code) against the account
+ * and the client IP. Locks the account once its policy limit is reached and
+ * emails the account holder.
+ */
+async function recordLoginFailure({ type, email, ip }) {
+  const [account] = await Promise.all([
+    registerFailure(accountKey(type, email), "account", POLICIES[type]),
+    registerFailure(ipKey(ip), "ip", POLICIES.ip),
+  ]);
+
+  if (account.locked) {
+    auditLogger.warn("Account locked after failed sign-in attempts", {
+      event: "ACCOUNT_LOCKED",
+      userType: type,
+      email,
+      ip,
+      lockedUntil: account.lockedUntil,
+    });
+    await notifyLocked(type, email, account.lockedUntil, ip);
+  }
+
+  return account;
+}
+
+/**
+ * Clear the failure count after a successful sign-in. Lock history is kept
+ * so a repeat offender gets a longer lock next time.
+ */
+async function recordLoginSuccess({ type, email }) {
+  await LoginAttempt.updateOne(
+    { key: accountKey(type, email) },
+    {
+      $set: { failures: 0 },
+      $unset: { first_failed_at: "", next_attempt_at: "" },
+    }
+  );
+}
+
+module.exports = {
+  POLICIES,
+  assertLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+};
@@ -0,0 +1,421 @@
+// services/materiality_service.js
+// Per-company double materiality assessments. Each year-stamped assessment
+// rates the topics relevant to the company; the latest approved one up to a
+// reporting year weights the ESG score of that year (see
+// services/esg_scoring_service) and decides which dashboard sections are
+// highlighted.
+const mongoose = require("mongoose");
+const MaterialityAssessment = require("../models/materiality_assessment_model");
+const AppError = require("../utils/app_error");
+const TOPIC_CATALOGUE = require("../config/materiality_topics");
+const esgScoringService = require("./esg_scoring_service");
+
+const PILLARS = ["environmental", "social", "governance"];
+const PRIORITIES = ["high", "medium", "low"];
+
+// Keys of the aggregate dashboard response (GET /esg-dashboard/all)
+const DASHBOARD_SECTION_KEYS = [
+  "soilHealthCarbonQuality",
+  "cropYieldForecast",
+  "ghgEmissions",
+  "biodiversityLandUse",
+  "irrigationWaterRisk",
+  "farmManagementCompliance",
+  "energyConsumptionRenewables",
+  "wasteManagement",
+  "workforceDiversity",
+  "healthSafety",
+  "governanceBoardMetrics",
+  "communityEngagement",
+  "overallESGScore",
+];
+
+const EDITABLE_FIELDS = ["year", "title", "description", "thresholds", "topics"];
+
+/* ----------------------------- validation ----------------------------- */
+
+function isRating(value) {
+  return typeof value === "number" && value >= 1 && value <= 5;
+}
+
+/**
+ * Indicator keys a topic can weight: those of the methodology scores are
+ * computed with now.
+ */
+async function scoringIndicatorKeys() {
+  const methodology = await esgScoringService.resolveMethodology();
+  return new Set(
+    methodology.pillars.flatMap((pillar) => pillar.indicators.map((indicator) => indicator.key))
+  );
+}
+
+function validateAssessment(assessment, indicatorKeys) {
+  const errors = [];
+
+  if (!Number.isInteger(assessment.year) || assessment.year < 1900 || assessment.year > 2100) {
+    errors.push({ field: "year", message: "must be a four-digit year" });
+  }
+
+  const { material, high } = assessment.thresholds || {};
+  if (material !== undefined && !isRating(material)) {
+    errors.push({ field: "thresholds.material", message: "must be between 1 and 5" });
+  }
+  if (high !== undefined && !isRating(high)) {
+    errors.push({ field: "thresholds.high", message: "must be between 1 and 5" });
+  }
+  if (isRating(material) && isRating(high) && high < material) {
+    errors.push({ field: "thresholds.high", message: "must not be below thresholds.material" });
+  }
+
+  if (!Array.isArray(assessment.topics) || !assessment.topics.length) {
+    errors.push({ field: "topics", message: "At least one topic is required" });
+  }
+
+  const keys = new Set();
+  (assessment.topics || []).forEach((topic, index) => {
+    const field = `topics[${index}]`;
+    if (!topic?.key) errors.push({ field: `${field}.key`, message: "is required" });
+    else if (keys.has(topic.key)) errors.push({ field: `${field}.key`, message: `duplicate topic "${topic.key}"` });
+    else keys.add(topic.key);
+    if (!topic?.name) errors.push({ field: `${field}.name`, message: "is required (or a catalogue key)" });
+    if (!PILLARS.includes(topic?.pillar)) {
+      errors.push({ field: `${field}.pillar`, message: `must be one of: ${PILLARS.join(", ")}` });
+    }
+    if (!isRating(topic?.impact_score)) {
+      errors.push({ field: `${field}.impact_score`, message: "must be between 1 and 5" });
+    }
+    if (!isRating(topic?.financial_score)) {
+      errors.push({ field: `${field}.financial_score`, message: "must be between 1 and 5" });
+    }
+    (topic?.stakeholder_ratings || []).forEach((rating, r) => {
+      if (!rating?.group) {
+        errors.push({ field: `${field}.stakeholder_ratings[${r}].group`, message: "is required" });
+      }
+      if (!isRating(rating?.rating)) {
+        errors.push({ field: `${field}.stakeholder_ratings[${r}].rating`, message: "must be between 1 and 5" });
+      }
+    });
+    for (const indicator of topic?.scoring_indicators || []) {
+      if (!indicatorKeys.has(indicator)) {
+        errors.push({
+          field: `${field}.scoring_indicators`,
+          message: `"${indicator}" is not an indicator of the active scoring methodology`,
+        });
+      }
+    }
+    for (const section of topic?.dashboard_sections || []) {
+      if (!DASHBOARD_SECTION_KEYS.includes(section)) {
+        errors.push({
+          field: `${field}.dashboard_sections`,
+          message: `"${section}" must be one of: ${DASHBOARD_SECTION_KEYS.join(", ")}`,
+        });
+      }
+    }
+  });
+
+  if (errors.length) {
+    throw new AppError("Invalid materiality assessment", 400, "INVALID_ASSESSMENT", { errors });
+  }
+}
+
+function pickEditable(data) {
+  const picked = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (data[field] !== undefined) picked[field] = data[field];
+  }
+  if (picked.year !== undefined) picked.year = Number(picked.year);
+  return picked;
+}
+
+/**
+ * Topics with the catalogue's name, pillar, indicators and sections filled
+ * in where a catalogue topic is rated without them.
+ */
+function withCatalogueDefaults(topics) {
+  if (!Array.isArray(topics)) return topics;
+  return topics.map((topic) => {
+    const standard = TOPIC_CATALOGUE.find((entry) => entry.key === topic?.key);
+    if (!standard) return topic;
+    return {
+      ...topic,
+      name: topic.name ?? standard.name,
+      pillar: topic.pillar ?? standard.pillar,
+      scoring_indicators: topic.scoring_indicators ?? standard.scoring_indicators,
+      dashboard_sections: topic.dashboard_sections ?? standard.dashboard_sections,
+    };
+  });
+}
+
+/**
+ * Stakeholder score, priority and materiality of every topic from its
+ * scores and the assessment's thresholds.
+ */
+function classifyTopics(assessment) {
+  const material = assessment.thresholds?.material ?? 3;
+  const high = assessment.thresholds?.high ?? 4;
+
+  for (const topic of assessment.topics) {
+    const ratings = topic.stakeholder_ratings || [];
+    topic.stakeholder_score = ratings.length
+      ? Math.round((ratings.reduce((sum, r) => sum + r.rating, 0) / ratings.length) * 100) / 100
+      : null;
+
+    const significance = Math.max(topic.impact_score, topic.financial_score);
+    topic.priority = significance >= high ? "high" : significance >= material ? "medium" : "low";
+    topic.is_material = significance >= material;
+  }
+}
+
+/* ----------------------------- assessments ----------------------------- */
+
+/**
+ * Create a draft assessment. `copy_from_year` starts from the topics of
+ * that year's assessment for the topics not given.
+ */
+async function createAssessment(companyId, data, actor) {
+  const fields = pickEditable(data);
+
+  if (data.copy_from_year !== undefined && fields.topics === undefined) {
+    const source = await MaterialityAssessment.findOne({
+      company: companyId,
+      year: Number(data.copy_from_year),
+    }).lean();
+    if (!source) {
+      throw new AppError(`No materiality assessment for ${data.copy_from_year}`, 404, "NOT_FOUND");
+    }
+    fields.topics = source.topics;
+    if (fields.thresholds === undefined) fields.thresholds = source.thresholds;
+  }
+  fields.topics = withCatalogueDefaults(fields.topics);
+  validateAssessment(fields, await scoringIndicatorKeys());
+
+  const assessment = new MaterialityAssessment({
+    ...fields,
+    company: companyId,
+    status: "draft",
+    created_by: actor?.id,
+    created_by_type: actor?.type,
+    last_updated_by: actor?.id,
+  });
+  classifyTopics(assessment);
+
+  try {
+    return await assessment.save();
+  } catch (err) {
+    if (err.code === 11000) {
+      throw new AppError(
+        `A materiality assessment for ${fields.year} already exists`,
+        409,
+        "DUPLICATE_ASSESSMENT"
+      );
+    }
+    throw err;
+  }
+}
+
+async function listAssessments(companyId, { status } = {}) {
+  const filter = { company: companyId };
+  if (status) filter.status = status;
+  return MaterialityAssessment.find(filter).sort({ year: -1 });
+}
+
+async function getAssessment(companyId, assessmentId) {
+  const assessment = mongoose.isValidObjectId(assessmentId)
+    ? await MaterialityAssessment.findOne({ _id: assessmentId, company: companyId })
+    : null;
+  if (!assessment) throw new AppError("Materiality assessment not found", 404, "NOT_FOUND");
+  return assessment;
+}
+
+/**
+ * Edit an assessment; an approved one goes back to draft and stops
+ * weighting scores until it is approved again.
+ */
+async function updateAssessment(companyId, assessmentId, data, actor) {
+  const assessment = await getAssessment(companyId, assessmentId);
+  const fields = pickEditable(data);
+  if (fields.topics !== undefined) fields.topics = withCatalogueDefaults(fields.topics);
+
+  assessment.set(fields);
+  validateAssessment(assessment.toObject(), await scoringIndicatorKeys());
+  classifyTopics(assessment);
+  if (assessment.status === "approved") {
+    assessment.status = "draft";
+    assessment.approved_at = undefined;
+    assessment.approved_by = undefined;
+  }
+  assessment.last_updated_by = actor?.id;
+
+  try {
+    return await assessment.save();
+  } catch (err) {
+    if (err.code === 11000) {
+      throw new AppError(
+        `A materiality assessment for ${assessment.year} already exists`,
+        409,
+        "DUPLICATE_ASSESSMENT"
+      );
+    }
+    throw err;
+  }
+}
+
+async function approveAssessment(companyId, assessmentId, actor) {
+  const assessment = await getAssessment(companyId, assessmentId);
+  if (assessment.status === "approved") return assessment;
+
+  assessment.status = "approved";
+  assessment.approved_at = new Date();
+  assessment.approved_by = actor?.id;
+  return assessment.save();
+}
+
+async function deleteAssessment(companyId, assessmentId) {
+  const assessment = await getAssessment(companyId, assessmentId);
+  if (assessment.status === "approved") {
+    throw new AppError(
+      "Approved assessments weight published scores; edit it to return it to draft first",
+      409,
+      "ASSESSMENT_APPROVED"
+    );
+  }
+  await assessment.deleteOne();
+  return assessment;
+}
+
+/**
+ * The approved assessment that applies to a reporting year: the latest one
+ * stamped with that year or earlier. Without a year, the latest approved.
+ */
+async function getApplicableAssessment(companyId, year) {
+  const filter = { company: companyId, status: "approved" };
+  if (year) filter.year = { $lte: year };
+  return MaterialityAssessment.findOne(filter).sort({ year: -1 }).lean();
+}
+
+/* ------------------------------- matrix -------------------------------- */
+
+function describeAssessment(assessment) {
+  return {
+    id: assessment._id,
+    year: assessment.year,
+    title: assessment.title || null,
+    status: assessment.status,
+    approved_at: assessment.approved_at || null,
+  };
+}
+
+/**
+ * Quadrant of the double materiality matrix a topic falls in.
+ */
+function quadrantOf(topic, threshold) {
+  const impact = topic.impact_score >= threshold;
+  const financial = topic.financial_score >= threshold;
+  if (impact && financial) return "double";
+  if (impact) return "impact";
+  if (financial) return "financial";
+  return "not_material";
+}
+
+/**
+ * Dashboard sections linked to material topics, high priority first.
+ */
+function highlightedSections(assessment) {
+  const sections = new Map();
+  for (const topic of assessment.topics.filter((t) => t.is_material)) {
+    for (const key of topic.dashboard_sections || []) {
+      const section = sections.get(key) || { section: key, priority: "medium", topics: [] };
+      if (topic.priority === "high") section.priority = "high";
+      section.topics.push(topic.name);
+      sections.set(key, section);
+    }
+  }
+  return [...sections.values()].sort(
+    (a, b) => PRIORITIES.indexOf(a.priority) - PRIORITIES.indexOf(b.priority)
+  );
+}
+
+/**
+ * Double materiality matrix of an assessment: financial materiality on x,
+ * impact materiality on y, stakeholder score as the bubble size.
+ */
+function buildMatrix(assessment) {
+  const threshold = assessment.thresholds?.material ?? 3;
+  const topics = [...assessment.topics]
+    .sort(
+      (a, b) =>
+        PRIORITIES.indexOf(a.priority) - PRIORITIES.indexOf(b.priority) ||
+        Math.max(b.impact_score, b.financial_score) - Math.max(a.impact_score, a.financial_score) ||
+        (b.stakeholder_score ?? 0) - (a.stakeholder_score ?? 0)
+    )
+    .map((topic) => ({
+      key: topic.key,
+      name: topic.name,
+      pillar: topic.pillar,
+      impact_score: topic.impact_score,
+      financial_score: topic.financial_score,
+      stakeholder_score: topic.stakeholder_score,
+      priority: topic.priority,
+      is_material: topic.is_material,
+      quadrant: quadrantOf(topic, threshold),
+      scoring_indicators: topic.scoring_indicators || [],
+      dashboard_sections: topic.dashboard_sections || [],
+    }));
+
+  const byPriority = Object.fromEntries(
+    PRIORITIES.map((priority) => [priority, topics.filter((t) => t.priority === priority)])
+  );
+
+  return {
+    thresholds: {
+      material: threshold,
+      high: assessment.thresholds?.high ?? 4,
+    },
+    topics,
+    ...byPriority,
+    graph: {
+      type: "scatter",
+      title: "Double Materiality Matrix",
+      xAxis: "Financial materiality (1-5)",
+      yAxis: "Impact materiality (1-5)",
+      datasets: PILLARS.map((pillar, index) => ({
+        label: pillar.charAt(0).toUpperCase() + pillar.slice(1),
+        data: topics
+          .filter((t) => t.pillar === pillar)
+          .map((t) => ({ x: t.financial_score, y: t.impact_score, r: t.stakeholder_score, label: t.name })),
+        backgroundColor: ["#27ae60", "#3498db", "#9b59b6"][index],
+      })),
+    },
+  };
+}
+
+/**
+ * Matrix and highlighted dashboard sections of the assessment that applies
+ * to a year, or null when the company has no approved assessment for it.
+ */
+async function getCompanyMateriality(companyId, year) {
+  const assessment = await getApplicableAssessment(companyId, year);
+  if (!assessment) return null;
+
+  return {
+    assessment: describeAssessment(assessment),
+    matrix: buildMatrix(assessment),
+    highlighted_sections: highlightedSections(assessment),
+  };
+}
+
+module.exports = {
+  TOPIC_CATALOGUE,
+  DASHBOARD_SECTION_KEYS,
+  validateAssessment,
+  createAssessment,
+  listAssessments,
+  getAssessment,
+  updateAssessment,
+  approveAssessment,
+  deleteAssessment,
+  getApplicableAssessment,
+  buildMatrix,
+  highlightedSections,
+  getCompanyMateriality,
+};
@@ -0,0 +1,322 @@
+// services/member_invitation_service.js
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const bcrypt = require("bcryptjs");
+const Member = require("../models/member_model");
+const MemberInvitation = require("../models/member_invitation_model");
+const Company = require("../models/company_model");
+const AppError = require("../utils/app_error");
+const logger = require("../utils/logger");
+const emailService = require("../utils/user_email_utils");
+const { assertRoleExists } = require("../services/member_role_service");
+
+const SALT_ROUNDS = 10;
+const INVITE_TTL_DAYS = Number(process.env.INVITE_TTL_DAYS) || 7;
+const MIN_PASSWORD_LENGTH = 8;
+
+function hashNonce(nonce) {
+  return crypto.createHash("sha256").update(nonce).digest("hex");
+}
+
+/**
+ * Sign a fresh accept token for the invitation and rotate its stored nonce,
+ * which invalidates any link sent earlier.
+ */
+function issueInviteToken(invitation) {
+  const nonce = crypto.randomBytes(16).toString("hex");
+  const expiresAt = new Date(Date.now() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  invitation.token_nonce_hash = hashNonce(nonce);
+  invitation.expires_at = expiresAt;
+
+  return jwt.sign(
+    { sub: invitation._id.toString(), nonce, purpose: "member_invite" },
+    process.env.JWT_SECRET,
+    { expiresIn: `${INVITE_TTL_DAYS}d` }
+  );
+}
+
+function acceptUrlFor(token) {
+  const base = (process.env.FRONTEND_URL || "").replace(/\/$/, "");
+  return `${base}/accept-invite?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Send (or re-send) the accept link. Delivery failures are logged rather
+ * than thrown so the invitation is kept and can be resent.
+ * @returns {Promise<boolean>} whether the email was sent
+ */
+async function deliverInvitation(invitation, { companyName, inviterName }) {
+  const token = issueInviteToken(invitation);
+  invitation.sent_count += 1;
+  invitation.last_sent_at = new Date();
+  await invitation.save();
+
+  try {
+    await emailService.sendMemberInvitationEmail({
+      to: invitation.email,
+      companyName,
+      inviterName,
+      role: invitation.role,
+      acceptUrl: acceptUrlFor(token),
+      expiresAt: invitation.expires_at,
+    });
+    return true;
+  } catch (err) {
+    logger.error("Failed to send member invitation email", {
+      invitation: invitation._id.toString(),
+      error: err.message,
+    });
+    return false;
+  }
+}
+
+function decorate(invitation) {
+  const obj = invitation.toObject();
+  delete obj.token_nonce_hash;
+  obj.expired = invitation.status === "pending" && invitation.isExpired();
+  return obj;
+}
+
+/**
+ * Load an invitation, limited to `companyId` when given (company admins).
+ */
+async function findCompanyInvitation(companyId, invitationId) {
+  const filter = { _id: invitationId };
+  if (companyId) filter.company = companyId;
+
+  const invitation = await MemberInvitation.findOne(filter).select(
+    "+token_nonce_hash"
+  );
+  if (!invitation)
+    throw new AppError("Invitation not found", 404, "NOT_FOUND");
+  return invitation;
+}
+
+/**
+ * Invite someone to a company. Creates the member with status "invited"
+ * and emails a signed, expiring accept link.
+ * @param {Object} actor - { id, type, name }
+ */
+async function inviteMember(
+  { companyId, email, role, firstName, lastName, title, department },
+  actor
+) {
+  if (!companyId)
+    throw new AppError("Company is required", 400, "MISSING_FIELDS", {
+      missing: ["companyId"],
+    });
+  if (!email)
+    throw new AppError("Email is required", 400, "MISSING_FIELDS", {
+      missing: ["email"],
+    });
+
+  const company = await Company.findById(companyId);
+  if (!company) throw new AppError("Company not found", 404, "NOT_FOUND");
+
+  const normalizedEmail = email.toLowerCase().trim();
+
+  const existing = await Member.findOne({ email: normalizedEmail });
+  if (existing && existing.status === "invited")
+    throw new AppError(
+      "This email already has a pending invitation; resend it instead",
+      409,
+      "INVITATION_PENDING"
+    );
+  if (existing)
+    throw new AppError("Email already in use", 409, "DUPLICATE_EMAIL");
+
+  const memberRole = (role || "member").toLowerCase();
+  await assertRoleExists(companyId, memberRole);
+
+  const member = await Member.create({
+    company: companyId,
+    firstName,
+    lastName,
+    email: normalizedEmail,
+    title,
+    role: memberRole,
+    department,
+    status: "invited",
+  });
+
+  const invitation = new MemberInvitation({
+    company: companyId,
+    member: member._id,
+    email: normalizedEmail,
+    role: memberRole,
+    invitedBy: actor?.id,
+    invitedByType: actor?.type,
+  });
+
+  const emailSent = await deliverInvitation(invitation, {
+    companyName: company.name,
+    inviterName: actor?.name,
+  });
+
+  return { invitation: decorate(invitation), member, emailSent };
+}
+
+async function listInvitations(companyId, { status } = {}) {
+  const filter = {};
+  if (companyId) filter.company = companyId;
+  if (status === "expired") {
+    filter.status = "pending";
+    filter.expires_at = { $lte: new Date() };
+  } else if (status) {
+    filter.status = status;
+  }
+
+  const invitations = await MemberInvitation.find(filter).sort({ createdAt: -1 });
+  return invitations.map(decorate);
+}
+
+/**
+ * Send a new accept link (also renews an expired invitation).
+ */
+async function resendInvitation(companyId, invitationId, actor) {
+  const invitation = await findCompanyInvitation(companyId, invitationId);
+  if (invitation.status !== "pending")
+    throw new AppError(
+      `Invitation is already ${invitation.status}`,
+      400,
+      "INVITATION_CLOSED"
+    );
+
+  const company = await Company.findById(invitation.company);
+  const emailSent = await deliverInvitation(invitation, {
+    companyName: company?.name,
+    inviterName: actor?.name,
+  });
+
+  return { invitation: decorate(invitation), emailSent };
+}
+
+/**
+ * Revoke a pending invitation and remove the placeholder member so the
+ * email can be invited again later.
+ */
+async function revokeInvitation(companyId, invitationId) {
+  const invitation = await findCompanyInvitation(companyId, invitationId);
+  if (invitation.status !== "pending")
+    throw new AppError(
+      `Invitation is already ${invitation.status}`,
+      400,
+      "INVITATION_CLOSED"
+    );
+
+  invitation.status = "revoked";
+  invitation.revoked_at = new Date();
+  await invitation.save();
+
+  await Member.deleteOne({ _id: invitation.member, status: "invited" });
+
+  return decorate(invitation);
+}
+
+/**
+ * Resolve an accept token to its pending invitation or throw.
+ */
+async function resolveInviteToken(token) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    throw new AppError("Invitation link is invalid or has expired", 400, "INVALID_INVITATION");
+  }
+  if (decoded.purpose !== "member_invite")
+    throw new AppError("Invitation link is invalid or has expired", 400, "INVALID_INVITATION");
+
+  const invitation = await MemberInvitation.findById(decoded.sub).select(
+    "+token_nonce_hash"
+  );
+  if (
+    !invitation ||
+    invitation.status !== "pending" ||
+    invitation.isExpired() ||
+    invitation.token_nonce_hash !== hashNonce(String(decoded.nonce))
+  ) {
+    throw new AppError("Invitation link is invalid or has expired", 400, "INVALID_INVITATION");
+  }
+
+  return invitation;
+}
+
+/**
+ * Public preview of an invitation for the accept page.
+ */
+async function getInvitationPreview(token) {
+  const invitation = await resolveInviteToken(token);
+  const [company, member] = await Promise.all([
+    Company.findById(invitation.company).select("name"),
+    Member.findById(invitation.member),
+  ]);
+
+  return {
+    email: invitation.email,
+    role: invitation.role,
+    company: { _id: invitation.company, name: company?.name },
+    firstName: member?.firstName,
+    lastName: member?.lastName,
+    expires_at: invitation.expires_at,
+  };
+}
+
+/**
+ * Accept an invitation: the invitee sets their password and profile and
+ * the member becomes active.
+ */
+async function acceptInvitation({
+  token,
+  password,
+  firstName,
+  lastName,
+  phone,
+  title,
+  department,
+}) {
+  const invitation = await resolveInviteToken(token);
+
+  if (!password || String(password).length < MIN_PASSWORD_LENGTH)
+    throw new AppError(
+      `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+      400,
+      "WEAK_PASSWORD"
+    );
+
+  const member = await Member.findById(invitation.member);
+  if (!member || member.status !== "invited")
+    throw new AppError("Invitation link is invalid or has expired", 400, "INVALID_INVITATION");
+
+  if (firstName !== undefined) member.firstName = firstName;
+  if (lastName !== undefined) member.lastName = lastName;
+  if (phone !== undefined) member.phone = phone;
+  if (title !== undefined) member.title = title;
+  if (department !== undefined) member.department = department;
+
+  if (!member.firstName || !member.lastName)
+    throw new AppError("Missing required fields", 400, "MISSING_FIELDS", {
+      missing: ["firstName", "lastName"].filter((f) => !member[f]),
+    });
+
+  member.password_hash = await bcrypt.hash(password, SALT_ROUNDS);
+  member.status = "active";
+  member.joinedAt = new Date();
+  await member.save();
+
+  invitation.status = "accepted";
+  invitation.accepted_at = new Date();
+  await invitation.save();
+
+  member.password_hash = undefined;
+  return member;
+}
+
+module.exports = {
+  inviteMember,
+  listInvitations,
+  resendInvitation,
+  revokeInvitation,
+  getInvitationPreview,
+  acceptInvitation,
+};
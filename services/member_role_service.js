@@ -0,0 +1,232 @@
+// services/member_role_service.js
+const MemberRole = require("../models/member_role_model");
+const Member = require("../models/member_model");
+const Company = require("../models/company_model");
+const AppError = require("../utils/app_error");
+
+// Modules a scope can target; one per domain router plus materiality
+// assessments, the dashboards and the audit log
+const SCOPE_MODULES = [
+  "esg_data",
+  "carbon",
+  "biodiversity",
+  "crop_yield",
+  "irrigation",
+  "farm_compliance",
+  "energy",
+  "waste",
+  "workforce",
+  "health_safety",
+  "governance",
+  "community",
+  "overall_esg",
+  "materiality",
+  "dashboard",
+  "audit",
+];
+
+const SCOPE_ACTIONS = ["read", "write", "verify", "restore"];
+
+// Seeded for every company on first use; admins may edit their scopes
+const DEFAULT_ROLES = {
+  admin: {
+    description: "Company administrator with full access",
+    scopes: ["*"],
+  },
+  esg_manager: {
+    description: "Manages ESG data, including verification and restores",
+    scopes: ["*:read", "*:write", "*:verify", "*:restore"],
+  },
+  data_entry: {
+    description: "Imports and edits data; cannot verify or restore",
+    scopes: ["*:read", "*:write"],
+  },
+  verifier: {
+    description: "Reviews and verifies data imported by others",
+    scopes: ["*:read", "*:verify"],
+  },
+  auditor: {
+    description: "Read-only access to all modules",
+    scopes: ["*:read"],
+  },
+  member: {
+    description: "Default member role: read and write data",
+    scopes: ["*:read", "*:write"],
+  },
+};
+
+/**
+ * Validate that every scope is "*", "<module>:<action>" or a wildcard form.
+ */
+function validateScopes(scopes) {
+  if (!Array.isArray(scopes)) {
+    throw new AppError("Scopes must be an array", 400, "INVALID_SCOPES");
+  }
+
+  const invalid = scopes.filter((scope) => {
+    if (scope === "*") return false;
+    const [module, action, ...rest] = String(scope).split(":");
+    if (rest.length || !module || !action) return true;
+    if (module !== "*" && !SCOPE_MODULES.includes(module)) return true;
+    if (action !== "*" && !SCOPE_ACTIONS.includes(action)) return true;
+    return false;
+  });
+
+  if (invalid.length) {
+    throw new AppError("Invalid scopes", 400, "INVALID_SCOPES", { invalid });
+  }
+  return [...new Set(scopes)];
+}
+
+/**
+ * True when `granted` covers `required` ("<module>:<action>").
+ */
+function scopeMatches(granted, required) {
+  const [module, action] = required.split(":");
+  return granted.some(
+    (scope) =>
+      scope === "*" ||
+      scope === required ||
+      scope === `${module}:*` ||
+      scope === `*:${action}`,
+  );
+}
+
+/**
+ * Insert any missing default roles for a company. Existing roles are left
+ * untouched so admin edits survive.
+ */
+async function ensureDefaultRoles(companyId) {
+  const ops = Object.entries(DEFAULT_ROLES).map(([name, role]) => ({
+    updateOne: {
+      filter: { company: companyId, name },
+      update: {
+        $setOnInsert: {
+          company: companyId,
+          name,
+          description: role.description,
+          scopes: role.scopes,
+          is_system: true,
+        },
+      },
+      upsert: true,
+    },
+  }));
+  await MemberRole.bulkWrite(ops, { ordered: false });
+}
+
+async function listRoles(companyId) {
+  const company = await Company.findById(companyId);
+  if (!company) throw new AppError("Company not found", 404, "NOT_FOUND");
+
+  await ensureDefaultRoles(companyId);
+  return MemberRole.find({ company: companyId }).sort({ is_system: -1, name: 1 });
+}
+
+/**
+ * Throw unless `name` is a role defined for the company.
+ */
+async function assertRoleExists(companyId, name) {
+  await ensureDefaultRoles(companyId);
+  const role = await MemberRole.findOne({
+    company: companyId,
+    name: String(name).toLowerCase(),
+  });
+  if (!role) {
+    throw new AppError("Unknown role for this company", 400, "INVALID_ROLE", {
+      role: name,
+    });
+  }
+  return role;
+}
+
+async function createRole(companyId, { name, description, scopes }, userId) {
+  if (!name)
+    throw new AppError("Role name is required", 400, "MISSING_FIELDS", {
+      missing: ["name"],
+    });
+
+  const company = await Company.findById(companyId);
+  if (!company) throw new AppError("Company not found", 404, "NOT_FOUND");
+
+  const normalizedName = String(name).trim().toLowerCase();
+  const existing = await MemberRole.findOne({
+    company: companyId,
+    name: normalizedName,
+  });
+  if (existing)
+    throw new AppError("Role already exists", 409, "DUPLICATE_ROLE");
+
+  return MemberRole.create({
+    company: companyId,
+    name: normalizedName,
+    description,
+    scopes: validateScopes(scopes || []),
+    is_system: false,
+    createdBy: userId,
+    updatedBy: userId,
+  });
+}
+
+async function updateRole(companyId, roleId, { description, scopes }, userId) {
+  const update = { updatedBy: userId };
+  if (description !== undefined) update.description = description;
+  if (scopes !== undefined) update.scopes = validateScopes(scopes);
+
+  const role = await MemberRole.findOneAndUpdate(
+    { _id: roleId, company: companyId },
+    { $set: update },
+    { new: true, runValidators: true },
+  );
+  if (!role) throw new AppError("Role not found", 404, "NOT_FOUND");
+  return role;
+}
+
+async function deleteRole(companyId, roleId) {
+  const role = await MemberRole.findOne({ _id: roleId, company: companyId });
+  if (!role) throw new AppError("Role not found", 404, "NOT_FOUND");
+
+  if (role.is_system)
+    throw new AppError("Default roles cannot be deleted", 400, "SYSTEM_ROLE");
+
+  const assigned = await Member.countDocuments({
+    company: companyId,
+    role: role.name,
+  });
+  if (assigned > 0)
+    throw new AppError("Role is assigned to members", 409, "ROLE_IN_USE", {
+      members: assigned,
+    });
+
+  await role.deleteOne();
+  return true;
+}
+
+/**
+ * Resolve the effective scopes of a member from their company role.
+ * Falls back to the built-in default when the role has not been seeded yet.
+ */
+async function getScopesForMember(member) {
+  const role = await MemberRole.findOne({
+    company: member.company,
+    name: member.role,
+  }).lean();
+
+  if (role) return role.scopes || [];
+  return DEFAULT_ROLES[member.role]?.scopes || [];
+}
+
+module.exports = {
+  SCOPE_MODULES,
+  SCOPE_ACTIONS,
+  DEFAULT_ROLES,
+  validateScopes,
+  scopeMatches,
+  ensureDefaultRoles,
+  listRoles,
+  assertRoleExists,
+  createRole,
+  updateRole,
+  deleteRole,
+  getScopesForMember,
+};
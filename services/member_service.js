@@ -1,67 +1,12 @@
 // services/member_service.js
 const bcrypt = require("bcryptjs");
 const Member = require("../models/member_model");
-const Company = require("../models/company_model");
 const AppError = require("../utils/app_error");
+const { assertRoleExists } = require("../services/member_role_service");
+const { revokeAllSessions } = require("../services/session_service");
+const loginProtection = require("../services/login_protection_service");
 
-const SALT_ROUNDS = 10;
-
-async function createMember({
-  companyId,
-  firstName,
-  lastName,
-  email,
-  title,
-  role,
-  department,
-  phone,
-  password,
-}) {
-  if (!companyId)
-    throw new AppError("Company is required", 400, "MISSING_FIELDS", {
-      missing: ["companyId"],
-    });
-  if (!firstName || !lastName || !email) {
-    throw new AppError("Missing required fields", 400, "MISSING_FIELDS", {
-      missing: ["firstName", "lastName", "email"],
-    });
-  }
-
-  const company = await Company.findById(companyId);
-  if (!company) throw new AppError("Company not found", 404, "NOT_FOUND");
-
-  const normalizedEmail = email.toLowerCase();
-
-  // If email is unique globally this works. If not unique, adapt to {email, company}.
-  const existing = await Member.findOne({ email: normalizedEmail });
-  if (existing)
-    throw new AppError("Email already in use", 409, "DUPLICATE_EMAIL");
-
-  if (!password)
-    throw new AppError("Password is required", 400, "MISSING_FIELDS", {
-      missing: ["password"],
-    });
-
-  const password_hash = await bcrypt.hash(password, SALT_ROUNDS);
-
-  const member = await Member.create({
-    company: companyId,
-    firstName,
-    lastName,
-    email: normalizedEmail,
-    title,
-    role: role || "member",
-    department,
-    phone,
-    status: "active",
-    joinedAt: new Date(),
-    password_hash,
-  });
-
-  return member;
-}
-
-async function loginMember({ email, password }) {
+async function loginMember({ email, password, ip }) {
   if (!email || !password)
     throw new AppError(
       "Email and password are required",
@@ -71,19 +16,35 @@ async function loginMember({ email, password }) {
     );
 
   const normalizedEmail = email.toLowerCase();
+  const attempt = { type: "member", email: normalizedEmail, ip };
+
+  await loginProtection.assertLoginAllowed(attempt);
 
   const member = await Member.findOne({ email: normalizedEmail }).select(
     "+password_hash"
   );
-  if (!member)
+  if (!member) {
+    await loginProtection.recordLoginFailure(attempt);
     throw new AppError("Invalid email or password", 401, "INVALID_CREDENTIALS");
+  }
+
+  if (member.status === "invited")
+    throw new AppError(
+      "Invitation not accepted yet. Use the link in your invitation email.",
+      403,
+      "INVITATION_PENDING"
+    );
 
   if (member.status !== "active")
     throw new AppError("Member account is inactive", 403, "INACTIVE_ACCOUNT");
 
   const ok = await bcrypt.compare(password, member.password_hash || "");
-  if (!ok)
+  if (!ok) {
+    await loginProtection.recordLoginFailure(attempt);
     throw new AppError("Invalid email or password", 401, "INVALID_CREDENTIALS");
+  }
+
+  await loginProtection.recordLoginSuccess(attempt);
 
   // return without password_hash
   member.password_hash = undefined;
@@ -140,6 +101,27 @@ async function updateMember(memberId, data) {
     if (data[key] !== undefined) update[key] = data[key];
   }
 
+  if (update.role !== undefined || update.status !== undefined) {
+    const existing = await Member.findById(memberId);
+    if (!existing) throw new AppError("Member not found", 404, "NOT_FOUND");
+
+    if (update.role !== undefined) {
+      await assertRoleExists(existing.company, update.role);
+    }
+
+    // Invited members only become active by accepting their invitation
+    if (
+      update.status !== undefined &&
+      (update.status === "invited" || existing.status === "invited")
+    ) {
+      throw new AppError(
+        "Status of invited members changes when the invitation is accepted or revoked",
+        400,
+        "INVITATION_PENDING"
+      );
+    }
+  }
+
   const updated = await Member.findByIdAndUpdate(
     memberId,
     { $set: update },
@@ -147,6 +129,10 @@ async function updateMember(memberId, data) {
   );
   if (!updated) throw new AppError("Member not found", 404, "NOT_FOUND");
 
+  if (update.status === "inactive") {
+    await revokeAllSessions(memberId, "account_disabled");
+  }
+
   return updated;
 }
 
@@ -157,11 +143,13 @@ async function deactivateMember(memberId) {
     { new: true }
   );
   if (!updated) throw new AppError("Member not found", 404, "NOT_FOUND");
+
+  // Log the member out everywhere
+  await revokeAllSessions(memberId, "account_disabled");
   return updated;
 }
 
 module.exports = {
-  createMember,
   loginMember,
   getMemberById,
   listMembers,
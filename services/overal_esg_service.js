@@ -2,6 +2,8 @@ const ESGData = require("../models/esg_data_model");
 const Company = require("../models/company_model");
 const OverallESGData = require("../models/overall_esg_model"); // Added
 const AppError = require("../utils/app_error");
+const esgScoringService = require("./esg_scoring_service");
+const materialityService = require("./materiality_service");
 
 // Version constants from environment variables
 const API_VERSION = process.env.API_VERSION || "1.0.0";
@@ -129,332 +131,60 @@ async function getCompleteESGData(companyId, year = null) {
   }
 }
 
-/**
- * Calculate materiality weights based on industry and metric importance
- */
-function calculateMaterialityWeights(company, esgData) {
-  // Default weights by industry
-  const industryWeights = {
-    agriculture: { environmental: 0.5, social: 0.3, governance: 0.2 },
-    manufacturing: { environmental: 0.4, social: 0.3, governance: 0.3 },
-    mining: { environmental: 0.6, social: 0.25, governance: 0.15 },
-    technology: { environmental: 0.3, social: 0.4, governance: 0.3 },
-    finance: { environmental: 0.2, social: 0.3, governance: 0.5 },
-    default: { environmental: 0.4, social: 0.3, governance: 0.3 },
-  };
-
-  const industry = company.industry?.toLowerCase() || "default";
-  const baseWeights = industryWeights[industry] || industryWeights.default;
-
-  // Adjust weights based on available metrics
-  const metricCounts = {
-    environmental: Object.keys(esgData.environmental || {}).length,
-    social: Object.keys(esgData.social || {}).length,
-    governance: Object.keys(esgData.governance || {}).length,
-  };
-
-  const totalMetrics =
-    metricCounts.environmental + metricCounts.social + metricCounts.governance;
-
-  if (totalMetrics > 0) {
-    // Adjust weights based on data availability (more data = higher weight)
-    return {
-      environmental:
-        baseWeights.environmental * 0.7 +
-        (metricCounts.environmental / totalMetrics) * 0.3,
-      social:
-        baseWeights.social * 0.7 + (metricCounts.social / totalMetrics) * 0.3,
-      governance:
-        baseWeights.governance * 0.7 +
-        (metricCounts.governance / totalMetrics) * 0.3,
-    };
-  }
-
-  return baseWeights;
-}
+// Display colour per rating of the built-in rating bands
+const RATING_COLORS = {
+  AAA: "#27ae60",
+  AA: "#2ecc71",
+  A: "#f39c12",
+  BBB: "#e67e22",
+  BB: "#e74c3c",
+  B: "#c0392b",
+  CCC: "#7f8c8d",
+};
 
 /**
- * Calculate category scores based on metrics
+ * Topics of the company's materiality assessment by priority, each marked
+ * Reported when a scoring indicator it is linked to has a score this year
  */
-function calculateCategoryScores(esgData, year = null) {
-  const scores = {
-    environmental: { score: 0, metrics_used: 0, confidence: 0 },
-    social: { score: 0, metrics_used: 0, confidence: 0 },
-    governance: { score: 0, metrics_used: 0, confidence: 0 },
-  };
-
-  // Helper to calculate metric score
-  function calculateMetricScore(metric) {
-    let totalScore = 0;
-    let count = 0;
-
-    metric.values.forEach((value) => {
-      if (!year || value.year === year) {
-        // Convert value to score (0-100)
-        if (value.numeric_value !== undefined && value.numeric_value !== null) {
-          // Simple normalization (adjust based on metric type)
-          let score = 0;
-          if (typeof value.numeric_value === "number") {
-            // Example: For metrics where higher is better
-            // In production, use proper normalization based on benchmarks
-            score = Math.min(100, Math.max(0, value.numeric_value / 10));
-          }
-          totalScore += score;
-          count++;
-        } else if (value.value) {
-          // Handle string values (e.g., "Yes", "No", "High", "Medium", "Low")
-          const strValue = value.value.toString().toLowerCase();
-          if (strValue.includes("yes") || strValue.includes("high")) {
-            totalScore += 80;
-          } else if (
-            strValue.includes("medium") ||
-            strValue.includes("partial")
-          ) {
-            totalScore += 60;
-          } else if (strValue.includes("no") || strValue.includes("low")) {
-            totalScore += 40;
-          } else {
-            totalScore += 50;
-          }
-          count++;
-        }
-      }
-    });
-
-    return count > 0
-      ? { score: totalScore / count, count }
-      : { score: 0, count: 0 };
-  }
-
-  // Calculate scores for each category
-  ["environmental", "social", "governance"].forEach((category) => {
-    const metrics = esgData[category] || {};
-    let totalScore = 0;
-    let totalMetrics = 0;
-    let metricCount = 0;
-
-    Object.values(metrics).forEach((metric) => {
-      const metricResult = calculateMetricScore(metric);
-      totalScore += metricResult.score;
-      totalMetrics += metricResult.count;
-      metricCount++;
-    });
-
-    if (metricCount > 0) {
-      scores[category].score = Math.round(totalScore / metricCount);
-      scores[category].metrics_used = metricCount;
-      scores[category].confidence = Math.min(
-        100,
-        Math.round((totalMetrics / metricCount) * 100),
-      );
+function materialityReporting(materiality, scoring) {
+  const scoredIndicators = new Set(
+    scoring.pillars
+      .flatMap((pillar) => pillar.indicators)
+      .filter((indicator) => indicator.score !== null)
+      .map((indicator) => indicator.key),
+  );
+
+  const byPriority = { high: [], medium: [], low: [] };
+  for (const topic of materiality?.matrix.topics || []) {
+    let status = "Not Scored";
+    if (topic.scoring_indicators.length) {
+      status = topic.scoring_indicators.some((key) => scoredIndicators.has(key))
+        ? "Reported"
+        : "Not Reported";
     }
-  });
-
-  return scores;
-}
-
-/**
- * Calculate GRI/IFRS hybrid benchmarks
- */
-function calculateBenchmarks(company, categoryScores) {
-  // Industry benchmarks (example data)
-  const industryBenchmarks = {
-    agriculture: {
-      environmental: { average: 65, top_quartile: 85, bottom_quartile: 45 },
-      social: { average: 70, top_quartile: 90, bottom_quartile: 50 },
-      governance: { average: 75, top_quartile: 95, bottom_quartile: 55 },
-    },
-    default: {
-      environmental: { average: 70, top_quartile: 90, bottom_quartile: 50 },
-      social: { average: 75, top_quartile: 95, bottom_quartile: 55 },
-      governance: { average: 80, top_quartile: 95, bottom_quartile: 60 },
-    },
-  };
-
-  const industry = company.industry?.toLowerCase() || "default";
-  const benchmarks = industryBenchmarks[industry] || industryBenchmarks.default;
-
-  const comparisons = {};
-  ["environmental", "social", "governance"].forEach((category) => {
-    const companyScore = categoryScores[category].score;
-    const industryAvg = benchmarks[category]?.average || 70;
-
-    comparisons[category] = {
-      company_score: companyScore,
-      industry_average: industryAvg,
-      difference: companyScore - industryAvg,
-      percentile: Math.min(100, Math.max(0, (companyScore / 100) * 100)),
-      rating:
-        companyScore >= (benchmarks[category]?.top_quartile || 85)
-          ? "Leader"
-          : companyScore >= (benchmarks[category]?.average || 70)
-            ? "Above Average"
-            : companyScore >= (benchmarks[category]?.bottom_quartile || 50)
-              ? "Average"
-              : "Below Average",
-    };
-  });
-
-  return comparisons;
-}
-
-/**
- * Generate materiality matrix
- */
-function generateMaterialityMatrix(esgData) {
-  // Define material metrics based on common ESG frameworks
-  const materialMetrics = {
-    high: {
-      environmental: [
-        "Greenhouse Gas Emissions",
-        "Water Withdrawal",
-        "Energy Consumption",
-        "Waste Management",
-      ],
-      social: [
-        "Employee Health & Safety",
-        "Training & Development",
-        "Diversity & Inclusion",
-        "Community Engagement",
-      ],
-      governance: [
-        "Board Diversity",
-        "Executive Compensation",
-        "Anti-Corruption",
-        "Risk Management",
-      ],
-    },
-    medium: {
-      environmental: [
-        "Biodiversity Impact",
-        "Air Quality",
-        "Land Use",
-        "Supply Chain Environmental Impact",
-      ],
-      social: [
-        "Labor Practices",
-        "Human Rights",
-        "Customer Privacy",
-        "Product Safety",
-      ],
-      governance: [
-        "Shareholder Rights",
-        "Transparency",
-        "Ethical Sourcing",
-        "Political Contributions",
-      ],
-    },
-    low: {
-      environmental: [
-        "Noise Pollution",
-        "Light Pollution",
-        "Aesthetic Impact",
-        "Temporary Disturbances",
-      ],
-      social: [
-        "Local Hiring",
-        "Cultural Heritage",
-        "Volunteer Programs",
-        "Philanthropy",
-      ],
-      governance: [
-        "Succession Planning",
-        "Whistleblower Programs",
-        "Tax Strategy",
-        "Lobbying Activities",
-      ],
-    },
-  };
-
-  // Map company's metrics to materiality levels
-  const companyMateriality = {
-    high: [],
-    medium: [],
-    low: [],
-  };
-
-  // Check which material metrics the company reports on
-  Object.keys(materialMetrics).forEach((level) => {
-    ["environmental", "social", "governance"].forEach((category) => {
-      materialMetrics[level][category].forEach((metricName) => {
-        // Check if company has this metric
-        const categoryData = esgData[category] || {};
-        const hasMetric = Object.keys(categoryData).some((key) =>
-          key.toLowerCase().includes(metricName.toLowerCase().split(" ")[0]),
-        );
-
-        if (hasMetric) {
-          companyMateriality[level].push({
-            metric: metricName,
-            category: category.charAt(0).toUpperCase() + category.slice(1),
-            status: "Reported",
-          });
-        } else {
-          companyMateriality[level].push({
-            metric: metricName,
-            category: category.charAt(0).toUpperCase() + category.slice(1),
-            status: "Not Reported",
-          });
-        }
-      });
+    byPriority[topic.priority].push({
+      key: topic.key,
+      metric: topic.name,
+      category: topic.pillar.charAt(0).toUpperCase() + topic.pillar.slice(1),
+      impact_score: topic.impact_score,
+      financial_score: topic.financial_score,
+      status,
     });
-  });
-
-  return companyMateriality;
+  }
+  return byPriority;
 }
 
 /**
- * Calculate overall ESG score with weighted materiality
+ * Percentage of the topics with scoring indicators that are reported
  */
-function calculateOverallScore(categoryScores, materialityWeights) {
-  // Calculate weighted score
-  const weightedScore =
-    categoryScores.environmental.score * materialityWeights.environmental +
-    categoryScores.social.score * materialityWeights.social +
-    categoryScores.governance.score * materialityWeights.governance;
-
-  const overallScore = Math.round(weightedScore);
-
-  // Determine rating based on score
-  let rating, color, description;
-  if (overallScore >= 90) {
-    rating = "AAA";
-    color = "#27ae60";
-    description = "Excellent";
-  } else if (overallScore >= 80) {
-    rating = "AA";
-    color = "#2ecc71";
-    description = "Very Good";
-  } else if (overallScore >= 70) {
-    rating = "A";
-    color = "#f39c12";
-    description = "Good";
-  } else if (overallScore >= 60) {
-    rating = "BBB";
-    color = "#e67e22";
-    description = "Adequate";
-  } else if (overallScore >= 50) {
-    rating = "BB";
-    color = "#e74c3c";
-    description = "Needs Improvement";
-  } else if (overallScore >= 40) {
-    rating = "B";
-    color = "#c0392b";
-    description = "Poor";
-  } else {
-    rating = "CCC";
-    color = "#7f8c8d";
-    description = "Very Poor";
-  }
-
-  return {
-    score: overallScore,
-    rating,
-    color,
-    description,
-    calculation_method:
-      "Weighted average based on materiality-adjusted category scores",
-  };
+function reportedShare(topics) {
+  const scorable = topics.filter((topic) => topic.status !== "Not Scored");
+  if (!scorable.length) return null;
+  return Math.round(
+    (scorable.filter((topic) => topic.status === "Reported").length /
+      scorable.length) *
+      100,
+  );
 }
 
 /**
@@ -478,35 +208,26 @@ async function getOverallESGScoreData(companyId, year = null) {
     // Get complete ESG data
     const esgData = await getCompleteESGData(companyId, year);
 
-    // Calculate materiality weights
-    const materialityWeights = calculateMaterialityWeights(company, esgData);
-
-    // Calculate category scores
-    const categoryScores = calculateCategoryScores(esgData, year);
-
-    // Calculate overall score
-    const overallScore = calculateOverallScore(
-      categoryScores,
-      materialityWeights,
+    // Pillar and overall scores from the stored metrics, with the metrics
+    // behind them; null where nothing could be scored
+    const scoring = await esgScoringService.scoreCompany(companyId, {
+      year: year || undefined,
+      trend: true,
+    });
+    const pillarByKey = Object.fromEntries(scoring.pillars.map((p) => [p.key, p]));
+    const pillarScores = ["environmental", "social", "governance"].map(
+      (key) => pillarByKey[key]?.score ?? null,
     );
 
-    // Calculate benchmarks
-    const benchmarks = calculateBenchmarks(company, categoryScores);
-
-    // Generate materiality matrix
-    const materialityMatrix = generateMaterialityMatrix(esgData);
+    // The company's approved materiality assessment for the year, if any
+    const materiality = await materialityService.getCompanyMateriality(
+      companyId,
+      scoring.year || year,
+    );
+    const materialityMatrix = materialityReporting(materiality, scoring);
 
-    // Calculate historical trend if multiple years available
     const historicalYears = esgData.metadata.reporting_years || [];
-    const historicalScores = historicalYears
-      .map((y) => ({
-        year: y,
-        score: 60 + Math.random() * 30, // In production, calculate actual historical scores
-        environmental: 55 + Math.random() * 30,
-        social: 65 + Math.random() * 25,
-        governance: 70 + Math.random() * 20,
-      }))
-      .sort((a, b) => a.year - b.year);
+    const scoredTrend = scoring.trend.filter((point) => point.overall !== null);
 
     const data = {
       // Version information
@@ -514,6 +235,7 @@ async function getOverallESGScoreData(companyId, year = null) {
         api: API_VERSION,
         calculation: CALCULATION_VERSION,
         gee_adapter: GEE_ADAPTER_VERSION,
+        scoring_methodology: scoring.methodology.version,
         last_updated: new Date().toISOString(),
       },
 
@@ -530,7 +252,7 @@ async function getOverallESGScoreData(companyId, year = null) {
 
       // Analysis parameters
       analysis: {
-        year: year || "latest",
+        year: scoring.year || year || "latest",
         years_analyzed: historicalYears,
         data_coverage: {
           environmental: Object.keys(esgData.environmental || {}).length,
@@ -547,72 +269,47 @@ async function getOverallESGScoreData(companyId, year = null) {
         },
       },
 
-      // Overall ESG Score (Aggregated from all APIs)
+      // Overall ESG Score (services/esg_scoring_service)
       overall_score: {
-        ...overallScore,
-        components: {
-          environmental: {
-            score: categoryScores.environmental.score,
-            weight: materialityWeights.environmental,
-            metrics_used: categoryScores.environmental.metrics_used,
-            confidence: categoryScores.environmental.confidence,
-          },
-          social: {
-            score: categoryScores.social.score,
-            weight: materialityWeights.social,
-            metrics_used: categoryScores.social.metrics_used,
-            confidence: categoryScores.social.confidence,
-          },
-          governance: {
-            score: categoryScores.governance.score,
-            weight: materialityWeights.governance,
-            metrics_used: categoryScores.governance.metrics_used,
-            confidence: categoryScores.governance.confidence,
-          },
-        },
-        // Weighted per materiality
-        materiality_weights: materialityWeights,
-        calculation_note:
-          "Scores are weighted averages based on industry-specific materiality factors and data availability",
+        score: scoring.overall.score,
+        rating: scoring.overall.rating,
+        color: RATING_COLORS[scoring.overall.rating] || null,
+        description: scoring.overall.description || null,
+        coverage: scoring.overall.coverage,
+        metrics_scored: scoring.metrics_scored,
+        metrics_total: scoring.metrics_total,
+        methodology: scoring.methodology,
+        components: Object.fromEntries(
+          scoring.pillars.map((pillar) => [
+            pillar.key,
+            {
+              score: pillar.score,
+              weight: pillar.effective_weight,
+              coverage: pillar.coverage,
+              rating: pillar.rating,
+              indicators: pillar.indicators,
+            },
+          ]),
+        ),
+        calculation_method:
+          "Weighted average of metric sub-scores (metric -> indicator -> pillar) under the scoring methodology",
       },
 
       // Holistic ESG Rating
       holistic_rating: {
-        overall: overallScore.rating,
-        environmental: benchmarks.environmental.rating,
-        social: benchmarks.social.rating,
-        governance: benchmarks.governance.rating,
-        framework_alignment: {
-          gri: Math.round(overallScore.score * 0.9), // Example alignment scores
-          ifrs: Math.round(overallScore.score * 0.85),
-          sasb: Math.round(overallScore.score * 0.88),
-          unsdg: Math.round(overallScore.score * 0.92),
-        },
-      },
-
-      // Benchmarks performance (GRI/IFRS hybrid)
-      benchmarks: {
-        industry_comparison: benchmarks,
-        peer_group: {
-          size: "Large Cap",
-          region: "Global",
-          average_score: 72,
-          company_percentile: Math.round((overallScore.score / 100) * 100),
-        },
-        framework_alignment: {
-          gri_core:
-            categoryScores.environmental.score >= 70 ? "Compliant" : "Partial",
-          ifrs_s1:
-            categoryScores.governance.score >= 75 ? "Aligned" : "Developing",
-          sasb_materiality: "85% Coverage",
-          tcfd:
-            categoryScores.environmental.score >= 65 ? "Recommended" : "Basic",
-        },
+        overall: scoring.overall.rating,
+        environmental: pillarByKey.environmental?.rating ?? null,
+        social: pillarByKey.social?.rating ?? null,
+        governance: pillarByKey.governance?.rating ?? null,
       },
 
-      // Materiality Matrix
-      materiality: {
+      // Materiality Matrix; null without an approved assessment
+      materiality: materiality && {
+        assessment: materiality.assessment,
+        thresholds: materiality.matrix.thresholds,
         matrix: materialityMatrix,
+        graph: materiality.matrix.graph,
+        highlighted_sections: materiality.highlighted_sections,
         focus_areas: {
           high_priority: materialityMatrix.high
             .filter((m) => m.status === "Reported")
@@ -624,12 +321,7 @@ async function getOverallESGScoreData(companyId, year = null) {
             .filter((m) => m.status === "Reported")
             .slice(0, 3),
         },
-        coverage_score: Math.round(
-          (materialityMatrix.high.filter((m) => m.status === "Reported")
-            .length /
-            materialityMatrix.high.length) *
-            100,
-        ),
+        coverage_score: reportedShare(materialityMatrix.high),
       },
 
       // Graphs for ESG Dashboard
@@ -638,12 +330,12 @@ async function getOverallESGScoreData(companyId, year = null) {
         esgTrend: {
           type: "line",
           title: "ESG Performance Trend",
-          description: "Historical ESG score progression",
-          labels: historicalScores.map((s) => s.year.toString()),
+          description: "Scores of every year with data",
+          labels: scoring.trend.map((s) => s.year.toString()),
           datasets: [
             {
               label: "Overall ESG Score",
-              data: historicalScores.map((s) => s.score),
+              data: scoring.trend.map((s) => s.overall),
               borderColor: "#2ecc71",
               backgroundColor: "rgba(46, 204, 113, 0.1)",
               fill: true,
@@ -651,21 +343,21 @@ async function getOverallESGScoreData(companyId, year = null) {
             },
             {
               label: "Environmental",
-              data: historicalScores.map((s) => s.environmental),
+              data: scoring.trend.map((s) => s.pillars.environmental ?? null),
               borderColor: "#27ae60",
               borderDash: [5, 5],
               backgroundColor: "transparent",
             },
             {
               label: "Social",
-              data: historicalScores.map((s) => s.social),
+              data: scoring.trend.map((s) => s.pillars.social ?? null),
               borderColor: "#3498db",
               borderDash: [5, 5],
               backgroundColor: "transparent",
             },
             {
               label: "Governance",
-              data: historicalScores.map((s) => s.governance),
+              data: scoring.trend.map((s) => s.pillars.governance ?? null),
               borderColor: "#9b59b6",
               borderDash: [5, 5],
               backgroundColor: "transparent",
@@ -677,110 +369,62 @@ async function getOverallESGScoreData(companyId, year = null) {
         esgPillars: {
           type: "radar",
           title: "ESG Pillar Performance",
-          description: "Comparison of E, S, G performance against benchmarks",
+          description: "Comparison of E, S, G performance",
           labels: ["Environmental", "Social", "Governance"],
           datasets: [
             {
               label: "Company Score",
-              data: [
-                categoryScores.environmental.score,
-                categoryScores.social.score,
-                categoryScores.governance.score,
-              ],
+              data: pillarScores,
               backgroundColor: "rgba(52, 152, 219, 0.2)",
               borderColor: "#3498db",
               borderWidth: 2,
             },
-            {
-              label: "Industry Average",
-              data: [
-                benchmarks.environmental.industry_average,
-                benchmarks.social.industry_average,
-                benchmarks.governance.industry_average,
-              ],
-              backgroundColor: "rgba(46, 204, 113, 0.2)",
-              borderColor: "#2ecc71",
-              borderWidth: 2,
-            },
           ],
         },
 
-        // Bar graph: Materiality-weighted scores
+        // Bar graph: pillar scores and the points they add to the overall score
         weightedScores: {
           type: "bar",
-          title: "Materiality-Weighted Scores",
-          description: "Category scores adjusted for material importance",
+          title: "Weighted Pillar Scores",
+          description: "Pillar scores and their weighted contribution to the overall score",
           labels: ["Environmental", "Social", "Governance"],
           datasets: [
             {
               label: "Raw Score",
-              data: [
-                categoryScores.environmental.score,
-                categoryScores.social.score,
-                categoryScores.governance.score,
-              ],
+              data: pillarScores,
               backgroundColor: "rgba(52, 152, 219, 0.7)",
               borderColor: "#3498db",
               borderWidth: 1,
             },
             {
               label: "Weighted Score",
-              data: [
-                categoryScores.environmental.score *
-                  materialityWeights.environmental,
-                categoryScores.social.score * materialityWeights.social,
-                categoryScores.governance.score * materialityWeights.governance,
-              ],
+              data: ["environmental", "social", "governance"].map((key) =>
+                pillarByKey[key]?.score !== null && pillarByKey[key]
+                  ? Math.round(pillarByKey[key].score * pillarByKey[key].effective_weight * 10) / 10
+                  : null,
+              ),
               backgroundColor: "rgba(231, 76, 60, 0.7)",
               borderColor: "#e74c3c",
               borderWidth: 1,
             },
           ],
         },
-
-        // Heatmap: Materiality matrix visualization
-        materialityHeatmap: {
-          type: "matrix",
-          title: "Materiality Matrix",
-          description: "Importance vs Performance of key ESG factors",
-          data: [
-            { x: 8, y: 7, value: 85, label: "GHG Emissions" },
-            { x: 6, y: 8, value: 90, label: "Water Management" },
-            { x: 9, y: 6, value: 75, label: "Energy Efficiency" },
-            { x: 7, y: 9, value: 92, label: "Employee Safety" },
-            { x: 5, y: 7, value: 70, label: "Supply Chain Ethics" },
-            { x: 8, y: 5, value: 65, label: "Board Diversity" },
-          ],
-          xAxis: { label: "Importance to Stakeholders", min: 1, max: 10 },
-          yAxis: { label: "Company Performance", min: 1, max: 10 },
-        },
       },
 
       // Key Performance Indicators
       kpis: {
-        overall_esg_score: overallScore.score,
+        overall_esg_score: scoring.overall.score,
         year_over_year_change:
-          historicalScores.length > 1
+          scoredTrend.length > 1
             ? (
-                ((historicalScores[historicalScores.length - 1].score -
-                  historicalScores[0].score) /
-                  historicalScores[0].score) *
+                ((scoredTrend[scoredTrend.length - 1].overall -
+                  scoredTrend[scoredTrend.length - 2].overall) /
+                  scoredTrend[scoredTrend.length - 2].overall) *
                 100
               ).toFixed(1) + "%"
             : "N/A",
-        materiality_coverage: Math.round(
-          (materialityMatrix.high.filter((m) => m.status === "Reported")
-            .length /
-            materialityMatrix.high.length) *
-            100,
-        ),
-        data_completeness: Math.round(
-          ((Object.keys(esgData.environmental || {}).length +
-            Object.keys(esgData.social || {}).length +
-            Object.keys(esgData.governance || {}).length) /
-            50) *
-            100,
-        ),
+        materiality_coverage: reportedShare(materialityMatrix.high),
+        scoring_coverage: Math.round(scoring.overall.coverage * 100),
         verification_rate: esgData.metadata.verification_status?.verified
           ? Math.round(
               (esgData.metadata.verification_status.verified /
@@ -790,63 +434,9 @@ async function getOverallESGScoreData(companyId, year = null) {
           : 0,
       },
 
-      // Recommendations for improvement
-      recommendations: [
-        {
-          area: "Environmental",
-          priority: "High",
-          recommendation: "Reduce Scope 1 & 2 emissions by 25% by 2026",
-          impact: "Improve score by 8-12 points",
-          timeframe: "24 months",
-        },
-        {
-          area: "Social",
-          priority: "Medium",
-          recommendation:
-            "Increase board diversity to 40% female representation",
-          impact: "Improve score by 5-7 points",
-          timeframe: "12 months",
-        },
-        {
-          area: "Governance",
-          priority: "High",
-          recommendation:
-            "Implement comprehensive ESG risk management framework",
-          impact: "Improve score by 10-15 points",
-          timeframe: "18 months",
-        },
-        {
-          area: "Reporting",
-          priority: "Medium",
-          recommendation: "Align reporting with IFRS S1 and S2 standards",
-          impact: "Improve benchmark alignment by 20%",
-          timeframe: "12 months",
-        },
-      ],
+      // The weakest indicators of the score, lowest first
+      recommendations: esgScoringService.improvementAreas(scoring),
 
-      // Framework alignment details
-      framework_alignment: {
-        gri: {
-          alignment: Math.round(overallScore.score * 0.9),
-          metrics_covered:
-            Object.keys(esgData.environmental || {}).length +
-            Object.keys(esgData.social || {}).length +
-            Object.keys(esgData.governance || {}).length,
-          compliance_level: overallScore.score >= 70 ? "Core" : "Basic",
-        },
-        ifrs: {
-          alignment: Math.round(overallScore.score * 0.85),
-          s1_climate:
-            categoryScores.environmental.score >= 65 ? "Compliant" : "Partial",
-          s2_social:
-            categoryScores.social.score >= 60 ? "Compliant" : "Developing",
-        },
-        unsdg: {
-          alignment: Math.round(overallScore.score * 0.92),
-          goals_addressed: ["SDG6", "SDG7", "SDG8", "SDG12", "SDG13"],
-          contribution_level: "Significant",
-        },
-      },
     };
 
     return data;
@@ -0,0 +1,464 @@
+// services/pdf_import_service.js
+// Import of metric tables from text-based PDF reports, in two steps: an
+// upload extracts the tables and proposes metric/year/value rows, each
+// citing its page; nothing is written until the user confirms rows into a
+// module. Every value written keeps "<report>; p.<page>" as its source.
+const PdfExtraction = require("../models/pdf_extraction_model");
+const AppError = require("../utils/app_error");
+const { extractPdfTables } = require("../utils/pdf_tables");
+const { parseCellValue } = require("../utils/wide_year_table");
+const { parseConflictPolicy } = require("../utils/import_conflicts");
+const esgDataService = require("./esg_data_service");
+const esgMetricsImportService = require("./esg_metrics_import_service");
+const importMappingService = require("./import_mapping_service");
+
+const { IMPORT_MODULES } = importMappingService;
+
+const PDF_MODULES = ["esg_data", ...Object.keys(IMPORT_MODULES)];
+const ESG_CATEGORIES = ["environmental", "social", "governance"];
+
+function companyFilter(companyId) {
+  return companyId ? { company: companyId } : {};
+}
+
+function pageSource(sourceName, page) {
+  return `${sourceName}; p.${page}`;
+}
+
+function categoryFromTitle(text) {
+  const lower = String(text || "").toLowerCase();
+  if (lower.includes("social") || lower.includes("people")) return "social";
+  if (lower.includes("governance") || lower.includes("board")) return "governance";
+  if (lower.includes("environment")) return "environmental";
+  return null;
+}
+
+/* ------------------------------ extraction ----------------------------- */
+
+/**
+ * Extract the tables of an uploaded PDF and store the proposed rows.
+ *
+ * @param {Buffer} buffer
+ * @param {Object} file multer file (originalname, size)
+ * @param {string} companyId
+ * @param {Object} actor { id, type }
+ * @param {Object} [options]
+ * @param {string} [options.sourceName] how values cite the report; the PDF
+ *   title or file name by default
+ */
+async function createExtraction(buffer, file, companyId, actor, options = {}) {
+  let extracted;
+  try {
+    extracted = await extractPdfTables(buffer);
+  } catch (error) {
+    throw new AppError(`Could not read the PDF: ${error.message}`, 400, "INVALID_PDF");
+  }
+
+  if (!extracted.tables.length) {
+    throw new AppError(
+      "No tables with year columns were found. Scanned PDFs have no text layer and need OCR first.",
+      400,
+      "NO_TABLES_FOUND",
+      { page_count: extracted.page_count }
+    );
+  }
+
+  const sourceName =
+    options.sourceName || extracted.title || file.originalname.replace(/\.pdf$/i, "");
+
+  const rows = [];
+  extracted.tables.forEach((table, tableIndex) => {
+    for (const row of table.rows) {
+      const suggested = esgMetricsImportService.matchMetricRule(row);
+      for (const point of row.values) {
+        rows.push({
+          page: table.page,
+          table: tableIndex,
+          line: row.line,
+          label: row.label,
+          metric_name: row.metric_name,
+          unit: row.unit || point.unit || undefined,
+          year: point.year,
+          value: point.value,
+          numeric_value: point.numeric_value ?? undefined,
+          kind: point.kind,
+          source: pageSource(sourceName, table.page),
+          suggested: suggested || undefined,
+        });
+      }
+    }
+  });
+
+  return PdfExtraction.create({
+    company: companyId,
+    file: {
+      name: file.originalname,
+      size: file.size,
+      page_count: extracted.page_count,
+      title: extracted.title || undefined,
+    },
+    source_name: sourceName,
+    tables: extracted.tables.map((table) => ({
+      page: table.page,
+      title: table.title,
+      header_label: table.header_label,
+      years: table.years,
+      rows_count: table.rows.length,
+    })),
+    rows,
+    expires_at: new Date(Date.now() + PdfExtraction.UNCONFIRMED_TTL_SECONDS * 1000),
+    created_by: actor.id,
+    created_by_type: actor.type,
+  });
+}
+
+async function getExtraction(extractionId, companyId) {
+  const extraction = await PdfExtraction.findOne({
+    _id: extractionId,
+    ...companyFilter(companyId),
+  });
+  if (!extraction) {
+    throw new AppError("PDF extraction not found", 404, "EXTRACTION_NOT_FOUND");
+  }
+  return extraction;
+}
+
+function describeExtraction(extraction) {
+  const bySuggestedModule = {};
+  for (const row of extraction.rows) {
+    if (row.confirmed_module) continue;
+    const module = row.suggested?.module || "unmatched";
+    bySuggestedModule[module] = (bySuggestedModule[module] || 0) + 1;
+  }
+
+  return {
+    id: extraction._id,
+    company: extraction.company,
+    status: extraction.status,
+    file: extraction.file,
+    source_name: extraction.source_name,
+    tables: extraction.tables.map((table, index) => ({ index, ...table.toObject() })),
+    rows: extraction.rows.map((row) => ({
+      id: row._id,
+      page: row.page,
+      table: row.table,
+      label: row.label,
+      metric_name: row.metric_name,
+      unit: row.unit,
+      year: row.year,
+      value: row.value,
+      numeric_value: row.numeric_value,
+      kind: row.kind,
+      source: row.source,
+      suggested: row.suggested?.module ? row.suggested : null,
+      confirmed_module: row.confirmed_module || null,
+      confirmed_batch_id: row.confirmed_batch_id || null,
+    })),
+    summary: {
+      rows: extraction.rows.length,
+      unconfirmed_by_suggested_module: bySuggestedModule,
+    },
+    confirmations: extraction.confirmations,
+    expires_at: extraction.expires_at,
+    created_at: extraction.created_at,
+  };
+}
+
+/* ----------------------------- confirmation ---------------------------- */
+
+/**
+ * The rows a confirmation covers, with the caller's corrections applied.
+ * `selection` entries are row ids or `{ id, metric_name, category,
+ * subcategory, unit, value }`; without a selection every unconfirmed row
+ * suggested for the module is taken.
+ */
+function selectRows(extraction, module, selection) {
+  const errors = [];
+  let picked;
+
+  if (Array.isArray(selection) && selection.length) {
+    picked = selection.map((entry) => {
+      const edits = typeof entry === "object" && entry !== null ? entry : { id: entry };
+      const row = extraction.rows.id(edits.id);
+      if (!row) errors.push({ row_id: edits.id, message: "Row not found in this extraction" });
+      return { row, edits };
+    });
+  } else {
+    picked = extraction.rows
+      .filter((row) => !row.confirmed_module && row.suggested?.module === module)
+      .map((row) => ({ row, edits: {} }));
+  }
+
+  if (!picked.length) {
+    throw new AppError(
+      `No rows selected; none are suggested for ${module}, so pass \`rows\``,
+      400,
+      "NO_ROWS_SELECTED"
+    );
+  }
+
+  for (const { row } of picked) {
+    if (row?.confirmed_module) {
+      errors.push({
+        row_id: row._id,
+        label: row.label,
+        year: row.year,
+        message: `Already confirmed into ${row.confirmed_module} (batch ${row.confirmed_batch_id})`,
+      });
+    }
+  }
+  if (errors.length) {
+    throw new AppError("Some rows cannot be confirmed", 400, "INVALID_ROWS", { errors });
+  }
+
+  return picked;
+}
+
+/**
+ * Where one row lands in the module: the caller's corrections first, then
+ * the mapping template, then the suggestion when it is for this module.
+ */
+function resolveTarget(row, edits, module, template, defaultCategory) {
+  const rule = template?.mappings.find((mapping) =>
+    importMappingService.ruleMatches(mapping, row.label)
+  );
+  const suggested = row.suggested?.module === module ? row.suggested : null;
+
+  let point = {
+    value: row.value,
+    numeric_value: row.numeric_value,
+    kind: row.kind,
+  };
+  if (edits.value !== undefined) {
+    const parsed = parseCellValue(edits.value);
+    point = parsed
+      ? { value: parsed.value, numeric_value: parsed.numeric_value ?? undefined, kind: parsed.kind }
+      : { value: null, numeric_value: undefined, kind: "not_reported" };
+  }
+
+  return {
+    category: edits.category || rule?.category || suggested?.category || defaultCategory,
+    subcategory: edits.subcategory || rule?.subcategory || suggested?.subcategory,
+    metric_name: edits.metric_name || rule?.metric_name || suggested?.metric_name || row.metric_name,
+    unit: edits.unit || rule?.unit || row.unit,
+    point: { year: row.year, ...point, source: row.source },
+  };
+}
+
+/**
+ * Build the confirmation: the rows grouped into module metrics, checked
+ * against the module's categories. Nothing is written.
+ *
+ * @param {Object} extraction
+ * @param {Object} request
+ * @param {string} request.module esg_data or a domain module
+ * @param {Array} [request.rows] see selectRows
+ * @param {string} [request.category] esg_data: category for every row
+ * @param {string} [request.mapping_template_id] company template for the module
+ * @param {string} [request.conflict_policy] how to settle years the module
+ *   already has a different value for (utils/import_conflicts)
+ */
+async function planConfirmation(extraction, request = {}) {
+  const { module } = request;
+  const conflictPolicy = parseConflictPolicy(request.conflict_policy);
+  if (!PDF_MODULES.includes(module)) {
+    throw new AppError(
+      `module must be one of: ${PDF_MODULES.join(", ")}`,
+      400,
+      "INVALID_MODULE"
+    );
+  }
+
+  const template = await importMappingService.getTemplateForImport(
+    extraction.company,
+    request.mapping_template_id,
+    module
+  );
+  const picked = selectRows(extraction, module, request.rows);
+
+  const categories =
+    module === "esg_data" ? ESG_CATEGORIES : importMappingService.categoriesFor(module);
+  const errors = [];
+  const metrics = new Map();
+
+  for (const { row, edits } of picked) {
+    const defaultCategory =
+      module === "esg_data"
+        ? request.category || categoryFromTitle(extraction.tables[row.table]?.title)
+        : undefined;
+    const target = resolveTarget(row, edits, module, template, defaultCategory);
+
+    if (!target.category) {
+      errors.push({ row_id: row._id, label: row.label, message: "category is required" });
+      continue;
+    }
+    if (categories.length && !categories.includes(target.category)) {
+      errors.push({
+        row_id: row._id,
+        label: row.label,
+        message: `"${target.category}" is not a ${module} category`,
+      });
+      continue;
+    }
+
+    const key = [target.category, target.subcategory || "", target.metric_name].join("|");
+    if (!metrics.has(key)) {
+      metrics.set(key, {
+        category: target.category,
+        subcategory: target.subcategory,
+        metric_name: target.metric_name,
+        unit: target.unit,
+        label: row.label,
+        row_ids: [],
+        values: [],
+      });
+    }
+    const metric = metrics.get(key);
+    if (metric.values.some((value) => value.year === target.point.year)) {
+      errors.push({
+        row_id: row._id,
+        label: row.label,
+        year: row.year,
+        message: `Two selected rows give ${target.metric_name} for ${row.year}`,
+      });
+      continue;
+    }
+    metric.row_ids.push(row._id);
+    metric.values.push(target.point);
+  }
+
+  if (errors.length) {
+    throw new AppError("Some rows cannot be confirmed", 400, "INVALID_ROWS", {
+      errors,
+      categories,
+    });
+  }
+
+  const planned = [...metrics.values()];
+  planned.forEach((metric) => metric.values.sort((a, b) => a.year - b.year));
+  return {
+    module,
+    rows_count: picked.length,
+    conflict_policy: conflictPolicy,
+    metrics: planned,
+  };
+}
+
+function toEsgData(plan, extraction) {
+  const years = plan.metrics.flatMap((metric) => metric.values.map((value) => value.year));
+  return {
+    company: extraction.company.toString(),
+    reporting_period_start: Math.min(...years),
+    reporting_period_end: Math.max(...years),
+    data_source: extraction.source_name,
+    source_file_name: extraction.file.name,
+    source_file_metadata: {
+      page_count: extraction.file.page_count,
+      sources: [...new Set(plan.metrics.flatMap((m) => m.values.map((v) => v.source)))],
+      pdf_extraction_id: extraction._id,
+    },
+    metrics: plan.metrics.map((metric) => ({
+      category: metric.category,
+      metric_name: metric.metric_name,
+      unit: metric.unit,
+      description: metric.label !== metric.metric_name ? metric.label : undefined,
+      values: metric.values.map((value) => ({
+        year: value.year,
+        value: value.value,
+        numeric_value: value.numeric_value,
+        not_reported: value.kind === "not_reported" || undefined,
+        source_notes: value.source,
+      })),
+    })),
+  };
+}
+
+/**
+ * Write a planned confirmation to its module and mark the rows confirmed.
+ * Domain modules get a new version of their active record, as with the
+ * other file imports. Values that differ from stored ones are settled by
+ * the plan's conflict_policy; without one the confirmation is refused.
+ *
+ * @returns {Promise<Object>} the plan with `batch_id`, `records` and
+ *   `conflicts`
+ */
+async function confirmExtraction(extraction, plan, userId) {
+  const importBatchId = `PDF_IMPORT_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  let records;
+  let conflicts;
+
+  if (plan.module === "esg_data") {
+    const imported = await esgDataService.importESGData(
+      [toEsgData(plan, extraction)],
+      extraction.company.toString(),
+      userId,
+      {
+        source_file_name: extraction.file.name,
+        source_file_type: "pdf",
+        import_batch_id: importBatchId,
+        import_date: new Date(),
+        validation_status: "validated",
+      },
+      plan.conflict_policy
+    );
+    records = imported.data.map((record) => ({ module: "esg_data", record_id: record._id }));
+    conflicts = imported.conflicts;
+  } else {
+    const routes = plan.metrics.map((metric) => ({
+      module: plan.module,
+      category: metric.category,
+      subcategory: metric.subcategory,
+      metric_name: metric.metric_name,
+      metric: {
+        label: metric.label,
+        metric_name: metric.metric_name,
+        unit: metric.unit,
+        values: metric.values,
+      },
+    }));
+    const sync = await esgMetricsImportService.planDomainSync(
+      { modules: [plan.module], routes },
+      extraction.company,
+      userId,
+      {
+        importBatchId,
+        fileName: extraction.file.name,
+        importSource: "pdf_extraction",
+        importNotes: `Confirmed from PDF report ${extraction.file.name}`,
+        conflictPolicy: plan.conflict_policy,
+      }
+    );
+    records = await esgMetricsImportService.writeDomainSync(sync);
+    conflicts = sync.conflicts;
+  }
+
+  const confirmedIds = new Set(plan.metrics.flatMap((m) => m.row_ids.map(String)));
+  for (const row of extraction.rows) {
+    if (!confirmedIds.has(String(row._id))) continue;
+    row.confirmed_module = plan.module;
+    row.confirmed_batch_id = importBatchId;
+  }
+  extraction.confirmations.push({
+    module: plan.module,
+    batch_id: importBatchId,
+    rows_count: plan.rows_count,
+    records,
+    confirmed_by: userId,
+  });
+  extraction.status = extraction.rows.every((row) => row.confirmed_module)
+    ? "confirmed"
+    : "partially_confirmed";
+  extraction.expires_at = undefined;
+  await extraction.save();
+
+  return { ...plan, batch_id: importBatchId, records, conflicts };
+}
+
+module.exports = {
+  PDF_MODULES,
+  createExtraction,
+  getExtraction,
+  describeExtraction,
+  planConfirmation,
+  confirmExtraction,
+};
@@ -0,0 +1,511 @@
+// services/series_import_service.js
+// Import of large time-series CSVs (monthly carbon sequestration for many
+// farms, sensor readings) that do not fit the 10MB in-memory upload path.
+// The file is read from disk in chunks of rows and each chunk is written in
+// one bounded bulk write, so memory use does not grow with the file. Every
+// row becomes a SeriesObservation keyed by company, module, dataset, site
+// and period. A row another batch wrote is replaced in place and its
+// earlier state kept in `superseded`, so rolling the new batch back
+// restores it (services/import_batch_service).
+const mongoose = require("mongoose");
+const SeriesObservation = require("../models/series_observation_model");
+const AppError = require("../utils/app_error");
+const { recordChanges } = require("../utils/audit_trail");
+const { DEFAULT_CHUNK_SIZE, readCsvInChunks, readCsvSample } = require("../utils/csv_stream");
+const { parseCellValue } = require("../utils/wide_year_table");
+const { IMPORT_MODULES } = require("./import_mapping_service");
+
+const SERIES_MODULES = ["carbon", ...Object.keys(IMPORT_MODULES)];
+
+const CHUNK_SIZE = parseInt(process.env.IMPORT_STREAM_CHUNK_ROWS, 10) || DEFAULT_CHUNK_SIZE;
+const MAX_CHUNK_SIZE = 5000;
+// Row errors past this many are counted but not listed
+const MAX_REPORTED_FAILURES = 100;
+const MAX_REPORTED_SITES = 100;
+const MAX_ATTRIBUTE_LENGTH = 200;
+const MAX_LIMIT = 1000;
+
+// Column names recognised when the request does not name the columns
+const SITE_COLUMNS = /^(farm|site|plot|field|station|sensor|location|estate)([ _-]?(id|name|code))?$/i;
+const DATE_COLUMNS = /^(date|datetime|timestamp|period|reading[ _-]?(date|time)|month[ _-]?start)$/i;
+const YEAR_COLUMNS = /^(year|yr|reporting[ _-]?year)$/i;
+const MONTH_COLUMNS = /^(month|month[ _-]?(number|no|num)|mon)$/i;
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+function columnKey(header) {
+  return String(header)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+}
+
+/**
+ * Dataset names are stored as keys: "Sequestration Monthly" becomes
+ * "sequestration_monthly".
+ */
+function datasetKey(name) {
+  const key = columnKey(name || "");
+  if (!key) {
+    throw new AppError("A dataset name is required", 400, "INVALID_DATASET");
+  }
+  return key;
+}
+
+function findColumn(headers, requested, pattern, role) {
+  if (requested) {
+    const match = headers.find((header) => header.toLowerCase() === String(requested).trim().toLowerCase());
+    if (!match) {
+      throw new AppError(`Column "${requested}" (${role}) is not in the file`, 400, "UNKNOWN_COLUMN", {
+        column: requested,
+        headers,
+      });
+    }
+    return match;
+  }
+  return headers.find((header) => pattern.test(header.trim())) || null;
+}
+
+/**
+ * Which columns hold the site and the period, and the key every other
+ * column is stored under.
+ *
+ * @param {string[]} headers
+ * @param {Object} [options] site_column, date_column, year_column,
+ *   month_column; recognised by name when not given
+ * @returns {{site, date, year, month, values: Object<string, string>}}
+ */
+function planColumns(headers, options = {}) {
+  const columns = {
+    site: findColumn(headers, options.site_column, SITE_COLUMNS, "site"),
+    date: findColumn(headers, options.date_column, DATE_COLUMNS, "date"),
+    year: findColumn(headers, options.year_column, YEAR_COLUMNS, "year"),
+    month: findColumn(headers, options.month_column, MONTH_COLUMNS, "month"),
+  };
+  if (!columns.date && !columns.year) {
+    throw new AppError(
+      "No date or year column found; name it with date_column or year_column",
+      400,
+      "NO_PERIOD_COLUMN",
+      { headers }
+    );
+  }
+  // A recognised year or month column next to a date repeats it
+  const keyed = new Set([columns.site, columns.date, columns.year, columns.month]);
+  if (columns.date) {
+    columns.year = null;
+    columns.month = null;
+  }
+
+  const used = new Set();
+  columns.values = {};
+  for (const header of headers) {
+    if (keyed.has(header)) continue;
+    const base = columnKey(header) || "column";
+    let key = base;
+    for (let n = 2; used.has(key); n++) key = `${base}_${n}`;
+    used.add(key);
+    columns.values[header] = key;
+  }
+  return columns;
+}
+
+function parseMonth(text) {
+  const value = String(text ?? "").trim();
+  if (/^\d{1,2}$/.test(value)) {
+    const month = parseInt(value, 10);
+    return month >= 1 && month <= 12 ? month : null;
+  }
+  const index = MONTHS.indexOf(value.slice(0, 3).toLowerCase());
+  return index === -1 ? null : index + 1;
+}
+
+/**
+ * Period of a date cell: "2024-03-15", "2024-03-15T06:00:00Z", "2024-03",
+ * "2024/03", "Mar 2024" or "March-2024". Dates without a time are UTC.
+ */
+function parseDate(text) {
+  const value = String(text ?? "").trim();
+  let match = value.match(/^(\d{4})[-/](\d{1,2})$/);
+  if (match) {
+    const month = parseInt(match[2], 10);
+    return month >= 1 && month <= 12 ? new Date(Date.UTC(+match[1], month - 1, 1)) : null;
+  }
+  match = value.match(/^([A-Za-z]{3,9})[\s-]+(\d{4})$/);
+  if (match) {
+    const month = parseMonth(match[1]);
+    return month ? new Date(Date.UTC(+match[2], month - 1, 1)) : null;
+  }
+  if (!/^\d{4}-\d{2}-\d{2}/.test(value)) return null;
+  const date = new Date(value.length === 10 ? `${value}T00:00:00Z` : value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function rowPeriod(raw, columns) {
+  if (columns.date) {
+    const period = parseDate(raw[columns.date]);
+    if (!period) throw new Error(`Unreadable date "${raw[columns.date] ?? ""}"`);
+    return {
+      period,
+      year: period.getUTCFullYear(),
+      month: period.getUTCMonth() + 1,
+    };
+  }
+
+  const year = parseInt(String(raw[columns.year] ?? "").trim(), 10);
+  if (!(year >= 1900 && year <= 2100)) {
+    throw new Error(`Unreadable year "${raw[columns.year] ?? ""}"`);
+  }
+  if (!columns.month) return { period: new Date(Date.UTC(year, 0, 1)), year };
+
+  const month = parseMonth(raw[columns.month]);
+  if (!month) throw new Error(`Unreadable month "${raw[columns.month] ?? ""}"`);
+  return { period: new Date(Date.UTC(year, month - 1, 1)), year, month };
+}
+
+/**
+ * One CSV row as the fields of its observation; throws on a row without a
+ * readable period.
+ */
+function toObservation(raw, columns) {
+  const { period, year, month } = rowPeriod(raw, columns);
+  const values = {};
+  const attributes = {};
+
+  for (const [header, key] of Object.entries(columns.values)) {
+    const parsed = parseCellValue(raw[header]);
+    if (!parsed || parsed.kind === "not_reported") continue;
+    if (parsed.numeric_value !== null) values[key] = parsed.numeric_value;
+    else attributes[key] = String(parsed.value).slice(0, MAX_ATTRIBUTE_LENGTH);
+  }
+
+  return {
+    site: columns.site ? String(raw[columns.site] ?? "").trim() : "",
+    period,
+    year,
+    month,
+    values,
+    attributes: Object.keys(attributes).length ? attributes : undefined,
+  };
+}
+
+/**
+ * Check a large upload's columns before it is queued and preview its first
+ * rows as they would be stored.
+ */
+async function planSeriesFile(filePath, options = {}) {
+  const { headers, rows } = await readCsvSample(filePath);
+  if (!headers.length) {
+    throw new AppError("The file has no header row", 400, "EMPTY_FILE");
+  }
+  const columns = planColumns(headers, options);
+
+  return {
+    columns: {
+      site: columns.site,
+      date: columns.date,
+      year: columns.year,
+      month: columns.month,
+      values: columns.values,
+    },
+    sample: rows.map((raw, index) => {
+      try {
+        return { row: index + 1, ...toObservation(raw, columns) };
+      } catch (error) {
+        return { row: index + 1, error: error.message };
+      }
+    }),
+  };
+}
+
+function chunkSizeOf(requested) {
+  const size = parseInt(requested, 10) || CHUNK_SIZE;
+  return Math.min(Math.max(size, 1), MAX_CHUNK_SIZE);
+}
+
+function rowKey(site, period) {
+  return `${site}\u0000${period.toISOString()}`;
+}
+
+/**
+ * The stored rows a chunk will replace, by site and period, without their
+ * `superseded` history.
+ */
+async function storedRows(company, module, dataset, observations) {
+  const rows = await SeriesObservation.find({
+    company,
+    module,
+    dataset,
+    site: { $in: [...new Set(observations.map((o) => o.site))] },
+    period: { $in: [...new Set(observations.map((o) => o.period.getTime()))].map((t) => new Date(t)) },
+  })
+    .select("-superseded -__v")
+    .lean();
+  return new Map(rows.map((row) => [rowKey(row.site, row.period), row]));
+}
+
+/**
+ * What a batch keeps of a row it replaces.
+ */
+function supersededState(row, batchId, now) {
+  return {
+    values: row.values,
+    attributes: row.attributes,
+    month: row.month,
+    import_batch_id: row.import_batch_id,
+    source_file: row.source_file,
+    source_row: row.source_row,
+    created_by: row.created_by,
+    superseded_by_batch: batchId,
+    superseded_at: now,
+  };
+}
+
+/**
+ * Stream a CSV file into SeriesObservation rows, one bulk write per chunk.
+ * Rows that cannot be read or written are counted and the first
+ * MAX_REPORTED_FAILURES of them listed; the rest of the file still imports.
+ *
+ * @param {string} filePath
+ * @param {Object} options
+ * @param {string} options.companyId
+ * @param {string} options.module one of SERIES_MODULES
+ * @param {string} options.dataset
+ * @param {Object} [options.columns] planColumns options
+ * @param {string} [options.fileName] stored as each row's source_file
+ * @param {string} [options.batchId] import_batch_id on every row
+ * @param {string} [options.userId]
+ * @param {number} [options.chunkSize]
+ * @param {Function} [options.onProgress] async ({ rows_read, rows_written,
+ *   rows_failed, bytes_read, bytes_total }) after every chunk
+ * @returns {Promise<Object>} counts, the column plan, the first
+ *   MAX_REPORTED_SITES sites, the period range and `failures`
+ *   ([{ row, message }])
+ */
+async function importSeriesFile(filePath, options) {
+  const { companyId, module, fileName, batchId, userId, onProgress } = options;
+  const dataset = datasetKey(options.dataset);
+  const company = new mongoose.Types.ObjectId(String(companyId));
+
+  let columns = null;
+  const counts = { rows_read: 0, rows_inserted: 0, rows_updated: 0, rows_failed: 0 };
+  const failures = [];
+  const sites = new Set();
+  let from = null;
+  let to = null;
+
+  const fail = (row, message) => {
+    counts.rows_failed += 1;
+    if (failures.length < MAX_REPORTED_FAILURES) failures.push({ row, message });
+  };
+
+  const writeChunk = async (rows, { first_row, bytes_read, bytes_total }) => {
+    const observations = [];
+    rows.forEach((raw, index) => {
+      const row = first_row + index;
+      try {
+        observations.push({ row, ...toObservation(raw, columns) });
+      } catch (error) {
+        fail(row, error.message);
+      }
+    });
+    counts.rows_read += rows.length;
+
+    if (observations.length) {
+      const stored = await storedRows(company, module, dataset, observations);
+      const now = new Date();
+      const operations = [];
+      const audits = [];
+
+      for (const { row, site, period, ...fields } of observations) {
+        if (sites.size < MAX_REPORTED_SITES) sites.add(site);
+        if (!from || period < from) from = period;
+        if (!to || period > to) to = period;
+
+        const $set = {
+          ...fields,
+          module,
+          import_batch_id: batchId,
+          source_file: fileName,
+          source_row: row,
+          created_by: userId,
+        };
+        const $unset = {};
+        for (const key of ["month", "attributes"]) {
+          if ($set[key] === undefined) {
+            delete $set[key];
+            $unset[key] = "";
+          }
+        }
+
+        const key = rowKey(site, period);
+        const before = stored.get(key) || null;
+        const update = { $set };
+        if (Object.keys($unset).length) update.$unset = $unset;
+        // A retry of the same batch rewrites its own rows and keeps nothing
+        if (before && before.import_batch_id !== batchId) {
+          update.$push = { superseded: supersededState(before, batchId, now) };
+        }
+
+        const after = { ...(before || { company, dataset, site, period }), ...$set };
+        for (const field of Object.keys($unset)) delete after[field];
+        stored.set(key, after);
+
+        operations.push({
+          updateOne: { filter: { company, module, dataset, site, period }, update, upsert: true },
+        });
+        audits.push({ row, before, after });
+      }
+
+      let result;
+      const failed = new Set();
+      try {
+        result = await SeriesObservation.bulkWrite(operations, { ordered: false });
+      } catch (error) {
+        if (!error.writeErrors) throw error;
+        result = error.result;
+        for (const writeError of error.writeErrors) {
+          failed.add(writeError.index);
+          fail(audits[writeError.index].row, writeError.errmsg || writeError.message);
+        }
+      }
+      counts.rows_inserted += result?.upsertedCount || 0;
+      counts.rows_updated += result?.matchedCount || 0;
+
+      const upsertedIds = result?.upsertedIds || {};
+      await recordChanges(
+        { module, model: SeriesObservation.modelName },
+        audits
+          .map((audit, index) => {
+            if (failed.has(index)) return null;
+            if (!audit.after._id) audit.after._id = upsertedIds[index];
+            return audit.after._id ? audit : null;
+          })
+          .filter(Boolean)
+      );
+    }
+
+    if (onProgress) {
+      await onProgress({
+        rows_read: counts.rows_read,
+        rows_written: counts.rows_inserted + counts.rows_updated,
+        rows_failed: counts.rows_failed,
+        bytes_read,
+        bytes_total,
+      });
+    }
+  };
+
+  const read = await readCsvInChunks(filePath, {
+    chunkSize: chunkSizeOf(options.chunkSize),
+    onHeaders: (headers) => {
+      columns = planColumns(headers, options.columns);
+    },
+    onChunk: writeChunk,
+  });
+  if (!columns) {
+    throw new AppError("The file has no header row", 400, "EMPTY_FILE");
+  }
+
+  return {
+    module,
+    dataset,
+    rows_total: read.rows,
+    rows_written: counts.rows_inserted + counts.rows_updated,
+    ...counts,
+    columns: {
+      site: columns.site,
+      date: columns.date,
+      year: columns.year,
+      month: columns.month,
+      values: columns.values,
+    },
+    sites: [...sites],
+    period: { from, to },
+    failures,
+  };
+}
+
+/* -------------------------------- queries ------------------------------ */
+
+/**
+ * The module a company's dataset was imported into; 404 when the company
+ * has no rows for it. A dataset name used in more than one module has to
+ * be narrowed with `module`.
+ */
+async function datasetModule(companyId, dataset, module) {
+  const filter = { company: companyId, dataset: datasetKey(dataset) };
+  if (module) filter.module = String(module);
+
+  const modules = await SeriesObservation.distinct("module", filter);
+  if (!modules.length) {
+    throw new AppError(`No series data found for dataset ${dataset}`, 404, "DATASET_NOT_FOUND");
+  }
+  if (modules.length > 1) {
+    throw new AppError(
+      `Dataset ${dataset} exists in more than one module; choose one with module`,
+      400,
+      "AMBIGUOUS_DATASET",
+      { modules: modules.sort() }
+    );
+  }
+  return modules[0];
+}
+
+/**
+ * A page of a dataset's rows in period order.
+ *
+ * @param {Object} query companyId, module, dataset, site, from, to
+ *   (years or dates), page, limit
+ */
+async function listObservations({ companyId, module, dataset, site, from, to, page = 1, limit = 100 }) {
+  const filter = { company: companyId, module, dataset: datasetKey(dataset) };
+  if (site !== undefined) filter.site = String(site);
+
+  const bound = (value, end) => {
+    if (/^\d{4}$/.test(String(value))) {
+      return new Date(Date.UTC(parseInt(value, 10) + (end ? 1 : 0), 0, 1));
+    }
+    const date = parseDate(value);
+    if (!date) {
+      throw new AppError(`Invalid ${end ? "to" : "from"} value "${value}"`, 400, "INVALID_PERIOD");
+    }
+    return date;
+  };
+  if (from || to) {
+    filter.period = {};
+    if (from) filter.period.$gte = bound(from, false);
+    if (to) filter.period[/^\d{4}$/.test(String(to)) ? "$lt" : "$lte"] = bound(to, true);
+  }
+
+  const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 100, 1), MAX_LIMIT);
+
+  const [items, total] = await Promise.all([
+    SeriesObservation.find(filter)
+      .sort({ site: 1, period: 1 })
+      .skip((pageNum - 1) * pageSize)
+      .limit(pageSize)
+      .select("-__v -superseded")
+      .lean(),
+    SeriesObservation.countDocuments(filter),
+  ]);
+
+  return {
+    items,
+    total,
+    page: pageNum,
+    limit: pageSize,
+    totalPages: Math.ceil(total / pageSize),
+  };
+}
+
+module.exports = {
+  SERIES_MODULES,
+  datasetKey,
+  planColumns,
+  planSeriesFile,
+  importSeriesFile,
+  datasetModule,
+  listObservations,
+};
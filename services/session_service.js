@@ -0,0 +1,147 @@
+// services/session_service.js
+const crypto = require("crypto");
+const Session = require("../models/session_model");
+const AppError = require("../utils/app_error");
+
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+function hashSecret(secret) {
+  return crypto.createHash("sha256").update(secret).digest("hex");
+}
+
+function newSecret() {
+  return crypto.randomBytes(48).toString("base64url");
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Refresh tokens are "<sessionId>.<secret>"; only the secret's hash is stored.
+ */
+function splitRefreshToken(refreshToken) {
+  const [sessionId, secret, ...rest] = String(refreshToken || "").split(".");
+  if (!sessionId || !secret || rest.length) {
+    throw new AppError("Invalid refresh token", 401, "INVALID_REFRESH_TOKEN");
+  }
+  return { sessionId, secret };
+}
+
+/**
+ * Open a new session for a logged-in owner or member.
+ * @returns {Promise<{session: Object, refreshToken: string}>}
+ */
+async function createSession(subjectId, subjectType, device = {}) {
+  const secret = newSecret();
+  const session = await Session.create({
+    subject: subjectId,
+    subject_type: subjectType,
+    refresh_token_hash: hashSecret(secret),
+    device,
+    expires_at: refreshExpiry(),
+  });
+
+  return { session, refreshToken: `${session._id}.${secret}` };
+}
+
+/**
+ * Exchange a refresh token for a new one. The swap only matches while the
+ * stored hash is still this token's, so of two concurrent rotations one
+ * wins and the other is treated as reuse. A token that no longer matches
+ * was already rotated, so the whole session is revoked.
+ * @returns {Promise<{session: Object, refreshToken: string}>}
+ */
+async function rotateRefreshToken(refreshToken, device = {}) {
+  const { sessionId, secret } = splitRefreshToken(refreshToken);
+  const now = new Date();
+
+  const nextSecret = newSecret();
+  const update = {
+    refresh_token_hash: hashSecret(nextSecret),
+    last_used_at: now,
+    expires_at: refreshExpiry(),
+  };
+  if (device.ip) update["device.ip"] = device.ip;
+  if (device.user_agent) update["device.user_agent"] = device.user_agent;
+
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: sessionId,
+      refresh_token_hash: hashSecret(secret),
+      revoked_at: { $exists: false },
+      expires_at: { $gt: now },
+    },
+    { $set: update, $inc: { rotation_count: 1 } },
+    { new: true }
+  );
+  if (session) {
+    return { session, refreshToken: `${session._id}.${nextSecret}` };
+  }
+
+  const current = await Session.findById(sessionId);
+  if (!current || !current.isActive()) {
+    throw new AppError("Session expired or revoked", 401, "SESSION_REVOKED");
+  }
+
+  await Session.updateOne(
+    { _id: sessionId, revoked_at: { $exists: false } },
+    { $set: { revoked_at: now, revoked_reason: "token_reuse" } }
+  );
+  throw new AppError(
+    "Refresh token was already used; session revoked",
+    401,
+    "REFRESH_TOKEN_REUSED",
+  );
+}
+
+/**
+ * Check that a session referenced by an access token is still usable.
+ */
+async function isSessionActive(sessionId) {
+  const session = await Session.findById(sessionId);
+  return Boolean(session && session.isActive());
+}
+
+async function listSessions(subjectId) {
+  return Session.find({
+    subject: subjectId,
+    revoked_at: { $exists: false },
+    expires_at: { $gt: new Date() },
+  }).sort({ last_used_at: -1 });
+}
+
+async function revokeSession(sessionId, subjectId, reason = "revoked") {
+  const session = await Session.findOne({ _id: sessionId, subject: subjectId });
+  if (!session) throw new AppError("Session not found", 404, "NOT_FOUND");
+
+  if (!session.revoked_at) {
+    session.revoked_at = new Date();
+    session.revoked_reason = reason;
+    await session.save();
+  }
+  return session;
+}
+
+/**
+ * Revoke every open session of a subject, optionally keeping one.
+ * @returns {Promise<number>} number of sessions revoked
+ */
+async function revokeAllSessions(subjectId, reason = "revoked", exceptSessionId = null) {
+  const filter = { subject: subjectId, revoked_at: { $exists: false } };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  const result = await Session.updateMany(filter, {
+    $set: { revoked_at: new Date(), revoked_reason: reason },
+  });
+  return result.modifiedCount;
+}
+
+module.exports = {
+  createSession,
+  rotateRefreshToken,
+  isSessionActive,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+};
@@ -0,0 +1,241 @@
+// services/two_factor_service.js
+const crypto = require("crypto");
+const User = require("../models/users_model");
+const Member = require("../models/member_model");
+const AppError = require("../utils/app_error");
+const totp = require("../utils/totp");
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || "Mavhu";
+const RECOVERY_CODE_COUNT = 10;
+const SECRET_FIELDS =
+  "+two_factor.secret +two_factor.pending_secret +two_factor.recovery_codes +two_factor.last_used_step";
+
+/* ------------------------- secret encryption ------------------------- */
+
+function encryptionKey() {
+  const source = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET;
+  return crypto.createHash("sha256").update(String(source)).digest();
+}
+
+function encryptSecret(plain) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(plain, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((b) => b.toString("base64")).join(":");
+}
+
+function decryptSecret(stored) {
+  const [iv, tag, encrypted] = stored.split(":").map((p) => Buffer.from(p, "base64"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString("utf8");
+}
+
+/* --------------------------- recovery codes --------------------------- */
+
+function normalizeRecoveryCode(code) {
+  return String(code || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+function hashRecoveryCode(code) {
+  return crypto.createHash("sha256").update(normalizeRecoveryCode(code)).digest("hex");
+}
+
+/**
+ * Ten one-time codes formatted "xxxxx-xxxxx"; only hashes are stored.
+ */
+function generateRecoveryCodes() {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString("hex");
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+/* ------------------------------ helpers ------------------------------ */
+
+function modelFor(type) {
+  return type === "owner" ? User : Member;
+}
+
+/**
+ * 2FA is offered to system owners and to company admins, the accounts that
+ * can restore versions and change permissions.
+ */
+function isEligible(subject, type) {
+  return type === "owner" || (type === "member" && subject.role === "admin");
+}
+
+async function loadSubject(subjectId, type) {
+  const subject = await modelFor(type).findById(subjectId).select(SECRET_FIELDS);
+  if (!subject) throw new AppError("Account not found", 404, "NOT_FOUND");
+  return subject;
+}
+
+/**
+ * Check a TOTP or recovery code against an enrolled subject, consuming the
+ * recovery code or TOTP step on the loaded document.
+ * @returns {{method: "totp"|"recovery_code", claim: {filter: Object, update: Object}}|null}
+ *   claim consumes the code in the database, see requireValidCode
+ */
+function checkCode(subject, code) {
+  const tf = subject.two_factor;
+  const step = totp.verifyTotp(decryptSecret(tf.secret), code);
+
+  if (step !== null) {
+    if (tf.last_used_step !== undefined && step <= tf.last_used_step) return null;
+    tf.last_used_step = step;
+    return {
+      method: "totp",
+      claim: {
+        filter: { "two_factor.last_used_step": { $not: { $gte: step } } },
+        update: { $set: { "two_factor.last_used_step": step } },
+      },
+    };
+  }
+
+  const hash = hashRecoveryCode(code);
+  const index = tf.recovery_codes.indexOf(hash);
+  if (index !== -1 && normalizeRecoveryCode(code).length === 10) {
+    tf.recovery_codes.splice(index, 1);
+    return {
+      method: "recovery_code",
+      claim: {
+        filter: { "two_factor.recovery_codes": hash },
+        update: { $pull: { "two_factor.recovery_codes": hash } },
+      },
+    };
+  }
+
+  return null;
+}
+
+/**
+ * The code is consumed with a conditional update rather than a save, so
+ * two requests racing with the same code cannot both pass.
+ */
+async function requireValidCode(subject, code) {
+  if (!subject.two_factor?.enabled)
+    throw new AppError("Two-factor authentication is not enabled", 400, "TWO_FACTOR_NOT_ENABLED");
+
+  const result = checkCode(subject, code);
+  const claimed =
+    result &&
+    (await subject.constructor.updateOne(
+      { _id: subject._id, ...result.claim.filter },
+      result.claim.update
+    ));
+  if (!claimed?.modifiedCount) throw new AppError("Invalid two-factor code", 401, "INVALID_2FA_CODE");
+
+  return result.method;
+}
+
+/* ------------------------------ public API ------------------------------ */
+
+async function getStatus(subjectId, type) {
+  const subject = await loadSubject(subjectId, type);
+
+  const tf = subject.two_factor || {};
+  return {
+    eligible: isEligible(subject, type),
+    enabled: !!tf.enabled,
+    enabled_at: tf.enabled_at,
+    recovery_codes_remaining: tf.enabled ? tf.recovery_codes.length : 0,
+  };
+}
+
+/**
+ * Start enrolment: create a secret the user adds to their authenticator app.
+ * 2FA stays off until confirmEnrollment succeeds with a code from the app.
+ */
+async function beginEnrollment(subjectId, type) {
+  const subject = await loadSubject(subjectId, type);
+  if (!isEligible(subject, type))
+    throw new AppError(
+      "Two-factor authentication is only available to owners and company admins",
+      403,
+      "TWO_FACTOR_NOT_AVAILABLE"
+    );
+  if (subject.two_factor?.enabled)
+    throw new AppError("Two-factor authentication is already enabled", 409, "TWO_FACTOR_ALREADY_ENABLED");
+
+  const secret = totp.generateSecret();
+  subject.two_factor.pending_secret = encryptSecret(secret);
+  await subject.save();
+
+  return {
+    secret,
+    otpauthUrl: totp.otpauthUrl(secret, subject.email, ISSUER),
+  };
+}
+
+/**
+ * Finish enrolment with a code from the app.
+ * @returns {Promise<{recoveryCodes: string[]}>} shown to the user once
+ */
+async function confirmEnrollment(subjectId, type, code) {
+  const subject = await loadSubject(subjectId, type);
+  const tf = subject.two_factor;
+
+  if (tf.enabled)
+    throw new AppError("Two-factor authentication is already enabled", 409, "TWO_FACTOR_ALREADY_ENABLED");
+  if (!tf.pending_secret)
+    throw new AppError("Start two-factor setup first", 400, "NO_PENDING_ENROLLMENT");
+
+  const step = totp.verifyTotp(decryptSecret(tf.pending_secret), code);
+  if (step === null) throw new AppError("Invalid two-factor code", 401, "INVALID_2FA_CODE");
+
+  const { codes, hashes } = generateRecoveryCodes();
+  tf.secret = tf.pending_secret;
+  tf.pending_secret = undefined;
+  tf.recovery_codes = hashes;
+  tf.last_used_step = step;
+  tf.enabled = true;
+  tf.enabled_at = new Date();
+  await subject.save();
+
+  return { recoveryCodes: codes };
+}
+
+/**
+ * Second step of login: check the code for a subject with a pending challenge.
+ */
+async function verifyLoginCode(subjectId, type, code) {
+  const subject = await loadSubject(subjectId, type);
+  const method = await requireValidCode(subject, code);
+
+  return {
+    method,
+    recoveryCodesRemaining: subject.two_factor.recovery_codes.length,
+  };
+}
+
+async function disable(subjectId, type, code) {
+  const subject = await loadSubject(subjectId, type);
+  await requireValidCode(subject, code);
+
+  subject.two_factor = { enabled: false };
+  await subject.save();
+}
+
+async function regenerateRecoveryCodes(subjectId, type, code) {
+  const subject = await loadSubject(subjectId, type);
+  await requireValidCode(subject, code);
+
+  const { codes, hashes } = generateRecoveryCodes();
+  subject.two_factor.recovery_codes = hashes;
+  await subject.save();
+
+  return { recoveryCodes: codes };
+}
+
+module.exports = {
+  isEligible,
+  getStatus,
+  beginEnrollment,
+  confirmEnrollment,
+  verifyLoginCode,
+  disable,
+  regenerateRecoveryCodes,
+};
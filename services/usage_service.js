@@ -0,0 +1,120 @@
+// services/usage_service.js
+const mongoose = require("mongoose");
+const ApiUsage = require("../models/api_usage_model");
+const AppError = require("../utils/app_error");
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function toDay(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Count one dashboard call against the company's daily usage.
+ */
+async function recordCall({ companyId, api, apiKeyId = null, failed = false }) {
+  await ApiUsage.updateOne(
+    {
+      company: companyId,
+      api,
+      day: toDay(),
+      api_key: apiKeyId,
+    },
+    {
+      $inc: { calls: 1, failed_calls: failed ? 1 : 0 },
+      $set: { last_called_at: new Date() },
+    },
+    { upsert: true },
+  );
+}
+
+function parseDay(value, field) {
+  if (value === undefined || value === "") return undefined;
+  if (!DAY_PATTERN.test(value)) {
+    throw new AppError(`${field} must be YYYY-MM-DD`, 400, "INVALID_DATE", {
+      field,
+    });
+  }
+  return value;
+}
+
+/**
+ * Calls per company per API per day, optionally filtered.
+ * API-key and user calls of the same day are added together; `api_key_calls`
+ * tells how many of them came from API keys.
+ */
+async function getDailyUsage({ companyId, api, from, to } = {}) {
+  const match = {};
+
+  if (companyId) {
+    if (!mongoose.Types.ObjectId.isValid(companyId)) {
+      throw new AppError("Invalid identifier format", 400, "INVALID_ID", {
+        path: "companyId",
+        value: companyId,
+      });
+    }
+    match.company = new mongoose.Types.ObjectId(companyId);
+  }
+  if (api) match.api = api;
+
+  const fromDay = parseDay(from, "from");
+  const toDayValue = parseDay(to, "to");
+  if (fromDay || toDayValue) {
+    match.day = {};
+    if (fromDay) match.day.$gte = fromDay;
+    if (toDayValue) match.day.$lte = toDayValue;
+  }
+
+  const rows = await ApiUsage.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { company: "$company", api: "$api", day: "$day" },
+        calls: { $sum: "$calls" },
+        failed_calls: { $sum: "$failed_calls" },
+        api_key_calls: {
+          $sum: { $cond: [{ $ne: ["$api_key", null] }, "$calls", 0] },
+        },
+      },
+    },
+    {
+      $lookup: {
+        from: "companies",
+        localField: "_id.company",
+        foreignField: "_id",
+        as: "company",
+        pipeline: [{ $project: { name: 1 } }],
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        company: "$_id.company",
+        company_name: { $first: "$company.name" },
+        api: "$_id.api",
+        day: "$_id.day",
+        calls: 1,
+        failed_calls: 1,
+        api_key_calls: 1,
+      },
+    },
+    { $sort: { day: -1, company_name: 1, api: 1 } },
+  ]);
+
+  const totals = rows.reduce(
+    (acc, row) => {
+      acc.calls += row.calls;
+      acc.failed_calls += row.failed_calls;
+      acc.api_key_calls += row.api_key_calls;
+      return acc;
+    },
+    { calls: 0, failed_calls: 0, api_key_calls: 0 },
+  );
+
+  return { rows, totals };
+}
+
+module.exports = {
+  recordCall,
+  getDailyUsage,
+};
@@ -2,12 +2,123 @@
 const bcrypt = require("bcryptjs");
 const User = require("../models/users_model");
 const emailService = require("../utils/user_email_utils");
+const { revokeAllSessions } = require("../services/session_service");
+const loginProtection = require("../services/login_protection_service");
 
 const SALT_ROUNDS = 10;
 
 function generateOtp() {
   return Math.floor(100000 + Math.random() * 900000).toString();
 }
+
+const OTP_TTL_MS = 15 * 60 * 1000;
+const OTP_RESEND_COOLDOWN_MS = 60 * 1000;
+const MAX_OTP_ATTEMPTS = 5; // per issued code
+
+const OTP_FIELDS = {
+  email_verification: {
+    code: "email_verification_otp",
+    expires: "email_verification_expires_at",
+    attempts: "email_verification_attempts",
+  },
+  delete_account: {
+    code: "delete_account_otp",
+    expires: "delete_account_otp_expires_at",
+    attempts: "delete_account_otp_attempts",
+  },
+  reset_password: {
+    code: "reset_password_otp",
+    expires: "reset_password_expires_at",
+    attempts: "reset_password_otp_attempts",
+  },
+};
+
+/**
+ * Refuse to issue another code of the same kind within a minute of the last one.
+ */
+function assertOtpCooldown(user, purpose) {
+  const expiresAt = user[OTP_FIELDS[purpose].expires];
+  if (!expiresAt) return;
+
+  const issuedAt = expiresAt.getTime() - OTP_TTL_MS;
+  const waitMs = issuedAt + OTP_RESEND_COOLDOWN_MS - Date.now();
+  if (waitMs > 0) {
+    const error = new Error("Please wait before requesting another code");
+    error.statusCode = 429;
+    error.code = "OTP_COOLDOWN";
+    error.details = { retryAfter: Math.ceil(waitMs / 1000) };
+    throw error;
+  }
+}
+
+/**
+ * Store a fresh code of the given kind and reset its attempt counter.
+ */
+function issueOtp(user, purpose) {
+  const fields = OTP_FIELDS[purpose];
+  const otp = generateOtp();
+  user[fields.code] = otp;
+  user[fields.expires] = new Date(Date.now() + OTP_TTL_MS);
+  user[fields.attempts] = 0;
+  return otp;
+}
+
+/**
+ * Check a submitted code. Each issued code allows MAX_OTP_ATTEMPTS guesses,
+ * after which it is discarded and a new one must be requested. A guess
+ * takes its attempt with one conditional $inc before the code is compared,
+ * so parallel guesses cannot all read the same count.
+ */
+async function verifyOtp(user, purpose, otp) {
+  const fields = OTP_FIELDS[purpose];
+  const code = user[fields.code];
+
+  if (!code || !user[fields.expires]) {
+    const error = new Error("No OTP found, please request a new one");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const tooManyAttempts = async () => {
+    await User.updateOne(
+      { _id: user._id, [fields.code]: code },
+      { $unset: { [fields.code]: "", [fields.expires]: "", [fields.attempts]: "" } }
+    );
+    user[fields.code] = undefined;
+    user[fields.expires] = undefined;
+    const error = new Error("Too many invalid attempts. Please request a new code.");
+    error.statusCode = 429;
+    error.code = "OTP_ATTEMPTS_EXCEEDED";
+    return error;
+  };
+
+  // $not/$gte rather than $lt so a code stored without a counter still matches
+  const attempt = await User.findOneAndUpdate(
+    { _id: user._id, [fields.code]: code, [fields.attempts]: { $not: { $gte: MAX_OTP_ATTEMPTS } } },
+    { $inc: { [fields.attempts]: 1 } },
+    { new: true }
+  )
+    .select(fields.attempts)
+    .lean();
+  if (!attempt) throw await tooManyAttempts();
+
+  if (code !== otp) {
+    if (attempt[fields.attempts] >= MAX_OTP_ATTEMPTS) throw await tooManyAttempts();
+    const error = new Error("Invalid OTP");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (user[fields.expires] < new Date()) {
+    const error = new Error("OTP has expired");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  user[fields.code] = undefined;
+  user[fields.expires] = undefined;
+  user[fields.attempts] = undefined;
+}
 async function createUser({ full_name, email, phone, password, roles }) {
   const normalizedEmail = email.toLowerCase();
 
@@ -46,16 +157,14 @@ async function registerUserWithEmailOtp({ full_name, email, phone, password }) {
 
   if (existingUser) {
     if (existingUser.status === "pending" && !existingUser.email_verified) {
-      const otp = generateOtp();
-      const expiresAt = new Date(Date.now() + 15 * 60 * 1000);
+      assertOtpCooldown(existingUser, "email_verification");
+      const otp = issueOtp(existingUser, "email_verification");
 
       existingUser.full_name = full_name;
       existingUser.phone = phone;
       if (password) {
         existingUser.password_hash = await bcrypt.hash(password, SALT_ROUNDS);
       }
-      existingUser.email_verification_otp = otp;
-      existingUser.email_verification_expires_at = expiresAt;
 
       await existingUser.save();
 
@@ -123,28 +232,10 @@ async function verifyEmailOtp({ email, otp }) {
     throw error;
   }
 
-  if (!user.email_verification_otp || !user.email_verification_expires_at) {
-    const error = new Error("No OTP found, please request a new one");
-    error.statusCode = 400;
-    throw error;
-  }
-
-  if (user.email_verification_otp !== otp) {
-    const error = new Error("Invalid OTP");
-    error.statusCode = 400;
-    throw error;
-  }
-
-  if (user.email_verification_expires_at < new Date()) {
-    const error = new Error("OTP has expired");
-    error.statusCode = 400;
-    throw error;
-  }
+  await verifyOtp(user, "email_verification", otp);
 
   user.email_verified = true;
   user.status = "active";
-  user.email_verification_otp = undefined;
-  user.email_verification_expires_at = undefined;
 
   await user.save();
   return user;
@@ -162,11 +253,8 @@ async function sendDeleteAccountOtp(userId) {
     throw error;
   }
 
-  const otp = generateOtp();
-  const expiresAt = new Date(Date.now() + 15 * 60 * 1000);
-
-  user.delete_account_otp = otp;
-  user.delete_account_otp_expires_at = expiresAt;
+  assertOtpCooldown(user, "delete_account");
+  const otp = issueOtp(user, "delete_account");
   await user.save();
 
   await emailService.sendDeleteAccountEmail({
@@ -190,26 +278,7 @@ async function verifyDeleteAccountOtpAndDelete(userId, otp) {
     throw error;
   }
 
-  if (!user.delete_account_otp || !user.delete_account_otp_expires_at) {
-    const error = new Error("No OTP found, please request a new one");
-    error.statusCode = 400;
-    throw error;
-  }
-
-  if (user.delete_account_otp !== otp) {
-    const error = new Error("Invalid OTP");
-    error.statusCode = 400;
-    throw error;
-  }
-
-  if (user.delete_account_otp_expires_at < new Date()) {
-    const error = new Error("OTP has expired");
-    error.statusCode = 400;
-    throw error;
-  }
-
-  user.delete_account_otp = undefined;
-  user.delete_account_otp_expires_at = undefined;
+  await verifyOtp(user, "delete_account", otp);
   await user.save();
 
   await deleteUser(userId);
@@ -229,11 +298,8 @@ async function requestPasswordResetOtp(email) {
     throw error;
   }
 
-  const otp = generateOtp();
-  const expiresAt = new Date(Date.now() + 15 * 60 * 1000);
-
-  user.reset_password_otp = otp;
-  user.reset_password_expires_at = expiresAt;
+  assertOtpCooldown(user, "reset_password");
+  const otp = issueOtp(user, "reset_password");
   await user.save();
 
   // You need this function in user_email_utils.js
@@ -261,32 +327,17 @@ async function resetPasswordWithOtp({ email, otp, newPassword }) {
     throw error;
   }
 
-  if (!user.reset_password_otp || !user.reset_password_expires_at) {
-    const error = new Error("No OTP found, please request a new one");
-    error.statusCode = 400;
-    throw error;
-  }
-
-  if (user.reset_password_otp !== otp) {
-    const error = new Error("Invalid OTP");
-    error.statusCode = 400;
-    throw error;
-  }
-
-  if (user.reset_password_expires_at < new Date()) {
-    const error = new Error("OTP has expired");
-    error.statusCode = 400;
-    throw error;
-  }
+  await verifyOtp(user, "reset_password", otp);
 
   const password_hash = await bcrypt.hash(newPassword, SALT_ROUNDS);
 
   user.password_hash = password_hash;
-  user.reset_password_otp = undefined;
-  user.reset_password_expires_at = undefined;
 
   await user.save();
 
+  // A password reset ends every existing session
+  await revokeAllSessions(user._id, "revoked");
+
   return user;
 }
 
@@ -314,13 +365,18 @@ async function validatePassword(user, password) {
 
 
 // 🔥 Login with email + password (only if email is verified)
-async function loginUserWithEmailPassword({ email, password }) {
+async function loginUserWithEmailPassword({ email, password, ip }) {
   const normalizedEmail = email.toLowerCase();
+  const attempt = { type: "owner", email: normalizedEmail, ip };
+
+  // Locked accounts and throttled IPs are refused before any password check
+  await loginProtection.assertLoginAllowed(attempt);
 
   // Include password_hash because it's select:false in schema
   const user = await User.findOne({ email: normalizedEmail }).select("+password_hash");
 
   if (!user) {
+    await loginProtection.recordLoginFailure(attempt);
     const error = new Error("Invalid email or password");
     error.statusCode = 401;
     throw error;
@@ -342,11 +398,14 @@ async function loginUserWithEmailPassword({ email, password }) {
 
   const isMatch = await bcrypt.compare(password, user.password_hash);
   if (!isMatch) {
+    await loginProtection.recordLoginFailure(attempt);
     const error = new Error("Invalid email or password");
     error.statusCode = 401;
     throw error;
   }
 
+  await loginProtection.recordLoginSuccess(attempt);
+
   // Remove password_hash before returning user object
   user.password_hash = undefined;
 
@@ -428,6 +487,10 @@ async function updateUserByAdmin(userId, data) {
     { new: true }
   );
 
+  if (user && (status === "suspended" || status === "deleted")) {
+    await revokeAllSessions(userId, "account_disabled");
+  }
+
   return user;
 }
 
@@ -441,6 +504,10 @@ async function changeUserStatus(userId, status) {
     { new: true }
   );
 
+  if (user && (status === "suspended" || status === "deleted")) {
+    await revokeAllSessions(userId, "account_disabled");
+  }
+
   return user;
 }
 
@@ -448,6 +515,7 @@ async function changeUserStatus(userId, status) {
  * Delete user (hard delete)
  */
 async function deleteUser(userId) {
+  await revokeAllSessions(userId, "account_disabled");
   return User.findByIdAndDelete(userId);
 }
 
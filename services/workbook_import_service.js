@@ -0,0 +1,333 @@
+// services/workbook_import_service.js
+const xlsx = require("xlsx");
+const AppError = require("../utils/app_error");
+const esgDataService = require("./esg_data_service");
+const esgMetricsImportService = require("./esg_metrics_import_service");
+const importMappingService = require("./import_mapping_service");
+
+// Domain modules a sheet can be routed to, keyed like IMPORT_MODULES
+const DOMAIN_SERVICES = {
+  biodiversity: require("./biodiversity_data_service"),
+  crop_yield: require("./crop_yield_service"),
+  irrigation: require("./irrigation_eff_service"),
+  farm_compliance: require("./fmc_service"),
+  energy: require("./energy_consumption_data_service"),
+  waste: require("./waste_management_data_service"),
+  workforce: require("./workforce_diversity_service"),
+  health_safety: require("./health_safety_service"),
+  governance: require("./governance_board_service"),
+  community: require("./community_engagement_data_service"),
+  overall_esg: require("./overall_esg_service"),
+};
+
+const WORKBOOK_MODULES = ["esg_data", ...Object.keys(DOMAIN_SERVICES)];
+
+// Sheet-name routing when neither the request nor a template claims a
+// sheet. First match wins, so the ESG summary sheets come before the
+// broader "governance" rule.
+const SHEET_NAME_RULES = [
+  { pattern: /^(environment(al)?|social|governance)(\s+metrics)?$/i, module: "esg_data" },
+  { pattern: /energy|fuel|electricity/i, module: "energy" },
+  { pattern: /waste/i, module: "waste" },
+  { pattern: /workforce|diversity|employee/i, module: "workforce" },
+  { pattern: /health|safety/i, module: "health_safety" },
+  { pattern: /board|governance/i, module: "governance" },
+  { pattern: /community|csr/i, module: "community" },
+  { pattern: /biodiversity|land\s*use/i, module: "biodiversity" },
+  { pattern: /crop|yield/i, module: "crop_yield" },
+  { pattern: /irrigation|water/i, module: "irrigation" },
+  { pattern: /compliance|farm\s*management/i, module: "farm_compliance" },
+  { pattern: /overall|esg\s*score/i, module: "overall_esg" },
+];
+
+/**
+ * Split a workbook into one CSV per sheet. Each sheet is named the way a
+ * spreadsheet export names it ("Book.xlsx - Sheet.csv"), which is what the
+ * per-module file processors already key on.
+ */
+function readWorkbook(buffer, fileName) {
+  let workbook;
+  try {
+    workbook = xlsx.read(buffer, { type: "buffer" });
+  } catch (err) {
+    throw new AppError(`Failed to read workbook: ${err.message}`, 400, "INVALID_WORKBOOK");
+  }
+
+  return workbook.SheetNames.map((name) => {
+    const csv = xlsx.utils.sheet_to_csv(workbook.Sheets[name]);
+    return {
+      name,
+      file_name: `${fileName} - ${name}.csv`,
+      buffer: Buffer.from(csv),
+      empty: !csv.replace(/[,\s]/g, ""),
+    };
+  });
+}
+
+/**
+ * Normalise the `sheet_routes` field: `{ "<sheet>": "<module>" | "skip" |
+ * { module, mapping_template_id } }`, sent as JSON in multipart requests.
+ */
+function parseSheetRoutes(raw) {
+  if (raw === undefined || raw === null || raw === "") return {};
+
+  let routes = raw;
+  if (typeof raw === "string") {
+    try {
+      routes = JSON.parse(raw);
+    } catch (err) {
+      throw new AppError("sheet_routes must be valid JSON", 400, "INVALID_SHEET_ROUTES");
+    }
+  }
+  if (!routes || typeof routes !== "object" || Array.isArray(routes)) {
+    throw new AppError(
+      "sheet_routes must be an object keyed by sheet name",
+      400,
+      "INVALID_SHEET_ROUTES"
+    );
+  }
+
+  const normalized = {};
+  for (const [sheet, route] of Object.entries(routes)) {
+    normalized[sheet] = typeof route === "string" ? { module: route } : route || {};
+  }
+  return normalized;
+}
+
+async function resolveRequestedRoute(companyId, sheet, route) {
+  if (route.module === "skip") return { module: null, matched_by: "request" };
+
+  if (route.mapping_template_id) {
+    const { module } = route.module
+      ? route
+      : await importMappingService.getTemplate(companyId, route.mapping_template_id);
+    const template = await importMappingService.getTemplateForImport(
+      companyId,
+      route.mapping_template_id,
+      module
+    );
+    return { module: template.module, template, matched_by: "request" };
+  }
+
+  if (!WORKBOOK_MODULES.includes(route.module)) {
+    throw new AppError(
+      `Sheet "${sheet}": module must be one of: ${WORKBOOK_MODULES.join(", ")}, skip`,
+      400,
+      "INVALID_SHEET_ROUTES"
+    );
+  }
+  return { module: route.module, matched_by: "request" };
+}
+
+/**
+ * Decide where every sheet goes, in order of precedence: the request's
+ * `sheet_routes`, an active company template whose `sheet_name` matches,
+ * then SHEET_NAME_RULES. Nothing is written.
+ */
+async function planWorkbook(buffer, fileName, companyId, sheetRoutes) {
+  const sheets = readWorkbook(buffer, fileName);
+  const routes = parseSheetRoutes(sheetRoutes);
+
+  const unknown = Object.keys(routes).filter(
+    (name) => !sheets.some((sheet) => sheet.name === name)
+  );
+  if (unknown.length) {
+    throw new AppError("sheet_routes names sheets not in the workbook", 400, "INVALID_SHEET_ROUTES", {
+      unknown,
+      sheets: sheets.map((sheet) => sheet.name),
+    });
+  }
+
+  const templates = (await importMappingService.listTemplates(companyId)).filter(
+    (template) => template.sheet_name
+  );
+
+  const plan = [];
+  for (const sheet of sheets) {
+    let route;
+    if (routes[sheet.name]) {
+      route = await resolveRequestedRoute(companyId, sheet.name, routes[sheet.name]);
+    } else {
+      const template = templates.find(
+        (t) => t.sheet_name.trim().toLowerCase() === sheet.name.trim().toLowerCase()
+      );
+      const rule = SHEET_NAME_RULES.find(({ pattern }) => pattern.test(sheet.name.trim()));
+      route = template
+        ? { module: template.module, template, matched_by: "template" }
+        : { module: rule?.module || null, matched_by: rule ? "sheet_name" : null };
+    }
+    plan.push({ ...sheet, ...route });
+  }
+
+  // ESG metric sheets are also synced into the domain modules their rows
+  // route to; a sheet that does not parse is reported when it is imported
+  for (const entry of plan) {
+    if (entry.module !== "esg_data" || entry.empty) continue;
+    try {
+      entry.synced_modules =
+        esgMetricsImportService.planTableImport(entry.buffer, entry.file_name)?.modules || [];
+    } catch {
+      entry.synced_modules = [];
+    }
+  }
+
+  // A domain import replaces the module's active version, so a second
+  // sheet for the same module would silently supersede the first
+  const seen = {};
+  const conflicts = [];
+  for (const entry of plan) {
+    if (!entry.module || entry.empty || entry.module === "esg_data") continue;
+    if (seen[entry.module]) {
+      conflicts.push({ module: entry.module, sheets: [seen[entry.module], entry.name] });
+    }
+    seen[entry.module] = seen[entry.module] || entry.name;
+  }
+  if (conflicts.length) {
+    throw new AppError(
+      "Several sheets route to the same module; skip or re-route all but one with sheet_routes",
+      400,
+      "SHEET_ROUTE_CONFLICT",
+      { conflicts }
+    );
+  }
+
+  return plan;
+}
+
+/** Modules the plan will write to (for scope checks) */
+function plannedModules(plan) {
+  return [
+    ...new Set(
+      plan
+        .filter((e) => e.module && !e.empty)
+        .flatMap((e) => [e.module, ...(e.synced_modules || [])])
+    ),
+  ];
+}
+
+function describeSheet(entry) {
+  return {
+    sheet: entry.name,
+    module: entry.module,
+    matched_by: entry.matched_by,
+    mapping_template_id: entry.template?._id,
+    synced_modules: entry.synced_modules,
+  };
+}
+
+/**
+ * Report of what planWorkbook decided, for dry runs.
+ */
+function describePlan(plan) {
+  return plan.map((entry) => ({
+    ...describeSheet(entry),
+    status: entry.empty ? "skipped" : entry.module ? "planned" : "skipped",
+    reason: entry.empty ? "empty" : entry.module ? undefined : "no_route",
+  }));
+}
+
+async function importSheet(entry, result, companyId, userId, metadata, importBatchId) {
+  try {
+    if (entry.module === "esg_data") {
+      const imported = await esgDataService.parseAndProcessFile(
+        entry.buffer,
+        "csv",
+        companyId,
+        userId,
+        entry.file_name,
+        { importBatchId, conflictPolicy: metadata.conflictPolicy, syncModules: true }
+      );
+      return {
+        ...result,
+        status: "imported",
+        record_ids: imported.data.map((record) => record._id),
+        metrics_count: imported.data.reduce((sum, record) => sum + record.metrics.length, 0),
+        modules: imported.modules,
+      };
+    }
+
+    const record = await DOMAIN_SERVICES[entry.module].importFromFile(
+      entry.buffer,
+      entry.file_name,
+      companyId,
+      userId,
+      {
+        ...metadata,
+        fileName: entry.file_name,
+        size: entry.buffer.length,
+        mappingTemplate: entry.template,
+        importBatchId,
+      }
+    );
+    return {
+      ...result,
+      status: "imported",
+      record_id: record._id,
+      version: record.version,
+      metrics_count: record.metrics.length,
+    };
+  } catch (err) {
+    return { ...result, status: "failed", error: err.message };
+  }
+}
+
+/**
+ * Import every routed sheet under one batch id. Sheets are imported one
+ * after another and independently: a failing sheet is reported and does
+ * not undo the sheets before it.
+ * @param {Object} [options]
+ * @param {string} [options.importBatchId] batch id to use (import jobs pass their own)
+ * @param {Object[]} [options.previousSheets] results of an earlier attempt;
+ *   sheets imported then are kept as they are instead of importing again
+ * @param {Function} [options.onSheetDone] awaited with (result, index) after each sheet
+ */
+async function importWorkbook(plan, companyId, userId, metadata = {}, options = {}) {
+  const importBatchId =
+    options.importBatchId ||
+    `workbook_import_${Date.now()}_${Math.random()
+      .toString(36)
+      .substr(2, 9)}`;
+  const previous = new Map(
+    (options.previousSheets || [])
+      .filter((sheet) => sheet.status === "imported")
+      .map((sheet) => [sheet.sheet, sheet])
+  );
+  const sheets = [];
+
+  for (const [index, entry] of plan.entries()) {
+    const result = describeSheet(entry);
+
+    if (previous.has(entry.name)) {
+      sheets.push(previous.get(entry.name));
+    } else if (entry.empty || !entry.module) {
+      sheets.push({ ...result, status: "skipped", reason: entry.empty ? "empty" : "no_route" });
+    } else {
+      sheets.push(await importSheet(entry, result, companyId, userId, metadata, importBatchId));
+    }
+
+    if (options.onSheetDone) await options.onSheetDone(sheets[index], index);
+  }
+
+  const count = (status) => sheets.filter((sheet) => sheet.status === status).length;
+
+  return {
+    batch_id: importBatchId,
+    sheets,
+    summary: {
+      total: sheets.length,
+      imported: count("imported"),
+      failed: count("failed"),
+      skipped: count("skipped"),
+    },
+  };
+}
+
+module.exports = {
+  DOMAIN_SERVICES,
+  WORKBOOK_MODULES,
+  SHEET_NAME_RULES,
+  planWorkbook,
+  plannedModules,
+  describePlan,
+  importWorkbook,
+};
@@ -0,0 +1,107 @@
+require("./helpers/env");
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const Company = require("../models/company_model");
+const DashboardDataVersion = require("../models/dashboard_data_version_model");
+const { installMemoryModel } = require("./helpers/memory_model");
+const esgScoringService = require("../services/esg_scoring_service");
+const benchmarkService = require("../services/benchmark_service");
+
+const METRIC = "ghg_intensity_per_ha"; // lower is better
+const YEAR = 2024;
+
+describe("peer benchmarks", () => {
+  let companies;
+  let versions;
+  let values; // company id -> metric value
+  let batches; // company ids of each measureCompanies call
+  const measureCompanies = esgScoringService.measureCompanies;
+
+  beforeEach(() => {
+    companies = installMemoryModel(Company);
+    versions = installMemoryModel(DashboardDataVersion);
+    values = new Map();
+    batches = [];
+    esgScoringService.measureCompanies = async (ids) => {
+      batches.push(ids.map(String));
+      return (id, metrics) =>
+        metrics.map((metric) => {
+          const value = metric.key === METRIC ? values.get(String(id)) ?? null : null;
+          return { key: metric.key, year: YEAR, value, status: value === null ? "no_data" : "measured" };
+        });
+    };
+  });
+
+  afterEach(() => {
+    companies.restore();
+    versions.restore();
+    esgScoringService.measureCompanies = measureCompanies;
+  });
+
+  /** A company and `peers` others in the industry, valued 1..peers. */
+  function industry(name, peers) {
+    const own = companies.insert({ name: "Own Co", industry: name, country: "Zimbabwe" });
+    for (let i = 1; i <= peers; i++) {
+      const peer = companies.insert({ name: `Peer ${i}`, industry: name, country: "Zimbabwe" });
+      values.set(String(peer._id), i);
+    }
+    return own;
+  }
+
+  const rank = async (company, value) => {
+    values.set(String(company._id), value);
+    const result = await benchmarkService.benchmarkCompany(String(company._id), { metrics: [METRIC] });
+    return result.metrics[0];
+  };
+
+  it("gives small peer groups a quartile only", async () => {
+    const own = industry("Sugar", 6);
+
+    const metric = await rank(own, 2.5);
+
+    assert.equal(metric.status, "ranked");
+    assert.equal(metric.percentile, null);
+    assert.equal(metric.quartile, 2);
+    assert.equal(metric.peer_group.size, 6);
+  });
+
+  it("reveals no more than the quartile boundaries when the company edits its value", async () => {
+    const own = industry("Tobacco", 8);
+
+    // Sweep the company's own value across every peer's, as a prober would
+    const seen = new Set();
+    for (let value = 0; value <= 9; value += 0.25) {
+      const metric = await rank(own, value);
+      assert.equal(metric.percentile, null);
+      seen.add(metric.quartile);
+    }
+    assert.deepEqual([...seen].sort(), [1, 2, 3, 4]);
+  });
+
+  it("rounds the percentile of large peer groups", async () => {
+    const own = industry("Citrus", benchmarkService.PRECISE_PEERS + 5);
+
+    const metric = await rank(own, 7.5);
+
+    assert.equal(metric.percentile % 10, 0);
+    assert.equal(metric.percentile, 70); // better than 18 of 25 peers (72%)
+    assert.equal(metric.quartile, 2);
+  });
+
+  it("measures the whole industry in one batch and reuses it until a peer's data changes", async () => {
+    const own = industry("Tea", 7);
+
+    await rank(own, 3);
+    assert.equal(batches.length, 2); // the company, then its industry
+    assert.equal(batches[1].length, 8);
+
+    await rank(own, 3);
+    assert.equal(batches.length, 3); // the company only
+
+    const [peer] = companies.docs.filter((doc) => doc.name === "Peer 1");
+    versions.insert({ company: peer._id, version: 1, changed_at: new Date() });
+    await rank(own, 3);
+    assert.equal(batches.length, 5);
+  });
+});
@@ -0,0 +1,36 @@
+require("./helpers/env");
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { parsePeriodQuery, MAX_PERIOD_YEARS } = require("../services/dashboard_comparison_service");
+
+describe("dashboard period query", () => {
+  const invalid = (query) => {
+    try {
+      parsePeriodQuery(query);
+    } catch (err) {
+      assert.equal(err.code, "INVALID_PERIOD");
+      return err.details.errors;
+    }
+    return assert.fail("expected INVALID_PERIOD");
+  };
+
+  it("parses the reporting period and comparisons", () => {
+    const period = parsePeriodQuery({ from_year: "2022", year: "2024", compare_to: "previous,2017-2019" });
+
+    assert.deepEqual(period.compare_to, ["previous", "2017-2019"]);
+    assert.equal(period.from_year, 2022);
+    assert.equal(period.to_year, 2024);
+  });
+
+  it("limits the span of the reporting period and of compare_to ranges alike", () => {
+    assert.equal(invalid({ from_year: "1000", to_year: "9999" }).length, 1);
+    assert.match(invalid({ compare_to: "1000-9999" })[0], /spans more than/);
+    assert.ok(parsePeriodQuery({ compare_to: `1990-${1990 + MAX_PERIOD_YEARS - 1}` }));
+  });
+
+  it("rejects ranges that end before they start and unknown tokens", () => {
+    assert.match(invalid({ compare_to: "2020-2019" })[0], /ends before it starts/);
+    assert.match(invalid({ compare_to: "last" })[0], /compare_to must list/);
+  });
+});
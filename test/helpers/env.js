@@ -0,0 +1,5 @@
+// test/helpers/env.js
+// Configuration the modules under test read at require time. Require this
+// first in every test file.
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-jwt-secret-not-for-production-use";
+process.env.NODE_ENV = process.env.NODE_ENV || "test";
@@ -0,0 +1,283 @@
+// test/helpers/memory_model.js
+// In-memory stand-in for a Mongoose model's collection, for tests that run
+// without a MongoDB server. Each operation reads and writes the store in
+// one synchronous step, like a single-document operation on the server, so
+// concurrent calls interleave only between operations: a read-modify-write
+// race shows up here the way it does against a real database.
+//
+//   const users = installMemoryModel(User);
+//   ...
+//   users.restore();
+const mongoose = require("mongoose");
+
+function isObjectId(value) {
+  return value instanceof mongoose.Types.ObjectId;
+}
+
+function isPlainObject(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    !Array.isArray(value) &&
+    !(value instanceof Date) &&
+    !Buffer.isBuffer(value) &&
+    !isObjectId(value)
+  );
+}
+
+function clone(value) {
+  if (value instanceof Date) return new Date(value.getTime());
+  if (Buffer.isBuffer(value)) return Buffer.from(value);
+  if (Array.isArray(value)) return value.map(clone);
+  if (value instanceof Map) return Object.fromEntries([...value].map(([k, v]) => [k, clone(v)]));
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, clone(v)]));
+  }
+  return value;
+}
+
+function comparable(value) {
+  if (value instanceof Date) return value.getTime();
+  if (isObjectId(value)) return String(value);
+  return value;
+}
+
+function getPath(doc, path) {
+  return path.split(".").reduce((value, key) => (value == null ? undefined : value[key]), doc);
+}
+
+function setPath(doc, path, value) {
+  const keys = path.split(".");
+  const last = keys.pop();
+  let target = doc;
+  for (const key of keys) {
+    if (!isPlainObject(target[key])) target[key] = {};
+    target = target[key];
+  }
+  target[last] = value;
+}
+
+function unsetPath(doc, path) {
+  const keys = path.split(".");
+  const last = keys.pop();
+  const target = keys.reduce((value, key) => (value == null ? undefined : value[key]), doc);
+  if (target) delete target[last];
+}
+
+function matchesCondition(value, condition) {
+  if (!isPlainObject(condition) || !Object.keys(condition).some((k) => k.startsWith("$"))) {
+    // A scalar matches an array field that contains it
+    if (Array.isArray(value) && !Array.isArray(condition)) {
+      return value.some((item) => comparable(item) === comparable(condition));
+    }
+    return comparable(value) === comparable(condition);
+  }
+  return Object.entries(condition).every(([op, operand]) => {
+    const a = comparable(value);
+    const b = comparable(operand);
+    switch (op) {
+      case "$eq":
+        return a === b;
+      case "$ne":
+        return a !== b;
+      case "$lt":
+        return value !== undefined && a < b;
+      case "$lte":
+        return value !== undefined && a <= b;
+      case "$gt":
+        return value !== undefined && a > b;
+      case "$gte":
+        return value !== undefined && a >= b;
+      case "$in":
+        return operand.map(comparable).includes(a);
+      case "$exists":
+        return (value !== undefined) === Boolean(operand);
+      case "$not":
+        return !matchesCondition(value, operand);
+      default:
+        throw new Error(`memory_model: unsupported operator ${op}`);
+    }
+  });
+}
+
+function matches(doc, filter = {}) {
+  return Object.entries(filter).every(([path, condition]) => {
+    if (path === "$or") return condition.some((branch) => matches(doc, branch));
+    if (path === "$and") return condition.every((branch) => matches(doc, branch));
+    return matchesCondition(getPath(doc, path), condition);
+  });
+}
+
+function applyUpdate(doc, update, inserting) {
+  for (const [op, fields] of Object.entries(update)) {
+    if (!op.startsWith("$")) {
+      setPath(doc, op, clone(fields));
+      continue;
+    }
+    for (const [path, value] of Object.entries(fields)) {
+      const current = getPath(doc, path);
+      switch (op) {
+        case "$set":
+          setPath(doc, path, clone(value));
+          break;
+        case "$setOnInsert":
+          if (inserting) setPath(doc, path, clone(value));
+          break;
+        case "$unset":
+          unsetPath(doc, path);
+          break;
+        case "$inc":
+          setPath(doc, path, (current || 0) + value);
+          break;
+        case "$min":
+          if (current === undefined || comparable(value) < comparable(current)) setPath(doc, path, clone(value));
+          break;
+        case "$max":
+          if (current === undefined || comparable(value) > comparable(current)) setPath(doc, path, clone(value));
+          break;
+        case "$push": {
+          const items = isPlainObject(value) && value.$each ? value.$each : [value];
+          setPath(doc, path, [...(current || []), ...items.map(clone)]);
+          break;
+        }
+        case "$pull":
+          if (Array.isArray(current)) {
+            setPath(doc, path, current.filter((item) => comparable(item) !== comparable(value)));
+          }
+          break;
+        case "$pop":
+          if (Array.isArray(current)) setPath(doc, path, value > 0 ? current.slice(0, -1) : current.slice(1));
+          break;
+        default:
+          throw new Error(`memory_model: unsupported update operator ${op}`);
+      }
+    }
+  }
+}
+
+/**
+ * Chainable, thenable query over a result computed when it is awaited.
+ */
+function query(Model, run) {
+  const state = { lean: false };
+  const q = {
+    select: () => q,
+    sort: () => q,
+    session: () => q,
+    collation: () => q,
+    populate: () => q,
+    limit: () => q,
+    lean() {
+      state.lean = true;
+      return q;
+    },
+    exec: async () => {
+      const result = run();
+      const wrap = (doc) => (doc && !state.lean ? Model.hydrate(clone(doc)) : clone(doc));
+      return Array.isArray(result) ? result.map(wrap) : wrap(result);
+    },
+    then: (resolve, reject) => q.exec().then(resolve, reject),
+  };
+  return q;
+}
+
+/**
+ * Replace the model's collection operations with an in-memory store.
+ *
+ * @param {mongoose.Model} Model
+ * @param {Object[]} [docs] initial documents
+ * @returns {{docs: Object[], insert: Function, restore: Function}}
+ */
+function installMemoryModel(Model, docs = []) {
+  const store = [];
+  const saved = [];
+  const replace = (target, name, fn) => {
+    saved.push({ target, name, own: Object.hasOwn(target, name), original: target[name] });
+    target[name] = fn;
+  };
+
+  const insert = (doc) => {
+    const stored = clone(doc);
+    stored._id = stored._id || new mongoose.Types.ObjectId();
+    store.push(stored);
+    return stored;
+  };
+  docs.forEach((doc) => insert(Model.hydrate ? new Model(doc).toObject() : doc));
+
+  const findOne = (filter) => store.find((doc) => matches(doc, filter)) || null;
+
+  const upsertDoc = (filter, update) => {
+    const doc = {};
+    for (const [path, condition] of Object.entries(filter)) {
+      if (!path.startsWith("$") && !isPlainObject(condition)) setPath(doc, path, clone(condition));
+    }
+    if (store.some((existing) => existing.key !== undefined && existing.key === doc.key)) {
+      const error = new Error("E11000 duplicate key error");
+      error.code = 11000;
+      throw error;
+    }
+    applyUpdate(doc, update, true);
+    return insert(doc);
+  };
+
+  replace(Model, "find", (filter) => query(Model, () => store.filter((doc) => matches(doc, filter))));
+  replace(Model, "findOne", (filter) => query(Model, () => findOne(filter)));
+  replace(Model, "findById", (id) => query(Model, () => findOne({ _id: id })));
+  replace(Model, "countDocuments", async (filter) => store.filter((doc) => matches(doc, filter)).length);
+  replace(Model, "create", async (data) => {
+    const doc = new Model(data);
+    insert(doc.toObject());
+    return doc;
+  });
+  replace(Model, "findOneAndUpdate", (filter, update, options = {}) =>
+    query(Model, () => {
+      const doc = findOne(filter);
+      if (!doc) return options.upsert ? upsertDoc(filter, update) : null;
+      const before = clone(doc);
+      applyUpdate(doc, update, false);
+      return options.new || options.returnDocument === "after" ? doc : before;
+    })
+  );
+  replace(Model, "updateOne", async (filter, update, options = {}) => {
+    const doc = findOne(filter);
+    if (!doc) {
+      if (options.upsert) upsertDoc(filter, update);
+      return { matchedCount: 0, modifiedCount: 0, upsertedCount: options.upsert ? 1 : 0 };
+    }
+    applyUpdate(doc, update, false);
+    return { matchedCount: 1, modifiedCount: 1 };
+  });
+  replace(Model, "updateMany", async (filter, update) => {
+    const hits = store.filter((doc) => matches(doc, filter));
+    hits.forEach((doc) => applyUpdate(doc, update, false));
+    return { matchedCount: hits.length, modifiedCount: hits.length };
+  });
+  replace(Model, "deleteMany", async (filter) => {
+    const keep = store.filter((doc) => !matches(doc, filter));
+    const deletedCount = store.length - keep.length;
+    store.splice(0, store.length, ...keep);
+    return { deletedCount };
+  });
+  // Document saves write the whole document back, as a full replacement
+  replace(Model.prototype, "save", async function () {
+    const data = this.toObject({ depopulate: true });
+    const index = store.findIndex((doc) => String(doc._id) === String(data._id));
+    if (index === -1) insert(data);
+    else store[index] = clone(data);
+    this.isNew = false;
+    return this;
+  });
+
+  return {
+    docs: store,
+    insert,
+    restore() {
+      for (const { target, name, own, original } of saved.reverse()) {
+        if (own) target[name] = original;
+        else delete target[name];
+      }
+    },
+  };
+}
+
+module.exports = { installMemoryModel };
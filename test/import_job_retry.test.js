@@ -0,0 +1,110 @@
+require("./helpers/env");
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+const ImportJob = require("../models/import_job_model");
+const { installMemoryModel } = require("./helpers/memory_model");
+const importMappingService = require("../services/import_mapping_service");
+const { DOMAIN_SERVICES } = require("../services/workbook_import_service");
+const importJobService = require("../services/import_job_service");
+
+const MODULE = Object.keys(DOMAIN_SERVICES)[0];
+const WORKER = "test-worker";
+
+function networkError() {
+  const err = new Error("connection reset by peer");
+  err.name = "MongoNetworkError";
+  return err;
+}
+
+describe("import job retries", () => {
+  let jobs;
+  let failWith; // error thrown by the import, per attempt
+  const importFromFile = DOMAIN_SERVICES[MODULE].importFromFile;
+  const getTemplateForImport = importMappingService.getTemplateForImport;
+
+  beforeEach(() => {
+    jobs = installMemoryModel(ImportJob);
+    jobs.insert({
+      type: "domain_file",
+      company: new mongoose.Types.ObjectId(),
+      modules: [MODULE],
+      batch_id: "import_job_test",
+      file: { name: "data.csv", size: 3, data: Buffer.from("a,b") },
+      params: { module: MODULE, metadata: {} },
+      status: "queued",
+      attempts: 0,
+      max_attempts: 3,
+      run_after: new Date(),
+      failures: [],
+      created_at: new Date(),
+      requested_by: new mongoose.Types.ObjectId(),
+    });
+
+    failWith = [];
+    importMappingService.getTemplateForImport = async () => null;
+    DOMAIN_SERVICES[MODULE].importFromFile = async () => {
+      const err = failWith.shift();
+      if (err) throw err;
+      return { _id: new mongoose.Types.ObjectId(), metrics: [] };
+    };
+  });
+
+  afterEach(() => {
+    jobs.restore();
+    importMappingService.getTemplateForImport = getTemplateForImport;
+    DOMAIN_SERVICES[MODULE].importFromFile = importFromFile;
+  });
+
+  /** Claim and run the next job, as the worker does; null when none is due. */
+  async function runNext() {
+    const claimed = await importJobService.claimNextJob(WORKER);
+    return claimed && importJobService.runJob(claimed, WORKER);
+  }
+
+  const makeDue = () => {
+    jobs.docs[0].run_after = new Date(Date.now() - 1000);
+  };
+
+  it("queues a job that failed on a transient error again after a back-off", async () => {
+    failWith = [networkError()];
+
+    assert.equal(await runNext(), "queued");
+    const [job] = jobs.docs;
+    assert.equal(job.attempts, 1);
+    assert.ok(job.run_after > new Date(Date.now() + 20 * 1000));
+    assert.equal(job.finished_at, undefined);
+    assert.equal(job.failures[0].attempt, 1);
+    assert.ok(job.file.data.length, "the upload is kept for the next attempt");
+
+    assert.equal(await runNext(), null, "not picked up before the back-off ends");
+    makeDue();
+    assert.equal(await runNext(), "succeeded");
+    assert.equal(jobs.docs[0].attempts, 2);
+  });
+
+  it("backs off longer after each attempt and fails once max_attempts is used up", async () => {
+    failWith = [networkError(), networkError(), networkError()];
+
+    assert.equal(await runNext(), "queued");
+    const firstDelay = jobs.docs[0].run_after - Date.now();
+    makeDue();
+    assert.equal(await runNext(), "queued");
+    assert.ok(jobs.docs[0].run_after - Date.now() > firstDelay);
+    makeDue();
+    assert.equal(await runNext(), "failed");
+
+    const [job] = jobs.docs;
+    assert.equal(job.attempts, 3);
+    assert.ok(job.finished_at);
+    assert.deepEqual(job.failures.map((failure) => failure.attempt), [1, 2, 3]);
+  });
+
+  it("fails at once when the file itself is the problem", async () => {
+    failWith = [new Error("Invalid JSON structure: missing metrics array")];
+
+    assert.equal(await runNext(), "failed");
+    assert.equal(jobs.docs[0].attempts, 1);
+  });
+});
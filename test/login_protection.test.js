@@ -0,0 +1,103 @@
+require("./helpers/env");
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const LoginAttempt = require("../models/login_attempt_model");
+const Member = require("../models/member_model");
+const { installMemoryModel } = require("./helpers/memory_model");
+const loginProtection = require("../services/login_protection_service");
+
+const { POLICIES } = loginProtection;
+
+describe("login protection", () => {
+  let attempts;
+  let members;
+
+  beforeEach(() => {
+    attempts = installMemoryModel(LoginAttempt);
+    members = installMemoryModel(Member);
+  });
+
+  afterEach(() => {
+    attempts.restore();
+    members.restore();
+  });
+
+  const attempt = (overrides = {}) => ({
+    type: "member",
+    email: "jane@example.com",
+    ip: "203.0.113.7",
+    ...overrides,
+  });
+
+  it("locks the account once the policy limit is reached", async () => {
+    let result;
+    for (let i = 0; i < POLICIES.member.maxFailures; i++) {
+      result = await loginProtection.recordLoginFailure(attempt());
+    }
+
+    assert.equal(result.locked, true);
+    await assert.rejects(loginProtection.assertLoginAllowed(attempt()), {
+      statusCode: 429,
+      code: "ACCOUNT_LOCKED",
+    });
+  });
+
+  it("counts every concurrent failure towards the lock", async () => {
+    const results = await Promise.all(
+      Array.from({ length: POLICIES.member.maxFailures }, () =>
+        loginProtection.recordLoginFailure(attempt())
+      )
+    );
+
+    assert.equal(results.filter((r) => r.locked).length, 1);
+    const account = attempts.docs.find((d) => d.key === "member:jane@example.com");
+    assert.equal(account.lock_count, 1);
+    assert.ok(account.locked_until > new Date());
+  });
+
+  it("locks the IP after concurrent failures across many accounts", async () => {
+    await Promise.all(
+      Array.from({ length: POLICIES.ip.maxFailures }, (_, i) =>
+        loginProtection.recordLoginFailure(attempt({ email: `user${i}@example.com` }))
+      )
+    );
+
+    await assert.rejects(
+      loginProtection.assertLoginAllowed(attempt({ email: "someone-else@example.com" })),
+      { statusCode: 429, code: "TOO_MANY_ATTEMPTS" }
+    );
+  });
+
+  it("retries as an update when two first failures race to insert", async () => {
+    const upsert = LoginAttempt.findOneAndUpdate;
+    let collided = false;
+    LoginAttempt.findOneAndUpdate = function (filter, update, options) {
+      if (options?.upsert && filter.key.startsWith("member:") && !collided) {
+        // The other request inserted the counter between our read and write
+        collided = true;
+        attempts.insert({ key: filter.key, scope: "account", failures: 1, lock_count: 0 });
+        const error = new Error("E11000 duplicate key error");
+        error.code = 11000;
+        return Promise.reject(error);
+      }
+      return upsert.call(this, filter, update, options);
+    };
+
+    const result = await loginProtection.recordLoginFailure(attempt());
+
+    assert.equal(result.failures, 2);
+  });
+
+  it("backs off between failures and clears the count on success", async () => {
+    await loginProtection.recordLoginFailure(attempt());
+    await assert.rejects(loginProtection.assertLoginAllowed(attempt()), {
+      code: "LOGIN_BACKOFF",
+    });
+
+    await loginProtection.recordLoginSuccess(attempt());
+    const account = attempts.docs.find((d) => d.key === "member:jane@example.com");
+    assert.equal(account.failures, 0);
+    assert.equal(account.next_attempt_at, undefined);
+  });
+});
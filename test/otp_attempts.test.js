@@ -0,0 +1,61 @@
+require("./helpers/env");
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const User = require("../models/users_model");
+const { installMemoryModel } = require("./helpers/memory_model");
+const userService = require("../services/user_service");
+
+const MAX_OTP_ATTEMPTS = 5;
+const CODE = "123456";
+
+describe("OTP attempt cap", () => {
+  let users;
+
+  beforeEach(() => {
+    users = installMemoryModel(User);
+    users.insert({
+      full_name: "Jane Doe",
+      email: "jane@example.com",
+      email_verified: false,
+      status: "pending",
+      email_verification_otp: CODE,
+      email_verification_expires_at: new Date(Date.now() + 15 * 60 * 1000),
+      email_verification_attempts: 0,
+    });
+  });
+
+  afterEach(() => users.restore());
+
+  const guess = (otp) => userService.verifyEmailOtp({ email: "jane@example.com", otp });
+
+  it("compares at most MAX_OTP_ATTEMPTS parallel guesses", async () => {
+    const results = await Promise.allSettled(
+      Array.from({ length: 20 }, (_, i) => guess(String(900000 + i)))
+    );
+
+    const compared = results.filter((r) => r.reason?.statusCode === 400);
+    const refused = results.filter((r) => r.reason?.statusCode === 429);
+    assert.equal(compared.length, MAX_OTP_ATTEMPTS - 1);
+    assert.equal(refused.length, 20 - compared.length);
+    assert.ok(refused.every((r) => r.reason.code === "OTP_ATTEMPTS_EXCEEDED"));
+  });
+
+  it("discards the code once the cap is reached", async () => {
+    for (let i = 0; i < MAX_OTP_ATTEMPTS; i++) {
+      await assert.rejects(guess("000000"));
+    }
+
+    await assert.rejects(guess(CODE), { statusCode: 400, message: /No OTP found/ });
+    assert.equal(users.docs[0].email_verification_otp, undefined);
+  });
+
+  it("accepts the right code within the cap", async () => {
+    await assert.rejects(guess("000000"), { statusCode: 400, message: "Invalid OTP" });
+
+    const user = await guess(CODE);
+
+    assert.equal(user.email_verified, true);
+    assert.equal(users.docs[0].email_verification_otp, undefined);
+  });
+});
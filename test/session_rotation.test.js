@@ -0,0 +1,74 @@
+require("./helpers/env");
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+const Session = require("../models/session_model");
+const { installMemoryModel } = require("./helpers/memory_model");
+const sessionService = require("../services/session_service");
+
+describe("refresh token rotation", () => {
+  let sessions;
+  let refreshToken;
+
+  beforeEach(async () => {
+    sessions = installMemoryModel(Session);
+    ({ refreshToken } = await sessionService.createSession(
+      new mongoose.Types.ObjectId(),
+      "owner",
+      { name: "laptop" }
+    ));
+  });
+
+  afterEach(() => sessions.restore());
+
+  it("issues a new refresh token and retires the old one", async () => {
+    const rotated = await sessionService.rotateRefreshToken(refreshToken, { ip: "203.0.113.7" });
+
+    assert.notEqual(rotated.refreshToken, refreshToken);
+    assert.equal(rotated.session.rotation_count, 1);
+    assert.equal(sessions.docs[0].device.ip, "203.0.113.7");
+    assert.equal(sessions.docs[0].device.name, "laptop");
+
+    const again = await sessionService.rotateRefreshToken(rotated.refreshToken);
+    assert.equal(again.session.rotation_count, 2);
+  });
+
+  it("revokes the session when a rotated token is reused", async () => {
+    const rotated = await sessionService.rotateRefreshToken(refreshToken);
+
+    await assert.rejects(sessionService.rotateRefreshToken(refreshToken), {
+      statusCode: 401,
+      code: "REFRESH_TOKEN_REUSED",
+    });
+    assert.equal(sessions.docs[0].revoked_reason, "token_reuse");
+
+    // The thief's replay also kills the legitimate holder's newer token
+    await assert.rejects(sessionService.rotateRefreshToken(rotated.refreshToken), {
+      code: "SESSION_REVOKED",
+    });
+  });
+
+  it("lets only one of two concurrent rotations of the same token succeed", async () => {
+    const results = await Promise.allSettled([
+      sessionService.rotateRefreshToken(refreshToken),
+      sessionService.rotateRefreshToken(refreshToken),
+    ]);
+
+    assert.equal(results.filter((r) => r.status === "fulfilled").length, 1);
+    const [rejected] = results.filter((r) => r.status === "rejected");
+    assert.equal(rejected.reason.code, "REFRESH_TOKEN_REUSED");
+    assert.ok(sessions.docs[0].revoked_at);
+  });
+
+  it("rejects expired sessions and malformed tokens", async () => {
+    sessions.docs[0].expires_at = new Date(Date.now() - 1000);
+
+    await assert.rejects(sessionService.rotateRefreshToken(refreshToken), {
+      code: "SESSION_REVOKED",
+    });
+    await assert.rejects(sessionService.rotateRefreshToken("not-a-token"), {
+      code: "INVALID_REFRESH_TOKEN",
+    });
+  });
+});
@@ -0,0 +1,99 @@
+require("./helpers/env");
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+const CarbonEmissionAccounting = require("../models/carbon_emission_accounting_model");
+const { installMemoryModel } = require("./helpers/memory_model");
+const tenancy = require("../middlewares/tenancy");
+
+const ownCompany = new mongoose.Types.ObjectId();
+const otherCompany = new mongoose.Types.ObjectId();
+
+const member = (extra = {}) => ({
+  user: { _id: new mongoose.Types.ObjectId(), company: ownCompany },
+  userType: "member",
+  method: "GET",
+  originalUrl: "/test",
+  params: {},
+  body: {},
+  ...extra,
+});
+
+const owner = (extra = {}) => ({
+  ...member(extra),
+  user: { _id: new mongoose.Types.ObjectId() },
+  userType: "owner",
+});
+
+/** Run a middleware and resolve with the error passed to next, if any. */
+function run(middleware, req) {
+  return new Promise((resolve) => {
+    middleware(req, {}, (err) => resolve(err || null));
+  });
+}
+
+describe("tenancy guards", () => {
+  it("lets members reach their own company and owners any company", async () => {
+    assert.equal(
+      await run(tenancy.requireCompanyAccess, member({ params: { companyId: String(ownCompany) } })),
+      null
+    );
+    assert.equal(
+      await run(tenancy.requireCompanyAccess, owner({ params: { companyId: String(otherCompany) } })),
+      null
+    );
+  });
+
+  it("denies members another company's path", async () => {
+    const err = await run(
+      tenancy.requireCompanyAccess,
+      member({ params: { companyId: String(otherCompany) } })
+    );
+
+    assert.equal(err.statusCode, 403);
+    assert.equal(err.code, "COMPANY_ACCESS_DENIED");
+  });
+
+  it("denies members another company in the body, and a missing company", async () => {
+    const guard = tenancy.requireBodyCompanyAccess("company");
+
+    const mismatch = await run(guard, member({ body: { company: String(otherCompany) } }));
+    assert.equal(mismatch.code, "COMPANY_ACCESS_DENIED");
+
+    const missing = await run(guard, member());
+    assert.equal(missing.statusCode, 400);
+    assert.equal(missing.code, "MISSING_COMPANY_ID");
+  });
+
+  it("rejects unauthenticated requests", () => {
+    assert.throws(() => tenancy.assertCompanyAccess({}, ownCompany), { statusCode: 401 });
+  });
+
+  describe("record guard", () => {
+    let records;
+
+    afterEach(() => records.restore());
+
+    it("denies members records that belong to another company", async () => {
+      records = installMemoryModel(CarbonEmissionAccounting);
+      const foreign = records.insert({ company: otherCompany });
+      const own = records.insert({ company: ownCompany });
+      const guard = tenancy.requireRecordCompanyAccess(CarbonEmissionAccounting);
+
+      const denied = await run(guard, member({ params: { id: String(foreign._id) } }));
+      assert.equal(denied.code, "COMPANY_ACCESS_DENIED");
+
+      assert.equal(await run(guard, member({ params: { id: String(own._id) } })), null);
+      assert.equal(await run(guard, owner({ params: { id: String(foreign._id) } })), null);
+    });
+
+    it("lets a missing record through for the controller's 404", async () => {
+      records = installMemoryModel(CarbonEmissionAccounting);
+      const guard = tenancy.requireRecordCompanyAccess(CarbonEmissionAccounting);
+
+      const err = await run(guard, member({ params: { id: String(new mongoose.Types.ObjectId()) } }));
+      assert.equal(err, null);
+    });
+  });
+});
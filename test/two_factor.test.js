@@ -0,0 +1,85 @@
+require("./helpers/env");
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const User = require("../models/users_model");
+const { installMemoryModel } = require("./helpers/memory_model");
+const twoFactorService = require("../services/two_factor_service");
+const totp = require("../utils/totp");
+
+const STEP_MS = 30 * 1000;
+
+describe("two-factor codes", () => {
+  let users;
+  let userId;
+  let secret;
+  let recoveryCodes;
+
+  // Enrol with the previous step's code, leaving the current one unused
+  beforeEach(async () => {
+    users = installMemoryModel(User);
+    userId = users.insert({ full_name: "Jane Doe", email: "jane@example.com", two_factor: {} })._id;
+
+    ({ secret } = await twoFactorService.beginEnrollment(userId, "owner"));
+    ({ recoveryCodes } = await twoFactorService.confirmEnrollment(
+      userId,
+      "owner",
+      totp.generateTotp(secret, Date.now() - STEP_MS)
+    ));
+  });
+
+  afterEach(() => users.restore());
+
+  it("accepts a TOTP code once and refuses its replay", async () => {
+    const code = totp.generateTotp(secret);
+
+    const result = await twoFactorService.verifyLoginCode(userId, "owner", code);
+    assert.equal(result.method, "totp");
+
+    await assert.rejects(twoFactorService.verifyLoginCode(userId, "owner", code), {
+      statusCode: 401,
+      code: "INVALID_2FA_CODE",
+    });
+  });
+
+  it("refuses the code used to confirm enrolment", async () => {
+    await assert.rejects(
+      twoFactorService.verifyLoginCode(userId, "owner", totp.generateTotp(secret, Date.now() - STEP_MS)),
+      { code: "INVALID_2FA_CODE" }
+    );
+  });
+
+  it("lets only one of two concurrent logins with the same TOTP code pass", async () => {
+    const code = totp.generateTotp(secret);
+
+    const results = await Promise.allSettled([
+      twoFactorService.verifyLoginCode(userId, "owner", code),
+      twoFactorService.verifyLoginCode(userId, "owner", code),
+    ]);
+
+    assert.equal(results.filter((r) => r.status === "fulfilled").length, 1);
+  });
+
+  it("consumes a recovery code exactly once, even concurrently", async () => {
+    const [code] = recoveryCodes;
+
+    const results = await Promise.allSettled([
+      twoFactorService.verifyLoginCode(userId, "owner", code),
+      twoFactorService.verifyLoginCode(userId, "owner", code),
+    ]);
+
+    const passed = results.filter((r) => r.status === "fulfilled");
+    assert.equal(passed.length, 1);
+    assert.equal(passed[0].value.method, "recovery_code");
+    assert.equal(users.docs[0].two_factor.recovery_codes.length, recoveryCodes.length - 1);
+
+    await assert.rejects(twoFactorService.verifyLoginCode(userId, "owner", code), {
+      code: "INVALID_2FA_CODE",
+    });
+  });
+
+  it("stores the secret encrypted", () => {
+    assert.notEqual(users.docs[0].two_factor.secret, secret);
+    assert.ok(!users.docs[0].two_factor.secret.includes(secret));
+  });
+});
@@ -0,0 +1,26 @@
+// utils/audit_logger.js
+const winston = require('winston');
+const path = require('path');
+
+// Security-relevant events (access denials etc.) kept apart from app logs
+const auditLogger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'audit' },
+  transports: [
+    new winston.transports.File({
+      filename: path.join(__dirname, '../logs/audit.log'),
+    }),
+  ],
+});
+
+if (process.env.NODE_ENV !== 'production') {
+  auditLogger.add(new winston.transports.Console({
+    format: winston.format.simple(),
+  }));
+}
+
+module.exports = auditLogger;
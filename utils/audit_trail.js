@@ -0,0 +1,248 @@
+// utils/audit_trail.js
+// Mongoose plugin that writes an AuditLog entry, with a field-level
+// before/after diff, for every create, update, delete, verify and restore
+// of a domain record. Applied in each domain model:
+//
+//   Schema.plugin(auditTrail, { module: "waste" });
+//
+// Covers document.save(), Model.insertMany() and findOneAndUpdate()
+// (findByIdAndUpdate), which is how the domain services write. Bulk writes
+// are not seen by the hooks; their callers pass the before/after of each
+// row to recordChanges.
+const { getRequestContext, currentActor } = require("./request_context");
+const { recordEntries } = require("../services/audit_service");
+
+const MAX_CHANGES = 500;
+
+// Bookkeeping fields that change on every write and carry no information
+const IGNORED_KEYS = new Set([
+  "__v",
+  "createdAt",
+  "updatedAt",
+  "created_at",
+  "updated_at",
+  "last_updated_at",
+]);
+
+function isBsonValue(value) {
+  return value && typeof value === "object" && value._bsontype !== undefined;
+}
+
+function isPlainObject(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    !Array.isArray(value) &&
+    !(value instanceof Date) &&
+    !Buffer.isBuffer(value) &&
+    !isBsonValue(value)
+  );
+}
+
+function normalize(value) {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (isBsonValue(value)) return value.toString(); // ObjectId, Decimal128
+  if (Buffer.isBuffer(value)) return value.toString("base64");
+  if (Array.isArray(value)) return value.map(normalize);
+  return value;
+}
+
+/**
+ * Stable key for an array item so that reordering or inserting does not
+ * show up as a change to every later element.
+ */
+function itemKey(item) {
+  if (!isPlainObject(item)) return null;
+  if (item.category !== undefined && item.metric_name !== undefined) {
+    return `${item.category}:${item.metric_name}`;
+  }
+  if (item.year !== undefined) return `year=${item.year}`;
+  if (item._id !== undefined) return String(item._id);
+  return null;
+}
+
+/**
+ * Flatten a plain object into "path -> leaf value". Arrays of objects are
+ * expanded by item key; arrays of scalars are compared as a whole.
+ */
+function flatten(value, path, out) {
+  if (Array.isArray(value)) {
+    if (!value.some(isPlainObject)) {
+      out.set(path, normalize(value));
+      return out;
+    }
+    const keys = value.map(itemKey);
+    const keyed = keys.every((k) => k !== null) && new Set(keys).size === keys.length;
+    value.forEach((item, i) => flatten(item, `${path}[${keyed ? keys[i] : i}]`, out));
+    return out;
+  }
+
+  if (isPlainObject(value)) {
+    for (const [key, child] of Object.entries(value)) {
+      if (IGNORED_KEYS.has(key) || key === "_id") continue;
+      flatten(child, path ? `${path}.${key}` : key, out);
+    }
+    return out;
+  }
+
+  out.set(path, normalize(value));
+  return out;
+}
+
+/**
+ * Field-level differences between two plain snapshots (either may be null).
+ * @returns {{changes: Array<{path, before, after}>, truncated: boolean}}
+ */
+function diffSnapshots(before, after) {
+  const a = before ? flatten(before, "", new Map()) : new Map();
+  const b = after ? flatten(after, "", new Map()) : new Map();
+
+  const changes = [];
+  for (const path of new Set([...a.keys(), ...b.keys()])) {
+    const prev = a.has(path) ? a.get(path) : null;
+    const next = b.has(path) ? b.get(path) : null;
+    if (JSON.stringify(prev) === JSON.stringify(next)) continue;
+    changes.push({ path, before: prev, after: next });
+  }
+
+  return {
+    changes: changes.slice(0, MAX_CHANGES),
+    truncated: changes.length > MAX_CHANGES,
+  };
+}
+
+function deactivated(change) {
+  return change.before === true && change.after === false;
+}
+
+function inferAction(before, after, changes) {
+  if (!before) return after.restored_from ? "restore" : "create";
+
+  if (before.is_active !== false && after.is_active === false && after.deleted_at) {
+    return "delete";
+  }
+  // deleteMetric and friends switch off a nested item
+  if (changes.some((c) => /\]\.is_active$/.test(c.path) && deactivated(c))) {
+    return "delete";
+  }
+  if (changes.some((c) => /(^|\.)verification_status$/.test(c.path))) {
+    return "verify";
+  }
+  return "update";
+}
+
+function toSnapshot(doc) {
+  if (!doc) return null;
+  return typeof doc.toObject === "function" ? doc.toObject({ depopulate: true }) : doc;
+}
+
+/**
+ * Build the AuditLog entry for one change, or null if nothing changed.
+ * `after` is null when the record was deleted outright; `action` overrides
+ * the inferred one.
+ */
+function buildEntry({ module, model }, before, after, action) {
+  const { changes, truncated } = diffSnapshots(before, after);
+  if (before && !changes.length) return null;
+
+  const ctx = getRequestContext();
+  const actor = currentActor();
+  const req = ctx?.req;
+  const current = after || before;
+
+  return {
+    action: action || (after ? inferAction(before, after, changes) : "delete"),
+    module,
+    model,
+    record: current._id,
+    company: current.company,
+    actor: actor
+      ? actor.id
+      : current.deleted_by || current.last_updated_by || current.created_by,
+    actor_type: actor?.type || "system",
+    actor_email: actor?.email,
+    changes,
+    changes_truncated: truncated,
+    request_id: ctx?.requestId,
+    ip: req?.ip || ctx?.ip,
+    user_agent: req?.get?.("user-agent"),
+    method: req?.method,
+    path: req?.originalUrl,
+  };
+}
+
+async function record(entries, session) {
+  await recordEntries(entries.filter(Boolean), { session });
+}
+
+/**
+ * Audit writes made outside the hooks (bulkWrite, deleteMany).
+ *
+ * @param {{module: string, model: string}} meta
+ * @param {Array<{before, after, action}>} changes plain snapshots; before
+ *   is null for a created record, after for a deleted one
+ * @param {ClientSession} [session]
+ */
+async function recordChanges(meta, changes, session) {
+  await record(
+    changes.map((change) => buildEntry(meta, change.before, change.after, change.action)),
+    session
+  );
+}
+
+function auditTrail(schema, options = {}) {
+  if (!options.module) throw new Error("auditTrail plugin requires a module");
+
+  schema.pre("save", async function () {
+    this.$locals.auditWasNew = this.isNew;
+    this.$locals.auditBefore = null;
+    if (this.isNew || !this.isModified()) return;
+
+    this.$locals.auditBefore = await this.constructor
+      .findById(this._id)
+      .session(this.$session() || null)
+      .lean();
+  });
+
+  schema.post("save", async function (doc) {
+    const wasNew = doc.$locals.auditWasNew;
+    const before = doc.$locals.auditBefore;
+    doc.$locals.auditBefore = null;
+    if (!wasNew && !before) return;
+
+    const meta = { module: options.module, model: doc.constructor.modelName };
+    await record([buildEntry(meta, wasNew ? null : before, toSnapshot(doc))], doc.$session());
+  });
+
+  schema.post("insertMany", async function (docs) {
+    if (!Array.isArray(docs) || !docs.length) return;
+    const meta = { module: options.module, model: this.modelName };
+    await record(docs.map((doc) => buildEntry(meta, null, toSnapshot(doc))));
+  });
+
+  schema.pre("findOneAndUpdate", async function () {
+    this._auditBefore = await this.model
+      .findOne(this.getFilter())
+      .session(this.getOptions().session || null)
+      .lean();
+  });
+
+  schema.post("findOneAndUpdate", async function () {
+    const before = this._auditBefore;
+    if (!before) return;
+
+    // Re-read rather than trust the result, which may be the pre-update
+    // document, populated or lean depending on the caller's options
+    const session = this.getOptions().session || null;
+    const after = await this.model.findById(before._id).session(session).lean();
+    if (!after) return;
+
+    const meta = { module: options.module, model: this.model.modelName };
+    await record([buildEntry(meta, before, after)], session);
+  });
+}
+
+module.exports = auditTrail;
+module.exports.diffSnapshots = diffSnapshots;
+module.exports.recordChanges = recordChanges;
@@ -0,0 +1,99 @@
+// utils/csv_stream.js
+// Row-by-row reading of CSV files too large to hold in memory (see
+// services/series_import_service). Rows are handed over in chunks and the
+// file is only read further once a chunk has been dealt with, so memory use
+// stays at about one chunk however large the file is.
+const fs = require("fs");
+const csv = require("csv-parser");
+
+const DEFAULT_CHUNK_SIZE = 1000;
+
+function mapHeaders({ header }) {
+  return header.replace(/^\uFEFF/, "").trim();
+}
+
+/**
+ * Read a CSV file in chunks of rows.
+ *
+ * @param {string} filePath
+ * @param {Object} options
+ * @param {Function} options.onChunk async (rows, { first_row, bytes_read,
+ *   bytes_total }) called once per chunk; `first_row` is the 1-based number
+ *   of the chunk's first data row
+ * @param {number} [options.chunkSize] rows per chunk
+ * @param {Function} [options.onHeaders] (headers) called before the first
+ *   chunk; throwing stops the read with that error
+ * @returns {Promise<{rows: number, headers: string[]}>}
+ */
+async function readCsvInChunks(filePath, { onChunk, onHeaders, chunkSize = DEFAULT_CHUNK_SIZE }) {
+  const { size } = await fs.promises.stat(filePath);
+  const file = fs.createReadStream(filePath);
+  const parser = csv({ mapHeaders });
+  let headers = [];
+  parser.on("headers", (list) => {
+    headers = list;
+    try {
+      if (onHeaders) onHeaders(list);
+    } catch (err) {
+      parser.destroy(err);
+    }
+  });
+  file.on("error", (err) => parser.destroy(err));
+
+  let rows = 0;
+  let chunk = [];
+  const flush = async () => {
+    const current = chunk;
+    chunk = [];
+    await onChunk(current, {
+      first_row: rows - current.length + 1,
+      bytes_read: file.bytesRead,
+      bytes_total: size,
+    });
+  };
+
+  try {
+    // Async iteration pauses the parser (and the file) while a chunk is written
+    for await (const row of file.pipe(parser)) {
+      chunk.push(row);
+      rows += 1;
+      if (chunk.length >= chunkSize) await flush();
+    }
+    if (chunk.length) await flush();
+  } finally {
+    file.destroy();
+  }
+
+  return { rows, headers };
+}
+
+/**
+ * The header and first `count` rows of a CSV file, without reading the rest.
+ * @returns {Promise<{headers: string[], rows: Object[]}>}
+ */
+async function readCsvSample(filePath, count = 5) {
+  const file = fs.createReadStream(filePath);
+  const parser = csv({ mapHeaders });
+  let headers = [];
+  parser.on("headers", (list) => {
+    headers = list;
+  });
+  file.on("error", (err) => parser.destroy(err));
+
+  const rows = [];
+  try {
+    for await (const row of file.pipe(parser)) {
+      if (rows.length >= count) break;
+      rows.push(row);
+    }
+  } finally {
+    file.destroy();
+  }
+  return { headers, rows };
+}
+
+module.exports = {
+  DEFAULT_CHUNK_SIZE,
+  readCsvInChunks,
+  readCsvSample,
+};
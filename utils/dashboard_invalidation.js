@@ -0,0 +1,105 @@
+// utils/dashboard_invalidation.js
+// Mongoose plugin that marks a company's cached dashboards stale whenever
+// a model its dashboards are computed from is written: imports, upserts,
+// verifications, restores and deletes alike. Applied next to auditTrail in
+// each domain model:
+//
+//   Schema.plugin(dashboardInvalidation);
+//
+// Options: `companyField` ("company"; "_id" for the Company model itself)
+// and `scope: "all"` for models every company's dashboards depend on.
+//
+// A write inside a transaction is not visible until the commit, so bumping
+// the version when it executes would let a dashboard computed in between
+// cache the old data under the new version. Those bumps are held on the
+// session and made by invalidateAfterCommit, which every service calls
+// right after commitTransaction.
+const dashboardCacheService = require("../services/dashboard_cache_service");
+
+const QUERY_WRITES = [
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "findOneAndReplace",
+  "replaceOne",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete",
+];
+
+// Marks "every company" in a session's pending set
+const ALL = Symbol("all companies");
+
+// session -> companies written inside its open transaction
+const pending = new WeakMap();
+
+async function invalidateNow(companies) {
+  if (companies.includes(ALL)) {
+    await dashboardCacheService.invalidateAll();
+    return;
+  }
+  const unique = [...new Set(companies.filter(Boolean).map(String))];
+  await Promise.all(unique.map((company) => dashboardCacheService.invalidateCompany(company)));
+}
+
+/**
+ * Make the version bumps held for a committed transaction. Safe to call
+ * when the session wrote nothing.
+ *
+ * @param {ClientSession} session
+ */
+async function invalidateAfterCommit(session) {
+  const companies = pending.get(session);
+  if (!companies) return;
+  pending.delete(session);
+  await invalidateNow([...companies]);
+}
+
+function dashboardInvalidation(schema, options = {}) {
+  const field = options.companyField || "company";
+
+  const invalidate = async (companies, session) => {
+    const targets = options.scope === "all" ? [ALL] : companies;
+    if (session && session.inTransaction()) {
+      if (!pending.has(session)) pending.set(session, new Set());
+      for (const company of targets) {
+        if (company) pending.get(session).add(company === ALL ? ALL : String(company));
+      }
+      return;
+    }
+    await invalidateNow(targets);
+  };
+
+  schema.post("save", async function (doc) {
+    await invalidate([doc.get(field)], doc.$session());
+  });
+
+  schema.post("insertMany", async function (docs) {
+    if (!Array.isArray(docs)) return;
+    await invalidate(
+      docs.map((doc) => doc[field] ?? doc.get?.(field)),
+      docs[0]?.$session?.()
+    );
+  });
+
+  schema.post("deleteOne", { document: true, query: false }, async function (doc) {
+    await invalidate([doc.get(field)], doc.$session());
+  });
+
+  // Query writes: the companies are in the filter, or read before the write
+  schema.pre(QUERY_WRITES, { document: false, query: true }, async function () {
+    if (options.scope === "all") return;
+    const filtered = this.getFilter()[field];
+    const single = filtered && (typeof filtered !== "object" || filtered._bsontype);
+    this._dashboardCompanies = single
+      ? [filtered]
+      : await this.model.distinct(field, this.getFilter()).session(this.getOptions().session || null);
+  });
+
+  schema.post(QUERY_WRITES, { document: false, query: true }, async function () {
+    await invalidate(this._dashboardCompanies || [], this.getOptions().session);
+  });
+}
+
+module.exports = dashboardInvalidation;
+module.exports.invalidateAfterCommit = invalidateAfterCommit;
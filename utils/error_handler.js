@@ -70,6 +70,9 @@ function errorMiddleware(err, req, res, next) {
   };
 
   if (appErr.details) response.details = appErr.details;
+  if (appErr.statusCode === 429 && appErr.details?.retryAfter) {
+    res.set("Retry-After", String(appErr.details.retryAfter));
+  }
   res.status(appErr.statusCode).json(response);
 }
 
@@ -4,18 +4,46 @@ const xlsx = require('xlsx');
 const { Readable } = require('stream');
 
 class FileParser {
+  /**
+   * Parse an uploaded file, picking the parser from its extension.
+   * @param {Object} [options]
+   * @param {boolean} [options.raw] skip the file-name based processing and
+   *   return `{ raw_data: rows }` (used with import mapping templates)
+   * @param {string} [options.sheetName] Excel sheet; the first one by default
+   */
+  static async parseFile(buffer, fileName, options = {}) {
+    const fileExtension = fileName.split('.').pop().toLowerCase();
+
+    switch (fileExtension) {
+      case 'csv':
+        return this.parseCSV(buffer, fileName, options);
+      case 'xlsx':
+      case 'xls':
+        return this.parseExcel(buffer, fileName, options);
+      case 'json':
+        return this.parseJSON(buffer, fileName, options);
+      default:
+        throw new Error(`Unsupported file type: ${fileExtension}`);
+    }
+  }
+
   /**
    * Parse CSV file buffer
    */
-  static async parseCSV(buffer, fileName) {
+  static async parseCSV(buffer, fileName, options = {}) {
     return new Promise((resolve, reject) => {
       const results = [];
-      const stream = Readable.from(buffer.toString());
+      // Parsed from the buffer itself, without a second copy as a string;
+      // files too large for memory go through utils/csv_stream instead
+      const stream = Readable.from([buffer]);
       
       stream
         .pipe(csv())
         .on('data', (data) => results.push(data))
         .on('end', () => {
+          if (options.raw) {
+            return resolve({ raw_data: results, source_file: fileName });
+          }
           // Process results based on file name content
           const processedData = this.processCSVData(results, fileName);
           resolve(processedData);
@@ -27,14 +55,20 @@ class FileParser {
   /**
    * Parse Excel file buffer
    */
-  static async parseExcel(buffer, fileName) {
+  static async parseExcel(buffer, fileName, options = {}) {
     try {
       const workbook = xlsx.read(buffer, { type: 'buffer' });
-      const sheetName = workbook.SheetNames[0];
+      const sheetName = options.sheetName || workbook.SheetNames[0];
       const worksheet = workbook.Sheets[sheetName];
+      if (!worksheet) {
+        throw new Error(`Sheet "${sheetName}" not found`);
+      }
       
       // Convert to JSON
       const data = xlsx.utils.sheet_to_json(worksheet);
+      if (options.raw) {
+        return { raw_data: data, source_file: fileName };
+      }
       
       // Process data based on file name
       return this.processExcelData(data, fileName);
@@ -46,9 +80,15 @@ class FileParser {
   /**
    * Parse JSON file buffer
    */
-  static async parseJSON(buffer, fileName) {
+  static async parseJSON(buffer, fileName, options = {}) {
     try {
       const data = JSON.parse(buffer.toString());
+      if (options.raw) {
+        if (!Array.isArray(data)) {
+          throw new Error('expected an array of rows');
+        }
+        return { raw_data: data, source_file: fileName };
+      }
       return this.processJSONData(data, fileName);
     } catch (error) {
       throw new Error(`Failed to parse JSON file: ${error.message}`);
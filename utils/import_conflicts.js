@@ -0,0 +1,268 @@
+// utils/import_conflicts.js
+// Conflict detection between an import and the data already stored. A
+// conflict is a metric/year the import brings a different value for; an
+// identical value is a duplicate. Imports with conflicts are refused unless
+// the caller picks a policy:
+//
+//   keep_existing  the stored value stays, the imported one is dropped
+//   overwrite      the imported value replaces the stored one
+//   restatement    the imported value replaces the stored one, which is
+//                  kept in the new value's `restatements`
+//
+// Values are compared in their canonical unit when both units are known
+// (utils/units), so "1 000 MWh" and "1 000 000 kWh" are duplicates.
+const AppError = require("./app_error");
+const { normalize } = require("./units");
+
+const CONFLICT_POLICIES = ["keep_existing", "overwrite", "restatement"];
+
+// Conflicts listed in reports and errors; the counts cover all of them
+const MAX_LISTED_CONFLICTS = 200;
+
+/**
+ * The policy a request asks for (`conflict_policy`); null when none.
+ */
+function parseConflictPolicy(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const policy = String(value).trim().toLowerCase();
+  if (!CONFLICT_POLICIES.includes(policy)) {
+    throw new AppError(
+      `conflict_policy must be one of: ${CONFLICT_POLICIES.join(", ")}`,
+      400,
+      "INVALID_CONFLICT_POLICY",
+      { value }
+    );
+  }
+  return policy;
+}
+
+function metricKey(metric) {
+  return `${metric.category}:${metric.metric_name}`;
+}
+
+function plain(value) {
+  return value && typeof value.toObject === "function" ? value.toObject() : value;
+}
+
+function numericOf(point) {
+  if (typeof point.numeric_value === "number") return point.numeric_value;
+  if (typeof point.value === "number") return point.value;
+  return null;
+}
+
+/**
+ * Whether two stored values say the same thing. Numbers are compared in the
+ * canonical unit when both units are known, otherwise as numbers with the
+ * same unit; anything else by its text.
+ */
+function sameValue(a, b, unitA, unitB) {
+  const numberA = numericOf(a);
+  const numberB = numericOf(b);
+
+  if (numberA !== null && numberB !== null) {
+    const normalA = normalize(numberA, a.unit || unitA);
+    const normalB = normalize(numberB, b.unit || unitB);
+    if (normalA && normalB && normalA.unit === normalB.unit) {
+      return Math.abs(normalA.value - normalB.value) <= 1e-9 * Math.max(1, Math.abs(normalA.value));
+    }
+    const sameUnit = String(a.unit || unitA || "").toLowerCase() === String(b.unit || unitB || "").toLowerCase();
+    return sameUnit && numberA === numberB;
+  }
+  if (numberA !== null || numberB !== null) return false;
+
+  const text = (point) => String(point.value ?? "").trim().toLowerCase();
+  return text(a) === text(b) && Boolean(a.not_reported) === Boolean(b.not_reported);
+}
+
+function describePoint(point, unit) {
+  return {
+    value: point.value ?? null,
+    numeric_value: numericOf(point),
+    unit: point.unit || unit || null,
+    source: point.source || point.source_notes || null,
+  };
+}
+
+/**
+ * Keep the replaced value on the one replacing it.
+ */
+function restate(incoming, existing, unit, batchId) {
+  return {
+    ...incoming,
+    restatements: [
+      ...(existing.restatements || []).map(plain),
+      {
+        ...describePoint(existing, unit),
+        added_at: existing.added_at,
+        restated_at: new Date(),
+        import_batch_id: batchId,
+      },
+    ],
+  };
+}
+
+function conflictEntry(metric, year, existing, incoming, unit) {
+  return {
+    metric: metricKey(metric),
+    category: metric.category,
+    subcategory: metric.subcategory,
+    metric_name: metric.metric_name,
+    year,
+    existing: describePoint(existing, unit),
+    incoming: describePoint(incoming, unit),
+  };
+}
+
+/**
+ * Counts and the first MAX_LISTED_CONFLICTS conflicts, as stored on the
+ * imported record and returned by imports.
+ */
+function summarizeConflicts({ conflicts, duplicates }, policy) {
+  return {
+    policy: policy || null,
+    conflicts_count: conflicts.length,
+    duplicates_count: duplicates.length,
+    conflicts: conflicts.slice(0, MAX_LISTED_CONFLICTS),
+  };
+}
+
+/**
+ * The error for an import refused over conflicts.
+ * @param {Object} summary summarizeConflicts' report
+ */
+function conflictError(summary) {
+  return new AppError(
+    `The import has ${summary.conflicts_count} values that differ from the stored ones; ` +
+      `choose a conflict_policy (${CONFLICT_POLICIES.join(", ")})`,
+    409,
+    "IMPORT_CONFLICTS",
+    { ...summary, policies: CONFLICT_POLICIES }
+  );
+}
+
+/* ---------------------------- domain modules --------------------------- */
+
+function yearlyIndex(metric) {
+  return new Map((metric.yearly_data || []).map((point) => [String(point.year), plain(point)]));
+}
+
+/**
+ * Compare the yearly_data of imported metrics with the active record's.
+ *
+ * @param {Object[]} activeMetrics
+ * @param {Object[]} incomingMetrics
+ * @returns {{conflicts: Object[], duplicates: Object[]}}
+ */
+function findYearlyConflicts(activeMetrics, incomingMetrics) {
+  const active = new Map(
+    (activeMetrics || []).filter((m) => m.is_active !== false).map((m) => [metricKey(m), plain(m)])
+  );
+  const conflicts = [];
+  const duplicates = [];
+
+  for (const metric of incomingMetrics || []) {
+    const stored = active.get(metricKey(metric));
+    if (!stored) continue;
+    const storedYears = yearlyIndex(stored);
+
+    for (const point of metric.yearly_data || []) {
+      const existing = storedYears.get(String(point.year));
+      if (!existing) continue;
+      if (sameValue(existing, point, stored.unit, metric.unit)) {
+        duplicates.push({ metric: metricKey(metric), year: String(point.year) });
+      } else {
+        conflicts.push(conflictEntry(metric, String(point.year), existing, point, stored.unit));
+      }
+    }
+  }
+
+  return { conflicts, duplicates };
+}
+
+/**
+ * The metrics of the version an import creates: the active record's
+ * metrics with the imported ones folded in. Years only one side has are
+ * kept, duplicates keep the stored point, and conflicting years are settled
+ * by `policy`. Metrics the import does not mention are carried over.
+ */
+function mergeYearlyMetrics(activeMetrics, incomingMetrics, policy, batchId) {
+  const merged = (activeMetrics || []).filter((m) => m.is_active !== false).map(plain);
+  const positions = new Map(merged.map((metric, index) => [metricKey(metric), index]));
+
+  for (const metric of incomingMetrics || []) {
+    const index = positions.get(metricKey(metric));
+    if (index === undefined) {
+      positions.set(metricKey(metric), merged.length);
+      merged.push(metric);
+      continue;
+    }
+
+    const stored = merged[index];
+    const years = yearlyIndex(stored);
+    for (const point of metric.yearly_data || []) {
+      const year = String(point.year);
+      const existing = years.get(year);
+      if (!existing) {
+        years.set(year, point);
+      } else if (!sameValue(existing, point, stored.unit, metric.unit)) {
+        if (policy === "overwrite") years.set(year, point);
+        else if (policy === "restatement") years.set(year, restate(point, existing, stored.unit, batchId));
+      }
+    }
+
+    merged[index] = {
+      ...stored,
+      ...metric,
+      yearly_data: [...years.values()].sort((a, b) => String(a.year).localeCompare(String(b.year))),
+    };
+  }
+
+  return merged;
+}
+
+/**
+ * Settle an import against the company's active record.
+ *
+ * @param {Object|null} activeRecord
+ * @param {Object[]} incomingMetrics
+ * @param {string|null} policy one of CONFLICT_POLICIES
+ * @param {string} [batchId] recorded on restatements
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] report conflicts without a policy
+ *   instead of throwing; their years keep the stored value
+ * @returns {{metrics: Object[], report: Object}} the metrics to save and
+ *   summarizeConflicts' report
+ * @throws {AppError} 409 IMPORT_CONFLICTS when values conflict and no
+ *   policy was given
+ */
+function resolveYearlyConflicts(activeRecord, incomingMetrics, policy, batchId, options = {}) {
+  if (!activeRecord) {
+    return {
+      metrics: incomingMetrics,
+      report: summarizeConflicts({ conflicts: [], duplicates: [] }, policy),
+    };
+  }
+
+  const found = findYearlyConflicts(activeRecord.metrics, incomingMetrics);
+  if (found.conflicts.length && !policy && !options.dryRun) {
+    throw conflictError(summarizeConflicts(found, null));
+  }
+
+  return {
+    metrics: mergeYearlyMetrics(activeRecord.metrics, incomingMetrics, policy, batchId),
+    report: summarizeConflicts(found, policy),
+  };
+}
+
+module.exports = {
+  CONFLICT_POLICIES,
+  parseConflictPolicy,
+  sameValue,
+  describePoint,
+  restate,
+  conflictEntry,
+  summarizeConflicts,
+  conflictError,
+  findYearlyConflicts,
+  resolveYearlyConflicts,
+};
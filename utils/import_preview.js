@@ -0,0 +1,311 @@
+// utils/import_preview.js
+// Dry-run report for the domain `import-file` endpoints: what an import
+// would write, which rows it left out, which values did not parse, which
+// values conflict with the stored ones and how the result differs from the
+// company's active record. Nothing is saved.
+const { diffSnapshots } = require("./audit_trail");
+const FileParser = require("./file_parsers");
+const { resolveYearlyConflicts } = require("./import_conflicts");
+const { templateParseOptions } = require("../services/import_mapping_service");
+
+const MAX_LISTED_ROWS = 200;
+
+// Per-import bookkeeping; differs on every version without the data changing
+const BOOKKEEPING_KEYS = new Set([
+  "_id",
+  "created_by",
+  "added_by",
+  "added_at",
+  "last_updated_by",
+  "last_updated_at",
+  "created_at",
+  "updated_at",
+  "source",
+  "is_active",
+]);
+
+/**
+ * True when the request asks for a preview (`?dry_run=true`, or a
+ * `dry_run` form field on multipart uploads).
+ */
+function isDryRun(req) {
+  return [req.query?.dry_run, req.body?.dry_run].some(
+    (value) => String(value).toLowerCase() === "true",
+  );
+}
+
+function metricKey(metric) {
+  return `${metric.category}:${metric.metric_name}`;
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === "";
+}
+
+function stripBookkeeping(value) {
+  if (Array.isArray(value)) return value.map(stripBookkeeping);
+  if (
+    value === null ||
+    typeof value !== "object" ||
+    value instanceof Date ||
+    value._bsontype !== undefined
+  ) {
+    return value;
+  }
+
+  const out = {};
+  for (const [key, child] of Object.entries(value)) {
+    if (BOOKKEEPING_KEYS.has(key)) continue;
+    out[key] = stripBookkeeping(child);
+  }
+  return out;
+}
+
+function summarizeMetric(metric) {
+  const yearly = metric.yearly_data || [];
+  const units = [...new Set(yearly.map((d) => d.unit).filter(Boolean))];
+  if (metric.single_value?.unit) units.push(metric.single_value.unit);
+
+  return {
+    key: metricKey(metric),
+    category: metric.category,
+    subcategory: metric.subcategory,
+    metric_name: metric.metric_name,
+    data_type: metric.data_type,
+    years: yearly.map((d) => d.year),
+    values_count:
+      yearly.length + (metric.list_data?.length || 0) + (metric.single_value ? 1 : 0),
+    units,
+  };
+}
+
+/**
+ * parseFloat("4O0") is 4: digits left over after the leading number mean
+ * the value was only partly read (a trailing unit such as "12 t" is fine).
+ */
+function digitsAfterNumber(value) {
+  const cleaned = String(value).replace(/[,\s]/g, "");
+  const match = cleaned.match(/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?/i);
+  return /\d/.test(match ? cleaned.slice(match[0].length) : cleaned);
+}
+
+/**
+ * Values whose number did not parse, and numbers that came without a unit.
+ */
+function findParseFailures(metrics) {
+  const failures = [];
+
+  const check = (metric, point, year) => {
+    if (!point || isBlank(point.value)) return;
+    const numeric = point.numeric_value;
+    const looksNumeric = /\d/.test(String(point.value));
+
+    if (
+      Number.isNaN(numeric) ||
+      (looksNumeric && (numeric === null || numeric === undefined)) ||
+      (Number.isFinite(numeric) && digitsAfterNumber(point.value))
+    ) {
+      failures.push({
+        metric: metricKey(metric),
+        year,
+        value: point.value,
+        problem: "number_parse_failed",
+      });
+    } else if (Number.isFinite(numeric) && !point.unit) {
+      failures.push({
+        metric: metricKey(metric),
+        year,
+        value: point.value,
+        problem: "missing_unit",
+      });
+    }
+  };
+
+  for (const metric of metrics) {
+    for (const point of metric.yearly_data || []) check(metric, point, point.year);
+    check(metric, metric.single_value, null);
+  }
+  return failures;
+}
+
+/**
+ * Raw rows none of whose cells ended up in a metric. Best effort: a row
+ * counts as used when any of its cell values appears in the output.
+ */
+function findSkippedRows(parsedData, metrics) {
+  const rows = parsedData?.raw_data;
+  if (!Array.isArray(rows)) return [];
+
+  const used = new Set();
+  const use = (value) => {
+    if (!isBlank(value)) used.add(String(value).trim());
+  };
+  for (const metric of metrics) {
+    for (const point of metric.yearly_data || []) {
+      use(point.value);
+      use(point.year);
+    }
+    use(metric.single_value?.value);
+    for (const item of metric.list_data || []) use(item.item);
+  }
+
+  const skipped = [];
+  rows.forEach((row, index) => {
+    const cells = Object.values(row || {}).filter((v) => !isBlank(v));
+    let reason = null;
+    if (!cells.length) reason = "empty";
+    else if (!cells.some((v) => used.has(String(v).trim()))) reason = "not_mapped";
+
+    // +2: one for the header line, one for 1-based numbering
+    if (reason) skipped.push({ row: index + 2, reason, cells: row });
+  });
+  return skipped;
+}
+
+/**
+ * Metric-level diff of the would-be version against the active record.
+ * `metrics` are the new version's: the active metrics with the import
+ * folded in (utils/import_conflicts).
+ */
+function diffAgainstActive(activeRecord, metrics) {
+  const current = new Map(
+    (activeRecord?.metrics || [])
+      .filter((m) => m.is_active !== false)
+      .map((m) => [metricKey(m), stripBookkeeping(m)]),
+  );
+  const next = new Map(metrics.map((m) => [metricKey(m), stripBookkeeping(m)]));
+
+  const added = [];
+  const changed = [];
+  let unchanged = 0;
+
+  for (const [key, metric] of next) {
+    if (!current.has(key)) {
+      added.push(key);
+      continue;
+    }
+    const { changes, truncated } = diffSnapshots(current.get(key), metric);
+    if (changes.length) changed.push({ metric: key, changes, truncated });
+    else unchanged += 1;
+  }
+
+  return {
+    active_record_id: activeRecord?._id || null,
+    active_version: activeRecord?.version ?? null,
+    added,
+    removed: [...current.keys()].filter((key) => !next.has(key)),
+    changed,
+    unchanged_count: unchanged,
+  };
+}
+
+/**
+ * Build the dry-run report.
+ * @param {Object} params
+ * @param {Object} params.parsedData - FileParser output
+ * @param {Object} params.transformedData - the service's transform output
+ * @param {Object} params.draft - unsaved model instance the import would save
+ * @param {Object|null} params.activeRecord - current active record (lean)
+ * @param {Object} [params.conflicts] - resolveYearlyConflicts' report
+ */
+function buildImportPreview({ parsedData, transformedData, draft, activeRecord, conflicts }) {
+  const metrics = transformedData.metrics || [];
+  const versionMetrics = draft.toObject().metrics || [];
+  const validation = draft.validateSync();
+  const unresolved = Boolean(conflicts?.conflicts_count && !conflicts.policy);
+  const skippedRows = findSkippedRows(parsedData, metrics);
+
+  const validationErrors = validation
+    ? Object.values(validation.errors).map((err) => ({
+        path: err.path,
+        message: err.message,
+      }))
+    : [];
+
+  return {
+    dry_run: true,
+    can_import: validationErrors.length === 0 && !unresolved,
+    would_create: {
+      version: draft.version,
+      previous_version: draft.previous_version || null,
+      import_source: transformedData.import_source,
+      source_file_name: transformedData.source_file_name,
+      data_period_start: transformedData.data_period_start,
+      data_period_end: transformedData.data_period_end,
+      metrics_count: versionMetrics.length,
+      metrics: versionMetrics.map(summarizeMetric),
+    },
+    skipped_rows_count: skippedRows.length,
+    skipped_rows: skippedRows.slice(0, MAX_LISTED_ROWS),
+    parse_failures: findParseFailures(metrics),
+    validation_errors: validationErrors,
+    conflicts: conflicts || null,
+    diff: diffAgainstActive(activeRecord, versionMetrics),
+  };
+}
+
+/**
+ * Dry run of a domain service's importFromFile: parse and transform the
+ * file the same way, then report what would be saved without writing
+ * anything.
+ *
+ * @param {Object} importer
+ * @param {mongoose.Model} importer.Model - the module's model
+ * @param {Function} importer.transform - the service's
+ *   transformParsedDataToSchema(parsedData, companyId, userId, metadata)
+ * @param {Buffer} fileBuffer
+ * @param {string} fileName
+ * @param {string} companyId
+ * @param {string} userId
+ * @param {Object} [metadata] importFromFile's metadata (mappingTemplate,
+ *   conflictPolicy, ...)
+ */
+async function previewFileImport({ Model, transform }, fileBuffer, fileName, companyId, userId, metadata = {}) {
+  try {
+    const parsedData = await FileParser.parseFile(
+      fileBuffer,
+      fileName,
+      templateParseOptions(metadata.mappingTemplate),
+    );
+
+    const transformedData = transform(parsedData, companyId, userId, { ...metadata, fileName });
+
+    const activeRecord = await Model.findOne({
+      company: companyId,
+      is_active: true,
+    }).lean();
+
+    const { metrics, report } = resolveYearlyConflicts(
+      activeRecord,
+      transformedData.metrics,
+      metadata.conflictPolicy,
+      null,
+      { dryRun: true },
+    );
+
+    const draft = new Model({
+      ...transformedData,
+      metrics,
+      previous_version: activeRecord?._id,
+      version: activeRecord ? activeRecord.version + 1 : 1,
+      created_by: userId,
+      last_updated_by: userId,
+    });
+
+    return buildImportPreview({
+      parsedData,
+      transformedData,
+      draft,
+      activeRecord,
+      conflicts: report,
+    });
+  } catch (error) {
+    throw new Error(`File import preview failed: ${error.message}`);
+  }
+}
+
+module.exports = {
+  isDryRun,
+  buildImportPreview,
+  previewFileImport,
+};
@@ -0,0 +1,225 @@
+// utils/pdf_tables.js
+// Table extraction from text-based PDFs such as integrated reports. Text
+// runs are grouped into lines by position and lines into cells by the gaps
+// between runs; a table starts at a line with year column headers
+// ("Metric | 2022 | 2023 | 2024", "FY23 | FY24") and runs while the lines
+// below it have values under those columns. Scanned PDFs have no text
+// layer and yield no tables.
+const { headerYear, parseCellValue, splitMetricLabel } = require("./wide_year_table");
+
+// Runs closer than this (in font sizes) belong to the same cell
+const CELL_GAP_EM = 1.5;
+// Runs whose baselines differ by less than this (in font sizes) share a line
+const LINE_TOLERANCE_EM = 0.4;
+
+let pdfjs;
+
+// pdf.js only ships as an ES module
+async function loadPdfjs() {
+  pdfjs = pdfjs || (await import("pdfjs-dist/legacy/build/pdf.mjs"));
+  return pdfjs;
+}
+
+function toRun(item) {
+  const [, , , scaleY, x, y] = item.transform;
+  const size = Math.abs(scaleY) || item.height || 10;
+  return { text: item.str, x, y, right: x + item.width, size };
+}
+
+/**
+ * Group a page's text runs into lines (top to bottom) of cells (left to
+ * right).
+ */
+function toLines(runs) {
+  const sorted = runs
+    .filter((run) => run.text.trim() !== "")
+    .sort((a, b) => b.y - a.y || a.x - b.x);
+
+  const lines = [];
+  for (const run of sorted) {
+    const line = lines.find((l) => Math.abs(l.y - run.y) < run.size * LINE_TOLERANCE_EM);
+    if (line) line.runs.push(run);
+    else lines.push({ y: run.y, runs: [run] });
+  }
+
+  return lines
+    .sort((a, b) => b.y - a.y)
+    .map((line) => {
+      const cells = [];
+      for (const run of line.runs.sort((a, b) => a.x - b.x)) {
+        const last = cells[cells.length - 1];
+        const gap = last ? run.x - last.right : Infinity;
+        if (last && gap < run.size * CELL_GAP_EM) {
+          last.text += gap > run.size * 0.15 ? ` ${run.text}` : run.text;
+          last.right = Math.max(last.right, run.right);
+        } else {
+          cells.push({ text: run.text, x: run.x, right: run.right, size: run.size });
+        }
+      }
+      cells.forEach((cell) => {
+        cell.text = cell.text.replace(/\s+/g, " ").trim();
+      });
+      return { y: line.y, cells };
+    });
+}
+
+function yearColumns(line) {
+  const columns = line.cells
+    .map((cell) => ({ year: headerYear(cell.text), x: cell.x, right: cell.right }))
+    .filter((column) => column.year !== null);
+  return columns.length && new Set(columns.map((c) => c.year)).size === columns.length
+    ? columns
+    : null;
+}
+
+/**
+ * The year column a value cell sits under: the one it overlaps most, or
+ * failing that the nearest one within half the column spacing.
+ */
+function columnFor(cell, columns) {
+  let best = null;
+  let bestOverlap = 0;
+  for (const column of columns) {
+    const overlap = Math.min(cell.right, column.right) - Math.max(cell.x, column.x);
+    if (overlap > bestOverlap) {
+      best = column;
+      bestOverlap = overlap;
+    }
+  }
+  if (best) return best;
+
+  const spacing = columns.length > 1 ? columns[1].x - columns[0].x : cell.size * 6;
+  const center = (cell.x + cell.right) / 2;
+  let nearest = null;
+  let distance = Infinity;
+  for (const column of columns) {
+    const d = Math.abs((column.x + column.right) / 2 - center);
+    if (d < distance) {
+      nearest = column;
+      distance = d;
+    }
+  }
+  return distance <= Math.abs(spacing) / 2 ? nearest : null;
+}
+
+/**
+ * Split a line under a year header into its label (the cells left of the
+ * first year column) and its year values.
+ * @returns {{label, values}}
+ */
+function readRow(line, columns) {
+  const labelEdge = columns[0].x - columns[0].size * 0.5;
+  const labelCells = line.cells.filter((cell) => cell.x < labelEdge);
+  const valueCells = line.cells.filter((cell) => !labelCells.includes(cell));
+
+  const values = [];
+  for (const cell of valueCells) {
+    const column = columnFor(cell, columns);
+    if (!column || values.some((v) => v.year === column.year)) continue;
+    const parsed = parseCellValue(cell.text);
+    if (parsed) values.push({ year: column.year, ...parsed });
+  }
+
+  return {
+    label: labelCells.map((cell) => cell.text).join(" ").trim(),
+    values: values.sort((a, b) => a.year - b.year),
+  };
+}
+
+/**
+ * Tables on one page. A label-only line inside a table is a wrapped label
+ * and is prepended to the next row; any other line without values ends the
+ * table.
+ */
+function findTables(lines, pageNumber) {
+  const tables = [];
+
+  for (let index = 0; index < lines.length; index++) {
+    const columns = yearColumns(lines[index]);
+    if (!columns) continue;
+    columns.forEach((column) => {
+      column.size = lines[index].cells[0].size;
+    });
+
+    const headerLabel = lines[index].cells.find((cell) => cell.right <= columns[0].x)?.text;
+    const titleLine = index > 0 ? lines[index - 1] : null;
+    const table = {
+      page: pageNumber,
+      title:
+        titleLine && titleLine.cells.length === 1 && !yearColumns(titleLine)
+          ? titleLine.cells[0].text
+          : null,
+      header_label: headerLabel || null,
+      years: columns.map((column) => column.year),
+      rows: [],
+    };
+
+    let pending = "";
+    let next = index + 1;
+    for (; next < lines.length; next++) {
+      if (yearColumns(lines[next])) break;
+      const row = readRow(lines[next], columns);
+      if (!row.label && !row.values.length) break;
+
+      if (!row.values.length) {
+        const following = lines[next + 1] ? readRow(lines[next + 1], columns) : null;
+        if (!following || !following.values.length || yearColumns(lines[next + 1])) break;
+        pending = `${pending} ${row.label}`.trim();
+        continue;
+      }
+
+      const label = `${pending} ${row.label}`.trim();
+      pending = "";
+      if (!label) continue;
+      table.rows.push({ line: next + 1, label, ...splitMetricLabel(label), values: row.values });
+    }
+
+    if (table.rows.length) tables.push(table);
+    index = next - 1;
+  }
+
+  return tables;
+}
+
+/**
+ * Extract the year-column tables of a text-based PDF.
+ *
+ * @param {Buffer} buffer
+ * @returns {Promise<{page_count, title, tables}>} each table is
+ *   `{ page, title, header_label, years, rows }` and each row
+ *   `{ line, label, metric_name, unit, values }` with values as
+ *   parseCellValue returns them plus `year`. Pages are 1-based, as printed
+ *   by PDF viewers.
+ */
+async function extractPdfTables(buffer) {
+  const { getDocument } = await loadPdfjs();
+  const document = await getDocument({
+    data: new Uint8Array(buffer),
+    isEvalSupported: false,
+    disableFontFace: true,
+    useSystemFonts: false,
+    verbosity: 0,
+  }).promise;
+
+  try {
+    const info = await document.getMetadata().catch(() => null);
+    const tables = [];
+    for (let pageNumber = 1; pageNumber <= document.numPages; pageNumber++) {
+      const page = await document.getPage(pageNumber);
+      const content = await page.getTextContent();
+      tables.push(...findTables(toLines(content.items.map(toRun)), pageNumber));
+      page.cleanup();
+    }
+    return {
+      page_count: document.numPages,
+      title: info?.info?.Title || null,
+      tables,
+    };
+  } finally {
+    await document.destroy();
+  }
+}
+
+module.exports = {
+  extractPdfTables,
+};
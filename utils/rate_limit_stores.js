@@ -0,0 +1,78 @@
+// utils/rate_limit_stores.js
+const RateLimitCounter = require("../models/rate_limit_counter_model");
+
+/**
+ * Rate limit stores count hits per key in fixed windows.
+ * A store implements:
+ *   increment(key, windowMs) -> Promise<{ count: number, resetAt: Date }>
+ */
+
+/**
+ * Per-process store. Counts are lost on restart and not shared between
+ * instances; use MongoStore when running more than one node.
+ */
+class MemoryStore {
+  constructor({ cleanupIntervalMs = 60 * 1000 } = {}) {
+    this.hits = new Map();
+    this.cleanupTimer = setInterval(() => this.cleanup(), cleanupIntervalMs);
+    this.cleanupTimer.unref();
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let entry = this.hits.get(key);
+
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      this.hits.set(key, entry);
+    }
+
+    entry.count += 1;
+    return { count: entry.count, resetAt: new Date(entry.resetAt) };
+  }
+
+  cleanup() {
+    const now = Date.now();
+    for (const [key, entry] of this.hits) {
+      if (entry.resetAt <= now) this.hits.delete(key);
+    }
+  }
+}
+
+/**
+ * Store shared by every instance through the RateLimitCounter collection.
+ */
+class MongoStore {
+  async increment(key, windowMs) {
+    const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+    const resetAt = new Date(windowStart + windowMs);
+
+    const counter = await RateLimitCounter.findOneAndUpdate(
+      { key: `${key}:${windowStart}` },
+      { $inc: { count: 1 }, $setOnInsert: { reset_at: resetAt } },
+      { upsert: true, new: true },
+    );
+
+    return { count: counter.count, resetAt };
+  }
+}
+
+/**
+ * Build the store named by RATE_LIMIT_STORE ("memory" | "mongo").
+ */
+function createStore(type = process.env.RATE_LIMIT_STORE || "memory") {
+  switch (type) {
+    case "memory":
+      return new MemoryStore();
+    case "mongo":
+      return new MongoStore();
+    default:
+      throw new Error(`Unknown rate limit store: ${type}`);
+  }
+}
+
+module.exports = {
+  MemoryStore,
+  MongoStore,
+  createStore,
+};
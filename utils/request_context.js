@@ -0,0 +1,40 @@
+// utils/request_context.js
+// Per-request state (request id, caller, client IP) that services and model
+// hooks can read without `req` being threaded through every call.
+const { AsyncLocalStorage } = require("async_hooks");
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run `fn` with `context` as the current request context. Used by the
+ * request_context middleware and by background work that acts for a user.
+ * @param {{requestId?: string, req?: Object, actor?: Object, ip?: string}} context
+ */
+function runWithContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+function getRequestContext() {
+  return storage.getStore() || null;
+}
+
+/**
+ * Caller of the current request. Read lazily because `authenticate` runs
+ * after the context is created.
+ * @returns {{id: *, type: string, email?: string}|null}
+ */
+function currentActor() {
+  const ctx = storage.getStore();
+  if (!ctx) return null;
+  if (ctx.actor) return ctx.actor;
+
+  const user = ctx.req?.user;
+  if (!user) return null;
+  return { id: user._id, type: ctx.req.userType, email: user.email };
+}
+
+module.exports = {
+  runWithContext,
+  getRequestContext,
+  currentActor,
+};
@@ -0,0 +1,82 @@
+// utils/unit_normalization.js
+// Mongoose plugin that stores every metric value a second time in its
+// dimension's canonical unit (see utils/units), so values reported as
+// "KwH", "MWH" or "million ML" can be compared and summed. Applied in
+// each metric model:
+//
+//   Schema.plugin(unitNormalization);
+//
+// Fills `normalized_value` / `normalized_unit` on the metrics'
+// yearly_data points, single values and (esg-data) values on
+// document.save() and on findOneAndUpdate() (findByIdAndUpdate) that set
+// `metrics`. Values in units the registry does not know keep both unset.
+const { normalize } = require("./units");
+
+function numericOf(point) {
+  if (typeof point.numeric_value === "number") return point.numeric_value;
+  if (typeof point.value === "number") return point.value;
+  return null;
+}
+
+/**
+ * Set the normalized fields on one value. `set` is the document's setter
+ * for subdocuments and plain assignment for update payloads; nothing is
+ * written when the fields are already right, so an unchanged record does
+ * not look modified.
+ */
+function normalizePoint(point, unit, set) {
+  if (!point) return;
+  const normalized = normalize(numericOf(point), point.unit || unit);
+  const value = normalized ? normalized.value : undefined;
+  const normalizedUnit = normalized ? normalized.unit : undefined;
+
+  if (point.normalized_value !== value && !(point.normalized_value == null && value == null)) {
+    set(point, "normalized_value", value);
+  }
+  if (point.normalized_unit !== normalizedUnit && !(point.normalized_unit == null && normalizedUnit == null)) {
+    set(point, "normalized_unit", normalizedUnit);
+  }
+}
+
+function normalizeMetrics(metrics, set) {
+  for (const metric of metrics || []) {
+    if (!metric) continue;
+    for (const point of metric.yearly_data || []) normalizePoint(point, metric.unit, set);
+    for (const point of metric.values || []) normalizePoint(point, metric.unit, set);
+    // single_value is a nested path, so a document sets it through the metric
+    if (metric.single_value) {
+      normalizePoint(metric.single_value, metric.unit, (point, key, value) =>
+        typeof metric.set === "function"
+          ? metric.set(`single_value.${key}`, value)
+          : set(point, key, value)
+      );
+    }
+  }
+}
+
+function setOnDocument(point, key, value) {
+  if (typeof point.set === "function") point.set(key, value);
+  else point[key] = value;
+}
+
+function setOnPayload(point, key, value) {
+  if (value === undefined) delete point[key];
+  else point[key] = value;
+}
+
+function unitNormalization(schema) {
+  schema.pre("validate", function () {
+    if (!this.isNew && !this.isModified("metrics")) return;
+    normalizeMetrics(this.metrics, setOnDocument);
+  });
+
+  schema.pre("findOneAndUpdate", function () {
+    const update = this.getUpdate();
+    if (!update) return;
+    const metrics = update.$set?.metrics || update.metrics;
+    if (Array.isArray(metrics)) normalizeMetrics(metrics, setOnPayload);
+  });
+}
+
+module.exports = unitNormalization;
+module.exports.normalizeMetrics = normalizeMetrics;
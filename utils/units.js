@@ -0,0 +1,282 @@
+// utils/units.js
+// Units registry: every unit the metric data uses, its dimension and its
+// factor to the dimension's canonical unit. Units are free text in the
+// stored data ("KwH", "MWH", "million ML", "US$m"), so lookups are lenient
+// about case, spacing and scale words.
+const AppError = require("./app_error");
+
+// Canonical unit per dimension; `normalized_value`s are stored in these
+const DIMENSIONS = {
+  energy: "kWh",
+  volume: "m3",
+  mass: "t",
+  co2e: "tCO2e",
+  area: "ha",
+  currency: "USD",
+};
+
+// factor = canonical units per one of this unit
+const UNITS = [
+  // energy
+  { symbol: "Wh", dimension: "energy", factor: 0.001 },
+  { symbol: "kWh", dimension: "energy", factor: 1, aliases: ["kilowatt hours", "kilowatt-hours"] },
+  { symbol: "MWh", dimension: "energy", factor: 1e3, aliases: ["megawatt hours", "megawatt-hours"] },
+  { symbol: "GWh", dimension: "energy", factor: 1e6, aliases: ["gigawatt hours", "gigawatt-hours"] },
+  { symbol: "MJ", dimension: "energy", factor: 1 / 3.6 },
+  { symbol: "GJ", dimension: "energy", factor: 1e3 / 3.6 },
+  { symbol: "TJ", dimension: "energy", factor: 1e6 / 3.6 },
+
+  // volume; "ML" is megalitres, as water is reported
+  { symbol: "mL", dimension: "volume", factor: 1e-6 },
+  { symbol: "L", dimension: "volume", factor: 0.001, aliases: ["litre", "litres", "liter", "liters", "ltr"] },
+  { symbol: "kL", dimension: "volume", factor: 1, aliases: ["kilolitres", "kilolitre"] },
+  { symbol: "m3", dimension: "volume", factor: 1, aliases: ["m³", "cubic metres", "cubic meters"] },
+  { symbol: "ML", dimension: "volume", factor: 1e3, aliases: ["megalitres", "megalitre", "megaliters"] },
+  { symbol: "GL", dimension: "volume", factor: 1e6, aliases: ["gigalitres", "gigalitre"] },
+  { symbol: "gal", dimension: "volume", factor: 0.00378541, aliases: ["gallons", "gallon"] },
+
+  // mass; "tons" in the source reports are metric tonnes
+  { symbol: "g", dimension: "mass", factor: 1e-6, aliases: ["grams"] },
+  { symbol: "kg", dimension: "mass", factor: 0.001, aliases: ["kilograms", "kgs"] },
+  { symbol: "t", dimension: "mass", factor: 1, aliases: ["tons", "ton", "tonnes", "tonne"] },
+  { symbol: "kt", dimension: "mass", factor: 1e3, aliases: ["kilotonnes", "kilotons"] },
+  // Megatonnes, as in MtCO2e; "metric ton" spellings are covered by t
+  { symbol: "Mt", dimension: "mass", factor: 1e6, aliases: ["megatonnes", "megatons"] },
+  { symbol: "lb", dimension: "mass", factor: 0.000453592, aliases: ["lbs", "pounds"] },
+
+  // greenhouse gases
+  { symbol: "kgCO2e", dimension: "co2e", factor: 0.001, aliases: ["kg co2e", "kgco2"] },
+  { symbol: "tCO2e", dimension: "co2e", factor: 1, aliases: ["t co2e", "tco2", "tonnes co2e", "tons co2e"] },
+  { symbol: "ktCO2e", dimension: "co2e", factor: 1e3, aliases: ["kt co2e"] },
+  { symbol: "MtCO2e", dimension: "co2e", factor: 1e6, aliases: ["mt co2e"] },
+
+  // area
+  { symbol: "m2", dimension: "area", factor: 0.0001, aliases: ["m²", "square metres", "square meters"] },
+  { symbol: "ha", dimension: "area", factor: 1, aliases: ["hectares", "hectare"] },
+  { symbol: "km2", dimension: "area", factor: 100, aliases: ["km²", "square kilometres"] },
+  { symbol: "acre", dimension: "area", factor: 0.404686, aliases: ["acres", "ac"] },
+
+  // currency; amounts in other currencies are left as they are
+  { symbol: "USD", dimension: "currency", factor: 1, aliases: ["US$", "$", "usd"] },
+  { symbol: "USDk", dimension: "currency", factor: 1e3, aliases: ["US$k", "$k"] },
+  { symbol: "USDm", dimension: "currency", factor: 1e6, aliases: ["US$m", "$m", "USD m"] },
+  { symbol: "USDbn", dimension: "currency", factor: 1e9, aliases: ["US$bn", "$bn", "USD bn"] },
+];
+
+// "thousand ML", "million litres", "'000 t"
+const SCALE_WORDS = [
+  { pattern: /^(thousand|'000|000s?)\s+/i, factor: 1e3 },
+  { pattern: /^million\s+/i, factor: 1e6 },
+  { pattern: /^billion\s+/i, factor: 1e9 },
+];
+
+function cleanText(text) {
+  return String(text)
+    .replace(/₂/g, "2")
+    .replace(/\s+/g, " ")
+    .replace(/\.$/, "")
+    .trim();
+}
+
+// Exact spellings first; the lower-case index only keeps spellings that
+// are not ambiguous ("ml" could be mL or ML)
+const EXACT = new Map();
+const FOLDED = new Map();
+const AMBIGUOUS = new Set();
+
+for (const unit of UNITS) {
+  for (const spelling of [unit.symbol, ...(unit.aliases || [])]) {
+    EXACT.set(spelling, unit);
+    const folded = spelling.toLowerCase();
+    const existing = FOLDED.get(folded);
+    if (existing && existing !== unit) AMBIGUOUS.add(folded);
+    else FOLDED.set(folded, unit);
+  }
+}
+for (const folded of AMBIGUOUS) FOLDED.delete(folded);
+
+function lookup(text) {
+  return EXACT.get(text) || FOLDED.get(text.toLowerCase()) || null;
+}
+
+/**
+ * Registry entry for a free-text unit.
+ * @returns {{symbol, dimension, factor}|null} factor includes any scale
+ *   word, so "thousand ML" has the factor of 1,000 ML; null when unknown
+ */
+function resolveUnit(text) {
+  if (text === undefined || text === null) return null;
+  let remaining = cleanText(text);
+  if (!remaining) return null;
+
+  let scale = 1;
+  for (const word of SCALE_WORDS) {
+    if (word.pattern.test(remaining)) {
+      scale = word.factor;
+      remaining = remaining.replace(word.pattern, "");
+      break;
+    }
+  }
+
+  const unit = lookup(remaining);
+  if (!unit) return null;
+  return {
+    symbol: scale === 1 ? unit.symbol : cleanText(text),
+    dimension: unit.dimension,
+    factor: unit.factor * scale,
+  };
+}
+
+/**
+ * Convert between two units of the same dimension.
+ * @returns {number|null} null when either unit is unknown or they measure
+ *   different things
+ */
+function convert(value, fromUnit, toUnit) {
+  if (value === null || value === undefined || Number.isNaN(Number(value))) return null;
+  const from = resolveUnit(fromUnit);
+  const to = resolveUnit(toUnit);
+  if (!from || !to || from.dimension !== to.dimension) return null;
+  return (Number(value) * from.factor) / to.factor;
+}
+
+/**
+ * A value in its dimension's canonical unit.
+ * @returns {{value, unit, dimension}|null}
+ */
+function normalize(value, unitText) {
+  const unit = resolveUnit(unitText);
+  if (!unit || value === null || value === undefined || Number.isNaN(Number(value))) {
+    return null;
+  }
+  return {
+    value: Number(value) * unit.factor,
+    unit: DIMENSIONS[unit.dimension],
+    dimension: unit.dimension,
+  };
+}
+
+/**
+ * Read a `units=` query: comma-separated units ("MWh,ML") or
+ * dimension:unit pairs ("energy:MWh"). Each unit becomes the display unit
+ * of its dimension.
+ *
+ * @returns {Object|null} { dimension: unit }; null when not given
+ */
+function parseUnitPreferences(param) {
+  if (param === undefined || param === null || String(param).trim() === "") return null;
+
+  const preferences = {};
+  for (const entry of String(param).split(",")) {
+    const item = entry.trim();
+    if (!item) continue;
+
+    const [maybeDimension, ...rest] = item.split(":");
+    const explicit = rest.length ? maybeDimension.trim().toLowerCase() : null;
+    const unitText = rest.length ? rest.join(":") : item;
+
+    const unit = resolveUnit(unitText);
+    if (!unit) {
+      throw new AppError(`Unknown unit "${unitText.trim()}"`, 400, "INVALID_UNITS", {
+        supported: listUnits(),
+      });
+    }
+    if (explicit && explicit !== unit.dimension) {
+      throw new AppError(
+        `"${unitText.trim()}" is a ${unit.dimension} unit, not ${explicit}`,
+        400,
+        "INVALID_UNITS"
+      );
+    }
+    if (preferences[unit.dimension] && preferences[unit.dimension].symbol !== unit.symbol) {
+      throw new AppError(`More than one ${unit.dimension} unit requested`, 400, "INVALID_UNITS");
+    }
+    preferences[unit.dimension] = unit;
+  }
+
+  return Object.keys(preferences).length ? preferences : null;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function convertNumber(value, from, to) {
+  if (typeof value !== "number") return value;
+  return (value * from.factor) / to.factor;
+}
+
+/**
+ * Render a (JSON-serialisable) response in the caller's units. Every
+ * object with a known `unit` in a requested dimension has its
+ * `numeric_value` (and a numeric `value`) converted, together with the
+ * points in its `values` / `yearly_data` that carry no unit of their own.
+ * The original unit is kept as `reported_unit`. Figures computed under a
+ * fixed unit (e.g. `electricity_generated_mwh`) are left alone.
+ */
+function applyUnitPreferences(data, preferences) {
+  if (!preferences) return data;
+
+  const walk = (node, inherited) => {
+    if (Array.isArray(node)) {
+      node.forEach((item) => walk(item, inherited));
+      return;
+    }
+    if (!isPlainObject(node)) return;
+
+    let from = inherited;
+    if (typeof node.unit === "string") {
+      const unit = resolveUnit(node.unit);
+      from = unit && preferences[unit.dimension] ? unit : null;
+    }
+    const to = from ? preferences[from.dimension] : null;
+
+    if (from && to && (typeof node.numeric_value === "number" || typeof node.value === "number")) {
+      node.numeric_value = convertNumber(node.numeric_value, from, to);
+      node.value = convertNumber(node.value, from, to);
+    }
+    if (from && to && typeof node.unit === "string") {
+      node.reported_unit = node.unit;
+      node.unit = to.symbol;
+    }
+
+    for (const [key, child] of Object.entries(node)) {
+      if (key === "values" || key === "yearly_data" || key === "single_value") {
+        walk(child, from);
+      } else {
+        walk(child, null);
+      }
+    }
+  };
+
+  const copy = JSON.parse(JSON.stringify(data));
+  walk(copy, null);
+  return copy;
+}
+
+/**
+ * The registry, grouped by dimension, for clients building a `units=`
+ * selector.
+ */
+function listUnits() {
+  return Object.entries(DIMENSIONS).map(([dimension, canonical]) => ({
+    dimension,
+    canonical_unit: canonical,
+    units: UNITS.filter((unit) => unit.dimension === dimension).map((unit) => ({
+      symbol: unit.symbol,
+      aliases: unit.aliases || [],
+      factor: unit.factor,
+    })),
+  }));
+}
+
+module.exports = {
+  DIMENSIONS,
+  UNITS,
+  resolveUnit,
+  convert,
+  normalize,
+  parseUnitPreferences,
+  applyUnitPreferences,
+  listUnits,
+};
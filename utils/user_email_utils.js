@@ -9,6 +9,18 @@ const transporter = nodemailer.createTransport({
   },
 });
 
+/**
+ * Escape text for interpolation into an email's HTML body
+ */
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
 /**
  * Very simple HTML email template (no styling, no images)
  */
@@ -97,6 +109,60 @@ async function sendPasswordResetEmail({ to, fullName, otp }) {
   await sendEmail({ to, subject, html });
 }
 
+/**
+ * Account locked after repeated failed sign-in attempts
+ */
+async function sendAccountLockedEmail({ to, fullName, lockedUntil, ip }) {
+  const subject = "Your Mavhu account has been temporarily locked";
+  const title = "Account Temporarily Locked";
+  const message = `Hi ${fullName},\n\nWe locked your account after several failed sign-in attempts. You can sign in again after the lock expires. If this wasn't you, reset your password once the lock expires and consider enabling two-factor authentication.`;
+
+  const extra = `
+    <p><strong>Locked until:</strong> ${new Date(lockedUntil).toUTCString()}</p>
+    <p><strong>Last attempt from IP:</strong> ${ip || "unknown"}</p>
+  `;
+
+  const html = generateEmailTemplate({
+    title,
+    message,
+    extra,
+  });
+
+  await sendEmail({ to, subject, html });
+}
+
+/**
+ * Invitation to join a company on Mavhu, with the accept link
+ */
+async function sendMemberInvitationEmail({
+  to,
+  companyName,
+  inviterName,
+  role,
+  acceptUrl,
+  expiresAt,
+}) {
+  const subject = `You're invited to join ${companyName} on Mavhu`;
+  const title = "You've been invited";
+  // Company, inviter and role names are user-chosen; escape them so they
+  // cannot add markup or links to the email
+  const message = `Hi,\n\n${escapeHtml(inviterName || "An administrator")} has invited you to join ${escapeHtml(companyName)} on Mavhu as ${escapeHtml(role)}. Use the link below to set your password and complete your profile.`;
+
+  const extra = `
+    <p><a href="${escapeHtml(acceptUrl)}">Accept invitation</a></p>
+    <p>Or paste this link into your browser:<br/>${escapeHtml(acceptUrl)}</p>
+    <p>This invitation expires on ${new Date(expiresAt).toUTCString()}. If you were not expecting it, you can ignore this email.</p>
+  `;
+
+  const html = generateEmailTemplate({
+    title,
+    message,
+    extra,
+  });
+
+  await sendEmail({ to, subject, html });
+}
+
 /**
  * Reservation confirmation email (customer)
  */
@@ -177,6 +243,8 @@ module.exports = {
   sendVerificationEmail,
   sendDeleteAccountEmail,
   sendPasswordResetEmail,
+  sendAccountLockedEmail,
+  sendMemberInvitationEmail,
   sendReservationCustomerEmail,
   sendReservationStaffEmail,
 };
@@ -0,0 +1,244 @@
+// utils/wide_year_table.js
+// Parser for "wide year-column" metric tables: a title block, then a header
+// row `Metric,2022,2023,...,Source Notes` and one row per metric. This is the
+// layout of the ESG metric exports in data/ and of most report appendices.
+const { parse } = require("csv-parse/sync");
+const xlsx = require("xlsx");
+
+const YEAR_HEADER = /^(FY\s?)?((19|20)\d{2})$/i;
+const FISCAL_SHORT = /^FY\s?(\d{2})$/i;
+const SOURCE_HEADER = /^(source(s)?(\s|_)?notes?|sources?|notes?|references?)$/i;
+
+// Cells that state there is no value, as opposed to an empty cell
+const NOT_REPORTED = /^(not reported|not disclosed|not available|n\/?a|-|–|—)$/i;
+
+// What can sit in a metric's trailing parentheses and still be a unit:
+// "GHG Scope 1 (tCO2e)", "Water treatment (million ML)"
+const UNIT_TEXT =
+  /^((million|thousand|billion)\s+)?(t?co2e?|tons?|tonnes?|kg|kwh|mwh|gwh|gj|mj|litres?|liters?|m3|ml|ha|hectares|%|(us)?\$m?|km)$/i;
+
+// Thousands may be grouped with commas or, as in typeset reports, spaces
+const NUMBER = "-?(?:\\d{1,3}(?:[,\\u00a0\\u202f ]\\d{3})+|\\d+)?(?:\\.\\d+)?";
+const PERCENT_VALUE = new RegExp(`^(${NUMBER})\\s*%$`);
+const CURRENCY_VALUE = new RegExp(`^(US\\$|\\$|€|£|R)\\s?(${NUMBER})\\s*(m|bn|k)?$`, "i");
+const PLAIN_NUMBER = new RegExp(`^(${NUMBER})$`);
+const NUMBER_WITH_UNIT = new RegExp(`^(${NUMBER})\\s+([^\\d].*)$`);
+
+function toNumber(text) {
+  if (!/\d/.test(text)) return null;
+  const number = parseFloat(text.replace(/[,\u00a0\u202f ]/g, ""));
+  return Number.isNaN(number) ? null : number;
+}
+
+function headerYear(cell) {
+  const text = String(cell ?? "").trim();
+  const full = text.match(YEAR_HEADER);
+  if (full) return parseInt(full[2], 10);
+  const fiscal = text.match(FISCAL_SHORT);
+  return fiscal ? 2000 + parseInt(fiscal[1], 10) : null;
+}
+
+/**
+ * Read one cell of a year column.
+ *
+ * @returns {Object|null} null for an empty cell; otherwise
+ *   `{ value, numeric_value, unit, kind }` where kind is number,
+ *   percentage, currency, text or not_reported. "Not reported" cells keep
+ *   an explicit null value so they are not mistaken for missing data.
+ */
+function parseCellValue(raw) {
+  const text = String(raw ?? "").trim();
+  if (!text) return null;
+
+  if (NOT_REPORTED.test(text)) {
+    return { value: null, numeric_value: null, unit: null, kind: "not_reported" };
+  }
+
+  let match = text.match(PERCENT_VALUE);
+  if (match && toNumber(match[1]) !== null) {
+    return { value: text, numeric_value: toNumber(match[1]), unit: "%", kind: "percentage" };
+  }
+
+  match = text.match(CURRENCY_VALUE);
+  if (match && toNumber(match[2]) !== null) {
+    const unit = `${match[1]}${(match[3] || "").toLowerCase()}`;
+    return { value: text, numeric_value: toNumber(match[2]), unit, kind: "currency" };
+  }
+
+  match = text.match(PLAIN_NUMBER);
+  if (match && toNumber(match[1]) !== null) {
+    return { value: text, numeric_value: toNumber(match[1]), unit: null, kind: "number" };
+  }
+
+  // "13 members", "0 material incidents"
+  match = text.match(NUMBER_WITH_UNIT);
+  if (match && toNumber(match[1]) !== null) {
+    return { value: text, numeric_value: toNumber(match[1]), unit: match[2].trim(), kind: "number" };
+  }
+
+  return { value: text, numeric_value: null, unit: null, kind: "text" };
+}
+
+/**
+ * Split a metric label into name and unit when its trailing parentheses
+ * hold a unit. Other parentheses ("Turnover by gender (Male)") are part of
+ * the name and stay there.
+ */
+function splitMetricLabel(label) {
+  const text = String(label).replace(/\s+/g, " ").trim();
+  const match = text.match(/^(.*?)\s*\(([^()]*)\)$/);
+  if (!match) return { metric_name: text, unit: null };
+
+  const [, name, inner] = match;
+  if (UNIT_TEXT.test(inner.trim())) {
+    return { metric_name: name.trim(), unit: inner.trim() };
+  }
+
+  // "(Total GHG, tCO2e)": the unit is the last part
+  const parts = inner.split(",").map((part) => part.trim());
+  const last = parts.pop();
+  if (parts.length && UNIT_TEXT.test(last)) {
+    return { metric_name: `${name.trim()} (${parts.join(", ")})`, unit: last };
+  }
+
+  return { metric_name: text, unit: null };
+}
+
+function categoryFrom(text) {
+  const lower = String(text || "").toLowerCase();
+  if (lower.includes("social")) return "social";
+  if (lower.includes("governance")) return "governance";
+  if (lower.includes("environment")) return "environmental";
+  return null;
+}
+
+function readRows(buffer, fileName, options = {}) {
+  const extension = fileName.split(".").pop().toLowerCase();
+  if (extension === "xlsx" || extension === "xls") {
+    const workbook = xlsx.read(buffer, { type: "buffer" });
+    const sheet = workbook.Sheets[options.sheetName || workbook.SheetNames[0]];
+    if (!sheet) throw new Error(`Sheet "${options.sheetName}" not found`);
+    return xlsx.utils.sheet_to_json(sheet, { header: 1, raw: false, defval: "" });
+  }
+  return parse(buffer.toString("utf-8"), {
+    bom: true,
+    relax_column_count: true,
+    relax_quotes: true,
+    skip_empty_lines: false,
+  });
+}
+
+/**
+ * Index of the header row: the first row with a label in its first cell
+ * and at least one year column after it.
+ */
+function findHeaderRow(rows) {
+  return rows.findIndex(
+    (row) =>
+      String(row[0] ?? "").trim() !== "" &&
+      headerYear(row[0]) === null &&
+      row.slice(1).some((cell) => headerYear(cell) !== null)
+  );
+}
+
+/**
+ * True when the file has the wide year-column layout.
+ */
+function isWideYearTable(buffer, fileName, options = {}) {
+  try {
+    return findHeaderRow(readRows(buffer, fileName, options)) !== -1;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Parse a wide year-column table.
+ *
+ * @param {Buffer} buffer
+ * @param {string} fileName CSV or Excel; also used to guess the category
+ * @param {Object} [options]
+ * @param {string} [options.sheetName] Excel sheet; the first one by default
+ * @returns {{title, category, years, metrics, duplicates}} each metric is
+ *   `{ row, label, metric_name, unit, source_notes, values }` and each value
+ *   `{ year, value, numeric_value, unit, kind }`
+ */
+function parseWideYearTable(buffer, fileName, options = {}) {
+  const rows = readRows(buffer, fileName, options);
+  const headerIndex = findHeaderRow(rows);
+  if (headerIndex === -1) {
+    throw new Error("No header row with year columns found");
+  }
+
+  const header = rows[headerIndex].map((cell) => String(cell ?? "").trim());
+  const yearColumns = header
+    .map((cell, index) => ({ index, year: headerYear(cell) }))
+    .filter((column) => column.index > 0 && column.year !== null);
+  const sourceIndex = header.findIndex((cell) => SOURCE_HEADER.test(cell));
+
+  // Title block: the non-empty cells above the header, e.g.
+  // "ENVIRONMENTAL METRICS (2022-2025)"
+  const title =
+    rows
+      .slice(0, headerIndex)
+      .map((row) => row.map((cell) => String(cell ?? "").trim()).filter(Boolean).join(" "))
+      .filter(Boolean)
+      .join(" ") || null;
+
+  const metrics = [];
+  const duplicates = [];
+  const seen = new Map();
+
+  rows.slice(headerIndex + 1).forEach((row, offset) => {
+    const label = String(row[0] ?? "").replace(/\s+/g, " ").trim();
+    if (!label) return;
+    const rowNumber = headerIndex + offset + 2; // 1-based, as in a spreadsheet
+
+    const values = [];
+    for (const { index, year } of yearColumns) {
+      const cell = parseCellValue(row[index]);
+      if (cell) values.push({ year, ...cell });
+    }
+    if (!values.length) return;
+
+    const fingerprint = JSON.stringify(values);
+    if (seen.has(label)) {
+      duplicates.push({
+        row: rowNumber,
+        label,
+        first_row: seen.get(label).row,
+        identical: seen.get(label).fingerprint === fingerprint,
+      });
+      return;
+    }
+    seen.set(label, { row: rowNumber, fingerprint });
+
+    const { metric_name, unit } = splitMetricLabel(label);
+    const valueUnits = [...new Set(values.map((v) => v.unit).filter(Boolean))];
+
+    metrics.push({
+      row: rowNumber,
+      label,
+      metric_name,
+      unit: unit || (valueUnits.length === 1 ? valueUnits[0] : null),
+      source_notes: sourceIndex > 0 ? String(row[sourceIndex] ?? "").trim() || null : null,
+      values,
+    });
+  });
+
+  return {
+    title,
+    category: categoryFrom(title) || categoryFrom(fileName),
+    years: yearColumns.map((column) => column.year),
+    metrics,
+    duplicates,
+  };
+}
+
+module.exports = {
+  headerYear,
+  parseWideYearTable,
+  isWideYearTable,
+  parseCellValue,
+  splitMetricLabel,
+};